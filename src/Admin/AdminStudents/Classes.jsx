@@ -1,6 +1,7 @@
 import React, { useMemo, useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { supabase } from "../../lib/supabaseClient";
+import { fetchRooms, findClassRoomBookings, matchRoom, roomFields, roomLabel } from "../../lib/rooms";
 import {
   Plus,
   Search,
@@ -13,7 +14,7 @@ import {
 } from "lucide-react";
 
 import { z } from "zod";
-import { useForm } from "react-hook-form";
+import { useForm, useWatch } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 
 /* ================== UI THEME (same as Enrollment) ================== */
@@ -43,7 +44,7 @@ const classSchema = z.object({
   // OPTIONAL but recommended for scheduling
   teacher_user_id: z.string().optional().or(z.literal("")),
 
-  room: z.string().optional().or(z.literal("")),
+  room_id: z.string().optional().or(z.literal("")),
   capacity: z.coerce.number().min(0, "Capacity must be 0 or higher"),
   status: z.enum(["Open", "Closed", "Cancelled"]),
   notes: z.string().optional().or(z.literal("")),
@@ -94,7 +95,7 @@ function overlaps(aStart, aEnd, bStart, bEnd) {
 // Friendly DB constraint messages (based on your constraint names)
 function friendlyScheduleError(err) {
   const msg = String(err?.message || "");
-  if (msg.includes("no_room_time_conflict"))
+  if (msg.includes("room_double_booked") || msg.includes("no_room_time_conflict"))
     return "Conflict: Another class is already scheduled in that room at the same time.";
   if (msg.includes("no_section_time_conflict"))
     return "Conflict: This section already has a class at the same time.";
@@ -155,7 +156,7 @@ export default function Classes() {
     queryKey: ["classDropdowns"],
     enabled: modal.open,
     queryFn: async () => {
-      const [subjRes, secRes, syRes, termRes] = await Promise.all([
+      const [subjRes, secRes, syRes, termRes, activeTermRes] = await Promise.all([
         supabase
           .from("subjects")
           .select("subject_id, subject_code, subject_title")
@@ -175,22 +176,35 @@ export default function Classes() {
           .from("terms")
           .select("term_id, term_code, description")
           .order("term_code", { ascending: true }),
+
+        supabase.from("school_year_terms").select("sy_id, term_id").eq("is_active", true),
       ]);
 
       if (subjRes.error) throw subjRes.error;
       if (secRes.error) throw secRes.error;
       if (syRes.error) throw syRes.error;
       if (termRes.error) throw termRes.error;
+      if (activeTermRes.error) throw activeTermRes.error;
 
       return {
         subjects: subjRes.data ?? [],
         sections: secRes.data ?? [],
         schoolYears: syRes.data ?? [],
         terms: termRes.data ?? [],
+        activeTerms: activeTermRes.data ?? [],
       };
     },
   });
 
+  /* ================== Room registry (class form + schedule slots) ================== */
+  const roomsQ = useQuery({
+    queryKey: ["rooms"],
+    queryFn: () => fetchRooms(),
+  });
+
+  const rooms = useMemo(() => roomsQ.data ?? [], [roomsQ.data]);
+  const roomById = useMemo(() => new Map(rooms.map((r) => [r.room_id, r])), [rooms]);
+
   /* ================== READ classes (IMPORTANT: fixed select string) ================== */
   const classesQ = useQuery({
     queryKey: ["classes", view],
@@ -207,6 +221,7 @@ export default function Classes() {
           term_id,
           teacher_user_id,
           room,
+          room_id,
           capacity,
           status,
           notes,
@@ -292,7 +307,7 @@ export default function Classes() {
         sy_id: values.sy_id,
         term_id: values.term_id,
         teacher_user_id: values.teacher_user_id || null,
-        room: values.room?.trim() || null,
+        ...roomFields(roomById.get(values.room_id)),
         capacity: Number(values.capacity),
         status: values.status,
         notes: values.notes?.trim() || null,
@@ -330,7 +345,7 @@ export default function Classes() {
         sy_id: values.sy_id,
         term_id: values.term_id,
         teacher_user_id: values.teacher_user_id || null,
-        room: values.room?.trim() || null,
+        ...roomFields(roomById.get(values.room_id)),
         capacity: Number(values.capacity),
         status: values.status,
         notes: values.notes?.trim() || null,
@@ -467,7 +482,7 @@ export default function Classes() {
     try {
       const { data, error } = await supabase
         .from("class_schedules")
-        .select("schedule_id, day_of_week, room, start_at, end_at, is_archived")
+        .select("schedule_id, day_of_week, room, room_id, start_at, end_at, is_archived")
         .eq("class_id", klass.class_id)
         .eq("is_archived", false)
         .order("day_of_week", { ascending: true })
@@ -479,7 +494,7 @@ export default function Classes() {
 
       // Start with one row
       setSchedSlots([
-        { day_of_week: 1, startTime: "08:00", endTime: "09:00", room: klass.room ?? "" },
+        { day_of_week: 1, startTime: "08:00", endTime: "09:00", room_id: matchRoom(rooms, klass)?.room_id ?? "" },
       ]);
     } catch (e) {
       toast.push({ type: "error", title: "Failed to load schedules", message: String(e.message || e) });
@@ -497,7 +512,12 @@ export default function Classes() {
   function addSlotRow() {
     setSchedSlots((prev) => [
       ...prev,
-      { day_of_week: 1, startTime: "08:00", endTime: "09:00", room: scheduleModal.klass?.room ?? "" },
+      {
+        day_of_week: 1,
+        startTime: "08:00",
+        endTime: "09:00",
+        room_id: matchRoom(rooms, scheduleModal.klass ?? {})?.room_id ?? "",
+      },
     ]);
   }
 
@@ -515,7 +535,7 @@ export default function Classes() {
       if (!s.day_of_week) return "Day is required.";
       if (!s.startTime || !s.endTime) return "Start/End time is required.";
       if (s.startTime >= s.endTime) return "End time must be later than start time.";
-      if (!String(s.room || "").trim()) return "Room is required.";
+      if (!s.room_id) return "Room is required.";
     }
     return "";
   }
@@ -527,7 +547,8 @@ export default function Classes() {
 
     const existing = (scheduleModal.existing ?? []).map((x) => ({
       day: x.day_of_week,
-      room: String(x.room || "").trim().toLowerCase(),
+      room: x.room_id || String(x.room || "").trim().toLowerCase(),
+      roomName: x.room,
       start: String(x.start_at).slice(11, 16),
       end: String(x.end_at).slice(11, 16),
     }));
@@ -535,7 +556,7 @@ export default function Classes() {
     const incoming = (schedSlots ?? []).map((s, idx) => ({
       idx,
       day: Number(s.day_of_week),
-      room: String(s.room || "").trim().toLowerCase(),
+      room: s.room_id,
       start: s.startTime,
       end: s.endTime,
     }));
@@ -584,7 +605,7 @@ export default function Classes() {
         if (N.room && E.room && N.room === E.room) {
           issues.push({
             type: "Room overlap (same class)",
-            detail: `${dayLabel(N.day)} ${N.start}-${N.end} overlaps in room "${N.room}".`,
+            detail: `${dayLabel(N.day)} ${N.start}-${N.end} overlaps in room "${E.roomName}".`,
           });
         }
       }
@@ -632,11 +653,22 @@ export default function Classes() {
 
     setSchedSaving(true);
     try {
+      // other classes (any section) already in the room at an overlapping time
+      const clashes = await findClassRoomBookings({ slots: schedSlots, excludeClassId: klass.class_id });
+      if (clashes.length) {
+        const { slot, other } = clashes[0];
+        throw new Error(
+          `Room ${roomById.get(slot.room_id)?.room_code ?? ""} is already used by ${other.classes?.class_code ?? "another class"} on ${dayLabel(
+            Number(slot.day_of_week)
+          )} ${String(other.start_at).slice(11, 16)}–${String(other.end_at).slice(11, 16)}.`
+        );
+      }
+
       const payload = schedSlots.map((s) => ({
         class_id: klass.class_id,
         section_id: klass.section_id,
         teacher_user_id: klass.teacher_user_id,
-        room: String(s.room).trim(),
+        ...roomFields(roomById.get(s.room_id)),
         day_of_week: Number(s.day_of_week),
         start_at: toTemplateTimestamp(Number(s.day_of_week), s.startTime),
         end_at: toTemplateTimestamp(Number(s.day_of_week), s.endTime),
@@ -648,7 +680,7 @@ export default function Classes() {
       // reload schedules
       const { data, error: reloadErr } = await supabase
         .from("class_schedules")
-        .select("schedule_id, day_of_week, room, start_at, end_at, is_archived")
+        .select("schedule_id, day_of_week, room, room_id, start_at, end_at, is_archived")
         .eq("class_id", klass.class_id)
         .eq("is_archived", false)
         .order("day_of_week", { ascending: true })
@@ -689,7 +721,7 @@ export default function Classes() {
       if (klass?.class_id) {
         const { data, error: reloadErr } = await supabase
           .from("class_schedules")
-          .select("schedule_id, day_of_week, room, start_at, end_at, is_archived")
+          .select("schedule_id, day_of_week, room, room_id, start_at, end_at, is_archived")
           .eq("class_id", klass.class_id)
           .eq("is_archived", false)
           .order("day_of_week", { ascending: true })
@@ -933,6 +965,7 @@ export default function Classes() {
           onUpdate={(class_id, values) => updateM.mutate({ class_id, values })}
           busy={busy}
           dropdowns={dropdownQ.data}
+          rooms={rooms}
           dropdownLoading={dropdownQ.isLoading}
           dropdownError={
             dropdownQ.isError ? String(dropdownQ.error?.message || dropdownQ.error) : ""
@@ -1110,13 +1143,19 @@ export default function Classes() {
 
                               <div className="col-span-12 md:col-span-5">
                                 <label className="block text-xs font-semibold text-black/55 mb-1">Room</label>
-                                <input
-                                  value={s.room}
-                                  onChange={(e) => updateSlot(idx, { room: e.target.value })}
+                                <select
+                                  value={s.room_id}
+                                  onChange={(e) => updateSlot(idx, { room_id: e.target.value })}
                                   disabled={schedSaving}
-                                  placeholder="e.g. Room 203"
                                   className="w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
-                                />
+                                >
+                                  <option value="">Select room</option>
+                                  {rooms.map((r) => (
+                                    <option key={r.room_id} value={r.room_id}>
+                                      {roomLabel(r)}
+                                    </option>
+                                  ))}
+                                </select>
                               </div>
 
                               <div className="col-span-12 md:col-span-1 flex md:justify-end">
@@ -1203,6 +1242,7 @@ function ClassModal({
   onUpdate,
   busy,
   dropdowns,
+  rooms,
   dropdownLoading,
   dropdownError,
 }) {
@@ -1212,21 +1252,23 @@ function ClassModal({
   const sections = dropdowns?.sections ?? [];
   const schoolYears = dropdowns?.schoolYears ?? [];
   const terms = dropdowns?.terms ?? [];
+  const activeTerms = dropdowns?.activeTerms ?? [];
 
   const defaults = useMemo(() => {
+    const syId = row?.sy_id || schoolYears[0]?.sy_id || "";
     return {
       class_code: row?.class_code || "",
       subject_id: row?.subject_id || subjects[0]?.subject_id || "",
       section_id: row?.section_id || sections[0]?.section_id || "",
-      sy_id: row?.sy_id || schoolYears[0]?.sy_id || "",
-      term_id: row?.term_id || terms[0]?.term_id || "",
+      sy_id: syId,
+      term_id: row?.term_id || activeTerms.find((t) => t.sy_id === syId)?.term_id || terms[0]?.term_id || "",
       teacher_user_id: row?.teacher_user_id || "",
-      room: row?.room || "",
+      room_id: matchRoom(rooms, row ?? {})?.room_id || "",
       capacity: row?.capacity ?? 40,
       status: row?.status || "Open",
       notes: row?.notes || "",
     };
-  }, [row, subjects, sections, schoolYears, terms]);
+  }, [row, subjects, sections, schoolYears, terms, activeTerms, rooms]);
 
   const form = useForm({
     resolver: zodResolver(classSchema),
@@ -1234,9 +1276,13 @@ function ClassModal({
     values: defaults,
   });
 
-  const { register, handleSubmit, formState } = form;
+  const { register, handleSubmit, formState, control } = form;
   const { errors } = formState;
 
+  const [roomId, capacity] = useWatch({ control, name: ["room_id", "capacity"] });
+  const pickedRoom = rooms.find((r) => r.room_id === roomId);
+  const overCapacity = pickedRoom?.capacity != null && Number(capacity) > pickedRoom.capacity;
+
   function submit(values) {
     if (isEdit) onUpdate(row.class_id, values);
     else onCreate(values);
@@ -1290,10 +1336,24 @@ function ClassModal({
                   </div>
 
                   <div className="mt-3 grid gap-3 md:grid-cols-2">
-                    <Input label="Room" {...register("room")} />
+                    <Select label="Room" {...register("room_id")}>
+                      <option value="">—</option>
+                      {rooms.map((r) => (
+                        <option key={r.room_id} value={r.room_id}>
+                          {roomLabel(r)}
+                          {r.capacity != null ? ` (${r.capacity} seats)` : ""}
+                        </option>
+                      ))}
+                    </Select>
                     <Input label="Notes" {...register("notes")} />
                   </div>
 
+                  {overCapacity ? (
+                    <div className="mt-2 rounded-xl border border-amber-500/25 bg-amber-500/5 px-3 py-2 text-xs text-amber-800">
+                      {pickedRoom.room_code} seats {pickedRoom.capacity}; this class allows {capacity}.
+                    </div>
+                  ) : null}
+
                   <div className="mt-3">
                     <Input label="Teacher User ID (optional for now)" {...register("teacher_user_id")} />
                     <div className="mt-1 text-xs text-black/55">
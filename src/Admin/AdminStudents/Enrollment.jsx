@@ -18,10 +18,48 @@ import {
   Eye,
   KeyRound,
   Copy,
+  Upload,
+  FileSpreadsheet,
+  Download,
+  ClipboardCheck,
+  ListChecks,
+  FileText,
+  MessageSquareWarning,
+  Users,
+  LockOpen,
+  Monitor,
 } from "lucide-react";
 import { z } from "zod";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  autoMapColumns,
+  validateImportRows,
+  insertImportRows,
+  nextApplicationIds,
+  buildErrorReportCsv,
+  downloadText,
+  importTemplateCsv,
+} from "../../lib/enrollmentImport";
+import {
+  INCOMPLETE_STATUS,
+  fetchRequirements,
+  saveRequirement,
+  fetchEnrollmentDocuments,
+  groupDocuments,
+  requirementChecklist,
+  checklistSummary,
+  uploadDocumentForApplicant,
+  reviewDocument,
+  signedDocumentUrl,
+} from "../../lib/enrollmentRequirements";
+import { CORRECTABLE_FIELDS, fieldLabel, requestCorrections, rejectApplication } from "../../lib/applicantStatus";
+import { fetchTranscript, issueTranscript, buildTranscriptPdf, transcriptFileName } from "../../lib/transcript";
+import { fetchGuardianLinks, fetchEnrollmentGuardians, reviewGuardianLink, LINK_STATUSES } from "../../lib/guardian";
+import { fetchLoginLocks, unlockLogin, isLocked } from "../../lib/loginLocks";
+import UserSessionsModal from "../../components/UserSessionsModal";
 
 const EDGE_FN_NAME = "super-api";
 
@@ -34,7 +72,7 @@ const UI = {
   goldBg: "bg-[#C9A227]",
 };
 
-const STATUS = ["Pending", "Approved", "Rejected"];
+const STATUS = ["Pending", INCOMPLETE_STATUS, "Approved", "Rejected"];
 
 /**
  * ✅ Updated schema to match public.enrollment fields
@@ -72,7 +110,7 @@ const enrollmentSchema = z.object({
   strand_id: z.string().optional().or(z.literal("")),
 
 
-  st_application_status: z.enum(["Pending", "Approved", "Rejected"]).optional(),
+  st_application_status: z.enum(["Pending", "Incomplete", "Approved", "Rejected"]).optional(),
 });
 
 /* ===================== Helpers ===================== */
@@ -92,30 +130,8 @@ function studentName(s) {
 }
 
 async function generateApplicationId() {
-  const now = new Date();
-  const mm = String(now.getMonth() + 1).padStart(2, "0");
-  const dd = String(now.getDate()).padStart(2, "0");
-  const prefix = `${mm}-${dd}`;
-
-  const { data, error } = await supabase
-    .from("enrollment")
-    .select("application_id")
-    .ilike("application_id", `${prefix}%`)
-    .order("application_id", { ascending: false })
-    .limit(1);
-
-  if (error) throw error;
-
-  let next = 1;
-  if (data && data.length > 0 && data[0]?.application_id) {
-    const last = String(data[0].application_id);
-    const nn = last.replace(prefix, "").replace("-", "").trim();
-    const parsed = parseInt(nn.slice(-2), 10);
-    if (!Number.isNaN(parsed)) next = parsed + 1;
-  }
-
-  const nn2 = String(next).padStart(2, "0");
-  return `${prefix}${nn2}`;
+  const [id] = await nextApplicationIds(1);
+  return id;
 }
 
 async function copyTextToClipboard(text, toast) {
@@ -249,8 +265,11 @@ export default function Enrollment() {
   const [fTrack, setFTrack] = useState("All");
   const [fGrade, setFGrade] = useState("All");
   const [fStrand, setFStrand] = useState("All");
+  const [fStatus, setFStatus] = useState("All"); // Pending tab: All | Pending | Incomplete
+  const [fBlocked, setFBlocked] = useState("All"); // All | any | <requirement_id>
 
   const [modal, setModal] = useState({ open: false, mode: "create", row: null });
+  const [importOpen, setImportOpen] = useState(false);
 
   // ✅ access modal (credentials only — NO class mock)
   const [accessModalOpen, setAccessModalOpen] = useState(false);
@@ -259,6 +278,22 @@ export default function Enrollment() {
   // ✅ view student details modal
   const [viewModal, setViewModal] = useState({ open: false, row: null });
 
+  // requirements checklist (per application) + checklist setup
+  const [reqModalRow, setReqModalRow] = useState(null);
+  const [setupOpen, setSetupOpen] = useState(false);
+
+  // registrar feedback: flag fields for the applicant to fix, or reject with a reason
+  const [feedbackRow, setFeedbackRow] = useState(null);
+
+  // parent / guardian portal link requests
+  const [guardianLinksOpen, setGuardianLinksOpen] = useState(false);
+
+  // student sign-in lockouts (repeated failed logins)
+  const [loginLocksOpen, setLoginLocksOpen] = useState(false);
+
+  // signed-in devices of one enrolled student (remote sign-out)
+  const [sessionsStudent, setSessionsStudent] = useState(null);
+
   const tracksQ = useQuery({
     queryKey: ["tracks_lookup"],
     queryFn: async () => {
@@ -305,6 +340,29 @@ export default function Enrollment() {
     },
   });
 
+  const pendingGuardianLinksQ = useQuery({
+    queryKey: ["guardian_links", "Pending"],
+    queryFn: () => fetchGuardianLinks({ status: "Pending" }),
+  });
+
+  const loginLocksQ = useQuery({
+    queryKey: ["login_locks"],
+    queryFn: () => fetchLoginLocks(),
+  });
+  const lockedCount = (loginLocksQ.data ?? []).filter(isLocked).length;
+
+  // Requirements checklist + uploaded documents
+  const requirementsQ = useQuery({
+    queryKey: ["enrollment_requirements"],
+    queryFn: () => fetchRequirements(),
+  });
+
+  const documentsQ = useQuery({
+    queryKey: ["enrollment_documents"],
+    enabled: tab !== "Enrolled",
+    queryFn: fetchEnrollmentDocuments,
+  });
+
   // ✅ Students (Enrolled tab) + profiles flags for Active/Archived scope
   const studentsQ = useQuery({
     queryKey: ["students_with_profile"],
@@ -373,6 +431,20 @@ export default function Enrollment() {
     return m;
   }, [strandsQ.data]);
 
+  const requirements = useMemo(() => requirementsQ.data ?? [], [requirementsQ.data]);
+  const activeRequirements = useMemo(() => requirements.filter((r) => r.is_active), [requirements]);
+
+  // application_id -> { checklist, required, verified, blocking }
+  const checklistMap = useMemo(() => {
+    const docsByApp = groupDocuments(documentsQ.data ?? []);
+    const m = new Map();
+    (enrollQ.data ?? []).forEach((r) => {
+      const checklist = requirementChecklist(requirements, docsByApp.get(String(r.application_id)) ?? []);
+      m.set(String(r.application_id), { checklist, ...checklistSummary(checklist) });
+    });
+    return m;
+  }, [enrollQ.data, requirements, documentsQ.data]);
+
   /* ===================== Filters ===================== */
 
   // Enrollment (Pending/Approved) filtering
@@ -387,9 +459,19 @@ export default function Enrollment() {
       .filter((r) => (fStrand === "All" ? true : String(r.strand_id || "") === String(fStrand)));
   }, [enrollmentRows, qName, fTrack, fGrade, fStrand, scope]);
 
+  // Pending tab = open applications: Pending (complete, waiting on review) + Incomplete (missing documents)
   const pendingRows = useMemo(
-    () => baseFilteredEnrollment.filter((r) => norm(r.st_application_status) === "pending"),
-    [baseFilteredEnrollment]
+    () =>
+      baseFilteredEnrollment
+        .filter((r) => ["pending", "incomplete"].includes(norm(r.st_application_status)))
+        .filter((r) => (fStatus === "All" ? true : norm(r.st_application_status) === norm(fStatus)))
+        .filter((r) => {
+          if (fBlocked === "All") return true;
+          const blocking = checklistMap.get(String(r.application_id))?.blocking ?? [];
+          if (fBlocked === "any") return blocking.length > 0;
+          return blocking.some((c) => String(c.requirement.requirement_id) === String(fBlocked));
+        }),
+    [baseFilteredEnrollment, fStatus, fBlocked, checklistMap]
   );
 
   const approvedRows = useMemo(
@@ -709,6 +791,16 @@ export default function Enrollment() {
   }
 
   async function onApprove(row) {
+    const blocking = checklistMap.get(String(row.application_id))?.blocking ?? [];
+    if (blocking.length) {
+      toast.push({
+        tone: "danger",
+        title: "Requirements not verified",
+        message: `Still waiting on: ${blocking.map((c) => c.requirement.label).join(", ")}.`,
+      });
+      return;
+    }
+
     const ok = await toast.confirm({
       title: "Approve application?",
       message: "This will move the application from Pending to Approved tab.",
@@ -788,16 +880,67 @@ export default function Enrollment() {
         </div>
 
         {tab === "Pending" ? (
-          <button
-            onClick={openCreate}
-            className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
-            disabled={scope === "Archived" || busy}
-            title={scope === "Archived" ? "Switch to Active scope to add" : "Add student"}
-            type="button"
-          >
-            <Plus className="h-4 w-4" />
-            Add Student
-          </button>
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setSetupOpen(true)}
+              className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+              disabled={busy}
+              title="Configure the documents applicants must submit"
+              type="button"
+            >
+              <ListChecks className="h-4 w-4" />
+              Requirements
+            </button>
+            <button
+              onClick={() => setImportOpen(true)}
+              className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+              disabled={scope === "Archived" || busy}
+              title={scope === "Archived" ? "Switch to Active scope to import" : "Import applications from CSV / XLSX"}
+              type="button"
+            >
+              <Upload className="h-4 w-4" />
+              Import
+            </button>
+            <button
+              onClick={openCreate}
+              className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+              disabled={scope === "Archived" || busy}
+              title={scope === "Archived" ? "Switch to Active scope to add" : "Add student"}
+              type="button"
+            >
+              <Plus className="h-4 w-4" />
+              Add Student
+            </button>
+          </div>
+        ) : tab === "Enrolled" ? (
+          <div className="flex flex-wrap gap-2">
+            <button
+              onClick={() => setGuardianLinksOpen(true)}
+              className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02]"
+              title="Approve or revoke parent / guardian portal access"
+              type="button"
+            >
+              <Users className="h-4 w-4" />
+              Guardian Links
+              {pendingGuardianLinksQ.data?.length ? (
+                <span className="rounded-full bg-[#C9A227]/15 px-2 py-0.5 text-xs font-extrabold text-[#6B4E2E]">
+                  {pendingGuardianLinksQ.data.length}
+                </span>
+              ) : null}
+            </button>
+            <button
+              onClick={() => setLoginLocksOpen(true)}
+              className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02]"
+              title="Student accounts locked or slowed down after failed sign-ins"
+              type="button"
+            >
+              <LockOpen className="h-4 w-4" />
+              Sign-in Locks
+              {lockedCount ? (
+                <span className="rounded-full bg-rose-500/10 px-2 py-0.5 text-xs font-extrabold text-rose-700">{lockedCount}</span>
+              ) : null}
+            </button>
+          </div>
         ) : null}
       </div>
 
@@ -879,9 +1022,21 @@ export default function Enrollment() {
           </Field>
 
           <Field label="Status">
-            <div className="mt-1 w-full rounded-xl border border-black/10 bg-black/[0.02] px-3 py-2 text-sm text-black/60">
-              {tab === "Pending" ? "Pending only" : tab === "Approved" ? "Approved only" : "Enrolled only"}
-            </div>
+            {tab === "Pending" ? (
+              <select
+                value={fStatus}
+                onChange={(e) => setFStatus(e.target.value)}
+                className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              >
+                <option value="All">All open</option>
+                <option value="Pending">Pending</option>
+                <option value={INCOMPLETE_STATUS}>Incomplete requirements</option>
+              </select>
+            ) : (
+              <div className="mt-1 w-full rounded-xl border border-black/10 bg-black/[0.02] px-3 py-2 text-sm text-black/60">
+                {tab === "Approved" ? "Approved only" : "Enrolled only"}
+              </div>
+            )}
           </Field>
 
           <Field label="Grade Level (optional)">
@@ -915,7 +1070,7 @@ export default function Enrollment() {
           </Field>
 
           {/* Keep Track filter available (optional) for narrowing strand list, but you can remove if you want */}
-          <div className="md:col-span-4">
+          <div className={tab === "Pending" ? "md:col-span-2" : "md:col-span-4"}>
             <Field label="Track (optional — narrows Strand list)">
               <select
                 value={fTrack}
@@ -931,6 +1086,28 @@ export default function Enrollment() {
               </select>
             </Field>
           </div>
+
+          {tab === "Pending" ? (
+            <div className="md:col-span-2">
+              <Field label="Blocked on document">
+                <select
+                  value={fBlocked}
+                  onChange={(e) => setFBlocked(e.target.value)}
+                  className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                >
+                  <option value="All">All</option>
+                  <option value="any">Any unverified document</option>
+                  {activeRequirements
+                    .filter((r) => r.is_required)
+                    .map((r) => (
+                      <option key={r.requirement_id} value={r.requirement_id}>
+                        {r.label}
+                      </option>
+                    ))}
+                </select>
+              </Field>
+            </div>
+          ) : null}
         </div>
       </div>
 
@@ -971,6 +1148,7 @@ export default function Enrollment() {
                   <th className="px-4 py-3 font-semibold">Email</th>
                   <th className="px-4 py-3 font-semibold">Grade</th>
                   <th className="px-4 py-3 font-semibold">Strand</th>
+                  <th className="px-4 py-3 font-semibold">Requirements</th>
                   <th className="px-4 py-3 font-semibold">Status</th>
                   <th className="px-4 py-3 font-semibold text-right">Actions</th>
                 </tr>
@@ -984,8 +1162,20 @@ export default function Enrollment() {
                     <td className="px-4 py-3 text-black/70">{r.st_email || "-"}</td>
                     <td className="px-4 py-3 text-black/70">{gradeMap.get(String(r.grade_id || "")) || "-"}</td>
                     <td className="px-4 py-3 text-black/70">{strandMap.get(String(r.strand_id || "")) || "-"}</td>
+                    <td className="px-4 py-3">
+                      <RequirementsCell summary={checklistMap.get(String(r.application_id))} />
+                    </td>
                     <td className="px-4 py-3">
                       <StatusPill value={r.st_application_status || "Pending"} />
+                      {r.st_flagged_fields?.length ? (
+                        <div className="mt-1 text-[11px] font-semibold text-amber-700" title={r.st_flagged_fields.map(fieldLabel).join(", ")}>
+                          Corrections requested ({r.st_flagged_fields.length})
+                        </div>
+                      ) : r.st_corrected_at ? (
+                        <div className="mt-1 text-[11px] font-semibold text-emerald-700">
+                          Corrected {new Date(r.st_corrected_at).toLocaleDateString()}
+                        </div>
+                      ) : null}
                     </td>
 
                     <td className="px-4 py-3">
@@ -996,6 +1186,14 @@ export default function Enrollment() {
                               <Pencil className="h-5 w-5" />
                             </IconBtn>
 
+                            <IconBtn title="Requirements checklist" onClick={() => setReqModalRow(r)} tone="gold" disabled={busy}>
+                              <ClipboardCheck className="h-5 w-5" />
+                            </IconBtn>
+
+                            <IconBtn title="Request corrections / reject" onClick={() => setFeedbackRow(r)} tone="gold" disabled={busy}>
+                              <MessageSquareWarning className="h-5 w-5" />
+                            </IconBtn>
+
                             {tab === "Pending" ? (
                               <button
                                 type="button"
@@ -1047,7 +1245,7 @@ export default function Enrollment() {
 
                 {shownEnrollmentRows.length === 0 ? (
                   <tr>
-                    <td colSpan={7} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                    <td colSpan={8} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
                       No records found.
                     </td>
                   </tr>
@@ -1108,6 +1306,11 @@ export default function Enrollment() {
                         <RefreshCcw className="h-5 w-5" />
                       </IconBtn>
 
+                      {/* Signed-in devices / remote sign-out */}
+                      <IconBtn title="Devices & sessions" onClick={() => setSessionsStudent(s)} disabled={busy || !s.user_id}>
+                        <Monitor className="h-5 w-5" />
+                      </IconBtn>
+
                       {/* ✅ Archive / Restore (icon) */}
                       {scope === "Active" ? (
                         <IconBtn title="Archive (disable access)" onClick={() => onArchiveStudent(s)} tone="danger" disabled={busy}>
@@ -1152,6 +1355,94 @@ export default function Enrollment() {
         />
       ) : null}
 
+      {/* Requirements checklist for one application */}
+      {reqModalRow ? (
+        <RequirementsModal
+          row={reqModalRow}
+          checklist={checklistMap.get(String(reqModalRow.application_id))?.checklist ?? []}
+          toast={toast}
+          onClose={() => setReqModalRow(null)}
+          onChanged={async () => {
+            await qc.invalidateQueries({ queryKey: ["enrollment_documents"] });
+            await qc.invalidateQueries({ queryKey: ["enrollment"] });
+          }}
+        />
+      ) : null}
+
+      {/* Flag fields for correction / reject with reason */}
+      {feedbackRow ? (
+        <FeedbackModal
+          row={feedbackRow}
+          toast={toast}
+          onClose={() => setFeedbackRow(null)}
+          onChanged={async () => {
+            await qc.invalidateQueries({ queryKey: ["enrollment"] });
+          }}
+        />
+      ) : null}
+
+      {/* Parent / guardian link requests */}
+      {guardianLinksOpen ? (
+        <GuardianLinksModal
+          toast={toast}
+          onClose={() => setGuardianLinksOpen(false)}
+          onChanged={async () => {
+            await qc.invalidateQueries({ queryKey: ["guardian_links"] });
+          }}
+        />
+      ) : null}
+
+      {/* Signed-in devices of a student */}
+      <UserSessionsModal
+        open={!!sessionsStudent}
+        userId={sessionsStudent?.user_id}
+        title={sessionsStudent ? `${studentName(sessionsStudent)} • ${sessionsStudent.student_number || ""}` : ""}
+        onClose={() => setSessionsStudent(null)}
+        confirm={toast.confirm}
+        onRevoked={(count) =>
+          toast.push({ tone: "success", title: "Signed out", message: `${count} session(s) ended.` })
+        }
+      />
+
+      {/* Student sign-in lockouts */}
+      {loginLocksOpen ? (
+        <LoginLocksModal
+          toast={toast}
+          onClose={() => setLoginLocksOpen(false)}
+          onChanged={async () => {
+            await qc.invalidateQueries({ queryKey: ["login_locks"] });
+          }}
+        />
+      ) : null}
+
+      {/* Requirements setup (which documents applicants owe) */}
+      {setupOpen ? (
+        <RequirementsSetupModal
+          requirements={requirements}
+          toast={toast}
+          onClose={() => setSetupOpen(false)}
+          onChanged={async () => {
+            await qc.invalidateQueries({ queryKey: ["enrollment_requirements"] });
+            await qc.invalidateQueries({ queryKey: ["enrollment"] });
+          }}
+        />
+      ) : null}
+
+      {/* ✅ Bulk import (CSV / XLSX) */}
+      {importOpen ? (
+        <ImportModal
+          existing={enrollmentRows}
+          grades={gradesQ.data ?? []}
+          tracks={tracksQ.data ?? []}
+          strands={strandsQ.data ?? []}
+          onClose={() => setImportOpen(false)}
+          onImported={async (count) => {
+            await qc.invalidateQueries({ queryKey: ["enrollment"] });
+            toast.push({ tone: "success", title: "Imported", message: `${count} application(s) added.` });
+          }}
+        />
+      ) : null}
+
       {/* ✅ Credentials-only modal (no class info mock) */}
       <AccessModal
         open={accessModalOpen}
@@ -1169,6 +1460,7 @@ export default function Enrollment() {
         row={viewModal.row}
         gradeLabel={gradeMap.get(String(viewModal.row?.grade_id || "")) || "—"}
         strandLabel={strandMap.get(String(viewModal.row?.strand_id || "")) || "—"}
+        toast={toast}
         onClose={() => setViewModal({ open: false, row: null })}
       />
     </div>
@@ -1489,6 +1781,335 @@ function StudentModal({ mode, row, tracks, grades, strands, onClose, onCreate, o
 
 /* ================= Modals ================= */
 
+/* ---------------- Import (CSV / XLSX) ---------------- */
+
+function ImportModal({ existing, grades, tracks, strands, onClose, onImported }) {
+  const [step, setStep] = useState("upload"); // upload | map | preview | done
+  const [fileName, setFileName] = useState("");
+  const [sheet, setSheet] = useState({ headers: [], rows: [] });
+  const [mapping, setMapping] = useState({});
+  const [results, setResults] = useState([]);
+  const [status, setStatus] = useState("Pending");
+  const [showAll, setShowAll] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [importedCount, setImportedCount] = useState(0);
+
+  const summary = useMemo(() => {
+    const rejected = results.filter((r) => r.errors.length).length;
+    const warned = results.filter((r) => !r.errors.length && r.warnings.length).length;
+    return { total: results.length, ready: results.length - rejected, rejected, warned };
+  }, [results]);
+
+  const previewRows = useMemo(() => {
+    const rows = showAll ? results : results.filter((r) => r.errors.length || r.warnings.length);
+    return rows.slice(0, 200);
+  }, [results, showAll]);
+
+  async function onFile(e) {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setBusy(true);
+    setErr("");
+    try {
+      const data = await readSpreadsheet(file);
+      if (!data.rows.length) throw new Error("The file has a header row but no data rows.");
+      setFileName(file.name);
+      setSheet(data);
+      setMapping(autoMapColumns(data.headers));
+      setStep("map");
+    } catch (e2) {
+      setErr(e2?.message || String(e2));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function setColumn(key, value) {
+    setMapping((m) => {
+      const next = { ...m };
+      if (value === "") delete next[key];
+      else next[key] = Number(value);
+      return next;
+    });
+  }
+
+  function runDryRun() {
+    setErr("");
+    setResults(
+      validateImportRows({
+        rows: sheet.rows,
+        mapping,
+        lookups: { grades, tracks, strands },
+        existing,
+      })
+    );
+    setShowAll(false);
+    setStep("preview");
+  }
+
+  async function doImport() {
+    setBusy(true);
+    setErr("");
+    try {
+      const count = await insertImportRows(results, { status });
+      setImportedCount(count);
+      setStep("done");
+      await onImported?.(count);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const missingRequired = IMPORT_FIELDS.filter((f) => f.required && mapping[f.key] == null);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={busy ? undefined : onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="flex max-h-[90vh] w-full max-w-4xl flex-col rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Import Applications</div>
+              <div className="text-xs text-black/60">
+                {step === "upload"
+                  ? "CSV or XLSX, one applicant per row. First row must be the column headers."
+                  : step === "map"
+                  ? `${fileName} — ${sheet.rows.length} row(s). Match each field to a column.`
+                  : step === "preview"
+                  ? "Dry run — nothing has been saved yet."
+                  : "Import finished."}
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              disabled={busy}
+              className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5 disabled:opacity-60"
+              type="button"
+            >
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="flex-1 space-y-4 overflow-y-auto p-4">
+            {err ? (
+              <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">{err}</div>
+            ) : null}
+
+            {step === "upload" ? (
+              <div className="space-y-3">
+                <label className="flex cursor-pointer flex-col items-center justify-center gap-2 rounded-2xl border-2 border-dashed border-black/10 bg-black/[0.02] p-8 text-center hover:bg-black/[0.03]">
+                  <FileSpreadsheet className="h-8 w-8 text-[#6B4E2E]" />
+                  <div className="text-sm font-extrabold">{busy ? "Reading file…" : "Choose a .csv or .xlsx file"}</div>
+                  <div className="text-xs text-black/55">Up to 2,000 rows per import.</div>
+                  <input type="file" accept=".csv,.xlsx,text/csv" className="hidden" onChange={onFile} disabled={busy} />
+                </label>
+                <button
+                  type="button"
+                  onClick={() => downloadText("enrollment-import-template.csv", importTemplateCsv())}
+                  className="inline-flex items-center gap-2 text-xs font-semibold text-[#6B4E2E] hover:underline"
+                >
+                  <Download className="h-4 w-4" />
+                  Download blank template
+                </button>
+              </div>
+            ) : null}
+
+            {step === "map" ? (
+              <Section title="Column mapping">
+                <div className="grid gap-3 md:grid-cols-3">
+                  {IMPORT_FIELDS.map((f) => (
+                    <Select
+                      key={f.key}
+                      label={`${f.label}${f.required ? " *" : ""}`}
+                      value={mapping[f.key] ?? ""}
+                      onChange={(e) => setColumn(f.key, e.target.value)}
+                    >
+                      <option value="">— not mapped —</option>
+                      {sheet.headers.map((h, i) => (
+                        <option key={i} value={i}>
+                          {h || `Column ${i + 1}`}
+                        </option>
+                      ))}
+                    </Select>
+                  ))}
+                </div>
+                {missingRequired.length ? (
+                  <div className="mt-3 text-xs text-rose-700">
+                    Not mapped: {missingRequired.map((f) => f.label).join(", ")}. Every row will be rejected until these are
+                    mapped.
+                  </div>
+                ) : null}
+                <div className="mt-2 text-[11px] text-black/55">
+                  Application ID is optional — blank rows get the next ID automatically. Grade, track and strand accept the
+                  code or description (e.g. 11, STEM).
+                </div>
+              </Section>
+            ) : null}
+
+            {step === "preview" ? (
+              <>
+                <div className="grid gap-3 sm:grid-cols-4">
+                  <Info label="Rows" value={String(summary.total)} />
+                  <Info label="Ready to import" value={String(summary.ready)} />
+                  <Info label="Rejected" value={String(summary.rejected)} />
+                  <Info label="With warnings" value={String(summary.warned)} />
+                </div>
+
+                <div className="flex flex-wrap items-center justify-between gap-2">
+                  <label className="inline-flex items-center gap-2 text-xs font-semibold text-black/60">
+                    <input type="checkbox" checked={showAll} onChange={(e) => setShowAll(e.target.checked)} />
+                    Show all rows (default: only rows with errors or warnings)
+                  </label>
+                  <button
+                    type="button"
+                    onClick={() =>
+                      downloadText("enrollment-import-errors.csv", buildErrorReportCsv(sheet.headers, results, { includeValid: showAll }))
+                    }
+                    disabled={!summary.rejected && !summary.warned && !showAll}
+                    className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+                  >
+                    <Download className="h-4 w-4" />
+                    Download error report
+                  </button>
+                </div>
+
+                <div className="overflow-x-auto rounded-2xl border border-black/10">
+                  <table className="w-full text-left text-xs">
+                    <thead className="bg-black/[0.02] text-black/60">
+                      <tr>
+                        <th className="px-3 py-2 font-semibold">Row</th>
+                        <th className="px-3 py-2 font-semibold">Name</th>
+                        <th className="px-3 py-2 font-semibold">LRN</th>
+                        <th className="px-3 py-2 font-semibold">Result</th>
+                        <th className="px-3 py-2 font-semibold">Issues</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {previewRows.map((r) => (
+                        <tr key={r.rowNumber} className="border-t border-black/5 align-top">
+                          <td className="px-3 py-2 font-mono">{r.rowNumber}</td>
+                          <td className="px-3 py-2">{r.payload.st_lname || r.payload.st_fname ? fullName(r.payload) : "—"}</td>
+                          <td className="px-3 py-2 font-mono">{r.payload.st_lrn || "—"}</td>
+                          <td className="px-3 py-2">
+                            <StatusPill value={r.errors.length ? "Rejected" : "OK"} />
+                          </td>
+                          <td className="px-3 py-2">
+                            {r.errors.map((m, i) => (
+                              <div key={`e${i}`} className="text-rose-700">
+                                {m}
+                              </div>
+                            ))}
+                            {r.warnings.map((m, i) => (
+                              <div key={`w${i}`} className="text-[#6B4E2E]">
+                                {m}
+                              </div>
+                            ))}
+                            {!r.errors.length && !r.warnings.length ? <span className="text-black/40">—</span> : null}
+                          </td>
+                        </tr>
+                      ))}
+                      {!previewRows.length ? (
+                        <tr>
+                          <td colSpan={5} className="px-3 py-6 text-center text-black/55">
+                            No problems found. All rows are ready to import.
+                          </td>
+                        </tr>
+                      ) : null}
+                    </tbody>
+                  </table>
+                </div>
+                {results.length > 200 && previewRows.length === 200 ? (
+                  <div className="text-[11px] text-black/55">Showing the first 200 rows. The error report has all of them.</div>
+                ) : null}
+
+                <div className="max-w-xs">
+                  <Select label="Import as" value={status} onChange={(e) => setStatus(e.target.value)}>
+                    <option value="Pending">Pending</option>
+                    <option value="Approved">Approved</option>
+                  </Select>
+                </div>
+              </>
+            ) : null}
+
+            {step === "done" ? (
+              <div className="flex flex-col items-center gap-2 py-6 text-center">
+                <CheckCircle2 className="h-10 w-10 text-[#6B4E2E]" />
+                <div className="text-sm font-extrabold">
+                  {importedCount} application(s) imported as {status}.
+                </div>
+                {summary.rejected ? (
+                  <div className="text-xs text-black/60">
+                    {summary.rejected} row(s) were skipped. Download the error report, fix them and import that file again.
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-2 border-t border-black/10 p-4">
+            {step === "map" ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setStep("upload")}
+                  className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02]"
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={runDryRun}
+                  className="rounded-xl bg-[#C9A227] px-4 py-2 text-sm font-extrabold text-black hover:opacity-95"
+                >
+                  Run dry run
+                </button>
+              </>
+            ) : null}
+
+            {step === "preview" ? (
+              <>
+                <button
+                  type="button"
+                  onClick={() => setStep("map")}
+                  disabled={busy}
+                  className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+                >
+                  Back to mapping
+                </button>
+                <button
+                  type="button"
+                  onClick={doImport}
+                  disabled={busy || !summary.ready}
+                  className="inline-flex items-center gap-2 rounded-xl bg-[#C9A227] px-4 py-2 text-sm font-extrabold text-black hover:opacity-95 disabled:opacity-60"
+                >
+                  <Upload className="h-4 w-4" />
+                  {busy ? "Importing…" : `Import ${summary.ready} row(s)`}
+                </button>
+              </>
+            ) : null}
+
+            {step === "done" || step === "upload" ? (
+              <button
+                type="button"
+                onClick={onClose}
+                disabled={busy}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+              >
+                Close
+              </button>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
 function AccessModal({ open, data, onClose, onCopy }) {
   if (!open) return null;
 
@@ -1545,9 +2166,32 @@ function AccessModal({ open, data, onClose, onCopy }) {
   );
 }
 
-function StudentDetailsModal({ open, row, gradeLabel, strandLabel, onClose }) {
+function StudentDetailsModal({ open, row, gradeLabel, strandLabel, toast, onClose }) {
+  const [printing, setPrinting] = useState(false);
+
   if (!open || !row) return null;
 
+  // Form 137: every school year + subjects + final grades, registered under a verifiable document ID.
+  async function downloadTranscript() {
+    setPrinting(true);
+    try {
+      const transcript = await fetchTranscript(row);
+      const issued = await issueTranscript(transcript);
+
+      const { data: auth } = await supabase.auth.getUser();
+      const { data: me } = auth?.user?.id
+        ? await supabase.from("profiles").select("full_name").eq("user_id", auth.user.id).maybeSingle()
+        : { data: null };
+
+      buildTranscriptPdf({ transcript, document: issued, registrar: me?.full_name || "" }).save(transcriptFileName(transcript, issued));
+      toast.push({ tone: "success", title: "Form 137 issued", message: `Document ID ${issued.document_id}` });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Transcript failed", message: String(e?.message || e) });
+    } finally {
+      setPrinting(false);
+    }
+  }
+
   return (
     <>
       <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
@@ -1573,6 +2217,16 @@ function StudentDetailsModal({ open, row, gradeLabel, strandLabel, onClose }) {
           </div>
 
           <div className="flex justify-end gap-2 border-t border-black/10 p-4">
+            <button
+              type="button"
+              onClick={downloadTranscript}
+              disabled={printing}
+              className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02] disabled:opacity-60"
+              title="Permanent record with every school year, subjects and final grades"
+            >
+              <FileText className="h-4 w-4 text-black/60" />
+              {printing ? "Generating…" : "Form 137 (PDF)"}
+            </button>
             <button
               type="button"
               onClick={onClose}
@@ -1596,6 +2250,749 @@ function Info({ label, value, mono }) {
   );
 }
 
+/* ================= Requirements checklist ================= */
+
+const DOC_STATE = {
+  missing: { label: "Missing", cls: "bg-rose-500/10 text-rose-700" },
+  rejected: { label: "Rejected", cls: "bg-rose-500/10 text-rose-700" },
+  submitted: { label: "For verification", cls: "bg-[#C9A227]/10 text-[#6B4E2E]" },
+  verified: { label: "Verified", cls: "bg-emerald-500/10 text-emerald-700" },
+};
+
+function DocStatePill({ state }) {
+  const s = DOC_STATE[state] || DOC_STATE.missing;
+  return <span className={`inline-flex rounded-full px-2.5 py-0.5 text-[11px] font-semibold ${s.cls}`}>{s.label}</span>;
+}
+
+// Table cell: "2/4 verified" + the documents still blocking approval.
+function RequirementsCell({ summary }) {
+  if (!summary || !summary.required) return <span className="text-xs text-black/45">—</span>;
+
+  return (
+    <div className="space-y-1">
+      <div className="text-xs font-extrabold text-black/70">
+        {summary.verified}/{summary.required} verified
+      </div>
+      {summary.blocking.length ? (
+        <div className="flex flex-wrap gap-1">
+          {summary.blocking.map((c) => (
+            <span
+              key={c.requirement.requirement_id}
+              title={DOC_STATE[c.state]?.label}
+              className={`inline-flex rounded-full px-2 py-0.5 text-[11px] font-semibold ${DOC_STATE[c.state]?.cls || ""}`}
+            >
+              {c.requirement.label}
+            </span>
+          ))}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function RequirementsModal({ row, checklist, toast, onClose, onChanged }) {
+  const [busyId, setBusyId] = useState(null);
+  const [notes, setNotes] = useState({});
+
+  async function run(requirementId, fn, success) {
+    setBusyId(requirementId);
+    try {
+      await fn();
+      await onChanged?.();
+      if (success) toast.push({ tone: "success", title: success.title, message: success.message });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Update failed", message: String(e?.message || e) });
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  async function openFile(doc) {
+    try {
+      const url = await signedDocumentUrl(doc.file_path);
+      if (url) window.open(url, "_blank", "noopener");
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Open failed", message: String(e?.message || e) });
+    }
+  }
+
+  function review(item, status) {
+    const requirementId = item.requirement.requirement_id;
+    const note = notes[requirementId] ?? "";
+    if (status === "Rejected" && !note.trim()) {
+      toast.push({ tone: "danger", title: "Reason required", message: "Add a note so the applicant knows what to fix." });
+      return;
+    }
+    run(
+      requirementId,
+      () => reviewDocument({ applicationId: row.application_id, requirementId, status, note }),
+      { title: status === "Verified" ? "Verified" : "Rejected", message: item.requirement.label }
+    );
+  }
+
+  function upload(item, file) {
+    if (!file) return;
+    run(
+      item.requirement.requirement_id,
+      () => uploadDocumentForApplicant({ applicationId: row.application_id, requirement: item.requirement, file }),
+      { title: "Uploaded", message: `${item.requirement.label} is ready for verification.` }
+    );
+  }
+
+  const summary = checklistSummary(checklist);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-3xl rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Requirements</div>
+              <div className="text-xs text-black/60">
+                {row.application_id} • {fullName(row)}
+              </div>
+              <div className="mt-1 text-xs font-bold text-black/60">
+                {summary.verified}/{summary.required} required documents verified
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="max-h-[70vh] space-y-3 overflow-auto p-4">
+            {checklist.length === 0 ? (
+              <div className="rounded-xl border border-black/10 bg-black/[0.02] p-4 text-sm text-black/60">
+                No active requirements. Use the Requirements button to set up the checklist.
+              </div>
+            ) : null}
+
+            {checklist.map((item) => {
+              const r = item.requirement;
+              const doc = item.document;
+              const working = busyId === r.requirement_id;
+
+              return (
+                <div key={r.requirement_id} className="rounded-2xl border border-black/10 bg-white p-4">
+                  <div className="flex flex-wrap items-start justify-between gap-3">
+                    <div className="min-w-0">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-sm font-extrabold">{r.label}</span>
+                        {r.is_required ? (
+                          <span className="rounded-full bg-black/5 px-2 py-0.5 text-[11px] font-semibold text-black/60">Required</span>
+                        ) : (
+                          <span className="rounded-full bg-black/5 px-2 py-0.5 text-[11px] font-semibold text-black/45">Optional</span>
+                        )}
+                        <DocStatePill state={item.state} />
+                      </div>
+                      {doc?.file_path ? (
+                        <button
+                          type="button"
+                          onClick={() => openFile(doc)}
+                          className="mt-1 inline-flex items-center gap-1 text-xs font-semibold text-[#6B4E2E] hover:underline"
+                        >
+                          <FileText className="h-3.5 w-3.5" />
+                          {doc.file_name || "View file"}
+                        </button>
+                      ) : doc?.status === "Verified" ? (
+                        <div className="mt-1 text-xs text-black/55">Received on-site</div>
+                      ) : (
+                        <div className="mt-1 text-xs text-black/55">No file uploaded</div>
+                      )}
+                      {doc?.note ? <div className="mt-1 text-xs text-rose-700">Note: {doc.note}</div> : null}
+                    </div>
+
+                    <div className="flex flex-wrap items-center gap-2">
+                      <label
+                        className={`inline-flex cursor-pointer items-center gap-1 rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/[0.02] ${
+                          working ? "pointer-events-none opacity-60" : ""
+                        }`}
+                        title="Upload a copy on the applicant's behalf"
+                      >
+                        <Upload className="h-3.5 w-3.5" />
+                        Upload
+                        <input
+                          type="file"
+                          accept="image/*,application/pdf"
+                          className="hidden"
+                          onChange={(e) => {
+                            upload(item, e.target.files?.[0]);
+                            e.target.value = "";
+                          }}
+                        />
+                      </label>
+                      <button
+                        type="button"
+                        disabled={working || item.state === "verified"}
+                        onClick={() => review(item, "Verified")}
+                        className="rounded-xl bg-[#C9A227] px-3 py-2 text-xs font-extrabold text-black disabled:opacity-50"
+                        title={doc?.file_path ? "Mark as verified" : "Verify (paper copy received on-site)"}
+                      >
+                        Verify
+                      </button>
+                      <button
+                        type="button"
+                        disabled={working || item.state === "missing"}
+                        onClick={() => review(item, "Rejected")}
+                        className="rounded-xl bg-rose-600 px-3 py-2 text-xs font-extrabold text-white disabled:opacity-50"
+                        title="Reject with a note"
+                      >
+                        Reject
+                      </button>
+                    </div>
+                  </div>
+
+                  <input
+                    value={notes[r.requirement_id] ?? ""}
+                    onChange={(e) => setNotes((p) => ({ ...p, [r.requirement_id]: e.target.value }))}
+                    placeholder="Note for the applicant (required when rejecting)"
+                    className="mt-3 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-xs outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                  />
+                </div>
+              );
+            })}
+          </div>
+
+          <div className="flex justify-end gap-2 border-t border-black/10 p-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-xl bg-[#C9A227] px-4 py-2 text-sm font-extrabold text-black hover:opacity-95"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function RequirementsSetupModal({ requirements, toast, onClose, onChanged }) {
+  const [rows, setRows] = useState(() => requirements.map((r) => ({ ...r })));
+  const [draft, setDraft] = useState({ label: "", description: "", is_required: true, is_active: true });
+  const [busy, setBusy] = useState(false);
+
+  function patch(id, p) {
+    setRows((prev) => prev.map((r) => (r.requirement_id === id ? { ...r, ...p } : r)));
+  }
+
+  async function save(row) {
+    setBusy(true);
+    try {
+      await saveRequirement(row);
+      await onChanged?.();
+      toast.push({ tone: "success", title: "Saved", message: row.label });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Save failed", message: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function add() {
+    if (!draft.label.trim()) return;
+    const nextOrder = Math.max(0, ...rows.map((r) => Number(r.sort_order) || 0)) + 10;
+    setBusy(true);
+    try {
+      await saveRequirement({ ...draft, sort_order: nextOrder });
+      const fresh = await fetchRequirements();
+      setRows(fresh.map((r) => ({ ...r })));
+      setDraft({ label: "", description: "", is_required: true, is_active: true });
+      await onChanged?.();
+      toast.push({ tone: "success", title: "Added", message: draft.label.trim() });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Add failed", message: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-3xl rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Enrollment Requirements</div>
+              <div className="text-xs text-black/60">
+                Required documents must be verified before an application can be approved. Inactive ones are hidden from Pre-enroll.
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="max-h-[70vh] space-y-3 overflow-auto p-4">
+            {rows.map((r) => (
+              <div key={r.requirement_id} className="grid gap-3 rounded-2xl border border-black/10 bg-white p-3 md:grid-cols-12 md:items-end">
+                <div className="md:col-span-4">
+                  <Input label="Label" value={r.label} onChange={(e) => patch(r.requirement_id, { label: e.target.value })} />
+                </div>
+                <div className="md:col-span-4">
+                  <Input
+                    label="Hint for applicants"
+                    value={r.description || ""}
+                    onChange={(e) => patch(r.requirement_id, { description: e.target.value })}
+                  />
+                </div>
+                <div className="md:col-span-1">
+                  <Input
+                    label="Order"
+                    type="number"
+                    value={r.sort_order}
+                    onChange={(e) => patch(r.requirement_id, { sort_order: e.target.value })}
+                  />
+                </div>
+                <div className="flex flex-col gap-1 text-xs font-semibold text-black/60 md:col-span-2">
+                  <label className="inline-flex items-center gap-2">
+                    <input type="checkbox" checked={!!r.is_required} onChange={(e) => patch(r.requirement_id, { is_required: e.target.checked })} />
+                    Required
+                  </label>
+                  <label className="inline-flex items-center gap-2">
+                    <input type="checkbox" checked={!!r.is_active} onChange={(e) => patch(r.requirement_id, { is_active: e.target.checked })} />
+                    Active
+                  </label>
+                </div>
+                <div className="md:col-span-1 flex justify-end">
+                  <IconBtn title="Save" onClick={() => save(r)} tone="gold" disabled={busy}>
+                    <Save className="h-5 w-5" />
+                  </IconBtn>
+                </div>
+              </div>
+            ))}
+
+            <Section title="Add requirement">
+              <div className="grid gap-3 md:grid-cols-12 md:items-end">
+                <div className="md:col-span-4">
+                  <Input label="Label" value={draft.label} onChange={(e) => setDraft((d) => ({ ...d, label: e.target.value }))} />
+                </div>
+                <div className="md:col-span-5">
+                  <Input
+                    label="Hint for applicants"
+                    value={draft.description}
+                    onChange={(e) => setDraft((d) => ({ ...d, description: e.target.value }))}
+                  />
+                </div>
+                <label className="inline-flex items-center gap-2 text-xs font-semibold text-black/60 md:col-span-2">
+                  <input
+                    type="checkbox"
+                    checked={draft.is_required}
+                    onChange={(e) => setDraft((d) => ({ ...d, is_required: e.target.checked }))}
+                  />
+                  Required
+                </label>
+                <div className="md:col-span-1 flex justify-end">
+                  <IconBtn title="Add" onClick={add} tone="gold" disabled={busy || !draft.label.trim()}>
+                    <Plus className="h-5 w-5" />
+                  </IconBtn>
+                </div>
+              </div>
+            </Section>
+          </div>
+
+          <div className="flex justify-end gap-2 border-t border-black/10 p-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-xl bg-[#C9A227] px-4 py-2 text-sm font-extrabold text-black hover:opacity-95"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function FeedbackModal({ row, toast, onClose, onChanged }) {
+  const [fields, setFields] = useState(() => row.st_flagged_fields ?? []);
+  const [note, setNote] = useState(row.st_correction_note || "");
+  const [busy, setBusy] = useState(false);
+
+  function toggle(key) {
+    setFields((prev) => (prev.includes(key) ? prev.filter((k) => k !== key) : [...prev, key]));
+  }
+
+  async function run(fn, success) {
+    setBusy(true);
+    try {
+      await fn();
+      await onChanged?.();
+      toast.push({ tone: "success", title: success.title, message: success.message });
+      onClose();
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Update failed", message: String(e?.message || e) });
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onReject() {
+    if (!note.trim()) {
+      toast.push({ tone: "danger", title: "Reason required", message: "The applicant sees this reason on the status page." });
+      return;
+    }
+    const ok = await toast.confirm({
+      title: "Reject application?",
+      message: "The applicant will see the reason when they check their status.",
+      confirmText: "Reject",
+      cancelText: "Cancel",
+      tone: "danger",
+    });
+    if (!ok) return;
+    run(() => rejectApplication({ id: row.id, reason: note }), { title: "Rejected", message: row.application_id });
+  }
+
+  function onRequest() {
+    run(() => requestCorrections({ id: row.id, fields, note }), {
+      title: fields.length ? "Corrections requested" : "Flags cleared",
+      message: fields.length ? `${fields.length} field(s) sent back to the applicant.` : row.application_id,
+    });
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-2xl rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Applicant Feedback</div>
+              <div className="text-xs text-black/60">
+                {row.application_id} • {fullName(row)}
+              </div>
+              <div className="mt-1 text-xs text-black/55">
+                Flagged fields can be fixed by the applicant on the public status page (no new application needed).
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="max-h-[70vh] space-y-4 overflow-auto p-4">
+            <Section title="Fields to correct">
+              <div className="grid gap-2 sm:grid-cols-2">
+                {CORRECTABLE_FIELDS.map((f) => (
+                  <label key={f.key} className="inline-flex items-center gap-2 text-sm">
+                    <input type="checkbox" checked={fields.includes(f.key)} onChange={() => toggle(f.key)} />
+                    <span>{f.label}</span>
+                    <span className="truncate text-xs text-black/45">{String(row[f.key] ?? "") || "—"}</span>
+                  </label>
+                ))}
+              </div>
+            </Section>
+
+            <label className="block">
+              <span className="text-xs font-semibold text-black/55">Note / rejection reason (shown to the applicant)</span>
+              <textarea
+                value={note}
+                onChange={(e) => setNote(e.target.value)}
+                rows={3}
+                className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              />
+            </label>
+          </div>
+
+          <div className="flex flex-wrap justify-end gap-2 border-t border-black/10 p-4">
+            <button
+              type="button"
+              onClick={onReject}
+              disabled={busy}
+              className="rounded-xl bg-rose-600 px-4 py-2 text-sm font-extrabold text-white disabled:opacity-60"
+            >
+              Reject Application
+            </button>
+            <button
+              type="button"
+              onClick={onRequest}
+              disabled={busy}
+              className="rounded-xl bg-[#C9A227] px-4 py-2 text-sm font-extrabold text-black hover:opacity-95 disabled:opacity-60"
+            >
+              {fields.length ? "Request Corrections" : "Clear Flags"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/**
+ * Guardian portal link requests. The guardian proved the student number, LRN and birthdate;
+ * the registrar compares the requester with the guardian named on the enrollment form.
+ */
+function GuardianLinksModal({ toast, onClose, onChanged }) {
+  const [status, setStatus] = useState("Pending");
+  const [busyId, setBusyId] = useState(null);
+
+  const linksQ = useQuery({
+    queryKey: ["guardian_links", status],
+    queryFn: () => fetchGuardianLinks({ status: status === "All" ? null : status }),
+  });
+  const links = linksQ.data ?? [];
+
+  const onFileQ = useQuery({
+    queryKey: ["guardian_links_on_file", links.map((l) => l.students?.user_id).join(",")],
+    queryFn: () => fetchEnrollmentGuardians(links.map((l) => l.students?.user_id)),
+    enabled: links.length > 0,
+  });
+
+  async function review(link, next) {
+    if (next === "Revoked") {
+      const ok = await toast.confirm({
+        title: "Revoke guardian access?",
+        message: `${link.guardian_name || link.guardian_email} will no longer see ${studentName(link.students || {})}'s records.`,
+        confirmText: "Revoke",
+        cancelText: "Cancel",
+        tone: "danger",
+      });
+      if (!ok) return;
+    }
+
+    setBusyId(link.link_id);
+    try {
+      await reviewGuardianLink({ linkId: link.link_id, status: next });
+      await onChanged?.();
+      toast.push({
+        tone: "success",
+        title: next === "Active" ? "Link approved" : "Link revoked",
+        message: `${link.guardian_name || link.guardian_email} • ${studentName(link.students || {})}`,
+      });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Update failed", message: String(e?.message || e) });
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-4xl rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Guardian Links</div>
+              <div className="mt-1 text-xs text-black/55">
+                Active links give read-only access to the student&apos;s schedule, announcements, attendance and grades.
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <select
+                value={status}
+                onChange={(e) => setStatus(e.target.value)}
+                className="rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              >
+                {["All", ...LINK_STATUSES].map((s) => (
+                  <option key={s} value={s}>
+                    {s}
+                  </option>
+                ))}
+              </select>
+              <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+                <X className="h-5 w-5 text-black/60" />
+              </button>
+            </div>
+          </div>
+
+          <div className="max-h-[70vh] overflow-auto p-4">
+            {linksQ.isLoading ? (
+              <div className="text-sm text-black/55">Loading…</div>
+            ) : linksQ.isError ? (
+              <div className="text-sm text-rose-700">{String(linksQ.error?.message || linksQ.error)}</div>
+            ) : !links.length ? (
+              <div className="text-sm text-black/55">No {status === "All" ? "" : status.toLowerCase()} guardian links.</div>
+            ) : (
+              <table className="w-full text-left text-sm">
+                <thead className="text-xs text-black/55">
+                  <tr>
+                    <th className="py-2 pr-3 font-semibold">Student</th>
+                    <th className="py-2 pr-3 font-semibold">Requested by</th>
+                    <th className="py-2 pr-3 font-semibold">Guardian on enrollment form</th>
+                    <th className="py-2 pr-3 font-semibold">Status</th>
+                    <th className="py-2 text-right font-semibold">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {links.map((l) => {
+                    const onFile = onFileQ.data?.get(l.students?.user_id);
+                    const busy = busyId === l.link_id;
+                    return (
+                      <tr key={l.link_id} className="border-t border-black/10 align-top">
+                        <td className="py-2 pr-3">
+                          <div className="font-semibold">{studentName(l.students || {})}</div>
+                          <div className="text-xs text-black/55">{l.students?.student_number || "—"}</div>
+                        </td>
+                        <td className="py-2 pr-3">
+                          <div className="font-semibold">{l.guardian_name || "—"}</div>
+                          <div className="text-xs text-black/55">
+                            {l.guardian_email || "—"}
+                            {l.relationship ? ` • ${l.relationship}` : ""}
+                          </div>
+                          <div className="text-xs text-black/45">
+                            {l.requested_at ? new Date(l.requested_at).toLocaleString() : ""}
+                          </div>
+                        </td>
+                        <td className="py-2 pr-3">
+                          <div className="font-semibold">{onFile?.st_guardian_name || "—"}</div>
+                          <div className="text-xs text-black/55">
+                            {[onFile?.st_guardian_relationship, onFile?.st_guardian_contact].filter(Boolean).join(" • ") || "—"}
+                          </div>
+                        </td>
+                        <td className="py-2 pr-3">
+                          <StatusPill value={l.status} />
+                        </td>
+                        <td className="py-2">
+                          <div className="flex justify-end gap-2">
+                            {l.status !== "Active" ? (
+                              <IconBtn title="Approve" onClick={() => review(l, "Active")} disabled={busy}>
+                                <CheckCircle2 className="h-4 w-4" />
+                              </IconBtn>
+                            ) : null}
+                            {l.status !== "Revoked" ? (
+                              <IconBtn title="Revoke" onClick={() => review(l, "Revoked")} tone="danger" disabled={busy}>
+                                <X className="h-4 w-4" />
+                              </IconBtn>
+                            ) : null}
+                          </div>
+                        </td>
+                      </tr>
+                    );
+                  })}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function LoginLocksModal({ toast, onClose, onChanged }) {
+  const [busyId, setBusyId] = useState(null);
+
+  const locksQ = useQuery({
+    queryKey: ["login_locks"],
+    queryFn: () => fetchLoginLocks(),
+  });
+  const locks = locksQ.data ?? [];
+
+  async function unlock(row) {
+    const ok = await toast.confirm({
+      title: "Unlock sign-in?",
+      message: `Clear failed sign-ins for ${row.student_number} so the student can try again right away.`,
+      confirmText: "Unlock",
+      cancelText: "Cancel",
+      tone: "info",
+    });
+    if (!ok) return;
+
+    setBusyId(row.student_number);
+    try {
+      await unlockLogin(row.student_number);
+      await onChanged?.();
+      toast.push({ tone: "success", title: "Sign-in unlocked", message: row.student_number });
+    } catch (e) {
+      toast.push({ tone: "danger", title: "Unlock failed", message: String(e?.message || e) });
+    } finally {
+      setBusyId(null);
+    }
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-3xl rounded-2xl border border-black/10 bg-white shadow-xl">
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Sign-in Locks</div>
+              <div className="mt-1 text-xs text-black/55">
+                Repeated wrong passwords slow a student number down; the 10th in 15 minutes locks it for 15 minutes.
+              </div>
+            </div>
+            <div className="flex items-center gap-2">
+              <button
+                onClick={() => locksQ.refetch()}
+                className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5"
+                title="Refresh"
+                type="button"
+              >
+                <RefreshCcw className="h-4 w-4 text-black/60" />
+              </button>
+              <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+                <X className="h-5 w-5 text-black/60" />
+              </button>
+            </div>
+          </div>
+
+          <div className="max-h-[70vh] overflow-auto p-4">
+            {locksQ.isLoading ? (
+              <div className="text-sm text-black/55">Loading…</div>
+            ) : locksQ.isError ? (
+              <div className="text-sm text-rose-700">{String(locksQ.error?.message || locksQ.error)}</div>
+            ) : !locks.length ? (
+              <div className="text-sm text-black/55">No locked or throttled student accounts.</div>
+            ) : (
+              <table className="w-full text-left text-sm">
+                <thead className="text-xs text-black/55">
+                  <tr>
+                    <th className="py-2 pr-3 font-semibold">Student</th>
+                    <th className="py-2 pr-3 font-semibold">Failed</th>
+                    <th className="py-2 pr-3 font-semibold">Last attempt</th>
+                    <th className="py-2 pr-3 font-semibold">Status</th>
+                    <th className="py-2 text-right font-semibold">Actions</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {locks.map((l) => (
+                    <tr key={l.student_number} className="border-t border-black/10 align-top">
+                      <td className="py-2 pr-3">
+                        <div className="font-semibold">{l.last_name || l.first_name ? studentName(l) : "Unknown student number"}</div>
+                        <div className="text-xs text-black/55">{l.student_number}</div>
+                      </td>
+                      <td className="py-2 pr-3 font-semibold">{l.failed_count}</td>
+                      <td className="py-2 pr-3">
+                        <div>{l.last_failed_at ? new Date(l.last_failed_at).toLocaleString() : "—"}</div>
+                        <div className="text-xs text-black/45">{l.last_ip || ""}</div>
+                      </td>
+                      <td className="py-2 pr-3">
+                        {isLocked(l) ? (
+                          <span className="rounded-full bg-rose-500/10 px-2 py-0.5 text-xs font-extrabold text-rose-700">
+                            Locked until {new Date(l.locked_until).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" })}
+                          </span>
+                        ) : (
+                          <span className="rounded-full bg-[#C9A227]/10 px-2 py-0.5 text-xs font-extrabold text-[#6B4E2E]">
+                            Slowed down
+                          </span>
+                        )}
+                      </td>
+                      <td className="py-2">
+                        <div className="flex justify-end">
+                          <IconBtn title="Unlock" onClick={() => unlock(l)} disabled={busyId === l.student_number}>
+                            <LockOpen className="h-4 w-4" />
+                          </IconBtn>
+                        </div>
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            )}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
 /* ================= Small Components ================= */
 
 function Field({ label, children }) {
@@ -1674,7 +3071,10 @@ function StatusPill({ value }) {
       ? "bg-[#6B4E2E]/10 text-[#6B4E2E]"
       : v === "rejected"
       ? "bg-rose-500/10 text-rose-700"
+      : v === "incomplete"
+      ? "bg-amber-500/10 text-amber-700"
       : "bg-black/5 text-black/70";
 
-  return <span className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${cls}`}>{value}</span>;
+  const label = v === "incomplete" ? "Incomplete requirements" : value;
+  return <span className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${cls}`}>{label}</span>;
 }
@@ -0,0 +1,742 @@
+// src/Admin/AdminStudents/Rooms.jsx
+// Room & facility registry + per-room utilization timetable (section_schedules of the active SY + term).
+import React, { useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { Plus, Search, Pencil, Archive, ArchiveRestore, X, Save } from "lucide-react";
+import { supabase } from "../../lib/supabaseClient";
+import { DAYS, PERIODS } from "../../lib/timetable";
+import { ROOM_TYPES, fetchRooms, roomLabel, roomTypeLabel } from "../../lib/rooms";
+import { defaultTerm, fetchSchoolYearTerms, mergeTerms, termOptionLabel } from "../../lib/terms";
+
+// ====== UI THEME (White + Gold, minimal brown) ======
+const UI = {
+  pageBg: "bg-white",
+  panel: "bg-white",
+  border: "border-black/10",
+  text: "text-[#1F1A14]",
+  muted: "text-black/55",
+  gold: "text-[#C9A227]",
+  goldBg: "bg-[#C9A227]",
+  goldSoft: "bg-[#C9A227]/10",
+  brown: "text-[#6B4E2E]",
+};
+
+const WEEK_SLOTS = DAYS.length * PERIODS.length;
+
+function norm(s) {
+  return String(s || "").trim().toLowerCase();
+}
+
+function sbErrMsg(err) {
+  return String(err?.message || err || "Unknown error");
+}
+
+function sectionShort(sec) {
+  if (!sec) return "—";
+  const grade = sec.grade_levels?.grade_level;
+  const strand = sec.strands?.strand_code;
+  return [grade ? `G${grade}` : null, strand, sec.section_name].filter(Boolean).join(" ");
+}
+
+function pct(n) {
+  return `${Math.round(n * 100)}%`;
+}
+
+function TypePill({ value }) {
+  const cls =
+    value === "lab"
+      ? "bg-emerald-500/10 text-emerald-700"
+      : value === "gym"
+      ? "bg-[#6B4E2E]/10 text-[#6B4E2E]"
+      : value === "classroom"
+      ? "bg-[#C9A227]/10 text-[#C9A227]"
+      : "bg-black/5 text-black/70";
+  return <span className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${cls}`}>{roomTypeLabel(value)}</span>;
+}
+
+export default function Rooms() {
+  const qc = useQueryClient();
+
+  const [q, setQ] = useState("");
+  const [tab, setTab] = useState("Active"); // Active | Archived
+  const [fType, setFType] = useState("All");
+  const [termPick, setTermPick] = useState("");
+  const [roomPick, setRoomPick] = useState("");
+  const [modal, setModal] = useState({ open: false, mode: "create", row: null });
+
+  // ===== Role (admin vs super_admin) =====
+  const roleQ = useQuery({
+    queryKey: ["my_role"],
+    queryFn: async () => {
+      const { data: auth } = await supabase.auth.getUser();
+      const uid = auth?.user?.id;
+      if (!uid) return "anonymous";
+      const { data, error } = await supabase.from("profiles").select("role").eq("user_id", uid).single();
+      if (error) throw error;
+      return data?.role || "anonymous";
+    },
+  });
+
+  const myRole = roleQ.data || "anonymous";
+  const canWrite = myRole === "super_admin";
+
+  function requireSuperAdmin() {
+    if (!canWrite) throw new Error("Not allowed. Super Admin only.");
+  }
+
+  // ===== Lookups =====
+  const roomsQ = useQuery({
+    queryKey: ["rooms", "all"],
+    queryFn: () => fetchRooms({ includeArchived: true }),
+  });
+
+  const activeSyQ = useQuery({
+    queryKey: ["active_school_year"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("school_years")
+        .select("sy_id, sy_code, status, start_date")
+        .eq("status", "Active")
+        .order("start_date", { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0] || null;
+    },
+  });
+
+  const termsQ = useQuery({
+    queryKey: ["terms"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("terms")
+        .select("term_id, term_code, description")
+        .order("term_code", { ascending: true });
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const activeSy = activeSyQ.data;
+
+  const syTermsQ = useQuery({
+    queryKey: ["school_year_terms", activeSy?.sy_id],
+    enabled: !!activeSy?.sy_id,
+    queryFn: () => fetchSchoolYearTerms(activeSy.sy_id),
+  });
+
+  const terms = useMemo(() => mergeTerms(termsQ.data, syTermsQ.data), [termsQ.data, syTermsQ.data]);
+  const termId = termPick || defaultTerm(terms)?.term_id || "";
+
+  const bookingsQ = useQuery({
+    enabled: !!activeSy?.sy_id && !!termId,
+    queryKey: ["room_bookings", activeSy?.sy_id, termId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("section_schedules")
+        .select(
+          `
+          schedule_id,
+          room_id,
+          day_of_week,
+          period_no,
+          subjects:subject_id(subject_code, subject_title),
+          sections:section_id(section_name, grade_levels:grade_id(grade_level), strands:strand_id(strand_code))
+        `
+        )
+        .eq("sy_id", activeSy.sy_id)
+        .eq("term_id", termId)
+        .not("room_id", "is", null);
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const rows = useMemo(() => roomsQ.data ?? [], [roomsQ.data]);
+  const bookings = useMemo(() => bookingsQ.data ?? [], [bookingsQ.data]);
+
+  const usedByRoom = useMemo(() => {
+    const m = new Map();
+    for (const b of bookings) m.set(b.room_id, (m.get(b.room_id) || 0) + 1);
+    return m;
+  }, [bookings]);
+
+  const filtered = useMemo(() => {
+    const needle = norm(q);
+    return rows
+      .filter((r) => (tab === "Archived" ? r.is_archived : !r.is_archived))
+      .filter((r) => (fType === "All" ? true : r.room_type === fType))
+      .filter((r) => (needle ? norm(`${r.room_code} ${r.room_name || ""} ${r.building || ""}`).includes(needle) : true));
+  }, [rows, q, tab, fType]);
+
+  const activeRooms = useMemo(() => rows.filter((r) => !r.is_archived), [rows]);
+  const roomId = roomPick || activeRooms[0]?.room_id || "";
+  const selectedRoom = rows.find((r) => r.room_id === roomId) || null;
+
+  const roomGrid = useMemo(() => {
+    const m = new Map();
+    for (const b of bookings) {
+      if (b.room_id !== roomId) continue;
+      const k = `${b.day_of_week}|${Number(b.period_no)}`;
+      m.set(k, [...(m.get(k) || []), b]);
+    }
+    return m;
+  }, [bookings, roomId]);
+
+  const classSlotsQ = useQuery({
+    enabled: !!roomId,
+    queryKey: ["room_class_slots", roomId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("class_schedules")
+        .select("schedule_id, day_of_week, start_at, end_at, classes:class_id(class_code)")
+        .eq("room_id", roomId)
+        .eq("is_archived", false)
+        .order("day_of_week", { ascending: true })
+        .order("start_at", { ascending: true });
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  // ===== Mutations =====
+  const saveM = useMutation({
+    mutationFn: async ({ id, values }) => {
+      requireSuperAdmin();
+      const payload = {
+        room_code: String(values.room_code || "").trim(),
+        room_name: String(values.room_name || "").trim() || null,
+        room_type: values.room_type,
+        capacity: String(values.capacity ?? "").trim() === "" ? null : Number(values.capacity),
+        building: String(values.building || "").trim() || null,
+        notes: String(values.notes || "").trim() || null,
+      };
+
+      const dup = rows.some((r) => r.room_id !== id && norm(r.room_code) === norm(payload.room_code));
+      if (dup) throw new Error(`Room code "${payload.room_code}" already exists.`);
+
+      if (id) {
+        const { error } = await supabase
+          .from("rooms")
+          .update({ ...payload, updated_at: new Date().toISOString() })
+          .eq("room_id", id);
+        if (error) throw error;
+
+        // keep the room code shown on schedule rows in step with the registry
+        for (const table of ["section_schedules", "class_schedules", "classes"]) {
+          const { error: syncErr } = await supabase.from(table).update({ room: payload.room_code }).eq("room_id", id);
+          if (syncErr) throw syncErr;
+        }
+      } else {
+        const { error } = await supabase.from("rooms").insert(payload);
+        if (error) throw error;
+      }
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["rooms"] });
+      await qc.invalidateQueries({ queryKey: ["room_bookings"] });
+    },
+  });
+
+  const archiveM = useMutation({
+    mutationFn: async ({ row, archived }) => {
+      requireSuperAdmin();
+      if (archived) {
+        const used = usedByRoom.get(row.room_id) || 0;
+        const ok = window.confirm(
+          `Archive ${row.room_code}?${used ? `\n\nIt is still booked for ${used} period(s) this term; those entries keep the room.` : ""}`
+        );
+        if (!ok) return { cancelled: true };
+      }
+      const { error } = await supabase
+        .from("rooms")
+        .update({ is_archived: archived, archived_at: archived ? new Date().toISOString() : null })
+        .eq("room_id", row.room_id);
+      if (error) throw error;
+      return { ok: true };
+    },
+    onSuccess: async (res) => {
+      if (res?.cancelled) return;
+      await qc.invalidateQueries({ queryKey: ["rooms"] });
+    },
+    onError: (e) => alert(sbErrMsg(e)),
+  });
+
+  function openCreate() {
+    if (!canWrite) return alert("Super Admin only.");
+    setModal({ open: true, mode: "create", row: null });
+  }
+
+  function openEdit(row) {
+    if (!canWrite) return alert("Super Admin only.");
+    setModal({ open: true, mode: "edit", row });
+  }
+
+  const loading = roomsQ.isLoading || roleQ.isLoading;
+  const err = roomsQ.error || bookingsQ.error || activeSyQ.error || termsQ.error;
+
+  const roomUsed = usedByRoom.get(roomId) || 0;
+
+  return (
+    <div className={`${UI.pageBg} ${UI.text} space-y-4`}>
+      {/* Header */}
+      <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+        <div>
+          <div className="text-lg font-extrabold">Rooms</div>
+          <div className={`text-sm ${UI.muted}`}>
+            Rooms and facilities used by the schedule editors. A room can host one section per period.
+          </div>
+          {!canWrite ? (
+            <div className="mt-2 rounded-xl border border-black/10 bg-[#C9A227]/5 px-3 py-2 text-xs text-black/70">
+              You are in <span className="font-extrabold">Admin view</span>. Add/Edit/Archive are disabled.
+            </div>
+          ) : null}
+        </div>
+
+        {canWrite ? (
+          <button
+            onClick={openCreate}
+            className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95`}
+          >
+            <Plus className="h-4 w-4" />
+            Add Room
+          </button>
+        ) : null}
+      </div>
+
+      {/* Filters */}
+      <div className={`rounded-2xl border ${UI.border} ${UI.panel} p-4`}>
+        <div className="grid gap-3 md:grid-cols-4">
+          <Field label="Search (code / name / building)">
+            <div className="relative">
+              <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-black/45" />
+              <input
+                value={q}
+                onChange={(e) => setQ(e.target.value)}
+                placeholder="Search rooms…"
+                className="mt-1 w-full rounded-xl border border-black/10 bg-white px-10 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              />
+              {q ? (
+                <button
+                  type="button"
+                  onClick={() => setQ("")}
+                  className="absolute right-2 top-1/2 -translate-y-1/2 grid h-8 w-8 place-items-center rounded-xl hover:bg-black/5"
+                  title="Clear"
+                >
+                  <X className="h-4 w-4 text-black/60" />
+                </button>
+              ) : null}
+            </div>
+          </Field>
+
+          <Field label="List">
+            <select
+              value={tab}
+              onChange={(e) => setTab(e.target.value)}
+              className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+            >
+              <option value="Active">Active</option>
+              <option value="Archived">Archived</option>
+            </select>
+          </Field>
+
+          <Field label="Type">
+            <select
+              value={fType}
+              onChange={(e) => setFType(e.target.value)}
+              className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+            >
+              <option value="All">All</option>
+              {ROOM_TYPES.map((t) => (
+                <option key={t.value} value={t.value}>
+                  {t.label}
+                </option>
+              ))}
+            </select>
+          </Field>
+
+          <Field label={`Term (${activeSy?.sy_code || "no active SY"})`}>
+            <select
+              value={termId}
+              onChange={(e) => setTermPick(e.target.value)}
+              className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+            >
+              {terms.map((t) => (
+                <option key={t.term_id} value={t.term_id}>
+                  {termOptionLabel(t)} {t.description ? `— ${t.description}` : ""}
+                </option>
+              ))}
+            </select>
+          </Field>
+        </div>
+      </div>
+
+      {err ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">Error: {sbErrMsg(err)}</div>
+      ) : null}
+
+      {/* Table */}
+      <div className={`overflow-hidden rounded-2xl border ${UI.border} ${UI.panel}`}>
+        <div className="flex items-center justify-between border-b border-black/10 px-4 py-3">
+          <div className="text-sm font-extrabold">{tab === "Active" ? "Active Rooms" : "Archived Rooms"}</div>
+          <div className={`text-xs ${UI.muted}`}>{loading ? "Loading…" : `${filtered.length} room(s)`}</div>
+        </div>
+
+        {loading ? (
+          <div className={`p-6 text-sm ${UI.muted}`}>Loading…</div>
+        ) : (
+          <table className="w-full text-left text-sm">
+            <thead className="bg-black/[0.02] text-xs text-black/60">
+              <tr>
+                <th className="px-4 py-3 font-semibold">Code</th>
+                <th className="px-4 py-3 font-semibold">Name</th>
+                <th className="px-4 py-3 font-semibold">Type</th>
+                <th className="px-4 py-3 font-semibold">Capacity</th>
+                <th className="px-4 py-3 font-semibold">Building</th>
+                <th className="px-4 py-3 font-semibold">Use this term</th>
+                <th className="px-4 py-3 font-semibold text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {filtered.map((r) => {
+                const used = usedByRoom.get(r.room_id) || 0;
+                const active = r.room_id === roomId;
+                return (
+                  <tr
+                    key={r.room_id}
+                    onClick={() => setRoomPick(r.room_id)}
+                    className={`cursor-pointer border-t border-black/10 ${active ? "bg-[#C9A227]/5" : "hover:bg-black/[0.01]"}`}
+                  >
+                    <td className="px-4 py-3 font-semibold">{r.room_code}</td>
+                    <td className="px-4 py-3">{r.room_name || "—"}</td>
+                    <td className="px-4 py-3">
+                      <TypePill value={r.room_type} />
+                    </td>
+                    <td className="px-4 py-3 text-black/70">{r.capacity ?? "—"}</td>
+                    <td className="px-4 py-3 text-black/70">{r.building || "—"}</td>
+                    <td className="px-4 py-3">
+                      <UsageBar used={used} />
+                    </td>
+                    <td className="px-4 py-3">
+                      <div className="flex justify-end gap-2" onClick={(e) => e.stopPropagation()}>
+                        {tab === "Active" ? (
+                          <>
+                            <IconBtn title={canWrite ? "Edit" : "Super Admin only"} onClick={() => openEdit(r)} disabled={!canWrite}>
+                              <Pencil className="h-5 w-5" />
+                            </IconBtn>
+                            <IconBtn
+                              title={canWrite ? "Archive" : "Super Admin only"}
+                              tone="danger"
+                              onClick={() => archiveM.mutate({ row: r, archived: true })}
+                              disabled={!canWrite || archiveM.isPending}
+                            >
+                              <Archive className="h-5 w-5" />
+                            </IconBtn>
+                          </>
+                        ) : (
+                          <IconBtn
+                            title={canWrite ? "Restore" : "Super Admin only"}
+                            onClick={() => archiveM.mutate({ row: r, archived: false })}
+                            disabled={!canWrite || archiveM.isPending}
+                          >
+                            <ArchiveRestore className="h-5 w-5" />
+                          </IconBtn>
+                        )}
+                      </div>
+                    </td>
+                  </tr>
+                );
+              })}
+
+              {filtered.length === 0 ? (
+                <tr>
+                  <td colSpan={7} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                    No rooms found.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {/* Utilization timetable */}
+      <div className={`rounded-2xl border ${UI.border} ${UI.panel} p-4 space-y-3`}>
+        <div className="flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
+          <div>
+            <div className="text-sm font-extrabold">Room utilization</div>
+            <div className={`text-xs ${UI.muted}`}>
+              {selectedRoom
+                ? `${roomLabel(selectedRoom)} • ${roomUsed} of ${WEEK_SLOTS} periods booked (${pct(roomUsed / WEEK_SLOTS)})`
+                : "Pick a room from the table."}
+            </div>
+          </div>
+
+          <select
+            value={roomId}
+            onChange={(e) => setRoomPick(e.target.value)}
+            className="w-full md:w-72 rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          >
+            {activeRooms.map((r) => (
+              <option key={r.room_id} value={r.room_id}>
+                {roomLabel(r)}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {selectedRoom ? (
+          <div className="overflow-auto rounded-2xl border border-black/10">
+            <table className="w-full min-w-[760px] text-left text-xs">
+              <thead className="bg-black/[0.02] text-black/60">
+                <tr>
+                  <th className="px-3 py-2 font-semibold w-[110px]">Period</th>
+                  {DAYS.map((d) => (
+                    <th key={d} className="px-3 py-2 font-semibold">
+                      {d}
+                    </th>
+                  ))}
+                </tr>
+              </thead>
+              <tbody>
+                {PERIODS.map((p) => (
+                  <tr key={p.period_no} className="border-t border-black/10 align-top">
+                    <td className="px-3 py-2">
+                      <div className="font-extrabold">P{p.period_no}</div>
+                      <div className={UI.muted}>
+                        {p.start}–{p.end}
+                      </div>
+                    </td>
+                    {DAYS.map((d) => {
+                      const list = roomGrid.get(`${d}|${p.period_no}`) || [];
+                      const clash = list.length > 1;
+                      return (
+                        <td key={d} className="px-2 py-2">
+                          {list.map((b) => (
+                            <div
+                              key={b.schedule_id}
+                              className={`mb-1 rounded-lg border px-2 py-1 ${
+                                clash ? "border-rose-500/30 bg-rose-500/10 text-rose-700" : "border-[#C9A227]/30 bg-[#C9A227]/10"
+                              }`}
+                            >
+                              <div className="font-extrabold">{b.subjects?.subject_code || "—"}</div>
+                              <div className="truncate">{sectionShort(b.sections)}</div>
+                            </div>
+                          ))}
+                        </td>
+                      );
+                    })}
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : null}
+
+        {selectedRoom && (classSlotsQ.data ?? []).length ? (
+          <div className="rounded-2xl border border-black/10 bg-black/[0.02] p-3">
+            <div className="text-xs font-extrabold">Class schedules in this room</div>
+            <div className="mt-2 flex flex-wrap gap-2">
+              {classSlotsQ.data.map((x) => (
+                <span key={x.schedule_id} className="rounded-full border border-black/10 bg-white px-3 py-1 text-xs">
+                  <b>{x.classes?.class_code || "—"}</b> • {["", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat", "Sun"][x.day_of_week]}{" "}
+                  {String(x.start_at).slice(11, 16)}–{String(x.end_at).slice(11, 16)}
+                </span>
+              ))}
+            </div>
+          </div>
+        ) : null}
+      </div>
+
+      {modal.open ? (
+        <RoomModal
+          mode={modal.mode}
+          row={modal.row}
+          busy={saveM.isPending}
+          onClose={() => setModal({ open: false, mode: "create", row: null })}
+          onSave={(values) => saveM.mutateAsync({ id: modal.row?.room_id ?? null, values })}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+/* ================= Modal ================= */
+
+function RoomModal({ mode, row, busy, onClose, onSave }) {
+  const isEdit = mode === "edit";
+
+  const [values, setValues] = useState(() => ({
+    room_code: row?.room_code || "",
+    room_name: row?.room_name || "",
+    room_type: row?.room_type || "classroom",
+    capacity: row?.capacity ?? "",
+    building: row?.building || "",
+    notes: row?.notes || "",
+  }));
+  const [errors, setErrors] = useState({});
+
+  function validate(v) {
+    const e = {};
+    if (!String(v.room_code || "").trim()) e.room_code = "Room code is required.";
+    if (String(v.room_code || "").length > 30) e.room_code = "Max 30 characters.";
+    if (String(v.capacity ?? "").trim() !== "") {
+      const c = Number(v.capacity);
+      if (!Number.isInteger(c) || c < 0) e.capacity = "Capacity must be a whole number (0 or more).";
+    }
+    return e;
+  }
+
+  async function submit(e) {
+    e.preventDefault();
+    const vErr = validate(values);
+    setErrors(vErr);
+    if (Object.keys(vErr).length) return;
+
+    try {
+      await onSave(values);
+      onClose();
+    } catch (err) {
+      alert(sbErrMsg(err));
+    }
+  }
+
+  const set = (k) => (e) => setValues((p) => ({ ...p, [k]: e.target.value }));
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`w-full max-w-2xl rounded-2xl border ${UI.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">{isEdit ? "Edit Room" : "Add Room"}</div>
+              <div className={`text-xs ${UI.muted}`}>The code is what schedules and students see (e.g. R-101, Lab-2).</div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" title="Close">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <form onSubmit={submit} className="p-4 space-y-3">
+            <div className="grid gap-3 md:grid-cols-3">
+              <Input label="Room Code *" value={values.room_code} onChange={set("room_code")} error={errors.room_code} />
+              <Select label="Type" value={values.room_type} onChange={set("room_type")}>
+                {ROOM_TYPES.map((t) => (
+                  <option key={t.value} value={t.value}>
+                    {t.label}
+                  </option>
+                ))}
+              </Select>
+              <Input
+                label="Capacity (seats)"
+                type="number"
+                value={values.capacity}
+                onChange={set("capacity")}
+                error={errors.capacity}
+                placeholder="Blank = not set"
+              />
+            </div>
+
+            <div className="grid gap-3 md:grid-cols-2">
+              <Input label="Name" value={values.room_name} onChange={set("room_name")} placeholder="e.g. Chemistry Lab" />
+              <Input label="Building" value={values.building} onChange={set("building")} />
+            </div>
+
+            <Input label="Notes" value={values.notes} onChange={set("notes")} />
+
+            <div className="flex items-center justify-end gap-2 pt-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Cancel
+              </button>
+              <button
+                disabled={busy}
+                type="submit"
+                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+              >
+                <Save className="h-4 w-4" />
+                {isEdit ? "Save Changes" : "Create"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/* ================= Small Components ================= */
+
+function UsageBar({ used }) {
+  const ratio = Math.min(1, used / WEEK_SLOTS);
+  return (
+    <div className="flex items-center gap-2">
+      <div className="h-2 w-24 overflow-hidden rounded-full bg-black/5">
+        <div className="h-full rounded-full bg-[#C9A227]" style={{ width: pct(ratio) }} />
+      </div>
+      <span className="text-xs text-black/60">
+        {used}/{WEEK_SLOTS} ({pct(ratio)})
+      </span>
+    </div>
+  );
+}
+
+function Field({ label, children }) {
+  return (
+    <label className="block">
+      <span className={`text-xs font-semibold ${UI.muted}`}>{label}</span>
+      {children}
+    </label>
+  );
+}
+
+function Input({ label, error, type = "text", ...rest }) {
+  return (
+    <label className="block">
+      <span className={`text-xs font-semibold ${UI.muted}`}>{label}</span>
+      <input
+        type={type}
+        {...rest}
+        className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+      />
+      {error ? <div className="mt-1 text-xs text-rose-700">{error}</div> : null}
+    </label>
+  );
+}
+
+function Select({ label, children, ...rest }) {
+  return (
+    <label className="block">
+      <span className={`text-xs font-semibold ${UI.muted}`}>{label}</span>
+      <select
+        {...rest}
+        className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+      >
+        {children}
+      </select>
+    </label>
+  );
+}
+
+function IconBtn({ title, onClick, tone, disabled, children }) {
+  const cls =
+    tone === "danger"
+      ? "bg-rose-500/10 text-rose-700 hover:bg-rose-500/15"
+      : "bg-[#C9A227]/10 text-[#C9A227] hover:opacity-90";
+
+  return (
+    <button
+      title={title}
+      onClick={onClick}
+      disabled={disabled}
+      className={`grid h-9 w-9 place-items-center rounded-xl border border-black/10 ${cls} disabled:opacity-60`}
+      type="button"
+    >
+      {children}
+    </button>
+  );
+}
@@ -19,8 +19,16 @@ import {
   ShieldCheck,
   CheckCircle2,
   Info,
+  Sparkles,
+  Lock,
+  LockOpen,
+  RotateCcw,
 } from "lucide-react";
 import { supabase } from "../../lib/supabaseClient";
+import { DAYS, PERIODS, buildLessons, solveTimetable } from "../../lib/timetable";
+import { fetchRooms, findSectionRoomBooking, matchRoom, roomFields, roomLabel, scheduleErrorMessage } from "../../lib/rooms";
+import { fetchQualifications, isQualified, qualificationIndex } from "../../lib/qualifications";
+import { defaultTerm, fetchSchoolYearTerms, isTermClosed, mergeTerms, termOptionLabel } from "../../lib/terms";
 
 /**
  * Senior High – Section Schedule Admin (Supabase wired)
@@ -29,6 +37,9 @@ import { supabase } from "../../lib/supabaseClient";
  * ✅ Role behavior:
  * - super_admin: full CRUD + bulk + clear + export
  * - admin: VIEW ONLY
+ *
+ * ✅ Auto-generate: solver drafts a timetable for many sections at once (lib/timetable),
+ *    admins review it in the grid, lock cells, re-solve around the locks, then commit.
  */
 
 // ====== UI THEME (White + Gold, minimal brown) ======
@@ -46,20 +57,6 @@ const UI = {
 };
 
 const SCHEDULE_TABLE = "section_schedules";
-const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
-
-// Teaching periods only (breaks are excluded)
-const PERIODS = [
-  { period_no: 1, label: "First Period", start: "07:00", end: "08:00" },
-  { period_no: 2, label: "Second Period", start: "08:00", end: "09:00" },
-  { period_no: 3, label: "Third Period", start: "09:20", end: "10:20" },
-  { period_no: 4, label: "Fourth Period", start: "10:20", end: "11:20" },
-  { period_no: 5, label: "Fifth Period", start: "12:10", end: "13:10" },
-  { period_no: 6, label: "Sixth Period", start: "13:10", end: "14:10" },
-  { period_no: 7, label: "Seventh Period", start: "14:30", end: "15:30" },
-  { period_no: 8, label: "Eighth Period", start: "15:30", end: "16:30" },
-  { period_no: 9, label: "Ninth Period", start: "16:30", end: "17:30" },
-];
 
 function slotKey(day, periodNo) {
   return `${day}|${periodNo}`;
@@ -69,6 +66,11 @@ function norm(s) {
   return String(s || "").trim().toLowerCase();
 }
 
+// Registry id when linked, else the typed room text (rows saved before the room registry).
+function roomKey(e) {
+  return e?.room_id || norm(e?.room);
+}
+
 function timeRange(p) {
   return `${p.start}–${p.end}`;
 }
@@ -94,6 +96,10 @@ function adviserLabel(section) {
   return teacherName(a);
 }
 
+function roomOptionLabel(r) {
+  return r.capacity != null ? `${roomLabel(r)} (${r.capacity} seats)` : roomLabel(r);
+}
+
 function subjectLabel(s) {
   if (!s) return "";
   const code = s.subject_code ? `${s.subject_code} — ` : "";
@@ -156,7 +162,7 @@ export default function SeniorHighScheduleAdminPage() {
   });
 
   const role = meQ.data?.role ?? "admin";
-  const canEditSchedule = role === "super_admin";
+  const isSuperAdmin = role === "super_admin";
 
   // ====== UI state ======
   const [activeTab, setActiveTab] = useState("Timetable"); // Timetable | List
@@ -175,12 +181,13 @@ export default function SeniorHighScheduleAdminPage() {
 
   // Slot modal
   const [slotModal, setSlotModal] = useState({ open: false, mode: "create", entry: null });
+  const [showAllTeachers, setShowAllTeachers] = useState(false);
   const [slotForm, setSlotForm] = useState({
     day_of_week: "Mon",
     period_no: 1,
     subject_id: "",
     teacher_id: "",
-    room: "",
+    room_id: "",
     notes: "",
   });
 
@@ -191,6 +198,14 @@ export default function SeniorHighScheduleAdminPage() {
   const [bulkOverwrite, setBulkOverwrite] = useState(false);
   const [bulkTargetSectionIds, setBulkTargetSectionIds] = useState(new Set());
 
+  // Timetable generator
+  const [genModalOpen, setGenModalOpen] = useState(false);
+  const [genSectionIds, setGenSectionIds] = useState(new Set());
+  const [genKeepExisting, setGenKeepExisting] = useState(true);
+  const [genRoomIds, setGenRoomIds] = useState(new Set());
+  const [availTeacherId, setAvailTeacherId] = useState("");
+  const [draft, setDraft] = useState(null); // { sectionIds, cells, unplaced, seed, rooms }
+
   function toggleTarget(sectionId) {
     setBulkTargetSectionIds((prev) => {
       const next = new Set(prev);
@@ -228,6 +243,12 @@ export default function SeniorHighScheduleAdminPage() {
     },
   });
 
+  const syTermsQ = useQuery({
+    enabled: !!activeSyQ.data?.sy_id,
+    queryKey: ["school_year_terms", activeSyQ.data?.sy_id],
+    queryFn: () => fetchSchoolYearTerms(activeSyQ.data.sy_id),
+  });
+
   const sectionsQ = useQuery({
     queryKey: ["sections"],
     queryFn: async () => {
@@ -258,7 +279,7 @@ export default function SeniorHighScheduleAdminPage() {
     queryFn: async () => {
       const { data, error } = await supabase
         .from("subjects")
-        .select("subject_id, subject_code, subject_title, subject_type, units, grade_id, strand_id")
+        .select("subject_id, subject_code, subject_title, subject_type, units, weekly_hours, grade_id, strand_id, is_archived")
         .order("subject_code", { ascending: true });
       if (error) throw error;
       return data ?? [];
@@ -279,6 +300,41 @@ export default function SeniorHighScheduleAdminPage() {
     },
   });
 
+  const loadsQ = useQuery({
+    enabled: !!activeSyQ.data?.sy_id && !!selectedTermId,
+    queryKey: ["teacher_loads", activeSyQ.data?.sy_id, selectedTermId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("teacher_loads")
+        .select("load_id, section_id, subject_id, teacher_id")
+        .eq("sy_id", activeSyQ.data.sy_id)
+        .eq("term_id", selectedTermId);
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const roomsQ = useQuery({
+    queryKey: ["rooms"],
+    queryFn: () => fetchRooms(),
+  });
+
+  const qualificationsQ = useQuery({
+    queryKey: ["teacher_qualifications"],
+    queryFn: () => fetchQualifications(),
+  });
+
+  const unavailableQ = useQuery({
+    queryKey: ["teacher_unavailable_periods"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("teacher_unavailable_periods")
+        .select("teacher_id, day_of_week, period_no");
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
   const activeSy = activeSyQ.data;
   const terms = termsQ.data ?? [];
 const sections = useMemo(
@@ -288,11 +344,18 @@ const sections = useMemo(
 
   const subjects = subjectsQ.data ?? [];
   const teachers = teachersQ.data ?? [];
+  const rooms = useMemo(() => roomsQ.data ?? [], [roomsQ.data]);
+  const roomById = useMemo(() => new Map(rooms.map((r) => [r.room_id, r])), [rooms]);
+
+  const yearTerms = useMemo(() => mergeTerms(terms, syTermsQ.data), [terms, syTermsQ.data]);
+  const termClosed = isTermClosed(yearTerms, selectedTermId);
+  // A closed term is read-only for everyone (the DB refuses the writes too).
+  const canEditSchedule = isSuperAdmin && !termClosed;
 
-  // auto-select first term when loaded
+  // auto-select the active term (see School Setup • Terms) when loaded
   useEffect(() => {
-    if (!selectedTermId && terms.length) setSelectedTermId(terms[0].term_id);
-  }, [terms, selectedTermId]);
+    if (!selectedTermId && yearTerms.length && !syTermsQ.isLoading) setSelectedTermId(defaultTerm(yearTerms).term_id);
+  }, [yearTerms, selectedTermId, syTermsQ.isLoading]);
 
   // auto-select first section when loaded
   useEffect(() => {
@@ -328,6 +391,7 @@ const sections = useMemo(
           subject_id,
           teacher_id,
           room,
+          room_id,
           notes,
           subjects:subject_id(subject_id, subject_code, subject_title),
           teachers:teacher_id(user_id, first_name, last_name, email, employee_number)
@@ -358,6 +422,7 @@ const sections = useMemo(
           period_no,
           teacher_id,
           room,
+          room_id,
           subjects:subject_id(subject_id, subject_code, subject_title),
           sections:section_id(
             section_id,
@@ -452,9 +517,8 @@ const sections = useMemo(
           teacherClash.push(other);
         }
 
-        const rA = String(entry.room || "").trim().toLowerCase();
-        const rB = String(other.room || "").trim().toLowerCase();
-        if (rA && rB && rA === rB) roomClash.push(other);
+        const rA = roomKey(entry);
+        if (rA && rA === roomKey(other)) roomClash.push(other);
       }
 
       if (teacherClash.length || roomClash.length) {
@@ -471,7 +535,7 @@ const sections = useMemo(
     const teachersSet = new Set();
 
     for (const e of sectionSchedules) {
-      if (e.room) rooms.add(String(e.room).trim().toLowerCase());
+      if (roomKey(e)) rooms.add(roomKey(e));
       if (e.subject_id) subjectsSet.add(e.subject_id);
       if (e.teacher_id) teachersSet.add(e.teacher_id);
     }
@@ -487,7 +551,7 @@ const sections = useMemo(
 
   // ====== Mutations ======
 
-  async function checkConflicts({ schedule_id, day_of_week, period_no, teacher_id, room }) {
+  async function checkConflicts({ schedule_id, day_of_week, period_no, teacher_id, room_id, room }) {
     // prevent multiple entries in same day/period for same section
     const localSlotTaken = sectionSchedules.some(
       (e) =>
@@ -512,9 +576,8 @@ const sections = useMemo(
         };
       }
 
-      const rA = String(room || "").trim().toLowerCase();
-      const rB = String(other.room || "").trim().toLowerCase();
-      if (rA && rB && rA === rB) {
+      const rA = roomKey({ room_id, room });
+      if (rA && rA === roomKey(other)) {
         return {
           type: "room",
           message: `Room conflict: ${room} is already used in ${sectionLabel(other.sections)} at the same time.`,
@@ -522,6 +585,22 @@ const sections = useMemo(
       }
     }
 
+    // the cached term list can be stale; re-check the room against the database before saving
+    const booked = await findSectionRoomBooking({
+      syId: activeSy.sy_id,
+      termId: selectedTermId,
+      day: day_of_week,
+      periodNo: period_no,
+      roomId: room_id,
+      excludeScheduleId: schedule_id,
+    });
+    if (booked && booked.section_id !== selectedSectionId) {
+      return {
+        type: "room",
+        message: `Room conflict: ${room} is already used in ${sectionLabel(booked.sections)} at the same time.`,
+      };
+    }
+
     return null;
   }
 
@@ -546,7 +625,7 @@ const sections = useMemo(
         end_time: p.end,
         subject_id: slotForm.subject_id,
         teacher_id: slotForm.teacher_id ? slotForm.teacher_id : null,
-        room: String(slotForm.room || "").trim() || null,
+        ...roomFields(roomById.get(slotForm.room_id)),
         notes: String(slotForm.notes || "").trim() || null,
       };
 
@@ -557,6 +636,7 @@ const sections = useMemo(
         day_of_week: payload.day_of_week,
         period_no: payload.period_no,
         teacher_id: payload.teacher_id,
+        room_id: payload.room_id,
         room: payload.room,
       });
 
@@ -579,7 +659,7 @@ const sections = useMemo(
       closeSlotModal();
     },
     onError: (e) => {
-      pushToast({ type: "error", title: "Save failed", message: String(e?.message || e) });
+      pushToast({ type: "error", title: "Save failed", message: scheduleErrorMessage(e) });
     },
   });
 
@@ -666,7 +746,8 @@ const sections = useMemo(
             sy_id: activeSy.sy_id,
             term_id: selectedTermId,
             section_id: tid,
-            room: String(r.room || "").trim() || null,
+            // the source section already holds its rooms at these periods
+            room: null,
             notes: String(r.notes || "").trim() || null,
           }));
 
@@ -717,10 +798,291 @@ const sections = useMemo(
       pushToast({ type: "success", title: "Bulk applied", message: "Bulk changes completed." });
     },
     onError: (e) => {
-      pushToast({ type: "error", title: "Bulk failed", message: String(e?.message || e) });
+      pushToast({ type: "error", title: "Bulk failed", message: scheduleErrorMessage(e) });
+    },
+  });
+
+  // ====== Timetable generator ======
+  const loads = loadsQ.data ?? [];
+  const unavailable = unavailableQ.data ?? [];
+
+  const subjectById = useMemo(() => new Map(subjects.map((s) => [s.subject_id, s])), [subjects]);
+  const teacherById = useMemo(() => new Map(teachers.map((t) => [t.user_id, t])), [teachers]);
+
+  // Qualification matrix; until anyone is recorded every teacher counts as qualified.
+  const qualIndex = useMemo(() => qualificationIndex(qualificationsQ.data), [qualificationsQ.data]);
+  const qualificationsOn = qualIndex.size > 0;
+
+  const slotSubject = subjectById.get(slotForm.subject_id) || null;
+  const slotTeacherUnqualified =
+    qualificationsOn && !!slotForm.teacher_id && !!slotSubject && !isQualified(qualIndex, slotForm.teacher_id, slotSubject);
+
+  const slotTeacherOptions = useMemo(() => {
+    const list =
+      qualificationsOn && slotSubject && !showAllTeachers
+        ? teachers.filter((t) => isQualified(qualIndex, t.user_id, slotSubject) || t.user_id === slotForm.teacher_id)
+        : teachers;
+    return list.map((t) => ({
+      value: t.user_id,
+      label:
+        qualificationsOn && slotSubject && !isQualified(qualIndex, t.user_id, slotSubject)
+          ? `${teacherName(t)} (not qualified)`
+          : teacherName(t),
+    }));
+  }, [teachers, qualIndex, qualificationsOn, slotSubject, showAllTeachers, slotForm.teacher_id]);
+
+  // A draft belongs to one SY + term.
+  useEffect(() => {
+    setDraft(null);
+  }, [activeSy?.sy_id, selectedTermId]);
+
+  // Most used room per section = its home room.
+  const homeRooms = useMemo(() => {
+    const counts = new Map();
+    for (const e of allSySchedules) {
+      const r = String(e.room || "").trim();
+      if (!r) continue;
+      const k = `${e.section_id}|${r}`;
+      counts.set(k, (counts.get(k) || 0) + 1);
+    }
+    const best = new Map();
+    for (const [k, n] of counts) {
+      const [sectionId, room] = k.split("|");
+      if (!best.has(sectionId) || best.get(sectionId).n < n) best.set(sectionId, { room, n });
+    }
+    return new Map(Array.from(best, ([id, v]) => [id, v.room]));
+  }, [allSySchedules]);
+
+  // Teacher already scheduled for section + subject covers classes without a teacher_loads row.
+  const scheduledTeacher = useMemo(() => {
+    const m = new Map();
+    for (const e of allSySchedules) {
+      const subjectId = e.subjects?.subject_id;
+      if (e.teacher_id && subjectId) m.set(`${e.section_id}|${subjectId}`, e.teacher_id);
+    }
+    return m;
+  }, [allSySchedules]);
+
+  function lessonsFor(sectionIds) {
+    const ids = new Set(sectionIds);
+    return buildLessons({
+      sections: sections.filter((s) => ids.has(s.section_id)),
+      subjects,
+      loads,
+      fallbackTeacher: (sectionId, subjectId) => scheduledTeacher.get(`${sectionId}|${subjectId}`),
+    });
+  }
+
+  const genDemand = useMemo(() => {
+    if (!genModalOpen) return new Map();
+    const m = new Map();
+    for (const l of lessonsFor(sections.map((s) => s.section_id))) {
+      const d = m.get(l.section_id) || { hours: 0, noTeacher: 0 };
+      d.hours += l.hours;
+      if (!l.teacher_id) d.noTeacher += 1;
+      m.set(l.section_id, d);
+    }
+    return m;
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [genModalOpen, sections, subjects, loads, scheduledTeacher]);
+
+  function runSolver({ sectionIds, lockedCells, rooms, seed }) {
+    const ids = new Set(sectionIds);
+    const outside = allSySchedules
+      .filter((e) => !ids.has(e.section_id))
+      .map((e) => ({
+        section_id: e.section_id,
+        day_of_week: e.day_of_week,
+        period_no: Number(e.period_no),
+        subject_id: e.subjects?.subject_id ?? null,
+        teacher_id: e.teacher_id,
+        room: e.room,
+      }));
+
+    return solveTimetable({
+      days: DAYS,
+      periods: PERIODS,
+      lessons: lessonsFor(sectionIds),
+      fixed: [...outside, ...lockedCells],
+      unavailable,
+      rooms,
+      homeRooms,
+      seed,
+    });
+  }
+
+  function openGenerator() {
+    if (!canEditSchedule) return;
+    setGenSectionIds(new Set(filteredSections.map((s) => s.section_id)));
+    // classrooms plus any room a section already calls home
+    const homeCodes = new Set(Array.from(homeRooms.values(), norm));
+    setGenRoomIds(
+      new Set(rooms.filter((r) => r.room_type === "classroom" || homeCodes.has(norm(r.room_code))).map((r) => r.room_id))
+    );
+    setGenModalOpen(true);
+  }
+
+  function generateDraft() {
+    const sectionIds = sections.filter((s) => genSectionIds.has(s.section_id)).map((s) => s.section_id);
+    if (!sectionIds.length) {
+      pushToast({ type: "error", title: "Nothing to generate", message: "Select at least one section." });
+      return;
+    }
+
+    const ids = new Set(sectionIds);
+    const lockedCells = genKeepExisting
+      ? allSySchedules
+          .filter((e) => ids.has(e.section_id) && e.subjects?.subject_id)
+          .map((e) => ({
+            section_id: e.section_id,
+            day_of_week: e.day_of_week,
+            period_no: Number(e.period_no),
+            subject_id: e.subjects.subject_id,
+            teacher_id: e.teacher_id,
+            room: e.room,
+          }))
+      : [];
+
+    const roomCodes = rooms.filter((r) => genRoomIds.has(r.room_id)).map((r) => r.room_code);
+
+    const result = runSolver({ sectionIds, lockedCells, rooms: roomCodes, seed: 1 });
+    setDraft({ sectionIds, rooms: roomCodes, seed: 1, cells: result.cells, unplaced: result.unplaced });
+    setGenModalOpen(false);
+    if (!ids.has(selectedSectionId)) setSelectedSectionId(sectionIds[0]);
+    setActiveTab("Timetable");
+
+    pushToast({
+      type: result.unplaced.length ? "info" : "success",
+      title: "Draft ready",
+      message: result.unplaced.length
+        ? `${result.unplaced.length} subject(s) could not be fully placed. Review the draft below.`
+        : `Timetable drafted for ${sectionIds.length} section(s). Review, lock and commit.`,
+    });
+  }
+
+  function resolveDraft() {
+    if (!draft) return;
+    const seed = draft.seed + 1;
+    const lockedCells = draft.cells.filter((c) => c.locked);
+    const result = runSolver({ sectionIds: draft.sectionIds, lockedCells, rooms: draft.rooms, seed });
+    setDraft({ ...draft, seed, cells: result.cells, unplaced: result.unplaced });
+    pushToast({
+      type: "info",
+      title: "Re-solved",
+      message: `${lockedCells.length} locked cell(s) kept${result.unplaced.length ? `, ${result.unplaced.length} subject(s) unplaced` : ""}.`,
+    });
+  }
+
+  function toggleDraftLock(cell) {
+    setDraft((d) => (d ? { ...d, cells: d.cells.map((c) => (c === cell ? { ...c, locked: !c.locked } : c)) } : d));
+  }
+
+  function setSectionLocks(locked) {
+    setDraft((d) =>
+      d ? { ...d, cells: d.cells.map((c) => (c.section_id === selectedSectionId ? { ...c, locked } : c)) } : d
+    );
+  }
+
+  function discardDraft() {
+    const ok = window.confirm("Discard the generated draft? Nothing has been saved yet.");
+    if (ok) setDraft(null);
+  }
+
+  const draftHasSelected = !!draft && draft.sectionIds.includes(selectedSectionId);
+
+  const draftMap = useMemo(() => {
+    const m = new Map();
+    if (!draftHasSelected) return m;
+    for (const c of draft.cells) {
+      if (c.section_id === selectedSectionId) m.set(slotKey(c.day_of_week, Number(c.period_no)), c);
+    }
+    return m;
+  }, [draft, draftHasSelected, selectedSectionId]);
+
+  const draftUnplacedSelected = useMemo(
+    () => (draftHasSelected ? draft.unplaced.filter((u) => u.section_id === selectedSectionId) : []),
+    [draft, draftHasSelected, selectedSectionId]
+  );
+
+  const toggleAvailabilityM = useMutation({
+    mutationFn: async ({ teacher_id, day_of_week, period_no, blocked }) => {
+      if (!canEditSchedule) throw new Error("View-only: admin cannot change availability.");
+      if (blocked) {
+        const { error } = await supabase
+          .from("teacher_unavailable_periods")
+          .delete()
+          .eq("teacher_id", teacher_id)
+          .eq("day_of_week", day_of_week)
+          .eq("period_no", period_no);
+        if (error) throw error;
+      } else {
+        const { error } = await supabase.from("teacher_unavailable_periods").insert({ teacher_id, day_of_week, period_no });
+        if (error) throw error;
+      }
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["teacher_unavailable_periods"] });
+    },
+    onError: (e) => {
+      pushToast({ type: "error", title: "Availability not saved", message: String(e?.message || e) });
+    },
+  });
+
+  // section_schedules_commit_draft writes the draft as a diff in one transaction, so unchanged
+  // entries keep their schedule_id (attendance hangs off it) and a failure leaves nothing half-done.
+  const commitDraftM = useMutation({
+    mutationFn: async () => {
+      if (!canEditSchedule) throw new Error("View-only: admin cannot modify schedules.");
+      if (!draft) throw new Error("No draft to commit.");
+      if (!activeSy?.sy_id || !selectedTermId) throw new Error("Select a term.");
+
+      const periodBy = new Map(PERIODS.map((p) => [Number(p.period_no), p]));
+      const cells = draft.cells.map((c) => {
+        const p = periodBy.get(Number(c.period_no));
+        return {
+          section_id: c.section_id,
+          day_of_week: c.day_of_week,
+          period_no: Number(c.period_no),
+          start_time: p?.start,
+          end_time: p?.end,
+          subject_id: c.subject_id,
+          teacher_id: c.teacher_id || null,
+          ...roomFields(matchRoom(rooms, { room: c.room })),
+        };
+      });
+
+      const { data, error } = await supabase.rpc("section_schedules_commit_draft", {
+        p_sy_id: activeSy.sy_id,
+        p_term_id: selectedTermId,
+        p_section_ids: draft.sectionIds,
+        p_cells: cells,
+      });
+      if (error) throw error;
+      return { ...data, sections: draft.sectionIds.length };
+    },
+    onSuccess: async (res) => {
+      await qc.invalidateQueries({ queryKey: ["section_schedules"] });
+      await qc.invalidateQueries({ queryKey: ["all_sy_schedules", activeSy?.sy_id, selectedTermId] });
+      setDraft(null);
+      pushToast({
+        type: "success",
+        title: "Timetable committed",
+        message: `${res.sections} section(s): ${res.inserted} added, ${res.updated} changed, ${res.removed} removed.`,
+      });
+    },
+    onError: (e) => {
+      pushToast({ type: "error", title: "Commit failed", message: scheduleErrorMessage(e) });
     },
   });
 
+  function commitDraft() {
+    if (!draft) return;
+    const ok = window.confirm(
+      `Commit the draft to ${draft.sectionIds.length} section(s)?\n\nExisting entries in these sections are replaced by the draft (slots left empty in the draft are deleted).`
+    );
+    if (ok) commitDraftM.mutate();
+  }
+
   // ====== Modal helpers ======
   function openCreate(preset = {}) {
     if (!canEditSchedule) return;
@@ -730,7 +1092,7 @@ const sections = useMemo(
       period_no: preset.period_no || 1,
       subject_id: "",
       teacher_id: "",
-      room: "",
+      room_id: "",
       notes: "",
     });
   }
@@ -743,7 +1105,7 @@ const sections = useMemo(
       period_no: Number(entry.period_no),
       subject_id: entry.subject_id || "",
       teacher_id: entry.teacher_id || "",
-      room: entry.room || "",
+      room_id: matchRoom(rooms, entry)?.room_id || "",
       notes: entry.notes || "",
     });
   }
@@ -853,9 +1215,7 @@ const sections = useMemo(
 
       if (slotForm.teacher_id && other.teacher_id === slotForm.teacher_id) teacherOverlaps.push(other);
 
-      const roomA = String(slotForm.room || "").trim();
-      const roomB = String(other.room || "").trim();
-      if (roomA && roomB && roomA.toLowerCase() === roomB.toLowerCase()) roomOverlaps.push(other);
+      if (slotForm.room_id && roomKey(other) === slotForm.room_id) roomOverlaps.push(other);
     }
 
     return { teacherOverlaps, roomOverlaps };
@@ -866,7 +1226,7 @@ const sections = useMemo(
     slotForm.day_of_week,
     slotForm.period_no,
     slotForm.teacher_id,
-    slotForm.room,
+    slotForm.room_id,
   ]);
 
   // ====== Loading & errors ======
@@ -942,7 +1302,7 @@ const sections = useMemo(
                   label="Term"
                   value={selectedTermId || ""}
                   onChange={setSelectedTermId}
-                  options={[{ value: "", label: "Select term" }, ...terms.map((t) => ({ value: t.term_id, label: t.term_code }))]}
+                  options={[{ value: "", label: "Select term" }, ...yearTerms.map((t) => ({ value: t.term_id, label: termOptionLabel(t) }))]}
                 />
               </div>
 
@@ -954,6 +1314,14 @@ const sections = useMemo(
                 title={!canEditSchedule ? "View only" : "Bulk actions"}
               />
 
+              <ActionBtn
+                icon={Sparkles}
+                label="Auto-generate"
+                onClick={openGenerator}
+                disabled={!canEditSchedule || !activeSy?.sy_id || !selectedTermId}
+                title={!canEditSchedule ? "View only" : "Draft a timetable for many sections at once"}
+              />
+
               <ActionBtn
                 icon={focusTable ? Minimize2 : Maximize2}
                 label={focusTable ? "Exit focus" : "Focus"}
@@ -986,7 +1354,12 @@ const sections = useMemo(
           </div>
 
           {/* View-only banner */}
-          {!canEditSchedule ? (
+          {termClosed ? (
+            <div className="mt-4 rounded-2xl border border-rose-500/25 bg-rose-500/5 p-3 text-sm text-rose-700">
+              <b className="font-extrabold">Term closed:</b> schedules for this term are locked. A Super Admin can reopen it under
+              School Setup • Terms.
+            </div>
+          ) : !canEditSchedule ? (
             <div className="mt-4 rounded-2xl border border-[#C9A227]/30 bg-[#C9A227]/10 p-3 text-sm">
               <b className="font-extrabold">View only:</b> Admin accounts can view schedules but cannot create, edit, delete, clear, or run bulk actions.
             </div>
@@ -1144,9 +1517,74 @@ const sections = useMemo(
               </div>
             </div>
 
+            {/* Generated draft (not saved yet) */}
+            {draft ? (
+              <div className="rounded-2xl border border-[#C9A227]/40 bg-[#C9A227]/5 p-4">
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div className="space-y-1">
+                    <div className="text-sm font-extrabold">Draft timetable — not saved</div>
+                    <div className={`text-xs ${UI.muted}`}>
+                      {draft.sectionIds.length} section(s) • {draft.cells.length} period(s) placed •{" "}
+                      {draft.cells.filter((c) => c.locked).length} locked • run #{draft.seed}
+                    </div>
+                    <div className={`text-xs ${UI.muted}`}>
+                      Lock the cells you like, then re-solve to rearrange everything else around them.
+                    </div>
+                    {!draftHasSelected ? (
+                      <div className="text-xs font-semibold text-[#6B4E2E]">
+                        The selected section is not part of this draft — showing its saved schedule.
+                      </div>
+                    ) : null}
+                  </div>
+
+                  <div className="flex flex-wrap gap-2">
+                    {draftHasSelected ? (
+                      <>
+                        <ActionBtn icon={Lock} label="Lock section" onClick={() => setSectionLocks(true)} />
+                        <ActionBtn icon={LockOpen} label="Unlock section" onClick={() => setSectionLocks(false)} />
+                      </>
+                    ) : null}
+                    <ActionBtn icon={RotateCcw} label="Re-solve" onClick={resolveDraft} disabled={commitDraftM.isPending} />
+                    <ActionBtn icon={X} label="Discard" onClick={discardDraft} disabled={commitDraftM.isPending} />
+                    <PrimaryBtn
+                      icon={Save}
+                      label={commitDraftM.isPending ? "Committing…" : "Commit"}
+                      onClick={commitDraft}
+                      disabled={!canEditSchedule || commitDraftM.isPending}
+                    />
+                  </div>
+                </div>
+
+                {draft.unplaced.length ? (
+                  <div className="mt-3 rounded-2xl border border-rose-500/25 bg-white p-3">
+                    <div className="text-sm font-extrabold text-rose-700">
+                      Could not place {draft.unplaced.reduce((n, u) => n + u.missing, 0)} period(s) in{" "}
+                      {draft.unplaced.length} subject(s)
+                    </div>
+                    <ul className="mt-1 list-disc space-y-0.5 pl-5 text-xs text-black/70">
+                      {(draftUnplacedSelected.length ? draftUnplacedSelected : draft.unplaced).slice(0, 6).map((u) => {
+                        const sec = sections.find((x) => x.section_id === u.section_id);
+                        const t = u.teacher_id ? teacherById.get(u.teacher_id) : null;
+                        return (
+                          <li key={`${u.section_id}|${u.subject_id}`}>
+                            <b>{subjectLabel(subjectById.get(u.subject_id))}</b> — {u.missing} period(s) short
+                            {u.section_id !== selectedSectionId && sec ? ` in ${sectionLabel(sec)}` : ""}
+                            {t ? ` (${teacherName(t)})` : ""}. {u.reason}
+                          </li>
+                        );
+                      })}
+                    </ul>
+                    {draft.unplaced.length > 6 && !draftUnplacedSelected.length ? (
+                      <div className="mt-1 text-xs text-black/55">…and {draft.unplaced.length - 6} more.</div>
+                    ) : null}
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+
             {/* Tab content */}
             {activeTab === "Timetable" ? (
-              <Section title="Weekly timetable">
+              <Section title={draftHasSelected ? "Weekly timetable — draft" : "Weekly timetable"}>
                 <div className="overflow-auto rounded-2xl border border-black/10">
                   <table className="w-full min-w-[1400px] text-left text-sm">
                     <thead className="bg-black/[0.02] text-xs text-black/60 sticky top-0 z-20">
@@ -1171,6 +1609,21 @@ const sections = useMemo(
                             const entry = scheduleMap.get(key);
                             const conflict = conflictsForSelected.get(key);
 
+                            if (draftHasSelected) {
+                              const cell = draftMap.get(key);
+                              return (
+                                <td key={key} className={`${cellPad}`}>
+                                  <DraftSlot
+                                    compact={compact}
+                                    cell={cell}
+                                    subject={cell ? subjectById.get(cell.subject_id) : null}
+                                    teacher={cell?.teacher_id ? teacherById.get(cell.teacher_id) : null}
+                                    onToggleLock={() => toggleDraftLock(cell)}
+                                  />
+                                </td>
+                              );
+                            }
+
                             return (
                               <td key={key} className={`${cellPad}`}>
                                 {!entry ? (
@@ -1326,19 +1779,32 @@ const sections = useMemo(
                 disabled={!canEditSchedule}
               />
 
-              <SelectField
-                label="Teacher"
-                value={slotForm.teacher_id}
-                onChange={(v) => setSlotForm((p) => ({ ...p, teacher_id: v }))}
-                options={[{ value: "", label: "—" }, ...teachers.map((t) => ({ value: t.user_id, label: teacherName(t) }))]}
-                disabled={!canEditSchedule}
-              />
+              <div>
+                <SelectField
+                  label="Teacher"
+                  value={slotForm.teacher_id}
+                  onChange={(v) => setSlotForm((p) => ({ ...p, teacher_id: v }))}
+                  options={[{ value: "", label: "—" }, ...slotTeacherOptions]}
+                  disabled={!canEditSchedule}
+                />
+                {qualificationsOn && slotSubject ? (
+                  <label className={`mt-1 flex items-center gap-2 text-[11px] ${UI.muted}`}>
+                    <input
+                      type="checkbox"
+                      checked={showAllTeachers}
+                      onChange={(e) => setShowAllTeachers(e.target.checked)}
+                      className="h-3.5 w-3.5 accent-[#C9A227]"
+                    />
+                    Show teachers not qualified for this subject
+                  </label>
+                ) : null}
+              </div>
 
-              <InputField
+              <SelectField
                 label="Room"
-                value={slotForm.room}
-                onChange={(v) => setSlotForm((p) => ({ ...p, room: v }))}
-                placeholder="e.g., R-101, Lab-2"
+                value={slotForm.room_id}
+                onChange={(v) => setSlotForm((p) => ({ ...p, room_id: v }))}
+                options={[{ value: "", label: "—" }, ...rooms.map((r) => ({ value: r.room_id, label: roomOptionLabel(r) }))]}
                 disabled={!canEditSchedule}
               />
 
@@ -1389,10 +1855,20 @@ const sections = useMemo(
                       </td>
                     </tr>
 
+                    {slotTeacherUnqualified ? (
+                      <tr className="border-t border-black/10">
+                        <td className="px-4 py-3 font-semibold">Qualification</td>
+                        <td className="px-4 py-3 text-amber-800">
+                          {teacherName(teacherById.get(slotForm.teacher_id))} is not qualified for this subject (see Teachers •
+                          Manage).
+                        </td>
+                      </tr>
+                    ) : null}
+
                     <tr className="border-t border-black/10">
                       <td className="px-4 py-3 font-semibold">Room</td>
                       <td className="px-4 py-3 text-black/70">
-                        {String(slotForm.room || "").trim() ? (
+                        {slotForm.room_id ? (
                           slotPreviewConflicts.roomOverlaps.length ? (
                             <ul className="list-disc pl-5">
                               {slotPreviewConflicts.roomOverlaps.slice(0, 4).map((x) => (
@@ -1406,7 +1882,7 @@ const sections = useMemo(
                             <span className="text-black/60">No room conflicts</span>
                           )
                         ) : (
-                          <span className="text-black/60">Enter a room to check</span>
+                          <span className="text-black/60">Pick a room to check</span>
                         )}
                       </td>
                     </tr>
@@ -1425,7 +1901,18 @@ const sections = useMemo(
               </button>
               <button
                 type="button"
-                onClick={() => upsertM.mutate()}
+                onClick={() => {
+                  if (
+                    slotTeacherUnqualified &&
+                    !window.confirm(
+                      `${teacherName(teacherById.get(slotForm.teacher_id))} is not qualified to teach ${subjectLabel(
+                        slotSubject
+                      )}.\n\nSave anyway?`
+                    )
+                  )
+                    return;
+                  upsertM.mutate();
+                }}
                 disabled={!canEditSchedule || upsertM.isPending || !slotForm.subject_id}
                 className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
               >
@@ -1487,7 +1974,8 @@ const sections = useMemo(
                     </label>
 
                     <div className={`text-xs ${UI.muted}`}>
-                      If unchecked, existing entries remain and only missing day/period slots will be copied.
+                      If unchecked, existing entries remain and only missing day/period slots will be copied. Rooms are
+                      not copied (the source section is using them at those periods).
                     </div>
                   </>
                 ) : (
@@ -1579,6 +2067,195 @@ const sections = useMemo(
           </ModalShell>
         ) : null}
 
+        {/* Timetable generator modal */}
+        {genModalOpen ? (
+          <ModalShell title="Auto-generate timetable" onClose={() => setGenModalOpen(false)} maxWidth="max-w-5xl">
+            <div className={`text-xs ${UI.muted}`}>
+              {activeSy?.sy_code || "—"} • {selectedTerm?.term_code || "—"} • Drafts a conflict-free timetable from subject weekly
+              hours, teacher loads, teacher availability and the room list. Nothing is saved until you commit the draft.
+            </div>
+
+            {loadsQ.isError || unavailableQ.isError ? (
+              <div className="rounded-2xl border border-rose-500/25 bg-rose-500/5 p-3 text-sm text-rose-700">
+                {String(loadsQ.error?.message || unavailableQ.error?.message || "Could not load generator inputs.")}
+              </div>
+            ) : null}
+
+            <div className="grid gap-4 md:grid-cols-3">
+              <div className={`rounded-2xl border ${UI.border} bg-white p-4 md:col-span-1 space-y-3`}>
+                <div>
+                  <div className="text-sm font-extrabold">Options</div>
+                  <div className={`text-xs ${UI.muted}`}>How the generator treats what is already scheduled.</div>
+                </div>
+
+                <label className="flex items-start gap-2 rounded-xl border border-black/10 bg-[#C9A227]/5 p-3">
+                  <input
+                    type="checkbox"
+                    checked={genKeepExisting}
+                    onChange={(e) => setGenKeepExisting(e.target.checked)}
+                    className="mt-0.5 h-4 w-4 accent-[#C9A227]"
+                  />
+                  <span className="text-sm font-semibold">
+                    Keep current entries (locked)
+                    <span className={`block text-xs font-normal ${UI.muted}`}>
+                      Unchecked: the selected sections are planned from scratch and replaced on commit.
+                    </span>
+                  </span>
+                </label>
+
+                <div>
+                  <span className="text-xs font-semibold text-black/55">Rooms</span>
+                  <div className="mt-1 max-h-[180px] overflow-auto rounded-xl border border-black/10 bg-white p-2 space-y-1">
+                    {rooms.map((r) => (
+                      <label key={r.room_id} className="flex items-center gap-2 rounded-lg px-2 py-1 text-sm hover:bg-black/[0.02]">
+                        <input
+                          type="checkbox"
+                          checked={genRoomIds.has(r.room_id)}
+                          onChange={() =>
+                            setGenRoomIds((prev) => {
+                              const next = new Set(prev);
+                              if (next.has(r.room_id)) next.delete(r.room_id);
+                              else next.add(r.room_id);
+                              return next;
+                            })
+                          }
+                          className="h-4 w-4 accent-[#C9A227]"
+                        />
+                        <span className="flex-1 truncate">{roomOptionLabel(r)}</span>
+                        <span className={`text-[11px] ${UI.muted}`}>{r.room_type}</span>
+                      </label>
+                    ))}
+                    {!rooms.length ? (
+                      <div className={`px-2 py-1 text-xs ${UI.muted}`}>No rooms in the registry yet (Academics • Rooms).</div>
+                    ) : null}
+                  </div>
+                  <span className={`text-[11px] ${UI.muted}`}>
+                    Each section keeps its usual room when free. Select none to schedule without rooms.
+                  </span>
+                </div>
+
+                <div className={`rounded-xl border ${UI.border} bg-black/[0.02] p-3 text-xs ${UI.muted} space-y-1`}>
+                  <div>
+                    Teacher loads this term: <b className="text-black">{loads.length}</b>
+                  </div>
+                  <div>
+                    Blocked teacher periods: <b className="text-black">{unavailable.length}</b>
+                  </div>
+                  <div>Subjects without weekly hours use their units (or 4).</div>
+                  <div>Classes without a teacher load use the teacher already scheduled, else none.</div>
+                </div>
+              </div>
+
+              <div className={`rounded-2xl border ${UI.border} bg-white p-4 md:col-span-2 space-y-3`}>
+                <div className="flex items-start justify-between gap-2">
+                  <div>
+                    <div className="text-sm font-extrabold">Sections</div>
+                    <div className={`text-xs ${UI.muted}`}>
+                      Periods needed per week vs. {DAYS.length * PERIODS.length} available.
+                    </div>
+                  </div>
+                  <div className="flex gap-2">
+                    <button
+                      onClick={() => setGenSectionIds(new Set(sections.map((s) => s.section_id)))}
+                      className="rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-semibold hover:bg-black/[0.02]"
+                    >
+                      Select all
+                    </button>
+                    <button
+                      onClick={() => setGenSectionIds(new Set())}
+                      className="rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-semibold hover:bg-black/[0.02]"
+                    >
+                      Clear
+                    </button>
+                  </div>
+                </div>
+
+                <div className="grid max-h-[320px] gap-2 overflow-auto pr-1 md:grid-cols-2">
+                  {sections.map((s) => {
+                    const d = genDemand.get(s.section_id) || { hours: 0, noTeacher: 0 };
+                    const over = d.hours > DAYS.length * PERIODS.length;
+                    return (
+                      <label
+                        key={s.section_id}
+                        className="flex items-center justify-between gap-2 rounded-2xl border border-black/10 bg-white p-3 hover:bg-black/[0.01]"
+                      >
+                        <div>
+                          <div className="text-sm font-extrabold">{sectionLabel(s)}</div>
+                          <div className={`mt-1 text-xs ${over ? "text-rose-700" : UI.muted}`}>
+                            {d.hours} period(s)/week
+                            {d.noTeacher ? ` • ${d.noTeacher} subject(s) without teacher` : ""}
+                          </div>
+                        </div>
+                        <input
+                          type="checkbox"
+                          checked={genSectionIds.has(s.section_id)}
+                          onChange={() =>
+                            setGenSectionIds((prev) => {
+                              const next = new Set(prev);
+                              if (next.has(s.section_id)) next.delete(s.section_id);
+                              else next.add(s.section_id);
+                              return next;
+                            })
+                          }
+                          className="h-4 w-4 accent-[#C9A227]"
+                        />
+                      </label>
+                    );
+                  })}
+                </div>
+                <div className={`text-xs ${UI.muted}`}>{genSectionIds.size} selected</div>
+              </div>
+            </div>
+
+            <div className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-3`}>
+              <div className="flex flex-col gap-2 md:flex-row md:items-end md:justify-between">
+                <div>
+                  <div className="text-sm font-extrabold">Teacher availability</div>
+                  <div className={`text-xs ${UI.muted}`}>Click a period to block or free it. Saved immediately.</div>
+                </div>
+                <div className="min-w-[260px]">
+                  <SelectField
+                    label="Teacher"
+                    value={availTeacherId}
+                    onChange={setAvailTeacherId}
+                    options={[{ value: "", label: "Select teacher" }, ...teachers.map((t) => ({ value: t.user_id, label: teacherName(t) }))]}
+                  />
+                </div>
+              </div>
+
+              {availTeacherId ? (
+                <AvailabilityGrid
+                  teacherId={availTeacherId}
+                  unavailable={unavailable}
+                  busy={toggleAvailabilityM.isPending}
+                  onToggle={(day_of_week, period_no, blocked) =>
+                    toggleAvailabilityM.mutate({ teacher_id: availTeacherId, day_of_week, period_no, blocked })
+                  }
+                />
+              ) : null}
+            </div>
+
+            <div className="flex items-center justify-end gap-2">
+              <button
+                type="button"
+                onClick={() => setGenModalOpen(false)}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                onClick={generateDraft}
+                disabled={!genSectionIds.size || loadsQ.isLoading || unavailableQ.isLoading}
+                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+              >
+                <Sparkles className="h-4 w-4" />
+                Generate draft
+              </button>
+            </div>
+          </ModalShell>
+        ) : null}
+
       </div>
     </div>
   );
@@ -1906,6 +2583,85 @@ function SlotCard({ compact, entry, conflict, canEdit, onEdit, onDelete }) {
   );
 }
 
+function DraftSlot({ compact, cell, subject, teacher, onToggleLock }) {
+  if (!cell) {
+    return (
+      <div className={`rounded-2xl border border-dashed border-black/10 ${compact ? "p-2" : "p-3"} text-xs text-black/40`}>
+        Free period
+      </div>
+    );
+  }
+
+  return (
+    <div
+      className={`rounded-2xl border ${compact ? "p-2" : "p-3"} ${
+        cell.locked ? "border-[#C9A227]/50 bg-[#C9A227]/10" : "border-black/10 bg-white"
+      }`}
+    >
+      <div className="flex items-start justify-between gap-2">
+        <div>
+          <div className="text-sm font-extrabold leading-tight">{subjectLabel(subject) || "—"}</div>
+          <div className="mt-1 text-xs text-black/60">{teacher ? `Teacher: ${teacherName(teacher)}` : "No teacher"}</div>
+          <div className="text-xs text-black/60">{cell.room ? `Room: ${cell.room}` : "No room"}</div>
+        </div>
+
+        <IconBtn title={cell.locked ? "Unlock (re-solve may move it)" : "Lock in place"} onClick={onToggleLock} tone="gold">
+          {cell.locked ? <Lock className="h-5 w-5" /> : <LockOpen className="h-5 w-5" />}
+        </IconBtn>
+      </div>
+    </div>
+  );
+}
+
+function AvailabilityGrid({ teacherId, unavailable, busy, onToggle }) {
+  const blocked = new Set(
+    unavailable.filter((u) => u.teacher_id === teacherId).map((u) => slotKey(u.day_of_week, Number(u.period_no)))
+  );
+
+  return (
+    <div className="overflow-auto rounded-2xl border border-black/10">
+      <table className="w-full min-w-[640px] text-left text-xs">
+        <thead className="bg-black/[0.02] text-black/60">
+          <tr>
+            <th className="px-3 py-2 font-semibold">Period</th>
+            {DAYS.map((d) => (
+              <th key={d} className="px-3 py-2 font-semibold text-center">
+                {d}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {PERIODS.map((p) => (
+            <tr key={p.period_no} className="border-t border-black/10">
+              <td className="px-3 py-1.5 text-black/60">
+                {p.period_no} • {timeRange(p)}
+              </td>
+              {DAYS.map((d) => {
+                const isBlocked = blocked.has(slotKey(d, p.period_no));
+                return (
+                  <td key={d} className="px-1.5 py-1 text-center">
+                    <button
+                      type="button"
+                      disabled={busy}
+                      onClick={() => onToggle(d, p.period_no, isBlocked)}
+                      className={`w-full rounded-lg px-2 py-1 font-semibold disabled:opacity-60 ${
+                        isBlocked ? "bg-rose-500/10 text-rose-700" : "bg-emerald-500/10 text-emerald-700"
+                      }`}
+                    >
+                      {isBlocked ? "Blocked" : "Free"}
+                    </button>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
 function SectionsPanel({
   qSection,
   setQSection,
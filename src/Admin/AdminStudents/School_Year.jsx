@@ -1,7 +1,8 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
 import { supabase } from "../../lib/supabaseClient";
-import { Plus, Search, Pencil, CheckCircle2, X, Save } from "lucide-react";
+import { Plus, Search, Pencil, CheckCircle2, X, Save, CopyPlus, ArrowRight, AlertTriangle } from "lucide-react";
+import { ROLLOVER_PARTS, fetchRolloverSource, planRollover, commitRollover, fetchLastRollover } from "../../lib/rollover";
 
 /**
  * School Years Page — role-based:
@@ -11,6 +12,11 @@ import { Plus, Search, Pencil, CheckCircle2, X, Save } from "lucide-react";
  * Activation:
  * - tries RPC: activate_school_year(p_sy_id uuid)
  * - fallback: sequential updates
+ *
+ * Rollover (super_admin):
+ * - copies sections/advisers, teacher loads and section schedules from an earlier year
+ * - promotes Grade 11 → Grade 12 and flags Grade 12 graduates (see src/lib/rollover.js)
+ * - always shows the preview diff before anything is written
  */
 
 // ====== UI THEME (White + Gold, minimal brown) ======
@@ -109,6 +115,7 @@ export default function SchoolYears() {
   const [q, setQ] = useState("");
   const [modal, setModal] = useState({ open: false, mode: "create", row: null });
   const [confirm, setConfirm] = useState({ open: false, row: null });
+  const [rollover, setRollover] = useState(null); // target school year row
 
   // READ
   const syQ = useQuery({
@@ -404,6 +411,15 @@ export default function SchoolYears() {
                         >
                           <CheckCircle2 className="h-5 w-5" />
                         </IconBtn>
+
+                        <IconBtn
+                          title={writeLocked ? "Super Admin only" : "Roll over from a previous year"}
+                          onClick={() => setRollover(r)}
+                          tone="gold"
+                          disabled={writeLocked}
+                        >
+                          <CopyPlus className="h-5 w-5" />
+                        </IconBtn>
                       </div>
                     </td>
                   </tr>
@@ -447,6 +463,17 @@ export default function SchoolYears() {
           busy={activateM.isPending}
         />
       ) : null}
+
+      {/* Rollover wizard */}
+      {rollover ? (
+        <RolloverModal
+          key={rollover.sy_id}
+          target={rollover}
+          years={rows}
+          canWrite={canWrite}
+          onClose={() => setRollover(null)}
+        />
+      ) : null}
     </div>
   );
 }
@@ -633,6 +660,297 @@ function ConfirmModal({ canWrite, title, description, row, onClose, onConfirm, b
   );
 }
 
+function RolloverModal({ target, years, canWrite, onClose }) {
+  const qc = useQueryClient();
+
+  // Only earlier years can feed a rollover; default to the one right before the target.
+  const sources = useMemo(
+    () => years.filter((y) => String(y.sy_code) < String(target.sy_code)).sort((a, b) => String(b.sy_code).localeCompare(String(a.sy_code))),
+    [years, target.sy_code]
+  );
+
+  const [fromSyId, setFromSyId] = useState(() => sources[0]?.sy_id || "");
+  const [parts, setParts] = useState(() => new Set(ROLLOVER_PARTS.map((p) => p.key)));
+  const [step, setStep] = useState("setup"); // setup | preview | done
+  const [result, setResult] = useState(null);
+
+  const fromSy = sources.find((y) => y.sy_id === fromSyId) || null;
+
+  const lastQ = useQuery({
+    queryKey: ["school_year_rollovers", target.sy_id],
+    queryFn: () => fetchLastRollover(target.sy_id),
+  });
+
+  const sourceQ = useQuery({
+    queryKey: ["rollover_source", fromSyId, target.sy_id],
+    enabled: step === "preview" && !!fromSyId,
+    queryFn: () => fetchRolloverSource({ fromSyId, toSyId: target.sy_id }),
+  });
+
+  const plan = useMemo(() => (sourceQ.data ? planRollover(sourceQ.data) : null), [sourceQ.data]);
+
+  const commitM = useMutation({
+    mutationFn: async () => {
+      if (!canWrite) throw new Error("Read-only: Admin users cannot modify School Years.");
+      if (!plan) throw new Error("Nothing to commit yet.");
+      return commitRollover({ fromSyId, toSyId: target.sy_id, parts });
+    },
+    onSuccess: (summary) => {
+      setResult(summary);
+      setStep("done");
+      ["sections", "section_schedules", "teacher_loads", "students_counts_by_section", "unclassified_students", "school_year_rollovers", "rollover_source"].forEach(
+        (key) => qc.invalidateQueries({ queryKey: [key] })
+      );
+    },
+  });
+
+  function togglePart(key) {
+    setParts((prev) => {
+      const next = new Set(prev);
+      if (next.has(key)) next.delete(key);
+      else next.add(key);
+      return next;
+    });
+  }
+
+  const on = (key) => parts.has(key);
+  const creates = plan
+    ? {
+        sections: plan.sections.filter((x) => x.action === "create"),
+        existing: plan.sections.filter((x) => x.action === "exists"),
+      }
+    : null;
+  const nothingToDo =
+    !!plan &&
+    !(on("sections") && creates.sections.length) &&
+    !(on("loads") && plan.loads.create.length) &&
+    !(on("schedules") && plan.schedules.create.length) &&
+    !(on("promote") && plan.promote.length) &&
+    !(on("graduates") && plan.graduates.length);
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`flex max-h-[90vh] w-full max-w-3xl flex-col rounded-2xl border ${UI.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Roll over into {target.sy_code}</div>
+              <div className={`text-xs ${UI.muted}`}>
+                {lastQ.data
+                  ? `Last rollover: ${String(lastQ.data.created_at).slice(0, 10)} from ${
+                      years.find((y) => y.sy_id === lastQ.data.from_sy_id)?.sy_code || "another year"
+                    }. Rows already present are skipped.`
+                  : "Copies last year's setup into this school year. Nothing is written until you commit."}
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" aria-label="Close">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="flex-1 space-y-4 overflow-y-auto p-4">
+            {step === "setup" ? (
+              <>
+                <label className="block">
+                  <span className={`text-xs font-semibold ${UI.muted}`}>Copy from</span>
+                  <select
+                    value={fromSyId}
+                    onChange={(e) => setFromSyId(e.target.value)}
+                    className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                  >
+                    {sources.length === 0 ? <option value="">No earlier school year</option> : null}
+                    {sources.map((y) => (
+                      <option key={y.sy_id} value={y.sy_id}>
+                        {y.sy_code} {y.status === "Active" ? "(Active)" : ""}
+                      </option>
+                    ))}
+                  </select>
+                </label>
+
+                <div className="rounded-2xl border border-black/10 bg-white p-4">
+                  <div className={`text-sm font-extrabold ${UI.brown}`}>Carry forward</div>
+                  <div className="mt-3 grid gap-2 sm:grid-cols-2">
+                    {ROLLOVER_PARTS.map((p) => (
+                      <label key={p.key} className="flex items-center gap-2 text-sm">
+                        <input type="checkbox" checked={on(p.key)} onChange={() => togglePart(p.key)} className="accent-[#C9A227]" />
+                        {p.label}
+                      </label>
+                    ))}
+                  </div>
+                  {!on("sections") && (on("loads") || on("schedules")) ? (
+                    <div className={`mt-3 text-xs ${UI.muted}`}>
+                      Without sections, offerings and schedules are only copied into sections that already exist in {target.sy_code}.
+                    </div>
+                  ) : null}
+                </div>
+              </>
+            ) : null}
+
+            {step === "preview" ? (
+              sourceQ.isLoading ? (
+                <div className={`text-sm ${UI.muted}`}>Building preview…</div>
+              ) : sourceQ.isError ? (
+                <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">
+                  Preview Error: {sbErrorMessage(sourceQ.error)}
+                </div>
+              ) : plan ? (
+                <>
+                  <div className="flex items-center gap-2 text-sm font-extrabold">
+                    {fromSy?.sy_code} <ArrowRight className="h-4 w-4 text-[#C9A227]" /> {target.sy_code}
+                  </div>
+
+                  {plan.warnings.map((w) => (
+                    <div key={w} className="flex items-start gap-2 rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-800">
+                      <AlertTriangle className="mt-0.5 h-4 w-4 shrink-0" />
+                      {w}
+                    </div>
+                  ))}
+
+                  {on("sections") ? (
+                    <DiffBlock title="Sections & advisers" added={creates.sections.length} kept={creates.existing.length}>
+                      {plan.sections.map((x) => (
+                        <DiffLine key={x.source.section_id} added={x.action === "create"}>
+                          {x.source.section_name}
+                          <span className={UI.muted}>
+                            {" "}
+                            · Grade {x.source.grade_levels?.grade_level ?? "—"}
+                            {x.source.strands?.strand_code ? ` · ${x.source.strands.strand_code}` : ""}
+                            {x.action === "create"
+                              ? x.adviser_id
+                                ? " · adviser copied"
+                                : " · no adviser"
+                              : x.fill_adviser
+                                ? " · already exists, adviser copied"
+                                : " · already exists"}
+                          </span>
+                        </DiffLine>
+                      ))}
+                    </DiffBlock>
+                  ) : null}
+
+                  {on("loads") ? (
+                    <DiffBlock title="Subject offerings (teacher loads)" added={plan.loads.create.length} kept={plan.loads.skipped} />
+                  ) : null}
+
+                  {on("schedules") ? (
+                    <DiffBlock title="Schedule templates (periods)" added={plan.schedules.create.length} kept={plan.schedules.skipped} />
+                  ) : null}
+
+                  {on("promote") ? (
+                    <DiffBlock title="Grade 11 → Grade 12" added={plan.promote.length} addedLabel="promoted">
+                      {plan.promote.map((s) => (
+                        <DiffLine key={s.id} added>
+                          {s.last_name}, {s.first_name} <span className={UI.muted}>· {s.student_number || "—"}</span>
+                        </DiffLine>
+                      ))}
+                    </DiffBlock>
+                  ) : null}
+
+                  {on("graduates") ? (
+                    <DiffBlock title="Grade 12 graduates" added={plan.graduates.length} addedLabel="flagged" kept={plan.alreadyGraduated}>
+                      {plan.graduates.map((s) => (
+                        <DiffLine key={s.id} added>
+                          {s.last_name}, {s.first_name} <span className={UI.muted}>· {s.student_number || "—"}</span>
+                        </DiffLine>
+                      ))}
+                    </DiffBlock>
+                  ) : null}
+
+                  {nothingToDo ? <div className={`text-sm ${UI.muted}`}>Nothing to copy — {target.sy_code} is already up to date.</div> : null}
+                </>
+              ) : null
+            ) : null}
+
+            {step === "done" && result ? (
+              <div className="rounded-2xl border border-[#C9A227]/30 bg-[#C9A227]/10 p-4 text-sm">
+                <div className="font-extrabold">Rollover complete</div>
+                <div className="mt-1 text-black/70">
+                  {result.sections} section(s), {result.advisers} adviser(s), {result.loads} teacher load(s), {result.schedules} schedule period(s)
+                  copied · {result.promoted} promoted · {result.graduates} graduate(s) flagged.
+                </div>
+              </div>
+            ) : null}
+
+            {commitM.isError ? (
+              <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">
+                Rollover Error: {sbErrorMessage(commitM.error)}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="flex items-center justify-end gap-2 border-t border-black/10 p-4">
+            {step === "preview" ? (
+              <button
+                type="button"
+                onClick={() => setStep("setup")}
+                disabled={commitM.isPending}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Back
+              </button>
+            ) : null}
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+            >
+              Close
+            </button>
+            {step === "setup" ? (
+              <button
+                type="button"
+                disabled={!canWrite || !fromSyId || parts.size === 0}
+                onClick={() => setStep("preview")}
+                className={`inline-flex items-center gap-2 rounded-xl ${UI.goldBg} px-4 py-2 text-sm font-extrabold text-black hover:opacity-95 disabled:opacity-60`}
+              >
+                Preview
+              </button>
+            ) : null}
+            {step === "preview" ? (
+              <button
+                type="button"
+                disabled={!canWrite || !plan || nothingToDo || commitM.isPending}
+                onClick={() => commitM.mutate()}
+                className={`inline-flex items-center gap-2 rounded-xl ${UI.goldBg} px-4 py-2 text-sm font-extrabold text-black hover:opacity-95 disabled:opacity-60`}
+              >
+                <CopyPlus className="h-4 w-4" />
+                {commitM.isPending ? "Committing…" : "Commit Rollover"}
+              </button>
+            ) : null}
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function DiffBlock({ title, added, kept = 0, addedLabel = "new", children }) {
+  return (
+    <div className="rounded-2xl border border-black/10 bg-white p-4">
+      <div className="flex flex-wrap items-center justify-between gap-2">
+        <div className={`text-sm font-extrabold ${UI.brown}`}>{title}</div>
+        <div className="text-xs font-semibold">
+          <span className="text-emerald-700">+{added} {addedLabel}</span>
+          {kept ? <span className={`ml-2 ${UI.muted}`}>{kept} already there</span> : null}
+        </div>
+      </div>
+      {children && (Array.isArray(children) ? children.length > 0 : true) ? (
+        <div className="mt-2 max-h-48 space-y-1 overflow-y-auto">{children}</div>
+      ) : null}
+    </div>
+  );
+}
+
+function DiffLine({ added, children }) {
+  return (
+    <div className={`rounded-lg px-2 py-1 text-xs ${added ? "bg-emerald-50 text-emerald-900" : "bg-black/[0.02] text-black/60"}`}>
+      <span className="mr-1 font-mono font-bold">{added ? "+" : "="}</span>
+      {children}
+    </div>
+  );
+}
+
 /* ================= Small Components ================= */
 
 function Field({ label, children }) {
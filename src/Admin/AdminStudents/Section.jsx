@@ -17,7 +17,24 @@ import {
   Undo2,
   ArchiveRestore,
   Filter,
+  Link2,
+  History,
+  Trash2,
+  FileSpreadsheet,
 } from "lucide-react";
+import {
+  DEFAULT_CAPACITY,
+  CONSTRAINT_KINDS,
+  capacityOf,
+  fetchAssignmentSource,
+  planAssignment,
+  fetchAssignmentRuns,
+  applyAssignmentPlan,
+  rollbackAssignmentRun,
+  addConstraint,
+  deleteConstraint,
+} from "../../lib/sectionAssignment";
+import { fetchSf1Learners, buildSf1Pdf, downloadSf1Xlsx, sf1FileName, sectionTitle } from "../../lib/schoolForms";
 
 import jsPDF from "jspdf";
 import autoTable from "jspdf-autotable";
@@ -33,8 +50,6 @@ const UI = {
   goldBg: "bg-[#C9A227]",
 };
 
-const MAX_CAPACITY = 40;
-
 /* ===================== Helpers ===================== */
 
 function norm(s) {
@@ -58,13 +73,15 @@ function sbErrorMessage(err) {
   if (msg.toLowerCase().includes("student_school_years_ux".toLowerCase())) {
     return "This student already has an assignment in the active school year.";
   }
+  if (msg.toLowerCase().includes("section_assignment_constraints_pair_key")) {
+    return "That rule already exists for these two students.";
+  }
+  if (msg.toLowerCase().includes("sections_capacity_check")) {
+    return "Capacity must be at least 1.";
+  }
   return msg;
 }
 
-function sectionKey({ grade_id, track_id, strand_id }) {
-  return `${grade_id || ""}__${track_id || ""}__${strand_id || ""}`;
-}
-
 function matchesSection(student, sec) {
   if (!student.grade_id || !student.track_id) return false;
   if ((sec.grade_id || null) !== (student.grade_id || null)) return false;
@@ -78,37 +95,6 @@ function matchesSection(student, sec) {
   return secStrand === sStrand;
 }
 
-function pickBestSection({ sections, desiredGender, currentCounts }) {
-  let best = null;
-  let bestScore = Infinity;
-
-  for (const sec of sections) {
-    const c = currentCounts.get(sec.section_id) || { total: 0, male: 0, female: 0 };
-    if (c.total >= MAX_CAPACITY) continue;
-
-    const fillScore = c.total / MAX_CAPACITY;
-
-    const beforeDiff = Math.abs(c.male - c.female);
-    const after = { ...c };
-    if (desiredGender === "male") after.male += 1;
-    else if (desiredGender === "female") after.female += 1;
-    after.total += 1;
-    const afterDiff = Math.abs(after.male - after.female);
-
-    const genderPenalty = desiredGender ? (afterDiff - beforeDiff) * 0.08 : 0;
-    const jitter = Math.random() * 0.001;
-
-    const score = fillScore + genderPenalty + jitter;
-
-    if (score < bestScore) {
-      bestScore = score;
-      best = sec;
-    }
-  }
-
-  return best;
-}
-
 /* ===================== Toast (same pattern as Enrollment.jsx) ===================== */
 
 function ToastHost({ toasts, onDismiss }) {
@@ -325,8 +311,11 @@ export default function Sections() {
   const [studentsModal, setStudentsModal] = useState({ open: false, row: null });
   const [unclassifiedModal, setUnclassifiedModal] = useState(false);
 
-  // Auto-assign report modal
-  const [autoAssignReport, setAutoAssignReport] = useState({ open: false, data: null });
+  // Auto-assign planner modal (Preview / Rules / History)
+  const [autoAssignOpen, setAutoAssignOpen] = useState(false);
+
+  // School Form 1 export modal
+  const [schoolFormOpen, setSchoolFormOpen] = useState(false);
 
   // ===== Role (admin vs super_admin) =====
   const roleQ = useQuery({
@@ -451,6 +440,7 @@ export default function Sections() {
           track_id,
           strand_id,
           adviser_id,
+          capacity,
           is_archived,
           created_at,
           updated_at,
@@ -582,6 +572,7 @@ export default function Sections() {
         track_id: values.track_id || null,
         strand_id: values.strand_id || null,
         adviser_id: values.adviser_id || null,
+        capacity: values.capacity || DEFAULT_CAPACITY,
         is_archived: false,
       };
 
@@ -608,6 +599,7 @@ export default function Sections() {
         track_id: values.track_id || null,
         strand_id: values.strand_id || null,
         adviser_id: values.adviser_id || null,
+        capacity: values.capacity || DEFAULT_CAPACITY,
       };
 
       const { error } = await supabase.from("sections").update(patch).eq("section_id", section_id);
@@ -643,128 +635,91 @@ export default function Sections() {
 
   /* ====================== ASSIGNMENT ====================== */
 
-  const autoAssignM = useMutation({
-    mutationFn: async () => {
+  async function invalidateAssignment() {
+    const syId = activeSYQ.data?.sy_id;
+    await qc.invalidateQueries({ queryKey: ["students_counts_by_section", syId] });
+    await qc.invalidateQueries({ queryKey: ["sections", syId] });
+    await qc.invalidateQueries({ queryKey: ["unclassified_students", syId] });
+    await qc.invalidateQueries({ queryKey: ["students_in_section"] });
+    await qc.invalidateQueries({ queryKey: ["section_assignment_source", syId] });
+    await qc.invalidateQueries({ queryKey: ["section_assignment_runs", syId] });
+  }
+
+  const applyPlanM = useMutation({
+    mutationFn: async ({ plan }) => {
       if (!canWrite) throw new Error("Not allowed. Super Admin only.");
       const sy = activeSYQ.data;
       if (!sy?.sy_id) throw new Error("No active school year found.");
 
-      const uc = unclassifiedQ.data;
-      if (!uc?.section_id) throw new Error('"Unclassified" section not found for the active school year.');
-      const unclassifiedId = uc.section_id;
-
-      const { data: stData, error: stErr } = await supabase
-        .from("students")
-        .select("id, student_number, first_name, last_name, middle_initial, extension, gender, status, sy_id, grade_id, track_id, strand_id, section_id")
-        .eq("sy_id", sy.sy_id)
-        .eq("status", "Enrolled");
-      if (stErr) throw stErr;
-
-      const candidates = (stData ?? []).filter((s) => (!s.section_id ? true : s.section_id === unclassifiedId));
-      if (candidates.length === 0) return { assigned: 0, skipped: 0, reason: "No unclassified enrolled students found." };
-
-      const usableSections = rows
-        .filter((sec) => sec.sy_id === sy.sy_id)
-        .filter((sec) => norm(sec.section_name) !== "unclassified")
-        .filter((sec) => !sec.is_archived);
-
-      const sectionsByKey = new Map();
-      for (const sec of usableSections) {
-        const key = sectionKey(sec);
-        const arr = sectionsByKey.get(key) || [];
-        arr.push(sec);
-        sectionsByKey.set(key, arr);
-      }
-
-      const counts = new Map(countsQ.data ?? new Map());
-
-      const shuffled = [...candidates];
-      for (let i = shuffled.length - 1; i > 0; i--) {
-        const j = Math.floor(Math.random() * (i + 1));
-        [shuffled[i], shuffled[j]] = [shuffled[j], shuffled[i]];
-      }
-
-      const updates = [];
-      let skipped = 0;
-
-      const sectionNameById = new Map();
-      for (const sec of usableSections) sectionNameById.set(sec.section_id, sec.section_name);
-
-      for (const s of shuffled) {
-        if (!s.grade_id || !s.track_id) {
-          skipped += 1;
-          continue;
-        }
-
-        const key = sectionKey(s);
-        const pool = sectionsByKey.get(key) || [];
-        if (pool.length === 0) {
-          skipped += 1;
-          continue;
-        }
-
-        const g = norm(s.gender);
-        const desiredGender = g === "male" ? "male" : g === "female" ? "female" : null;
-
-        const best = pickBestSection({ sections: pool, desiredGender, currentCounts: counts });
-        if (!best) {
-          skipped += 1;
-          continue;
-        }
-
-        updates.push({ id: s.id, section_id: best.section_id });
-
-        const c = counts.get(best.section_id) || { total: 0, male: 0, female: 0 };
-        c.total += 1;
-        if (desiredGender === "male") c.male += 1;
-        else if (desiredGender === "female") c.female += 1;
-        counts.set(best.section_id, c);
-      }
-
-      if (updates.length === 0) return { assigned: 0, skipped, reason: "No valid assignments found (capacity/match constraints)." };
-
-      for (const u of updates) {
-        const { error } = await supabase.from("students").update({ section_id: u.section_id }).eq("id", u.id).eq("sy_id", sy.sy_id);
-        if (error) throw error;
+      await applyAssignmentPlan({ syId: sy.sy_id, plan });
+      return { assigned: plan.placements.length, skipped: plan.skipped.length };
+    },
+    onSuccess: async (data) => {
+      await invalidateAssignment();
+      toast.push({
+        tone: "success",
+        title: "Auto-Assign applied",
+        message: `Assigned ${data.assigned} · Skipped ${data.skipped}. You can roll this run back from History.`,
+      });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Auto-Assign failed", message: sbErrorMessage(e) }),
+  });
 
-        const { error: upErr } = await supabase
-          .from("student_school_years")
-          .upsert({ sy_id: sy.sy_id, student_id: u.id, section_id: u.section_id }, { onConflict: "sy_id,student_id" });
-        if (upErr) throw upErr;
-      }
+  const rollbackRunM = useMutation({
+    mutationFn: async ({ run }) => {
+      if (!canWrite) throw new Error("Not allowed. Super Admin only.");
+      const sy = activeSYQ.data;
+      if (!sy?.sy_id) throw new Error("No active school year found.");
 
-      const assignments = updates.map((u) => {
-        const st = candidates.find((x) => x.id === u.id);
-        return {
-          student_id: u.id,
-          student_number: st?.student_number || "—",
-          first_name: st?.first_name || "",
-          last_name: st?.last_name || "",
-          middle_initial: st?.middle_initial || "",
-          extension: st?.extension || "",
-          gender: st?.gender || null,
-          section_id: u.section_id,
-          section_name: sectionNameById.get(u.section_id) || "—",
-        };
+      const ok = await toast.confirm({
+        title: "Roll back this run?",
+        message: `Move the ${run.summary?.assigned ?? ""} students of this run back to where they were before it was applied?`,
+        confirmText: "Roll back",
+        cancelText: "Cancel",
+        tone: "danger",
       });
+      if (!ok) return { cancelled: true };
 
-      return { assigned: updates.length, skipped, assignments };
+      return rollbackAssignmentRun({ runId: run.run_id });
     },
-    onSuccess: async (data) => {
-      await qc.invalidateQueries({ queryKey: ["students_counts_by_section", activeSYQ.data?.sy_id] });
-      await qc.invalidateQueries({ queryKey: ["sections", activeSYQ.data?.sy_id] });
-      await qc.invalidateQueries({ queryKey: ["unclassified_students", activeSYQ.data?.sy_id] });
-
+    onSuccess: async (res) => {
+      if (res?.cancelled) return;
+      await invalidateAssignment();
       toast.push({
         tone: "success",
-        title: "Auto-Assign completed",
-        message: `Assigned ${data?.assigned ?? 0} · Skipped ${data?.skipped ?? 0}${data?.reason ? ` (${data.reason})` : ""}`,
+        title: "Rolled back",
+        message: `Reverted ${res.reverted}${res.kept ? ` · ${res.kept} left alone (moved since the run)` : ""}.`,
       });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Rollback failed", message: sbErrorMessage(e) }),
+  });
+
+  const addConstraintM = useMutation({
+    mutationFn: async (values) => {
+      if (!canWrite) throw new Error("Not allowed. Super Admin only.");
+      const sy = activeSYQ.data;
+      if (!sy?.sy_id) throw new Error("No active school year found.");
+      await addConstraint({ syId: sy.sy_id, ...values });
+      return true;
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["section_assignment_source", activeSYQ.data?.sy_id] });
+      toast.push({ tone: "success", title: "Rule added", message: "The next preview follows this rule." });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Add rule failed", message: sbErrorMessage(e) }),
+  });
 
-      if (data?.assignments?.length) setAutoAssignReport({ open: true, data });
-      else setAutoAssignReport({ open: false, data: null });
+  const deleteConstraintM = useMutation({
+    mutationFn: async ({ constraint_id }) => {
+      if (!canWrite) throw new Error("Not allowed. Super Admin only.");
+      await deleteConstraint(constraint_id);
+      return true;
     },
-    onError: (e) => toast.push({ tone: "danger", title: "Auto-Assign failed", message: sbErrorMessage(e) }),
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["section_assignment_source", activeSYQ.data?.sy_id] });
+      toast.push({ tone: "success", title: "Rule removed", message: "Rule deleted." });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Remove rule failed", message: sbErrorMessage(e) }),
   });
 
   const resetAssignM = useMutation({
@@ -805,6 +760,8 @@ export default function Sections() {
       await qc.invalidateQueries({ queryKey: ["sections", activeSYQ.data?.sy_id] });
       await qc.invalidateQueries({ queryKey: ["unclassified_students", activeSYQ.data?.sy_id] });
 
+      await qc.invalidateQueries({ queryKey: ["section_assignment_source", activeSYQ.data?.sy_id] });
+
       toast.push({ tone: "success", title: "Reset complete", message: "All enrolled students moved to Unclassified." });
     },
     onError: (e) => toast.push({ tone: "danger", title: "Reset failed", message: sbErrorMessage(e) }),
@@ -826,7 +783,7 @@ export default function Sections() {
       if (!matchesSection(student, sec)) throw new Error("Student does not match the section's grade/track/strand.");
 
       const c = (countsQ.data ?? new Map()).get(section_id) || { total: 0 };
-      if ((c.total ?? 0) >= MAX_CAPACITY) throw new Error(`This section is at maximum capacity (${MAX_CAPACITY}).`);
+      if ((c.total ?? 0) >= capacityOf(sec)) throw new Error(`This section is at maximum capacity (${capacityOf(sec)}).`);
 
       const { error } = await supabase.from("students").update({ section_id }).eq("id", student.id).eq("sy_id", sy.sy_id);
       if (error) throw error;
@@ -947,6 +904,31 @@ export default function Sections() {
     onError: (e) => toast.push({ tone: "danger", title: "PDF failed", message: sbErrorMessage(e) }),
   });
 
+  const schoolFormM = useMutation({
+    mutationFn: async ({ sectionIds, format }) => {
+      const sy = activeSYQ.data;
+      if (!sy?.sy_id) throw new Error("No active school year found.");
+
+      const targetSections = notUnclassified
+        .filter((s) => sectionIds.includes(s.section_id))
+        .sort((a, b) => sectionTitle(a).localeCompare(sectionTitle(b)));
+      if (!targetSections.length) throw new Error("Pick at least one section.");
+
+      const learners = await fetchSf1Learners({ sy, sectionIds: targetSections.map((s) => s.section_id) });
+
+      if (format === "xlsx") {
+        await downloadSf1Xlsx({ sy, sections: targetSections, learners, fileName: sf1FileName({ sy, sections: targetSections, ext: "xlsx" }) });
+      } else {
+        buildSf1Pdf({ sy, sections: targetSections, learners }).save(sf1FileName({ sy, sections: targetSections, ext: "pdf" }));
+      }
+
+      return { sections: targetSections.length, format };
+    },
+    onSuccess: ({ sections, format }) =>
+      toast.push({ tone: "success", title: "Downloaded", message: `SF1 ${format.toUpperCase()} generated for ${sections} section(s).` }),
+    onError: (e) => toast.push({ tone: "danger", title: "SF1 failed", message: sbErrorMessage(e) }),
+  });
+
   /* ====================== UI HANDLERS ====================== */
 
   function openCreate() {
@@ -954,7 +936,7 @@ export default function Sections() {
     setModal({
       open: true,
       mode: "create",
-      row: { section_id: null, section_name: "", grade_id: "", track_id: "", strand_id: "", adviser_id: "" },
+      row: { section_id: null, section_name: "", grade_id: "", track_id: "", strand_id: "", adviser_id: "", capacity: DEFAULT_CAPACITY },
     });
   }
 
@@ -970,6 +952,7 @@ export default function Sections() {
         track_id: row.track_id || "",
         strand_id: row.strand_id || "",
         adviser_id: row.adviser_id || "",
+        capacity: capacityOf(row),
         updated_at: row.updated_at || null,
       },
     });
@@ -991,11 +974,13 @@ export default function Sections() {
     createM.isPending ||
     updateM.isPending ||
     toggleArchiveM.isPending ||
-    autoAssignM.isPending ||
+    applyPlanM.isPending ||
+    rollbackRunM.isPending ||
     resetAssignM.isPending ||
     assignOneM.isPending ||
     removeFromSectionM.isPending ||
-    downloadPdfM.isPending;
+    downloadPdfM.isPending ||
+    schoolFormM.isPending;
 
   return (
     <div className={`${UI.pageBg} ${UI.text} space-y-4`}>
@@ -1036,10 +1021,10 @@ export default function Sections() {
           {canWrite ? (
             <>
               <button
-                onClick={() => autoAssignM.mutate()}
+                onClick={() => setAutoAssignOpen(true)}
                 disabled={busy || !activeSYQ.data || !unclassifiedQ.data?.section_id}
                 className="inline-flex items-center justify-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
-                title="Assign enrolled unclassified students to matching non-archived sections (max 40; balanced gender)."
+                title="Preview and apply section placements for unclassified students, manage keep-together/apart rules, roll back past runs."
                 type="button"
               >
                 <Shuffle className="h-4 w-4 text-black/60" />
@@ -1102,6 +1087,17 @@ export default function Sections() {
             <Download className="h-4 w-4 text-black/60" />
             Download Archived (All)
           </button>
+
+          <button
+            onClick={() => setSchoolFormOpen(true)}
+            disabled={busy || !activeSYQ.data}
+            className="inline-flex items-center justify-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+            title="DepEd School Form 1 (School Register) per section, as PDF or XLSX"
+            type="button"
+          >
+            <FileSpreadsheet className="h-4 w-4 text-black/60" />
+            School Form 1 (SF1)
+          </button>
         </div>
       </div>
 
@@ -1257,8 +1253,8 @@ export default function Sections() {
                           <span className="font-semibold">{c.male}</span> M · <span className="font-semibold">{c.female}</span> F
                         </div>
 
-                        <span className={`ml-auto text-xs font-semibold ${c.total >= MAX_CAPACITY ? "text-rose-700" : "text-black/60"}`}>
-                          {c.total}/{MAX_CAPACITY}
+                        <span className={`ml-auto text-xs font-semibold ${c.total >= capacityOf(r) ? "text-rose-700" : "text-black/60"}`}>
+                          {c.total}/{capacityOf(r)}
                         </span>
                       </div>
                     </td>
@@ -1389,12 +1385,31 @@ export default function Sections() {
         />
       ) : null}
 
-      {/* Auto-Assign Report Modal */}
-      {autoAssignReport.open ? (
-        <AutoAssignReportModal
+      {/* SF1 Modal */}
+      {schoolFormOpen ? (
+        <SchoolFormModal
           sy={activeSYQ.data}
-          data={autoAssignReport.data}
-          onClose={() => setAutoAssignReport({ open: false, data: null })}
+          sections={notUnclassified}
+          counts={countsQ.data ?? new Map()}
+          generating={schoolFormM.isPending}
+          onGenerate={(values) => schoolFormM.mutate(values)}
+          onClose={() => setSchoolFormOpen(false)}
+        />
+      ) : null}
+
+      {/* Auto-Assign Modal */}
+      {autoAssignOpen ? (
+        <AutoAssignModal
+          sy={activeSYQ.data}
+          canWrite={canWrite}
+          applying={applyPlanM.isPending}
+          rollingBack={rollbackRunM.isPending}
+          savingRule={addConstraintM.isPending || deleteConstraintM.isPending}
+          onApply={(plan) => applyPlanM.mutateAsync({ plan })}
+          onRollback={(run) => rollbackRunM.mutate({ run })}
+          onAddRule={(values) => addConstraintM.mutateAsync(values)}
+          onDeleteRule={(constraint_id) => deleteConstraintM.mutate({ constraint_id })}
+          onClose={() => setAutoAssignOpen(false)}
         />
       ) : null}
 
@@ -1441,7 +1456,9 @@ function SectionModal({ mode, row, onClose, onCreate, onUpdate, busy, grades, tr
     [teachers, usedAdvisers]
   );
 
-  const canSave = !!draft.section_name?.trim();
+  const capacity = Number(draft.capacity);
+  const capacityOk = Number.isInteger(capacity) && capacity > 0;
+  const canSave = !!draft.section_name?.trim() && capacityOk;
 
   function submit(e) {
     e.preventDefault();
@@ -1452,6 +1469,7 @@ function SectionModal({ mode, row, onClose, onCreate, onUpdate, busy, grades, tr
       track_id: draft.track_id || null,
       strand_id: draft.strand_id || null,
       adviser_id: draft.adviser_id || null,
+      capacity,
     };
 
     if (!canSave) return;
@@ -1547,10 +1565,14 @@ function SectionModal({ mode, row, onClose, onCreate, onUpdate, busy, grades, tr
                   ))}
                 </Select>
 
-                <div className="rounded-xl border border-black/10 bg-black/[0.01] p-3">
-                  <div className="text-xs font-semibold text-black/60">Capacity rule</div>
-                  <div className="mt-1 text-xs text-black/55">Auto-assign respects max {MAX_CAPACITY} students/section and balances gender.</div>
-                </div>
+                <Input
+                  label="Capacity *"
+                  type="number"
+                  min={1}
+                  value={draft.capacity ?? ""}
+                  onChange={(e) => setDraft((d) => ({ ...d, capacity: e.target.value }))}
+                  error={capacityOk ? "" : "Enter a whole number of at least 1."}
+                />
               </div>
             </Section>
 
@@ -1622,7 +1644,7 @@ function StudentsModal({ section, activeSY, counts, unclassifiedSectionId, canWr
                 {section?.section_name || "—"} · {activeSY?.sy_code ? `SY ${activeSY.sy_code}` : ""}
               </div>
               <div className="mt-1 text-[11px] text-black/60">
-                {c.total}/{MAX_CAPACITY} · {c.male} M · {c.female} F
+                {c.total}/{capacityOf(section)} · {c.male} M · {c.female} F
               </div>
             </div>
 
@@ -1823,7 +1845,7 @@ function UnclassifiedModal({
                 <div className="rounded-xl border border-black/10 bg-[#C9A227]/5 p-3">
                   <div className="text-xs font-semibold text-black/60">Assign rules</div>
                   <div className="mt-1 text-xs text-black/55">
-                    Must match <span className="font-mono">grade_id/track_id/strand_id</span> · Max {MAX_CAPACITY} capacity · Non-archived sections only.
+                    Must match <span className="font-mono">grade_id/track_id/strand_id</span> · Section capacity · Non-archived sections only.
                   </div>
                 </div>
               </div>
@@ -1863,8 +1885,8 @@ function UnclassifiedModal({
                             >
                               <option value="">—</option>
                               {(isPicked ? eligibleSections : []).map((sec) => (
-                                <option key={sec.section_id} value={sec.section_id} disabled={(sec._count?.total ?? 0) >= MAX_CAPACITY}>
-                                  {sec.section_name} — {sec._count?.total ?? 0}/{MAX_CAPACITY}
+                                <option key={sec.section_id} value={sec.section_id} disabled={(sec._count?.total ?? 0) >= capacityOf(sec)}>
+                                  {sec.section_name} — {sec._count?.total ?? 0}/{capacityOf(sec)}
                                 </option>
                               ))}
                             </select>
@@ -1921,30 +1943,78 @@ function UnclassifiedModal({
   );
 }
 
-function AutoAssignReportModal({ sy, data, onClose }) {
+function AutoAssignModal({ sy, canWrite, applying, rollingBack, savingRule, onApply, onRollback, onAddRule, onDeleteRule, onClose }) {
+  const [tab, setTab] = useState("Preview"); // Preview | Rules | History
   const [q, setQ] = useState("");
-  const rows = data?.assignments ?? [];
+  const [ruleQ, setRuleQ] = useState("");
+  const [rule, setRule] = useState({ kind: "together", studentA: "", studentB: "", note: "" });
 
-  const filtered = useMemo(() => {
-    const needle = q.trim().toLowerCase();
-    if (!needle) return rows;
-    return rows.filter((r) => {
-      const name = `${r.last_name || ""}, ${r.first_name || ""} ${r.extension || ""} ${r.middle_initial || ""}`;
-      const hay = `${r.section_name} ${r.student_number} ${name} ${r.gender || ""}`.toLowerCase();
-      return hay.includes(needle);
-    });
-  }, [rows, q]);
+  const sourceQ = useQuery({
+    queryKey: ["section_assignment_source", sy?.sy_id],
+    enabled: !!sy?.sy_id,
+    queryFn: () => fetchAssignmentSource(sy.sy_id),
+  });
+
+  const runsQ = useQuery({
+    queryKey: ["section_assignment_runs", sy?.sy_id],
+    enabled: !!sy?.sy_id,
+    queryFn: () => fetchAssignmentRuns(sy.sy_id),
+  });
+
+  const plan = useMemo(() => (sourceQ.data ? planAssignment(sourceQ.data) : null), [sourceQ.data]);
+
+  const studentById = useMemo(() => new Map((sourceQ.data?.students ?? []).map((s) => [s.id, s])), [sourceQ.data]);
 
   const grouped = useMemo(() => {
+    const needle = q.trim().toLowerCase();
     const map = new Map();
-    for (const r of filtered) {
-      const key = r.section_name || "—";
-      const arr = map.get(key) || [];
-      arr.push(r);
-      map.set(key, arr);
+    for (const p of plan?.placements ?? []) {
+      if (needle) {
+        const hay = `${p.section.section_name} ${p.student.student_number} ${fullNameLike(p.student)} ${p.reason}`.toLowerCase();
+        if (!hay.includes(needle)) continue;
+      }
+      const arr = map.get(p.section.section_id) || { section: p.section, list: [] };
+      arr.list.push(p);
+      map.set(p.section.section_id, arr);
+    }
+    return Array.from(map.values()).sort((a, b) => String(a.section.section_name).localeCompare(String(b.section.section_name)));
+  }, [plan, q]);
+
+  const ruleOptions = useMemo(() => {
+    const needle = ruleQ.trim().toLowerCase();
+    return (sourceQ.data?.students ?? [])
+      .filter((s) => !needle || `${s.student_number} ${fullNameLike(s)}`.toLowerCase().includes(needle))
+      .sort((a, b) => fullNameLike(a).localeCompare(fullNameLike(b)))
+      .slice(0, 200);
+  }, [sourceQ.data, ruleQ]);
+
+  const constraints = sourceQ.data?.constraints ?? [];
+  const runs = runsQ.data ?? [];
+  const canApply = canWrite && !!plan?.placements?.length && !applying;
+
+  async function apply() {
+    try {
+      await onApply(plan);
+      setTab("History");
+    } catch {
+      // toast already shown by the mutation
+    }
+  }
+
+  async function addRule(e) {
+    e.preventDefault();
+    try {
+      await onAddRule(rule);
+      setRule((r) => ({ ...r, studentA: "", studentB: "", note: "" }));
+    } catch {
+      // toast already shown by the mutation
     }
-    return Array.from(map.entries()).sort((a, b) => String(a[0]).localeCompare(String(b[0])));
-  }, [filtered]);
+  }
+
+  const studentName = (id) => {
+    const s = studentById.get(id);
+    return s ? `${fullNameLike(s)} (${s.student_number || "—"})` : "Not enrolled this SY";
+  };
 
   return (
     <>
@@ -1953,9 +2023,9 @@ function AutoAssignReportModal({ sy, data, onClose }) {
         <div className={`w-full max-w-5xl rounded-2xl border ${UI.border} bg-white shadow-xl`}>
           <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
             <div>
-              <div className="text-base font-extrabold">Auto-Assign Results</div>
+              <div className="text-base font-extrabold">Auto-Assign</div>
               <div className={`text-xs ${UI.muted}`}>
-                {sy?.sy_code ? `SY ${sy.sy_code}` : "Active SY"} · Assigned {data?.assigned ?? 0} · Skipped {data?.skipped ?? 0}
+                {sy?.sy_code ? `SY ${sy.sy_code}` : "Active SY"} · Nothing is written until you apply the preview.
               </div>
             </div>
 
@@ -1965,75 +2035,457 @@ function AutoAssignReportModal({ sy, data, onClose }) {
           </div>
 
           <div className="p-4 space-y-4 max-h-[78vh] overflow-auto">
-            <div className={`rounded-2xl border ${UI.border} bg-white p-4`}>
-              <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
-                <div>
-                  <div className="text-sm font-extrabold">Assigned students by section</div>
-                  <div className={`text-xs ${UI.muted}`}>Showing {filtered.length} assignment records</div>
-                </div>
+            <div className="flex flex-wrap gap-2">
+              {[
+                { key: "Preview", icon: Shuffle },
+                { key: "Rules", icon: Link2, count: constraints.length },
+                { key: "History", icon: History, count: runs.length },
+              ].map((t) => {
+                const Icon = t.icon;
+                const active = tab === t.key;
+                return (
+                  <button
+                    key={t.key}
+                    onClick={() => setTab(t.key)}
+                    className={`inline-flex items-center gap-2 rounded-xl border px-4 py-2 text-sm font-extrabold transition ${
+                      active ? "bg-[#C9A227]/15 border-[#C9A227]/40" : "bg-white border-black/10 hover:bg-black/[0.02]"
+                    }`}
+                    type="button"
+                  >
+                    <Icon className="h-4 w-4" />
+                    {t.key}
+                    {t.count ? <span className="text-xs text-black/50">({t.count})</span> : null}
+                  </button>
+                );
+              })}
+            </div>
 
-                <div className="w-full md:w-[360px]">
-                  <Field label="Search">
-                    <div className="relative">
-                      <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-black/45" />
-                      <input
-                        value={q}
-                        onChange={(e) => setQ(e.target.value)}
-                        placeholder="Search section, student #, name…"
-                        className="mt-1 w-full rounded-xl border border-black/10 bg-white px-10 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
-                      />
+            {sourceQ.isLoading ? (
+              <div className={`rounded-2xl border ${UI.border} bg-white p-6 text-sm ${UI.muted}`}>Loading…</div>
+            ) : sourceQ.isError ? (
+              <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">Error: {sbErrorMessage(sourceQ.error)}</div>
+            ) : tab === "Preview" ? (
+              <>
+                <div className={`rounded-2xl border ${UI.border} bg-white p-4`}>
+                  <div className="grid gap-3 md:grid-cols-3">
+                    <Stat label="Will be assigned" value={plan?.placements.length ?? 0} />
+                    <Stat label="Skipped" value={plan?.skipped.length ?? 0} />
+                    <Stat label="Sections receiving students" value={new Set((plan?.placements ?? []).map((p) => p.section.section_id)).size} />
+                  </div>
+
+                  <div className="mt-3 flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+                    <div className={`text-xs ${UI.muted}`}>
+                      Matches grade/track/strand · Per-section capacity · Keep-together/apart rules · Returning students lean to last
+                      year's section name and former classmates · Balanced gender.
                     </div>
-                  </Field>
-                </div>
-              </div>
-            </div>
 
-            {grouped.length === 0 ? (
-              <div className={`rounded-2xl border ${UI.border} bg-white p-6 text-sm ${UI.muted}`}>No assignments to display.</div>
-            ) : (
-              <div className="space-y-3">
-                {grouped.map(([sectionName, list]) => (
-                  <div key={sectionName} className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
-                    <div className="flex items-center justify-between border-b border-black/10 px-4 py-3">
-                      <div className="font-extrabold">{sectionName}</div>
-                      <div className="text-xs text-black/60">{list.length} students</div>
+                    <div className="w-full md:w-[320px]">
+                      <Field label="Search">
+                        <div className="relative">
+                          <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-black/45" />
+                          <input
+                            value={q}
+                            onChange={(e) => setQ(e.target.value)}
+                            placeholder="Search section, student #, name…"
+                            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-10 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                          />
+                        </div>
+                      </Field>
                     </div>
+                  </div>
+                </div>
+
+                {plan?.warnings.length ? (
+                  <div className="rounded-2xl border border-amber-200 bg-amber-50 p-4 text-xs text-amber-800 space-y-1">
+                    {plan.warnings.map((w, i) => (
+                      <div key={i}>{w}</div>
+                    ))}
+                  </div>
+                ) : null}
 
+                {grouped.length === 0 ? (
+                  <div className={`rounded-2xl border ${UI.border} bg-white p-6 text-sm ${UI.muted}`}>
+                    {plan?.placements.length ? "No placements match your search." : "No unclassified enrolled students can be placed."}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    {grouped.map(({ section, list }) => {
+                      const l = plan.load.get(section.section_id);
+                      return (
+                        <div key={section.section_id} className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
+                          <div className="flex items-center justify-between border-b border-black/10 px-4 py-3">
+                            <div className="font-extrabold">{section.section_name}</div>
+                            <div className="text-xs text-black/60">
+                              +{list.length} · after apply {l?.total ?? 0}/{l?.capacity ?? capacityOf(section)} · {l?.male ?? 0} M · {l?.female ?? 0} F
+                            </div>
+                          </div>
+
+                          <table className="w-full text-left text-sm">
+                            <thead className="bg-black/[0.02] text-xs text-black/60">
+                              <tr>
+                                <th className="px-4 py-3 font-semibold">Student #</th>
+                                <th className="px-4 py-3 font-semibold">Name</th>
+                                <th className="px-4 py-3 font-semibold">Gender</th>
+                                <th className="px-4 py-3 font-semibold">Why</th>
+                              </tr>
+                            </thead>
+                            <tbody>
+                              {list.map((p) => (
+                                <tr key={p.student.id} className="border-t border-black/10 hover:bg-black/[0.01]">
+                                  <td className="px-4 py-3 font-mono text-xs text-black/70">{p.student.student_number || "—"}</td>
+                                  <td className="px-4 py-3 font-semibold">{fullNameLike(p.student)}</td>
+                                  <td className="px-4 py-3 text-black/70">{p.student.gender || "—"}</td>
+                                  <td className="px-4 py-3 text-xs text-black/60">{p.reason}</td>
+                                </tr>
+                              ))}
+                            </tbody>
+                          </table>
+                        </div>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {plan?.skipped.length ? (
+                  <div className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
+                    <div className="border-b border-black/10 px-4 py-3 text-sm font-extrabold">Skipped ({plan.skipped.length})</div>
                     <table className="w-full text-left text-sm">
-                      <thead className="bg-black/[0.02] text-xs text-black/60">
-                        <tr>
-                          <th className="px-4 py-3 font-semibold">Student #</th>
-                          <th className="px-4 py-3 font-semibold">Name</th>
-                          <th className="px-4 py-3 font-semibold">Gender</th>
-                        </tr>
-                      </thead>
                       <tbody>
-                        {list.map((r) => (
-                          <tr key={`${r.student_id}-${r.section_id}`} className="border-t border-black/10 hover:bg-black/[0.01]">
-                            <td className="px-4 py-3 font-mono text-xs text-black/70">{r.student_number}</td>
-                            <td className="px-4 py-3 font-semibold">
-                              {`${r.last_name || ""}, ${r.first_name || ""}`.trim() || "—"}
-                              {r.extension?.trim() ? ` ${r.extension.trim()}` : ""}
-                              {r.middle_initial?.trim() ? ` ${r.middle_initial.trim()}.` : ""}
-                            </td>
-                            <td className="px-4 py-3 text-black/70">{r.gender || "—"}</td>
+                        {plan.skipped.map((x) => (
+                          <tr key={x.student.id} className="border-t border-black/10 first:border-t-0">
+                            <td className="px-4 py-3 font-mono text-xs text-black/70">{x.student.student_number || "—"}</td>
+                            <td className="px-4 py-3 font-semibold">{fullNameLike(x.student)}</td>
+                            <td className="px-4 py-3 text-xs text-rose-700">{x.reason}</td>
                           </tr>
                         ))}
                       </tbody>
                     </table>
                   </div>
-                ))}
+                ) : null}
+              </>
+            ) : tab === "Rules" ? (
+              <>
+                {canWrite ? (
+                  <form onSubmit={addRule} className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-3`}>
+                    <div className="grid gap-3 md:grid-cols-4">
+                      <Select label="Rule" value={rule.kind} onChange={(e) => setRule((r) => ({ ...r, kind: e.target.value }))}>
+                        {CONSTRAINT_KINDS.map((k) => (
+                          <option key={k.key} value={k.key}>
+                            {k.label}
+                          </option>
+                        ))}
+                      </Select>
+
+                      <Field label="Find student">
+                        <div className="relative">
+                          <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-black/45" />
+                          <input
+                            value={ruleQ}
+                            onChange={(e) => setRuleQ(e.target.value)}
+                            placeholder="Name or student #…"
+                            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-10 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                          />
+                        </div>
+                      </Field>
+
+                      <Select label="Student A" value={rule.studentA} onChange={(e) => setRule((r) => ({ ...r, studentA: e.target.value }))}>
+                        <option value="">—</option>
+                        {ruleOptions.map((s) => (
+                          <option key={s.id} value={s.id}>
+                            {fullNameLike(s)}
+                          </option>
+                        ))}
+                      </Select>
+
+                      <Select label="Student B" value={rule.studentB} onChange={(e) => setRule((r) => ({ ...r, studentB: e.target.value }))}>
+                        <option value="">—</option>
+                        {ruleOptions.map((s) => (
+                          <option key={s.id} value={s.id}>
+                            {fullNameLike(s)}
+                          </option>
+                        ))}
+                      </Select>
+                    </div>
+
+                    <div className="flex flex-col gap-3 md:flex-row md:items-end">
+                      <div className="flex-1">
+                        <Input label="Note (optional)" value={rule.note} onChange={(e) => setRule((r) => ({ ...r, note: e.target.value }))} />
+                      </div>
+                      <button
+                        disabled={!rule.studentA || !rule.studentB || savingRule}
+                        type="submit"
+                        className={`inline-flex items-center justify-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+                      >
+                        <Plus className="h-4 w-4" />
+                        Add Rule
+                      </button>
+                    </div>
+                  </form>
+                ) : null}
+
+                <div className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
+                  <table className="w-full text-left text-sm">
+                    <thead className="bg-black/[0.02] text-xs text-black/60">
+                      <tr>
+                        <th className="px-4 py-3 font-semibold">Rule</th>
+                        <th className="px-4 py-3 font-semibold">Students</th>
+                        <th className="px-4 py-3 font-semibold">Note</th>
+                        <th className="px-4 py-3 font-semibold text-right">Action</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {constraints.map((c) => (
+                        <tr key={c.constraint_id} className="border-t border-black/10 hover:bg-black/[0.01]">
+                          <td className="px-4 py-3 font-semibold">{CONSTRAINT_KINDS.find((k) => k.key === c.kind)?.label || c.kind}</td>
+                          <td className="px-4 py-3 text-black/70">
+                            <div>{studentName(c.student_a)}</div>
+                            <div>{studentName(c.student_b)}</div>
+                          </td>
+                          <td className="px-4 py-3 text-xs text-black/60">{c.note || "—"}</td>
+                          <td className="px-4 py-3">
+                            <div className="flex justify-end">
+                              {canWrite ? (
+                                <IconBtn title="Remove rule" onClick={() => onDeleteRule(c.constraint_id)} tone="neutral" disabled={savingRule}>
+                                  <Trash2 className="h-5 w-5" />
+                                </IconBtn>
+                              ) : (
+                                <span className="text-xs text-black/45">—</span>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+
+                      {constraints.length === 0 ? (
+                        <tr>
+                          <td colSpan={4} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                            No keep-together or keep-apart rules for this school year.
+                          </td>
+                        </tr>
+                      ) : null}
+                    </tbody>
+                  </table>
+                </div>
+              </>
+            ) : (
+              <div className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
+                {runsQ.isError ? (
+                  <div className="p-4 text-sm text-rose-700">Error: {sbErrorMessage(runsQ.error)}</div>
+                ) : (
+                  <table className="w-full text-left text-sm">
+                    <thead className="bg-black/[0.02] text-xs text-black/60">
+                      <tr>
+                        <th className="px-4 py-3 font-semibold">Applied</th>
+                        <th className="px-4 py-3 font-semibold">Assigned</th>
+                        <th className="px-4 py-3 font-semibold">Skipped</th>
+                        <th className="px-4 py-3 font-semibold">Status</th>
+                        <th className="px-4 py-3 font-semibold text-right">Action</th>
+                      </tr>
+                    </thead>
+                    <tbody>
+                      {runs.map((r) => (
+                        <tr key={r.run_id} className="border-t border-black/10 hover:bg-black/[0.01]">
+                          <td className="px-4 py-3 text-black/70">{new Date(r.created_at).toLocaleString()}</td>
+                          <td className="px-4 py-3 font-semibold">
+                            {r.summary?.assigned ?? "—"}
+                            {r.summary?.sections ? <span className="text-xs text-black/50"> · {r.summary.sections} sections</span> : null}
+                          </td>
+                          <td className="px-4 py-3 text-black/70">{r.summary?.skipped ?? "—"}</td>
+                          <td className="px-4 py-3">
+                            {r.rolled_back_at ? (
+                              <span className="text-xs text-black/55">Rolled back {new Date(r.rolled_back_at).toLocaleString()}</span>
+                            ) : (
+                              <StatusPill value="Applied" />
+                            )}
+                          </td>
+                          <td className="px-4 py-3">
+                            <div className="flex justify-end">
+                              {canWrite && !r.rolled_back_at ? (
+                                <button
+                                  onClick={() => onRollback(r)}
+                                  disabled={rollingBack}
+                                  className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/[0.02] disabled:opacity-60"
+                                  type="button"
+                                >
+                                  <Undo2 className="h-4 w-4 text-black/60" />
+                                  Roll back
+                                </button>
+                              ) : (
+                                <span className="text-xs text-black/45">—</span>
+                              )}
+                            </div>
+                          </td>
+                        </tr>
+                      ))}
+
+                      {runs.length === 0 ? (
+                        <tr>
+                          <td colSpan={5} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                            {runsQ.isLoading ? "Loading…" : "No auto-assign runs yet for this school year."}
+                          </td>
+                        </tr>
+                      ) : null}
+                    </tbody>
+                  </table>
+                )}
               </div>
             )}
 
-            <div className="flex items-center justify-end">
+            <div className="flex items-center justify-end gap-2">
               <button
                 type="button"
                 onClick={onClose}
-                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95`}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
               >
                 Close
               </button>
+              {tab === "Preview" && canWrite ? (
+                <button
+                  type="button"
+                  onClick={apply}
+                  disabled={!canApply}
+                  className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+                >
+                  <UserCheck className="h-4 w-4" />
+                  {applying ? "Applying…" : `Apply ${plan?.placements.length ?? 0} placements`}
+                </button>
+              ) : null}
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function SchoolFormModal({ sy, sections, counts, generating, onGenerate, onClose }) {
+  const [showArchived, setShowArchived] = useState(false);
+  const [format, setFormat] = useState("pdf");
+
+  const list = useMemo(
+    () =>
+      sections
+        .filter((s) => showArchived || !s.is_archived)
+        .sort((a, b) => sectionTitle(a).localeCompare(sectionTitle(b))),
+    [sections, showArchived]
+  );
+
+  const [picked, setPicked] = useState(() => new Set(sections.filter((s) => !s.is_archived).map((s) => s.section_id)));
+
+  const visibleIds = list.map((s) => s.section_id);
+  const chosen = visibleIds.filter((id) => picked.has(id));
+  const allPicked = visibleIds.length > 0 && chosen.length === visibleIds.length;
+
+  function toggle(id) {
+    setPicked((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+  }
+
+  function toggleAll() {
+    setPicked((prev) => {
+      const next = new Set(prev);
+      visibleIds.forEach((id) => (allPicked ? next.delete(id) : next.add(id)));
+      return next;
+    });
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`w-full max-w-3xl rounded-2xl border ${UI.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">School Form 1 (SF1)</div>
+              <div className={`text-xs ${UI.muted}`}>
+                School Register · {sy?.sy_code ? `SY ${sy.sy_code}` : "Active SY"} · LRN, name, sex, birthdate, age, address, parents/guardian
+              </div>
+            </div>
+
+            <button onClick={onClose} className="ml-auto grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="p-4 space-y-4 max-h-[75vh] overflow-auto">
+            <div className="grid gap-3 md:grid-cols-2">
+              <Select label="Format" value={format} onChange={(e) => setFormat(e.target.value)}>
+                <option value="pdf">PDF (one register per section)</option>
+                <option value="xlsx">XLSX (one sheet per section)</option>
+              </Select>
+
+              <label className="flex items-end gap-2 pb-2 text-sm font-semibold text-black/70">
+                <input type="checkbox" checked={showArchived} onChange={(e) => setShowArchived(e.target.checked)} />
+                Include archived sections
+              </label>
+            </div>
+
+            <div className={`overflow-hidden rounded-2xl border ${UI.border} bg-white`}>
+              <table className="w-full text-left text-sm">
+                <thead className="bg-black/[0.02] text-xs text-black/60">
+                  <tr>
+                    <th className="w-10 px-4 py-3">
+                      <input type="checkbox" checked={allPicked} onChange={toggleAll} disabled={!visibleIds.length} />
+                    </th>
+                    <th className="px-4 py-3 font-semibold">Section</th>
+                    <th className="px-4 py-3 font-semibold">Adviser</th>
+                    <th className="px-4 py-3 font-semibold">Learners</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {list.map((s) => {
+                    const c = counts.get(s.section_id) || { total: 0, male: 0, female: 0 };
+                    return (
+                      <tr key={s.section_id} className="border-t border-black/10 hover:bg-black/[0.01]">
+                        <td className="px-4 py-3">
+                          <input type="checkbox" checked={picked.has(s.section_id)} onChange={() => toggle(s.section_id)} />
+                        </td>
+                        <td className="px-4 py-3 font-semibold">
+                          {sectionTitle(s)}
+                          {s.is_archived ? <span className="ml-2 text-xs text-black/45">(archived)</span> : null}
+                        </td>
+                        <td className="px-4 py-3 text-black/70">
+                          {s.teachers ? `${s.teachers.last_name || ""}, ${s.teachers.first_name || ""}`.trim() : "—"}
+                        </td>
+                        <td className="px-4 py-3 text-xs text-black/60">
+                          {c.total} · {c.male} M · {c.female} F
+                        </td>
+                      </tr>
+                    );
+                  })}
+
+                  {list.length === 0 ? (
+                    <tr>
+                      <td colSpan={4} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                        No sections in this school year.
+                      </td>
+                    </tr>
+                  ) : null}
+                </tbody>
+              </table>
+            </div>
+
+            <div className="flex items-center justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Close
+              </button>
+              <button
+                type="button"
+                onClick={() => onGenerate({ sectionIds: chosen, format })}
+                disabled={!chosen.length || generating}
+                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+              >
+                <Download className="h-4 w-4" />
+                {generating ? "Generating…" : `Generate ${chosen.length} section${chosen.length === 1 ? "" : "s"}`}
+              </button>
             </div>
           </div>
         </div>
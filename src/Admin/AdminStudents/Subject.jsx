@@ -139,7 +139,7 @@
       queryFn: async () => {
         const { data, error } = await supabase
           .from("subjects")
-          .select("subject_id, subject_code, subject_title, subject_type, units, grade_id, strand_id, is_archived, created_at, updated_at, archived_at")
+          .select("subject_id, subject_code, subject_title, subject_type, units, weekly_hours, grade_id, strand_id, is_archived, created_at, updated_at, archived_at")
           .order("subject_code", { ascending: true });
         if (error) throw error;
         return data ?? [];
@@ -205,6 +205,7 @@
           subject_title: "",
           subject_type: "Core",
           units: 0,
+          weekly_hours: "",
           grade_id: "",
           strand_id: "",
           created_at: null,
@@ -228,6 +229,7 @@
           subject_title: String(values.subject_title || "").trim(),
           subject_type: values.subject_type,
           units: Number(values.units || 0),
+          weekly_hours: String(values.weekly_hours ?? "").trim() === "" ? null : Number(values.weekly_hours),
           grade_id: values.grade_id ? values.grade_id : null,
           strand_id: values.strand_id ? values.strand_id : null,
           is_archived: false,
@@ -249,6 +251,7 @@
           subject_title: String(values.subject_title || "").trim(),
           subject_type: values.subject_type,
           units: Number(values.units || 0),
+          weekly_hours: String(values.weekly_hours ?? "").trim() === "" ? null : Number(values.weekly_hours),
           grade_id: values.grade_id ? values.grade_id : null,
           strand_id: values.strand_id ? values.strand_id : null,
         };
@@ -766,6 +769,7 @@
       subject_title: row?.subject_title || "",
       subject_type: row?.subject_type || "Core",
       units: row?.units ?? 0,
+      weekly_hours: row?.weekly_hours ?? "",
       grade_id: row?.grade_id || "",
       strand_id: row?.strand_id || "",
     }));
@@ -782,6 +786,11 @@
       if (Number.isNaN(u)) e.units = "Units must be a number.";
       if (u < 0) e.units = "Units must be 0 or greater.";
 
+      if (String(v.weekly_hours ?? "").trim() !== "") {
+        const h = Number(v.weekly_hours);
+        if (!Number.isInteger(h) || h < 0 || h > 40) e.weekly_hours = "Weekly hours must be a whole number from 0 to 40.";
+      }
+
       if (String(v.subject_code || "").length > 30) e.subject_code = "Max 30 characters.";
       if (String(v.subject_title || "").length > 150) e.subject_title = "Max 150 characters.";
 
@@ -872,6 +881,21 @@
                   />
                 </div>
 
+                <div className="mt-3 grid gap-3 md:grid-cols-3">
+                  <Input
+                    label="Weekly hours"
+                    type="number"
+                    value={values.weekly_hours}
+                    onChange={(e) => setValues((p) => ({ ...p, weekly_hours: e.target.value }))}
+                    error={errors.weekly_hours}
+                    disabled={!canWrite}
+                    placeholder="Blank = same as units"
+                  />
+                  <div className="md:col-span-2 self-end pb-2 text-xs text-black/55">
+                    Periods per week used by the timetable generator.
+                  </div>
+                </div>
+
                 <div className="mt-3">
                   <Input
                     label="Subject Title *"
@@ -0,0 +1,573 @@
+import React, { useEffect, useMemo, useState } from "react";
+import { useMutation, useQuery, useQueryClient } from "@tanstack/react-query";
+import { supabase } from "../../lib/supabaseClient";
+import { Plus, Pencil, CheckCircle2, Lock, Unlock, X, Save } from "lucide-react";
+import {
+  fetchTerms,
+  fetchSchoolYearTerms,
+  mergeTerms,
+  saveSchoolYearTerm,
+  setActiveTerm,
+  setTermClosed,
+} from "../../lib/terms";
+
+/**
+ * Terms Page — per school year:
+ * - dates of each term (must sit inside the school year and not overlap)
+ * - the active term (default term in schedule views and the calendar feed)
+ * - closing a term locks its schedules, teacher loads and grades (DB triggers)
+ *
+ * admin: READ-ONLY · super_admin: MANAGE
+ */
+
+// ====== UI THEME (White + Gold, minimal brown) ======
+const UI = {
+  pageBg: "bg-white",
+  panel: "bg-white",
+  border: "border-black/10",
+  text: "text-[#1F1A14]",
+  muted: "text-black/55",
+  gold: "text-[#C9A227]",
+  goldBg: "bg-[#C9A227]",
+  goldSoft: "bg-[#C9A227]/10",
+  brown: "text-[#6B4E2E]",
+};
+
+function sbErrorMessage(err) {
+  return String(err?.message || err || "");
+}
+
+function dateOnly(v) {
+  return v ? String(v).slice(0, 10) : "";
+}
+
+/** Validation errors for one term's dates against its year and sibling terms. */
+function termDateErrors(values, sy, siblings) {
+  const e = {};
+  const { start_date: s, end_date: en } = values;
+  if (!s) e.start_date = "Start date is required.";
+  if (!en) e.end_date = "End date is required.";
+  if (s && en && en < s) e.end_date = "End date must be the same as or later than start date.";
+
+  const syStart = dateOnly(sy?.start_date);
+  const syEnd = dateOnly(sy?.end_date);
+  if (s && syStart && s < syStart) e.start_date = `Must be on or after the school year start (${syStart}).`;
+  if (en && syEnd && en > syEnd) e.end_date = `Must be on or before the school year end (${syEnd}).`;
+
+  if (s && en && !e.start_date && !e.end_date) {
+    const clash = siblings.find((t) => t.start_date && t.end_date && s <= dateOnly(t.end_date) && dateOnly(t.start_date) <= en);
+    if (clash) e.end_date = `Overlaps ${clash.term_code} (${dateOnly(clash.start_date)} → ${dateOnly(clash.end_date)}).`;
+  }
+  return e;
+}
+
+export default function Terms() {
+  const qc = useQueryClient();
+
+  // ===== Role (admin vs super_admin) =====
+  const [role, setRole] = useState("unknown");
+  const canWrite = role === "super_admin";
+
+  useEffect(() => {
+    let alive = true;
+
+    const loadRole = async () => {
+      try {
+        const { data: auth } = await supabase.auth.getUser();
+        const uid = auth?.user?.id;
+        if (!uid) {
+          if (alive) setRole("unknown");
+          return;
+        }
+        const { data, error } = await supabase.from("profiles").select("role").eq("user_id", uid).single();
+        if (error) throw error;
+        if (alive) setRole(data?.role || "unknown");
+      } catch {
+        if (alive) setRole("unknown");
+      }
+    };
+
+    loadRole();
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  const requireSuperAdmin = () => {
+    if (!canWrite) throw new Error("Read-only: Admin users cannot modify terms.");
+  };
+
+  const [syPick, setSyPick] = useState("");
+  const [modal, setModal] = useState(null); // { mode: "dates" | "create", term? }
+  const [confirm, setConfirm] = useState(null); // { action: "activate" | "close" | "reopen", term }
+
+  const syQ = useQuery({
+    queryKey: ["school_years"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("school_years")
+        .select("sy_id, sy_code, start_date, end_date, status, created_at, updated_at")
+        .order("sy_code", { ascending: false });
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const years = syQ.data ?? [];
+  const syId = syPick || years.find((y) => y.status === "Active")?.sy_id || years[0]?.sy_id || "";
+  const sy = years.find((y) => y.sy_id === syId) || null;
+
+  const termsQ = useQuery({ queryKey: ["terms"], queryFn: fetchTerms });
+  const syTermsQ = useQuery({
+    queryKey: ["school_year_terms", syId],
+    enabled: !!syId,
+    queryFn: () => fetchSchoolYearTerms(syId),
+  });
+
+  const rows = useMemo(() => mergeTerms(termsQ.data, syTermsQ.data), [termsQ.data, syTermsQ.data]);
+
+  const invalidate = () => qc.invalidateQueries({ queryKey: ["school_year_terms"] });
+
+  const datesM = useMutation({
+    mutationFn: async ({ term, values }) => {
+      requireSuperAdmin();
+      await saveSchoolYearTerm({ syId, termId: term.term_id, ...values });
+    },
+    onSuccess: invalidate,
+  });
+
+  const createM = useMutation({
+    mutationFn: async (values) => {
+      requireSuperAdmin();
+      const { data, error } = await supabase
+        .from("terms")
+        .insert({ term_code: values.term_code.trim(), description: values.description.trim() || null })
+        .select("term_id")
+        .single();
+      if (error) throw error;
+      await saveSchoolYearTerm({ syId, termId: data.term_id, start_date: values.start_date, end_date: values.end_date });
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["terms"] });
+      await invalidate();
+    },
+  });
+
+  const stateM = useMutation({
+    mutationFn: async ({ action, term }) => {
+      requireSuperAdmin();
+      if (action === "activate") await setActiveTerm(syId, term.term_id);
+      else await setTermClosed(syId, term.term_id, action === "close");
+    },
+    onSuccess: invalidate,
+  });
+
+  async function onConfirm() {
+    if (!confirm) return;
+    try {
+      await stateM.mutateAsync(confirm);
+    } finally {
+      setConfirm(null);
+    }
+  }
+
+  const writeLocked = !canWrite;
+  const busy = datesM.isPending || createM.isPending || stateM.isPending;
+  const mutationError = datesM.error || createM.error || stateM.error;
+
+  const confirmCopy = confirm
+    ? {
+        activate: {
+          title: `Make ${confirm.term.term_code} the active term?`,
+          description: "Teacher and student schedule views, the calendar feed and admin pages will open on this term by default.",
+          button: "Set Active",
+        },
+        close: {
+          title: `Close ${confirm.term.term_code}?`,
+          description: "Schedules, teacher loads and grades for this term become read-only until it is reopened.",
+          button: "Close Term",
+        },
+        reopen: {
+          title: `Reopen ${confirm.term.term_code}?`,
+          description: "Schedules, teacher loads and grades for this term can be edited again.",
+          button: "Reopen",
+        },
+      }[confirm.action]
+    : null;
+
+  return (
+    <div className={`${UI.pageBg} ${UI.text} space-y-4`}>
+      {/* Header */}
+      <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+        <div>
+          <div className="text-lg font-extrabold">Terms</div>
+          <div className="mt-1 text-xs text-black/60">
+            Role: <span className="font-extrabold text-black">{role === "unknown" ? "—" : role}</span>
+            {writeLocked ? (
+              <span className="ml-2 rounded-full border border-black/10 bg-black/[0.02] px-2 py-0.5 text-[11px] font-semibold text-black/60">
+                Read-only
+              </span>
+            ) : (
+              <span className="ml-2 rounded-full border border-[#C9A227]/30 bg-[#C9A227]/10 px-2 py-0.5 text-[11px] font-semibold text-[#6B4E2E]">
+                Can manage
+              </span>
+            )}
+          </div>
+        </div>
+
+        <button
+          onClick={() => setModal({ mode: "create" })}
+          disabled={writeLocked || !syId}
+          title={writeLocked ? "Super Admin only" : "Add Term"}
+          className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${
+            writeLocked ? "bg-black/5 text-black/40 cursor-not-allowed" : `${UI.goldBg} text-black hover:opacity-95`
+          }`}
+        >
+          <Plus className="h-4 w-4" />
+          Add Term
+        </button>
+      </div>
+
+      {/* School year + summary */}
+      <div className={`rounded-2xl border ${UI.border} ${UI.panel} p-4`}>
+        <div className="grid gap-3 md:grid-cols-3">
+          <label className="block">
+            <span className={`text-xs font-semibold ${UI.muted}`}>School Year</span>
+            <select
+              value={syId}
+              onChange={(e) => setSyPick(e.target.value)}
+              className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+            >
+              {years.map((y) => (
+                <option key={y.sy_id} value={y.sy_id}>
+                  {y.sy_code} {y.status === "Active" ? "(Active)" : ""}
+                </option>
+              ))}
+            </select>
+          </label>
+
+          <div className="md:col-span-2 rounded-xl border border-black/10 bg-[#C9A227]/5 p-3">
+            <div className="text-xs font-semibold text-black/60">Active term</div>
+            <div className="mt-1 text-sm font-extrabold text-black">{rows.find((t) => t.is_active)?.term_code || "—"}</div>
+            <div className={`mt-1 text-xs ${UI.muted}`}>
+              {sy ? `School year runs ${dateOnly(sy.start_date) || "—"} → ${dateOnly(sy.end_date) || "—"}` : "No school year selected"}
+            </div>
+          </div>
+        </div>
+      </div>
+
+      {mutationError ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-4 text-sm text-rose-700">Error: {sbErrorMessage(mutationError)}</div>
+      ) : null}
+
+      {/* Table */}
+      <div className={`overflow-hidden rounded-2xl border ${UI.border} ${UI.panel}`}>
+        <div className="flex items-center justify-between border-b border-black/10 px-4 py-3">
+          <div className="text-sm font-extrabold">Terms {sy ? `• ${sy.sy_code}` : ""}</div>
+          <div className={`text-xs ${UI.muted}`}>{rows.length} term(s)</div>
+        </div>
+
+        {termsQ.isLoading || syTermsQ.isLoading ? (
+          <div className={`p-6 text-sm ${UI.muted}`}>Loading…</div>
+        ) : termsQ.isError || syTermsQ.isError ? (
+          <div className="p-6 text-sm text-rose-700">Error: {sbErrorMessage(termsQ.error || syTermsQ.error)}</div>
+        ) : (
+          <table className="w-full text-left text-sm">
+            <thead className="bg-black/[0.02] text-xs text-black/60">
+              <tr>
+                <th className="px-4 py-3 font-semibold">Term</th>
+                <th className="px-4 py-3 font-semibold">Start Date</th>
+                <th className="px-4 py-3 font-semibold">End Date</th>
+                <th className="px-4 py-3 font-semibold">Status</th>
+                <th className="px-4 py-3 font-semibold text-right">Actions</th>
+              </tr>
+            </thead>
+            <tbody>
+              {rows.map((t) => (
+                <tr key={t.term_id} className="border-t border-black/10 hover:bg-black/[0.01]">
+                  <td className="px-4 py-3">
+                    <div className="font-semibold">{t.term_code}</div>
+                    {t.description ? <div className={`text-xs ${UI.muted}`}>{t.description}</div> : null}
+                  </td>
+                  <td className="px-4 py-3 text-black/70">{dateOnly(t.start_date) || "—"}</td>
+                  <td className="px-4 py-3 text-black/70">{dateOnly(t.end_date) || "—"}</td>
+                  <td className="px-4 py-3">
+                    <div className="flex flex-wrap gap-1">
+                      {t.is_active ? <StatusPill value="Active" /> : null}
+                      <StatusPill value={t.is_closed ? "Closed" : "Open"} />
+                    </div>
+                  </td>
+                  <td className="px-4 py-3">
+                    <div className="flex justify-end gap-2">
+                      <IconBtn
+                        title={writeLocked ? "Super Admin only" : "Edit dates"}
+                        onClick={() => setModal({ mode: "dates", term: t })}
+                        tone="gold"
+                        disabled={writeLocked}
+                      >
+                        <Pencil className="h-5 w-5" />
+                      </IconBtn>
+                      <IconBtn
+                        title={writeLocked ? "Super Admin only" : t.is_active ? "Already Active" : "Set as active term"}
+                        onClick={() => setConfirm({ action: "activate", term: t })}
+                        tone={t.is_active ? "muted" : "gold"}
+                        disabled={writeLocked || t.is_active}
+                      >
+                        <CheckCircle2 className="h-5 w-5" />
+                      </IconBtn>
+                      <IconBtn
+                        title={writeLocked ? "Super Admin only" : t.is_closed ? "Reopen term" : "Close term"}
+                        onClick={() => setConfirm({ action: t.is_closed ? "reopen" : "close", term: t })}
+                        tone="gold"
+                        disabled={writeLocked}
+                      >
+                        {t.is_closed ? <Unlock className="h-5 w-5" /> : <Lock className="h-5 w-5" />}
+                      </IconBtn>
+                    </div>
+                  </td>
+                </tr>
+              ))}
+
+              {rows.length === 0 ? (
+                <tr>
+                  <td colSpan={5} className={`px-4 py-10 text-center text-sm ${UI.muted}`}>
+                    No terms yet.
+                  </td>
+                </tr>
+              ) : null}
+            </tbody>
+          </table>
+        )}
+      </div>
+
+      {modal ? (
+        <TermModal
+          mode={modal.mode}
+          term={modal.term}
+          sy={sy}
+          siblings={rows.filter((t) => t.term_id !== modal.term?.term_id)}
+          existingCodes={rows.map((t) => String(t.term_code || "").trim().toLowerCase())}
+          canWrite={canWrite}
+          busy={busy}
+          onClose={() => setModal(null)}
+          onSave={(values) => {
+            if (modal.mode === "create") createM.mutate(values);
+            else datesM.mutate({ term: modal.term, values });
+          }}
+        />
+      ) : null}
+
+      {confirm && confirmCopy ? (
+        <ConfirmModal
+          canWrite={canWrite}
+          title={confirmCopy.title}
+          description={confirmCopy.description}
+          button={confirmCopy.button}
+          tone={confirm.action === "close" ? "danger" : "gold"}
+          onClose={() => setConfirm(null)}
+          onConfirm={onConfirm}
+          busy={stateM.isPending}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+/* ================= Modals ================= */
+
+function TermModal({ mode, term, sy, siblings, existingCodes, canWrite, busy, onClose, onSave }) {
+  const isCreate = mode === "create";
+
+  const [values, setValues] = useState(() => ({
+    term_code: term?.term_code || "",
+    description: term?.description || "",
+    start_date: dateOnly(term?.start_date),
+    end_date: dateOnly(term?.end_date),
+  }));
+
+  const errors = useMemo(() => {
+    const e = termDateErrors(values, sy, siblings);
+    if (isCreate) {
+      const code = values.term_code.trim().toLowerCase();
+      if (!code) e.term_code = "Term code is required.";
+      else if (existingCodes.includes(code)) e.term_code = "A term with this code already exists.";
+    }
+    return e;
+  }, [values, sy, siblings, isCreate, existingCodes]);
+
+  function submit(e) {
+    e.preventDefault();
+    if (!canWrite || Object.keys(errors).length) return;
+    onSave(values);
+    onClose();
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`w-full max-w-2xl rounded-2xl border ${UI.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">{isCreate ? "Add Term" : `${term.term_code} • ${sy?.sy_code || ""}`}</div>
+              <div className={`text-xs ${UI.muted}`}>
+                {isCreate ? "New terms are available to every school year." : "Dates must sit inside the school year and not overlap other terms."}
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" aria-label="Close">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <form onSubmit={submit} className="space-y-4 p-4">
+            {isCreate ? (
+              <div className="grid gap-3 md:grid-cols-2">
+                <Input
+                  label="Term Code *"
+                  placeholder="1st Sem"
+                  value={values.term_code}
+                  onChange={(e) => setValues((v) => ({ ...v, term_code: e.target.value }))}
+                  error={errors.term_code}
+                  disabled={!canWrite}
+                />
+                <Input
+                  label="Description"
+                  placeholder="First Semester"
+                  value={values.description}
+                  onChange={(e) => setValues((v) => ({ ...v, description: e.target.value }))}
+                  disabled={!canWrite}
+                />
+              </div>
+            ) : null}
+
+            <div className="grid gap-3 md:grid-cols-2">
+              <Input
+                label="Start Date *"
+                type="date"
+                value={values.start_date}
+                onChange={(e) => setValues((v) => ({ ...v, start_date: e.target.value }))}
+                error={errors.start_date}
+                disabled={!canWrite}
+              />
+              <Input
+                label="End Date *"
+                type="date"
+                value={values.end_date}
+                onChange={(e) => setValues((v) => ({ ...v, end_date: e.target.value }))}
+                error={errors.end_date}
+                disabled={!canWrite}
+              />
+            </div>
+
+            <div className="flex items-center justify-end gap-2">
+              <button
+                type="button"
+                onClick={onClose}
+                className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Close
+              </button>
+              <button
+                disabled={!canWrite || busy || Object.keys(errors).length > 0}
+                type="submit"
+                title={!canWrite ? "Super Admin only" : ""}
+                className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${
+                  !canWrite ? "bg-black/5 text-black/40 cursor-not-allowed" : `${UI.goldBg} text-black hover:opacity-95`
+                } disabled:opacity-60`}
+              >
+                <Save className="h-4 w-4" />
+                {isCreate ? "Create" : "Save Changes"}
+              </button>
+            </div>
+          </form>
+        </div>
+      </div>
+    </>
+  );
+}
+
+function ConfirmModal({ canWrite, title, description, button, tone, onClose, onConfirm, busy }) {
+  const btn = tone === "danger" ? "bg-rose-600 text-white hover:opacity-95" : `${UI.goldBg} text-black hover:opacity-95`;
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`w-full max-w-lg rounded-2xl border ${UI.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">{title}</div>
+              <div className={`text-xs ${UI.muted}`}>{description}</div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" aria-label="Close">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="flex items-center justify-end gap-2 p-4">
+            <button
+              type="button"
+              onClick={onClose}
+              className="rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+            >
+              Cancel
+            </button>
+            <button
+              disabled={!canWrite || busy}
+              type="button"
+              onClick={onConfirm}
+              className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${
+                !canWrite ? "bg-black/5 text-black/40 cursor-not-allowed" : btn
+              } disabled:opacity-60`}
+            >
+              {button}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/* ================= Small Components ================= */
+
+function Input({ label, error, type = "text", disabled, ...rest }) {
+  return (
+    <label className="block">
+      <span className={`text-xs font-semibold ${UI.muted}`}>{label}</span>
+      <input
+        type={type}
+        disabled={disabled}
+        {...rest}
+        className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40 disabled:bg-black/[0.03] disabled:text-black/50"
+      />
+      {error ? <div className="mt-1 text-xs text-rose-700">{error}</div> : null}
+    </label>
+  );
+}
+
+function IconBtn({ title, onClick, tone, disabled, children }) {
+  const cls = tone === "muted" ? "bg-black/5 text-black/50" : "bg-[#C9A227]/10 text-[#C9A227] hover:opacity-90";
+
+  return (
+    <button
+      title={title}
+      onClick={onClick}
+      disabled={disabled}
+      className={`grid h-9 w-9 place-items-center rounded-xl border border-black/10 ${cls} disabled:opacity-60 disabled:cursor-not-allowed`}
+      type="button"
+    >
+      {children}
+    </button>
+  );
+}
+
+function StatusPill({ value }) {
+  const v = String(value || "").toLowerCase();
+  const cls =
+    v === "active"
+      ? "bg-[#C9A227]/10 text-[#C9A227]"
+      : v === "closed"
+      ? "bg-rose-50 text-rose-700"
+      : "bg-black/5 text-black/70";
+  return <span className={`inline-flex rounded-full px-3 py-1 text-xs font-semibold ${cls}`}>{value}</span>;
+}
@@ -6,12 +6,14 @@ import React, { useEffect, useMemo, useState } from "react";
 import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
 import { supabase } from "../../lib/supabaseClient";
 import { TOKENS } from "../../styles/tokens";
+import { fetchQualifications, qualificationIndex, saveTeacherQualifications, unqualifiedSubjects } from "../../lib/qualifications";
 
 import { z } from "zod";
 import { useForm } from "react-hook-form";
 import { zodResolver } from "@hookform/resolvers/zod";
 
-import { Plus, Search, Pencil, Eye, X, Save, ArchiveRestore, KeyRound } from "lucide-react";
+import { Plus, Search, Pencil, Eye, X, Save, ArchiveRestore, KeyRound, AlertTriangle, Monitor } from "lucide-react";
+import UserSessionsModal from "../../components/UserSessionsModal";
 
 const teacherSchema = z.object({
   employee_number: z.string().optional().or(z.literal("")),
@@ -153,7 +155,7 @@ async function fetchMyRole() {
 async function fetchActiveSchoolYear() {
   const { data, error } = await supabase
     .from("school_years")
-    .select("sy_id, status, created_at")
+    .select("sy_id, sy_code, status, created_at")
     .eq("status", "Active")
     .order("created_at", { ascending: false })
     .limit(1);
@@ -200,6 +202,38 @@ async function fetchAdvisoryMapForSy(syId) {
   return map;
 }
 
+/** Subjects / strands for the qualification matrix, plus what the active SY offers (for the gaps report). */
+async function fetchQualificationOptions() {
+  const [subjRes, strandRes, secRes, sy] = await Promise.all([
+    supabase
+      .from("subjects")
+      .select("subject_id, subject_code, subject_title, grade_id, strand_id, is_archived")
+      .eq("is_archived", false)
+      .order("subject_code", { ascending: true }),
+    supabase.from("strands").select("strand_id, strand_code").order("strand_code", { ascending: true }),
+    supabase.from("sections").select("section_id, section_name, grade_id, strand_id"),
+    fetchActiveSchoolYear(),
+  ]);
+  if (subjRes.error) throw subjRes.error;
+  if (strandRes.error) throw strandRes.error;
+  if (secRes.error) throw secRes.error;
+
+  let scheduledSubjectIds = [];
+  if (sy?.sy_id) {
+    const { data, error } = await supabase.from("section_schedules").select("subject_id").eq("sy_id", sy.sy_id);
+    if (error) throw error;
+    scheduledSubjectIds = [...new Set((data ?? []).map((r) => r.subject_id).filter(Boolean))];
+  }
+
+  return {
+    subjects: subjRes.data ?? [],
+    strands: strandRes.data ?? [],
+    sections: (secRes.data ?? []).filter((x) => String(x.section_name || "").trim().toLowerCase() !== "unclassified"),
+    scheduledSubjectIds,
+    sy,
+  };
+}
+
 /* ===================== Page ===================== */
 
 export default function Management() {
@@ -209,6 +243,7 @@ export default function Management() {
   const [q, setQ] = useState("");
   const [tab, setTab] = useState("active"); // "active" | "archived"
   const [modal, setModal] = useState({ open: false, mode: "create", row: null });
+  const [sessionsRow, setSessionsRow] = useState(null); // signed-in devices of one teacher
   const [creds, setCreds] = useState(null); // { employee_number, tempPassword, user_id }
 
   // Role query
@@ -262,6 +297,25 @@ export default function Management() {
 
   const rows = teachersQ.data ?? [];
 
+  const qualOptionsQ = useQuery({
+    queryKey: ["qualification_options"],
+    queryFn: fetchQualificationOptions,
+  });
+
+  const qualsQ = useQuery({
+    queryKey: ["teacher_qualifications"],
+    queryFn: () => fetchQualifications(),
+  });
+
+  const qualIndex = useMemo(() => qualificationIndex(qualsQ.data), [qualsQ.data]);
+
+  const gaps = useMemo(() => {
+    if (!qualOptionsQ.data) return [];
+    return unqualifiedSubjects({ ...qualOptionsQ.data, teachers: rows, index: qualIndex });
+  }, [qualOptionsQ.data, rows, qualIndex]);
+
+  const [showGaps, setShowGaps] = useState(false);
+
   const visibleRows = useMemo(() => {
     const wantArchived = tab === "archived";
     return rows.filter((r) => Boolean(r.is_archived) === wantArchived);
@@ -345,6 +399,19 @@ export default function Management() {
     onError: (e) => toast.push({ tone: "danger", title: "Update failed", message: errMsg(e) }),
   });
 
+  // QUALIFICATIONS (teacher ↔ subjects / strands)
+  const qualM = useMutation({
+    mutationFn: async ({ user_id, subjectIds, strandIds }) => {
+      requireSuperAdmin();
+      await saveTeacherQualifications(user_id, { subjectIds, strandIds });
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["teacher_qualifications"] });
+      toast.push({ tone: "success", title: "Saved", message: "Qualifications updated." });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Qualifications not saved", message: errMsg(e) }),
+  });
+
   // ARCHIVE / RESTORE
   const archiveM = useMutation({
     mutationFn: async ({ user_id, is_archived }) => {
@@ -581,6 +648,56 @@ export default function Management() {
         </div>
       </div>
 
+      {/* Qualification gaps (active SY) */}
+      {qualOptionsQ.data && !qualsQ.isLoading ? (
+        <div
+          className={`rounded-2xl border p-4 ${
+            gaps.length ? "border-[#C9A227]/40 bg-[#C9A227]/10" : "border-black/10 bg-white/60"
+          }`}
+        >
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-2 text-sm font-extrabold">
+              {gaps.length ? <AlertTriangle className="h-4 w-4 text-[#6B4E2E]" /> : null}
+              {gaps.length
+                ? `${gaps.length} subject(s) have no qualified teacher`
+                : "Every subject offered has a qualified teacher"}
+              <span className="text-xs font-semibold text-black/55">
+                ({qualOptionsQ.data.sy?.sy_code ? `SY ${qualOptionsQ.data.sy.sy_code}` : "no active SY"})
+              </span>
+            </div>
+            {gaps.length ? (
+              <button
+                type="button"
+                onClick={() => setShowGaps((v) => !v)}
+                className="rounded-xl border border-black/10 bg-white px-3 py-1 text-xs font-semibold hover:bg-white/80"
+              >
+                {showGaps ? "Hide" : "Show"}
+              </button>
+            ) : null}
+          </div>
+
+          {showGaps && gaps.length ? (
+            <div className="mt-3 flex flex-wrap gap-2">
+              {gaps.map((s) => (
+                <span
+                  key={s.subject_id}
+                  title={s.subject_title}
+                  className="rounded-full border border-black/10 bg-white px-3 py-1 text-xs font-semibold text-black/70"
+                >
+                  {s.subject_code || s.subject_title}
+                </span>
+              ))}
+            </div>
+          ) : null}
+
+          {!(qualsQ.data ?? []).length ? (
+            <div className="mt-2 text-xs text-black/55">
+              No qualifications recorded yet. Open a teacher and tick the subjects or strands they may teach.
+            </div>
+          ) : null}
+        </div>
+      ) : null}
+
       {/* Table */}
       <div className="overflow-hidden rounded-2xl border border-black/10 bg-white/70">
         <div className="flex items-center justify-between border-b border-black/10 bg-black/[0.02] px-4 py-3">
@@ -641,6 +758,10 @@ export default function Management() {
                               <KeyRound className="h-5 w-5" />
                             </IconBtn>
 
+                            <IconBtn title="Devices & sessions" onClick={() => setSessionsRow(r)} tone="neutral">
+                              <Monitor className="h-5 w-5" />
+                            </IconBtn>
+
                             <IconBtn title="Archive" onClick={() => onArchive(r)} tone="neutral">
                               <ArchiveRestore className="h-5 w-5" />
                             </IconBtn>
@@ -668,6 +789,15 @@ export default function Management() {
         )}
       </div>
 
+      <UserSessionsModal
+        open={!!sessionsRow}
+        userId={sessionsRow?.user_id}
+        title={sessionsRow ? `${sessionsRow.last_name}, ${sessionsRow.first_name} • ${sessionsRow.employee_number || ""}` : ""}
+        onClose={() => setSessionsRow(null)}
+        confirm={toast.confirm}
+        onRevoked={(count) => toast.push({ tone: "success", title: "Signed out", message: `${count} session(s) ended.` })}
+      />
+
       {modal.open ? (
         <TeacherModal
           key={`${modal.mode}:${modal.row?.user_id || "new"}`}
@@ -678,6 +808,10 @@ export default function Management() {
           onUpdate={(user_id, values) => updateM.mutate({ user_id, values })}
           busy={busy}
           canManage={canManage}
+          qualOptions={qualOptionsQ.data}
+          qualifications={qualsQ.isLoading ? null : (qualsQ.data ?? []).filter((x) => x.teacher_id === modal.row?.user_id)}
+          savingQualifications={qualM.isPending}
+          onSaveQualifications={(user_id, ids) => qualM.mutate({ user_id, ...ids })}
         />
       ) : null}
     </div>
@@ -686,7 +820,19 @@ export default function Management() {
 
 /* ================= Modal ================= */
 
-function TeacherModal({ mode, row, onClose, onCreate, onUpdate, busy, canManage }) {
+function TeacherModal({
+  mode,
+  row,
+  onClose,
+  onCreate,
+  onUpdate,
+  busy,
+  canManage,
+  qualOptions,
+  qualifications,
+  savingQualifications,
+  onSaveQualifications,
+}) {
   const isView = mode === "view";
   const isEdit = mode === "edit";
   const isCreate = mode === "create";
@@ -803,6 +949,30 @@ function TeacherModal({ mode, row, onClose, onCreate, onUpdate, busy, canManage
             </div>
           </div>
 
+          <div className="rounded-2xl border border-black/10 bg-white/70 p-4">
+            <div className={`text-sm font-extrabold ${TOKENS.brown}`}>Qualifications</div>
+            <div className="text-xs text-black/55">
+              Subjects this teacher may teach. A strand covers every subject scoped to it. The schedule editors warn when
+              anyone else is picked.
+            </div>
+
+            {isCreate ? (
+              <div className="mt-3 text-xs text-black/55">Create the teacher first, then edit to set qualifications.</div>
+            ) : !qualOptions || !qualifications ? (
+              <div className="mt-3 text-xs text-black/55">Loading…</div>
+            ) : (
+              <QualificationsEditor
+                key={row.user_id}
+                subjects={qualOptions.subjects}
+                strands={qualOptions.strands}
+                initial={qualifications}
+                disabled={!allowWrite}
+                busy={savingQualifications}
+                onSave={(ids) => onSaveQualifications(row.user_id, ids)}
+              />
+            )}
+          </div>
+
           <div className="flex items-center justify-end gap-2">
             <button
               type="button"
@@ -829,6 +999,100 @@ function TeacherModal({ mode, row, onClose, onCreate, onUpdate, busy, canManage
   );
 }
 
+function QualificationsEditor({ subjects, strands, initial, disabled, busy, onSave }) {
+  const [subjectIds, setSubjectIds] = useState(() => new Set(initial.map((x) => x.subject_id).filter(Boolean)));
+  const [strandIds, setStrandIds] = useState(() => new Set(initial.map((x) => x.strand_id).filter(Boolean)));
+  const [filter, setFilter] = useState("");
+
+  const toggle = (setter, id) =>
+    setter((prev) => {
+      const next = new Set(prev);
+      if (next.has(id)) next.delete(id);
+      else next.add(id);
+      return next;
+    });
+
+  const needle = filter.trim().toLowerCase();
+  const visible = subjects.filter((s) =>
+    needle ? `${s.subject_code || ""} ${s.subject_title || ""}`.toLowerCase().includes(needle) : true
+  );
+
+  return (
+    <div className="mt-3 space-y-3">
+      <div>
+        <div className="text-xs font-semibold text-black/55">Strands</div>
+        <div className="mt-1 flex flex-wrap gap-2">
+          {strands.map((st) => {
+            const on = strandIds.has(st.strand_id);
+            return (
+              <button
+                key={st.strand_id}
+                type="button"
+                disabled={disabled}
+                onClick={() => toggle(setStrandIds, st.strand_id)}
+                className={`rounded-full border px-3 py-1 text-xs font-semibold disabled:opacity-60 ${
+                  on ? "border-[#C9A227]/40 bg-[#C9A227]/15 text-[#6B4E2E]" : "border-black/10 bg-white text-black/60"
+                }`}
+              >
+                {st.strand_code}
+              </button>
+            );
+          })}
+        </div>
+      </div>
+
+      <div>
+        <div className="flex items-center justify-between gap-2">
+          <div className="text-xs font-semibold text-black/55">
+            Subjects <span className="text-black/40">({subjectIds.size} selected)</span>
+          </div>
+          <input
+            value={filter}
+            onChange={(e) => setFilter(e.target.value)}
+            placeholder="Filter…"
+            className="w-40 rounded-xl border border-black/10 bg-white/70 px-3 py-1 text-xs outline-none focus:bg-white"
+          />
+        </div>
+        <div className="mt-1 max-h-56 overflow-auto rounded-2xl border border-black/10 bg-white p-2 space-y-1">
+          {visible.map((s) => {
+            const viaStrand = !!s.strand_id && strandIds.has(s.strand_id);
+            return (
+              <label key={s.subject_id} className="flex items-center gap-2 rounded-xl px-2 py-1 text-sm hover:bg-black/[0.02]">
+                <input
+                  type="checkbox"
+                  disabled={disabled || viaStrand}
+                  checked={viaStrand || subjectIds.has(s.subject_id)}
+                  onChange={() => toggle(setSubjectIds, s.subject_id)}
+                  className="h-4 w-4 accent-[#C9A227]"
+                />
+                <span className="flex-1 truncate">
+                  <b>{s.subject_code}</b> {s.subject_title}
+                </span>
+                {viaStrand ? <span className="text-[11px] text-black/45">via strand</span> : null}
+              </label>
+            );
+          })}
+          {visible.length === 0 ? <div className="px-2 py-1 text-xs text-black/55">No subjects.</div> : null}
+        </div>
+      </div>
+
+      {!disabled ? (
+        <div className="flex justify-end">
+          <button
+            type="button"
+            disabled={busy}
+            onClick={() => onSave({ subjectIds: [...subjectIds], strandIds: [...strandIds] })}
+            className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-white px-4 py-2 text-sm font-extrabold hover:bg-white/80 disabled:opacity-60"
+          >
+            <Save className="h-4 w-4" />
+            {busy ? "Saving…" : "Save Qualifications"}
+          </button>
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
 /* ================= Small Components ================= */
 
 function StatusPill({ value }) {
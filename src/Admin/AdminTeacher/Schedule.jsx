@@ -1,8 +1,872 @@
+// Admin/AdminTeacher/Schedule.jsx
+// Teacher loads: weekly load per teacher from section_schedules (active SY + term),
+// contact hours vs. max, advisory classes, overload / gap warnings and drag-to-reassign.
+
+import React, { useCallback, useMemo, useState } from "react";
+import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import { supabase } from "../../lib/supabaseClient";
+import { TOKENS } from "../../styles/tokens";
+import { DAYS, PERIODS } from "../../lib/timetable";
+import { fetchQualifications, isQualified, qualificationIndex } from "../../lib/qualifications";
+import { defaultTerm, fetchSchoolYearTerms, isTermClosed, mergeTerms, termOptionLabel } from "../../lib/terms";
+import {
+  DEFAULT_MAX_WEEKLY_HOURS,
+  summarizeTeacherLoad,
+  reassignBlocker,
+  contactHours,
+  maxHoursOf,
+  fmtHours,
+} from "../../lib/teacherLoads";
+
+import { Search, X, Save, AlertTriangle, GripVertical, Users, Clock, ArrowRightLeft } from "lucide-react";
+
+function errMsg(e) {
+  return String(e?.message || e || "Unknown error");
+}
+
+function teacherName(t) {
+  const full = `${(t?.first_name || "").trim()} ${(t?.last_name || "").trim()}`.trim();
+  return full || t?.email || t?.employee_number || "(Unnamed teacher)";
+}
+
+function sectionLabel(s) {
+  if (!s) return "—";
+  const grade = s?.grade_levels?.grade_level;
+  const strand = s?.strands?.strand_code;
+  return [grade ? `G${grade}` : null, strand, s.section_name].filter(Boolean).join(" • ");
+}
+
+function subjectLabel(s) {
+  if (!s) return "—";
+  return s.subject_code ? `${s.subject_code} — ${s.subject_title}` : s.subject_title;
+}
+
+const slotKey = (day, periodNo) => `${day}|${periodNo}`;
+
+/* ===================== Toasts ===================== */
+
+function ToastHost({ toasts, onDismiss }) {
+  return (
+    <div className="fixed top-4 right-4 z-[9999] flex w-[360px] max-w-[92vw] flex-col gap-2">
+      {toasts.map((t) => (
+        <div
+          key={t.id}
+          className={`rounded-2xl border bg-white p-4 shadow-xl ${
+            t.tone === "danger" ? "border-rose-200" : t.tone === "success" ? "border-emerald-200" : "border-black/10"
+          }`}
+        >
+          <div className="flex items-start justify-between gap-3">
+            <div className="min-w-0">
+              <div className="text-sm font-extrabold text-[#1F1A14]">{t.title}</div>
+              {t.message ? <div className="mt-1 text-xs font-semibold text-black/60">{t.message}</div> : null}
+            </div>
+            <button
+              onClick={() => onDismiss(t.id)}
+              className="grid h-8 w-8 place-items-center rounded-xl hover:bg-black/5"
+              title="Close"
+              type="button"
+            >
+              <X className="h-4 w-4 text-black/50" />
+            </button>
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
+function useToasts() {
+  const [toasts, setToasts] = useState([]);
+
+  const push = (toast) => {
+    const id = crypto.randomUUID?.() || String(Date.now() + Math.random());
+    setToasts((p) => [{ id, tone: "info", ...toast }, ...p]);
+    setTimeout(() => setToasts((p) => p.filter((x) => x.id !== id)), 3600);
+    return id;
+  };
+
+  const dismiss = (id) => setToasts((p) => p.filter((x) => x.id !== id));
+
+  return { toasts, push, dismiss };
+}
+
+/* ===================== Data ===================== */
+
+async function fetchMyRole() {
+  const { data: sess, error: sessErr } = await supabase.auth.getSession();
+  if (sessErr) throw sessErr;
+  const user = sess?.session?.user;
+  if (!user?.id) return null;
+
+  const { data: prof, error } = await supabase.from("profiles").select("role").eq("user_id", user.id).maybeSingle();
+  if (error) throw error;
+  return (prof?.role || "").toLowerCase() || null;
+}
+
+/* ===================== Page ===================== */
+
 export default function Schedule() {
+  const qc = useQueryClient();
+  const toast = useToasts();
+
+  const [termPick, setTermId] = useState("");
+  const [q, setQ] = useState("");
+  const [onlyWarnings, setOnlyWarnings] = useState(false);
+  const [selectedPick, setSelectedId] = useState("");
+  const [dragOverId, setDragOverId] = useState("");
+  const [reassign, setReassign] = useState(null); // { row, toTeacherId }
+
+  const roleQ = useQuery({ queryKey: ["me", "role"], queryFn: fetchMyRole, staleTime: 60_000 });
+  const canManage = roleQ.data === "super_admin";
+
+  const syQ = useQuery({
+    queryKey: ["active_school_year"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("school_years")
+        .select("sy_id, sy_code, status, start_date")
+        .eq("status", "Active")
+        .order("start_date", { ascending: false })
+        .limit(1);
+      if (error) throw error;
+      return data?.[0] || null;
+    },
+  });
+
+  const termsQ = useQuery({
+    queryKey: ["terms"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("terms")
+        .select("term_id, term_code, description")
+        .order("term_code", { ascending: true });
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const syId = syQ.data?.sy_id;
+
+  const syTermsQ = useQuery({
+    queryKey: ["school_year_terms", syId],
+    enabled: !!syId,
+    queryFn: () => fetchSchoolYearTerms(syId),
+  });
+
+  const terms = useMemo(() => mergeTerms(termsQ.data, syTermsQ.data), [termsQ.data, syTermsQ.data]);
+  const termId = termPick || defaultTerm(terms)?.term_id || "";
+  const termClosed = isTermClosed(terms, termId);
+  // Reassigning rewrites section_schedules, which a closed term refuses.
+  const canReassign = canManage && !termClosed;
+
+  const teachersQ = useQuery({
+    queryKey: ["teacher_loads_teachers"],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("teachers")
+        .select("user_id, first_name, last_name, email, employee_number, department, max_weekly_hours, status, is_archived")
+        .eq("is_archived", false)
+        .order("last_name", { ascending: true });
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const rowsQ = useQuery({
+    enabled: !!syId && !!termId,
+    queryKey: ["teacher_load_rows", syId, termId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("section_schedules")
+        .select(
+          `
+          schedule_id,
+          section_id,
+          subject_id,
+          teacher_id,
+          day_of_week,
+          period_no,
+          start_time,
+          end_time,
+          room,
+          subjects:subject_id(subject_id, subject_code, subject_title, strand_id),
+          sections:section_id(section_id, section_name, grade_levels:grade_id(grade_level), strands:strand_id(strand_code))
+        `
+        )
+        .eq("sy_id", syId)
+        .eq("term_id", termId);
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const advisersQ = useQuery({
+    enabled: !!syId,
+    queryKey: ["section_advisers", syId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("section_advisers")
+        .select("adviser_id, section_id, sections(section_id, section_name, grade_levels:grade_id(grade_level), strands:strand_id(strand_code))")
+        .eq("sy_id", syId);
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const loadsQ = useQuery({
+    enabled: !!syId && !!termId,
+    queryKey: ["teacher_loads", syId, termId],
+    queryFn: async () => {
+      const { data, error } = await supabase
+        .from("teacher_loads")
+        .select("load_id, section_id, subject_id, teacher_id")
+        .eq("sy_id", syId)
+        .eq("term_id", termId);
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const qualsQ = useQuery({
+    queryKey: ["teacher_qualifications"],
+    queryFn: () => fetchQualifications(),
+  });
+
+  const unavailableQ = useQuery({
+    queryKey: ["teacher_unavailable_periods"],
+    queryFn: async () => {
+      const { data, error } = await supabase.from("teacher_unavailable_periods").select("teacher_id, day_of_week, period_no");
+      if (error) throw error;
+      return data ?? [];
+    },
+  });
+
+  const teachers = useMemo(() => teachersQ.data ?? [], [teachersQ.data]);
+  const rows = useMemo(() => rowsQ.data ?? [], [rowsQ.data]);
+  const unavailable = useMemo(() => unavailableQ.data ?? [], [unavailableQ.data]);
+  const term = terms.find((t) => t.term_id === termId) || null;
+
+  const rowsByTeacher = useMemo(() => {
+    const m = new Map();
+    for (const r of rows) {
+      const k = r.teacher_id || "";
+      if (!m.has(k)) m.set(k, []);
+      m.get(k).push(r);
+    }
+    return m;
+  }, [rows]);
+
+  const advisoryByTeacher = useMemo(() => {
+    const m = new Map();
+    for (const a of advisersQ.data ?? []) {
+      if (!a.adviser_id) continue;
+      if (!m.has(a.adviser_id)) m.set(a.adviser_id, []);
+      m.get(a.adviser_id).push(a.sections);
+    }
+    return m;
+  }, [advisersQ.data]);
+
+  // Qualification matrix (Teachers • Manage). Until anything is recorded every teacher counts as qualified.
+  const qualIndex = useMemo(() => qualificationIndex(qualsQ.data), [qualsQ.data]);
+  const qualifiedFor = useCallback(
+    (teacherId, subject) => qualIndex.size === 0 || isQualified(qualIndex, teacherId, subject),
+    [qualIndex]
+  );
+
+  const summaries = useMemo(() => {
+    const m = new Map();
+    for (const t of teachers) {
+      m.set(
+        t.user_id,
+        summarizeTeacherLoad({
+          teacher: t,
+          rows: rowsByTeacher.get(t.user_id) || [],
+          unavailable: unavailable.filter((u) => u.teacher_id === t.user_id),
+        })
+      );
+    }
+    return m;
+  }, [teachers, rowsByTeacher, unavailable]);
+
+  const filteredTeachers = useMemo(() => {
+    const needle = q.trim().toLowerCase();
+    return teachers.filter((t) => {
+      if (onlyWarnings && !summaries.get(t.user_id)?.warnings.length) return false;
+      if (!needle) return true;
+      return `${teacherName(t)} ${t.employee_number || ""} ${t.department || ""}`.toLowerCase().includes(needle);
+    });
+  }, [teachers, summaries, q, onlyWarnings]);
+
+  const selectedId = selectedPick || filteredTeachers[0]?.user_id || "";
+  const selected = teachers.find((t) => t.user_id === selectedId) || null;
+  const summary = selected ? summaries.get(selected.user_id) : null;
+
+  const unassigned = rowsByTeacher.get("") || [];
+
+  const totals = useMemo(() => {
+    let over = 0;
+    let withWarnings = 0;
+    for (const s of summaries.values()) {
+      if (s.hours > s.max) over += 1;
+      if (s.warnings.length) withWarnings += 1;
+    }
+    return { over, withWarnings };
+  }, [summaries]);
+
+  /* ---------- Mutations ---------- */
+
+  const saveMaxM = useMutation({
+    mutationFn: async ({ user_id, value }) => {
+      if (!canManage) throw new Error("View-only: Super Admin required.");
+      const trimmed = String(value ?? "").trim();
+      const n = trimmed === "" ? null : Number(trimmed);
+      if (n != null && (!Number.isFinite(n) || n < 0 || n > 60)) throw new Error("Max hours must be between 0 and 60.");
+      const { error } = await supabase.from("teachers").update({ max_weekly_hours: n }).eq("user_id", user_id);
+      if (error) throw error;
+    },
+    onSuccess: async () => {
+      await qc.invalidateQueries({ queryKey: ["teacher_loads_teachers"] });
+      toast.push({ tone: "success", title: "Saved", message: "Maximum weekly hours updated." });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Save failed", message: errMsg(e) }),
+  });
+
+  const reassignM = useMutation({
+    mutationFn: async ({ moving, toTeacherId, wholeClass }) => {
+      if (!canReassign) throw new Error(termClosed ? "This term is closed." : "View-only: Super Admin required.");
+
+      const blocker = reassignBlocker({ teacherId: toTeacherId, moving, allRows: rows, unavailable });
+      if (blocker?.type === "busy") {
+        throw new Error(
+          `Teacher already teaches ${sectionLabel(blocker.other.sections)} on ${blocker.row.day_of_week} period ${blocker.row.period_no}.`
+        );
+      }
+
+      const ids = moving.map((r) => r.schedule_id);
+      const { error } = await supabase.from("section_schedules").update({ teacher_id: toTeacherId }).in("schedule_id", ids);
+      if (error) throw error;
+
+      if (wholeClass) {
+        const first = moving[0];
+        const { error: lErr } = await supabase.from("teacher_loads").upsert(
+          {
+            sy_id: syId,
+            term_id: termId,
+            section_id: first.section_id,
+            subject_id: first.subject_id,
+            teacher_id: toTeacherId,
+            updated_at: new Date().toISOString(),
+          },
+          { onConflict: "sy_id,term_id,section_id,subject_id" }
+        );
+        if (lErr) throw lErr;
+      }
+
+      return ids.length;
+    },
+    onSuccess: async (count, vars) => {
+      await qc.invalidateQueries({ queryKey: ["teacher_load_rows", syId, termId] });
+      await qc.invalidateQueries({ queryKey: ["teacher_loads", syId, termId] });
+      await qc.invalidateQueries({ queryKey: ["all_sy_schedules"] });
+      await qc.invalidateQueries({ queryKey: ["section_schedules"] });
+      const to = teachers.find((t) => t.user_id === vars.toTeacherId);
+      toast.push({ tone: "success", title: "Reassigned", message: `${count} period(s) moved to ${teacherName(to)}.` });
+      setReassign(null);
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Reassign failed", message: errMsg(e) }),
+  });
+
+  /* ---------- Drag & drop ---------- */
+
+  function onDragStart(e, row) {
+    if (!canReassign) return;
+    e.dataTransfer.setData("text/plain", row.schedule_id);
+    e.dataTransfer.effectAllowed = "move";
+  }
+
+  function onDropTeacher(e, teacherId) {
+    e.preventDefault();
+    setDragOverId("");
+    if (!canReassign) return;
+    const id = e.dataTransfer.getData("text/plain");
+    const row = rows.find((r) => r.schedule_id === id);
+    if (!row || row.teacher_id === teacherId) return;
+    setReassign({ row, toTeacherId: teacherId });
+  }
+
+  const loading =
+    roleQ.isLoading || syQ.isLoading || termsQ.isLoading || syTermsQ.isLoading || teachersQ.isLoading || rowsQ.isLoading;
+  const error = syQ.error || termsQ.error || teachersQ.error || rowsQ.error || advisersQ.error || loadsQ.error || unavailableQ.error;
+
+  return (
+    <div className="space-y-4">
+      <ToastHost toasts={toast.toasts} onDismiss={toast.dismiss} />
+
+      <div className="flex flex-col gap-3 md:flex-row md:items-end md:justify-between">
+        <div>
+          <div className="text-sm font-extrabold">Teacher • Loads</div>
+          <div className="text-xs text-black/55">
+            {syQ.data?.sy_code || "No active SY"} • {term?.term_code || "—"} •{" "}
+            {termClosed
+              ? "Term closed — loads are read-only."
+              : canManage
+              ? "Drag a class onto a teacher to reassign it."
+              : "View-only (Super Admin required to reassign)."}
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-end gap-2">
+          <label className="block">
+            <span className="text-xs font-semibold text-black/55">Term</span>
+            <select
+              value={termId}
+              onChange={(e) => setTermId(e.target.value)}
+              className="mt-1 w-40 rounded-2xl border border-black/10 bg-white/70 px-3 py-2 text-sm outline-none focus:bg-white"
+            >
+              {terms.map((t) => (
+                <option key={t.term_id} value={t.term_id}>
+                  {termOptionLabel(t)}
+                </option>
+              ))}
+            </select>
+          </label>
+        </div>
+      </div>
+
+      {error ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-sm text-rose-700">{errMsg(error)}</div>
+      ) : null}
+
+      <div className="grid gap-3 sm:grid-cols-4">
+        <Stat icon={Users} label="Teachers" value={teachers.length} />
+        <Stat icon={Clock} label="Periods scheduled" value={rows.length} />
+        <Stat icon={AlertTriangle} label="Overloaded" value={totals.over} tone={totals.over ? "danger" : undefined} />
+        <Stat icon={ArrowRightLeft} label="Unassigned periods" value={unassigned.length} tone={unassigned.length ? "danger" : undefined} />
+      </div>
+
+      <div className="grid gap-4 lg:grid-cols-12">
+        {/* Teacher list (drop targets) */}
+        <div className="lg:col-span-4 rounded-2xl border border-black/10 bg-white/60 p-4 space-y-3">
+          <div className="relative">
+            <Search className="pointer-events-none absolute left-3 top-1/2 h-4 w-4 -translate-y-1/2 text-black/45" />
+            <input
+              value={q}
+              onChange={(e) => setQ(e.target.value)}
+              placeholder="Search name, employee #, department…"
+              className="w-full rounded-2xl border border-black/10 bg-white/70 px-10 py-2 text-sm outline-none focus:bg-white"
+            />
+          </div>
+
+          <label className="flex items-center gap-2 text-xs font-semibold text-black/60">
+            <input type="checkbox" checked={onlyWarnings} onChange={(e) => setOnlyWarnings(e.target.checked)} />
+            Only teachers with warnings ({totals.withWarnings})
+          </label>
+
+          {loading ? <div className="text-sm text-black/55">Loading…</div> : null}
+
+          <div className="max-h-[640px] space-y-2 overflow-auto pr-1">
+            {filteredTeachers.map((t) => {
+              const s = summaries.get(t.user_id);
+              const adv = advisoryByTeacher.get(t.user_id) || [];
+              const pct = s.max ? Math.min(100, (s.hours / s.max) * 100) : 100;
+              const over = s.hours > s.max;
+
+              return (
+                <button
+                  key={t.user_id}
+                  type="button"
+                  onClick={() => setSelectedId(t.user_id)}
+                  onDragOver={(e) => {
+                    if (!canManage) return;
+                    e.preventDefault();
+                    setDragOverId(t.user_id);
+                  }}
+                  onDragLeave={() => setDragOverId((id) => (id === t.user_id ? "" : id))}
+                  onDrop={(e) => onDropTeacher(e, t.user_id)}
+                  className={`w-full rounded-2xl border p-3 text-left transition ${
+                    dragOverId === t.user_id
+                      ? "border-[#C9A227] bg-[#C9A227]/15"
+                      : t.user_id === selectedId
+                      ? "border-[#C9A227]/40 bg-[#C9A227]/10"
+                      : "border-black/10 bg-white hover:bg-black/[0.01]"
+                  }`}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div className="min-w-0">
+                      <div className="truncate text-sm font-extrabold">{teacherName(t)}</div>
+                      <div className="text-xs text-black/55">
+                        {t.employee_number || "—"}
+                        {adv.length ? ` • Adviser: ${adv.map(sectionLabel).join(", ")}` : ""}
+                      </div>
+                    </div>
+                    {s.warnings.length ? (
+                      <span className="inline-flex items-center gap-1 rounded-full bg-rose-500/10 px-2 py-0.5 text-[11px] font-semibold text-rose-700">
+                        <AlertTriangle className="h-3 w-3" />
+                        {s.warnings.length}
+                      </span>
+                    ) : null}
+                  </div>
+
+                  <div className="mt-2 h-2 w-full overflow-hidden rounded-full bg-black/5">
+                    <div className={`h-full ${over ? "bg-rose-500" : TOKENS.goldBg}`} style={{ width: `${pct}%` }} />
+                  </div>
+                  <div className={`mt-1 text-[11px] font-semibold ${over ? "text-rose-700" : "text-black/55"}`}>
+                    {fmtHours(s.hours)} / {fmtHours(s.max)} h • {s.classes.length} class(es)
+                  </div>
+                </button>
+              );
+            })}
+
+            {!loading && !filteredTeachers.length ? <div className="text-sm text-black/55">No teachers found.</div> : null}
+          </div>
+        </div>
+
+        {/* Selected teacher */}
+        <div className="lg:col-span-8 space-y-4">
+          {selected && summary ? (
+            <>
+              <div className="rounded-2xl border border-black/10 bg-white/60 p-4">
+                <div className="flex flex-col gap-3 md:flex-row md:items-start md:justify-between">
+                  <div>
+                    <div className={`text-sm font-extrabold ${TOKENS.brown}`}>{teacherName(selected)}</div>
+                    <div className="text-xs text-black/55">
+                      {[selected.employee_number, selected.department, selected.email].filter(Boolean).join(" • ")}
+                    </div>
+                    <div className="mt-2 flex flex-wrap gap-2 text-xs">
+                      <Pill>
+                        {fmtHours(summary.hours)} / {fmtHours(summary.max)} h per week
+                      </Pill>
+                      <Pill>{summary.periods} period(s)</Pill>
+                      <Pill>{summary.sections} section(s)</Pill>
+                      <Pill>
+                        Advisory:{" "}
+                        {(advisoryByTeacher.get(selected.user_id) || []).map(sectionLabel).join(", ") || "none"}
+                      </Pill>
+                    </div>
+                  </div>
+
+                  <MaxHoursEditor
+                    key={`${selected.user_id}|${selected.max_weekly_hours ?? ""}`}
+                    initial={selected.max_weekly_hours}
+                    disabled={!canManage || saveMaxM.isPending}
+                    onSave={(value) => saveMaxM.mutate({ user_id: selected.user_id, value })}
+                  />
+                </div>
+
+                {summary.warnings.length ? (
+                  <div className="mt-3 rounded-2xl border border-rose-200 bg-rose-50 p-3">
+                    <div className="text-xs font-extrabold text-rose-700">Warnings</div>
+                    <ul className="mt-1 list-disc space-y-0.5 pl-5 text-xs text-rose-800">
+                      {summary.warnings.map((w, i) => (
+                        <li key={i}>{w.message}</li>
+                      ))}
+                    </ul>
+                  </div>
+                ) : null}
+              </div>
+
+              <LoadGrid
+                rows={rowsByTeacher.get(selected.user_id) || []}
+                blocked={unavailable.filter((u) => u.teacher_id === selected.user_id)}
+                canDrag={canReassign}
+                onDragStart={onDragStart}
+                onPick={(row) => canReassign && setReassign({ row, toTeacherId: "" })}
+              />
+            </>
+          ) : (
+            <div className="rounded-2xl border border-black/10 bg-white/60 p-6 text-sm text-black/55">Select a teacher.</div>
+          )}
+
+          {unassigned.length ? (
+            <div className="rounded-2xl border border-black/10 bg-white/60 p-4">
+              <div className={`text-sm font-extrabold ${TOKENS.brown}`}>Unassigned periods</div>
+              <div className="text-xs text-black/55">Scheduled without a teacher. Drag one onto a teacher to assign it.</div>
+              <div className="mt-3 flex flex-wrap gap-2">
+                {unassigned.map((r) => (
+                  <ClassChip
+                    key={r.schedule_id}
+                    row={r}
+                    showSlot
+                    canDrag={canReassign}
+                    onDragStart={onDragStart}
+                    onPick={() => canReassign && setReassign({ row: r, toTeacherId: "" })}
+                  />
+                ))}
+              </div>
+            </div>
+          ) : null}
+        </div>
+      </div>
+
+      {reassign ? (
+        <ReassignModal
+          row={reassign.row}
+          initialTeacherId={reassign.toTeacherId}
+          teachers={teachers}
+          rows={rows}
+          unavailable={unavailable}
+          summaries={summaries}
+          qualifiedFor={qualifiedFor}
+          busy={reassignM.isPending}
+          onClose={() => setReassign(null)}
+          onConfirm={(payload) => reassignM.mutate(payload)}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+/* ===================== Pieces ===================== */
+
+function Stat({ icon: Icon, label, value, tone }) {
+  return (
+    <div className="rounded-2xl border border-black/10 bg-white/60 p-4">
+      <div className="flex items-center gap-2 text-xs font-semibold text-black/55">
+        <Icon className="h-4 w-4" />
+        {label}
+      </div>
+      <div className={`mt-1 text-xl font-extrabold ${tone === "danger" ? "text-rose-700" : "text-[#1F1A14]"}`}>{value}</div>
+    </div>
+  );
+}
+
+function MaxHoursEditor({ initial, disabled, onSave }) {
+  const [value, setValue] = useState(initial != null ? String(initial) : "");
+
+  return (
+    <div className="flex items-end gap-2">
+      <label className="block">
+        <span className="text-xs font-semibold text-black/55">Max hours / week</span>
+        <input
+          type="number"
+          min={0}
+          max={60}
+          value={value}
+          onChange={(e) => setValue(e.target.value)}
+          placeholder={`Default ${DEFAULT_MAX_WEEKLY_HOURS}`}
+          disabled={disabled}
+          className="mt-1 w-32 rounded-2xl border border-black/10 bg-white/70 px-3 py-2 text-sm outline-none focus:bg-white disabled:opacity-60"
+        />
+      </label>
+      <button
+        type="button"
+        onClick={() => onSave(value)}
+        disabled={disabled}
+        className={`inline-flex items-center gap-2 rounded-2xl px-4 py-2 text-sm font-extrabold ${TOKENS.goldBg} text-black hover:opacity-95 disabled:opacity-50`}
+      >
+        <Save className="h-4 w-4" />
+        Save
+      </button>
+    </div>
+  );
+}
+
+function Pill({ children }) {
+  return <span className="inline-flex rounded-full bg-black/5 px-3 py-1 font-semibold text-black/70">{children}</span>;
+}
+
+function ClassChip({ row, showSlot, canDrag, onDragStart, onPick }) {
   return (
-    <div>
-      <h2 style={{ margin: 0 }}>Teacher Schedule</h2>
-      <p style={{ color: "var(--muted)" }}>Assign loads and schedules later.</p>
+    <div
+      draggable={canDrag}
+      onDragStart={(e) => onDragStart(e, row)}
+      onClick={onPick}
+      title={canDrag ? "Drag onto a teacher, or click to reassign" : undefined}
+      className={`rounded-xl border border-black/10 bg-white p-2 text-xs ${canDrag ? "cursor-grab hover:border-[#C9A227]/50" : ""}`}
+    >
+      <div className="flex items-start gap-1">
+        {canDrag ? <GripVertical className="mt-0.5 h-3.5 w-3.5 shrink-0 text-black/35" /> : null}
+        <div className="min-w-0">
+          <div className="truncate font-extrabold">{row.subjects?.subject_code || row.subjects?.subject_title || "—"}</div>
+          <div className="truncate text-black/60">{sectionLabel(row.sections)}</div>
+          {showSlot ? (
+            <div className="text-black/50">
+              {row.day_of_week} • P{row.period_no}
+            </div>
+          ) : row.room ? (
+            <div className="text-black/50">{row.room}</div>
+          ) : null}
+        </div>
+      </div>
     </div>
   );
 }
+
+function LoadGrid({ rows, blocked, canDrag, onDragStart, onPick }) {
+  const bySlot = new Map();
+  for (const r of rows) {
+    const k = slotKey(r.day_of_week, Number(r.period_no));
+    bySlot.set(k, [...(bySlot.get(k) || []), r]);
+  }
+  const blockedSet = new Set(blocked.map((u) => slotKey(u.day_of_week, Number(u.period_no))));
+
+  return (
+    <div className="overflow-auto rounded-2xl border border-black/10 bg-white">
+      <table className="w-full min-w-[900px] text-left text-xs">
+        <thead className="bg-black/[0.02] text-black/60">
+          <tr>
+            <th className="w-[130px] px-3 py-2 font-semibold">Period</th>
+            {DAYS.map((d) => (
+              <th key={d} className="px-2 py-2 font-semibold">
+                {d}
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {PERIODS.map((p) => (
+            <tr key={p.period_no} className="border-t border-black/10 align-top">
+              <td className="px-3 py-2">
+                <div className="font-semibold text-black/60">P{p.period_no}</div>
+                <div className="text-black/50">
+                  {p.start}–{p.end}
+                </div>
+              </td>
+              {DAYS.map((d) => {
+                const k = slotKey(d, p.period_no);
+                const list = bySlot.get(k) || [];
+                const isBlocked = blockedSet.has(k);
+                return (
+                  <td
+                    key={k}
+                    className={`px-2 py-2 ${list.length > 1 ? "bg-rose-500/5" : isBlocked ? "bg-black/[0.03]" : ""}`}
+                  >
+                    <div className="space-y-1">
+                      {list.map((r) => (
+                        <ClassChip key={r.schedule_id} row={r} canDrag={canDrag} onDragStart={onDragStart} onPick={() => onPick(r)} />
+                      ))}
+                      {!list.length && isBlocked ? <div className="text-[11px] text-black/40">Unavailable</div> : null}
+                    </div>
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  );
+}
+
+function ReassignModal({ row, initialTeacherId, teachers, rows, unavailable, summaries, qualifiedFor, busy, onClose, onConfirm }) {
+  const [toTeacherId, setToTeacherId] = useState(initialTeacherId || "");
+  const [wholeClass, setWholeClass] = useState(true);
+
+  const classRows = useMemo(
+    () =>
+      rows.filter(
+        (r) => r.section_id === row.section_id && r.subject_id === row.subject_id && (r.teacher_id || "") === (row.teacher_id || "")
+      ),
+    [rows, row]
+  );
+  const moving = wholeClass ? classRows : [row];
+  const movingHours = moving.reduce((n, r) => n + contactHours(r), 0);
+
+  const options = useMemo(() => {
+    return teachers
+      .filter((t) => t.user_id !== row.teacher_id)
+      .map((t) => ({ t, qualified: qualifiedFor(t.user_id, row.subjects) }))
+      .sort((a, b) => Number(b.qualified) - Number(a.qualified) || teacherName(a.t).localeCompare(teacherName(b.t)));
+  }, [teachers, row, qualifiedFor]);
+
+  const target = teachers.find((t) => t.user_id === toTeacherId) || null;
+  const qualified = target ? qualifiedFor(target.user_id, row.subjects) : false;
+  const blocker = target ? reassignBlocker({ teacherId: target.user_id, moving, allRows: rows, unavailable }) : null;
+  const after = target ? (summaries.get(target.user_id)?.hours || 0) + movingHours : 0;
+  const max = target ? maxHoursOf(target) : 0;
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/20 backdrop-blur-sm" onClick={busy ? undefined : onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className={`w-full max-w-lg rounded-2xl border ${TOKENS.border} bg-white shadow-xl`}>
+          <div className="flex items-start justify-between gap-4 border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Reassign class</div>
+              <div className="text-xs text-black/55">
+                {subjectLabel(row.subjects)} • {sectionLabel(row.sections)}
+              </div>
+            </div>
+            <button onClick={onClose} className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5" type="button">
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="space-y-3 p-4">
+            <label className="block">
+              <span className="text-xs font-semibold text-black/55">New teacher</span>
+              <select
+                value={toTeacherId}
+                onChange={(e) => setToTeacherId(e.target.value)}
+                className="mt-1 w-full rounded-2xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              >
+                <option value="">Select teacher</option>
+                {options.map(({ t, qualified: ok }) => (
+                  <option key={t.user_id} value={t.user_id}>
+                    {teacherName(t)}
+                    {ok ? "" : " (not qualified)"}
+                  </option>
+                ))}
+              </select>
+            </label>
+
+            <div className="space-y-2 rounded-2xl border border-black/10 p-3 text-sm">
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={wholeClass} onChange={() => setWholeClass(true)} className="accent-[#C9A227]" />
+                Whole class — all {classRows.length} period(s) a week
+              </label>
+              <label className="flex items-center gap-2">
+                <input type="radio" checked={!wholeClass} onChange={() => setWholeClass(false)} className="accent-[#C9A227]" />
+                Only {row.day_of_week} period {row.period_no}
+              </label>
+            </div>
+
+            {target ? (
+              <div className="space-y-2 text-xs">
+                <div className={`font-semibold ${after > max ? "text-rose-700" : "text-black/60"}`}>
+                  {teacherName(target)}: {fmtHours(summaries.get(target.user_id)?.hours || 0)} h → {fmtHours(after)} h of{" "}
+                  {fmtHours(max)} h max
+                  {after > max ? " (overload)" : ""}
+                </div>
+                {!qualified ? (
+                  <div className="rounded-xl border border-[#C9A227]/40 bg-[#C9A227]/10 p-2 text-[#6B4E2E]">
+                    {teacherName(target)} is not qualified to teach this subject (see Teachers • Manage).
+                  </div>
+                ) : null}
+                {blocker?.type === "busy" ? (
+                  <div className="rounded-xl border border-rose-200 bg-rose-50 p-2 text-rose-700">
+                    Already teaching {sectionLabel(blocker.other.sections)} on {blocker.row.day_of_week} period{" "}
+                    {blocker.row.period_no}.
+                  </div>
+                ) : blocker?.type === "blocked" ? (
+                  <div className="rounded-xl border border-[#C9A227]/40 bg-[#C9A227]/10 p-2 text-[#6B4E2E]">
+                    {blocker.row.day_of_week} period {blocker.row.period_no} is marked unavailable for this teacher.
+                  </div>
+                ) : null}
+              </div>
+            ) : null}
+
+            <div className="flex justify-end gap-2 pt-1">
+              <button
+                type="button"
+                onClick={onClose}
+                className="rounded-2xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02]"
+              >
+                Cancel
+              </button>
+              <button
+                type="button"
+                disabled={!target || busy || blocker?.type === "busy"}
+                onClick={() => onConfirm({ moving, toTeacherId: target.user_id, wholeClass })}
+                className={`inline-flex items-center gap-2 rounded-2xl px-4 py-2 text-sm font-extrabold ${TOKENS.goldBg} text-black hover:opacity-95 disabled:opacity-50`}
+              >
+                <ArrowRightLeft className="h-4 w-4" />
+                {busy ? "Saving…" : "Reassign"}
+              </button>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -58,7 +58,7 @@ async function fetchEnrollmentStats() {
   const pendingRes = await supabase
     .from("enrollment")
     .select("id", { count: "exact", head: true })
-    .eq("st_application_status", "Pending");
+    .in("st_application_status", ["Pending", "Incomplete"]);
   if (pendingRes.error) throw pendingRes.error;
 
   const enrolledRes = await supabase
@@ -398,8 +398,8 @@ export default function AdminHome({ onNavigate }) {
           <div className="grid grid-cols-1 gap-4 sm:grid-cols-2 lg:grid-cols-3">
             <QuickCard
               icon={<LayoutList className="h-4 w-4" />}
-              label="Teacher Schedule"
-              hint="View schedules"
+              label="Teacher Loads"
+              hint="Hours, advisories, reassign"
               onClick={() => onNavigate?.("admin/teacher/schedule")}
             />
             <QuickCard
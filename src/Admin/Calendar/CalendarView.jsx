@@ -34,10 +34,22 @@ import {
   MapPin,
   Repeat,
   Info,
+  CalendarOff,
+  CalendarPlus,
 } from "lucide-react";
 
 import { TOKENS } from "../../styles/tokens";
 import { supabase } from "../../lib/supabaseClient";
+import {
+  clearOccurrenceException,
+  expandEvents,
+  fetchCalendarOccurrences,
+  occursOnDay,
+  saveOccurrenceOverride,
+  skipOccurrence,
+} from "../../lib/recurrence";
+import { CLASS_EFFECTS, NO_CLASS_TYPES, buildNoClassDays, classEffect } from "../../lib/classCalendar";
+import CalendarExport from "../../components/CalendarExport";
 
 /* =====================
    CONSTANTS
@@ -52,6 +64,7 @@ const VIEW = {
 const EVENT_TYPES = [
   { key: "School Activity", color: "#DAA520" },
   { key: "Holiday", color: "#10B981" },
+  { key: "Class Suspension", color: "#F43F5E" },
   { key: "Examination", color: "#EF4444" },
   { key: "Meeting", color: "#3B82F6" },
   { key: "Deadline", color: "#F59E0B" },
@@ -59,6 +72,12 @@ const EVENT_TYPES = [
   { key: "Others", color: "#6B7280" },
 ];
 
+const CLASS_EFFECT_LABELS = {
+  Cancel: "No classes",
+  Shift: "Move classes to a make-up date",
+  None: "Classes as usual",
+};
+
 function typeMeta(type) {
   return EVENT_TYPES.find((t) => t.key === type) || EVENT_TYPES[EVENT_TYPES.length - 1];
 }
@@ -87,6 +106,9 @@ const eventSchema = z
     repeat_until: z.string().optional().or(z.literal("")),
 
     custom_color: z.string().optional().or(z.literal("")),
+
+    class_effect: z.enum(["Cancel", "Shift", "None"]).optional().or(z.literal("")),
+    makeup_date: z.string().optional().or(z.literal("")),
   })
   .refine(
     (v) => {
@@ -110,6 +132,14 @@ const eventSchema = z
       return Boolean(v.repeat_pattern) && Boolean(v.repeat_until);
     },
     { path: ["repeat_until"], message: "Repeat pattern and repeat-until date are required for recurring events" }
+  )
+  .refine(
+    (v) => {
+      if (v.class_effect !== "Shift") return true;
+      if (!v.makeup_date) return false;
+      return v.makeup_date < v.start_date || v.makeup_date > (v.end_date || v.start_date);
+    },
+    { path: ["makeup_date"], message: "Pick a make-up date outside the event's own dates" }
   );
 
 /* =====================
@@ -150,12 +180,6 @@ function formatTimeRange(ev) {
   return `${fmt(ev.start_time)} – ${fmt(ev.end_time)}`;
 }
 
-function occursOnDay(ev, isoDay) {
-  const s = ev.start_date;
-  const e = ev.end_date || ev.start_date;
-  return isoDay >= s && isoDay <= e;
-}
-
 /* =====================
    RANGE FETCH HELPER (overlap)
 ===================== */
@@ -178,7 +202,8 @@ export default function CalendarView() {
   const canManage = role === "super_admin";
 
   // calendar states
-  const [events, setEvents] = useState([]);
+  const [events, setEvents] = useState([]); // master rows (one per series)
+  const [exceptions, setExceptions] = useState([]); // calendar_event_exceptions for loaded series
   const [view, setView] = useState(VIEW.MONTH);
 
   const today = useMemo(() => {
@@ -212,6 +237,12 @@ export default function CalendarView() {
   const [openDelete, setOpenDelete] = useState(false);
   const [deleting, setDeleting] = useState(null);
 
+  const [openExport, setOpenExport] = useState(false);
+
+  // single occurrence edit (recurring series)
+  const [openOccurrence, setOpenOccurrence] = useState(false);
+  const [occurrenceEditing, setOccurrenceEditing] = useState(null);
+
   // UI: mobile filters drawer
   const [filtersOpen, setFiltersOpen] = useState(false);
 
@@ -284,21 +315,16 @@ export default function CalendarView() {
 
       const { from, to } = buildRange(cursorDate);
 
-      const { data, error } = await supabase
-        .from("calendar_events")
-        .select("*")
-        .lte("start_date", to)
-        .or(`end_date.gte.${from},end_date.is.null`)
-        .order("start_date", { ascending: true })
-        .order("start_time", { ascending: true });
-
-      if (!alive) return;
-
-      if (error) {
-        setErrorMsg(error.message);
+      try {
+        const res = await fetchCalendarOccurrences({ from, to });
+        if (!alive) return;
+        setEvents(res.events);
+        setExceptions(res.exceptions);
+      } catch (e) {
+        if (!alive) return;
+        setErrorMsg(e?.message || String(e));
         setEvents([]);
-      } else {
-        setEvents(data ?? []);
+        setExceptions([]);
       }
 
       setLoading(false);
@@ -310,8 +336,14 @@ export default function CalendarView() {
     };
   }, [cursorDate]);
 
+  // ✅ Recurring series expanded into one entry per occurrence (exceptions applied)
+  const occurrences = useMemo(() => {
+    const { from, to } = buildRange(cursorDate);
+    return expandEvents(events, exceptions, from, to);
+  }, [events, exceptions, cursorDate]);
+
   const filteredEvents = useMemo(() => {
-    let list = [...events];
+    let list = [...occurrences];
 
     if (typeFilter.size > 0) list = list.filter((e) => typeFilter.has(e.type));
 
@@ -337,7 +369,7 @@ export default function CalendarView() {
     });
 
     return list;
-  }, [events, typeFilter, monthFilter, query]);
+  }, [occurrences, typeFilter, monthFilter, query]);
 
   const dayEvents = useMemo(
     () => filteredEvents.filter((e) => occursOnDay(e, selectedDay)),
@@ -382,12 +414,19 @@ export default function CalendarView() {
     setOpenForm(true);
   };
 
+  // Editing always targets the series (master row), not the clicked occurrence
   const openEdit = (ev) => {
     if (!canManage) return;
-    setEditing(ev);
+    setEditing(ev?._master || ev);
     setOpenForm(true);
   };
 
+  const openOccurrenceEdit = (occ) => {
+    if (!canManage) return;
+    setOccurrenceEditing(occ);
+    setOpenOccurrence(true);
+  };
+
   const openDetails = (ev) => {
     setViewing(ev);
     setOpenView(true);
@@ -442,6 +481,32 @@ export default function CalendarView() {
     const { error } = await supabase.from("calendar_events").delete().eq("id", id);
     if (error) throw error;
     setEvents((prev) => prev.filter((e) => e.id !== id));
+    setExceptions((prev) => prev.filter((x) => x.event_id !== id));
+  }
+
+  function upsertException(row) {
+    setExceptions((prev) => [
+      ...prev.filter((x) => !(x.event_id === row.event_id && x.occurrence_date === row.occurrence_date)),
+      row,
+    ]);
+  }
+
+  async function skipOneOccurrence(occ) {
+    if (!canManage) throw new Error("Not allowed");
+    upsertException(await skipOccurrence(occ.id, occ.occurrence_date));
+  }
+
+  async function saveOneOccurrence(occ, changes) {
+    if (!canManage) throw new Error("Not allowed");
+    upsertException(await saveOccurrenceOverride(occ.id, occ.occurrence_date, changes));
+  }
+
+  async function restoreOneOccurrence(occ) {
+    if (!canManage) throw new Error("Not allowed");
+    await clearOccurrenceException(occ.id, occ.occurrence_date);
+    setExceptions((prev) =>
+      prev.filter((x) => !(x.event_id === occ.id && x.occurrence_date === occ.occurrence_date))
+    );
   }
 
   const onSaveEvent = async (payload) => {
@@ -503,6 +568,15 @@ export default function CalendarView() {
                 Filters
               </button>
 
+              <button
+                type="button"
+                onClick={() => setOpenExport(true)}
+                className="inline-flex items-center justify-center gap-2 rounded-2xl border border-black/10 bg-white/70 px-4 py-2 text-sm font-extrabold hover:bg-white"
+              >
+                <CalendarPlus className="h-4 w-4 text-black/60" />
+                Export
+              </button>
+
               {canManage ? (
                 <button
                   onClick={() => openAdd(selectedDay)}
@@ -631,7 +705,7 @@ export default function CalendarView() {
               ) : (
                 dayEvents.map((ev) => (
                   <DayCard
-                    key={ev.id}
+                    key={ev.occurrence_key}
                     ev={ev}
                     onView={openDetails}
                     onEdit={openEdit}
@@ -725,7 +799,7 @@ export default function CalendarView() {
               ) : (
                 dayEvents.map((ev) => (
                   <DayCard
-                    key={ev.id}
+                    key={ev.occurrence_key}
                     ev={ev}
                     onView={openDetails}
                     onEdit={openEdit}
@@ -770,11 +844,25 @@ export default function CalendarView() {
               setOpenView(false);
               openDeleteConfirm(viewing);
             }}
+            onEditOccurrence={() => {
+              setOpenView(false);
+              openOccurrenceEdit(viewing);
+            }}
+            onRestoreOccurrence={async () => {
+              try {
+                await restoreOneOccurrence(viewing);
+                setOpenView(false);
+              } catch (e) {
+                alert(e?.message || "Failed to restore occurrence");
+              }
+            }}
             onClose={() => setOpenView(false)}
           />
         ) : null}
       </Modal>
 
+      <CalendarExport open={openExport} onClose={() => setOpenExport(false)} scope="calendar" title="Export school calendar" />
+
       {/* Delete (super_admin only) */}
       <Modal open={openDelete && canManage} title={deleting ? `Delete Event` : "Delete Event"} onClose={() => setOpenDelete(false)}>
         {deleting ? (
@@ -789,6 +877,36 @@ export default function CalendarView() {
                 alert(e?.message || "Failed to delete event");
               }
             }}
+            onDeleteOccurrence={async () => {
+              try {
+                await skipOneOccurrence(deleting);
+                setOpenDelete(false);
+              } catch (e) {
+                alert(e?.message || "Failed to remove occurrence");
+              }
+            }}
+          />
+        ) : null}
+      </Modal>
+
+      {/* Edit one occurrence of a recurring series (super_admin only) */}
+      <Modal
+        open={openOccurrence && canManage}
+        title={occurrenceEditing ? `Edit occurrence • ${formatNiceDate(occurrenceEditing.occurrence_date)}` : "Edit occurrence"}
+        onClose={() => setOpenOccurrence(false)}
+      >
+        {occurrenceEditing ? (
+          <OccurrenceForm
+            occurrence={occurrenceEditing}
+            onCancel={() => setOpenOccurrence(false)}
+            onSave={async (changes) => {
+              try {
+                await saveOneOccurrence(occurrenceEditing, changes);
+                setOpenOccurrence(false);
+              } catch (e) {
+                alert(e?.message || "Failed to save occurrence");
+              }
+            }}
           />
         ) : null}
       </Modal>
@@ -988,7 +1106,7 @@ function DayCard({ ev, onView, onEdit, onDelete, canManage }) {
               <div className="inline-flex items-center gap-2 text-xs font-semibold text-black/55">
                 <Repeat className="h-4 w-4 text-black/40" />
                 <span className="truncate">
-                  Repeats {ev.repeat_pattern} (until {ev.repeat_until})
+                  Repeats {ev.repeat_pattern} (until {ev.repeat_until}){ev.is_exception ? " • edited occurrence" : ""}
                 </span>
               </div>
             ) : null}
@@ -1100,7 +1218,7 @@ function MonthView({ cursorDate, todayISO, selectedDay, onSelectDay, gridDays, e
                   const color = ev.custom_color || meta.color;
                   return (
                     <button
-                      key={ev.id}
+                      key={ev.occurrence_key}
                       type="button"
                       onClick={(e) => {
                         e.stopPropagation();
@@ -1179,7 +1297,7 @@ function WeekView({ weekDays, todayISO, selectedDay, onSelectDay, events, onQuic
                   const color = ev.custom_color || meta.color;
                   return (
                     <button
-                      key={ev.id}
+                      key={ev.occurrence_key}
                       type="button"
                       className="w-full rounded-2xl border border-black/10 bg-white px-2 py-2 text-left text-xs font-semibold hover:bg-black/[0.02]"
                       onClick={(e) => {
@@ -1249,7 +1367,7 @@ function ListView({ events, onOpenEvent, onEdit, onDelete, canManage }) {
                       : formatNiceDate(ev.start_date);
 
                   return (
-                    <div key={ev.id} className="p-4">
+                    <div key={ev.occurrence_key} className="p-4">
                       <div className="flex items-start justify-between gap-3">
                         <div className="min-w-0">
                           <div className="text-sm font-extrabold">{ev.title}</div>
@@ -1271,6 +1389,15 @@ function ListView({ events, onOpenEvent, onEdit, onDelete, canManage }) {
                                 </span>
                               </Badge>
                             ) : null}
+                            {ev.recurring ? (
+                              <Badge color="#6B7280">
+                                <span className="inline-flex items-center gap-1">
+                                  <Repeat className="h-3.5 w-3.5 text-black/40" />
+                                  {ev.repeat_pattern}
+                                  {ev.is_exception ? " • edited" : ""}
+                                </span>
+                              </Badge>
+                            ) : null}
                           </div>
 
                           {ev.description ? (
@@ -1329,6 +1456,8 @@ function EventForm({ initial, defaultDay, onCancel, onSave }) {
     repeat_pattern: initial?.repeat_pattern ?? "",
     repeat_until: initial?.repeat_until ?? "",
     custom_color: initial?.custom_color ?? "",
+    class_effect: initial?.class_effect ?? "",
+    makeup_date: initial?.makeup_date ?? "",
   };
 
   const form = useForm({
@@ -1341,6 +1470,8 @@ function EventForm({ initial, defaultDay, onCancel, onSave }) {
   const recurring = form.watch("recurring");
   const selectedType = form.watch("type");
   const meta = typeMeta(selectedType);
+  const classEffectValue = form.watch("class_effect");
+  const defaultEffect = NO_CLASS_TYPES.includes(selectedType) ? "Cancel" : "None";
 
   return (
     <form
@@ -1359,6 +1490,8 @@ function EventForm({ initial, defaultDay, onCancel, onSave }) {
           repeat_pattern: values.recurring ? values.repeat_pattern || null : null,
           repeat_until: values.recurring ? values.repeat_until || null : null,
           custom_color: values.custom_color || null,
+          class_effect: values.class_effect || null,
+          makeup_date: values.class_effect === "Shift" ? values.makeup_date || null : null,
           audiences: ["All"],
         };
 
@@ -1464,6 +1597,35 @@ function EventForm({ initial, defaultDay, onCancel, onSave }) {
         </div>
       </div>
 
+      <div className="rounded-3xl border border-black/10 bg-white/70 p-4">
+        <div className="text-sm font-extrabold text-[#6B4E2E]">Classes</div>
+        <div className="mt-1 text-xs font-semibold text-black/55">
+          How this event affects class schedules. With start/end times set, only overlapping periods are affected.
+        </div>
+
+        <div className="mt-3 grid gap-3 md:grid-cols-2">
+          <div>
+            <div className="text-xs font-semibold text-black/55">Effect on classes</div>
+            <select {...form.register("class_effect")} className={inputCls}>
+              <option value="">Default for {selectedType} ({CLASS_EFFECT_LABELS[defaultEffect]})</option>
+              {CLASS_EFFECTS.map((k) => (
+                <option key={k} value={k}>
+                  {CLASS_EFFECT_LABELS[k]}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {classEffectValue === "Shift" ? (
+            <div>
+              <div className="text-xs font-semibold text-black/55">Make-up Date *</div>
+              <input type="date" {...form.register("makeup_date")} className={inputCls} />
+              {form.formState.errors.makeup_date?.message ? <ErrMsg msg={String(form.formState.errors.makeup_date.message)} /> : null}
+            </div>
+          ) : null}
+        </div>
+      </div>
+
       <div className="rounded-3xl border border-black/10 bg-white/70 p-4">
         <div className="text-sm font-extrabold text-[#6B4E2E]">Description</div>
         <textarea
@@ -1492,7 +1654,7 @@ function EventForm({ initial, defaultDay, onCancel, onSave }) {
   );
 }
 
-function EventDetails({ event, onEdit, onDelete, onClose, canManage }) {
+function EventDetails({ event, onEdit, onDelete, onEditOccurrence, onRestoreOccurrence, onClose, canManage }) {
   const meta = typeMeta(event.type);
   const color = event.custom_color || meta.color;
 
@@ -1501,11 +1663,22 @@ function EventDetails({ event, onEdit, onDelete, onClose, canManage }) {
       ? `${formatNiceDate(event.start_date)} – ${formatNiceDate(event.end_date)}`
       : formatNiceDate(event.start_date);
 
+  const effect = classEffect(event);
+  const makeupDate = effect === "Shift" ? buildNoClassDays([event]).get(event.start_date)?.[0]?.makeup_date : null;
+
   return (
     <div className="space-y-4">
       <div className="rounded-3xl border border-black/10 bg-white/70 p-4">
         <div className="flex flex-wrap items-center gap-2">
           <Badge color={color}>{event.type}</Badge>
+          {effect !== "None" ? (
+            <Badge color="#F43F5E">
+              <span className="inline-flex items-center gap-1">
+                <CalendarOff className="h-3.5 w-3.5 text-black/40" />
+                {makeupDate ? `Classes moved to ${formatNiceDate(makeupDate)}` : "No classes"}
+              </span>
+            </Badge>
+          ) : null}
           <Badge color="#6B7280">{dateLabel}</Badge>
           <Badge color="#6B7280">
             <span className="inline-flex items-center gap-1">
@@ -1530,6 +1703,13 @@ function EventDetails({ event, onEdit, onDelete, onClose, canManage }) {
             </Badge>
           ) : null}
         </div>
+
+        {event.recurring && event.occurrence_date ? (
+          <div className="mt-3 text-xs font-semibold text-black/55">
+            Occurrence of {formatNiceDate(event.occurrence_date)} • series starts {formatNiceDate(event._master?.start_date || event.start_date)}
+            {event.is_exception ? " • this occurrence was edited" : ""}
+          </div>
+        ) : null}
       </div>
 
       {event.description ? (
@@ -1554,11 +1734,32 @@ function EventDetails({ event, onEdit, onDelete, onClose, canManage }) {
           </span>
         </button>
 
+        {canManage && event.recurring ? (
+          <>
+            {event.is_exception ? (
+              <button
+                className="rounded-2xl border border-black/10 bg-white/70 px-4 py-2 text-sm font-extrabold hover:bg-white"
+                onClick={onRestoreOccurrence}
+              >
+                Restore this date
+              </button>
+            ) : null}
+            <button
+              className="rounded-2xl border border-black/10 bg-white/70 px-4 py-2 text-sm font-extrabold hover:bg-white"
+              onClick={onEditOccurrence}
+            >
+              <span className="inline-flex items-center gap-2">
+                <Pencil className="h-4 w-4" /> Edit this date
+              </span>
+            </button>
+          </>
+        ) : null}
+
         {canManage ? (
           <>
             <button className={`rounded-2xl ${TOKENS.goldBg} px-4 py-2 text-sm font-extrabold text-black hover:opacity-95`} onClick={onEdit}>
               <span className="inline-flex items-center gap-2">
-                <Pencil className="h-4 w-4" /> Edit
+                <Pencil className="h-4 w-4" /> {event.recurring ? "Edit series" : "Edit"}
               </span>
             </button>
             <button className="rounded-2xl bg-rose-600 px-4 py-2 text-sm font-extrabold text-white hover:opacity-95" onClick={onDelete}>
@@ -1573,28 +1774,151 @@ function EventDetails({ event, onEdit, onDelete, onClose, canManage }) {
   );
 }
 
-function DeleteEventDialog({ event, onCancel, onDelete }) {
+function DeleteEventDialog({ event, onCancel, onDelete, onDeleteOccurrence }) {
+  const isSeries = Boolean(event.recurring && event.occurrence_date);
+
   return (
     <div className="space-y-4">
       <div className="rounded-3xl border border-rose-200 bg-rose-50 p-4">
         <div className="text-sm font-extrabold text-rose-700">Delete event?</div>
         <div className="mt-2 text-sm text-rose-700/80">
-          Are you sure you want to delete <b>{event.title}</b>?
+          {isSeries ? (
+            <>
+              <b>{event.title}</b> repeats {String(event.repeat_pattern || "").toLowerCase()}. Remove only the occurrence on{" "}
+              <b>{formatNiceDate(event.occurrence_date)}</b>, or the whole series?
+            </>
+          ) : (
+            <>
+              Are you sure you want to delete <b>{event.title}</b>?
+            </>
+          )}
         </div>
       </div>
 
-      <div className="flex justify-end gap-2">
+      <div className="flex flex-wrap justify-end gap-2">
         <button className="rounded-2xl border border-black/10 bg-white/70 px-4 py-2 text-sm font-extrabold hover:bg-white" onClick={onCancel}>
           Cancel
         </button>
+        {isSeries ? (
+          <button
+            className="rounded-2xl border border-rose-200 bg-white px-4 py-2 text-sm font-extrabold text-rose-700 hover:bg-rose-50"
+            onClick={onDeleteOccurrence}
+          >
+            This date only
+          </button>
+        ) : null}
         <button className="rounded-2xl bg-rose-600 px-4 py-2 text-sm font-extrabold text-white hover:opacity-95" onClick={onDelete}>
-          Delete
+          {isSeries ? "Entire series" : "Delete"}
         </button>
       </div>
     </div>
   );
 }
 
+function OccurrenceForm({ occurrence, onCancel, onSave }) {
+  const [v, setV] = useState(() => ({
+    title: occurrence.title || "",
+    start_date: occurrence.start_date || occurrence.occurrence_date,
+    all_day: Boolean(occurrence.all_day),
+    start_time: occurrence.start_time ? String(occurrence.start_time).slice(0, 5) : "",
+    end_time: occurrence.end_time ? String(occurrence.end_time).slice(0, 5) : "",
+    location: occurrence.location || "",
+  }));
+  const [err, setErr] = useState("");
+
+  const set = (k) => (e) => setV((p) => ({ ...p, [k]: e.target.type === "checkbox" ? e.target.checked : e.target.value }));
+
+  function submit(e) {
+    e.preventDefault();
+    if (!v.title.trim()) return setErr("Title is required");
+    if (!v.start_date) return setErr("Date is required");
+    if (!v.all_day && v.start_time && v.end_time && v.end_time <= v.start_time) {
+      return setErr("End time must be after start time");
+    }
+
+    // Only store what differs from the series, so later series edits still flow through.
+    const master = occurrence._master || {};
+    const next = {
+      title: v.title.trim(),
+      start_date: v.start_date,
+      all_day: v.all_day,
+      start_time: v.all_day ? null : v.start_time || null,
+      end_time: v.all_day ? null : v.end_time || null,
+      location: v.location || null,
+    };
+    const changes = {};
+    Object.entries(next).forEach(([k, val]) => {
+      const base = k === "start_date" ? occurrence.occurrence_date : master[k] ?? null;
+      const norm = (x) => (x == null ? null : String(x).slice(0, k.endsWith("_time") ? 5 : undefined));
+      if (norm(val) !== norm(base)) changes[k] = val;
+    });
+
+    onSave(changes);
+  }
+
+  return (
+    <form onSubmit={submit} className="space-y-4">
+      <div className="rounded-3xl border border-black/10 bg-white/70 p-4">
+        <div className="text-sm text-black/55">
+          Changes apply to this date only. Use <b>Edit series</b> to change every occurrence.
+        </div>
+
+        <div className="mt-3 grid gap-3 md:grid-cols-2">
+          <div className="md:col-span-2">
+            <div className="text-xs font-semibold text-black/55">Title *</div>
+            <input value={v.title} onChange={set("title")} className={inputCls} />
+          </div>
+
+          <div>
+            <div className="text-xs font-semibold text-black/55">Date *</div>
+            <input type="date" value={v.start_date} onChange={set("start_date")} className={inputCls} />
+          </div>
+
+          <div>
+            <div className="text-xs font-semibold text-black/55">Location / Venue</div>
+            <input value={v.location} onChange={set("location")} className={inputCls} />
+          </div>
+
+          <div className="rounded-2xl border border-black/10 bg-white/70 p-3 md:col-span-2">
+            <label className="inline-flex items-center gap-2 text-sm font-semibold text-black/70">
+              <input type="checkbox" checked={v.all_day} onChange={set("all_day")} className="h-4 w-4 rounded border-black/20" />
+              All-day
+            </label>
+          </div>
+
+          {!v.all_day ? (
+            <>
+              <div>
+                <div className="text-xs font-semibold text-black/55">Start Time</div>
+                <input type="time" value={v.start_time} onChange={set("start_time")} className={inputCls} />
+              </div>
+              <div>
+                <div className="text-xs font-semibold text-black/55">End Time</div>
+                <input type="time" value={v.end_time} onChange={set("end_time")} className={inputCls} />
+              </div>
+            </>
+          ) : null}
+        </div>
+
+        {err ? <ErrMsg msg={err} /> : null}
+      </div>
+
+      <div className="flex items-center justify-end gap-2">
+        <button
+          type="button"
+          className="rounded-2xl border border-black/10 bg-white/70 px-4 py-2 text-sm font-extrabold hover:bg-white"
+          onClick={onCancel}
+        >
+          Cancel
+        </button>
+        <button type="submit" className={`rounded-2xl ${TOKENS.goldBg} px-4 py-2 text-sm font-extrabold text-black hover:opacity-95`}>
+          Save this date
+        </button>
+      </div>
+    </form>
+  );
+}
+
 function RHFText({ form, name, label, placeholder }) {
   const err = form.formState.errors?.[name]?.message;
   return (
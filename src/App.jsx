@@ -11,7 +11,9 @@ import Classes from "./Admin/AdminStudents/Classes.jsx";
 import Schedule from "./Admin/AdminStudents/Schedule.jsx";
 import Section from "./Admin/AdminStudents/Section.jsx";
 import Subject from "./Admin/AdminStudents/Subject.jsx";
+import Rooms from "./Admin/AdminStudents/Rooms.jsx";
 import SchoolYear from "./Admin/AdminStudents/School_Year.jsx";
+import Terms from "./Admin/AdminStudents/Terms.jsx";
 import TeacherManage from "./Admin/AdminTeacher/Management.jsx";
 import TeacherSchedule from "./Admin/AdminTeacher/Schedule.jsx";
 import CalendarView from "./Admin/Calendar/CalendarView.jsx";
@@ -19,6 +21,12 @@ import AnnouncementList from "./Admin/Announcements/AnnouncementList.jsx";
 
 import Login from "./Auth/Login.jsx";
 import PreEnrollment from "./Auth/PreEnroll.jsx";
+import ApplicationStatus from "./Auth/ApplicationStatus.jsx";
+import VerifyDocument from "./Auth/VerifyDocument.jsx";
+import GuardianSignup from "./Auth/GuardianSignup.jsx";
+import ForgotPassword from "./Auth/ForgotPassword.jsx";
+import MfaVerify from "./Auth/MfaVerify.jsx";
+import MfaSetup from "./Auth/MfaSetup.jsx";
 import ChangePassword from "./Auth/ChangePassword.jsx";
 
 import TeacherLayout from "./layout/TeacherLayout.jsx";
@@ -27,8 +35,10 @@ import TeacherLessons from "./Teacher/Lesson/TeacherLessons.jsx";
 import LessonSampler from "./Teacher/Lesson/LessonSampler.jsx";
 import LessonLibrary from "./Teacher/Lesson/LessonLibrary.jsx";
 import AssignLesson from "./Teacher/Lesson/AssignLesson.jsx";
+import SubmissionReview from "./Teacher/Lesson/SubmissionReview.jsx";
 import TeacherClasses from "./Teacher/TeacherClasses";
 import TeacherSchedules from "./Teacher/TeacherSchedule";
+import TeacherAttendance from "./Teacher/TeacherAttendance";
 import TeacherAnnouncements from "./Teacher/TeacherAnnouncements";
 import TeacherStudents from "./Teacher/TeacherStudents";
 import TeacherSettings from "./Teacher/TeacherSettings";
@@ -46,6 +56,13 @@ import {
   StudentLessonDetailPage,
 } from "./Student/Lessons/lesson.jsx";
 
+import GuardianLayout from "./layout/GuardianLayout";
+import GuardianDashboard from "./Guardian/GuardianDashboard";
+import GuardianSchedule from "./Guardian/GuardianSchedule";
+import GuardianAnnouncements from "./Guardian/GuardianAnnouncements";
+import GuardianAttendance from "./Guardian/GuardianAttendance";
+import GuardianGrades from "./Guardian/GuardianGrades";
+
 
 
 import DevLayout from "./layout/DevLayout";
@@ -64,6 +81,14 @@ export default function App() {
         {/* Public */}
         <Route path="/login" element={<Login />} />
         <Route path="/pre-enroll" element={<PreEnrollment />} />
+        <Route path="/application-status" element={<ApplicationStatus />} />
+        <Route path="/verify-document" element={<VerifyDocument />} />
+        <Route path="/guardian-signup" element={<GuardianSignup />} />
+        <Route path="/forgot-password" element={<ForgotPassword />} />
+
+        {/* Two-step sign-in (pages check the session themselves) */}
+        <Route path="/mfa" element={<MfaVerify />} />
+        <Route path="/mfa/setup" element={<MfaSetup />} />
 
 
         {/* ===========================
@@ -94,7 +119,9 @@ export default function App() {
           <Route path="students/schedule" element={<Schedule />} />
           <Route path="students/section" element={<Section />} />
           <Route path="students/subject" element={<Subject />} />
+          <Route path="students/rooms" element={<Rooms />} />
           <Route path="students/school-year" element={<SchoolYear />} />
+          <Route path="students/terms" element={<Terms />} />
           <Route path="teacher/manage" element={<TeacherManage />} />
           <Route path="teacher/schedule" element={<TeacherSchedule />} />
 
@@ -114,8 +141,10 @@ export default function App() {
             <Route path="lesson-library" element={<LessonLibrary />} />
             <Route path="lesson-sampler" element={<LessonSampler />} />
             <Route path="assign-lesson" element={<AssignLesson />} />
+            <Route path="submissions" element={<SubmissionReview />} />
             <Route path="classes" element={<TeacherClasses />} />
             <Route path="schedule" element={<TeacherSchedules />} />
+            <Route path="attendance" element={<TeacherAttendance />} />
             <Route path="announcements" element={<TeacherAnnouncements />} />
             <Route path="students" element={<TeacherStudents />} />
             <Route path="settings" element={<TeacherSettings />} />
@@ -151,6 +180,21 @@ export default function App() {
           </Route>
         </Route>
 
+        {/* ===========================
+            GUARDIAN (protected, read-only)
+           =========================== */}
+        <Route element={<RequireRole allow={["guardian"]} />}>
+          <Route path="/guardian" element={<GuardianLayout />}>
+            <Route index element={<Navigate to="dashboard" replace />} />
+            <Route path="dashboard" element={<GuardianDashboard />} />
+            <Route path="schedule" element={<GuardianSchedule />} />
+            <Route path="announcements" element={<GuardianAnnouncements />} />
+            <Route path="attendance" element={<GuardianAttendance />} />
+            <Route path="grades" element={<GuardianGrades />} />
+            <Route path="change-password" element={<ChangePassword />} />
+          </Route>
+        </Route>
+
 
  
 
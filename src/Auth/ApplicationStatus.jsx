@@ -0,0 +1,429 @@
+// src/Auth/ApplicationStatus.jsx
+import React, { useMemo, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, Hash, Calendar, Search, CheckCircle2, AlertCircle, FileText, Pencil } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import {
+  CORRECTABLE_FIELDS,
+  STATUS_COPY,
+  fieldLabel,
+  lookupApplication,
+  submitCorrections,
+  validateCorrections,
+} from "../lib/applicantStatus";
+import { onlyDigits } from "../lib/validators";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  soft: "rgba(251,246,239,0.7)",
+  gold: "#d4a62f",
+  goldHover: "#deb23c",
+  link: "#d4a62f",
+  danger: "rgba(239,68,68,0.55)",
+};
+
+const STATUS_TONE = {
+  Pending: { bg: "rgba(212,166,47,0.16)", fg: BRAND.brown },
+  Incomplete: { bg: "rgba(245,158,11,0.16)", fg: "#92400e" },
+  Approved: { bg: "rgba(16,185,129,0.14)", fg: "#065f46" },
+  Enrolled: { bg: "rgba(16,185,129,0.14)", fg: "#065f46" },
+  Rejected: { bg: "rgba(239,68,68,0.12)", fg: "#991b1b" },
+};
+
+const DOC_TONE = {
+  Missing: "text-red-600",
+  Rejected: "text-red-600",
+  Submitted: "text-amber-700",
+  Verified: "text-emerald-700",
+};
+
+const DOC_LABEL = {
+  Missing: "Missing",
+  Rejected: "Not accepted",
+  Submitted: "For verification",
+  Verified: "Verified",
+};
+
+function formatDate(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+}
+
+export default function ApplicationStatus() {
+  const nav = useNavigate();
+  const [params] = useSearchParams();
+
+  const [applicationId, setApplicationId] = useState(params.get("code") || "");
+  const [lrn, setLrn] = useState("");
+  const [bdate, setBdate] = useState("");
+
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+  const [ident, setIdent] = useState(null);
+
+  const [edits, setEdits] = useState({});
+  const [saving, setSaving] = useState(false);
+  const [saveError, setSaveError] = useState("");
+  const [saved, setSaved] = useState(false);
+
+  const canLookup = applicationId.trim() && onlyDigits(lrn).length === 12 && !!bdate && !loading;
+
+  async function onLookup(e) {
+    e.preventDefault();
+    if (!canLookup) return;
+
+    const next = { applicationId: applicationId.trim(), lrn, bdate };
+    setLoading(true);
+    setError("");
+    setSaved(false);
+    try {
+      const data = await lookupApplication(next);
+      if (!data) {
+        setResult(null);
+        setError("No application matches those details. Check your Application Code and try again.");
+        return;
+      }
+      setResult(data);
+      setIdent(next);
+      setEdits(initialEdits(data));
+    } catch (err) {
+      setError(err?.message || "Lookup failed.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const flagged = useMemo(() => result?.flagged_fields ?? [], [result]);
+  const canCorrect = flagged.length > 0 && ["Pending", "Incomplete"].includes(result?.status);
+  const editErrors = useMemo(() => validateCorrections(edits), [edits]);
+
+  async function onSaveCorrections(e) {
+    e.preventDefault();
+    if (!canCorrect || Object.keys(editErrors).length) return;
+
+    setSaving(true);
+    setSaveError("");
+    try {
+      const changes = { ...edits };
+      if (changes.st_lrn != null) changes.st_lrn = onlyDigits(changes.st_lrn);
+
+      const data = await submitCorrections(ident, changes);
+
+      // Corrected LRN / birthdate become the way to look this application up.
+      const nextIdent = {
+        ...ident,
+        lrn: changes.st_lrn || ident.lrn,
+        bdate: changes.st_bdate || ident.bdate,
+      };
+      setIdent(nextIdent);
+      setLrn(nextIdent.lrn);
+      setBdate(nextIdent.bdate);
+
+      if (data) {
+        setResult(data);
+        setEdits(initialEdits(data));
+      }
+      setSaved(true);
+    } catch (err) {
+      setSaveError(err?.message || "Could not save your corrections.");
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const tone = STATUS_TONE[result?.status] || STATUS_TONE.Pending;
+  const requirements = result?.requirements ?? [];
+  const outstanding = requirements.filter((r) => r.is_required && r.status !== "Verified" && r.status !== "Submitted");
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      <button
+        onClick={() => nav(-1)}
+        aria-label="Back"
+        className="absolute left-6 top-6 grid h-10 w-10 place-items-center rounded-xl hover:bg-black/5 transition"
+      >
+        <ArrowLeft className="h-5 w-5" style={{ color: BRAND.muted }} />
+      </button>
+
+      <div className="mx-auto max-w-3xl px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Application Status
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-3xl space-y-5 px-6 pb-14 pt-6">
+        <motion.form
+          onSubmit={onLookup}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.25 }}
+          className="rounded-[28px] bg-white p-6 lg:p-8"
+          style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+        >
+          <div className="text-lg font-extrabold" style={{ color: BRAND.brown }}>
+            Track your pre-enrollment
+          </div>
+          <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+            Enter the Application Code from your slip, then your LRN and birthdate.
+          </div>
+
+          <div className="mt-5 grid grid-cols-1 gap-3 sm:grid-cols-2">
+            <TextInput label="Application Code *" icon={Hash} value={applicationId} onChange={setApplicationId} placeholder="10-1901" />
+
+            <TextInput label="LRN *" icon={Hash} value={lrn} onChange={setLrn} placeholder="12-digit LRN" maxLength={14} />
+            <TextInput label="Birthdate *" icon={Calendar} type="date" value={bdate} onChange={setBdate} />
+          </div>
+
+          {error ? (
+            <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">{error}</div>
+          ) : null}
+
+          <button
+            type="submit"
+            disabled={!canLookup}
+            className="mt-5 inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition"
+            style={{
+              background: BRAND.gold,
+              color: BRAND.brown,
+              boxShadow: "0 10px 18px rgba(212,166,47,0.28)",
+              opacity: canLookup ? 1 : 0.65,
+              cursor: canLookup ? "pointer" : "not-allowed",
+            }}
+          >
+            <Search className="h-4 w-4" />
+            {loading ? "Checking…" : "Check Status"}
+          </button>
+
+          <div className="pt-4 text-center text-sm" style={{ color: BRAND.muted }}>
+            No application yet?{" "}
+            <Link to="/pre-enroll" className="hover:underline" style={{ color: BRAND.link }}>
+              Pre-enroll here
+            </Link>
+          </div>
+        </motion.form>
+
+        {result ? (
+          <motion.div
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.2 }}
+            className="space-y-4 rounded-[28px] bg-white p-6 lg:p-8"
+            style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+          >
+            <div className="flex flex-col gap-3 sm:flex-row sm:items-start sm:justify-between">
+              <div>
+                <div className="text-xs" style={{ color: BRAND.muted }}>
+                  {result.application_id}
+                </div>
+                <div className="text-xl font-extrabold" style={{ color: BRAND.brown }}>
+                  {`${result.st_fname || ""} ${result.st_lname || ""}`.trim()}
+                </div>
+                <div className="mt-1 text-xs" style={{ color: BRAND.muted }}>
+                  {result.grade_level ? `Grade ${result.grade_level}` : "—"} • {result.track_code || "—"} • {result.strand_code || "—"} • Submitted{" "}
+                  {formatDate(result.submitted_at)}
+                </div>
+              </div>
+              <span className="inline-flex rounded-full px-3 py-1 text-xs font-bold" style={{ background: tone.bg, color: tone.fg }}>
+                {result.status === "Incomplete" ? "Incomplete requirements" : result.status}
+              </span>
+            </div>
+
+            <div className="rounded-2xl px-4 py-3 text-sm" style={{ background: BRAND.soft, border: `1px solid ${BRAND.stroke}`, color: BRAND.brown }}>
+              {STATUS_COPY[result.status] || "Your application is on file."}
+              {result.scheduled_date && ["Pending", "Incomplete", "Approved"].includes(result.status) ? (
+                <div className="mt-1 text-xs" style={{ color: BRAND.muted }}>
+                  Reporting date: {formatDate(result.scheduled_date)}
+                  {result.scheduled_time ? ` • ${String(result.scheduled_time).slice(0, 5)}` : ""}
+                </div>
+              ) : null}
+            </div>
+
+            {result.status === "Rejected" && result.rejection_reason ? (
+              <div className="rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm text-red-700">
+                <div className="font-extrabold">Reason from the registrar</div>
+                <div className="mt-1">{result.rejection_reason}</div>
+              </div>
+            ) : null}
+
+            {requirements.length ? (
+              <div className="rounded-2xl px-4 py-3" style={{ border: `1px solid ${BRAND.stroke}` }}>
+                <div className="flex items-center gap-2 text-sm font-extrabold" style={{ color: BRAND.brown }}>
+                  <FileText className="h-4 w-4" />
+                  Requirements
+                  {outstanding.length ? (
+                    <span className="text-xs font-semibold text-red-600">({outstanding.length} still needed)</span>
+                  ) : null}
+                </div>
+                <div className="mt-2 space-y-2">
+                  {requirements.map((r) => (
+                    <div key={r.code} className="flex items-start justify-between gap-3 text-sm">
+                      <div>
+                        <div style={{ color: BRAND.brown }}>
+                          {r.label}
+                          {r.is_required ? "" : " (optional)"}
+                        </div>
+                        {r.note ? <div className="text-xs text-red-600">{r.note}</div> : null}
+                      </div>
+                      <div className={`text-xs font-bold ${DOC_TONE[r.status] || ""}`}>{DOC_LABEL[r.status] || r.status}</div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ) : null}
+
+            {canCorrect ? (
+              <form onSubmit={onSaveCorrections} className="rounded-2xl px-4 py-4" style={{ background: "rgba(212,166,47,0.08)", border: `1px solid ${BRAND.stroke}` }}>
+                <div className="flex items-center gap-2 text-sm font-extrabold" style={{ color: BRAND.brown }}>
+                  <Pencil className="h-4 w-4" />
+                  Please correct the following
+                </div>
+                {result.correction_note ? (
+                  <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+                    {result.correction_note}
+                  </div>
+                ) : null}
+
+                <div className="mt-4 grid grid-cols-1 gap-3 sm:grid-cols-2">
+                  {CORRECTABLE_FIELDS.filter((f) => flagged.includes(f.key)).map((f) =>
+                    f.options ? (
+                      <SelectInput
+                        key={f.key}
+                        label={f.label}
+                        value={edits[f.key] ?? ""}
+                        onChange={(v) => setEdits((p) => ({ ...p, [f.key]: v }))}
+                        options={f.options}
+                        error={editErrors[f.key]}
+                      />
+                    ) : (
+                      <TextInput
+                        key={f.key}
+                        label={f.label}
+                        type={f.type || "text"}
+                        value={edits[f.key] ?? ""}
+                        onChange={(v) => setEdits((p) => ({ ...p, [f.key]: v }))}
+                        error={editErrors[f.key]}
+                      />
+                    )
+                  )}
+                </div>
+
+                {saveError ? (
+                  <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">
+                    {saveError}
+                  </div>
+                ) : null}
+
+                <button
+                  type="submit"
+                  disabled={saving || Object.keys(editErrors).length > 0}
+                  className="mt-4 rounded-2xl px-6 py-3 text-sm font-semibold transition"
+                  style={{
+                    background: BRAND.gold,
+                    color: BRAND.brown,
+                    opacity: saving || Object.keys(editErrors).length ? 0.65 : 1,
+                    cursor: saving || Object.keys(editErrors).length ? "not-allowed" : "pointer",
+                  }}
+                >
+                  {saving ? "Saving…" : "Submit Corrections"}
+                </button>
+              </form>
+            ) : null}
+
+            {saved && !canCorrect ? (
+              <div className="flex items-center gap-2 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm font-semibold text-emerald-700">
+                <CheckCircle2 className="h-4 w-4" />
+                Corrections received. The registrar will review your application again.
+              </div>
+            ) : null}
+
+            {flagged.length > 0 && !canCorrect ? (
+              <div className="flex items-start gap-2 text-xs" style={{ color: BRAND.muted }}>
+                <AlertCircle className="h-4 w-4" />
+                <div>
+                  The registrar flagged {flagged.map(fieldLabel).join(", ")}, but this application can no longer be edited online. Please
+                  contact the registrar.
+                </div>
+              </div>
+            ) : null}
+          </motion.div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function initialEdits(data) {
+  const out = {};
+  (data?.flagged_fields ?? []).forEach((key) => {
+    const v = data?.values?.[key];
+    out[key] = key === "st_bdate" && v ? String(v).slice(0, 10) : v ?? "";
+  });
+  return out;
+}
+
+/* -----------------------------------------------------
+   UI components
+----------------------------------------------------- */
+
+function TextInput({ label, icon: Icon, type = "text", value, onChange, placeholder, error, maxLength }) {
+  return (
+    <div>
+      {label ? (
+        <label className="text-sm font-semibold" style={{ color: BRAND.brown }}>
+          {label}
+        </label>
+      ) : null}
+      <div className="relative mt-2">
+        {Icon ? <Icon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} /> : null}
+        <input
+          type={type}
+          value={value}
+          maxLength={maxLength}
+          onChange={(e) => onChange(e.target.value)}
+          placeholder={placeholder}
+          className={`w-full rounded-xl ${Icon ? "pl-11" : "pl-4"} pr-4 py-3 text-sm outline-none transition`}
+          style={{
+            background: "rgba(251,246,239,0.6)",
+            border: `1px solid ${error ? BRAND.danger : "rgba(43,26,18,0.22)"}`,
+          }}
+        />
+      </div>
+      {error ? <div className="mt-2 text-xs font-semibold text-red-500">{error}</div> : null}
+    </div>
+  );
+}
+
+function SelectInput({ label, value, onChange, options, error }) {
+  return (
+    <div>
+      <label className="text-sm font-semibold" style={{ color: BRAND.brown }}>
+        {label}
+      </label>
+      <select
+        value={value}
+        onChange={(e) => onChange(e.target.value)}
+        className="mt-2 w-full rounded-xl px-4 py-3 text-sm outline-none"
+        style={{ background: "rgba(251,246,239,0.6)", border: `1px solid ${error ? BRAND.danger : "rgba(43,26,18,0.22)"}` }}
+      >
+        <option value="">Select…</option>
+        {options.map((o) => (
+          <option key={o} value={o}>
+            {o}
+          </option>
+        ))}
+      </select>
+      {error ? <div className="mt-2 text-xs font-semibold text-red-500">{error}</div> : null}
+    </div>
+  );
+}
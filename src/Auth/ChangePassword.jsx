@@ -1,9 +1,20 @@
-import React, { useState } from "react";
-import { useNavigate } from "react-router-dom";
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate, useSearchParams } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
+import { markRecoverySession } from "../lib/passwordRecovery";
 
 export default function ChangePassword() {
   const nav = useNavigate();
+  const location = useLocation();
+  const [params] = useSearchParams();
+  // Arrived from "Forgot password" (ForgotPassword.jsx, or a teacher's emailed link) rather than a temporary password
+  const emailedLink = params.get("recovery") === "1";
+  const recovery = location.state?.recovery === true || emailedLink;
+
+  // The emailed link signs in without going through startRecoverySession, so flag the account here.
+  useEffect(() => {
+    if (emailedLink) markRecoverySession().catch((e) => console.error(e));
+  }, [emailedLink]);
 
   const [pw1, setPw1] = useState("");
   const [pw2, setPw2] = useState("");
@@ -64,9 +75,11 @@ export default function ChangePassword() {
   return (
     <div className="min-h-screen flex items-center justify-center p-6 bg-white">
       <form onSubmit={onSubmit} className="w-full max-w-md space-y-3 rounded-2xl border border-black/10 p-6">
-        <h1 className="text-lg font-extrabold">Change Password</h1>
+        <h1 className="text-lg font-extrabold">{recovery ? "Set a New Password" : "Change Password"}</h1>
         <p className="text-sm text-black/60">
-          For security, you must change your temporary password before continuing.
+          {recovery
+            ? "Identity confirmed. Choose a new password, then sign in with it."
+            : "For security, you must change your temporary password before continuing."}
         </p>
 
         {err ? <div className="text-sm font-semibold text-red-600">{err}</div> : null}
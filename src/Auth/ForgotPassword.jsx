@@ -0,0 +1,209 @@
+// src/Auth/ForgotPassword.jsx
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, CalendarDays, Hash, IdCard, KeyRound, Mail } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import { isEmail, isLRN, onlyDigits } from "../lib/validators";
+import {
+  RECOVERY_KINDS,
+  changePasswordPath,
+  requestPasswordRecovery,
+  startRecoverySession,
+} from "../lib/passwordRecovery";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+  link: "#d4a62f",
+};
+
+const FIELDS = {
+  student: [
+    { key: "studentNumber", label: "Student number", icon: IdCard, type: "text", placeholder: "S25-0001" },
+    { key: "lrn", label: "LRN", icon: Hash, type: "text", placeholder: "12-digit Learner Reference Number" },
+    { key: "birthdate", label: "Birthdate", icon: CalendarDays, type: "date", placeholder: "" },
+  ],
+  teacher: [
+    { key: "employeeNumber", label: "Teacher number", icon: IdCard, type: "text", placeholder: "T25-0001" },
+    { key: "email", label: "Registered email", icon: Mail, type: "email", placeholder: "you@example.com" },
+  ],
+};
+
+function validate(kind, f) {
+  const e = {};
+  if (kind === "student") {
+    if (!/^s\d{2}-\d{4}$/i.test(f.studentNumber.trim())) e.studentNumber = "Enter your student number (S25-0001).";
+    if (!isLRN(f.lrn)) e.lrn = "LRN must be 12 digits.";
+    if (!f.birthdate) e.birthdate = "Birthdate is required.";
+  } else {
+    if (!/^t\d{2}-\d{4}$/i.test(f.employeeNumber.trim())) e.employeeNumber = "Enter your teacher number (T25-0001).";
+    if (!isEmail(f.email)) e.email = "Enter the email the school has on file.";
+  }
+  return e;
+}
+
+/** "Forgot password" for students and teachers: verify identity, then set a new password (teachers via an emailed link). */
+export default function ForgotPassword() {
+  const nav = useNavigate();
+
+  const [kind, setKind] = useState("student");
+  const [form, setForm] = useState({ studentNumber: "", lrn: "", birthdate: "", employeeNumber: "", email: "" });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [authError, setAuthError] = useState("");
+  const [sent, setSent] = useState("");
+
+  function set(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const errs = validate(kind, form);
+    setErrors(errs);
+    if (Object.keys(errs).length) return;
+
+    setLoading(true);
+    setAuthError("");
+    setSent("");
+    try {
+      const { token_hash, role } = await requestPasswordRecovery(kind, {
+        studentNumber: form.studentNumber.trim().toUpperCase(),
+        lrn: onlyDigits(form.lrn),
+        birthdate: form.birthdate,
+        employeeNumber: form.employeeNumber.trim().toUpperCase(),
+        email: form.email.trim().toLowerCase(),
+      });
+      if (kind === "teacher") {
+        setSent(`If those details match our records, a reset link was sent to ${form.email.trim().toLowerCase()}.`);
+        return;
+      }
+      await startRecoverySession(token_hash);
+      nav(changePasswordPath(role), { replace: true, state: { recovery: true } });
+    } catch (err) {
+      setAuthError(err?.message || "Password recovery failed. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      <button
+        onClick={() => nav("/login")}
+        aria-label="Back"
+        className="absolute left-6 top-6 grid h-10 w-10 place-items-center rounded-xl hover:bg-black/5 transition"
+      >
+        <ArrowLeft className="h-5 w-5" style={{ color: BRAND.muted }} />
+      </button>
+
+      <div className="mx-auto max-w-lg px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Reset password
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-lg px-6 pb-14 pt-6">
+        <motion.form
+          onSubmit={onSubmit}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.25 }}
+          className="rounded-[28px] bg-white p-6 lg:p-8"
+          style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+        >
+          <div className="text-lg font-extrabold" style={{ color: BRAND.brown }}>
+            Forgot your password?
+          </div>
+          <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+            Confirm who you are to choose a new password. Teachers get a reset link at their registered email. Admin
+            accounts are reset by the school office.
+          </div>
+
+          <div className="mt-5 grid grid-cols-2 gap-2">
+            {RECOVERY_KINDS.map((k) => (
+              <button
+                key={k.value}
+                type="button"
+                onClick={() => {
+                  setKind(k.value);
+                  setErrors({});
+                  setAuthError("");
+                  setSent("");
+                }}
+                className="rounded-2xl border py-2 text-sm font-semibold transition"
+                style={{
+                  borderColor: kind === k.value ? BRAND.gold : BRAND.stroke,
+                  background: kind === k.value ? "rgba(212,166,47,0.12)" : "white",
+                  color: BRAND.brown,
+                }}
+              >
+                {k.label}
+              </button>
+            ))}
+          </div>
+
+          <div className="mt-5 space-y-3">
+            {FIELDS[kind].map((f) => (
+              <div key={f.key}>
+                <div className="mb-1 text-xs font-semibold" style={{ color: BRAND.muted }}>
+                  {f.label}
+                </div>
+                <div className="relative">
+                  <f.icon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} />
+                  <input
+                    type={f.type}
+                    value={form[f.key]}
+                    onChange={(e) => set(f.key, e.target.value)}
+                    placeholder={f.placeholder}
+                    disabled={loading}
+                    className="w-full rounded-xl pl-11 pr-4 py-3 text-sm outline-none transition"
+                    style={{ background: "rgba(251,246,239,0.6)", border: "1px solid rgba(43,26,18,0.22)" }}
+                  />
+                </div>
+                {errors[f.key] ? <div className="mt-1 text-xs font-semibold text-red-700">{errors[f.key]}</div> : null}
+              </div>
+            ))}
+          </div>
+
+          {sent ? (
+            <div className="mt-4 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm font-semibold text-emerald-800">
+              {sent}
+            </div>
+          ) : null}
+
+          {authError ? (
+            <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">
+              {authError}
+            </div>
+          ) : null}
+
+          <button
+            type="submit"
+            disabled={loading}
+            className="mt-5 inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition disabled:opacity-65"
+            style={{ background: BRAND.gold, color: BRAND.brown, boxShadow: "0 10px 18px rgba(212,166,47,0.28)" }}
+          >
+            <KeyRound className="h-4 w-4" />
+            {loading ? "Checking…" : kind === "teacher" ? "Email me a reset link" : "Verify and continue"}
+          </button>
+
+          <div className="mt-4 text-center text-sm" style={{ color: BRAND.muted }}>
+            Remembered it?{" "}
+            <Link to="/login" className="hover:underline" style={{ color: BRAND.link }}>
+              Back to sign in
+            </Link>
+          </div>
+        </motion.form>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,165 @@
+// src/Auth/GuardianSignup.jsx
+import React, { useState } from "react";
+import { Link, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, Lock, Mail, User, UserPlus } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import { signUpGuardian } from "../lib/guardian";
+import { isEmail } from "../lib/validators";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+  link: "#d4a62f",
+};
+
+function validate(f) {
+  const e = {};
+  if (!f.fullName.trim()) e.fullName = "Full name is required.";
+  if (!isEmail(f.email)) e.email = "Enter a valid email address.";
+  if (f.password.length < 8) e.password = "Use at least 8 characters.";
+  if (f.confirm !== f.password) e.confirm = "Passwords do not match.";
+  return e;
+}
+
+export default function GuardianSignup() {
+  const nav = useNavigate();
+
+  const [form, setForm] = useState({ fullName: "", email: "", password: "", confirm: "" });
+  const [errors, setErrors] = useState({});
+  const [loading, setLoading] = useState(false);
+  const [authError, setAuthError] = useState("");
+  const [sentTo, setSentTo] = useState("");
+
+  function set(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    const errs = validate(form);
+    setErrors(errs);
+    if (Object.keys(errs).length) return;
+
+    setLoading(true);
+    setAuthError("");
+    try {
+      const data = await signUpGuardian(form);
+      // With email confirmation turned off Supabase signs the user in right away.
+      if (data?.session) {
+        nav("/guardian/dashboard", { replace: true });
+        return;
+      }
+      setSentTo(form.email.trim().toLowerCase());
+    } catch (err) {
+      setAuthError(err?.message || "Sign up failed. Please try again.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const fields = [
+    { key: "fullName", label: "Full name", icon: User, type: "text", placeholder: "Juan Dela Cruz" },
+    { key: "email", label: "Email", icon: Mail, type: "email", placeholder: "you@example.com" },
+    { key: "password", label: "Password", icon: Lock, type: "password", placeholder: "At least 8 characters" },
+    { key: "confirm", label: "Confirm password", icon: Lock, type: "password", placeholder: "Repeat password" },
+  ];
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      <button
+        onClick={() => nav(-1)}
+        aria-label="Back"
+        className="absolute left-6 top-6 grid h-10 w-10 place-items-center rounded-xl hover:bg-black/5 transition"
+      >
+        <ArrowLeft className="h-5 w-5" style={{ color: BRAND.muted }} />
+      </button>
+
+      <div className="mx-auto max-w-lg px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Parents &amp; Guardians
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-lg px-6 pb-14 pt-6">
+        <motion.form
+          onSubmit={onSubmit}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.25 }}
+          className="rounded-[28px] bg-white p-6 lg:p-8"
+          style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+        >
+          <div className="text-lg font-extrabold" style={{ color: BRAND.brown }}>
+            Create a guardian account
+          </div>
+          <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+            After signing in, link your child with their student number, LRN and birthdate. The registrar approves each
+            link before you can see their records.
+          </div>
+
+          {sentTo ? (
+            <div className="mt-5 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm font-semibold text-emerald-800">
+              We sent a confirmation link to {sentTo}. Open it, then sign in from the login page.
+            </div>
+          ) : (
+            <>
+              <div className="mt-5 space-y-3">
+                {fields.map((f) => (
+                  <div key={f.key}>
+                    <div className="mb-1 text-xs font-semibold" style={{ color: BRAND.muted }}>
+                      {f.label}
+                    </div>
+                    <div className="relative">
+                      <f.icon className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} />
+                      <input
+                        type={f.type}
+                        value={form[f.key]}
+                        onChange={(e) => set(f.key, e.target.value)}
+                        placeholder={f.placeholder}
+                        autoComplete={f.type === "password" ? "new-password" : undefined}
+                        className="w-full rounded-xl pl-11 pr-4 py-3 text-sm outline-none transition"
+                        style={{ background: "rgba(251,246,239,0.6)", border: "1px solid rgba(43,26,18,0.22)" }}
+                      />
+                    </div>
+                    {errors[f.key] ? <div className="mt-1 text-xs font-semibold text-red-700">{errors[f.key]}</div> : null}
+                  </div>
+                ))}
+              </div>
+
+              {authError ? (
+                <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">
+                  {authError}
+                </div>
+              ) : null}
+
+              <button
+                type="submit"
+                disabled={loading}
+                className="mt-5 inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition disabled:opacity-65"
+                style={{ background: BRAND.gold, color: BRAND.brown, boxShadow: "0 10px 18px rgba(212,166,47,0.28)" }}
+              >
+                <UserPlus className="h-4 w-4" />
+                {loading ? "Creating account…" : "Create account"}
+              </button>
+            </>
+          )}
+
+          <div className="mt-4 text-center text-xs" style={{ color: BRAND.muted }}>
+            Already have an account?{" "}
+            <Link to="/login" className="font-semibold hover:underline" style={{ color: BRAND.link }}>
+              Sign in
+            </Link>
+          </div>
+        </motion.form>
+      </div>
+    </div>
+  );
+}
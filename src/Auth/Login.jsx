@@ -6,6 +6,7 @@ import { ArrowLeft, Mail, Lock, Eye, EyeOff, GraduationCap } from "lucide-react"
 
 import logo from "../assets/grabsum-logo.png";
 import { supabase } from "../lib/supabaseClient";
+import { MFA_SETUP_PATH, MFA_VERIFY_PATH, mfaStep, requiresMfa } from "../lib/mfa";
 
 const BRAND = {
   bg: "#fbf6ef",
@@ -37,6 +38,7 @@ function routeForRole(role) {
   if (r === "admin") return "/admin";
   if (r === "teacher") return "/teacher/dashboard";
   if (r === "student") return "/student/dashboard";
+  if (r === "guardian") return "/guardian/dashboard";
   if (r === "super_admin") return "/admin";
   if (r === "dev") return "/dev";
   return "/login";
@@ -76,7 +78,8 @@ export default function Login() {
       throw new Error("Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env");
     }
 
-    const res = await fetch(`${SUPABASE_URL}/functions/v1/super-api`, {
+    // student-login throttles repeated failures and checks the password itself (no super-api hop)
+    const res = await fetch(`${SUPABASE_URL}/functions/v1/student-login`, {
       method: "POST",
       headers: {
         "Content-Type": "application/json",
@@ -84,7 +87,6 @@ export default function Login() {
         Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
       },
       body: JSON.stringify({
-        action: "login_student",
         student_number: studentNumber,
         password,
       }),
@@ -253,6 +255,16 @@ export default function Login() {
       }
 
       const role = (profile.role || "").toLowerCase();
+
+      // Admin / super_admin / dev: second factor before anything else.
+      if (requiresMfa(role)) {
+        const step = await mfaStep();
+        nav(step === "ok" ? routeForRole(role) : step === "verify" ? MFA_VERIFY_PATH : MFA_SETUP_PATH, {
+          replace: true,
+        });
+        return;
+      }
+
       if (role === "student" && profile.must_change_password) {
         nav("/student/change-password", { replace: true });
         return;
@@ -503,6 +515,12 @@ export default function Login() {
                       {errors.pw}
                     </div>
                   ) : null}
+
+                  <div className="mt-2 text-right text-xs">
+                    <Link to="/forgot-password" className="font-semibold hover:underline" style={{ color: BRAND.link }}>
+                      Forgot password?
+                    </Link>
+                  </div>
                 </div>
 
                 {/* Actions */}
@@ -536,6 +554,20 @@ export default function Login() {
                   </Link>
                 </div>
 
+                <div className="mt-2 text-center text-sm" style={{ color: BRAND.muted }}>
+                  Already applied?{" "}
+                  <Link to="/application-status" className="hover:underline" style={{ color: BRAND.link }}>
+                    Check your application status
+                  </Link>
+                </div>
+
+                <div className="mt-2 text-center text-sm" style={{ color: BRAND.muted }}>
+                  Parent or guardian?{" "}
+                  <Link to="/guardian-signup" className="hover:underline" style={{ color: BRAND.link }}>
+                    Create a guardian account
+                  </Link>
+                </div>
+
                 <div className="mt-3 text-center text-xs" style={{ color: "rgba(43,26,18,0.45)" }}>
                   By signing in, you agree to follow the school portal policies.
                 </div>
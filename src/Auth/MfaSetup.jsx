@@ -0,0 +1,341 @@
+// src/Auth/MfaSetup.jsx
+import React, { useEffect, useState } from "react";
+import { useLocation, useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, Copy, Download, KeyRound, RefreshCcw, ShieldCheck, Smartphone } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import { supabase } from "../lib/supabaseClient";
+import { downloadText } from "../lib/enrollmentImport";
+import {
+  MFA_VERIFY_PATH,
+  generateRecoveryCodes,
+  mfaHomeForRole,
+  mfaStep,
+  recoveryCodesLeft,
+  recoveryCodesText,
+  removeTotp,
+  requiresMfa,
+  startTotpEnrollment,
+  verifiedFactor,
+  verifyTotp,
+} from "../lib/mfa";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+};
+
+const card = "rounded-[28px] bg-white p-6 lg:p-8";
+const cardStyle = { border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" };
+const goldBtn =
+  "inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition disabled:opacity-65";
+const goldStyle = { background: BRAND.gold, color: BRAND.brown, boxShadow: "0 10px 18px rgba(212,166,47,0.28)" };
+const ghostBtn =
+  "inline-flex items-center justify-center gap-2 rounded-2xl border px-4 py-2 text-sm font-semibold transition hover:bg-black/5 disabled:opacity-60";
+
+/**
+ * Authenticator enrollment (forced for privileged roles without a factor), recovery codes,
+ * and replacing the authenticator once signed in with both factors.
+ */
+export default function MfaSetup() {
+  const nav = useNavigate();
+  const location = useLocation();
+  const recovered = location.state?.recovered === true;
+
+  const [phase, setPhase] = useState("loading"); // loading | enroll | codes | manage
+  const [me, setMe] = useState({ role: "", email: "" });
+  const [enrollment, setEnrollment] = useState(null); // { factorId, qr, secret }
+  const [factor, setFactor] = useState(null);
+  const [codesLeft, setCodesLeft] = useState(null);
+  const [codes, setCodes] = useState([]);
+  const [saved, setSaved] = useState(false);
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+
+    async function load() {
+      try {
+        const { data: sessionData } = await supabase.auth.getSession();
+        const user = sessionData?.session?.user;
+        if (!user) return nav("/login", { replace: true });
+
+        const { data: prof } = await supabase.from("profiles").select("role, email").eq("user_id", user.id).maybeSingle();
+        const role = String(prof?.role || "").toLowerCase();
+        if (!requiresMfa(role)) return nav("/login", { replace: true });
+        if (alive) setMe({ role, email: prof?.email || user.email || "" });
+
+        const step = await mfaStep();
+        if (step === "verify") return nav(MFA_VERIFY_PATH, { replace: true });
+
+        if (step === "enroll") {
+          const started = await startTotpEnrollment();
+          if (!alive) return;
+          setEnrollment(started);
+          setPhase("enroll");
+          return;
+        }
+
+        const [f, left] = await Promise.all([verifiedFactor(), recoveryCodesLeft()]);
+        if (!alive) return;
+        setFactor(f);
+        setCodesLeft(left);
+        setPhase("manage");
+      } catch (e) {
+        if (alive) setError(e?.message || "Could not load two-step sign-in settings.");
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [nav]);
+
+  async function run(fn) {
+    setBusy(true);
+    setError("");
+    try {
+      await fn();
+    } catch (e) {
+      setError(e?.message || "Something went wrong. Please try again.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function onVerify(e) {
+    e.preventDefault();
+    run(async () => {
+      await verifyTotp(enrollment.factorId, code);
+      setCodes(await generateRecoveryCodes());
+      setSaved(false);
+      setPhase("codes");
+    });
+  }
+
+  function onNewCodes() {
+    run(async () => {
+      setCodes(await generateRecoveryCodes());
+      setSaved(false);
+      setPhase("codes");
+    });
+  }
+
+  function onReplace() {
+    run(async () => {
+      if (factor?.id) await removeTotp(factor.id);
+      await supabase.auth.refreshSession();
+      setEnrollment(await startTotpEnrollment());
+      setFactor(null);
+      setCode("");
+      setPhase("enroll");
+    });
+  }
+
+  async function onCopy() {
+    try {
+      await navigator.clipboard.writeText(codes.join("\n"));
+    } catch {
+      setError("Copy failed. Download the codes instead.");
+    }
+  }
+
+  const home = mfaHomeForRole(me.role);
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      {phase === "manage" ? (
+        <button
+          onClick={() => nav(home)}
+          aria-label="Back"
+          className="absolute left-6 top-6 grid h-10 w-10 place-items-center rounded-xl hover:bg-black/5 transition"
+        >
+          <ArrowLeft className="h-5 w-5" style={{ color: BRAND.muted }} />
+        </button>
+      ) : null}
+
+      <div className="mx-auto max-w-lg px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Two-step sign-in
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-lg space-y-4 px-6 pb-14 pt-6">
+        {error ? (
+          <div className="rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">{error}</div>
+        ) : null}
+
+        {phase === "loading" && !error ? (
+          <div className={card} style={cardStyle}>
+            <div className="text-sm" style={{ color: BRAND.muted }}>
+              Checking your account…
+            </div>
+          </div>
+        ) : null}
+
+        {phase === "enroll" && enrollment ? (
+          <motion.form
+            onSubmit={onVerify}
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.25 }}
+            className={card}
+            style={cardStyle}
+          >
+            {recovered ? (
+              <div className="mb-4 rounded-2xl border border-emerald-200 bg-emerald-50 px-4 py-3 text-sm font-semibold text-emerald-800">
+                Recovery code accepted. Set up your new device to finish signing in.
+              </div>
+            ) : null}
+
+            <div className="flex items-center gap-2 text-lg font-extrabold" style={{ color: BRAND.brown }}>
+              <Smartphone className="h-5 w-5" style={{ color: BRAND.gold }} />
+              Set up an authenticator app
+            </div>
+            <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+              Admin and developer accounts need a second sign-in step. Scan the code with Google Authenticator,
+              Microsoft Authenticator, 1Password or a similar app, then enter the 6-digit code it shows.
+            </div>
+
+            <div className="mt-5 flex justify-center">
+              <img
+                src={enrollment.qr}
+                alt="Authenticator QR code"
+                className="h-48 w-48 rounded-2xl bg-white p-2"
+                style={{ border: `1px solid ${BRAND.stroke}` }}
+              />
+            </div>
+            <div className="mt-3 text-center text-xs" style={{ color: BRAND.muted }}>
+              Can&apos;t scan? Enter this key manually:
+              <div className="mt-1 break-all font-mono text-sm font-semibold" style={{ color: BRAND.brown }}>
+                {enrollment.secret}
+              </div>
+            </div>
+
+            <input
+              value={code}
+              onChange={(e) => setCode(e.target.value.replace(/\D/g, "").slice(0, 6))}
+              placeholder="123456"
+              inputMode="numeric"
+              autoComplete="one-time-code"
+              className="mt-5 w-full rounded-xl px-4 py-3 text-center text-sm font-mono tracking-widest outline-none transition"
+              style={{ background: "rgba(251,246,239,0.6)", border: "1px solid rgba(43,26,18,0.22)" }}
+            />
+
+            <button type="submit" disabled={busy || code.length !== 6} className={`${goldBtn} mt-5`} style={goldStyle}>
+              <ShieldCheck className="h-4 w-4" />
+              {busy ? "Verifying…" : "Verify and continue"}
+            </button>
+          </motion.form>
+        ) : null}
+
+        {phase === "codes" ? (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.25 }}
+            className={card}
+            style={cardStyle}
+          >
+            <div className="flex items-center gap-2 text-lg font-extrabold" style={{ color: BRAND.brown }}>
+              <KeyRound className="h-5 w-5" style={{ color: BRAND.gold }} />
+              Save your recovery codes
+            </div>
+            <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+              If you lose your phone, each code signs you in once. They are shown only now; older codes no longer work.
+            </div>
+
+            <div
+              className="mt-5 grid grid-cols-2 gap-2 rounded-2xl p-4 font-mono text-sm font-semibold"
+              style={{ background: "rgba(251,246,239,0.7)", border: `1px solid ${BRAND.stroke}`, color: BRAND.brown }}
+            >
+              {codes.map((c) => (
+                <div key={c}>{c}</div>
+              ))}
+            </div>
+
+            <div className="mt-3 flex flex-wrap gap-2">
+              <button type="button" onClick={onCopy} className={ghostBtn} style={{ borderColor: BRAND.stroke, color: BRAND.brown }}>
+                <Copy className="h-4 w-4" />
+                Copy
+              </button>
+              <button
+                type="button"
+                onClick={() => downloadText("grabsum-recovery-codes.txt", recoveryCodesText(codes, me.email), "text/plain;charset=utf-8")}
+                className={ghostBtn}
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+              >
+                <Download className="h-4 w-4" />
+                Download .txt
+              </button>
+            </div>
+
+            <label className="mt-5 flex items-center gap-2 text-sm font-semibold" style={{ color: BRAND.brown }}>
+              <input type="checkbox" checked={saved} onChange={(e) => setSaved(e.target.checked)} />
+              I saved these codes somewhere safe
+            </label>
+
+            <button type="button" disabled={!saved} onClick={() => nav(home, { replace: true })} className={`${goldBtn} mt-5`} style={goldStyle}>
+              Continue to the portal
+            </button>
+          </motion.div>
+        ) : null}
+
+        {phase === "manage" ? (
+          <motion.div
+            initial={{ opacity: 0, y: 10 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.25 }}
+            className={card}
+            style={cardStyle}
+          >
+            <div className="flex items-center gap-2 text-lg font-extrabold" style={{ color: BRAND.brown }}>
+              <ShieldCheck className="h-5 w-5" style={{ color: BRAND.gold }} />
+              Two-step sign-in is on
+            </div>
+            <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+              {factor?.friendly_name || "Authenticator app"}
+              {factor?.created_at ? ` • added ${new Date(factor.created_at).toLocaleDateString()}` : ""}
+            </div>
+            <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+              Recovery codes left: <span className="font-extrabold" style={{ color: BRAND.brown }}>{codesLeft ?? "—"}</span>
+            </div>
+
+            <div className="mt-5 flex flex-wrap gap-2">
+              <button
+                type="button"
+                onClick={onNewCodes}
+                disabled={busy}
+                className={ghostBtn}
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+              >
+                <RefreshCcw className="h-4 w-4" />
+                New recovery codes
+              </button>
+              <button
+                type="button"
+                onClick={onReplace}
+                disabled={busy}
+                className={ghostBtn}
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+              >
+                <Smartphone className="h-4 w-4" />
+                Move to a new phone
+              </button>
+            </div>
+          </motion.div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,193 @@
+// src/Auth/MfaVerify.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { motion } from "framer-motion";
+import { KeyRound, LogOut, ShieldCheck, Smartphone } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import { supabase } from "../lib/supabaseClient";
+import {
+  MFA_SETUP_PATH,
+  mfaHomeForRole,
+  mfaStep,
+  redeemRecoveryCode,
+  requiresMfa,
+  verifiedFactor,
+  verifyTotp,
+} from "../lib/mfa";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+  link: "#d4a62f",
+};
+
+/** Second sign-in step for privileged roles: authenticator code, or a one-time recovery code. */
+export default function MfaVerify() {
+  const nav = useNavigate();
+
+  const [ctx, setCtx] = useState({ loading: true, role: "", email: "", factorId: "" });
+  const [mode, setMode] = useState("totp"); // totp | recovery
+  const [code, setCode] = useState("");
+  const [busy, setBusy] = useState(false);
+  const [error, setError] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+
+    async function load() {
+      try {
+        const { data: sessionData } = await supabase.auth.getSession();
+        const user = sessionData?.session?.user;
+        if (!user) return nav("/login", { replace: true });
+
+        const { data: prof } = await supabase.from("profiles").select("role, email").eq("user_id", user.id).maybeSingle();
+        const role = String(prof?.role || "").toLowerCase();
+        if (!requiresMfa(role)) return nav("/login", { replace: true });
+
+        const step = await mfaStep();
+        if (step === "ok") return nav(mfaHomeForRole(role), { replace: true });
+        if (step === "enroll") return nav(MFA_SETUP_PATH, { replace: true });
+
+        const factor = await verifiedFactor();
+        if (alive) setCtx({ loading: false, role, email: prof?.email || user.email || "", factorId: factor?.id || "" });
+      } catch (e) {
+        if (alive) {
+          setCtx((c) => ({ ...c, loading: false }));
+          setError(e?.message || "Could not load your sign-in status.");
+        }
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [nav]);
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (!code.trim()) return;
+
+    setBusy(true);
+    setError("");
+    try {
+      if (mode === "totp") {
+        await verifyTotp(ctx.factorId, code);
+        nav(mfaHomeForRole(ctx.role), { replace: true });
+        return;
+      }
+
+      const ok = await redeemRecoveryCode(code);
+      if (!ok) {
+        setError("That recovery code is not valid or was already used.");
+        return;
+      }
+      // The authenticator was removed server-side; refresh so the session sees it.
+      await supabase.auth.refreshSession();
+      nav(MFA_SETUP_PATH, { replace: true, state: { recovered: true } });
+    } catch (err) {
+      setError(err?.message || "Verification failed.");
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function onSignOut() {
+    await supabase.auth.signOut();
+    nav("/login", { replace: true });
+  }
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      <div className="mx-auto max-w-lg px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Two-step sign-in
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-lg px-6 pb-14 pt-6">
+        <motion.form
+          onSubmit={onSubmit}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.25 }}
+          className="rounded-[28px] bg-white p-6 lg:p-8"
+          style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+        >
+          <div className="flex items-center gap-2 text-lg font-extrabold" style={{ color: BRAND.brown }}>
+            <ShieldCheck className="h-5 w-5" style={{ color: BRAND.gold }} />
+            {mode === "totp" ? "Enter your authenticator code" : "Use a recovery code"}
+          </div>
+          <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+            {ctx.loading
+              ? "Checking your account…"
+              : mode === "totp"
+              ? `Open your authenticator app and enter the 6-digit code for ${ctx.email || "your account"}.`
+              : "A recovery code signs you in once and removes the old authenticator, so you will set up a new one next."}
+          </div>
+
+          <div className="relative mt-5">
+            {mode === "totp" ? (
+              <Smartphone className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} />
+            ) : (
+              <KeyRound className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} />
+            )}
+            <input
+              value={code}
+              onChange={(e) =>
+                setCode(mode === "totp" ? e.target.value.replace(/\D/g, "").slice(0, 6) : e.target.value.toUpperCase())
+              }
+              placeholder={mode === "totp" ? "123456" : "XXXXX-XXXXX"}
+              inputMode={mode === "totp" ? "numeric" : "text"}
+              autoComplete="one-time-code"
+              autoFocus
+              disabled={ctx.loading}
+              className="w-full rounded-xl pl-11 pr-4 py-3 text-sm font-mono tracking-widest outline-none transition"
+              style={{ background: "rgba(251,246,239,0.6)", border: "1px solid rgba(43,26,18,0.22)" }}
+            />
+          </div>
+
+          {error ? (
+            <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">{error}</div>
+          ) : null}
+
+          <button
+            type="submit"
+            disabled={ctx.loading || busy || (mode === "totp" ? code.length !== 6 : !code.trim())}
+            className="mt-5 inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition disabled:opacity-65"
+            style={{ background: BRAND.gold, color: BRAND.brown, boxShadow: "0 10px 18px rgba(212,166,47,0.28)" }}
+          >
+            <ShieldCheck className="h-4 w-4" />
+            {busy ? "Verifying…" : "Verify"}
+          </button>
+
+          <div className="mt-4 flex items-center justify-between text-xs" style={{ color: BRAND.muted }}>
+            <button
+              type="button"
+              onClick={() => {
+                setMode((m) => (m === "totp" ? "recovery" : "totp"));
+                setCode("");
+                setError("");
+              }}
+              className="font-semibold hover:underline"
+              style={{ color: BRAND.link }}
+            >
+              {mode === "totp" ? "Lost your device? Use a recovery code" : "Use the authenticator app instead"}
+            </button>
+            <button type="button" onClick={onSignOut} className="inline-flex items-center gap-1 font-semibold hover:underline">
+              <LogOut className="h-3.5 w-3.5" />
+              Sign out
+            </button>
+          </div>
+        </motion.form>
+      </div>
+    </div>
+  );
+}
@@ -17,9 +17,13 @@ import {
   Hash,
   X,
   AlertCircle,
+  Paperclip,
+  Search,
 } from "lucide-react";
 
 import { supabase } from "../lib/supabaseClient";
+import { onlyDigits, isEmail, isLRN } from "../lib/validators";
+import { fetchRequirements, submitApplicantDocuments } from "../lib/enrollmentRequirements";
 import logo from "../assets/grabsum-logo.png";
 import html2canvas from "html2canvas";
 import jsPDF from "jspdf";
@@ -44,15 +48,8 @@ const DEFAULT_REQUIREMENTS = [
   "Good Moral Certificate",
 ];
 
-function onlyDigits(v) {
-  return String(v || "").replace(/[^0-9]/g, "");
-}
-function isEmail(v) {
-  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || "").trim());
-}
-function isLRN(v) {
-  return onlyDigits(v).length === 12;
-}
+const MAX_DOCUMENT_MB = 5;
+
 function formatDateTime(iso) {
   if (!iso) return "";
   const d = new Date(iso);
@@ -111,7 +108,8 @@ export default function PreEnroll() {
     { id: 1, title: "Basic Information" },
     { id: 2, title: "Family Information" },
     { id: 3, title: "Academic Information" },
-    { id: 4, title: "Review & Submit" },
+    { id: 4, title: "Requirements" },
+    { id: 5, title: "Review & Submit" },
   ];
   const [step, setStep] = useState(1);
 
@@ -157,6 +155,10 @@ export default function PreEnroll() {
 
   const [agreed, setAgreed] = useState(false);
 
+  // Requirements checklist (enrollment_requirements) + picked files by requirement code
+  const [requirements, setRequirements] = useState([]);
+  const [docFiles, setDocFiles] = useState({});
+
   /* =========================================================
      UI state
   ========================================================= */
@@ -239,6 +241,14 @@ export default function PreEnroll() {
       } finally {
         if (alive) setLookupLoading(false);
       }
+
+      // Checklist is optional: without it applicants just bring the default list on-site.
+      try {
+        const reqs = await fetchRequirements({ activeOnly: true });
+        if (alive) setRequirements(reqs);
+      } catch {
+        if (alive) setRequirements([]);
+      }
     })();
 
     return () => {
@@ -313,7 +323,19 @@ export default function PreEnroll() {
     return e;
   }, [gradeId, trackId, strandId]);
 
+  // Uploads are optional (missing ones mark the application "Incomplete"), but a picked file must be usable.
   const errorsStep4 = useMemo(() => {
+    const e = {};
+    Object.entries(docFiles).forEach(([code, file]) => {
+      if (!file) return;
+      const okType = String(file.type).startsWith("image/") || file.type === "application/pdf";
+      if (!okType) e[code] = "Upload a PDF or an image.";
+      else if (file.size > MAX_DOCUMENT_MB * 1024 * 1024) e[code] = `File must be ${MAX_DOCUMENT_MB} MB or smaller.`;
+    });
+    return e;
+  }, [docFiles]);
+
+  const errorsStep5 = useMemo(() => {
     const e = {};
     if (!agreed) e.agreed = "You must agree to the Terms & Conditions.";
     return e;
@@ -324,6 +346,7 @@ export default function PreEnroll() {
     if (s === 2) return Object.keys(errorsStep2).length === 0;
     if (s === 3) return Object.keys(errorsStep3).length === 0;
     if (s === 4) return Object.keys(errorsStep4).length === 0;
+    if (s === 5) return Object.keys(errorsStep5).length === 0;
     return false;
   };
 
@@ -337,7 +360,8 @@ export default function PreEnroll() {
   /* =========================================================
      Submit via Edge Function
   ========================================================= */
-  const canSubmit = stepIsComplete(1) && stepIsComplete(2) && stepIsComplete(3) && stepIsComplete(4) && !loading;
+  const canSubmit =
+    stepIsComplete(1) && stepIsComplete(2) && stepIsComplete(3) && stepIsComplete(4) && stepIsComplete(5) && !loading;
 
   async function onSubmit(e) {
     e.preventDefault();
@@ -403,6 +427,20 @@ export default function PreEnroll() {
 
       const inserted = data?.data;
 
+      // Documents go up once the application exists; a failed upload doesn't undo the submission.
+      let documentsError = "";
+      if (requirements.length && inserted?.application_id) {
+        try {
+          await submitApplicantDocuments({
+            applicationId: inserted.application_id,
+            email: inserted.st_email || email.trim().toLowerCase(),
+            files: docFiles,
+          });
+        } catch (upErr) {
+          documentsError = upErr?.message || "Upload failed.";
+        }
+      }
+
       setReceipt({
         ...inserted,
         full_name: buildFullName({
@@ -411,7 +449,13 @@ export default function PreEnroll() {
           st_mi: inserted.st_mi,
           st_ext: inserted.st_ext,
         }),
-        requirements: DEFAULT_REQUIREMENTS,
+        requirements: requirements.length
+          ? [
+              DEFAULT_REQUIREMENTS[0],
+              ...requirements.map((r) => (docFiles[r.code] && !documentsError ? `${r.label} (uploaded — for verification)` : r.label)),
+            ]
+          : DEFAULT_REQUIREMENTS,
+        documents_error: documentsError,
         active_school_year: data?.active_school_year || null,
       });
 
@@ -621,7 +665,7 @@ export default function PreEnroll() {
                 className="rounded-2xl px-4 py-2 text-sm font-semibold"
                 style={{ background: "rgba(0,0,0,0.03)", border: `1px solid ${BRAND.stroke}`, color: BRAND.brown }}
               >
-                Step {step} of 4: {STEPS[step - 1]?.title}
+                Step {step} of {STEPS.length}: {STEPS[step - 1]?.title}
               </div>
             </div>
           ) : (
@@ -775,6 +819,14 @@ export default function PreEnroll() {
                               Download
                             </button>
 
+                            <Link
+                              to={`/application-status?code=${encodeURIComponent(receipt.application_id || "")}`}
+                              className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-white/80 px-3 py-2 text-sm font-semibold hover:bg-white"
+                            >
+                              <Search className="h-4 w-4 text-black/60" />
+                              Track
+                            </Link>
+
                             <button
                               onClick={printSlip}
                               className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-white/80 px-3 py-2 text-sm font-semibold hover:bg-white"
@@ -865,10 +917,16 @@ export default function PreEnroll() {
                                   <li key={r}>{r}</li>
                                 ))}
                               </ul>
+                              {receipt.documents_error ? (
+                                <div className="mt-2 text-xs font-semibold text-red-600">
+                                  Your documents could not be uploaded ({receipt.documents_error}). Please bring them on-site.
+                                </div>
+                              ) : null}
                             </div>
 
                             <div className="mt-3 text-xs" style={{ color: "rgba(43,26,18,0.55)" }}>
-                              Note: Keep your Application Code. Present it during on-site enrollment.
+                              Note: Keep your Application Code. Present it during on-site enrollment. You can track your application at{" "}
+                              {window.location.origin}/application-status.
                             </div>
                           </div>
                         </div>
@@ -1126,6 +1184,38 @@ export default function PreEnroll() {
 
                     {/* STEP 4 */}
                     {step === 4 ? (
+                      <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.18 }} className="space-y-4">
+                        <div
+                          className="rounded-2xl px-4 py-3 text-sm"
+                          style={{ background: "rgba(212,166,47,0.10)", border: `1px solid ${BRAND.stroke}`, color: BRAND.brown }}
+                        >
+                          <b>Optional:</b> Upload scans or photos now (PDF or image, up to {MAX_DOCUMENT_MB} MB each). Anything you skip stays
+                          "incomplete" until you bring it to the registrar.
+                        </div>
+
+                        {requirements.length === 0 ? (
+                          <div className="rounded-2xl px-4 py-3 text-sm" style={{ border: `1px solid ${BRAND.stroke}`, color: BRAND.muted }}>
+                            Online upload is not available right now. Bring the listed requirements during on-site enrollment.
+                          </div>
+                        ) : (
+                          <div className="space-y-3">
+                            {requirements.map((r) => (
+                              <FileField
+                                key={r.requirement_id}
+                                label={`${r.label}${r.is_required ? " *" : ""}`}
+                                helper={r.description}
+                                file={docFiles[r.code] || null}
+                                error={errorsStep4[r.code]}
+                                onChange={(file) => setDocFiles((p) => ({ ...p, [r.code]: file }))}
+                              />
+                            ))}
+                          </div>
+                        )}
+                      </motion.div>
+                    ) : null}
+
+                    {/* STEP 5 */}
+                    {step === 5 ? (
                       <motion.div initial={{ opacity: 0, y: 6 }} animate={{ opacity: 1, y: 0 }} transition={{ duration: 0.18 }} className="space-y-4">
                         <ReviewCard
                           title="Basic Information"
@@ -1167,6 +1257,14 @@ export default function PreEnroll() {
                           ]}
                         />
 
+                        {requirements.length ? (
+                          <ReviewCard
+                            title="Requirements"
+                            onEdit={() => setStep(4)}
+                            rows={requirements.map((r) => [r.label, docFiles[r.code]?.name || "Bring on-site"])}
+                          />
+                        ) : null}
+
                         <div className="pt-1">
                           <label className="inline-flex items-start gap-2 text-sm" style={{ color: BRAND.muted }}>
                             <input
@@ -1178,8 +1276,8 @@ export default function PreEnroll() {
                             />
                             <span>
                               I agree to the <span style={{ color: BRAND.link, fontWeight: 800 }}>Terms & Conditions</span>.
-                              {touched.agreed && errorsStep4.agreed ? (
-                                <span className="block mt-1 text-xs font-semibold text-red-500">{errorsStep4.agreed}</span>
+                              {touched.agreed && errorsStep5.agreed ? (
+                                <span className="block mt-1 text-xs font-semibold text-red-500">{errorsStep5.agreed}</span>
                               ) : null}
                             </span>
                           </label>
@@ -1207,7 +1305,7 @@ export default function PreEnroll() {
                       </button>
 
                       <div className="flex flex-col gap-3 sm:flex-row sm:items-center sm:justify-end">
-                        {step < 4 ? (
+                        {step < STEPS.length ? (
                           <button
                             type="button"
                             onClick={async () => {
@@ -1487,6 +1585,57 @@ function DateField({ label, icon: Icon, value, onChange }) {
   );
 }
 
+function FileField({ label, helper, file, error, onChange }) {
+  return (
+    <div className="rounded-2xl px-4 py-3" style={{ background: "rgba(251,246,239,0.6)", border: `1px solid ${error ? BRAND.danger : BRAND.stroke}` }}>
+      <div className="flex flex-col gap-2 sm:flex-row sm:items-center sm:justify-between">
+        <div className="min-w-0">
+          <div className="text-sm font-semibold" style={{ color: BRAND.brown }}>
+            {label}
+          </div>
+          {helper ? (
+            <div className="text-xs" style={{ color: BRAND.muted }}>
+              {helper}
+            </div>
+          ) : null}
+          {file ? (
+            <div className="mt-1 truncate text-xs font-bold" style={{ color: BRAND.brown }}>
+              {file.name}
+            </div>
+          ) : null}
+        </div>
+
+        <div className="flex items-center gap-2">
+          {file ? (
+            <button
+              type="button"
+              onClick={() => onChange(null)}
+              className="rounded-2xl px-3 py-2 text-xs font-bold border border-black/10 bg-white hover:bg-black/[0.03]"
+            >
+              Remove
+            </button>
+          ) : null}
+          <label className="inline-flex cursor-pointer items-center gap-2 rounded-2xl px-3 py-2 text-xs font-bold border border-black/10 bg-white hover:bg-black/[0.03]">
+            <Paperclip className="h-4 w-4" style={{ color: BRAND.muted }} />
+            {file ? "Replace" : "Choose file"}
+            <input
+              type="file"
+              accept="image/*,application/pdf"
+              className="hidden"
+              onChange={(e) => {
+                onChange(e.target.files?.[0] || null);
+                e.target.value = "";
+              }}
+            />
+          </label>
+        </div>
+      </div>
+
+      {error ? <div className="mt-2 text-xs font-semibold text-red-500">{error}</div> : null}
+    </div>
+  );
+}
+
 function ReviewCard({ title, rows, onEdit }) {
   return (
     <div className="rounded-3xl" style={{ background: "rgba(0,0,0,0.02)", border: `1px solid ${BRAND.stroke}` }}>
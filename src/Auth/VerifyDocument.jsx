@@ -0,0 +1,194 @@
+// src/Auth/VerifyDocument.jsx
+import React, { useEffect, useState } from "react";
+import { useNavigate, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { ArrowLeft, Hash, Search, ShieldCheck, ShieldAlert } from "lucide-react";
+
+import logo from "../assets/grabsum-logo.png";
+import { verifyDocument } from "../lib/transcript";
+
+const BRAND = {
+  bg: "#fbf6ef",
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+};
+
+const KIND_LABEL = { form137: "Form 137 · Permanent Academic Record" };
+
+function formatDate(iso) {
+  if (!iso) return "—";
+  const d = new Date(iso);
+  if (Number.isNaN(d.getTime())) return "—";
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "short", day: "2-digit" });
+}
+
+export default function VerifyDocument() {
+  const nav = useNavigate();
+  const [params] = useSearchParams();
+
+  const [documentId, setDocumentId] = useState(params.get("id") || "");
+  const [loading, setLoading] = useState(false);
+  const [error, setError] = useState("");
+  const [result, setResult] = useState(null);
+
+  async function lookup(id) {
+    if (!id.trim()) return;
+    setLoading(true);
+    setError("");
+    try {
+      const data = await verifyDocument(id);
+      setResult(data);
+      if (!data) setError("No document was issued under this ID. Check the ID printed at the bottom of the document.");
+    } catch (err) {
+      setResult(null);
+      setError(err?.message || "Verification failed.");
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  // Links printed on the PDF open this page with ?id= already filled in.
+  useEffect(() => {
+    const id = params.get("id");
+    if (id) lookup(id);
+  }, [params]);
+
+  function onSubmit(e) {
+    e.preventDefault();
+    lookup(documentId);
+  }
+
+  const years = result?.summary?.years ?? [];
+  const revoked = !!result?.revoked_at;
+
+  return (
+    <div className="min-h-screen font-[Nunito]" style={{ background: BRAND.bg }}>
+      <button
+        onClick={() => nav(-1)}
+        aria-label="Back"
+        className="absolute left-6 top-6 grid h-10 w-10 place-items-center rounded-xl hover:bg-black/5 transition"
+      >
+        <ArrowLeft className="h-5 w-5" style={{ color: BRAND.muted }} />
+      </button>
+
+      <div className="mx-auto max-w-3xl px-6 pt-10">
+        <div className="flex items-center gap-3">
+          <img src={logo} alt="Grabsum School logo" className="h-10 w-10 rounded-full object-contain" draggable="false" />
+          <div className="text-2xl font-extrabold" style={{ color: BRAND.brown }}>
+            Grabsum School Inc. • Document Verification
+          </div>
+        </div>
+      </div>
+
+      <div className="mx-auto max-w-3xl space-y-5 px-6 pb-14 pt-6">
+        <motion.form
+          onSubmit={onSubmit}
+          initial={{ opacity: 0, y: 10 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.25 }}
+          className="rounded-[28px] bg-white p-6 lg:p-8"
+          style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+        >
+          <div className="text-lg font-extrabold" style={{ color: BRAND.brown }}>
+            Verify a school record
+          </div>
+          <div className="mt-1 text-sm" style={{ color: BRAND.muted }}>
+            Enter the Document ID printed at the bottom of the record.
+          </div>
+
+          <div className="relative mt-5">
+            <Hash className="absolute left-4 top-1/2 -translate-y-1/2 h-4 w-4" style={{ color: BRAND.muted }} />
+            <input
+              value={documentId}
+              onChange={(e) => setDocumentId(e.target.value)}
+              placeholder="F137-XXXXXXXXXXXX"
+              className="w-full rounded-xl pl-11 pr-4 py-3 text-sm font-mono outline-none transition"
+              style={{ background: "rgba(251,246,239,0.6)", border: "1px solid rgba(43,26,18,0.22)" }}
+            />
+          </div>
+
+          {error ? (
+            <div className="mt-4 rounded-2xl border border-red-200 bg-red-50 px-4 py-3 text-sm font-semibold text-red-700">{error}</div>
+          ) : null}
+
+          <button
+            type="submit"
+            disabled={!documentId.trim() || loading}
+            className="mt-5 inline-flex w-full items-center justify-center gap-2 rounded-2xl py-3 text-sm font-semibold transition disabled:opacity-65"
+            style={{ background: BRAND.gold, color: BRAND.brown, boxShadow: "0 10px 18px rgba(212,166,47,0.28)" }}
+          >
+            <Search className="h-4 w-4" />
+            {loading ? "Checking…" : "Verify"}
+          </button>
+        </motion.form>
+
+        {result ? (
+          <motion.div
+            initial={{ opacity: 0, y: 8 }}
+            animate={{ opacity: 1, y: 0 }}
+            transition={{ duration: 0.2 }}
+            className="space-y-4 rounded-[28px] bg-white p-6 lg:p-8"
+            style={{ border: `1px solid ${BRAND.stroke}`, boxShadow: "0 14px 34px rgba(43,26,18,0.12)" }}
+          >
+            <div
+              className={`flex items-start gap-3 rounded-2xl px-4 py-3 text-sm font-semibold ${
+                revoked ? "border border-red-200 bg-red-50 text-red-700" : "border border-emerald-200 bg-emerald-50 text-emerald-800"
+              }`}
+            >
+              {revoked ? <ShieldAlert className="mt-0.5 h-5 w-5" /> : <ShieldCheck className="mt-0.5 h-5 w-5" />}
+              <div>
+                {revoked
+                  ? `This document was revoked on ${formatDate(result.revoked_at)}${result.revoke_reason ? `: ${result.revoke_reason}` : "."}`
+                  : "This document was issued by the school registrar. Compare the details below with the paper copy."}
+              </div>
+            </div>
+
+            <div>
+              <div className="text-xs font-mono" style={{ color: BRAND.muted }}>
+                {result.document_id}
+              </div>
+              <div className="text-xl font-extrabold" style={{ color: BRAND.brown }}>
+                {result.student_name}
+              </div>
+              <div className="mt-1 text-xs" style={{ color: BRAND.muted }}>
+                {KIND_LABEL[result.kind] || result.kind} • Student No. {result.student_number || "—"}
+                {result.summary?.lrn ? ` • LRN ${result.summary.lrn}` : ""} • Issued {formatDate(result.issued_at)}
+              </div>
+            </div>
+
+            {years.length ? (
+              <div className="overflow-hidden rounded-2xl" style={{ border: `1px solid ${BRAND.stroke}` }}>
+                <table className="w-full text-left text-sm">
+                  <thead className="text-xs" style={{ color: BRAND.muted, background: "rgba(251,246,239,0.7)" }}>
+                    <tr>
+                      <th className="px-4 py-2 font-semibold">School Year</th>
+                      <th className="px-4 py-2 font-semibold">Grade</th>
+                      <th className="px-4 py-2 font-semibold">Section</th>
+                      <th className="px-4 py-2 font-semibold">General Average</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {years.map((y) => (
+                      <tr key={y.sy_code} style={{ borderTop: `1px solid ${BRAND.stroke}`, color: BRAND.brown }}>
+                        <td className="px-4 py-2 font-semibold">{y.sy_code}</td>
+                        <td className="px-4 py-2">{y.grade_level ?? "—"}</td>
+                        <td className="px-4 py-2">{y.section_name || "—"}</td>
+                        <td className="px-4 py-2">{y.average ?? "—"}</td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            ) : null}
+
+            <div className="text-xs font-mono break-all" style={{ color: BRAND.muted }}>
+              SHA-256 {result.content_hash}
+            </div>
+          </motion.div>
+        ) : null}
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,138 @@
+import React, { useMemo, useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { motion } from "framer-motion";
+import { Megaphone, AlertTriangle, Clock, RefreshCcw } from "lucide-react";
+
+import { childName, fetchChildAnnouncements } from "../lib/guardian";
+import NoLinkedStudent from "./NoLinkedStudent";
+
+function tone(priority) {
+  if (priority === "High") return "border-rose-200 bg-rose-50 text-rose-900";
+  if (priority === "Low") return "border-slate-200 bg-slate-50 text-slate-900";
+  return "border-amber-200 bg-amber-50 text-amber-900";
+}
+
+export default function GuardianAnnouncements() {
+  const { child, linksLoading } = useOutletContext();
+  const studentId = child?.student_id;
+
+  const [q, setQ] = useState("");
+  const [prio, setPrio] = useState("all");
+
+  const annQ = useQuery({
+    queryKey: ["guardian_announcements", studentId],
+    queryFn: () => fetchChildAnnouncements(studentId),
+    enabled: !!studentId,
+  });
+  const items = useMemo(() => annQ.data ?? [], [annQ.data]);
+  const loading = annQ.isLoading;
+  const errMsg = annQ.error ? String(annQ.error.message || annQ.error) : "";
+
+  const filtered = useMemo(() => {
+    const qq = q.trim().toLowerCase();
+    return items
+      .filter((x) => (prio === "all" ? true : x.priority === prio))
+      .filter((x) => {
+        if (!qq) return true;
+        return String(x.title || "").toLowerCase().includes(qq) || String(x.content || "").toLowerCase().includes(qq);
+      });
+  }, [items, q, prio]);
+
+  if (!child) return <NoLinkedStudent loading={linksLoading} />;
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+              <Megaphone className="h-5 w-5 text-black/60" />
+              Announcements • {childName(child)}
+            </div>
+            <div className="text-xs font-semibold text-black/50">
+              What the school, the adviser and the subject teachers posted for this student.
+            </div>
+            {errMsg ? (
+              <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-800">
+                {errMsg}
+              </div>
+            ) : null}
+          </div>
+
+          <button
+            onClick={() => annQ.refetch()}
+            className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-xs font-semibold hover:bg-black/5"
+            type="button"
+          >
+            <RefreshCcw className="h-4 w-4" />
+            Refresh
+          </button>
+        </div>
+
+        <div className="mt-4 grid gap-2 md:grid-cols-[1fr_180px]">
+          <input
+            value={q}
+            onChange={(e) => setQ(e.target.value)}
+            placeholder="Search announcements…"
+            className="w-full rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-sm outline-none"
+          />
+          <select
+            value={prio}
+            onChange={(e) => setPrio(e.target.value)}
+            className="w-full rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-sm outline-none"
+          >
+            <option value="all">All priority</option>
+            <option value="High">High</option>
+            <option value="Medium">Medium</option>
+            <option value="Low">Low</option>
+          </select>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/60">Loading…</div>
+      ) : filtered.length === 0 ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/40">
+          No announcements found.
+        </div>
+      ) : (
+        <div className="space-y-3">
+          {filtered.map((a) => (
+            <motion.div
+              key={a.id}
+              initial={{ opacity: 0, y: 6 }}
+              animate={{ opacity: 1, y: 0 }}
+              transition={{ duration: 0.18 }}
+              className="rounded-2xl border border-black/10 bg-white p-4"
+            >
+              <div className="flex items-start justify-between gap-3">
+                <div>
+                  <div className="text-sm font-extrabold text-[#2b1a12]">{a.title}</div>
+                  <div className="mt-1 text-xs font-semibold text-black/50 flex flex-wrap items-center gap-x-3 gap-y-1">
+                    <span className="inline-flex items-center gap-2">
+                      <Clock className="h-3.5 w-3.5" />
+                      {a.posted_at ? new Date(a.posted_at).toLocaleString() : "—"}
+                    </span>
+                    <span className="text-black/40">•</span>
+                    <span className="text-black/60">
+                      Posted by: <span className="font-extrabold text-black/70">{a.poster_name || "—"}</span>
+                    </span>
+                  </div>
+                </div>
+
+                <span className={`rounded-full border px-3 py-1 text-[11px] font-extrabold ${tone(a.priority)}`}>
+                  {a.priority}
+                  {a.priority === "High" ? <AlertTriangle className="ml-1 inline h-3.5 w-3.5" /> : null}
+                </span>
+              </div>
+
+              <div className="mt-3 whitespace-pre-wrap text-sm text-black/70">{a.content}</div>
+              <div className="mt-3 text-[11px] font-semibold text-black/40">Audience: {a.target_audience}</div>
+            </motion.div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
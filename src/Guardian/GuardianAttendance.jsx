@@ -0,0 +1,143 @@
+import React, { useMemo, useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { ChevronLeft, ChevronRight, ClipboardCheck } from "lucide-react";
+
+import { ATTENDANCE_STATUSES, dailyStatus, monthRangeKeys, summarizeAttendance } from "../lib/attendance";
+import { childName, fetchChildAttendance } from "../lib/guardian";
+import NoLinkedStudent from "./NoLinkedStudent";
+
+const STATUS_TONE = {
+  Present: "border-emerald-200 bg-emerald-50 text-emerald-800",
+  Late: "border-amber-200 bg-amber-50 text-amber-900",
+  Absent: "border-rose-200 bg-rose-50 text-rose-800",
+  Excused: "border-slate-200 bg-slate-50 text-slate-800",
+};
+
+export default function GuardianAttendance() {
+  const { child, linksLoading } = useOutletContext();
+  const studentId = child?.student_id;
+
+  const [month, setMonth] = useState(() => {
+    const d = new Date();
+    return { year: d.getFullYear(), index: d.getMonth() };
+  });
+  const attendanceQ = useQuery({
+    queryKey: ["guardian_attendance", studentId, month.year, month.index],
+    queryFn: () => fetchChildAttendance(studentId, monthRangeKeys(month.year, month.index)),
+    enabled: !!studentId,
+  });
+  const records = useMemo(() => attendanceQ.data ?? [], [attendanceQ.data]);
+  const loading = attendanceQ.isLoading;
+  const errMsg = attendanceQ.error ? String(attendanceQ.error.message || attendanceQ.error) : "";
+
+  const summary = useMemo(() => summarizeAttendance(records).get(studentId) || null, [records, studentId]);
+
+  // One entry per school day: the collapsed daily status plus each period's mark.
+  const days = useMemo(() => {
+    const map = new Map();
+    for (const r of records) {
+      if (!map.has(r.attend_date)) map.set(r.attend_date, []);
+      map.get(r.attend_date).push(r);
+    }
+    return Array.from(map.entries())
+      .sort(([a], [b]) => (a < b ? 1 : -1))
+      .map(([date, marks]) => ({ date, marks, status: dailyStatus(marks.map((m) => m.status)) }));
+  }, [records]);
+
+  function shiftMonth(delta) {
+    setMonth((m) => {
+      const d = new Date(m.year, m.index + delta, 1);
+      return { year: d.getFullYear(), index: d.getMonth() };
+    });
+  }
+
+  if (!child) return <NoLinkedStudent loading={linksLoading} />;
+
+  const monthLabel = new Date(month.year, month.index, 1).toLocaleDateString(undefined, { month: "long", year: "numeric" });
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+              <ClipboardCheck className="h-5 w-5 text-black/60" />
+              Attendance • {childName(child)}
+            </div>
+            <div className="text-xs font-semibold text-black/50">Marks recorded by the subject teachers for each class period.</div>
+            {errMsg ? (
+              <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-800">
+                {errMsg}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <button
+              onClick={() => shiftMonth(-1)}
+              className="grid h-9 w-9 place-items-center rounded-2xl border border-black/10 bg-[#fafafa] hover:bg-black/5"
+              type="button"
+              aria-label="Previous month"
+            >
+              <ChevronLeft className="h-4 w-4" />
+            </button>
+            <div className="min-w-[140px] text-center text-sm font-extrabold text-[#2b1a12]">{monthLabel}</div>
+            <button
+              onClick={() => shiftMonth(1)}
+              className="grid h-9 w-9 place-items-center rounded-2xl border border-black/10 bg-[#fafafa] hover:bg-black/5"
+              type="button"
+              aria-label="Next month"
+            >
+              <ChevronRight className="h-4 w-4" />
+            </button>
+          </div>
+        </div>
+
+        <div className="mt-4 grid grid-cols-2 gap-2 md:grid-cols-4">
+          {ATTENDANCE_STATUSES.map((s) => (
+            <div key={s} className={`rounded-2xl border px-4 py-3 ${STATUS_TONE[s]}`}>
+              <div className="text-[11px] font-extrabold uppercase tracking-wide">{s}</div>
+              <div className="mt-1 text-xl font-black">{summary?.[s] ?? 0}</div>
+              <div className="text-[11px] font-semibold opacity-70">class periods</div>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/60">Loading…</div>
+      ) : !days.length ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/40">
+          No attendance recorded for {monthLabel}.
+        </div>
+      ) : (
+        <div className="space-y-2">
+          {days.map((d) => (
+            <div key={d.date} className="rounded-2xl border border-black/10 bg-white p-4">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-extrabold text-[#2b1a12]">
+                  {new Date(`${d.date}T00:00:00`).toLocaleDateString(undefined, { weekday: "short", month: "short", day: "numeric" })}
+                </div>
+                <span className={`rounded-full border px-3 py-1 text-[11px] font-extrabold ${STATUS_TONE[d.status] || ""}`}>
+                  {d.status}
+                </span>
+              </div>
+              <div className="mt-2 flex flex-wrap gap-2">
+                {d.marks.map((m) => (
+                  <span
+                    key={m.attendance_id}
+                    className={`rounded-xl border px-2 py-1 text-[11px] font-semibold ${STATUS_TONE[m.status] || ""}`}
+                    title={m.remarks || undefined}
+                  >
+                    {m.subjects?.subject_code || m.subjects?.subject_title || "Class"} • {m.status}
+                  </span>
+                ))}
+              </div>
+            </div>
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,179 @@
+import React, { useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Link2, RefreshCcw, UserRound } from "lucide-react";
+
+import { childName, GUARDIAN_RELATIONSHIPS, requestLink } from "../lib/guardian";
+import { isLRN } from "../lib/validators";
+
+function statusTone(status) {
+  if (status === "Active") return "border-emerald-200 bg-emerald-50 text-emerald-800";
+  if (status === "Revoked") return "border-rose-200 bg-rose-50 text-rose-800";
+  return "border-amber-200 bg-amber-50 text-amber-900";
+}
+
+const EMPTY_FORM = { studentNumber: "", lrn: "", bdate: "", relationship: "Guardian" };
+
+export default function GuardianDashboard() {
+  const { links, child, setChildId, reloadChildren, linksLoading } = useOutletContext();
+
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [saving, setSaving] = useState(false);
+  const [msg, setMsg] = useState({ tone: "", text: "" });
+
+  function set(key, value) {
+    setForm((f) => ({ ...f, [key]: value }));
+  }
+
+  async function onSubmit(e) {
+    e.preventDefault();
+    if (!form.studentNumber.trim()) return setMsg({ tone: "err", text: "Student number is required." });
+    if (!isLRN(form.lrn)) return setMsg({ tone: "err", text: "LRN must be 12 digits." });
+    if (!form.bdate) return setMsg({ tone: "err", text: "Birthdate is required." });
+
+    setSaving(true);
+    setMsg({ tone: "", text: "" });
+    try {
+      await requestLink(form);
+      setForm(EMPTY_FORM);
+      setMsg({ tone: "ok", text: "Request sent. The registrar will review it against the enrollment form." });
+      await reloadChildren();
+    } catch (err) {
+      setMsg({ tone: "err", text: String(err?.message || err) });
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const inputCls = "w-full rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-sm outline-none";
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+              <UserRound className="h-5 w-5 text-black/60" />
+              My students
+            </div>
+            <div className="text-xs font-semibold text-black/50">
+              Pick a student to see their schedule, announcements, attendance and grades.
+            </div>
+          </div>
+          <button
+            onClick={reloadChildren}
+            className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-xs font-semibold hover:bg-black/5"
+            type="button"
+          >
+            <RefreshCcw className="h-4 w-4" />
+            Refresh
+          </button>
+        </div>
+
+        {linksLoading ? (
+          <div className="mt-4 text-sm font-semibold text-black/60">Loading…</div>
+        ) : !links.length ? (
+          <div className="mt-4 text-sm font-semibold text-black/40">No students linked yet. Use the form below.</div>
+        ) : (
+          <div className="mt-4 grid gap-3 md:grid-cols-2">
+            {links.map((l) => {
+              const selected = l.status === "Active" && child?.student_id === l.student_id;
+              return (
+                <motion.button
+                  key={l.link_id}
+                  type="button"
+                  disabled={l.status !== "Active"}
+                  onClick={() => setChildId(l.student_id)}
+                  initial={{ opacity: 0, y: 6 }}
+                  animate={{ opacity: 1, y: 0 }}
+                  transition={{ duration: 0.18 }}
+                  className={`rounded-2xl border p-4 text-left transition ${
+                    selected ? "border-[#C9A227]/50 bg-[#C9A227]/10" : "border-black/10 bg-white hover:bg-black/[0.02]"
+                  } disabled:cursor-default`}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="text-sm font-extrabold text-[#2b1a12]">{childName(l)}</div>
+                      <div className="mt-0.5 text-xs font-semibold text-black/50">
+                        Student # {l.student_number || "—"}
+                        {l.relationship ? ` • ${l.relationship}` : ""}
+                      </div>
+                    </div>
+                    <span className={`rounded-full border px-3 py-1 text-[11px] font-extrabold ${statusTone(l.status)}`}>
+                      {l.status}
+                    </span>
+                  </div>
+
+                  {l.status === "Active" ? (
+                    <div className="mt-2 text-xs font-semibold text-black/60">
+                      SY {l.sy_code || "—"} • Grade {l.grade_level ?? "—"} • {l.strand_code || "—"} • {l.section_name || "No section yet"}
+                    </div>
+                  ) : l.status === "Pending" ? (
+                    <div className="mt-2 text-xs font-semibold text-black/50">
+                      Requested {l.requested_at ? new Date(l.requested_at).toLocaleDateString() : "—"} • waiting for the registrar.
+                    </div>
+                  ) : (
+                    <div className="mt-2 text-xs font-semibold text-rose-700">{l.review_note || "Access was revoked by the registrar."}</div>
+                  )}
+                </motion.button>
+              );
+            })}
+          </div>
+        )}
+      </div>
+
+      <form onSubmit={onSubmit} className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+          <Link2 className="h-5 w-5 text-black/60" />
+          Link a student
+        </div>
+        <div className="text-xs font-semibold text-black/50">
+          Use the student number from the school, plus the LRN and birthdate written on the enrollment form.
+        </div>
+
+        <div className="mt-4 grid gap-2 md:grid-cols-2">
+          <input
+            value={form.studentNumber}
+            onChange={(e) => set("studentNumber", e.target.value)}
+            placeholder="Student number"
+            className={inputCls}
+          />
+          <input
+            value={form.lrn}
+            onChange={(e) => set("lrn", e.target.value.replace(/\D/g, "").slice(0, 12))}
+            placeholder="LRN (12 digits)"
+            inputMode="numeric"
+            className={inputCls}
+          />
+          <input type="date" value={form.bdate} onChange={(e) => set("bdate", e.target.value)} className={inputCls} />
+          <select value={form.relationship} onChange={(e) => set("relationship", e.target.value)} className={inputCls}>
+            {GUARDIAN_RELATIONSHIPS.map((r) => (
+              <option key={r} value={r}>
+                {r}
+              </option>
+            ))}
+          </select>
+        </div>
+
+        {msg.text ? (
+          <div
+            className={`mt-3 rounded-xl border px-3 py-2 text-xs font-semibold ${
+              msg.tone === "ok" ? "border-emerald-200 bg-emerald-50 text-emerald-800" : "border-rose-200 bg-rose-50 text-rose-800"
+            }`}
+          >
+            {msg.text}
+          </div>
+        ) : null}
+
+        <button
+          type="submit"
+          disabled={saving}
+          className="mt-4 inline-flex items-center gap-2 rounded-2xl bg-[#d4a62f] px-4 py-2 text-xs font-extrabold text-[#2b1a12] disabled:opacity-60"
+        >
+          <Link2 className="h-4 w-4" />
+          {saving ? "Sending…" : "Request link"}
+        </button>
+      </form>
+    </div>
+  );
+}
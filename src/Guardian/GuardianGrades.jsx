@@ -0,0 +1,127 @@
+import React, { useMemo } from "react";
+import { useOutletContext } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { GraduationCap, RefreshCcw } from "lucide-react";
+
+import { childName, fetchChildGrades } from "../lib/guardian";
+import NoLinkedStudent from "./NoLinkedStudent";
+
+function average(list) {
+  const finals = list.map((r) => Number(r.final_grade)).filter((n) => Number.isFinite(n) && n > 0);
+  if (!finals.length) return null;
+  return Math.round((finals.reduce((a, b) => a + b, 0) / finals.length) * 100) / 100;
+}
+
+export default function GuardianGrades() {
+  const { child, linksLoading } = useOutletContext();
+  const studentId = child?.student_id;
+
+  const gradesQ = useQuery({
+    queryKey: ["guardian_grades", studentId],
+    queryFn: () => fetchChildGrades(studentId),
+    enabled: !!studentId,
+  });
+  const records = useMemo(() => gradesQ.data ?? [], [gradesQ.data]);
+  const loading = gradesQ.isLoading;
+  const errMsg = gradesQ.error ? String(gradesQ.error.message || gradesQ.error) : "";
+
+  // Newest school year / term first.
+  const groups = useMemo(() => {
+    const map = new Map();
+    for (const r of records) {
+      const key = `${r.sy_id}|${r.term_id}`;
+      if (!map.has(key)) {
+        map.set(key, { key, sy_code: r.school_years?.sy_code || "—", term_code: r.terms?.term_code || "—", rows: [] });
+      }
+      map.get(key).rows.push(r);
+    }
+    const list = Array.from(map.values());
+    list.forEach((g) =>
+      g.rows.sort((a, b) => String(a.subjects?.subject_title || "").localeCompare(String(b.subjects?.subject_title || "")))
+    );
+    return list.sort((a, b) => `${b.sy_code}${b.term_code}`.localeCompare(`${a.sy_code}${a.term_code}`));
+  }, [records]);
+
+  if (!child) return <NoLinkedStudent loading={linksLoading} />;
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="flex items-center justify-between gap-3">
+          <div>
+            <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+              <GraduationCap className="h-5 w-5 text-black/60" />
+              Grades • {childName(child)}
+            </div>
+            <div className="text-xs font-semibold text-black/50">Quarter and final grades posted by the subject teachers.</div>
+            {errMsg ? (
+              <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-800">
+                {errMsg}
+              </div>
+            ) : null}
+          </div>
+          <button
+            onClick={() => gradesQ.refetch()}
+            className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-xs font-semibold hover:bg-black/5"
+            type="button"
+          >
+            <RefreshCcw className="h-4 w-4" />
+            Refresh
+          </button>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/60">Loading…</div>
+      ) : !groups.length ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/40">No grades posted yet.</div>
+      ) : (
+        groups.map((g) => {
+          const avg = average(g.rows);
+          return (
+            <div key={g.key} className="rounded-2xl border border-black/10 bg-white p-4">
+              <div className="flex items-center justify-between gap-2">
+                <div className="text-sm font-extrabold text-[#2b1a12]">
+                  SY {g.sy_code} • {g.term_code}
+                </div>
+                <div className="text-xs font-semibold text-black/50">
+                  General average: <span className="font-extrabold text-black/70">{avg ?? "—"}</span>
+                </div>
+              </div>
+
+              <div className="mt-3 overflow-x-auto">
+                <table className="w-full text-left text-sm">
+                  <thead className="text-xs text-black/50">
+                    <tr>
+                      <th className="py-2 pr-3 font-semibold">Subject</th>
+                      <th className="py-2 pr-3 font-semibold">1st Quarter</th>
+                      <th className="py-2 pr-3 font-semibold">2nd Quarter</th>
+                      <th className="py-2 pr-3 font-semibold">Final</th>
+                      <th className="py-2 font-semibold">Remarks</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {g.rows.map((r) => (
+                      <tr key={r.record_id} className="border-t border-black/10 text-[#2b1a12]">
+                        <td className="py-2 pr-3 font-semibold">
+                          {r.subjects?.subject_title || "—"}
+                          <div className="text-[11px] text-black/40">{r.subjects?.subject_code || ""}</div>
+                        </td>
+                        <td className="py-2 pr-3">{r.q1_grade ?? "—"}</td>
+                        <td className="py-2 pr-3">{r.q2_grade ?? "—"}</td>
+                        <td className="py-2 pr-3 font-extrabold">{r.final_grade ?? "—"}</td>
+                        <td className={`py-2 text-xs font-extrabold ${r.remarks === "Failed" ? "text-rose-700" : "text-black/60"}`}>
+                          {r.remarks || "—"}
+                        </td>
+                      </tr>
+                    ))}
+                  </tbody>
+                </table>
+              </div>
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
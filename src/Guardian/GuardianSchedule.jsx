@@ -0,0 +1,121 @@
+import React, { useMemo, useState } from "react";
+import { useOutletContext } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { CalendarDays, RefreshCcw } from "lucide-react";
+
+import { childName, fetchChildSchedule } from "../lib/guardian";
+import { DAYS } from "../lib/timetable";
+import NoLinkedStudent from "./NoLinkedStudent";
+
+function timeLabel(t) {
+  if (!t) return "—";
+  const [hh, mm] = String(t).split(":").map((x) => parseInt(x, 10));
+  return new Date(2000, 0, 1, hh, mm).toLocaleTimeString([], { hour: "numeric", minute: "2-digit" });
+}
+
+export default function GuardianSchedule() {
+  const { child, linksLoading } = useOutletContext();
+  const studentId = child?.student_id;
+
+  // The picked term belongs to one child; switching child starts again from its active term.
+  const [termPick, setTermPick] = useState({ studentId: null, termId: null });
+  const termId = termPick.studentId === studentId ? termPick.termId : null;
+
+  const scheduleQ = useQuery({
+    queryKey: ["guardian_schedule", studentId, termId],
+    queryFn: () => fetchChildSchedule(studentId, termId),
+    enabled: !!studentId,
+  });
+  const data = scheduleQ.data ?? { term_id: null, terms: [], rows: [] };
+  const loading = scheduleQ.isLoading;
+  const errMsg = scheduleQ.error ? String(scheduleQ.error.message || scheduleQ.error) : "";
+
+  const byDay = useMemo(() => {
+    const map = new Map(DAYS.map((d) => [d, []]));
+    for (const r of data.rows || []) {
+      if (!map.has(r.day_of_week)) map.set(r.day_of_week, []);
+      map.get(r.day_of_week).push(r);
+    }
+    for (const list of map.values()) list.sort((a, b) => (a.period_no ?? 0) - (b.period_no ?? 0));
+    return map;
+  }, [data.rows]);
+
+  if (!child) return <NoLinkedStudent loading={linksLoading} />;
+
+  return (
+    <div className="space-y-4">
+      <div className="rounded-2xl border border-black/10 bg-white p-4">
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="text-sm font-extrabold text-[#2b1a12] flex items-center gap-2">
+              <CalendarDays className="h-5 w-5 text-black/60" />
+              Class schedule • {childName(child)}
+            </div>
+            <div className="text-xs font-semibold text-black/50">
+              SY {child.sy_code || "—"} • {child.section_name || "No section yet"}
+            </div>
+            {errMsg ? (
+              <div className="mt-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-800">
+                {errMsg}
+              </div>
+            ) : null}
+          </div>
+
+          <div className="flex items-center gap-2">
+            <select
+              value={data.term_id || ""}
+              onChange={(e) => setTermPick({ studentId, termId: e.target.value || null })}
+              className="rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-sm outline-none"
+              aria-label="Term"
+            >
+              {(data.terms || []).map((t) => (
+                <option key={t.term_id} value={t.term_id}>
+                  {t.term_code}
+                  {t.is_active ? " (current)" : ""}
+                </option>
+              ))}
+            </select>
+            <button
+              onClick={() => scheduleQ.refetch()}
+              className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-xs font-semibold hover:bg-black/5"
+              type="button"
+            >
+              <RefreshCcw className="h-4 w-4" />
+              Refresh
+            </button>
+          </div>
+        </div>
+      </div>
+
+      {loading ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/60">Loading…</div>
+      ) : !(data.rows || []).length ? (
+        <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/40">
+          No classes scheduled for this term yet.
+        </div>
+      ) : (
+        <div className="grid gap-3 md:grid-cols-2 xl:grid-cols-3">
+          {Array.from(byDay.entries())
+            .filter(([, list]) => list.length)
+            .map(([day, list]) => (
+              <div key={day} className="rounded-2xl border border-black/10 bg-white p-4">
+                <div className="text-xs font-extrabold uppercase tracking-wide text-black/50">{day}</div>
+                <div className="mt-2 space-y-2">
+                  {list.map((r) => (
+                    <div key={r.schedule_id} className="rounded-xl border border-black/10 bg-[#fafafa] px-3 py-2">
+                      <div className="text-sm font-extrabold text-[#2b1a12]">{r.subject_title || r.subject_code || "—"}</div>
+                      <div className="text-xs font-semibold text-black/50">
+                        {timeLabel(r.start_time)} – {timeLabel(r.end_time)}
+                        {r.room ? ` • ${r.room}` : ""}
+                        {r.teacher_name ? ` • ${r.teacher_name}` : ""}
+                      </div>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            ))}
+        </div>
+      )}
+    </div>
+  );
+}
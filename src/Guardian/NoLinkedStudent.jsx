@@ -0,0 +1,30 @@
+import React from "react";
+import { Link } from "react-router-dom";
+import { UserPlus } from "lucide-react";
+
+/** Shown by every guardian page until the registrar approves at least one link. */
+export default function NoLinkedStudent({ loading }) {
+  if (loading) {
+    return (
+      <div className="rounded-2xl border border-black/10 bg-white p-5 text-sm font-semibold text-black/60">
+        Loading…
+      </div>
+    );
+  }
+
+  return (
+    <div className="rounded-2xl border border-black/10 bg-white p-5">
+      <div className="text-sm font-extrabold text-[#2b1a12]">No linked student yet</div>
+      <div className="mt-1 text-xs font-semibold text-black/50">
+        Request a link from the dashboard. The registrar checks it against the enrollment form before it becomes active.
+      </div>
+      <Link
+        to="/guardian/dashboard"
+        className="mt-3 inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-[#fafafa] px-4 py-2 text-xs font-semibold hover:bg-black/5"
+      >
+        <UserPlus className="h-4 w-4" />
+        Link a student
+      </Link>
+    </div>
+  );
+}
@@ -1,8 +1,37 @@
 // src/Student/Lessons/lesson.jsx
-import React, { useEffect, useMemo, useState } from "react";
+import React, { useEffect, useMemo, useRef, useState } from "react";
 import { Link, useNavigate, useParams, useSearchParams } from "react-router-dom";
-import { BookOpen, ChevronLeft, Clock, GraduationCap, Info, Search } from "lucide-react";
+import {
+  BookOpen,
+  ChevronLeft,
+  CalendarDays,
+  CheckCircle2,
+  Clock,
+  FileText,
+  GraduationCap,
+  Info,
+  Lock,
+  Paperclip,
+  Search,
+  Timer,
+  Upload,
+  X,
+  XCircle,
+} from "lucide-react";
 import { supabase } from "../../lib/supabaseClient";
+import {
+  canStudentEdit,
+  fetchMySubmissions,
+  signedSubmissionUrl,
+  submitActivity,
+} from "../../lib/submissions";
+import {
+  fetchMyQuizAttempts,
+  fetchStudentQuiz,
+  secondsRemaining,
+  startQuizAttempt,
+  submitQuizAttempt,
+} from "../../lib/quizzes";
 
 /* =========================================================
    UI helpers (simple + Tailwind)
@@ -91,6 +120,33 @@ function fmtDateTime(iso) {
   }
 }
 
+function fmtDate(dateKey) {
+  if (!dateKey) return "";
+  const d = new Date(`${dateKey}T00:00:00`);
+  return Number.isNaN(d.getTime())
+    ? String(dateKey)
+    : d.toLocaleDateString(undefined, { month: "short", day: "numeric", year: "numeric" });
+}
+
+function todayKey() {
+  const d = new Date();
+  return `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, "0")}-${String(d.getDate()).padStart(2, "0")}`;
+}
+
+function dueLabel(dueDate) {
+  if (!dueDate) return null;
+  const days = Math.round((new Date(`${dueDate}T00:00:00`) - new Date(`${todayKey()}T00:00:00`)) / 86400000);
+  if (days < 0) return { text: `Overdue • was due ${fmtDate(dueDate)}`, late: true };
+  if (days === 0) return { text: "Due today", late: false };
+  if (days === 1) return { text: "Due tomorrow", late: false };
+  return { text: `Due ${fmtDate(dueDate)} (${days} days)`, late: false };
+}
+
+function teacherName(t) {
+  if (!t) return "Teacher";
+  return `${t.first_name || ""} ${t.last_name || ""}`.trim() || "Teacher";
+}
+
 function termLabel(term) {
   if (!term) return "";
   const d = String(term.description || "").trim();
@@ -142,7 +198,7 @@ async function fetchActiveSchoolYear() {
 async function fetchStudentForUser(userId) {
   const { data, error } = await supabase
     .from("students")
-    .select("user_id, section_id, grade_id, track_id, strand_id, sy_id, student_number")
+    .select("id, user_id, section_id, grade_id, track_id, strand_id, sy_id, student_number")
     .eq("user_id", userId)
     .limit(1)
     .maybeSingle();
@@ -195,29 +251,88 @@ async function fetchSubjectsByTerm({ syId, sectionId }) {
 }
 
 /**
- * ✅ Students can see only published lessons
- * ✅ Additionally, enforce optional grade/track/strand constraints
+ * ✅ Students see only lessons ASSIGNED to their section (lesson_assignments)
+ * ✅ A lesson unlocks on its scheduled_date (null = available immediately)
+ * ✅ Several slots of the same section collapse into one entry (earliest unlock / due)
  */
-async function fetchLessonsForSubject({ subjectId, student }) {
-  const { data, error } = await supabase
-    .from("lessons")
+async function fetchAssignmentsForStudent({ student, subjectId, termId, lessonId }) {
+  let q = supabase
+    .from("lesson_assignments")
     .select(
-      "lesson_id, title, duration_minutes, audience, status, created_at, updated_at, objectives, grade_id, track_id, strand_id, subject_id"
+      `lesson_id,
+       term_id,
+       schedule_id,
+       scheduled_date,
+       due_date,
+       assigned_by,
+       created_at,
+       lessons:lesson_id!inner (lesson_id, title, duration_minutes, audience, status, created_at, updated_at, objectives, subject_id)`
     )
-    .eq("subject_id", subjectId)
-    .eq("status", "Published")
-    .order("updated_at", { ascending: false });
+    .eq("sy_id", student.sy_id)
+    .eq("section_id", student.section_id)
+    .eq("lessons.status", "Published");
 
-  if (error) throw error;
+  if (subjectId) q = q.eq("lessons.subject_id", subjectId);
+  if (termId) q = q.eq("term_id", termId);
+  if (lessonId) q = q.eq("lesson_id", lessonId);
 
-  const rows = data || [];
+  const { data, error } = await q;
+  if (error) throw error;
 
-  return rows.filter((l) => {
-    if (l.grade_id && l.grade_id !== student.grade_id) return false;
-    if (l.track_id && l.track_id !== student.track_id) return false;
-    if (l.strand_id && l.strand_id !== student.strand_id) return false;
-    return true;
+  const byLesson = new Map();
+  (data || []).forEach((a) => {
+    if (!a.lessons) return;
+    const prev = byLesson.get(a.lesson_id);
+    if (!prev) {
+      byLesson.set(a.lesson_id, { ...a });
+      return;
+    }
+    // null unlock = open now, so it wins; null due = no due date, so any real date wins
+    prev.scheduled_date =
+      prev.scheduled_date && a.scheduled_date
+        ? [prev.scheduled_date, a.scheduled_date].sort()[0]
+        : null;
+    prev.due_date =
+      prev.due_date && a.due_date ? [prev.due_date, a.due_date].sort()[0] : prev.due_date || a.due_date;
   });
+
+  const list = Array.from(byLesson.values());
+
+  const teacherIds = Array.from(new Set(list.map((a) => a.assigned_by).filter(Boolean)));
+  let teacherMap = new Map();
+  if (teacherIds.length) {
+    const { data: rows, error: tErr } = await supabase
+      .from("teachers")
+      .select("user_id, first_name, last_name")
+      .in("user_id", teacherIds);
+
+    // If blocked by RLS, just fallback to "Teacher"
+    if (!tErr) teacherMap = new Map((rows || []).map((t) => [t.user_id, t]));
+  }
+
+  const today = todayKey();
+
+  return list
+    .map((a) => ({
+      ...a.lessons,
+      assignment: {
+        scheduled_date: a.scheduled_date,
+        due_date: a.due_date,
+        assigned_by: a.assigned_by,
+        assigned_by_name: teacherName(teacherMap.get(a.assigned_by)),
+        assigned_at: a.created_at,
+        locked: Boolean(a.scheduled_date && a.scheduled_date > today),
+      },
+    }))
+    .sort((x, y) => {
+      const dx = x.assignment.scheduled_date || String(x.assignment.assigned_at || "").slice(0, 10);
+      const dy = y.assignment.scheduled_date || String(y.assignment.assigned_at || "").slice(0, 10);
+      return dy.localeCompare(dx);
+    });
+}
+
+async function fetchLessonsForSubject({ subjectId, termId, student }) {
+  return fetchAssignmentsForStudent({ student, subjectId, termId });
 }
 
 async function fetchLessonWithParts(lessonId) {
@@ -244,7 +359,20 @@ async function fetchLessonWithParts(lessonId) {
 
   if (pErr) throw pErr;
 
-  return { lesson, parts: parts || [] };
+  const partIds = (parts || []).map((p) => p.part_id);
+  let activities = [];
+  if (partIds.length) {
+    const { data: acts, error: aErr } = await supabase
+      .from("lesson_activities")
+      .select("activity_id, part_id, sort_order, activity_type, title, instructions, estimated_minutes, attachable")
+      .in("part_id", partIds)
+      .order("sort_order", { ascending: true });
+
+    if (aErr) throw aErr;
+    activities = acts || [];
+  }
+
+  return { lesson, parts: parts || [], activities };
 }
 
 /* =========================================================
@@ -441,7 +569,7 @@ export function StudentSubjectLessonsPage() {
         setSubject(subjRes.data);
         setTerm(termRes.data || null);
 
-        const ls = await fetchLessonsForSubject({ subjectId, student: st });
+        const ls = await fetchLessonsForSubject({ subjectId, termId, student: st });
         if (!mounted) return;
         setLessons(ls);
       } catch (e) {
@@ -461,7 +589,7 @@ export function StudentSubjectLessonsPage() {
     <PageShell
       title={subject ? `${subject.subject_code} Lessons` : "Lessons"}
       subtitle={
-        subject ? `${subject.subject_title}${term ? ` • ${termLabel(term)}` : ""}` : "Published lessons for this subject"
+        subject ? `${subject.subject_title}${term ? ` • ${termLabel(term)}` : ""}` : "Lessons assigned to your section"
       }
       right={
         <button
@@ -485,7 +613,10 @@ export function StudentSubjectLessonsPage() {
             <CardBody>
               <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
                 <div className={`text-sm ${UI.muted}`}>
-                  {lessons.length} published lesson{lessons.length === 1 ? "" : "s"}
+                  {lessons.length} assigned lesson{lessons.length === 1 ? "" : "s"}
+                  {lessons.some((l) => l.assignment.locked)
+                    ? ` • ${lessons.filter((l) => l.assignment.locked).length} upcoming`
+                    : ""}
                 </div>
 
                 <div className="w-full md:w-[360px]">
@@ -506,36 +637,65 @@ export function StudentSubjectLessonsPage() {
           {filtered.length === 0 ? (
             <ErrorBlock
               title="No lessons to show"
-              message={q.trim() ? "No lessons match your search." : "There are no published lessons yet for this subject."}
+              message={
+                q.trim() ? "No lessons match your search." : "Your teacher has not assigned lessons for this subject yet."
+              }
             />
           ) : (
             <div className="grid gap-3">
               {filtered.map((l) => {
                 // ✅ Lesson Detail should go back to Lesson List
                 const href = `/student/lessons/${l.lesson_id}?subjectId=${subjectId}${termId ? `&termId=${termId}` : ""}`;
-
-                return (
-                  <Link key={l.lesson_id} to={href}>
-                    <Card>
-                      <div className="px-4 py-4 hover:bg-black/[0.02] transition">
-                        <div className="flex items-start justify-between gap-3">
-                          <div className="min-w-0">
-                            <div className="text-sm font-extrabold truncate">{l.title}</div>
-                            <div className={`mt-1 flex flex-wrap items-center gap-2 text-xs ${UI.muted}`}>
-                              <span className="inline-flex items-center gap-1">
-                                <Clock className="h-3.5 w-3.5" />
-                                {l.duration_minutes} min
-                              </span>
-                              <span>•</span>
-                              <span>{l.audience}</span>
-                              <span>•</span>
-                              <span>Updated: {fmtDateTime(l.updated_at)}</span>
-                            </div>
+                const a = l.assignment;
+                const due = dueLabel(a.due_date);
+
+                const body = (
+                  <Card>
+                    <div className={`px-4 py-4 transition ${a.locked ? "opacity-70" : "hover:bg-black/[0.02]"}`}>
+                      <div className="flex items-start justify-between gap-3">
+                        <div className="min-w-0">
+                          <div className="text-sm font-extrabold truncate">{l.title}</div>
+                          <div className={`mt-1 flex flex-wrap items-center gap-2 text-xs ${UI.muted}`}>
+                            <span className="inline-flex items-center gap-1">
+                              <Clock className="h-3.5 w-3.5" />
+                              {l.duration_minutes} min
+                            </span>
+                            <span>•</span>
+                            <span>Assigned by {a.assigned_by_name}</span>
+                            {a.scheduled_date && !a.locked ? (
+                              <>
+                                <span>•</span>
+                                <span>Opened {fmtDate(a.scheduled_date)}</span>
+                              </>
+                            ) : null}
+                            {due ? (
+                              <>
+                                <span>•</span>
+                                <span className={due.late ? "font-semibold text-rose-700" : ""}>{due.text}</span>
+                              </>
+                            ) : null}
                           </div>
-                          <Pill>Published</Pill>
                         </div>
+                        {a.locked ? (
+                          <Pill tone="outline">
+                            <Lock className="mr-1 h-3.5 w-3.5" />
+                            Unlocks {fmtDate(a.scheduled_date)}
+                          </Pill>
+                        ) : (
+                          <Pill>Available</Pill>
+                        )}
                       </div>
-                    </Card>
+                    </div>
+                  </Card>
+                );
+
+                return a.locked ? (
+                  <div key={l.lesson_id} title="This lesson is not open yet">
+                    {body}
+                  </div>
+                ) : (
+                  <Link key={l.lesson_id} to={href}>
+                    {body}
                   </Link>
                 );
               })}
@@ -564,7 +724,12 @@ export function StudentLessonDetailPage() {
   const [error, setError] = useState(null);
   const [lesson, setLesson] = useState(null);
   const [parts, setParts] = useState([]);
+  const [activities, setActivities] = useState([]);
   const [subject, setSubject] = useState(null);
+  const [assignment, setAssignment] = useState(null);
+  const [me, setMe] = useState(null); // { userId, student }
+  const [submissions, setSubmissions] = useState({}); // { [activity_id]: row }
+  const [quizAttempts, setQuizAttempts] = useState({}); // { [activity_id]: row }
 
   useEffect(() => {
     let mounted = true;
@@ -576,9 +741,23 @@ export function StudentLessonDetailPage() {
         setLoading(true);
         setError(null);
 
-        await requireAuthedUserId();
+        const userId = await requireAuthedUserId();
+        const st = await fetchStudentForUser(userId);
+
+        const [assigned] = await fetchAssignmentsForStudent({ student: st, lessonId });
+        if (!assigned) throw new Error("This lesson has not been assigned to your section.");
+        if (assigned.assignment.locked) {
+          throw new Error(`This lesson unlocks on ${fmtDate(assigned.assignment.scheduled_date)}.`);
+        }
+
+        const { lesson: l, parts: p, activities: acts } = await fetchLessonWithParts(lessonId);
 
-        const { lesson: l, parts: p } = await fetchLessonWithParts(lessonId);
+        const attachableIds = acts.filter((a) => a.attachable).map((a) => a.activity_id);
+        const quizIds = acts.filter((a) => a.activity_type === "Quiz").map((a) => a.activity_id);
+        const [subs, attempts] = await Promise.all([
+          fetchMySubmissions({ studentId: st.id, activityIds: attachableIds }),
+          fetchMyQuizAttempts({ studentId: st.id, activityIds: quizIds }),
+        ]);
 
         if (l.subject_id) {
           const { data, error: sErr } = await supabase
@@ -595,6 +774,11 @@ export function StudentLessonDetailPage() {
         if (!mounted) return;
         setLesson(l);
         setParts(p);
+        setAssignment(assigned.assignment);
+        setActivities(acts);
+        setMe({ userId, student: st });
+        setSubmissions(Object.fromEntries(subs.map((x) => [x.activity_id, x])));
+        setQuizAttempts(Object.fromEntries(attempts.map((x) => [x.activity_id, x])));
       } catch (e) {
         if (!mounted) return;
         setError(e?.message || String(e));
@@ -624,6 +808,16 @@ export function StudentLessonDetailPage() {
     });
   }
 
+  const activitiesByPart = useMemo(() => {
+    const m = new Map();
+    (activities || []).forEach((a) => {
+      const arr = m.get(a.part_id) || [];
+      arr.push(a);
+      m.set(a.part_id, arr);
+    });
+    return m;
+  }, [activities]);
+
   // ✅ Lesson detail back to lessons list (stable)
   const backHref = subjectId ? `/student/subjects/${subjectId}/lessons${termId ? `?termId=${termId}` : ""}` : null;
 
@@ -679,10 +873,27 @@ export function StudentLessonDetailPage() {
                     <span>•</span>
                     <span>Updated: {fmtDateTime(lesson.updated_at)}</span>
                   </div>
+
+                  {assignment ? (
+                    <div className={`mt-2 flex flex-wrap items-center gap-2 text-xs ${UI.muted}`}>
+                      <span>Assigned by {assignment.assigned_by_name}</span>
+                      {assignment.due_date ? (
+                        <>
+                          <span>•</span>
+                          <span className="inline-flex items-center gap-1">
+                            <CalendarDays className="h-3.5 w-3.5" />
+                            <span className={dueLabel(assignment.due_date)?.late ? "font-semibold text-rose-700" : ""}>
+                              {dueLabel(assignment.due_date)?.text}
+                            </span>
+                          </span>
+                        </>
+                      ) : null}
+                    </div>
+                  ) : null}
                 </div>
 
                 <div className="flex gap-2">
-                  <Pill>Published</Pill>
+                  <Pill>Assigned</Pill>
                   {subject?.subject_type ? <Pill tone="outline">{subject.subject_type}</Pill> : null}
                 </div>
               </div>
@@ -737,6 +948,23 @@ export function StudentLessonDetailPage() {
                             ) : (
                               <div className={`text-sm ${UI.muted}`}>No content.</div>
                             )}
+
+                            {(activitiesByPart.get(p.part_id) || []).map((a) => (
+                              <ActivityBlock
+                                key={a.activity_id}
+                                activity={a}
+                                lessonId={lesson.lesson_id}
+                                me={me}
+                                submission={submissions[a.activity_id] || null}
+                                onSubmitted={(row) =>
+                                  setSubmissions((prev) => ({ ...prev, [row.activity_id]: row }))
+                                }
+                                attempt={quizAttempts[a.activity_id] || null}
+                                onAttempt={(row) =>
+                                  setQuizAttempts((prev) => ({ ...prev, [row.activity_id]: row }))
+                                }
+                              />
+                            ))}
                           </div>
                         ) : null}
                       </div>
@@ -751,3 +979,504 @@ export function StudentLessonDetailPage() {
     </PageShell>
   );
 }
+
+/* =========================================================
+   Activities + submissions (attachable activities only)
+========================================================= */
+
+function statusTone(status) {
+  if (status === "Graded") return "gold";
+  if (status === "Returned") return "outline";
+  return "muted";
+}
+
+function ActivityBlock({ activity, lessonId, me, submission, onSubmitted, attempt, onAttempt }) {
+  return (
+    <div className="mt-3 rounded-xl border border-black/10 bg-black/[0.02] p-3">
+      <div className="flex items-start justify-between gap-3">
+        <div className="min-w-0">
+          <div className="text-sm font-extrabold">{activity.title}</div>
+          <div className={`mt-1 text-xs ${UI.muted}`}>
+            {activity.activity_type}
+            {activity.estimated_minutes ? ` • ${activity.estimated_minutes} min` : ""}
+          </div>
+        </div>
+        {activity.attachable ? (
+          <Pill tone={submission ? statusTone(submission.status) : "outline"}>
+            {submission ? submission.status : "Not submitted"}
+          </Pill>
+        ) : null}
+      </div>
+
+      {activity.instructions ? (
+        <div className={`mt-2 whitespace-pre-wrap text-sm ${UI.text}`}>{activity.instructions}</div>
+      ) : null}
+
+      {activity.activity_type === "Quiz" && me?.student ? (
+        <QuizBox activity={activity} attempt={attempt} onAttempt={onAttempt} />
+      ) : null}
+
+      {activity.attachable && me?.student ? (
+        <SubmissionBox
+          activity={activity}
+          lessonId={lessonId}
+          me={me}
+          submission={submission}
+          onSubmitted={onSubmitted}
+        />
+      ) : null}
+    </div>
+  );
+}
+
+function SubmissionBox({ activity, lessonId, me, submission, onSubmitted }) {
+  const [text, setText] = useState(submission?.text_body || "");
+  const [kept, setKept] = useState(submission?.files || []);
+  const [newFiles, setNewFiles] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState(null);
+
+  const editable = canStudentEdit(submission);
+
+  async function openFile(f) {
+    try {
+      const url = await signedSubmissionUrl(f.file_path);
+      if (url) window.open(url, "_blank", "noopener,noreferrer");
+    } catch (e) {
+      setErr(e?.message || String(e));
+    }
+  }
+
+  async function submit() {
+    setBusy(true);
+    setErr(null);
+    try {
+      const row = await submitActivity({
+        activity,
+        lessonId,
+        student: me.student,
+        userId: me.userId,
+        text,
+        newFiles,
+        keptFiles: kept,
+        existing: submission,
+      });
+      setKept(row.files || []);
+      setNewFiles([]);
+      onSubmitted?.(row);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className="mt-3 grid gap-3 rounded-xl border border-black/10 bg-white p-3">
+      {submission?.status === "Graded" || submission?.status === "Returned" ? (
+        <div className={`rounded-xl border ${UI.border} ${UI.goldSoft} p-3 text-sm`}>
+          <div className="font-extrabold">
+            {submission.status === "Graded" ? "Graded" : "Returned for resubmission"}
+            {submission.score != null ? ` • ${submission.score}${submission.max_score != null ? ` / ${submission.max_score}` : ""}` : ""}
+          </div>
+          {submission.feedback ? (
+            <div className={`mt-1 whitespace-pre-wrap ${UI.muted}`}>{submission.feedback}</div>
+          ) : null}
+        </div>
+      ) : null}
+
+      <textarea
+        value={text}
+        onChange={(e) => setText(e.target.value)}
+        disabled={!editable || busy}
+        placeholder="Type your answer (optional if you attach a file)…"
+        className="min-h-[90px] w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40 disabled:bg-black/[0.02]"
+      />
+
+      {kept.length || newFiles.length ? (
+        <div className="grid gap-2">
+          {kept.map((f) => (
+            <div key={f.file_path} className="flex items-center justify-between gap-2 text-sm">
+              <button type="button" onClick={() => openFile(f)} className="inline-flex min-w-0 items-center gap-2 hover:underline">
+                <FileText className="h-4 w-4 shrink-0 text-[#6B4E2E]" />
+                <span className="truncate">{f.name}</span>
+              </button>
+              {editable ? (
+                <button
+                  type="button"
+                  onClick={() => setKept((prev) => prev.filter((x) => x.file_path !== f.file_path))}
+                  className="rounded-lg p-1 hover:bg-black/5"
+                  title="Remove"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              ) : null}
+            </div>
+          ))}
+          {newFiles.map((f, idx) => (
+            <div key={`${f.name}-${idx}`} className={`flex items-center justify-between gap-2 text-sm ${UI.muted}`}>
+              <span className="inline-flex min-w-0 items-center gap-2">
+                <Paperclip className="h-4 w-4 shrink-0" />
+                <span className="truncate">{f.name} (new)</span>
+              </span>
+              <button
+                type="button"
+                onClick={() => setNewFiles((prev) => prev.filter((_, i) => i !== idx))}
+                className="rounded-lg p-1 hover:bg-black/5"
+                title="Remove"
+              >
+                <X className="h-4 w-4" />
+              </button>
+            </div>
+          ))}
+        </div>
+      ) : null}
+
+      {err ? <div className="text-xs font-semibold text-rose-700">{err}</div> : null}
+
+      {editable ? (
+        <div className="flex flex-wrap items-center justify-between gap-2">
+          <label className="inline-flex cursor-pointer items-center gap-2 rounded-xl border border-black/10 bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/[0.02]">
+            <Paperclip className="h-4 w-4" />
+            Attach files
+            <input
+              type="file"
+              multiple
+              className="hidden"
+              onChange={(e) => {
+                const list = Array.from(e.target.files || []);
+                setNewFiles((prev) => [...prev, ...list]);
+                e.target.value = "";
+              }}
+            />
+          </label>
+
+          <button
+            type="button"
+            onClick={submit}
+            disabled={busy}
+            className="inline-flex items-center gap-2 rounded-xl bg-[#C9A227] px-4 py-2 text-xs font-extrabold text-black hover:opacity-95 disabled:opacity-60"
+          >
+            <Upload className="h-4 w-4" />
+            {busy
+              ? "Submitting…"
+              : !submission
+              ? "Submit"
+              : submission.status === "Returned"
+              ? "Resubmit"
+              : "Update submission"}
+          </button>
+        </div>
+      ) : null}
+
+      {submission ? (
+        <div className={`text-xs ${UI.muted}`}>
+          Attempt {submission.attempt} • Submitted {fmtDateTime(submission.submitted_at)}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+/* =========================================================
+   Quiz taking (scored server-side; the answer key never reaches the browser)
+========================================================= */
+
+function fmtCountdown(sec) {
+  const m = Math.floor(sec / 60);
+  const s = sec % 60;
+  return `${m}:${String(s).padStart(2, "0")}`;
+}
+
+function answersStorageKey(attemptId) {
+  return `quiz-answers:${attemptId}`;
+}
+
+function QuizBox({ activity, attempt, onAttempt }) {
+  const [quiz, setQuiz] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const [answers, setAnswers] = useState({});
+  const [remaining, setRemaining] = useState(null);
+
+  const answersRef = useRef(answers);
+  answersRef.current = answers;
+
+  const inProgress = attempt?.status === "In Progress";
+  const submitted = attempt?.status === "Submitted";
+
+  useEffect(() => {
+    let alive = true;
+    (async () => {
+      try {
+        const q = await fetchStudentQuiz(activity.activity_id);
+        if (alive) setQuiz(q);
+      } catch (e) {
+        if (alive) setErr(e?.message || String(e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    })();
+    return () => {
+      alive = false;
+    };
+  }, [activity.activity_id]);
+
+  // Restore in-progress answers after a reload.
+  useEffect(() => {
+    if (!inProgress) return;
+    try {
+      const saved = JSON.parse(sessionStorage.getItem(answersStorageKey(attempt.attempt_id)) || "{}");
+      setAnswers(saved && typeof saved === "object" ? saved : {});
+    } catch {
+      setAnswers({});
+    }
+  }, [inProgress, attempt?.attempt_id]);
+
+  function setAnswer(qid, value) {
+    setAnswers((prev) => {
+      const next = { ...prev, [qid]: value };
+      try {
+        sessionStorage.setItem(answersStorageKey(attempt.attempt_id), JSON.stringify(next));
+      } catch {
+        // storage full or disabled: answers still live in memory
+      }
+      return next;
+    });
+  }
+
+  async function start() {
+    setBusy(true);
+    setErr(null);
+    try {
+      const row = await startQuizAttempt(activity.activity_id);
+      setAnswers({});
+      onAttempt?.(row);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function submit() {
+    if (!attempt) return;
+    setBusy(true);
+    setErr(null);
+    try {
+      const row = await submitQuizAttempt(attempt.attempt_id, answersRef.current);
+      sessionStorage.removeItem(answersStorageKey(attempt.attempt_id));
+      onAttempt?.(row);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const submitRef = useRef(submit);
+  submitRef.current = submit;
+
+  // Countdown; hand in automatically when time runs out.
+  useEffect(() => {
+    if (!inProgress || !quiz?.time_limit_minutes) {
+      setRemaining(null);
+      return;
+    }
+
+    let fired = false;
+    const tick = () => {
+      const left = secondsRemaining(attempt, quiz.time_limit_minutes);
+      setRemaining(left);
+      if (left === 0 && !fired) {
+        fired = true;
+        submitRef.current();
+      }
+    };
+
+    tick();
+    const id = setInterval(tick, 1000);
+    return () => clearInterval(id);
+  }, [inProgress, attempt, quiz?.time_limit_minutes]);
+
+  if (loading) return <div className={`mt-3 text-xs ${UI.muted}`}>Loading quiz…</div>;
+  if (!quiz) return err ? <div className="mt-3 text-xs font-semibold text-rose-700">{err}</div> : null;
+
+  const questions = quiz.questions || [];
+  const totalPoints = questions.reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+
+  if (submitted) {
+    const results = new Map((attempt.item_results || []).map((r) => [r.id, r]));
+    return (
+      <div className="mt-3 grid gap-3 rounded-xl border border-black/10 bg-white p-3">
+        <div className={`rounded-xl border ${UI.border} ${UI.goldSoft} p-3 text-sm`}>
+          <div className="font-extrabold">
+            Score: {attempt.score} / {attempt.max_score}
+          </div>
+          <div className={`mt-1 text-xs ${UI.muted}`}>
+            Submitted {fmtDateTime(attempt.submitted_at)}
+            {attempt.is_late ? " • Submitted after the time limit" : ""}
+          </div>
+        </div>
+
+        <div className="grid gap-1">
+          {questions.map((q, i) => {
+            const r = results.get(q.id);
+            return (
+              <div key={q.id} className="flex items-start justify-between gap-3 text-sm">
+                <div className="flex min-w-0 items-start gap-2">
+                  {r?.correct ? (
+                    <CheckCircle2 className="mt-0.5 h-4 w-4 shrink-0 text-emerald-600" />
+                  ) : (
+                    <XCircle className="mt-0.5 h-4 w-4 shrink-0 text-rose-600" />
+                  )}
+                  <span className="min-w-0">
+                    <span className="font-semibold">Q{i + 1}.</span> {q.prompt}
+                  </span>
+                </div>
+                <span className={`shrink-0 text-xs ${UI.muted}`}>
+                  {r?.earned ?? 0} / {r?.points ?? q.points}
+                </span>
+              </div>
+            );
+          })}
+        </div>
+      </div>
+    );
+  }
+
+  if (!inProgress) {
+    return (
+      <div className="mt-3 flex flex-wrap items-center justify-between gap-3 rounded-xl border border-black/10 bg-white p-3">
+        <div className={`text-sm ${UI.muted}`}>
+          {questions.length} question(s) • {totalPoints} pts
+          {quiz.time_limit_minutes ? ` • ${quiz.time_limit_minutes} min time limit` : " • No time limit"}
+          <div className="mt-1 text-xs">You can take this quiz once. The timer starts when you begin.</div>
+        </div>
+        {err ? <div className="w-full text-xs font-semibold text-rose-700">{err}</div> : null}
+        <button
+          type="button"
+          onClick={start}
+          disabled={busy || !questions.length}
+          className="inline-flex items-center gap-2 rounded-xl bg-[#C9A227] px-4 py-2 text-xs font-extrabold text-black hover:opacity-95 disabled:opacity-60"
+        >
+          <Timer className="h-4 w-4" />
+          {busy ? "Starting…" : "Start quiz"}
+        </button>
+      </div>
+    );
+  }
+
+  return (
+    <div className="mt-3 grid gap-3 rounded-xl border border-black/10 bg-white p-3">
+      <div className="sticky top-0 z-10 flex items-center justify-between gap-2 rounded-xl bg-white/95 py-1">
+        <div className="text-sm font-extrabold">
+          {Object.keys(answers).length} / {questions.length} answered
+        </div>
+        {remaining != null ? (
+          <Pill tone={remaining <= 60 ? "outline" : "gold"}>
+            <Timer className="mr-1 h-3.5 w-3.5" />
+            {fmtCountdown(remaining)}
+          </Pill>
+        ) : null}
+      </div>
+
+      {questions.map((q, i) => (
+        <div key={q.id} className="rounded-xl border border-black/10 p-3">
+          <div className="flex items-start justify-between gap-3">
+            <div className="whitespace-pre-wrap text-sm font-semibold">
+              {i + 1}. {q.prompt}
+            </div>
+            <span className={`shrink-0 text-xs ${UI.muted}`}>{q.points} pt(s)</span>
+          </div>
+
+          <div className="mt-2 grid gap-2 text-sm">
+            {q.type === "mc"
+              ? (q.choices || [])
+                  .filter((c) => String(c.text || "").trim())
+                  .map((c) => (
+                    <label key={c.id} className="flex items-center gap-2">
+                      <input
+                        type="radio"
+                        name={`q-${q.id}`}
+                        checked={answers[q.id] === c.id}
+                        onChange={() => setAnswer(q.id, c.id)}
+                        disabled={busy}
+                      />
+                      {c.text}
+                    </label>
+                  ))
+              : null}
+
+            {q.type === "tf" ? (
+              <div className="flex items-center gap-4">
+                {["true", "false"].map((v) => (
+                  <label key={v} className="flex items-center gap-2">
+                    <input
+                      type="radio"
+                      name={`q-${q.id}`}
+                      checked={answers[q.id] === v}
+                      onChange={() => setAnswer(q.id, v)}
+                      disabled={busy}
+                    />
+                    {v === "true" ? "True" : "False"}
+                  </label>
+                ))}
+              </div>
+            ) : null}
+
+            {q.type === "identification" ? (
+              <input
+                value={answers[q.id] || ""}
+                onChange={(e) => setAnswer(q.id, e.target.value)}
+                disabled={busy}
+                placeholder="Your answer"
+                className="w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+              />
+            ) : null}
+
+            {q.type === "matching"
+              ? (q.pairs || []).map((p) => (
+                  <div key={p.id} className="grid items-center gap-2 sm:grid-cols-2">
+                    <div>{p.left}</div>
+                    <select
+                      value={answers[q.id]?.[p.id] || ""}
+                      onChange={(e) => setAnswer(q.id, { ...(answers[q.id] || {}), [p.id]: e.target.value })}
+                      disabled={busy}
+                      className="w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+                    >
+                      <option value="">Select…</option>
+                      {(q.options || []).map((o) => (
+                        <option key={o} value={o}>
+                          {o}
+                        </option>
+                      ))}
+                    </select>
+                  </div>
+                ))
+              : null}
+          </div>
+        </div>
+      ))}
+
+      {err ? <div className="text-xs font-semibold text-rose-700">{err}</div> : null}
+
+      <div className="flex justify-end">
+        <button
+          type="button"
+          onClick={() => {
+            const unanswered = questions.length - Object.keys(answers).length;
+            if (unanswered > 0 && !window.confirm(`${unanswered} question(s) unanswered. Submit anyway?`)) return;
+            submit();
+          }}
+          disabled={busy}
+          className="inline-flex items-center gap-2 rounded-xl bg-[#C9A227] px-4 py-2 text-xs font-extrabold text-black hover:opacity-95 disabled:opacity-60"
+        >
+          <CheckCircle2 className="h-4 w-4" />
+          {busy ? "Submitting…" : "Submit quiz"}
+        </button>
+      </div>
+    </div>
+  );
+}
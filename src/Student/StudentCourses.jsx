@@ -1,5 +1,5 @@
 // src/pages/student/StudentCourses.jsx
-import React, { useMemo, useState } from "react";
+import React, { useEffect, useMemo, useState } from "react";
 import { motion, AnimatePresence } from "framer-motion";
 import {
   Search,
@@ -11,6 +11,7 @@ import {
   MapPin,
   ChevronRight,
 } from "lucide-react";
+import { supabase } from "../lib/supabaseClient";
 
 const BRAND = {
   brown: "#2b1a12",
@@ -283,7 +284,7 @@ export default function StudentCourses() {
 }
 
 function CourseDetailsModal({ course, onClose }) {
-  const [tab, setTab] = useState("Lessons"); // Lessons | Announcements | Info
+  const [tab, setTab] = useState("Lessons"); // Lessons | Announcements | Grades | Info
   const [view, setView] = useState("List"); // List | Grid
   const [lessonOpen, setLessonOpen] = useState(null);
 
@@ -404,7 +405,7 @@ function CourseDetailsModal({ course, onClose }) {
 
           {/* Tabs */}
           <div className="mt-5 flex flex-wrap gap-2">
-            {["Lessons", "Announcements", "Info"].map((t) => (
+            {["Lessons", "Announcements", "Grades", "Info"].map((t) => (
               <button
                 key={t}
                 onClick={() => setTab(t)}
@@ -492,6 +493,8 @@ function CourseDetailsModal({ course, onClose }) {
                   </div>
                 ))}
               </div>
+            ) : tab === "Grades" ? (
+              <CourseGrades course={course} />
             ) : (
               <div className="rounded-2xl border p-4" style={{ borderColor: BRAND.stroke }}>
                 <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
@@ -537,6 +540,136 @@ function CourseDetailsModal({ course, onClose }) {
   );
 }
 
+/**
+ * Student's own computed grades (grade_records) for this course's subject.
+ * Rows are written by the teacher's Grades tab in TeacherClasses.
+ */
+function CourseGrades({ course }) {
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState("");
+  const [rows, setRows] = useState([]);
+
+  useEffect(() => {
+    let alive = true;
+
+    async function load() {
+      setLoading(true);
+      setErr("");
+
+      try {
+        const { data: authData, error: authErr } = await supabase.auth.getUser();
+        if (authErr) throw authErr;
+        const user = authData?.user;
+        if (!user) throw new Error("Not authenticated.");
+
+        const { data: stud, error: studErr } = await supabase
+          .from("students")
+          .select("id")
+          .eq("user_id", user.id)
+          .limit(1)
+          .maybeSingle();
+        if (studErr) throw studErr;
+        if (!stud?.id) throw new Error("Student record not found.");
+
+        const { data, error } = await supabase
+          .from("grade_records")
+          .select(
+            `
+            record_id,
+            q1_grade,
+            q2_grade,
+            final_grade,
+            remarks,
+            updated_at,
+            subjects:subject_id ( subject_code, subject_title ),
+            terms:term_id ( term_code ),
+            school_years:sy_id ( sy_code )
+          `
+          )
+          .eq("student_id", stud.id)
+          .order("updated_at", { ascending: false });
+        if (error) throw error;
+
+        const code = String(course?.id || "").toLowerCase();
+        const title = String(course?.name || "").toLowerCase();
+        const mine = (data || []).filter(
+          (r) =>
+            String(r.subjects?.subject_code || "").toLowerCase() === code ||
+            String(r.subjects?.subject_title || "").toLowerCase() === title
+        );
+
+        if (alive) setRows(mine);
+      } catch (e) {
+        if (alive) setErr(String(e?.message || e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [course?.id, course?.name]);
+
+  if (loading) {
+    return (
+      <div className="text-sm font-semibold" style={{ color: BRAND.muted }}>
+        Loading…
+      </div>
+    );
+  }
+
+  if (err) {
+    return (
+      <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">
+        {err}
+      </div>
+    );
+  }
+
+  if (!rows.length) {
+    return (
+      <div className="rounded-2xl border p-4 text-sm font-semibold" style={{ borderColor: BRAND.stroke, color: BRAND.muted }}>
+        No grades posted yet for this course.
+      </div>
+    );
+  }
+
+  return (
+    <div className="space-y-3">
+      {rows.map((r) => (
+        <div key={r.record_id} className="rounded-2xl border p-4" style={{ borderColor: BRAND.stroke }}>
+          <div className="flex items-center justify-between gap-2">
+            <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+              SY {r.school_years?.sy_code || "—"} • {r.terms?.term_code || "—"}
+            </div>
+            <span
+              className="rounded-full px-3 py-1 text-[11px] font-extrabold"
+              style={{
+                background: r.remarks === "Failed" ? "rgba(244,63,94,0.12)" : BRAND.softGoldBg,
+                color: BRAND.brown,
+              }}
+            >
+              {r.remarks || "—"}
+            </span>
+          </div>
+
+          <div className="mt-3 grid gap-3 md:grid-cols-3">
+            <InfoRow label="1st Quarter" value={r.q1_grade ?? "—"} />
+            <InfoRow label="2nd Quarter" value={r.q2_grade ?? "—"} />
+            <InfoRow label="Final Grade" value={r.final_grade ?? "—"} />
+          </div>
+
+          <div className="mt-2 text-xs font-semibold" style={{ color: BRAND.muted }}>
+            Last updated: {r.updated_at ? new Date(r.updated_at).toLocaleString() : "—"}
+          </div>
+        </div>
+      ))}
+    </div>
+  );
+}
+
 function InfoRow({ label, value }) {
   return (
     <div className="rounded-2xl border bg-white p-4" style={{ borderColor: BRAND.stroke }}>
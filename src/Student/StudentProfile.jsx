@@ -3,6 +3,7 @@ import React, { useEffect, useMemo, useState } from "react";
 import { motion } from "framer-motion";
 import { Mail, MapPin, User, Save } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import SessionsPanel from "../components/SessionsPanel";
 
 const BRAND = {
   brown: "#2b1a12",
@@ -349,6 +350,8 @@ export default function StudentProfile() {
           </div>
         </motion.div>
       </div>
+
+      <SessionsPanel />
     </div>
   );
 }
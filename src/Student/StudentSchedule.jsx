@@ -8,8 +8,14 @@ import {
   GraduationCap,
   ChevronLeft,
   ChevronRight,
+  CalendarPlus,
+  CalendarOff,
 } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import { fetchTermContext } from "../lib/terms";
+import CalendarExport from "../components/CalendarExport";
+import { toISODate } from "../lib/recurrence";
+import { fetchNoClassDays, slotSuspension, makeupSlotsOn, noClassLabel } from "../lib/classCalendar";
 import { useNavigate } from "react-router-dom";
 
 const BRAND = {
@@ -108,8 +114,9 @@ function Select({ value, onChange, options, label }) {
 /**
  * Convert recurring schedule rows (day_of_week + start_time/end_time)
  * into concrete events for a given date range.
+ * noClassDays (lib/classCalendar) drops suspended periods and adds shifted make-up classes.
  */
-function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
+function materializeSchedule(scheduleRows, rangeStart, rangeEnd, noClassDays) {
   const days = [];
   let cur = startOfDay(rangeStart);
   const end = startOfDay(rangeEnd);
@@ -122,9 +129,13 @@ function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
   const events = [];
   for (const d of days) {
     const dow = dayIndexToCode(d.getDay()); // "Mon", "Tue", etc.
-    const rowsForDay = scheduleRows.filter((r) => r.day_of_week === dow);
+    const dateKey = toISODate(d);
+    const rowsForDay = scheduleRows
+      .filter((r) => r.day_of_week === dow && !slotSuspension(noClassDays, dateKey, r))
+      .map((r) => ({ r, makeupOf: null }));
+    const makeups = makeupSlotsOn(noClassDays, dateKey, scheduleRows).map((m) => ({ r: m.row, makeupOf: m.from }));
 
-    for (const r of rowsForDay) {
+    for (const { r, makeupOf } of [...rowsForDay, ...makeups]) {
       const { hh: sh, mm: sm } = hhmmToParts(r.start_time);
       const { hh: eh, mm: em } = hhmmToParts(r.end_time);
 
@@ -146,6 +157,7 @@ function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
         day_of_week: r.day_of_week,
         subject_id: r.subject_id ?? null,
         teacher_id: r.teacher_id ?? null,
+        makeup_of: makeupOf,
         _raw: r,
       });
     }
@@ -161,7 +173,8 @@ export default function StudentSchedule() {
 
   const [tab, setTab] = useState("Today"); // Today | Week | Month
   const [selectedDate, setSelectedDate] = useState(new Date());
-  const [termCode, setTermCode] = useState(DEFAULT_TERM_CODE);
+  const [termCode, setTermCode] = useState(""); // set from the active term once the SY loads
+  const [termCodes, setTermCodes] = useState(TERM_CODES);
 
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState(null);
@@ -169,6 +182,8 @@ export default function StudentSchedule() {
   const [activeSY, setActiveSY] = useState(null); // { sy_id, sy_code }
   const [student, setStudent] = useState(null); // { section_id, ... }
   const [scheduleRows, setScheduleRows] = useState([]); // raw recurring rows
+  const [noClassDays, setNoClassDays] = useState(new Map()); // holidays / suspensions
+  const [exportOpen, setExportOpen] = useState(false);
 
   const now = new Date();
 
@@ -214,6 +229,11 @@ export default function StudentSchedule() {
       }
       if (alive) setActiveSY({ sy_id: syRow.sy_id, sy_code: syRow.sy_code });
 
+      // Default to the year's active term (School Setup • Terms).
+      const ctx = await fetchTermContext(syRow.sy_id).catch(() => null);
+      if (alive && ctx?.terms.length) setTermCodes(ctx.terms.map((t) => t.term_code));
+      if (alive) setTermCode((cur) => cur || ctx?.current?.term_code || DEFAULT_TERM_CODE);
+
       // Student record (must exist)
       const { data: studentRow, error: studErr } = await supabase
         .from("students")
@@ -334,19 +354,46 @@ export default function StudentSchedule() {
     return { start, end };
   }, [selectedDate]);
 
+  // Holidays / class suspensions from calendar_events (month of selectedDate, padded)
+  const monthKey = toISODate(monthRange.start);
+  useEffect(() => {
+    let alive = true;
+
+    async function loadNoClassDays() {
+      try {
+        const first = new Date(`${monthKey}T00:00:00`);
+        const map = await fetchNoClassDays(
+          toISODate(startOfWeekMon(first)),
+          toISODate(endOfWeekSun(endOfMonth(first)))
+        );
+        if (alive) setNoClassDays(map);
+      } catch (e) {
+        // non-fatal: schedule still renders without calendar effects
+        console.warn("Calendar suspensions failed:", e?.message || e);
+      }
+    }
+
+    loadNoClassDays();
+    return () => {
+      alive = false;
+    };
+  }, [monthKey]);
+
   // Materialize events for week + month so UI works naturally
   const weekEvents = useMemo(() => {
-    return materializeSchedule(scheduleRows, weekRange.start, weekRange.end);
-  }, [scheduleRows, weekRange]);
+    return materializeSchedule(scheduleRows, weekRange.start, weekRange.end, noClassDays);
+  }, [scheduleRows, weekRange, noClassDays]);
 
   const monthEvents = useMemo(() => {
-    return materializeSchedule(scheduleRows, monthRange.start, monthRange.end);
-  }, [scheduleRows, monthRange]);
+    return materializeSchedule(scheduleRows, monthRange.start, monthRange.end, noClassDays);
+  }, [scheduleRows, monthRange, noClassDays]);
 
   const todayItems = useMemo(() => {
-    const list = materializeSchedule(scheduleRows, selectedDate, selectedDate);
+    const list = materializeSchedule(scheduleRows, selectedDate, selectedDate, noClassDays);
     return list.sort((a, b) => a.start - b.start);
-  }, [scheduleRows, selectedDate]);
+  }, [scheduleRows, selectedDate, noClassDays]);
+
+  const dayNoClass = noClassDays.get(toISODate(selectedDate)) || [];
 
   function goToCourses(course) {
     // you can read these values on student/courses via useLocation().state
@@ -397,7 +444,15 @@ export default function StudentSchedule() {
 
           <div className="flex flex-wrap items-center gap-2">
             {/* Term combo */}
-            <Select value={termCode} onChange={setTermCode} options={TERM_CODES} label="Term" />
+            <Select value={termCode} onChange={setTermCode} options={termCodes} label="Term" />
+            <button
+              onClick={() => setExportOpen(true)}
+              className="inline-flex items-center gap-2 rounded-2xl border bg-white px-4 py-2 text-sm font-semibold transition hover:bg-black/5"
+              style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+            >
+              <CalendarPlus className="h-4 w-4" style={{ color: BRAND.muted }} />
+              Export
+            </button>
             {["Today", "Week", "Month"].map((t) => (
               <button
                 key={t}
@@ -456,6 +511,8 @@ export default function StudentSchedule() {
         </div>
       </motion.div>
 
+      {dayNoClass.length ? <NoClassBanner entries={dayNoClass} /> : null}
+
       {/* Content */}
       {tab === "Today" ? (
         <TodayView
@@ -469,6 +526,7 @@ export default function StudentSchedule() {
         <WeekView
           items={weekEvents}
           range={weekRange}
+          noClassDays={noClassDays}
           selectedDate={selectedDate}
           onJump={setSelectedDate}
           loading={loading}
@@ -477,11 +535,54 @@ export default function StudentSchedule() {
       ) : (
         <MonthView
           items={monthEvents}
+          noClassDays={noClassDays}
           selectedDate={selectedDate}
           onPick={setSelectedDate}
           loading={loading}
         />
       )}
+
+      <CalendarExport
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        term={termCode}
+        title="Add my class schedule to a calendar"
+      />
+    </div>
+  );
+}
+
+function hhmmLabel(t) {
+  const { hh, mm } = hhmmToParts(t);
+  return formatTime(new Date(2000, 0, 1, hh, mm));
+}
+
+/* ✅ "No classes" banner for a holiday / suspension on the selected day */
+function NoClassBanner({ entries }) {
+  return (
+    <div
+      className="flex items-start gap-3 rounded-3xl border p-4"
+      style={{ borderColor: "rgba(244,63,94,0.25)", background: "rgba(244,63,94,0.06)" }}
+    >
+      <CalendarOff className="mt-0.5 h-5 w-5 text-rose-600" />
+      <div>
+        <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+          No classes
+        </div>
+        {entries.map((x) => (
+          <div
+            key={x.event.occurrence_key || x.event.id}
+            className="mt-1 text-xs font-semibold"
+            style={{ color: BRAND.muted }}
+          >
+            {noClassLabel(x)}
+            {x.window ? ` • ${hhmmLabel(x.window.start)} — ${hhmmLabel(x.window.end)} only` : ""}
+            {x.effect === "Shift" && x.makeup_date
+              ? ` • moved to ${new Date(`${x.makeup_date}T00:00:00`).toLocaleDateString()}`
+              : ""}
+          </div>
+        ))}
+      </div>
     </div>
   );
 }
@@ -554,6 +655,12 @@ function TodayView({ items, now, loading, onOpenCourse }) {
                     {c.code}
                   </div>
 
+                  {c.makeup_of ? (
+                    <div className="mt-1 text-[11px] font-extrabold text-amber-700">
+                      Make-up class for {new Date(`${c.makeup_of}T00:00:00`).toLocaleDateString()}
+                    </div>
+                  ) : null}
+
                   <div className="mt-2 grid gap-2 text-xs font-semibold" style={{ color: BRAND.muted }}>
                     <div className="flex items-center gap-2">
                       <GraduationCap className="h-4 w-4" />
@@ -606,7 +713,7 @@ function TodayView({ items, now, loading, onOpenCourse }) {
   );
 }
 
-function WeekView({ items, range, selectedDate, onJump, loading, onOpenCourse }) {
+function WeekView({ items, range, noClassDays, selectedDate, onJump, loading, onOpenCourse }) {
   const days = useMemo(() => {
     const arr = [];
     const start = startOfDay(range.start);
@@ -634,6 +741,7 @@ function WeekView({ items, range, selectedDate, onJump, loading, onOpenCourse })
       <div className="mt-4 grid gap-3 md:grid-cols-7">
         {days.map((d) => {
           const dayItems = items.filter((x) => sameDay(x.date, d));
+          const noClass = noClassDays?.get(toISODate(d)) || [];
           const active = sameDay(d, selectedDate);
           return (
             <button
@@ -652,6 +760,15 @@ function WeekView({ items, range, selectedDate, onJump, loading, onOpenCourse })
               <div className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
                 {d.toLocaleDateString(undefined, { month: "short", day: "numeric" })}
               </div>
+              {noClass.map((x) => (
+                <div
+                  key={x.event.occurrence_key || x.event.id}
+                  className="mt-2 rounded-xl bg-rose-50 px-2 py-1 text-[10px] font-extrabold text-rose-700"
+                  title={noClassLabel(x)}
+                >
+                  {x.event.title}
+                </div>
+              ))}
 
               <div className="mt-2 space-y-2">
                 {!loading && dayItems.length === 0 ? (
@@ -670,6 +787,7 @@ function WeekView({ items, range, selectedDate, onJump, loading, onOpenCourse })
                       </div>
                       <div className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
                         {formatTime(c.start)}
+                        {c.makeup_of ? " • Make-up" : ""}
                       </div>
                     </div>
                   ))
@@ -744,7 +862,7 @@ function WeekView({ items, range, selectedDate, onJump, loading, onOpenCourse })
   );
 }
 
-function MonthView({ items, selectedDate, onPick, loading }) {
+function MonthView({ items, noClassDays, selectedDate, onPick, loading }) {
   const [cursor, setCursor] = useState(new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1));
 
   const grid = useMemo(() => {
@@ -812,6 +930,7 @@ function MonthView({ items, selectedDate, onPick, loading }) {
         {grid.map((d) => {
           const inMonth = d.getMonth() === cursor.getMonth();
           const hasClasses = items.some((x) => sameDay(x.date, d));
+          const noClass = noClassDays?.get(toISODate(d));
           const isSel = sameDay(d, selectedDate);
           const isToday = sameDay(d, new Date());
 
@@ -841,7 +960,11 @@ function MonthView({ items, selectedDate, onPick, loading }) {
                 ) : null}
               </div>
 
-              {hasClasses ? (
+              {noClass ? (
+                <div className="mt-2 text-[11px] font-extrabold text-rose-600">
+                  {noClass.every((x) => x.window) ? "Suspended" : "No classes"}
+                </div>
+              ) : hasClasses ? (
                 <div className="mt-2 flex items-center gap-2">
                   <span className="h-2 w-2 rounded-full" style={{ background: BRAND.gold }} />
                   <span className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
@@ -21,6 +21,7 @@
 //
 // Notes:
 // - This page does NOT create lesson_instances; it only creates the assignment row.
+// - Students only see lessons assigned to their section; scheduled_date is the unlock date, due_date is shown as due info.
 // - RLS should enforce: assigned_by = auth.uid() and teacher_can_access_section(section_id)
 
 import React, { useEffect, useMemo, useState } from "react";
@@ -73,6 +74,7 @@ export default function AssignLesson() {
   // form state
   const [selectedScheduleId, setSelectedScheduleId] = useState("");
   const [scheduledDate, setScheduledDate] = useState(""); // YYYY-MM-DD optional
+  const [dueDate, setDueDate] = useState(""); // YYYY-MM-DD optional
 
   useEffect(() => {
     if (!isUuid(lessonId)) return;
@@ -199,6 +201,11 @@ export default function AssignLesson() {
   async function submit() {
     if (!canSubmit) return;
 
+    if (dueDate && scheduledDate && dueDate < scheduledDate) {
+      alert("Due date cannot be earlier than the scheduled date.");
+      return;
+    }
+
     try {
       setLoading(true);
 
@@ -210,6 +217,7 @@ export default function AssignLesson() {
         schedule_id: selectedSlot.schedule_id,
         assigned_by: me.id,
         scheduled_date: scheduledDate || null,
+        due_date: dueDate || null,
       };
 
       const { error } = await supabase.from("lesson_assignments").insert(payload);
@@ -348,6 +356,28 @@ export default function AssignLesson() {
               className="w-full text-sm outline-none"
             />
           </div>
+          <div className="mt-1 text-xs text-black/45">
+            Students in the section see the lesson starting on this date. Leave blank to open it right away.
+          </div>
+        </label>
+
+        {/* Due Date */}
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">
+            Due Date{" "}
+            <span className="font-normal text-black/40">(optional)</span>
+          </span>
+          <div className="mt-1 flex items-center gap-2 rounded-xl border border-black/10 bg-white px-3 py-2">
+            <CalendarDays className="h-4 w-4 text-black/45" />
+            <input
+              type="date"
+              value={dueDate}
+              min={scheduledDate || undefined}
+              onChange={(e) => setDueDate(e.target.value)}
+              disabled={loading}
+              className="w-full text-sm outline-none"
+            />
+          </div>
         </label>
 
         {/* Preview selection */}
@@ -385,6 +415,13 @@ export default function AssignLesson() {
                     "—"}
                 </span>
               </div>
+              <div>
+                <span className="font-semibold">Visible to students:</span>{" "}
+                <span className="font-bold text-black/70">
+                  {scheduledDate ? `from ${scheduledDate}` : "immediately"}
+                  {dueDate ? ` • due ${dueDate}` : ""}
+                </span>
+              </div>
             </div>
           </div>
         ) : null}
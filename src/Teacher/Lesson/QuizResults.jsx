@@ -0,0 +1,416 @@
+// Teacher/Lesson/QuizResults.jsx
+//
+// Quiz Results (Teacher) — rendered inside Submission Review for "Quiz" activities
+// - Student scores (auto-graded by submit_quiz_attempt)
+// - Item analysis: % correct, discrimination index, choice distribution
+// - Push scores into a class grade record (grade_items + grade_scores, then recompute grade_records)
+
+import React, { useEffect, useMemo, useState } from "react";
+import { supabase } from "../../lib/supabaseClient";
+import { BarChart3, Send } from "lucide-react";
+import { GRADE_COMPONENTS, QUARTERS, gradeWeights } from "../../lib/grades";
+import {
+  QUESTION_TYPES,
+  fetchLessonQuizzes,
+  fetchQuizAttempts,
+  itemAnalysis,
+  pushQuizScoresToGradebook,
+  quizMaxScore,
+} from "../../lib/quizzes";
+
+const UI = {
+  text: "text-[#1F1A14]",
+  muted: "text-black/55",
+  border: "border-black/10",
+  goldBg: "bg-[#C9A227]",
+};
+
+function studentName(s) {
+  if (!s) return "Unknown student";
+  const mi = s.middle_initial ? ` ${String(s.middle_initial).trim()}.` : "";
+  return `${s.last_name || ""}, ${s.first_name || ""}${mi}`.trim();
+}
+
+function pctClass(p) {
+  if (p == null) return "text-black/40";
+  if (p >= 75) return "text-emerald-700";
+  if (p >= 40) return "text-amber-700";
+  return "text-rose-700";
+}
+
+export default function QuizResults({ activity, lesson, me }) {
+  const [loading, setLoading] = useState(true);
+  const [quiz, setQuiz] = useState(null);
+  const [attempts, setAttempts] = useState([]);
+
+  useEffect(() => {
+    let alive = true;
+
+    (async () => {
+      setLoading(true);
+      try {
+        const [quizMap, rows] = await Promise.all([
+          fetchLessonQuizzes([activity.activity_id]),
+          fetchQuizAttempts(activity.activity_id),
+        ]);
+        if (!alive) return;
+        setQuiz(quizMap.get(activity.activity_id) || null);
+        setAttempts(rows);
+      } catch (e) {
+        if (alive) alert(`Failed to load quiz results: ${e?.message || e}`);
+      } finally {
+        if (alive) setLoading(false);
+      }
+    })();
+
+    return () => {
+      alive = false;
+    };
+  }, [activity.activity_id]);
+
+  const analysis = useMemo(() => itemAnalysis(quiz?.questions || [], attempts), [quiz, attempts]);
+
+  const summary = useMemo(() => {
+    if (!attempts.length) return null;
+    const pcts = attempts.map((a) => (Number(a.max_score) ? (Number(a.score) / Number(a.max_score)) * 100 : 0));
+    const mean = pcts.reduce((x, y) => x + y, 0) / pcts.length;
+    return {
+      count: attempts.length,
+      mean: Math.round(mean),
+      high: Math.round(Math.max(...pcts)),
+      low: Math.round(Math.min(...pcts)),
+      late: attempts.filter((a) => a.is_late).length,
+    };
+  }, [attempts]);
+
+  if (loading) {
+    return <div className={`rounded-2xl border ${UI.border} bg-white p-4 text-sm ${UI.muted}`}>Loading quiz results…</div>;
+  }
+
+  if (!quiz) {
+    return (
+      <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-900">
+        This quiz has no questions saved yet. Add questions in the lesson builder.
+      </div>
+    );
+  }
+
+  const maxScore = quizMaxScore(quiz.questions);
+
+  return (
+    <div className={`${UI.text} space-y-4`}>
+      {/* Summary */}
+      <div className={`rounded-2xl border ${UI.border} bg-white p-4`}>
+        <div className="flex items-center gap-2 text-base font-extrabold">
+          <BarChart3 className="h-4 w-4" />
+          Quiz results
+        </div>
+        <div className={`mt-1 text-sm ${UI.muted}`}>
+          {quiz.questions.length} question(s) • {maxScore} pts
+          {quiz.timeLimitMinutes ? ` • ${quiz.timeLimitMinutes} min` : " • No time limit"}
+        </div>
+        {summary ? (
+          <div className="mt-3 grid grid-cols-2 gap-2 text-sm sm:grid-cols-5">
+            {[
+              ["Submitted", summary.count],
+              ["Mean", `${summary.mean}%`],
+              ["Highest", `${summary.high}%`],
+              ["Lowest", `${summary.low}%`],
+              ["Late", summary.late],
+            ].map(([label, value]) => (
+              <div key={label} className="rounded-xl border border-black/10 bg-black/[0.02] p-2">
+                <div className="text-xs text-black/50">{label}</div>
+                <div className="font-extrabold">{value}</div>
+              </div>
+            ))}
+          </div>
+        ) : (
+          <div className="mt-3 text-sm text-black/40">No submitted attempts yet.</div>
+        )}
+      </div>
+
+      {/* Item analysis */}
+      {attempts.length ? (
+        <div className={`rounded-2xl border ${UI.border} bg-white p-4`}>
+          <div className="text-sm font-extrabold">Item analysis</div>
+          <div className="mt-1 text-xs text-black/50">
+            Discrimination compares the top and bottom 27% of scorers (≥ 0.30 good, below 0.20 review the item).
+          </div>
+
+          <div className="mt-3 overflow-x-auto">
+            <table className="w-full text-left text-sm">
+              <thead className="text-xs text-black/55">
+                <tr className="border-b border-black/10">
+                  <th className="py-2 pr-3">#</th>
+                  <th className="py-2 pr-3">Question</th>
+                  <th className="py-2 pr-3">Type</th>
+                  <th className="py-2 pr-3 text-right">Correct</th>
+                  <th className="py-2 pr-3 text-right">Discrimination</th>
+                </tr>
+              </thead>
+              <tbody>
+                {analysis.map((it, i) => (
+                  <tr key={it.id} className="border-b border-black/5 align-top">
+                    <td className="py-2 pr-3 font-semibold">{i + 1}</td>
+                    <td className="py-2 pr-3">
+                      <div className="line-clamp-2">{it.prompt}</div>
+                      {it.choices ? (
+                        <div className="mt-1 flex flex-wrap gap-1">
+                          {it.choices.map((c) => (
+                            <span
+                              key={c.id}
+                              className={`rounded-full border px-2 py-0.5 text-[11px] ${
+                                c.isAnswer ? "border-emerald-200 bg-emerald-50 text-emerald-800" : "border-black/10 text-black/60"
+                              }`}
+                            >
+                              {c.text || "—"}: {c.count}
+                            </span>
+                          ))}
+                        </div>
+                      ) : null}
+                    </td>
+                    <td className="py-2 pr-3 text-xs text-black/55">
+                      {QUESTION_TYPES.find((t) => t.key === it.type)?.label ?? it.type}
+                    </td>
+                    <td className={`py-2 pr-3 text-right font-bold ${pctClass(it.pctCorrect)}`}>
+                      {it.pctCorrect == null ? "—" : `${it.pctCorrect}%`}
+                    </td>
+                    <td className="py-2 pr-3 text-right">{it.discrimination == null ? "—" : it.discrimination.toFixed(2)}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        </div>
+      ) : null}
+
+      {/* Scores */}
+      {attempts.length ? (
+        <div className={`rounded-2xl border ${UI.border} bg-white p-4`}>
+          <div className="text-sm font-extrabold">Scores</div>
+          <div className="mt-2 grid gap-1">
+            {attempts.map((a) => (
+              <div key={a.attempt_id} className="flex items-center justify-between gap-3 text-sm">
+                <div className="min-w-0 truncate">
+                  <span className="font-semibold">{studentName(a.students)}</span>{" "}
+                  <span className="text-xs text-black/50">{a.students?.student_number || ""}</span>
+                </div>
+                <div className="shrink-0">
+                  {a.is_late ? <span className="mr-2 text-[11px] font-bold text-amber-700">LATE</span> : null}
+                  <span className="font-bold">
+                    {a.score} / {a.max_score}
+                  </span>
+                </div>
+              </div>
+            ))}
+          </div>
+        </div>
+      ) : null}
+
+      {attempts.length ? (
+        <PushToGradebook activity={activity} lesson={lesson} me={me} attempts={attempts} maxScore={maxScore} />
+      ) : null}
+    </div>
+  );
+}
+
+function PushToGradebook({ activity, lesson, me, attempts, maxScore }) {
+  const [classes, setClasses] = useState([]);
+  const [classKey, setClassKey] = useState("");
+  const [quarter, setQuarter] = useState(QUARTERS[0]);
+  const [component, setComponent] = useState("WW");
+  const [title, setTitle] = useState(activity.title || "Quiz");
+  const [busy, setBusy] = useState(false);
+  const [msg, setMsg] = useState("");
+
+  useEffect(() => {
+    let alive = true;
+
+    (async () => {
+      try {
+        if (!me?.id) return;
+
+        const { data: sy, error: syErr } = await supabase
+          .from("school_years")
+          .select("sy_id")
+          .eq("status", "Active")
+          .single();
+        if (syErr) throw syErr;
+
+        let q = supabase
+          .from("section_schedules")
+          .select(
+            `
+            sy_id,
+            term_id,
+            section_id,
+            subject_id,
+            teacher_id,
+            subjects:subject_id ( subject_title, subject_code, subject_type ),
+            sections:section_id ( section_name, tracks:track_id ( track_code ) ),
+            terms:term_id ( term_code )
+          `
+          )
+          .eq("sy_id", sy.sy_id)
+          .eq("teacher_id", me.id);
+        if (lesson?.subject_id) q = q.eq("subject_id", lesson.subject_id);
+
+        const { data, error } = await q;
+        if (error) throw error;
+
+        // One entry per class (a class has several weekly slots).
+        const byKey = new Map();
+        (data || []).forEach((r) => {
+          const key = [r.term_id, r.section_id, r.subject_id].join(":");
+          if (!byKey.has(key)) byKey.set(key, { key, ...r });
+        });
+
+        const sectionsWithAttempts = new Set(attempts.map((a) => a.section_id));
+        const list = Array.from(byKey.values()).sort((a, b) =>
+          String(a.sections?.section_name || "").localeCompare(String(b.sections?.section_name || ""))
+        );
+
+        if (!alive) return;
+        setClasses(list);
+        setClassKey(list.find((c) => sectionsWithAttempts.has(c.section_id))?.key || list[0]?.key || "");
+      } catch (e) {
+        if (alive) setMsg(`Failed to load classes: ${e?.message || e}`);
+      }
+    })();
+
+    return () => {
+      alive = false;
+    };
+  }, [me?.id, lesson?.subject_id, attempts]);
+
+  const cls = classes.find((c) => c.key === classKey) || null;
+  const inClass = cls ? attempts.filter((a) => a.section_id === cls.section_id).length : 0;
+
+  async function push() {
+    if (!cls) return;
+    if (!String(title).trim()) {
+      alert("Enter a title for the grade item.");
+      return;
+    }
+    if (!window.confirm(`Add "${title}" (${maxScore} pts) to ${cls.sections?.section_name || "this class"} and recompute grades?`)) {
+      return;
+    }
+
+    setBusy(true);
+    setMsg("");
+    try {
+      const res = await pushQuizScoresToGradebook({
+        cls: {
+          sy_id: cls.sy_id,
+          term_id: cls.term_id,
+          section_id: cls.section_id,
+          subject_id: cls.subject_id,
+          teacher_id: cls.teacher_id,
+        },
+        quarter,
+        component,
+        title: String(title).trim(),
+        maxScore,
+        attempts,
+        weights: gradeWeights(cls.subjects?.subject_type, cls.sections?.tracks?.track_code),
+      });
+      setMsg(`✅ Added to gradebook with ${res.scored} score(s). Grades recomputed.`);
+    } catch (e) {
+      console.error("pushQuizScoresToGradebook error:", e);
+      setMsg(`Push failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <div className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-3`}>
+      <div>
+        <div className="text-sm font-extrabold">Push scores to class grade record</div>
+        <div className="mt-1 text-xs text-black/50">
+          Creates a grade item in the class gradebook with each student&apos;s quiz score, then recomputes quarterly grades.
+        </div>
+      </div>
+
+      <div className="grid gap-3 sm:grid-cols-2">
+        <label className="block sm:col-span-2">
+          <span className="text-xs font-semibold text-black/55">Class</span>
+          <select
+            value={classKey}
+            onChange={(e) => setClassKey(e.target.value)}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          >
+            {!classes.length ? <option value="">No matching classes in the active school year</option> : null}
+            {classes.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.sections?.section_name || "Section"} • {c.subjects?.subject_title || c.subjects?.subject_code || "Subject"}
+                {c.terms?.term_code ? ` • ${c.terms.term_code}` : ""}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">Quarter</span>
+          <select
+            value={quarter}
+            onChange={(e) => setQuarter(Number(e.target.value))}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          >
+            {QUARTERS.map((q) => (
+              <option key={q} value={q}>
+                Quarter {q}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">Component</span>
+          <select
+            value={component}
+            onChange={(e) => setComponent(e.target.value)}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          >
+            {GRADE_COMPONENTS.map((c) => (
+              <option key={c.key} value={c.key}>
+                {c.label}
+              </option>
+            ))}
+          </select>
+        </label>
+
+        <label className="block sm:col-span-2">
+          <span className="text-xs font-semibold text-black/55">Grade item title</span>
+          <input
+            value={title}
+            onChange={(e) => setTitle(e.target.value)}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          />
+        </label>
+      </div>
+
+      {cls ? (
+        <div className="text-xs text-black/50">
+          {inClass} of {attempts.length} attempt(s) belong to this section. Students without an attempt get no score.
+        </div>
+      ) : null}
+
+      {msg ? <div className="text-xs font-semibold text-black/70">{msg}</div> : null}
+
+      <button
+        type="button"
+        onClick={push}
+        disabled={busy || !cls || !inClass}
+        className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+      >
+        <Send className="h-4 w-4" />
+        {busy ? "Pushing…" : "Push to gradebook"}
+      </button>
+    </div>
+  );
+}
@@ -0,0 +1,444 @@
+// Teacher/Lesson/SubmissionReview.jsx
+//
+// Submission Review (Teacher)
+// - Lists the teacher's own lessons (lessons.owner_teacher_id = auth.uid()) that have attachable or Quiz activities
+// - Pick an activity => see every student submission for it
+// - Open text/files, set score + feedback, then either return for resubmission or mark graded
+// - Quiz activities show auto-graded results + item analysis (QuizResults)
+//
+// Tables used:
+// - lessons, lesson_parts, lesson_activities (read)
+// - activity_submissions (read/update via src/lib/submissions.js)
+// - lesson_quizzes, quiz_attempts (read via src/lib/quizzes.js)
+// - storage bucket "submissions" (signed URLs)
+
+import React, { useEffect, useMemo, useState } from "react";
+import { supabase } from "../../lib/supabaseClient";
+import { CheckCircle2, FileText, Inbox, RotateCcw } from "lucide-react";
+import {
+  fetchSubmissionsForActivity,
+  reviewSubmission,
+  signedSubmissionUrl,
+} from "../../lib/submissions";
+import QuizResults from "./QuizResults.jsx";
+
+const UI = {
+  pageBg: "bg-white",
+  text: "text-[#1F1A14]",
+  muted: "text-black/55",
+  border: "border-black/10",
+  goldBg: "bg-[#C9A227]",
+};
+
+function fmtDateTime(iso) {
+  if (!iso) return "—";
+  try {
+    return new Date(iso).toLocaleString();
+  } catch {
+    return String(iso);
+  }
+}
+
+function studentName(s) {
+  if (!s) return "Unknown student";
+  const mi = s.middle_initial ? ` ${String(s.middle_initial).trim()}.` : "";
+  return `${s.last_name || ""}, ${s.first_name || ""}${mi}`.trim();
+}
+
+function statusClass(status) {
+  if (status === "Graded") return "bg-emerald-50 text-emerald-800 border-emerald-200";
+  if (status === "Returned") return "bg-amber-50 text-amber-900 border-amber-200";
+  if (status === "Resubmitted") return "bg-sky-50 text-sky-800 border-sky-200";
+  return "bg-black/[0.03] text-black/70 border-black/10";
+}
+
+export default function SubmissionReview() {
+  const [loading, setLoading] = useState(false);
+  const [me, setMe] = useState(null);
+
+  // [{ lesson_id, title, subject_id, activities: [{ activity_id, title, activity_type, attachable, part_title }] }]
+  const [lessons, setLessons] = useState([]);
+  const [activityId, setActivityId] = useState("");
+
+  const [subs, setSubs] = useState([]);
+  const [subsLoading, setSubsLoading] = useState(false);
+  const [selectedId, setSelectedId] = useState("");
+
+  useEffect(() => {
+    init();
+  }, []);
+
+  async function init() {
+    setLoading(true);
+    try {
+      const { data: userRes, error: userErr } = await supabase.auth.getUser();
+      if (userErr) throw userErr;
+      const user = userRes?.user;
+      if (!user?.id) throw new Error("Not authenticated.");
+      setMe(user);
+
+      const { data: ls, error: lErr } = await supabase
+        .from("lessons")
+        .select("lesson_id, title, subject_id, updated_at")
+        .eq("owner_teacher_id", user.id)
+        .order("updated_at", { ascending: false });
+      if (lErr) throw lErr;
+
+      const lessonIds = (ls || []).map((l) => l.lesson_id);
+      if (!lessonIds.length) {
+        setLessons([]);
+        return;
+      }
+
+      const { data: parts, error: pErr } = await supabase
+        .from("lesson_parts")
+        .select("part_id, lesson_id, title, sort_order")
+        .in("lesson_id", lessonIds);
+      if (pErr) throw pErr;
+
+      const partById = new Map((parts || []).map((p) => [p.part_id, p]));
+      const partIds = Array.from(partById.keys());
+
+      let acts = [];
+      if (partIds.length) {
+        const { data, error } = await supabase
+          .from("lesson_activities")
+          .select("activity_id, part_id, sort_order, activity_type, title, attachable")
+          .in("part_id", partIds)
+          .or("attachable.eq.true,activity_type.eq.Quiz")
+          .order("sort_order", { ascending: true });
+        if (error) throw error;
+        acts = data || [];
+      }
+
+      const byLesson = new Map();
+      acts.forEach((a) => {
+        const part = partById.get(a.part_id);
+        if (!part) return;
+        const arr = byLesson.get(part.lesson_id) || [];
+        arr.push({ ...a, part_title: part.title, part_order: part.sort_order });
+        byLesson.set(part.lesson_id, arr);
+      });
+
+      const list = (ls || [])
+        .filter((l) => byLesson.has(l.lesson_id))
+        .map((l) => ({
+          ...l,
+          activities: byLesson
+            .get(l.lesson_id)
+            .sort((a, b) => (a.part_order ?? 0) - (b.part_order ?? 0) || (a.sort_order ?? 0) - (b.sort_order ?? 0)),
+        }));
+
+      setLessons(list);
+    } catch (e) {
+      console.error("SubmissionReview init error:", e);
+      alert(`Failed to load lessons: ${e?.message || e}`);
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  const selectedActivity = useMemo(() => {
+    for (const l of lessons) {
+      const a = l.activities.find((x) => x.activity_id === activityId);
+      if (a) return { activity: a, lesson: l };
+    }
+    return null;
+  }, [lessons, activityId]);
+
+  const showSubmissions = Boolean(selectedActivity?.activity.attachable);
+
+  useEffect(() => {
+    let alive = true;
+    if (!activityId || !showSubmissions) {
+      setSubs([]);
+      setSelectedId("");
+      return;
+    }
+
+    (async () => {
+      setSubsLoading(true);
+      try {
+        const rows = await fetchSubmissionsForActivity(activityId);
+        if (!alive) return;
+        setSubs(rows);
+        setSelectedId((prev) => (rows.some((r) => r.submission_id === prev) ? prev : rows[0]?.submission_id || ""));
+      } catch (e) {
+        if (alive) alert(`Failed to load submissions: ${e?.message || e}`);
+      } finally {
+        if (alive) setSubsLoading(false);
+      }
+    })();
+
+    return () => {
+      alive = false;
+    };
+  }, [activityId, showSubmissions]);
+
+  const selected = useMemo(() => subs.find((s) => s.submission_id === selectedId) || null, [subs, selectedId]);
+
+  const counts = useMemo(() => {
+    const c = { total: subs.length, pending: 0, graded: 0 };
+    subs.forEach((s) => {
+      if (s.status === "Graded") c.graded += 1;
+      else if (s.status !== "Returned") c.pending += 1;
+    });
+    return c;
+  }, [subs]);
+
+  function onReviewed(row) {
+    setSubs((prev) => prev.map((s) => (s.submission_id === row.submission_id ? { ...s, ...row } : s)));
+  }
+
+  return (
+    <div className={`${UI.pageBg} ${UI.text} space-y-4`}>
+      {/* Header card */}
+      <div className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-2`}>
+        <div className="text-lg font-extrabold">Submissions</div>
+        <div className={`text-sm ${UI.muted}`}>
+          Review student work for attachable activities and quiz results in your lessons.
+        </div>
+      </div>
+
+      {/* Activity picker */}
+      <div className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-2`}>
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">Activity</span>
+          <select
+            value={activityId}
+            onChange={(e) => setActivityId(e.target.value)}
+            disabled={loading}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          >
+            <option value="">{loading ? "Loading…" : "Select an activity…"}</option>
+            {lessons.map((l) => (
+              <optgroup key={l.lesson_id} label={l.title}>
+                {l.activities.map((a) => (
+                  <option key={a.activity_id} value={a.activity_id}>
+                    {a.part_title ? `${a.part_title} • ` : ""}
+                    {a.title} ({a.activity_type})
+                  </option>
+                ))}
+              </optgroup>
+            ))}
+          </select>
+        </label>
+
+        {!loading && lessons.length === 0 ? (
+          <div className="rounded-xl border border-amber-200 bg-amber-50 p-3 text-xs text-amber-900">
+            None of your lessons have attachable or quiz activities yet. Mark an activity as “Attachable” or add a Quiz in the lesson builder.
+          </div>
+        ) : null}
+
+        {showSubmissions ? (
+          <div className="text-xs text-black/50">
+            {counts.total} submission(s) • {counts.pending} to review • {counts.graded} graded
+          </div>
+        ) : null}
+      </div>
+
+      {selectedActivity?.activity.activity_type === "Quiz" ? (
+        <QuizResults activity={selectedActivity.activity} lesson={selectedActivity.lesson} me={me} />
+      ) : null}
+
+      {showSubmissions ? (
+        <div className="grid gap-4 lg:grid-cols-[minmax(0,1fr)_minmax(0,1.3fr)]">
+          {/* List */}
+          <div className={`rounded-2xl border ${UI.border} bg-white p-2`}>
+            {subsLoading ? (
+              <div className={`p-4 text-sm ${UI.muted}`}>Loading submissions…</div>
+            ) : subs.length === 0 ? (
+              <div className={`flex flex-col items-center gap-2 p-8 text-sm ${UI.muted}`}>
+                <Inbox className="h-6 w-6" />
+                No submissions yet.
+              </div>
+            ) : (
+              <div className="grid gap-1">
+                {subs.map((s) => {
+                  const active = s.submission_id === selectedId;
+                  return (
+                    <button
+                      key={s.submission_id}
+                      type="button"
+                      onClick={() => setSelectedId(s.submission_id)}
+                      className={`flex items-center justify-between gap-3 rounded-xl px-3 py-2 text-left text-sm ${
+                        active ? "bg-[#C9A227]/15" : "hover:bg-black/[0.03]"
+                      }`}
+                    >
+                      <div className="min-w-0">
+                        <div className="truncate font-bold">{studentName(s.students)}</div>
+                        <div className="text-xs text-black/50">
+                          {s.students?.student_number || "—"} • Attempt {s.attempt} • {fmtDateTime(s.submitted_at)}
+                        </div>
+                      </div>
+                      <span className={`shrink-0 rounded-full border px-2 py-0.5 text-[11px] font-bold ${statusClass(s.status)}`}>
+                        {s.status}
+                      </span>
+                    </button>
+                  );
+                })}
+              </div>
+            )}
+          </div>
+
+          {/* Review */}
+          {selected ? (
+            <ReviewPanel key={selected.submission_id} sub={selected} reviewerId={me?.id} onReviewed={onReviewed} />
+          ) : (
+            <div className={`rounded-2xl border ${UI.border} bg-white p-4 text-sm ${UI.muted}`}>
+              Select a submission to review.
+            </div>
+          )}
+        </div>
+      ) : null}
+    </div>
+  );
+}
+
+function ReviewPanel({ sub, reviewerId, onReviewed }) {
+  const [score, setScore] = useState(sub.score ?? "");
+  const [maxScore, setMaxScore] = useState(sub.max_score ?? "");
+  const [feedback, setFeedback] = useState(sub.feedback || "");
+  const [busy, setBusy] = useState(false);
+
+  async function openFile(f) {
+    try {
+      const url = await signedSubmissionUrl(f.file_path);
+      if (url) window.open(url, "_blank", "noopener,noreferrer");
+    } catch (e) {
+      alert(`Failed to open file: ${e?.message || e}`);
+    }
+  }
+
+  async function save(status) {
+    if (status === "Graded" && score === "") {
+      alert("Enter a score before marking as graded.");
+      return;
+    }
+    if (status === "Returned" && !String(feedback || "").trim()) {
+      alert("Add feedback so the student knows what to fix.");
+      return;
+    }
+
+    setBusy(true);
+    try {
+      const row = await reviewSubmission({
+        submissionId: sub.submission_id,
+        status,
+        score,
+        maxScore,
+        feedback,
+        reviewerId,
+      });
+      onReviewed?.(row);
+    } catch (e) {
+      console.error("reviewSubmission error:", e);
+      alert(`Save failed: ${e?.message || e}`);
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  const files = Array.isArray(sub.files) ? sub.files : [];
+
+  return (
+    <div className={`rounded-2xl border ${UI.border} bg-white p-4 space-y-4`}>
+      <div className="flex items-start justify-between gap-3">
+        <div>
+          <div className="text-base font-extrabold">{studentName(sub.students)}</div>
+          <div className="text-xs text-black/50">
+            Attempt {sub.attempt} • Submitted {fmtDateTime(sub.submitted_at)}
+            {sub.reviewed_at ? ` • Reviewed ${fmtDateTime(sub.reviewed_at)}` : ""}
+          </div>
+        </div>
+        <span className={`rounded-full border px-2 py-0.5 text-[11px] font-bold ${statusClass(sub.status)}`}>
+          {sub.status}
+        </span>
+      </div>
+
+      <div className="rounded-xl border border-black/10 bg-black/[0.02] p-3">
+        <div className="text-xs font-semibold text-black/55">Answer</div>
+        <div className="mt-1 whitespace-pre-wrap text-sm">
+          {sub.text_body || <span className="text-black/40">No text answer.</span>}
+        </div>
+      </div>
+
+      <div>
+        <div className="text-xs font-semibold text-black/55">Files</div>
+        {files.length ? (
+          <div className="mt-1 grid gap-1">
+            {files.map((f) => (
+              <button
+                key={f.file_path}
+                type="button"
+                onClick={() => openFile(f)}
+                className="inline-flex items-center gap-2 text-left text-sm hover:underline"
+              >
+                <FileText className="h-4 w-4 text-black/45" />
+                {f.name}
+              </button>
+            ))}
+          </div>
+        ) : (
+          <div className="mt-1 text-sm text-black/40">No files attached.</div>
+        )}
+      </div>
+
+      <div className="grid grid-cols-2 gap-3">
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">Score</span>
+          <input
+            type="number"
+            min="0"
+            value={score}
+            onChange={(e) => setScore(e.target.value)}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          />
+        </label>
+        <label className="block">
+          <span className="text-xs font-semibold text-black/55">Out of</span>
+          <input
+            type="number"
+            min="0"
+            value={maxScore}
+            onChange={(e) => setMaxScore(e.target.value)}
+            disabled={busy}
+            className="mt-1 w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+          />
+        </label>
+      </div>
+
+      <label className="block">
+        <span className="text-xs font-semibold text-black/55">Feedback</span>
+        <textarea
+          value={feedback}
+          onChange={(e) => setFeedback(e.target.value)}
+          disabled={busy}
+          className="mt-1 min-h-[90px] w-full rounded-xl border border-black/10 bg-white px-3 py-2 text-sm outline-none focus:ring-2 focus:ring-[#C9A227]/40"
+        />
+      </label>
+
+      <div className="flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={() => save("Returned")}
+          disabled={busy}
+          className="inline-flex items-center gap-2 rounded-xl border border-black/10 bg-white px-4 py-2 text-sm font-semibold hover:bg-black/[0.02] disabled:opacity-60"
+        >
+          <RotateCcw className="h-4 w-4" />
+          Return for resubmission
+        </button>
+        <button
+          type="button"
+          onClick={() => save("Graded")}
+          disabled={busy}
+          className={`inline-flex items-center gap-2 rounded-xl px-4 py-2 text-sm font-extrabold ${UI.goldBg} text-black hover:opacity-95 disabled:opacity-60`}
+        >
+          <CheckCircle2 className="h-4 w-4" />
+          Mark graded
+        </button>
+      </div>
+    </div>
+  );
+}
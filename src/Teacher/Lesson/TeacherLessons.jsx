@@ -63,6 +63,15 @@ import {
 
 // ✅ Supabase client (adjust path to your project structure)
 import { supabase } from "@/lib/supabaseClient";
+import {
+  QUESTION_TYPES,
+  blankQuestion,
+  emptyQuiz,
+  fetchLessonQuizzes,
+  quizMaxScore,
+  saveLessonQuizzes,
+  validateQuiz,
+} from "@/lib/quizzes";
 
 /**
  * Teacher Portal – Lesson Builder UI (Library)
@@ -603,6 +612,243 @@ const { data, error } = await supabase.functions.invoke("lesson-overview", {
   );
 }
 
+function QuizBuilder({ quiz, onChange }) {
+  const questions = quiz.questions || [];
+
+  function setQuestion(qid, patch) {
+    onChange({
+      ...quiz,
+      questions: questions.map((q) => (q.id === qid ? { ...q, ...patch } : q)),
+    });
+  }
+
+  function addQuestion(type) {
+    onChange({ ...quiz, questions: [...questions, blankQuestion(type)] });
+  }
+
+  function removeQuestion(qid) {
+    onChange({ ...quiz, questions: questions.filter((q) => q.id !== qid) });
+  }
+
+  return (
+    <div className="space-y-3 rounded-2xl border bg-background p-4">
+      <div className="flex flex-wrap items-end justify-between gap-3">
+        <div className="flex flex-wrap items-end gap-4">
+          <div className="grid gap-2">
+            <Label>Time limit (minutes)</Label>
+            <Input
+              type="number"
+              value={quiz.timeLimitMinutes ?? ""}
+              onChange={(e) =>
+                onChange({
+                  ...quiz,
+                  timeLimitMinutes: e.target.value === "" ? null : clamp(Number(e.target.value), 1, 300),
+                })
+              }
+              className="w-32 rounded-2xl"
+              placeholder="No limit"
+            />
+          </div>
+          <div className="flex items-center gap-2 pb-2">
+            <Switch
+              checked={Boolean(quiz.shuffle)}
+              onCheckedChange={(v) => onChange({ ...quiz, shuffle: Boolean(v) })}
+            />
+            <Label className="text-sm">Shuffle questions</Label>
+          </div>
+        </div>
+        <Badge variant="secondary" className="rounded-xl">
+          {questions.length} question(s) • {quizMaxScore(questions)} pts
+        </Badge>
+      </div>
+
+      {questions.map((q, qi) => (
+        <div key={q.id} className="space-y-3 rounded-2xl border bg-muted/20 p-3">
+          <div className="flex flex-wrap items-center justify-between gap-2">
+            <div className="flex items-center gap-2">
+              <span className="text-sm font-semibold">Q{qi + 1}</span>
+              <Badge variant="outline" className="rounded-xl">
+                {QUESTION_TYPES.find((t) => t.key === q.type)?.label ?? q.type}
+              </Badge>
+            </div>
+            <div className="flex items-center gap-2">
+              <Label className="text-xs opacity-70">Points</Label>
+              <Input
+                type="number"
+                value={q.points}
+                onChange={(e) => setQuestion(q.id, { points: clamp(Number(e.target.value || 0), 0, 100) })}
+                className="h-8 w-20 rounded-2xl"
+              />
+              <Button
+                variant="outline"
+                size="sm"
+                className="rounded-2xl text-destructive"
+                onClick={() => removeQuestion(q.id)}
+              >
+                <Trash2 className="h-4 w-4" />
+              </Button>
+            </div>
+          </div>
+
+          <Textarea
+            value={q.prompt}
+            onChange={(e) => setQuestion(q.id, { prompt: e.target.value })}
+            className="min-h-[60px] rounded-2xl"
+            placeholder={q.type === "matching" ? "e.g., Match each term to its definition." : "Question prompt…"}
+          />
+
+          {q.type === "mc" ? (
+            <div className="grid gap-2">
+              {(q.choices || []).map((c, ci) => (
+                <div key={c.id} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`answer-${q.id}`}
+                    checked={q.answer === c.id}
+                    onChange={() => setQuestion(q.id, { answer: c.id })}
+                    title="Correct answer"
+                  />
+                  <Input
+                    value={c.text}
+                    onChange={(e) =>
+                      setQuestion(q.id, {
+                        choices: q.choices.map((x) => (x.id === c.id ? { ...x, text: e.target.value } : x)),
+                      })
+                    }
+                    className="rounded-2xl"
+                    placeholder={`Choice ${String.fromCharCode(65 + ci)}`}
+                  />
+                  {q.choices.length > 2 ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="rounded-2xl"
+                      onClick={() =>
+                        setQuestion(q.id, {
+                          choices: q.choices.filter((x) => x.id !== c.id),
+                          answer: q.answer === c.id ? q.choices.find((x) => x.id !== c.id)?.id : q.answer,
+                        })
+                      }
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  ) : null}
+                </div>
+              ))}
+              <div className="flex items-center justify-between">
+                <div className="text-xs opacity-70">Select the radio button of the correct choice.</div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="rounded-2xl"
+                  onClick={() => setQuestion(q.id, { choices: [...q.choices, { id: uuid(), text: "" }] })}
+                >
+                  <Plus className="mr-2 h-4 w-4" /> Choice
+                </Button>
+              </div>
+            </div>
+          ) : null}
+
+          {q.type === "tf" ? (
+            <div className="flex items-center gap-4 text-sm">
+              {["true", "false"].map((v) => (
+                <label key={v} className="flex items-center gap-2">
+                  <input
+                    type="radio"
+                    name={`answer-${q.id}`}
+                    checked={q.answer === v}
+                    onChange={() => setQuestion(q.id, { answer: v })}
+                  />
+                  {v === "true" ? "True" : "False"}
+                </label>
+              ))}
+            </div>
+          ) : null}
+
+          {q.type === "identification" ? (
+            <div className="grid gap-2">
+              <Label className="text-xs opacity-70">Accepted answers (not case-sensitive)</Label>
+              <Input
+                value={(q.answer || []).join(", ")}
+                onChange={(e) => setQuestion(q.id, { answer: e.target.value.split(",").map((x) => x.trim()) })}
+                className="rounded-2xl"
+                placeholder="e.g., photosynthesis, photo synthesis"
+              />
+            </div>
+          ) : null}
+
+          {q.type === "matching" ? (
+            <div className="grid gap-2">
+              {(q.pairs || []).map((pr) => (
+                <div key={pr.id} className="flex items-center gap-2">
+                  <Input
+                    value={pr.left}
+                    onChange={(e) =>
+                      setQuestion(q.id, {
+                        pairs: q.pairs.map((x) => (x.id === pr.id ? { ...x, left: e.target.value } : x)),
+                      })
+                    }
+                    className="rounded-2xl"
+                    placeholder="Item"
+                  />
+                  <span className="opacity-60">→</span>
+                  <Input
+                    value={pr.right}
+                    onChange={(e) =>
+                      setQuestion(q.id, {
+                        pairs: q.pairs.map((x) => (x.id === pr.id ? { ...x, right: e.target.value } : x)),
+                      })
+                    }
+                    className="rounded-2xl"
+                    placeholder="Match"
+                  />
+                  {q.pairs.length > 2 ? (
+                    <Button
+                      variant="ghost"
+                      size="sm"
+                      className="rounded-2xl"
+                      onClick={() => setQuestion(q.id, { pairs: q.pairs.filter((x) => x.id !== pr.id) })}
+                    >
+                      <Trash2 className="h-4 w-4" />
+                    </Button>
+                  ) : null}
+                </div>
+              ))}
+              <div className="flex items-center justify-between">
+                <div className="text-xs opacity-70">Points are split evenly across pairs.</div>
+                <Button
+                  variant="outline"
+                  size="sm"
+                  className="rounded-2xl"
+                  onClick={() =>
+                    setQuestion(q.id, { pairs: [...q.pairs, { id: uuid(), left: "", right: "" }] })
+                  }
+                >
+                  <Plus className="mr-2 h-4 w-4" /> Pair
+                </Button>
+              </div>
+            </div>
+          ) : null}
+        </div>
+      ))}
+
+      <div className="flex flex-wrap items-center gap-2">
+        {QUESTION_TYPES.map((t) => (
+          <Button
+            key={t.key}
+            variant="outline"
+            size="sm"
+            className="rounded-2xl"
+            onClick={() => addQuestion(t.key)}
+          >
+            <Plus className="mr-2 h-4 w-4" /> {t.label}
+          </Button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
 function PartEditor({
   part,
   index,
@@ -752,7 +998,7 @@ function PartEditor({
                 <div className="flex items-center justify-between">
                   <div className="text-sm font-semibold">Activities</div>
                   <div className="text-xs opacity-70">
-                    Attachable is a flag for instance-level file uploads later.
+                    Attachable activities accept student submissions (files or text).
                   </div>
                 </div>
 
@@ -768,7 +1014,12 @@ function PartEditor({
                           <Select
                             value={a.type}
                             onValueChange={(v) =>
-                              onUpdateActivity(a.id, { type: v })
+                              onUpdateActivity(
+                                a.id,
+                                v === "Quiz" && !a.quiz
+                                  ? { type: v, quiz: emptyQuiz() }
+                                  : { type: v }
+                              )
                             }
                           >
                             <SelectTrigger className="rounded-2xl">
@@ -810,6 +1061,15 @@ function PartEditor({
                           />
                         </div>
 
+                        {a.type === "Quiz" ? (
+                          <div className="md:col-span-2">
+                            <QuizBuilder
+                              quiz={a.quiz || emptyQuiz()}
+                              onChange={(quiz) => onUpdateActivity(a.id, { quiz })}
+                            />
+                          </div>
+                        ) : null}
+
                         <div className="flex items-center justify-between gap-4 md:col-span-2">
                           <div className="flex flex-wrap items-center gap-4">
                             <div className="grid gap-2">
@@ -1038,6 +1298,12 @@ export default function TeacherLessonBuilderPage() {
           : { data: [], error: null };
         if (aRes?.error) throw aRes.error;
 
+        const quizByActivity = await fetchLessonQuizzes(
+          (aRes.data ?? [])
+            .filter((a) => a.activity_type === "Quiz")
+            .map((a) => a.activity_id)
+        );
+
         if (!active) return;
 
         const header = lRes.data;
@@ -1066,6 +1332,10 @@ export default function TeacherLessonBuilderPage() {
             instructions: a.instructions ?? "",
             estimatedMinutes: a.estimated_minutes ?? 5,
             attachable: Boolean(a.attachable),
+            quiz:
+              a.activity_type === "Quiz"
+                ? quizByActivity.get(a.activity_id) ?? emptyQuiz()
+                : undefined,
           })),
         }));
 
@@ -1152,6 +1422,17 @@ export default function TeacherLessonBuilderPage() {
 
       const status = nextStatus ?? lesson.status;
 
+      const quizActivities = lesson.parts
+        .flatMap((p) => p.activities)
+        .filter((a) => a.type === "Quiz" && a.quiz);
+
+      if (status === "Published") {
+        const quizIssues = quizActivities.flatMap((a) =>
+          validateQuiz(a.quiz).map((msg) => `${a.title || "Quiz"} – ${msg}`)
+        );
+        if (quizIssues.length) throw new Error(quizIssues.join(" "));
+      }
+
       const headerPayload = {
         lesson_id: lesson.id,
         owner_teacher_id: uid,
@@ -1223,6 +1504,8 @@ export default function TeacherLessonBuilderPage() {
         if (insActs.error) throw insActs.error;
       }
 
+      await saveLessonQuizzes(lesson.id, quizActivities);
+
       setLesson((p) => ({ ...p, status, lastSavedAt: formatNow() }));
     } catch (e) {
       setErrorMsg(e?.message ?? "Save failed.");
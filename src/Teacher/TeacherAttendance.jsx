@@ -0,0 +1,457 @@
+// src/pages/teacher/TeacherAttendance.jsx
+import React, { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { CalendarDays, Filter, ShieldAlert, Users } from "lucide-react";
+import { supabase } from "../lib/supabaseClient";
+import {
+  ATTENDANCE_SHORT,
+  dailyStatus,
+  monthRangeKeys,
+  summarizeAttendance,
+} from "../lib/attendance";
+
+const BRAND = {
+  brown: "#2b1a12",
+  muted: "rgba(43,26,18,0.55)",
+  stroke: "rgba(43,26,18,0.16)",
+  gold: "#d4a62f",
+  softGoldBg: "rgba(212,166,47,0.14)",
+  cardShadow: "0 14px 34px rgba(43,26,18,0.10)",
+};
+
+const STATUS_BG = {
+  Present: "rgba(34,197,94,0.14)",
+  Late: "rgba(212,166,47,0.22)",
+  Absent: "rgba(244,63,94,0.16)",
+  Excused: "rgba(59,130,246,0.14)",
+};
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+function thisMonthValue() {
+  const d = new Date();
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}`;
+}
+
+function studentName(s) {
+  const mi = s.middle_initial ? ` ${s.middle_initial}.` : "";
+  return `${s.last_name || ""}, ${s.first_name || ""}${mi}`.trim();
+}
+
+/**
+ * Monthly attendance sheet per section.
+ * - Subject teachers see the periods they handle in that section.
+ * - The section adviser (section_advisers) sees every period plus an absence summary.
+ */
+export default function TeacherAttendance() {
+  const [loading, setLoading] = useState(true);
+  const [err, setErr] = useState(null);
+
+  const [me, setMe] = useState(null); // auth user id
+  const [activeSY, setActiveSY] = useState(null);
+  const [sections, setSections] = useState([]); // [{ section_id, section_name, isAdviser, scheduleIds }]
+  const [sectionId, setSectionId] = useState("");
+  const [month, setMonth] = useState(thisMonthValue());
+
+  const [students, setStudents] = useState([]);
+  const [records, setRecords] = useState([]);
+
+  // 1) Active SY + sections this teacher handles or advises
+  useEffect(() => {
+    let alive = true;
+
+    async function loadBase() {
+      setLoading(true);
+      setErr(null);
+
+      try {
+        const { data: authData, error: authErr } = await supabase.auth.getUser();
+        if (authErr) throw authErr;
+        const user = authData?.user;
+        if (!user) throw new Error("Not authenticated.");
+
+        const { data: syRow, error: syErr } = await supabase
+          .from("school_years")
+          .select("sy_id, sy_code, status, start_date")
+          .eq("status", "Active")
+          .order("start_date", { ascending: false })
+          .limit(1)
+          .maybeSingle();
+        if (syErr) throw syErr;
+        if (!syRow?.sy_id) throw new Error("No Active school year found.");
+
+        const [schedRes, advRes] = await Promise.all([
+          supabase
+            .from("section_schedules")
+            .select("schedule_id, section_id, sections:section_id ( section_id, section_name )")
+            .eq("sy_id", syRow.sy_id)
+            .eq("teacher_id", user.id),
+          supabase
+            .from("section_advisers")
+            .select("section_id, sections ( section_id, section_name )")
+            .eq("sy_id", syRow.sy_id)
+            .eq("adviser_id", user.id),
+        ]);
+        if (schedRes.error) throw schedRes.error;
+        if (advRes.error) throw advRes.error;
+
+        const map = new Map();
+        for (const r of schedRes.data ?? []) {
+          if (!r.section_id) continue;
+          if (!map.has(r.section_id)) {
+            map.set(r.section_id, {
+              section_id: r.section_id,
+              section_name: r.sections?.section_name ?? "—",
+              isAdviser: false,
+              scheduleIds: [],
+            });
+          }
+          map.get(r.section_id).scheduleIds.push(r.schedule_id);
+        }
+        for (const r of advRes.data ?? []) {
+          if (!r.section_id) continue;
+          const cur = map.get(r.section_id) ?? {
+            section_id: r.section_id,
+            section_name: r.sections?.section_name ?? "—",
+            scheduleIds: [],
+          };
+          map.set(r.section_id, { ...cur, isAdviser: true });
+        }
+
+        const list = Array.from(map.values()).sort(
+          (a, b) => Number(b.isAdviser) - Number(a.isAdviser) || a.section_name.localeCompare(b.section_name)
+        );
+
+        if (!alive) return;
+        setMe(user.id);
+        setActiveSY(syRow);
+        setSections(list);
+        setSectionId((cur) => cur || list[0]?.section_id || "");
+      } catch (e) {
+        if (alive) setErr(String(e?.message || e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    loadBase();
+    return () => {
+      alive = false;
+    };
+  }, []);
+
+  const section = useMemo(
+    () => sections.find((s) => s.section_id === sectionId) || null,
+    [sections, sectionId]
+  );
+
+  const range = useMemo(() => {
+    const [y, m] = month.split("-").map((x) => parseInt(x, 10));
+    return { ...monthRangeKeys(y, m - 1), year: y, monthIndex: m - 1 };
+  }, [month]);
+
+  // 2) Students + attendance for the picked section/month
+  useEffect(() => {
+    let alive = true;
+
+    async function loadSheet() {
+      if (!activeSY?.sy_id || !section) return;
+
+      setLoading(true);
+      setErr(null);
+
+      try {
+        const { data: studs, error: studErr } = await supabase
+          .from("students")
+          .select("id, student_number, first_name, last_name, middle_initial")
+          .eq("sy_id", activeSY.sy_id)
+          .eq("section_id", section.section_id)
+          .order("last_name", { ascending: true });
+        if (studErr) throw studErr;
+
+        let q = supabase
+          .from("attendance_records")
+          .select("student_id, schedule_id, attend_date, status, subjects:subject_id ( subject_code )")
+          .eq("sy_id", activeSY.sy_id)
+          .eq("section_id", section.section_id)
+          .gte("attend_date", range.from)
+          .lte("attend_date", range.to);
+
+        // Subject teachers only see their own periods; advisers see the whole section.
+        if (!section.isAdviser) q = q.in("schedule_id", section.scheduleIds);
+
+        const { data: att, error: attErr } = await q;
+        if (attErr) throw attErr;
+
+        if (!alive) return;
+        setStudents(studs || []);
+        setRecords(att || []);
+      } catch (e) {
+        if (alive) setErr(String(e?.message || e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    loadSheet();
+    return () => {
+      alive = false;
+    };
+  }, [activeSY?.sy_id, section, range.from, range.to]);
+
+  // School days that have at least one record this month
+  const days = useMemo(() => {
+    const set = new Set(records.map((r) => r.attend_date));
+    const out = [];
+    for (let d = 1; d <= range.days; d++) {
+      const key = `${range.year}-${pad2(range.monthIndex + 1)}-${pad2(d)}`;
+      const dow = new Date(range.year, range.monthIndex, d).getDay();
+      if (set.has(key) || (dow !== 0 && dow !== 6)) out.push({ key, d, dow });
+    }
+    return out;
+  }, [records, range]);
+
+  // student_id -> date -> daily status
+  const sheet = useMemo(() => {
+    const byStudentDay = new Map();
+    for (const r of records) {
+      const k = `${r.student_id}|${r.attend_date}`;
+      if (!byStudentDay.has(k)) byStudentDay.set(k, []);
+      byStudentDay.get(k).push(r.status);
+    }
+    const out = new Map();
+    for (const [k, list] of byStudentDay.entries()) out.set(k, dailyStatus(list));
+    return out;
+  }, [records]);
+
+  const summary = useMemo(() => summarizeAttendance(records), [records]);
+
+  const absentees = useMemo(() => {
+    return students
+      .map((s) => ({ s, t: summary.get(s.id) }))
+      .filter((x) => x.t && (x.t.Absent > 0 || x.t.Late > 0))
+      .sort((a, b) => b.t.Absent - a.t.Absent || b.t.Late - a.t.Late);
+  }, [students, summary]);
+
+  return (
+    <div className="space-y-5">
+      <motion.div
+        initial={{ opacity: 0, y: 8 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.18 }}
+        className="rounded-3xl border bg-white p-5"
+        style={{ borderColor: BRAND.stroke, boxShadow: BRAND.cardShadow }}
+      >
+        <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+          <div>
+            <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+              Attendance
+            </div>
+            <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+              Monthly sheet from <code>attendance_records</code>
+              {activeSY?.sy_code ? ` • SY ${activeSY.sy_code}` : ""}
+              {section?.isAdviser ? " • Adviser view (all subjects)" : ""}
+            </div>
+            {err ? (
+              <div className="mt-2 text-xs font-semibold text-red-600">Error: {err}</div>
+            ) : null}
+          </div>
+
+          <div className="flex flex-wrap items-center gap-2">
+            <div
+              className="inline-flex items-center gap-2 rounded-2xl border bg-white/70 px-3 py-2"
+              style={{ borderColor: BRAND.stroke }}
+            >
+              <Filter className="h-4 w-4" style={{ color: BRAND.muted }} />
+              <select
+                value={sectionId}
+                onChange={(e) => setSectionId(e.target.value)}
+                className="bg-transparent text-sm font-semibold outline-none"
+                style={{ color: BRAND.brown }}
+              >
+                {sections.length === 0 ? <option value="">No sections</option> : null}
+                {sections.map((s) => (
+                  <option key={s.section_id} value={s.section_id}>
+                    {s.section_name}
+                    {s.isAdviser ? " (Advisory)" : ""}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div
+              className="inline-flex items-center gap-2 rounded-2xl border bg-white/70 px-3 py-2"
+              style={{ borderColor: BRAND.stroke }}
+            >
+              <CalendarDays className="h-4 w-4" style={{ color: BRAND.muted }} />
+              <input
+                type="month"
+                value={month}
+                onChange={(e) => e.target.value && setMonth(e.target.value)}
+                className="bg-transparent text-sm font-semibold outline-none"
+                style={{ color: BRAND.brown }}
+              />
+            </div>
+          </div>
+        </div>
+      </motion.div>
+
+      {section?.isAdviser ? (
+        <motion.div
+          initial={{ opacity: 0, y: 8 }}
+          animate={{ opacity: 1, y: 0 }}
+          transition={{ duration: 0.18 }}
+          className="rounded-3xl border bg-white p-5"
+          style={{ borderColor: BRAND.stroke, boxShadow: BRAND.cardShadow }}
+        >
+          <div className="flex items-center gap-2 text-sm font-extrabold" style={{ color: BRAND.brown }}>
+            <ShieldAlert className="h-4 w-4" style={{ color: BRAND.muted }} />
+            Absence summary • {section.section_name}
+          </div>
+          <div className="mt-1 text-xs font-semibold" style={{ color: BRAND.muted }}>
+            Period-level counts across all subjects for the selected month.
+          </div>
+
+          {absentees.length === 0 ? (
+            <div className="mt-3 text-sm font-semibold" style={{ color: BRAND.muted }}>
+              {loading ? "Loading…" : "No absences or lates recorded."}
+            </div>
+          ) : (
+            <div className="mt-3 overflow-auto rounded-2xl border" style={{ borderColor: BRAND.stroke }}>
+              <table className="min-w-full text-left text-sm">
+                <thead>
+                  <tr className="border-b" style={{ borderColor: BRAND.stroke }}>
+                    {["Student", "Absent", "Late", "Excused", "Last absence"].map((h) => (
+                      <th key={h} className="px-4 py-3 font-extrabold" style={{ color: BRAND.brown }}>
+                        {h}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {absentees.map(({ s, t }) => (
+                    <tr key={s.id} className="border-b" style={{ borderColor: BRAND.stroke }}>
+                      <td className="px-4 py-2 font-semibold" style={{ color: BRAND.brown }}>
+                        {studentName(s)}
+                      </td>
+                      <td className="px-4 py-2 font-extrabold text-rose-700">{t.Absent}</td>
+                      <td className="px-4 py-2 font-semibold" style={{ color: BRAND.muted }}>
+                        {t.Late}
+                      </td>
+                      <td className="px-4 py-2 font-semibold" style={{ color: BRAND.muted }}>
+                        {t.Excused}
+                      </td>
+                      <td className="px-4 py-2 font-semibold" style={{ color: BRAND.muted }}>
+                        {t.lastAbsent || "—"}
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          )}
+        </motion.div>
+      ) : null}
+
+      <motion.div
+        initial={{ opacity: 0, y: 8 }}
+        animate={{ opacity: 1, y: 0 }}
+        transition={{ duration: 0.18 }}
+        className="rounded-3xl border bg-white p-5"
+        style={{ borderColor: BRAND.stroke, boxShadow: BRAND.cardShadow }}
+      >
+        <div className="flex items-center justify-between gap-2">
+          <div className="flex items-center gap-2 text-sm font-extrabold" style={{ color: BRAND.brown }}>
+            <Users className="h-4 w-4" style={{ color: BRAND.muted }} />
+            Monthly sheet
+          </div>
+          <div className="flex flex-wrap gap-2 text-[11px] font-extrabold" style={{ color: BRAND.brown }}>
+            {Object.entries(ATTENDANCE_SHORT).map(([k, v]) => (
+              <span key={k} className="rounded-full px-2 py-1" style={{ background: STATUS_BG[k] }}>
+                {v} = {k}
+              </span>
+            ))}
+          </div>
+        </div>
+
+        {!section ? (
+          <div className="mt-4 text-sm font-semibold" style={{ color: BRAND.muted }}>
+            {loading ? "Loading…" : "You have no scheduled or advisory sections this school year."}
+          </div>
+        ) : students.length === 0 ? (
+          <div className="mt-4 text-sm font-semibold" style={{ color: BRAND.muted }}>
+            {loading ? "Loading…" : "No students found in this section."}
+          </div>
+        ) : (
+          <div className="mt-4 overflow-auto rounded-2xl border" style={{ borderColor: BRAND.stroke }}>
+            <table className="min-w-full text-left text-xs">
+              <thead>
+                <tr className="border-b" style={{ borderColor: BRAND.stroke }}>
+                  <th className="sticky left-0 bg-white px-3 py-2 font-extrabold" style={{ color: BRAND.brown }}>
+                    Student
+                  </th>
+                  {days.map((d) => (
+                    <th key={d.key} className="px-1 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                      <div>{d.d}</div>
+                      <div className="text-[10px] font-semibold" style={{ color: BRAND.muted }}>
+                        {["Su", "M", "T", "W", "Th", "F", "Sa"][d.dow]}
+                      </div>
+                    </th>
+                  ))}
+                  <th className="px-2 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                    A
+                  </th>
+                  <th className="px-2 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                    L
+                  </th>
+                </tr>
+              </thead>
+              <tbody>
+                {students.map((s) => {
+                  let absentDays = 0;
+                  let lateDays = 0;
+                  return (
+                    <tr key={s.id} className="border-b" style={{ borderColor: BRAND.stroke }}>
+                      <td
+                        className="sticky left-0 whitespace-nowrap bg-white px-3 py-2 font-semibold"
+                        style={{ color: BRAND.brown }}
+                      >
+                        {studentName(s)}
+                      </td>
+                      {days.map((d) => {
+                        const st = sheet.get(`${s.id}|${d.key}`);
+                        if (st === "Absent") absentDays++;
+                        if (st === "Late") lateDays++;
+                        return (
+                          <td key={d.key} className="px-1 py-1 text-center">
+                            <span
+                              className="inline-grid h-6 w-6 place-items-center rounded-lg font-extrabold"
+                              style={{ background: st ? STATUS_BG[st] : "transparent", color: BRAND.brown }}
+                            >
+                              {st ? ATTENDANCE_SHORT[st] : ""}
+                            </span>
+                          </td>
+                        );
+                      })}
+                      <td className="px-2 py-2 text-center font-extrabold text-rose-700">{absentDays}</td>
+                      <td className="px-2 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                        {lateDays}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          </div>
+        )}
+
+        <div className="mt-3 text-[11px] font-semibold" style={{ color: BRAND.muted }}>
+          Daily mark: all periods absent = A; any absent/late period = L; all excused = E.
+          {me && section && !section.isAdviser ? " Showing only the periods you teach." : ""}
+        </div>
+      </motion.div>
+    </div>
+  );
+}
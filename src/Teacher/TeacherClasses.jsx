@@ -15,8 +15,20 @@ import {
   Plus,
   RefreshCcw,
   AlertTriangle,
+  Award,
+  Save,
+  Trash2,
+  Lock,
 } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import { fetchTermContext } from "../lib/terms";
+import {
+  GRADE_COMPONENTS,
+  QUARTERS,
+  gradeWeights,
+  computeQuarterGrade,
+  saveGradeRecords,
+} from "../lib/grades";
 
 const BRAND = {
   brown: "#2b1a12",
@@ -158,7 +170,8 @@ export default function TeacherClasses() {
   const [grade, setGrade] = useState("All");
   const [subject, setSubject] = useState("All");
   const [day, setDay] = useState("All");
-  const [termCode, setTermCode] = useState(DEFAULT_TERM_CODE);
+  const [termCode, setTermCode] = useState(""); // set from the active term once the SY loads
+  const [yearTerms, setYearTerms] = useState([]); // terms merged with this SY's dates / closed flags
   const [sort, setSort] = useState("Name");
   const [selected, setSelected] = useState(null);
 
@@ -205,6 +218,11 @@ export default function TeacherClasses() {
       }
 
       if (alive) setActiveSY({ sy_id: data.sy_id, sy_code: data.sy_code });
+
+      // Default to the year's active term (School Setup • Terms).
+      const ctx = await fetchTermContext(data.sy_id).catch(() => null);
+      if (alive && ctx) setYearTerms(ctx.terms);
+      if (alive) setTermCode((cur) => cur || ctx?.current?.term_code || DEFAULT_TERM_CODE);
     })();
 
     return () => {
@@ -289,7 +307,8 @@ export default function TeacherClasses() {
           subjects:subject_id (
             subject_id,
             subject_code,
-            subject_title
+            subject_title,
+            subject_type
           ),
           sections:section_id (
             section_id,
@@ -297,7 +316,8 @@ export default function TeacherClasses() {
             grade_id,
             strand_id,
             grade_levels:grade_id ( grade_level ),
-            strands:strand_id ( strand_code )
+            strands:strand_id ( strand_code ),
+            tracks:track_id ( track_code )
           )
         `
         )
@@ -375,6 +395,9 @@ export default function TeacherClasses() {
           _schedules: rows,
           _section_id: anyRow.section_id,
           _subject_id: anyRow.subject_id,
+          _subject_type: subj?.subject_type ?? null,
+          _track_code: sec?.tracks?.track_code ?? null,
+          _teacher_id: user.id,
           _term_id: termRow.term_id,
           _sy_id: activeSY.sy_id,
         };
@@ -479,7 +502,7 @@ export default function TeacherClasses() {
             value={termCode}
             onChange={setTermCode}
             icon={Filter}
-            options={TERM_CODES}
+            options={yearTerms.length ? yearTerms.map((t) => t.term_code) : TERM_CODES}
             label="Term"
             renderOption={(v) => `Term: ${v}`}
           />
@@ -557,7 +580,14 @@ export default function TeacherClasses() {
       </motion.div>
 
       <Modal open={!!selected} title={selected ? `${selected.subject} • ${selected.code}` : ""} onClose={() => setSelected(null)}>
-        {selected ? <ClassDetailsTabs c={selected} defaultTab={selected._openTab || "Overview"} sy={activeSY} term={termRow} /> : null}
+        {selected ? (
+          <ClassDetailsTabs
+            c={selected}
+            defaultTab={selected._openTab || "Overview"}
+            sy={activeSY}
+            term={termRow ? { ...termRow, is_closed: !!yearTerms.find((t) => t.term_id === termRow.term_id)?.is_closed } : null}
+          />
+        ) : null}
       </Modal>
     </div>
   );
@@ -566,10 +596,10 @@ export default function TeacherClasses() {
 function ClassDetailsTabs({ c, defaultTab, sy, term }) {
   const [tab, setTab] = useState(defaultTab || "Overview");
 
-  // ✅ Grades removed
   const tabs = [
     { key: "Overview", icon: ClipboardList },
     { key: "Students", icon: Users },
+    { key: "Grades", icon: Award },
     { key: "Announcements", icon: Megaphone },
     { key: "Schedule", icon: CalendarDays },
     { key: "Lessons", icon: BookOpen },
@@ -645,6 +675,8 @@ function ClassDetailsTabs({ c, defaultTab, sy, term }) {
             <OverviewPanel c={c} sy={sy} term={term} />
           ) : tab === "Students" ? (
             <StudentsPanel c={c} sy={sy} />
+          ) : tab === "Grades" ? (
+            <GradesPanel c={c} sy={sy} term={term} />
           ) : tab === "Announcements" ? (
             <AnnouncementsPanel c={c} sy={sy} term={term} />
           ) : tab === "Schedule" ? (
@@ -775,6 +807,19 @@ function SchedulePanel({ c }) {
   );
 }
 
+function formatStudentName(s) {
+  const last = (s.last_name || "").trim();
+  const first = (s.first_name || "").trim();
+  const mi = (s.middle_initial || "").trim();
+  const ext = (s.extension || "").trim();
+
+  const miPart = mi ? ` ${mi}.` : "";
+  const extPart = ext ? ` ${ext}` : "";
+
+  if (!last && !first) return "—";
+  return `${last}, ${first}${miPart}${extPart}`;
+}
+
 /**
  * ✅ StudentsPanel uses STUDENTS table name fields (no profiles query)
  * Uses: last_name, first_name, middle_initial, extension
@@ -784,19 +829,6 @@ function StudentsPanel({ c, sy }) {
   const [err, setErr] = useState("");
   const [rows, setRows] = useState([]);
 
-  function formatStudentName(s) {
-    const last = (s.last_name || "").trim();
-    const first = (s.first_name || "").trim();
-    const mi = (s.middle_initial || "").trim();
-    const ext = (s.extension || "").trim();
-
-    const miPart = mi ? ` ${mi}.` : "";
-    const extPart = ext ? ` ${ext}` : "";
-
-    if (!last && !first) return "—";
-    return `${last}, ${first}${miPart}${extPart}`;
-  }
-
   useEffect(() => {
     let alive = true;
 
@@ -888,6 +920,494 @@ function StudentsPanel({ c, sy }) {
   );
 }
 
+/**
+ * ✅ GradesPanel: DepEd-style class record
+ * grade_items (WW/PT/QA per quarter) + grade_scores -> grade_records (Q1, Q2, Final)
+ */
+function GradesPanel({ c, sy, term }) {
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+  const [msg, setMsg] = useState("");
+
+  const [quarter, setQuarter] = useState(QUARTERS[0]);
+  const [students, setStudents] = useState([]);
+  const [items, setItems] = useState([]);
+  const [scores, setScores] = useState({}); // { "item_id:student_id": "12" }
+  const [dirty, setDirty] = useState({}); // same keys, true when edited
+  const [records, setRecords] = useState([]);
+
+  const [form, setForm] = useState({ component: "WW", title: "", max_score: "" });
+
+  const weights = useMemo(
+    () => gradeWeights(c?._subject_type, c?._track_code),
+    [c?._subject_type, c?._track_code]
+  );
+
+  const classKey = useMemo(
+    () => ({
+      sy_id: sy?.sy_id,
+      term_id: term?.term_id,
+      section_id: c?._section_id,
+      subject_id: c?._subject_id,
+      teacher_id: c?._teacher_id,
+    }),
+    [sy?.sy_id, term?.term_id, c?._section_id, c?._subject_id, c?._teacher_id]
+  );
+
+  async function load() {
+    setLoading(true);
+    setErr("");
+
+    try {
+      if (!classKey.sy_id) throw new Error("Missing active school year.");
+      if (!classKey.term_id) throw new Error("Missing term.");
+      if (!classKey.section_id || !classKey.subject_id) throw new Error("Missing class.");
+
+      const [studRes, itemRes, recRes] = await Promise.all([
+        supabase
+          .from("students")
+          .select("id, student_number, first_name, last_name, middle_initial, extension")
+          .eq("sy_id", classKey.sy_id)
+          .eq("section_id", classKey.section_id)
+          .order("last_name", { ascending: true }),
+        supabase
+          .from("grade_items")
+          .select("item_id, quarter, component, title, max_score, created_at")
+          .eq("sy_id", classKey.sy_id)
+          .eq("term_id", classKey.term_id)
+          .eq("section_id", classKey.section_id)
+          .eq("subject_id", classKey.subject_id)
+          .order("created_at", { ascending: true }),
+        supabase
+          .from("grade_records")
+          .select("student_id, q1_grade, q2_grade, final_grade, remarks")
+          .eq("sy_id", classKey.sy_id)
+          .eq("term_id", classKey.term_id)
+          .eq("section_id", classKey.section_id)
+          .eq("subject_id", classKey.subject_id),
+      ]);
+
+      if (studRes.error) throw studRes.error;
+      if (itemRes.error) throw itemRes.error;
+      if (recRes.error) throw recRes.error;
+
+      const itemRows = itemRes.data || [];
+      let scoreRows = [];
+      if (itemRows.length) {
+        const { data, error } = await supabase
+          .from("grade_scores")
+          .select("item_id, student_id, score")
+          .in(
+            "item_id",
+            itemRows.map((i) => i.item_id)
+          );
+        if (error) throw error;
+        scoreRows = data || [];
+      }
+
+      const nextScores = {};
+      scoreRows.forEach((r) => {
+        nextScores[`${r.item_id}:${r.student_id}`] = r.score == null ? "" : String(r.score);
+      });
+
+      setStudents(studRes.data || []);
+      setItems(itemRows);
+      setScores(nextScores);
+      setDirty({});
+      setRecords(recRes.data || []);
+    } catch (e) {
+      setErr(String(e?.message || e));
+    } finally {
+      setLoading(false);
+    }
+  }
+
+  useEffect(() => {
+    load();
+    // eslint-disable-next-line react-hooks/exhaustive-deps
+  }, [classKey]);
+
+  const quarterItems = useMemo(
+    () =>
+      GRADE_COMPONENTS.flatMap((comp) =>
+        items.filter((i) => Number(i.quarter) === quarter && i.component === comp.key)
+      ),
+    [items, quarter]
+  );
+
+  const recordByStudent = useMemo(() => {
+    const m = new Map();
+    records.forEach((r) => m.set(r.student_id, r));
+    return m;
+  }, [records]);
+
+  function scoreMapFor(studentId) {
+    const m = new Map();
+    for (const it of quarterItems) {
+      const v = scores[`${it.item_id}:${studentId}`];
+      if (v !== undefined && v !== "") m.set(it.item_id, Number(v));
+    }
+    return m;
+  }
+
+  function setScore(itemId, studentId, value) {
+    const k = `${itemId}:${studentId}`;
+    setScores((s) => ({ ...s, [k]: value }));
+    setDirty((d) => ({ ...d, [k]: true }));
+    setMsg("");
+  }
+
+  async function addItem() {
+    setErr("");
+    setMsg("");
+
+    try {
+      const title = form.title.trim();
+      const max = Number(form.max_score);
+      if (!title) throw new Error("Item title is required.");
+      if (!Number.isFinite(max) || max <= 0) throw new Error("Max score must be greater than 0.");
+
+      const { data, error } = await supabase
+        .from("grade_items")
+        .insert({ ...classKey, quarter, component: form.component, title, max_score: max })
+        .select("item_id, quarter, component, title, max_score, created_at")
+        .single();
+
+      if (error) throw error;
+
+      setItems((list) => [...list, data]);
+      setForm((f) => ({ ...f, title: "", max_score: "" }));
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  }
+
+  async function removeItem(item) {
+    if (!window.confirm(`Delete "${item.title}" and all its scores?`)) return;
+    setErr("");
+
+    try {
+      const { error } = await supabase.from("grade_items").delete().eq("item_id", item.item_id);
+      if (error) throw error;
+
+      // Quarterly / final grades must stop counting the deleted item. Use the saved scores,
+      // not unsaved edits in the grid.
+      const remaining = items.filter((i) => i.item_id !== item.item_id);
+      let saved = [];
+      if (remaining.length) {
+        const { data, error: sErr } = await supabase
+          .from("grade_scores")
+          .select("item_id, student_id, score")
+          .in("item_id", remaining.map((i) => i.item_id))
+          .not("score", "is", null);
+        if (sErr) throw sErr;
+        saved = data ?? [];
+      }
+      const recs = await saveGradeRecords(classKey, students, remaining, saved, weights);
+
+      setItems(remaining);
+      setRecords(recs);
+    } catch (e) {
+      setErr(String(e?.message || e));
+    }
+  }
+
+  async function saveAll() {
+    setSaving(true);
+    setErr("");
+    setMsg("");
+
+    try {
+      const maxById = new Map(items.map((i) => [i.item_id, Number(i.max_score)]));
+
+      const changed = Object.keys(dirty).map((k) => {
+        const [item_id, student_id] = k.split(":");
+        const raw = scores[k];
+        const score = raw === "" || raw == null ? null : Number(raw);
+        if (score != null && (!Number.isFinite(score) || score < 0 || score > maxById.get(item_id))) {
+          throw new Error(`Invalid score "${raw}" (max ${maxById.get(item_id)}).`);
+        }
+        return { item_id, student_id, score, updated_at: new Date().toISOString() };
+      });
+
+      if (changed.length) {
+        const { error } = await supabase
+          .from("grade_scores")
+          .upsert(changed, { onConflict: "item_id,student_id" });
+        if (error) throw error;
+      }
+
+      const allScores = Object.entries(scores)
+        .filter(([, v]) => v !== "" && v != null)
+        .map(([k, v]) => {
+          const [item_id, student_id] = k.split(":");
+          return { item_id, student_id, score: Number(v) };
+        });
+
+      const saved = await saveGradeRecords(classKey, students, items, allScores, weights);
+
+      setRecords(saved);
+      setDirty({});
+      setMsg("Grades saved.");
+    } catch (e) {
+      setErr(String(e?.message || e));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const dirtyCount = Object.keys(dirty).length;
+  // Closed terms are read-only (School Setup • Terms); the DB rejects writes as well.
+  const locked = !!term?.is_closed;
+
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <div>
+          <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+            Grades
+          </div>
+          <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+            {c.subject} • {term?.term_code || "—"} • Weights: WW {weights.WW}% / PT {weights.PT}% / QA {weights.QA}%
+          </div>
+        </div>
+
+        <div className="flex flex-wrap items-center gap-2">
+          {QUARTERS.map((n) => (
+            <button
+              key={n}
+              onClick={() => setQuarter(n)}
+              className="rounded-2xl border px-3 py-2 text-xs font-extrabold transition"
+              style={{
+                borderColor: BRAND.stroke,
+                background: quarter === n ? BRAND.softGoldBg : "white",
+                color: BRAND.brown,
+              }}
+            >
+              Quarter {n}
+            </button>
+          ))}
+
+          <button
+            onClick={load}
+            className="inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/5"
+            style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+            disabled={loading || saving}
+          >
+            <RefreshCcw className="h-4 w-4" style={{ color: BRAND.muted }} />
+            Refresh
+          </button>
+
+          <button
+            onClick={saveAll}
+            disabled={loading || saving || locked}
+            className="inline-flex items-center gap-2 rounded-2xl px-4 py-2 text-xs font-extrabold transition"
+            style={{ background: BRAND.gold, color: BRAND.brown }}
+            onMouseEnter={(e) => (e.currentTarget.style.background = BRAND.goldHover)}
+            onMouseLeave={(e) => (e.currentTarget.style.background = BRAND.gold)}
+          >
+            <Save className="h-4 w-4" />
+            {saving ? "Saving…" : dirtyCount ? `Save (${dirtyCount})` : "Save & Compute"}
+          </button>
+        </div>
+      </div>
+
+      {locked ? (
+        <div className="rounded-2xl border p-3 text-xs font-semibold" style={{ borderColor: BRAND.stroke, background: BRAND.softGoldBg, color: BRAND.brown }}>
+          <div className="flex items-center gap-2">
+            <Lock className="h-4 w-4" />
+            {term?.term_code} is closed. Grades are read-only.
+          </div>
+        </div>
+      ) : null}
+
+      {err ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">
+          <div className="flex items-center gap-2">
+            <AlertTriangle className="h-4 w-4" />
+            {err}
+          </div>
+        </div>
+      ) : null}
+
+      {msg ? (
+        <div className="rounded-2xl border border-emerald-200 bg-emerald-50 p-3 text-xs font-semibold text-emerald-800">
+          {msg}
+        </div>
+      ) : null}
+
+      {/* Add grade item */}
+      {locked ? null : (
+        <div className="rounded-3xl border bg-white p-4" style={{ borderColor: BRAND.stroke }}>
+          <div className="grid gap-3 md:grid-cols-[200px_1fr_140px_auto] md:items-end">
+            <div>
+              <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+                Component
+              </div>
+              <select
+                value={form.component}
+                onChange={(e) => setForm((f) => ({ ...f, component: e.target.value }))}
+                className="mt-1 w-full rounded-2xl border bg-white/70 px-4 py-2 text-sm font-semibold outline-none transition focus:bg-white"
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+              >
+                {GRADE_COMPONENTS.map((g) => (
+                  <option key={g.key} value={g.key}>
+                    {g.label}
+                  </option>
+                ))}
+              </select>
+            </div>
+
+            <div>
+              <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+                Title
+              </div>
+              <input
+                value={form.title}
+                onChange={(e) => setForm((f) => ({ ...f, title: e.target.value }))}
+                className="mt-1 w-full rounded-2xl border bg-white/70 px-4 py-2 text-sm font-semibold outline-none transition focus:bg-white"
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+                placeholder="e.g., Quiz 1"
+              />
+            </div>
+
+            <div>
+              <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+                Max score
+              </div>
+              <input
+                type="number"
+                min="1"
+                value={form.max_score}
+                onChange={(e) => setForm((f) => ({ ...f, max_score: e.target.value }))}
+                className="mt-1 w-full rounded-2xl border bg-white/70 px-4 py-2 text-sm font-semibold outline-none transition focus:bg-white"
+                style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+                placeholder="20"
+              />
+            </div>
+
+            <button
+              onClick={addItem}
+              disabled={loading || saving}
+              className="inline-flex items-center justify-center gap-2 rounded-2xl border bg-white px-4 py-2 text-xs font-extrabold hover:bg-black/5"
+              style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+            >
+              <Plus className="h-4 w-4" />
+              Add to Q{quarter}
+            </button>
+          </div>
+        </div>
+      )}
+
+      {/* Class record */}
+      {loading ? (
+        <div className="text-sm font-semibold" style={{ color: BRAND.muted }}>
+          Loading…
+        </div>
+      ) : students.length === 0 ? (
+        <div className="rounded-2xl border p-4 text-sm font-semibold" style={{ borderColor: BRAND.stroke, color: BRAND.muted }}>
+          No students found in this section.
+        </div>
+      ) : (
+        <div className="overflow-auto rounded-2xl border" style={{ borderColor: BRAND.stroke }}>
+          <table className="min-w-full text-left text-sm">
+            <thead>
+              <tr className="border-b" style={{ borderColor: BRAND.stroke }}>
+                <th className="px-4 py-3 font-extrabold" style={{ color: BRAND.brown }}>
+                  Student
+                </th>
+                {quarterItems.map((it) => (
+                  <th key={it.item_id} className="px-2 py-3 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                    <div className="text-[10px] font-semibold" style={{ color: BRAND.muted }}>
+                      {it.component} • /{it.max_score}
+                    </div>
+                    <div className="flex items-center justify-center gap-1 text-xs">
+                      {it.title}
+                      {locked ? null : (
+                        <button
+                          onClick={() => removeItem(it)}
+                          className="rounded-lg p-1 hover:bg-black/5"
+                          title="Delete item"
+                        >
+                          <Trash2 className="h-3 w-3" style={{ color: BRAND.muted }} />
+                        </button>
+                      )}
+                    </div>
+                  </th>
+                ))}
+                <th className="px-3 py-3 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                  Q{quarter} Initial
+                </th>
+                <th className="px-3 py-3 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                  Q{quarter} Grade
+                </th>
+                <th className="px-3 py-3 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                  Final
+                </th>
+                <th className="px-3 py-3 font-extrabold" style={{ color: BRAND.brown }}>
+                  Remarks
+                </th>
+              </tr>
+            </thead>
+            <tbody>
+              {students.map((s) => {
+                const live = computeQuarterGrade(quarterItems, scoreMapFor(s.id), weights);
+                const rec = recordByStudent.get(s.id);
+
+                return (
+                  <tr key={s.id} className="border-b" style={{ borderColor: BRAND.stroke }}>
+                    <td className="whitespace-nowrap px-4 py-2 font-semibold" style={{ color: BRAND.brown }}>
+                      {formatStudentName(s)}
+                    </td>
+                    {quarterItems.map((it) => {
+                      const k = `${it.item_id}:${s.id}`;
+                      return (
+                        <td key={it.item_id} className="px-2 py-2 text-center">
+                          <input
+                            type="number"
+                            min="0"
+                            max={it.max_score}
+                            value={scores[k] ?? ""}
+                            disabled={locked}
+                            onChange={(e) => setScore(it.item_id, s.id, e.target.value)}
+                            className="w-16 rounded-xl border bg-white/70 px-2 py-1 text-center text-sm font-semibold outline-none focus:bg-white"
+                            style={{
+                              borderColor: dirty[k] ? BRAND.gold : BRAND.stroke,
+                              color: BRAND.brown,
+                            }}
+                          />
+                        </td>
+                      );
+                    })}
+                    <td className="px-3 py-2 text-center font-semibold" style={{ color: BRAND.muted }}>
+                      {live ? live.initial.toFixed(2) : "—"}
+                    </td>
+                    <td className="px-3 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                      {live ? live.quarterly : "—"}
+                    </td>
+                    <td className="px-3 py-2 text-center font-extrabold" style={{ color: BRAND.brown }}>
+                      {rec?.final_grade ?? "—"}
+                    </td>
+                    <td className="px-3 py-2 text-xs font-semibold" style={{ color: BRAND.muted }}>
+                      {rec?.remarks || "—"}
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
+        Quarterly grades are transmuted per DepEd Order No. 8, s. 2015. Final = average of Q1 and Q2, saved to the
+        student&apos;s record when you click Save.
+      </div>
+    </div>
+  );
+}
+
 function AnnouncementsPanel({ c, sy, term }) {
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState("");
@@ -15,6 +15,7 @@ import {
 import { useNavigate } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
 import CalendarWidget from "../components/CalendarWidget";
+import { fetchCalendarOccurrences, parseISODate, toISODate } from "../lib/recurrence";
 
 const BRAND = {
   gold: "#d4a62f",
@@ -324,18 +325,16 @@ export default function TeacherDashboard() {
         const month = now.getMonth();
         const classDayDots = buildHighlightedDaysForMonth(year, month, teacherWeekdaysSet);
 
-        const monthStart = new Date(year, month, 1).toISOString().slice(0, 10);
-        const monthEnd = new Date(year, month + 1, 0).toISOString().slice(0, 10);
+        const monthStart = toISODate(new Date(year, month, 1));
+        const monthEnd = toISODate(new Date(year, month + 1, 0));
 
-        const { data: calEvents, error: ceErr } = await supabase
-          .from("calendar_events")
-          .select("id, start_date, end_date, is_deleted, audiences")
-          .eq("is_deleted", false)
-          .lte("start_date", monthEnd)
-          .or(`end_date.gte.${monthStart},end_date.is.null`)
-          .order("start_date", { ascending: true });
-
-        if (ceErr) throw ceErr;
+        // ✅ Recurring events expanded (with exceptions) by the shared engine
+        const { occurrences: calEvents } = await fetchCalendarOccurrences({
+          from: monthStart,
+          to: monthEnd,
+          select: "id, start_date, end_date, is_deleted, audiences, recurring, repeat_pattern, repeat_until",
+          filter: (q) => q.eq("is_deleted", false),
+        });
 
         const eventDots = new Set();
         for (const ev of calEvents || []) {
@@ -344,8 +343,8 @@ export default function TeacherDashboard() {
             audiences.includes("All") || audiences.includes("Teachers") || audiences.includes("All Teachers");
           if (!visible) continue;
 
-          const start = new Date(`${ev.start_date}T00:00:00`);
-          const end = new Date(`${(ev.end_date || ev.start_date)}T00:00:00`);
+          const start = parseISODate(ev.start_date);
+          const end = parseISODate(ev.end_date || ev.start_date);
           const monthStartDate = new Date(year, month, 1);
           const monthEndDate = new Date(year, month + 1, 0);
 
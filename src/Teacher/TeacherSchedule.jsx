@@ -1,6 +1,6 @@
 // src/pages/teacher/TeacherSchedule.jsx
 import React, { useEffect, useMemo, useState } from "react";
-import { motion } from "framer-motion";
+import { motion, AnimatePresence } from "framer-motion";
 import {
   CalendarDays,
   Clock,
@@ -8,8 +8,28 @@ import {
   Users,
   ChevronLeft,
   ChevronRight,
+  CalendarPlus,
+  ClipboardCheck,
+  CalendarOff,
+  X,
 } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import { fetchTermContext } from "../lib/terms";
+import CalendarExport from "../components/CalendarExport";
+import {
+  ATTENDANCE_STATUSES,
+  toDateKey,
+  fetchPeriodAttendance,
+  savePeriodAttendance,
+  excuseSuspendedClass,
+} from "../lib/attendance";
+import {
+  fetchNoClassDays,
+  slotSuspension,
+  makeupSlotsOn,
+  cancelledSlotsOn,
+  noClassLabel,
+} from "../lib/classCalendar";
 
 const BRAND = {
   brown: "#2b1a12",
@@ -104,8 +124,9 @@ function Select({ value, onChange, options, label }) {
 
 /**
  * Materialize recurring schedules into concrete events in [rangeStart..rangeEnd].
+ * noClassDays (lib/classCalendar) drops suspended periods and adds shifted make-up classes.
  */
-function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
+function materializeSchedule(scheduleRows, rangeStart, rangeEnd, noClassDays) {
   const days = [];
   let cur = startOfDay(rangeStart);
   const end = startOfDay(rangeEnd);
@@ -118,9 +139,13 @@ function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
   const events = [];
   for (const d of days) {
     const dow = dayIndexToCode(d.getDay());
-    const rowsForDay = scheduleRows.filter((r) => r.day_of_week === dow);
+    const dateKey = toDateKey(d);
+    const rowsForDay = scheduleRows
+      .filter((r) => r.day_of_week === dow && !slotSuspension(noClassDays, dateKey, r))
+      .map((r) => ({ r, makeupOf: null }));
+    const makeups = makeupSlotsOn(noClassDays, dateKey, scheduleRows).map((m) => ({ r: m.row, makeupOf: m.from }));
 
-    for (const r of rowsForDay) {
+    for (const { r, makeupOf } of [...rowsForDay, ...makeups]) {
       const { hh: sh, mm: sm } = hhmmToParts(r.start_time);
       const { hh: eh, mm: em } = hhmmToParts(r.end_time);
 
@@ -139,6 +164,7 @@ function materializeSchedule(scheduleRows, rangeStart, rangeEnd) {
         students: r._studentCount ?? 0,
         day_of_week: r.day_of_week,
         period_no: r.period_no,
+        makeup_of: makeupOf,
         _raw: r,
       });
     }
@@ -152,8 +178,10 @@ export default function TeacherSchedule() {
   const [tab, setTab] = useState("Today"); // Today | Week | Month
   const [selectedDate, setSelectedDate] = useState(new Date());
   const [selected, setSelected] = useState(null);
+  const [attendanceFor, setAttendanceFor] = useState(null); // materialized event
 
-  const [termCode, setTermCode] = useState(DEFAULT_TERM);
+  const [termCode, setTermCode] = useState(""); // set from the active term once the SY loads
+  const [termCodes, setTermCodes] = useState(TERM_CODES);
 
   const [loading, setLoading] = useState(true);
   const [err, setErr] = useState(null);
@@ -161,6 +189,9 @@ export default function TeacherSchedule() {
   const [activeSY, setActiveSY] = useState(null); // { sy_id, sy_code }
   const [term, setTerm] = useState(null); // { term_id, term_code }
   const [scheduleRows, setScheduleRows] = useState([]); // recurring rows
+  const [noClassDays, setNoClassDays] = useState(new Map()); // holidays / suspensions
+  const [exportOpen, setExportOpen] = useState(false);
+  const [excusing, setExcusing] = useState(false);
 
   const now = new Date();
 
@@ -221,6 +252,12 @@ export default function TeacherSchedule() {
       }
 
       setActiveSY({ sy_id: syRow.sy_id, sy_code: syRow.sy_code });
+
+      // Default to the year's active term (School Setup • Terms).
+      const ctx = await fetchTermContext(syRow.sy_id).catch(() => null);
+      if (!alive) return;
+      if (ctx?.terms.length) setTermCodes(ctx.terms.map((t) => t.term_code));
+      setTermCode((cur) => cur || ctx?.current?.term_code || DEFAULT_TERM);
       setLoading(false);
     }
 
@@ -232,6 +269,7 @@ export default function TeacherSchedule() {
 
   // 2) Load term row whenever termCode changes
   useEffect(() => {
+    if (!termCode) return;
     let alive = true;
 
     async function loadTerm() {
@@ -378,20 +416,75 @@ export default function TeacherSchedule() {
     };
   }, [activeSY?.sy_id, term?.term_id]);
 
+  // 4) Holidays / class suspensions from calendar_events (month of selectedDate, padded)
+  const monthKey = toDateKey(monthRange.start);
+  useEffect(() => {
+    let alive = true;
+
+    async function loadNoClassDays() {
+      try {
+        const first = new Date(`${monthKey}T00:00:00`);
+        const map = await fetchNoClassDays(
+          toDateKey(startOfWeekMon(first)),
+          toDateKey(endOfWeekSun(endOfMonth(first)))
+        );
+        if (alive) setNoClassDays(map);
+      } catch (e) {
+        // non-fatal: schedule still renders without calendar effects
+        console.warn("Calendar suspensions failed:", e?.message || e);
+      }
+    }
+
+    loadNoClassDays();
+    return () => {
+      alive = false;
+    };
+  }, [monthKey]);
+
   // Materialized items
   const allMonthItems = useMemo(
-    () => materializeSchedule(scheduleRows, monthRange.start, monthRange.end),
-    [scheduleRows, monthRange]
+    () => materializeSchedule(scheduleRows, monthRange.start, monthRange.end, noClassDays),
+    [scheduleRows, monthRange, noClassDays]
   );
   const dayItems = useMemo(
-    () => materializeSchedule(scheduleRows, selectedDate, selectedDate),
-    [scheduleRows, selectedDate]
+    () => materializeSchedule(scheduleRows, selectedDate, selectedDate, noClassDays),
+    [scheduleRows, selectedDate, noClassDays]
   );
   const weekItems = useMemo(
-    () => materializeSchedule(scheduleRows, weekRange.start, weekRange.end),
-    [scheduleRows, weekRange]
+    () => materializeSchedule(scheduleRows, weekRange.start, weekRange.end, noClassDays),
+    [scheduleRows, weekRange, noClassDays]
+  );
+
+  const selectedKey = toDateKey(selectedDate);
+  const dayNoClass = noClassDays.get(selectedKey) || [];
+  const dayCancelled = useMemo(
+    () => cancelledSlotsOn(noClassDays, selectedKey, scheduleRows),
+    [noClassDays, selectedKey, scheduleRows]
   );
 
+  async function excuseCancelled() {
+    if (!dayCancelled.length) return;
+    const ok = window.confirm(
+      `Mark all students Excused for ${dayCancelled.length} cancelled class(es) on ${formatDateLong(selectedDate)}? ` +
+        "This overwrites attendance already taken for those periods."
+    );
+    if (!ok) return;
+
+    setExcusing(true);
+    try {
+      const { data: authData } = await supabase.auth.getUser();
+      let total = 0;
+      for (const { row, entry } of dayCancelled) {
+        total += await excuseSuspendedClass(row, selectedKey, noClassLabel(entry), authData?.user?.id);
+      }
+      alert(`Marked ${total} attendance record(s) as Excused.`);
+    } catch (e) {
+      alert(e?.message || String(e));
+    } finally {
+      setExcusing(false);
+    }
+  }
+
   return (
     <div className="space-y-5">
       {/* Header */}
@@ -423,9 +516,17 @@ export default function TeacherSchedule() {
             <Select
               value={termCode}
               onChange={setTermCode}
-              options={TERM_CODES}
+              options={termCodes}
               label="Term"
             />
+            <button
+              onClick={() => setExportOpen(true)}
+              className="inline-flex items-center gap-2 rounded-2xl border bg-white px-4 py-2 text-sm font-semibold transition hover:bg-black/5"
+              style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+            >
+              <CalendarPlus className="h-4 w-4" style={{ color: BRAND.muted }} />
+              Export
+            </button>
             {["Today", "Week", "Month"].map((t) => (
               <button
                 key={t}
@@ -485,6 +586,15 @@ export default function TeacherSchedule() {
         </div>
       </motion.div>
 
+      {dayNoClass.length ? (
+        <NoClassBanner
+          entries={dayNoClass}
+          cancelledCount={dayCancelled.length}
+          onExcuse={excuseCancelled}
+          excusing={excusing}
+        />
+      ) : null}
+
       <div className="grid gap-4 lg:grid-cols-[1.2fr_0.8fr]">
         {/* Main schedule */}
         <motion.div
@@ -499,18 +609,21 @@ export default function TeacherSchedule() {
               items={dayItems}
               now={now}
               onPick={setSelected}
+              onAttendance={setAttendanceFor}
               loading={loading}
             />
           ) : tab === "Week" ? (
             <WeekGrid
               items={weekItems}
               range={weekRange}
+              noClassDays={noClassDays}
               onPick={setSelected}
               loading={loading}
             />
           ) : (
             <MonthMini
               items={allMonthItems}
+              noClassDays={noClassDays}
               selectedDate={selectedDate}
               onPickDate={setSelectedDate}
               loading={loading}
@@ -557,6 +670,15 @@ export default function TeacherSchedule() {
                     {selected.students} students
                   </div>
                 </div>
+
+                <button
+                  onClick={() => setAttendanceFor(selected)}
+                  className="mt-4 inline-flex w-full items-center justify-center gap-2 rounded-2xl px-4 py-2 text-sm font-semibold transition"
+                  style={{ background: BRAND.gold, color: BRAND.brown }}
+                >
+                  <ClipboardCheck className="h-4 w-4" />
+                  Take Attendance
+                </button>
               </div>
             ) : (
               <div className="rounded-3xl border p-6 text-center" style={{ borderColor: BRAND.stroke }}>
@@ -572,11 +694,304 @@ export default function TeacherSchedule() {
           </div>
         </motion.div>
       </div>
+
+      <CalendarExport
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        term={termCode}
+        title="Add my teaching schedule to a calendar"
+      />
+
+      <Modal
+        open={!!attendanceFor}
+        title={attendanceFor ? `Attendance • ${attendanceFor.code} • ${attendanceFor.section}` : ""}
+        onClose={() => setAttendanceFor(null)}
+      >
+        {attendanceFor ? (
+          <AttendancePanel event={attendanceFor} onDone={() => setAttendanceFor(null)} />
+        ) : null}
+      </Modal>
     </div>
   );
 }
 
-function TodayTimeline({ items, now, onPick, loading }) {
+function Modal({ open, title, onClose, children }) {
+  return (
+    <AnimatePresence>
+      {open ? (
+        <motion.div
+          className="fixed inset-0 z-50"
+          initial={{ opacity: 0 }}
+          animate={{ opacity: 1 }}
+          exit={{ opacity: 0 }}
+        >
+          <div className="absolute inset-0 bg-black/20 backdrop-blur-sm" onClick={onClose} />
+          <motion.div
+            initial={{ opacity: 0, y: 16, scale: 0.98 }}
+            animate={{ opacity: 1, y: 0, scale: 1 }}
+            exit={{ opacity: 0, y: 10, scale: 0.98 }}
+            transition={{ duration: 0.18 }}
+            className="relative mx-auto mt-10 w-[92%] max-w-3xl"
+          >
+            <div
+              className="rounded-3xl border bg-white p-5"
+              style={{ borderColor: BRAND.stroke, boxShadow: BRAND.cardShadow }}
+            >
+              <div className="flex items-center justify-between gap-3">
+                <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+                  {title}
+                </div>
+                <button
+                  onClick={onClose}
+                  className="grid h-10 w-10 place-items-center rounded-2xl border bg-white hover:bg-black/5"
+                  style={{ borderColor: BRAND.stroke }}
+                  aria-label="Close"
+                >
+                  <X className="h-5 w-5" style={{ color: BRAND.muted }} />
+                </button>
+              </div>
+              <div className="mt-4">{children}</div>
+            </div>
+          </motion.div>
+        </motion.div>
+      ) : null}
+    </AnimatePresence>
+  );
+}
+
+/**
+ * ✅ Per-period attendance for one materialized class (schedule_id + date).
+ * Unmarked students default to Present.
+ */
+function AttendancePanel({ event, onDone }) {
+  const slot = event._raw;
+  const dateKey = toDateKey(event.date);
+
+  const [loading, setLoading] = useState(true);
+  const [saving, setSaving] = useState(false);
+  const [err, setErr] = useState("");
+  const [students, setStudents] = useState([]);
+  const [marks, setMarks] = useState({}); // { [student_id]: { status, remarks } }
+
+  useEffect(() => {
+    let alive = true;
+
+    async function load() {
+      setLoading(true);
+      setErr("");
+
+      try {
+        const { data: studs, error: studErr } = await supabase
+          .from("students")
+          .select("id, student_number, first_name, last_name, middle_initial")
+          .eq("sy_id", slot.sy_id)
+          .eq("section_id", slot.section_id)
+          .order("last_name", { ascending: true });
+        if (studErr) throw studErr;
+
+        const existing = await fetchPeriodAttendance(slot.schedule_id, dateKey);
+        const byStudent = new Map(existing.map((r) => [r.student_id, r]));
+
+        const next = {};
+        (studs || []).forEach((s) => {
+          const r = byStudent.get(s.id);
+          next[s.id] = { status: r?.status || "Present", remarks: r?.remarks || "" };
+        });
+
+        if (!alive) return;
+        setStudents(studs || []);
+        setMarks(next);
+      } catch (e) {
+        if (alive) setErr(String(e?.message || e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    }
+
+    load();
+    return () => {
+      alive = false;
+    };
+  }, [slot.schedule_id, slot.sy_id, slot.section_id, dateKey]);
+
+  function patch(studentId, next) {
+    setMarks((m) => ({ ...m, [studentId]: { ...m[studentId], ...next } }));
+  }
+
+  function markAll(status) {
+    setMarks((m) => {
+      const out = {};
+      Object.keys(m).forEach((k) => (out[k] = { ...m[k], status }));
+      return out;
+    });
+  }
+
+  async function save() {
+    setSaving(true);
+    setErr("");
+
+    try {
+      const { data: authData } = await supabase.auth.getUser();
+      const rows = Object.entries(marks).map(([student_id, v]) => ({ student_id, ...v }));
+      await savePeriodAttendance(slot, dateKey, rows, authData?.user?.id);
+      onDone?.();
+    } catch (e) {
+      setErr(String(e?.message || e));
+    } finally {
+      setSaving(false);
+    }
+  }
+
+  const counts = ATTENDANCE_STATUSES.map(
+    (st) => `${st}: ${Object.values(marks).filter((m) => m.status === st).length}`
+  ).join(" • ");
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-col gap-2 md:flex-row md:items-center md:justify-between">
+        <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+          {formatDateLong(event.date)} • {formatTime(event.start)} — {formatTime(event.end)}
+          <div className="mt-1">{loading ? "Loading…" : counts}</div>
+        </div>
+        <button
+          onClick={() => markAll("Present")}
+          disabled={loading || saving}
+          className="rounded-2xl border bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/5"
+          style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+        >
+          Mark all Present
+        </button>
+      </div>
+
+      {err ? (
+        <div className="rounded-2xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">
+          {err}
+        </div>
+      ) : null}
+
+      {!loading && students.length === 0 ? (
+        <div className="rounded-2xl border p-4 text-sm font-semibold" style={{ borderColor: BRAND.stroke, color: BRAND.muted }}>
+          No students found in this section.
+        </div>
+      ) : (
+        <div className="max-h-[55vh] overflow-auto rounded-2xl border" style={{ borderColor: BRAND.stroke }}>
+          <table className="min-w-full text-left text-sm">
+            <tbody>
+              {students.map((s) => {
+                const m = marks[s.id] || { status: "Present", remarks: "" };
+                return (
+                  <tr key={s.id} className="border-b" style={{ borderColor: BRAND.stroke }}>
+                    <td className="px-4 py-2 font-semibold" style={{ color: BRAND.brown }}>
+                      {s.last_name}, {s.first_name}
+                      {s.middle_initial ? ` ${s.middle_initial}.` : ""}
+                      <div className="text-[11px]" style={{ color: BRAND.muted }}>
+                        {s.student_number || "—"}
+                      </div>
+                    </td>
+                    <td className="px-2 py-2">
+                      <div className="flex flex-wrap gap-1">
+                        {ATTENDANCE_STATUSES.map((st) => (
+                          <button
+                            key={st}
+                            onClick={() => patch(s.id, { status: st })}
+                            className="rounded-xl border px-2 py-1 text-[11px] font-extrabold"
+                            style={{
+                              borderColor: BRAND.stroke,
+                              background: m.status === st ? BRAND.softGoldBg : "white",
+                              color: BRAND.brown,
+                            }}
+                          >
+                            {st}
+                          </button>
+                        ))}
+                      </div>
+                    </td>
+                    <td className="px-2 py-2">
+                      <input
+                        value={m.remarks}
+                        onChange={(e) => patch(s.id, { remarks: e.target.value })}
+                        placeholder="Remarks"
+                        className="w-full rounded-xl border bg-white/70 px-2 py-1 text-xs font-semibold outline-none focus:bg-white"
+                        style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+                      />
+                    </td>
+                  </tr>
+                );
+              })}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <div className="flex justify-end">
+        <button
+          onClick={save}
+          disabled={loading || saving || students.length === 0}
+          className="rounded-2xl px-4 py-2 text-sm font-semibold"
+          style={{ background: BRAND.gold, color: BRAND.brown }}
+        >
+          {saving ? "Saving…" : "Save Attendance"}
+        </button>
+      </div>
+    </div>
+  );
+}
+
+function hhmmLabel(t) {
+  const { hh, mm } = hhmmToParts(t);
+  return formatTime(new Date(2000, 0, 1, hh, mm));
+}
+
+/**
+ * ✅ "No classes" banner for a holiday / suspension on the selected day.
+ * Cancelled periods can be marked Excused in attendance_records.
+ */
+function NoClassBanner({ entries, cancelledCount, onExcuse, excusing }) {
+  return (
+    <div
+      className="rounded-3xl border p-4"
+      style={{ borderColor: "rgba(244,63,94,0.25)", background: "rgba(244,63,94,0.06)" }}
+    >
+      <div className="flex flex-col gap-3 md:flex-row md:items-center md:justify-between">
+        <div className="flex items-start gap-3">
+          <CalendarOff className="mt-0.5 h-5 w-5 text-rose-600" />
+          <div>
+            <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
+              No classes
+            </div>
+            {entries.map((x) => (
+              <div
+                key={x.event.occurrence_key || x.event.id}
+                className="mt-1 text-xs font-semibold"
+                style={{ color: BRAND.muted }}
+              >
+                {noClassLabel(x)}
+                {x.window ? ` • ${hhmmLabel(x.window.start)} — ${hhmmLabel(x.window.end)} only` : ""}
+                {x.effect === "Shift" && x.makeup_date
+                  ? ` • moved to ${new Date(`${x.makeup_date}T00:00:00`).toLocaleDateString()}`
+                  : ""}
+              </div>
+            ))}
+          </div>
+        </div>
+
+        {cancelledCount ? (
+          <button
+            onClick={onExcuse}
+            disabled={excusing}
+            className="inline-flex items-center justify-center gap-2 rounded-2xl border bg-white px-3 py-2 text-xs font-extrabold hover:bg-black/5"
+            style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+          >
+            <ClipboardCheck className="h-4 w-4" style={{ color: BRAND.muted }} />
+            {excusing ? "Marking…" : `Mark ${cancelledCount} class(es) Excused`}
+          </button>
+        ) : null}
+      </div>
+    </div>
+  );
+}
+
+function TodayTimeline({ items, now, onPick, onAttendance, loading }) {
   return (
     <div>
       <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
@@ -603,42 +1018,63 @@ function TodayTimeline({ items, now, onPick, loading }) {
             if (now > c.end) status = "Completed";
 
             return (
-              <button
+              <div
                 key={c.id}
-                onClick={() => onPick(c)}
-                className="w-full rounded-3xl border bg-white p-4 text-left transition hover:-translate-y-[1px]"
+                className="rounded-3xl border bg-white p-4 transition hover:-translate-y-[1px]"
                 style={{ borderColor: BRAND.stroke }}
-                disabled={loading}
               >
-                <div className="flex items-start justify-between gap-2">
-                  <div>
-                    <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
-                      {formatTime(c.start)} — {formatTime(c.end)}
-                    </div>
-                    <div className="mt-1 text-sm font-extrabold" style={{ color: BRAND.brown }}>
-                      {c.subject}
-                    </div>
-                    <div className="mt-1 text-xs font-semibold" style={{ color: BRAND.muted }}>
-                      {c.code} • {c.section} • {c.room} • {c.students} students
+                <button
+                  onClick={() => onPick(c)}
+                  className="w-full text-left"
+                  disabled={loading}
+                >
+                  <div className="flex items-start justify-between gap-2">
+                    <div>
+                      <div className="text-xs font-semibold" style={{ color: BRAND.muted }}>
+                        {formatTime(c.start)} — {formatTime(c.end)}
+                      </div>
+                      <div className="mt-1 text-sm font-extrabold" style={{ color: BRAND.brown }}>
+                        {c.subject}
+                      </div>
+                      <div className="mt-1 text-xs font-semibold" style={{ color: BRAND.muted }}>
+                        {c.code} • {c.section} • {c.room} • {c.students} students
+                      </div>
+                      {c.makeup_of ? (
+                        <div className="mt-1 text-[11px] font-extrabold text-amber-700">
+                          Make-up class for {new Date(`${c.makeup_of}T00:00:00`).toLocaleDateString()}
+                        </div>
+                      ) : null}
                     </div>
-                  </div>
 
-                  <span
-                    className="rounded-full px-3 py-1 text-[11px] font-extrabold"
-                    style={{
-                      background:
-                        status === "Upcoming"
-                          ? BRAND.softGoldBg
-                          : status === "In Progress"
-                          ? "rgba(34,197,94,0.14)"
-                          : "rgba(107,114,128,0.12)",
-                      color: BRAND.brown,
-                    }}
+                    <span
+                      className="rounded-full px-3 py-1 text-[11px] font-extrabold"
+                      style={{
+                        background:
+                          status === "Upcoming"
+                            ? BRAND.softGoldBg
+                            : status === "In Progress"
+                            ? "rgba(34,197,94,0.14)"
+                            : "rgba(107,114,128,0.12)",
+                        color: BRAND.brown,
+                      }}
+                    >
+                      {status}
+                    </span>
+                  </div>
+                </button>
+
+                <div className="mt-3 flex justify-end">
+                  <button
+                    onClick={() => onAttendance(c)}
+                    className="inline-flex items-center gap-2 rounded-2xl border bg-white px-3 py-1.5 text-xs font-extrabold hover:bg-black/5"
+                    style={{ borderColor: BRAND.stroke, color: BRAND.brown }}
+                    disabled={loading}
                   >
-                    {status}
-                  </span>
+                    <ClipboardCheck className="h-4 w-4" style={{ color: BRAND.muted }} />
+                    Attendance
+                  </button>
                 </div>
-              </button>
+              </div>
             );
           })
         )}
@@ -647,7 +1083,7 @@ function TodayTimeline({ items, now, onPick, loading }) {
   );
 }
 
-function WeekGrid({ items, range, onPick, loading }) {
+function WeekGrid({ items, range, noClassDays, onPick, loading }) {
   const days = useMemo(() => {
     const arr = [];
     for (let i = 0; i < 7; i++) arr.push(addDays(range.start, i));
@@ -666,6 +1102,7 @@ function WeekGrid({ items, range, onPick, loading }) {
       <div className="mt-4 grid gap-3 md:grid-cols-7">
         {days.map((d) => {
           const dayItems = items.filter((x) => sameDay(x.date, d));
+          const noClass = noClassDays?.get(toDateKey(d)) || [];
           return (
             <div
               key={d.toISOString()}
@@ -678,6 +1115,15 @@ function WeekGrid({ items, range, onPick, loading }) {
               <div className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
                 {d.toLocaleDateString(undefined, { month: "short", day: "numeric" })}
               </div>
+              {noClass.map((x) => (
+                <div
+                  key={x.event.occurrence_key || x.event.id}
+                  className="mt-2 rounded-xl bg-rose-50 px-2 py-1 text-[10px] font-extrabold text-rose-700"
+                  title={noClassLabel(x)}
+                >
+                  {x.event.title}
+                </div>
+              ))}
 
               <div className="mt-3 space-y-2">
                 {!loading && dayItems.length === 0 ? (
@@ -698,6 +1144,7 @@ function WeekGrid({ items, range, onPick, loading }) {
                       </div>
                       <div className="text-[11px] font-semibold" style={{ color: BRAND.muted }}>
                         {formatTime(c.start)}
+                        {c.makeup_of ? " • Make-up" : ""}
                       </div>
                     </button>
                   ))
@@ -711,7 +1158,7 @@ function WeekGrid({ items, range, onPick, loading }) {
   );
 }
 
-function MonthMini({ items, selectedDate, onPickDate, loading }) {
+function MonthMini({ items, noClassDays, selectedDate, onPickDate, loading }) {
   const [cursor, setCursor] = useState(
     new Date(selectedDate.getFullYear(), selectedDate.getMonth(), 1)
   );
@@ -781,6 +1228,7 @@ function MonthMini({ items, selectedDate, onPickDate, loading }) {
         {grid.map((d) => {
           const inMonth = d.getMonth() === cursor.getMonth();
           const has = items.some((x) => sameDay(x.date, d));
+          const noClass = noClassDays?.get(toDateKey(d));
           const sel = sameDay(d, selectedDate);
 
           return (
@@ -798,7 +1246,11 @@ function MonthMini({ items, selectedDate, onPickDate, loading }) {
               <div className="text-sm font-extrabold" style={{ color: BRAND.brown }}>
                 {d.getDate()}
               </div>
-              {has ? (
+              {noClass ? (
+                <div className="mt-2 text-[10px] font-extrabold text-rose-600">
+                  {noClass.every((x) => x.window) ? "Suspended" : "No classes"}
+                </div>
+              ) : has ? (
                 <div className="mt-2 h-2 w-2 rounded-full" style={{ background: BRAND.gold }} />
               ) : (
                 <div className="mt-2 text-[11px]" style={{ color: BRAND.muted }}>
@@ -1,6 +1,7 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { Save, RefreshCcw, User2 } from "lucide-react";
 import { supabase } from "../lib/supabaseClient";
+import SessionsPanel from "../components/SessionsPanel";
 
 function clsx(...a) {
   return a.filter(Boolean).join(" ");
@@ -304,6 +305,8 @@ export default function TeacherSettings() {
           </div>
         </div>
       </div>
+
+      <SessionsPanel />
     </div>
   );
 }
@@ -0,0 +1,172 @@
+// src/components/CalendarExport.jsx
+// ✅ .ics download + personal subscription URL (calendar-feed edge function)
+import React, { useEffect, useState } from "react";
+import { Copy, Download, Link2, RefreshCw, X } from "lucide-react";
+import { calendarFeedUrl, downloadCalendarIcs, getCalendarFeedToken, webcalUrl } from "../lib/calendarFeed";
+
+export default function CalendarExport({ open, onClose, scope = "all", term, title = "Add to calendar" }) {
+  const [token, setToken] = useState("");
+  const [loading, setLoading] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+  const [copied, setCopied] = useState(false);
+
+  useEffect(() => {
+    if (!open) return;
+    let alive = true;
+
+    (async () => {
+      setLoading(true);
+      setErr("");
+      try {
+        const t = await getCalendarFeedToken(false);
+        if (alive) setToken(t || "");
+      } catch (e) {
+        if (alive) setErr(e?.message || String(e));
+      } finally {
+        if (alive) setLoading(false);
+      }
+    })();
+
+    return () => {
+      alive = false;
+    };
+  }, [open]);
+
+  if (!open) return null;
+
+  // Subscriptions follow the school's active term; only the one-time download is pinned to the picked term.
+  const url = token ? calendarFeedUrl(token, { scope }) : "";
+
+  async function download() {
+    setBusy(true);
+    setErr("");
+    try {
+      await downloadCalendarIcs({ scope, term });
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  async function copy() {
+    try {
+      await navigator.clipboard.writeText(url);
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    } catch {
+      setErr("Copy failed. Select the link and copy it manually.");
+    }
+  }
+
+  async function rotate() {
+    const ok = window.confirm("Reset your calendar link? Calendars subscribed with the old link will stop updating.");
+    if (!ok) return;
+
+    setBusy(true);
+    setErr("");
+    try {
+      setToken((await getCalendarFeedToken(true)) || "");
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-lg rounded-2xl border border-black/10 bg-white shadow-2xl">
+          <div className="flex items-start justify-between border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">{title}</div>
+              <div className="text-xs text-black/60">
+                {scope === "calendar"
+                  ? "School calendar events, holidays and suspensions."
+                  : `Weekly classes${term ? ` (${term})` : ""} plus the school calendar.`}
+              </div>
+            </div>
+            <button
+              type="button"
+              className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="space-y-4 p-4">
+            {err ? (
+              <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">{err}</div>
+            ) : null}
+
+            <div className="rounded-xl border border-black/10 p-3">
+              <div className="text-sm font-extrabold">Download</div>
+              <div className="mt-1 text-xs text-black/60">
+                One-time import (.ics). Changes made later will not appear — subscribe below to stay in sync.
+              </div>
+              <button
+                type="button"
+                onClick={download}
+                disabled={busy}
+                className="mt-3 inline-flex items-center gap-2 rounded-xl bg-[#d4a62f] px-3 py-2 text-sm font-semibold text-[#2b1a12] hover:opacity-95 disabled:opacity-60"
+              >
+                <Download className="h-4 w-4" />
+                {busy ? "Working…" : "Download .ics"}
+              </button>
+            </div>
+
+            <div className="rounded-xl border border-black/10 p-3">
+              <div className="text-sm font-extrabold">Subscribe</div>
+              <div className="mt-1 text-xs text-black/60">
+                Paste this private link into Google Calendar (“From URL”), Apple Calendar or Outlook. Anyone with the
+                link can see your schedule. It always shows the school&apos;s current term.
+              </div>
+
+              <div className="mt-3 flex items-center gap-2">
+                <input
+                  readOnly
+                  value={loading ? "Loading…" : url}
+                  onFocus={(e) => e.target.select()}
+                  className="w-full rounded-xl border border-black/10 bg-black/[0.02] px-3 py-2 text-xs font-mono outline-none"
+                />
+                <button
+                  type="button"
+                  onClick={copy}
+                  disabled={!url}
+                  className="inline-flex items-center gap-1 rounded-xl border border-black/10 px-3 py-2 text-xs font-semibold hover:bg-black/5 disabled:opacity-60"
+                >
+                  <Copy className="h-4 w-4" />
+                  {copied ? "Copied" : "Copy"}
+                </button>
+              </div>
+
+              <div className="mt-3 flex flex-wrap gap-2">
+                <a
+                  href={url ? webcalUrl(url) : undefined}
+                  className="inline-flex items-center gap-1 rounded-xl border border-black/10 px-3 py-2 text-xs font-semibold hover:bg-black/5"
+                >
+                  <Link2 className="h-4 w-4" />
+                  Open in calendar app
+                </a>
+                <button
+                  type="button"
+                  onClick={rotate}
+                  disabled={busy || loading}
+                  className="inline-flex items-center gap-1 rounded-xl border border-black/10 px-3 py-2 text-xs font-semibold text-rose-700 hover:bg-rose-50 disabled:opacity-60"
+                >
+                  <RefreshCw className="h-4 w-4" />
+                  Reset link
+                </button>
+              </div>
+            </div>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
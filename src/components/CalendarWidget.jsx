@@ -2,6 +2,7 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { X, ChevronLeft, ChevronRight, Calendar as CalendarIcon } from "lucide-react";
 import { supabase } from "../lib/supabaseClient"; // adjust if needed
+import { fetchCalendarOccurrences, occursOnDay, toISODate } from "../lib/recurrence";
 
 const BRAND = {
   brown: "rgba(43,26,18,0.95)",
@@ -13,9 +14,6 @@ const BRAND = {
   cardShadow: "0 14px 34px rgba(43,26,18,0.10)",
 };
 
-const pad2 = (n) => String(n).padStart(2, "0");
-const toISODate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
-
 function startOfDay(d) {
   const x = new Date(d);
   x.setHours(0, 0, 0, 0);
@@ -43,12 +41,6 @@ function getMonthMatrix(date) {
   return weeks;
 }
 
-function occursOnDay(ev, isoDay) {
-  const s = ev.start_date; // YYYY-MM-DD
-  const e = ev.end_date || ev.start_date;
-  return isoDay >= s && isoDay <= e;
-}
-
 function niceDate(iso) {
   return new Date(iso).toLocaleDateString(undefined, {
     weekday: "long",
@@ -94,29 +86,18 @@ export default function CalendarWidget({
       setErr("");
 
       try {
-        const start = new Date(monthCursor.getFullYear(), monthCursor.getMonth(), 1);
-        const end = new Date(monthCursor.getFullYear(), monthCursor.getMonth() + 1, 0);
-
-        const startISO = toISODate(start);
-        const endISO = toISODate(end);
-
-        const { data, error } = await supabase
-          .from("calendar_events")
-          .select("id,title,type,start_date,end_date,all_day,start_time,end_time,location,custom_color")
-          .or(
-            [
-              `start_date.gte.${startISO},start_date.lte.${endISO}`,
-              `end_date.gte.${startISO},end_date.lte.${endISO}`,
-              `and(start_date.lte.${startISO},end_date.gte.${endISO})`,
-              `and(start_date.lte.${endISO},end_date.is.null)`,
-            ].join(",")
-          )
-          .order("start_date", { ascending: true });
-
-        if (error) throw error;
+        // ✅ Whole 6-week grid, so leading/trailing days get their occurrences too
+        const grid = getMonthMatrix(monthCursor).flat();
+
+        const { occurrences } = await fetchCalendarOccurrences({
+          from: toISODate(grid[0]),
+          to: toISODate(grid[grid.length - 1]),
+          select:
+            "id,title,type,start_date,end_date,all_day,start_time,end_time,location,custom_color,recurring,repeat_pattern,repeat_until",
+        });
 
         if (!alive) return;
-        setEvents(data || []);
+        setEvents(occurrences);
       } catch (e) {
         if (!alive) return;
         setErr(e?.message || String(e));
@@ -132,6 +113,7 @@ export default function CalendarWidget({
     const ch = supabase
       .channel("calendar_widget_changes")
       .on("postgres_changes", { event: "*", schema: "public", table: "calendar_events" }, () => load())
+      .on("postgres_changes", { event: "*", schema: "public", table: "calendar_event_exceptions" }, () => load())
       .subscribe();
 
     return () => {
@@ -247,7 +229,7 @@ export default function CalendarWidget({
                 <div className="mt-1 flex items-center justify-center gap-1">
                   {list.slice(0, limitDotsPerDay).map((ev) => (
                     <span
-                      key={ev.id}
+                      key={ev.occurrence_key}
                       className="h-1.5 w-1.5 rounded-full"
                       style={{ background: ev.custom_color || BRAND.gold }}
                     />
@@ -309,7 +291,7 @@ function DayModalContained({ dayISO, events, onClose }) {
             ) : (
               <div className="space-y-3">
                 {events.map((ev) => (
-                  <div key={ev.id} className="rounded-2xl border border-black/10 bg-white/70 p-4">
+                  <div key={ev.occurrence_key} className="rounded-2xl border border-black/10 bg-white/70 p-4">
                     <div className="flex items-start justify-between gap-3">
                       <div className="min-w-0">
                         <div className="flex items-center gap-2">
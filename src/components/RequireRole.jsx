@@ -1,12 +1,14 @@
 import React, { useEffect, useMemo, useState } from "react";
 import { Navigate, Outlet, useLocation } from "react-router-dom";
 import { supabase } from "../lib/supabaseClient";
+import { MFA_SETUP_PATH, MFA_VERIFY_PATH, mfaStep, requiresMfa } from "../lib/mfa";
 
 function routeForRole(role) {
   const r = (role || "").toLowerCase();
   if (r === "admin" || r === "super_admin") return "/admin";
   if (r === "teacher") return "/teacher/dashboard";
   if (r === "student") return "/student/dashboard";
+  if (r === "guardian") return "/guardian/dashboard";
   if (r === "dev") return "/dev";
   return "/login";
 }
@@ -98,6 +100,24 @@ export default function RequireRole({ allow = [] }) {
           return;
         }
 
+        // Privileged roles must pass the second factor (or enroll one) first
+        if (requiresMfa(role)) {
+          const step = await mfaStep();
+          if (!alive || myId !== reqId) return;
+
+          if (step !== "ok") {
+            setSafe({
+              loading: false,
+              ok: false,
+              role,
+              mustChange: false,
+              authed: true,
+              mfa: step,
+            });
+            return;
+          }
+        }
+
         // Force change password routing
         if (mustChange) {
           if (
@@ -141,6 +161,20 @@ export default function RequireRole({ allow = [] }) {
             });
             return;
           }
+
+          if (
+            role === "guardian" &&
+            !loc.pathname.startsWith("/guardian/change-password")
+          ) {
+            setSafe({
+              loading: false,
+              ok: false,
+              role: "guardian",
+              mustChange: true,
+              authed: true,
+            });
+            return;
+          }
         }
 
         // ✅ Allowed?
@@ -195,10 +229,15 @@ export default function RequireRole({ allow = [] }) {
     return <div className="p-6 text-sm text-black/60">Checking access…</div>;
   }
 
+  // Two-step sign-in (admin / super_admin / dev)
+  if (state.mfa === "verify") return <Navigate to={MFA_VERIFY_PATH} replace />;
+  if (state.mfa === "enroll") return <Navigate to={MFA_SETUP_PATH} replace />;
+
   // Must change password routes
   if (state.mustChange) {
     if (state.role === "teacher") return <Navigate to="/teacher/change-password" replace />;
     if (state.role === "student") return <Navigate to="/student/change-password" replace />;
+    if (state.role === "guardian") return <Navigate to="/guardian/change-password" replace />;
     if (state.role === "admin" || state.role === "super_admin")
       return <Navigate to="/admin/change-password" replace />;
   }
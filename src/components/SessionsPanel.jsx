@@ -0,0 +1,151 @@
+// src/components/SessionsPanel.jsx
+// "Devices & sessions" card for the signed-in user (TeacherSettings, StudentProfile, admin menu)
+import React, { useState } from "react";
+import { useNavigate } from "react-router-dom";
+import { useQuery } from "@tanstack/react-query";
+import { LogOut, Monitor, RefreshCcw } from "lucide-react";
+import { deviceLabel, fetchMySessions, revokeMySession, signOutEverywhere } from "../lib/sessions";
+
+function when(ts) {
+  return ts ? new Date(ts).toLocaleString() : "—";
+}
+
+export default function SessionsPanel({ className = "" }) {
+  const nav = useNavigate();
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const sessionsQ = useQuery({
+    queryKey: ["my_sessions"],
+    queryFn: () => fetchMySessions(),
+  });
+  const sessions = sessionsQ.data ?? [];
+  const others = sessions.filter((s) => !s.is_current);
+
+  async function run(fn) {
+    setBusy(true);
+    setErr("");
+    try {
+      await fn();
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  function endOne(s) {
+    if (!window.confirm(`Sign out ${deviceLabel(s.user_agent)}?`)) return;
+    run(async () => {
+      await revokeMySession(s.session_id);
+      await sessionsQ.refetch();
+    });
+  }
+
+  function endOthers() {
+    if (!window.confirm("Sign out every other device? This browser stays signed in.")) return;
+    run(async () => {
+      await signOutEverywhere("others");
+      await sessionsQ.refetch();
+    });
+  }
+
+  function endAll() {
+    if (!window.confirm("Sign out everywhere, including this browser?")) return;
+    run(async () => {
+      await signOutEverywhere("global");
+      nav("/login", { replace: true });
+    });
+  }
+
+  return (
+    <div className={`rounded-3xl border border-black/10 bg-white p-5 shadow-[0_18px_40px_rgba(0,0,0,0.06)] ${className}`}>
+      <div className="flex flex-wrap items-start justify-between gap-3">
+        <div>
+          <div className="text-sm font-extrabold text-[#2b1a12]">Devices &amp; sessions</div>
+          <div className="mt-1 text-xs font-semibold text-black/50">
+            Where your account is signed in. Used a shared or lab computer? Sign it out here.
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => sessionsQ.refetch()}
+          className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-white px-3 py-2 text-xs font-semibold hover:bg-black/5"
+        >
+          <RefreshCcw className="h-4 w-4" />
+          Refresh
+        </button>
+      </div>
+
+      {err ? (
+        <div className="mt-3 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-xs font-semibold text-rose-800">{err}</div>
+      ) : null}
+
+      <div className="mt-4 space-y-2">
+        {sessionsQ.isLoading ? (
+          <div className="text-sm font-semibold text-black/50">Loading…</div>
+        ) : sessionsQ.isError ? (
+          <div className="text-sm font-semibold text-rose-700">{String(sessionsQ.error?.message || sessionsQ.error)}</div>
+        ) : !sessions.length ? (
+          <div className="text-sm font-semibold text-black/40">No active sessions found.</div>
+        ) : (
+          sessions.map((s) => (
+            <div
+              key={s.session_id}
+              className="flex items-center justify-between gap-3 rounded-2xl border border-black/10 bg-black/[0.02] px-4 py-3"
+            >
+              <div className="flex min-w-0 items-center gap-3">
+                <Monitor className="h-5 w-5 shrink-0 text-black/45" />
+                <div className="min-w-0">
+                  <div className="truncate text-sm font-extrabold text-[#2b1a12]">
+                    {deviceLabel(s.user_agent)}
+                    {s.is_current ? (
+                      <span className="ml-2 rounded-full bg-emerald-500/10 px-2 py-0.5 text-[11px] font-extrabold text-emerald-700">
+                        This browser
+                      </span>
+                    ) : null}
+                  </div>
+                  <div className="text-xs font-semibold text-black/50">
+                    Last active {when(s.last_seen_at)}
+                    {s.ip ? ` • ${s.ip}` : ""} • Signed in {when(s.created_at)}
+                  </div>
+                </div>
+              </div>
+              {!s.is_current ? (
+                <button
+                  type="button"
+                  onClick={() => endOne(s)}
+                  disabled={busy}
+                  className="shrink-0 rounded-xl border border-black/10 px-3 py-1.5 text-xs font-semibold text-rose-700 hover:bg-rose-50 disabled:opacity-60"
+                >
+                  Sign out
+                </button>
+              ) : null}
+            </div>
+          ))
+        )}
+      </div>
+
+      <div className="mt-4 flex flex-wrap gap-2">
+        <button
+          type="button"
+          onClick={endOthers}
+          disabled={busy || !others.length}
+          className="inline-flex items-center gap-2 rounded-2xl border border-black/10 bg-white px-4 py-2 text-xs font-semibold hover:bg-black/5 disabled:opacity-60"
+        >
+          <LogOut className="h-4 w-4" />
+          Sign out other devices
+        </button>
+        <button
+          type="button"
+          onClick={endAll}
+          disabled={busy}
+          className="inline-flex items-center gap-2 rounded-2xl border border-rose-200 bg-rose-50 px-4 py-2 text-xs font-semibold text-rose-700 hover:bg-rose-100 disabled:opacity-60"
+        >
+          <LogOut className="h-4 w-4" />
+          Sign out everywhere
+        </button>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,115 @@
+// src/components/UserSessionsModal.jsx
+// Staff view of another user's signed-in devices, with "sign out of all devices"
+import React, { useState } from "react";
+import { useQuery } from "@tanstack/react-query";
+import { LogOut, Monitor, X } from "lucide-react";
+import { deviceLabel, fetchUserSessions, revokeUserSessions } from "../lib/sessions";
+
+function windowConfirm({ message }) {
+  return Promise.resolve(window.confirm(message));
+}
+
+/** `confirm` matches the pages' toast.confirm ({ title, message, ... } -> Promise<boolean>). */
+export default function UserSessionsModal({ open, userId, title, onClose, onRevoked, confirm = windowConfirm }) {
+  const [busy, setBusy] = useState(false);
+  const [err, setErr] = useState("");
+
+  const sessionsQ = useQuery({
+    queryKey: ["user_sessions", userId],
+    queryFn: () => fetchUserSessions(userId),
+    enabled: open && !!userId,
+  });
+  const sessions = sessionsQ.data ?? [];
+
+  if (!open) return null;
+
+  async function revokeAll() {
+    const ok = await confirm({
+      title: "Sign out of all devices?",
+      message: `Sign ${title || "this user"} out of every device?`,
+      confirmText: "Sign out",
+      cancelText: "Cancel",
+      tone: "danger",
+    });
+    if (!ok) return;
+
+    setBusy(true);
+    setErr("");
+    try {
+      const count = await revokeUserSessions(userId);
+      await sessionsQ.refetch();
+      onRevoked?.(count);
+    } catch (e) {
+      setErr(e?.message || String(e));
+    } finally {
+      setBusy(false);
+    }
+  }
+
+  return (
+    <>
+      <div className="fixed inset-0 z-40 bg-black/30 backdrop-blur-sm" onClick={onClose} />
+      <div className="fixed inset-0 z-50 flex items-center justify-center p-4">
+        <div className="w-full max-w-lg rounded-2xl border border-black/10 bg-white shadow-2xl">
+          <div className="flex items-start justify-between border-b border-black/10 p-4">
+            <div>
+              <div className="text-base font-extrabold">Devices &amp; sessions</div>
+              <div className="text-xs text-black/60">{title || userId}</div>
+            </div>
+            <button
+              type="button"
+              className="grid h-9 w-9 place-items-center rounded-xl hover:bg-black/5"
+              onClick={onClose}
+              aria-label="Close"
+            >
+              <X className="h-5 w-5 text-black/60" />
+            </button>
+          </div>
+
+          <div className="space-y-3 p-4">
+            {err ? (
+              <div className="rounded-xl border border-rose-200 bg-rose-50 p-3 text-xs font-semibold text-rose-800">{err}</div>
+            ) : null}
+
+            {sessionsQ.isLoading ? (
+              <div className="text-sm text-black/55">Loading…</div>
+            ) : sessionsQ.isError ? (
+              <div className="text-sm text-rose-700">{String(sessionsQ.error?.message || sessionsQ.error)}</div>
+            ) : !sessions.length ? (
+              <div className="text-sm text-black/55">Not signed in anywhere.</div>
+            ) : (
+              <div className="max-h-[50vh] space-y-2 overflow-auto">
+                {sessions.map((s) => (
+                  <div key={s.session_id} className="flex items-center gap-3 rounded-xl border border-black/10 px-3 py-2">
+                    <Monitor className="h-4 w-4 shrink-0 text-black/45" />
+                    <div className="min-w-0">
+                      <div className="truncate text-sm font-semibold">{deviceLabel(s.user_agent)}</div>
+                      <div className="text-xs text-black/55">
+                        Last active {s.last_seen_at ? new Date(s.last_seen_at).toLocaleString() : "—"}
+                        {s.ip ? ` • ${s.ip}` : ""}
+                      </div>
+                    </div>
+                  </div>
+                ))}
+              </div>
+            )}
+
+            <div className="text-xs text-black/50">
+              Signed-out devices lose access within the hour, when their current sign-in token expires.
+            </div>
+
+            <button
+              type="button"
+              onClick={revokeAll}
+              disabled={busy || !sessions.length}
+              className="inline-flex items-center gap-2 rounded-xl border border-rose-200 bg-rose-50 px-3 py-2 text-sm font-semibold text-rose-700 hover:bg-rose-100 disabled:opacity-60"
+            >
+              <LogOut className="h-4 w-4" />
+              {busy ? "Signing out…" : "Sign out of all devices"}
+            </button>
+          </div>
+        </div>
+      </div>
+    </>
+  );
+}
@@ -13,7 +13,9 @@ import {
   Save,
   ArchiveRestore,
   KeyRound,
+  ShieldOff,
 } from "lucide-react";
+import { fetchMfaStatus, resetUserMfa } from "../../lib/mfa";
 
 function errMsg(e) {
   return String(e?.message || e || "Unknown error");
@@ -186,6 +188,15 @@ export default function AdminManagement() {
 
   const rows = adminsQ.data ?? [];
 
+  // Two-step sign-in state per account (authenticator enrolled, recovery codes left)
+  const mfaIds = rows.map((r) => r.user_id);
+  const mfaQ = useQuery({
+    queryKey: ["dev-admins-mfa", mfaIds],
+    queryFn: () => fetchMfaStatus(mfaIds),
+    enabled: mfaIds.length > 0,
+  });
+  const mfaMap = mfaQ.data ?? new Map();
+
   const visibleRows = useMemo(() => {
     const wantArchived = tab === "archived";
     return rows.filter((r) => !!r.is_archived === wantArchived);
@@ -350,6 +361,23 @@ export default function AdminManagement() {
     onError: (e) => toast.push({ tone: "danger", title: "Reset failed", message: errMsg(e) }),
   });
 
+  // ======================
+  // RESET TWO-STEP SIGN-IN (lost device)
+  // Clears factors + recovery codes and signs the user out; they enroll again at next login.
+  // ======================
+  const resetMfaM = useMutation({
+    mutationFn: ({ user_id }) => resetUserMfa(user_id),
+    onSuccess: async () => {
+      toast.push({
+        tone: "success",
+        title: "Two-step sign-in reset",
+        message: "The user will set up a new authenticator at their next sign-in.",
+      });
+      await qc.invalidateQueries({ queryKey: ["dev-admins-mfa"] });
+    },
+    onError: (e) => toast.push({ tone: "danger", title: "Reset failed", message: errMsg(e) }),
+  });
+
   // ======================
   // UI HANDLERS
   // ======================
@@ -402,8 +430,23 @@ export default function AdminManagement() {
     resetPwdM.mutate({ user_id: row.user_id });
   }
 
+  async function onResetMfa(row) {
+    const email = row?.profiles?.email || row.user_id;
+
+    const ok = await toast.confirm({
+      title: "Reset two-step sign-in?",
+      message: `Remove the authenticator and recovery codes for ${email}? They will be signed out everywhere and must set up a new authenticator.`,
+      confirmText: "Reset",
+      cancelText: "Cancel",
+      tone: "danger",
+    });
+
+    if (!ok) return;
+    resetMfaM.mutate({ user_id: row.user_id });
+  }
+
   const busy =
-    createM.isPending || updateM.isPending || archiveM.isPending || resetPwdM.isPending;
+    createM.isPending || updateM.isPending || archiveM.isPending || resetPwdM.isPending || resetMfaM.isPending;
 
   return (
     <div className="space-y-4">
@@ -529,6 +572,7 @@ export default function AdminManagement() {
                 <th className="px-4 py-3 font-semibold">Role</th>
                 <th className="px-4 py-3 font-semibold">Active</th>
                 <th className="px-4 py-3 font-semibold">Archived</th>
+                <th className="px-4 py-3 font-semibold">2-step</th>
                 <th className="px-4 py-3 font-semibold text-right">Actions</th>
               </tr>
             </thead>
@@ -540,6 +584,13 @@ export default function AdminManagement() {
                   <td className="px-4 py-3 font-semibold">{r?.profiles?.role || "-"}</td>
                   <td className="px-4 py-3">{r.is_active ? "Yes" : "No"}</td>
                   <td className="px-4 py-3">{r.is_archived ? "Yes" : "No"}</td>
+                  <td className="px-4 py-3">
+                    {mfaMap.get(r.user_id)?.enrolled
+                      ? `On (${mfaMap.get(r.user_id).recovery_left} codes)`
+                      : mfaQ.isLoading
+                      ? "…"
+                      : "Not set up"}
+                  </td>
 
                   <td className="px-4 py-3">
                     <div className="flex justify-end gap-2">
@@ -557,6 +608,12 @@ export default function AdminManagement() {
                             <KeyRound className="h-5 w-5" />
                           </IconBtn>
 
+                          {mfaMap.get(r.user_id)?.enrolled ? (
+                            <IconBtn title="Reset two-step sign-in (lost device)" onClick={() => onResetMfa(r)} tone="neutral">
+                              <ShieldOff className="h-5 w-5" />
+                            </IconBtn>
+                          ) : null}
+
                           <IconBtn title="Archive (disable access)" onClick={() => onArchiveToggle(r)} tone="danger">
                             <Trash2 className="h-5 w-5" />
                           </IconBtn>
@@ -573,7 +630,7 @@ export default function AdminManagement() {
 
               {filtered.length === 0 ? (
                 <tr>
-                  <td colSpan={6} className="px-4 py-10 text-center text-sm text-black/55">
+                  <td colSpan={7} className="px-4 py-10 text-center text-sm text-black/55">
                     No admin accounts found.
                   </td>
                 </tr>
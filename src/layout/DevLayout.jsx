@@ -17,6 +17,7 @@ import {
 } from "lucide-react";
 import { TOKENS } from "../styles/tokens.js";
 import { supabase } from "../lib/supabaseClient.js";
+import { MFA_SETUP_PATH, MFA_VERIFY_PATH, mfaStep } from "../lib/mfa.js";
 
 /**
  * ✅ PURPOSE-DRIVEN DEV CONSOLE
@@ -106,6 +107,14 @@ export default function DevLayout() {
           return;
         }
 
+        // ✅ Dev Console also requires the second sign-in step
+        const step = await mfaStep();
+        if (!alive) return;
+        if (step !== "ok") {
+          nav(step === "verify" ? MFA_VERIFY_PATH : MFA_SETUP_PATH, { replace: true });
+          return;
+        }
+
         setMe({
           loading: false,
           err: profErr ? String(profErr.message || profErr) : "",
@@ -316,7 +325,15 @@ function Sidebar({ me, navItems, status }) {
         </nav>
       </div>
 
-      <div className="mt-4">
+      <div className="mt-4 grid gap-2">
+        <button
+          onClick={() => nav("/mfa/setup")}
+          className="inline-flex w-full items-center justify-center gap-2 rounded-2xl border border-black/10 bg-white/70 px-3 py-2 text-sm font-semibold hover:bg-white"
+          type="button"
+        >
+          <ShieldCheck className="h-4 w-4 text-black/60" />
+          Two-step sign-in
+        </button>
         <button
           onClick={logout}
           className="inline-flex w-full items-center justify-center gap-2 rounded-2xl border border-black/10 bg-white/70 px-3 py-2 text-sm font-semibold hover:bg-white"
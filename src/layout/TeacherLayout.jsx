@@ -18,6 +18,8 @@ import {
   UserCircle2,
   PanelLeftClose,
   PanelLeftOpen,
+  ClipboardCheck,
+  Inbox,
 } from "lucide-react";
 
 import logo from "../assets/grabsum-logo.png";
@@ -42,8 +44,10 @@ const TEACHER_NAV = [
   { key: "lesson-sampler", label: "Lesson Sampler", to: "/teacher/lesson-sampler", icon: Sparkles },
   { key: "lesson-library", label: "Lesson Library", to: "/teacher/lesson-library", icon: BookOpen },
   { key: "assign-lesson", label: "Assign Lesson", to: "/teacher/assign-lesson", icon: BookOpen },
+  { key: "submissions", label: "Submissions", to: "/teacher/submissions", icon: Inbox },
   { key: "classes", label: "My Classes", to: "/teacher/classes", icon: GraduationCap },
   { key: "schedule", label: "Schedule", to: "/teacher/schedule", icon: CalendarDays },
+  { key: "attendance", label: "Attendance", to: "/teacher/attendance", icon: ClipboardCheck },
   { key: "ann", label: "Announcements", to: "/teacher/announcements", icon: Megaphone },
   { key: "students", label: "Students", to: "/teacher/students", icon: Users },
   { key: "profile", label: "Profile", to: "/teacher/settings", icon: UserCircle2 },
@@ -54,10 +58,12 @@ function titleFromPath(path) {
   if (path.includes("/teacher/lesson-sampler")) return "Lesson Sampler";
   if (path.includes("/teacher/classes")) return "My Classes";
   if (path.includes("/teacher/schedule")) return "Schedule";
+  if (path.includes("/teacher/attendance")) return "Attendance";
   if (path.includes("/teacher/announcements")) return "Announcements";
   if (path.includes("/teacher/students")) return "Students";
   if (path.includes("/teacher/settings")) return "Profile";
   if (path.includes("/teacher/lesson-library")) return "Lesson Library";
+  if (path.includes("/teacher/submissions")) return "Submissions";
   return "Teacher";
 }
 
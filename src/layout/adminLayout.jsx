@@ -12,6 +12,8 @@ import {
   Megaphone,
   ChevronDown,
   LogOut,
+  ShieldCheck,
+  Monitor,
   PanelLeftClose,
   PanelLeftOpen,
   Menu,
@@ -20,6 +22,7 @@ import {
 
 import { TOKENS } from "../styles/tokens";
 import { supabase } from "../lib/supabaseClient";
+import SessionsPanel from "../components/SessionsPanel";
 
 /** Optional: set your logo path here (public folder recommended) */
 const SCHOOL = {
@@ -48,6 +51,7 @@ const NAV = [
     children: [
       { key: "sections", label: "Sections", icon: ClipboardList, to: "/admin/students/section" },
       { key: "subjects", label: "Subjects", icon: ClipboardList, to: "/admin/students/subject" },
+      { key: "rooms", label: "Rooms", icon: ClipboardList, to: "/admin/students/rooms" },
     ],
   },
 
@@ -55,14 +59,20 @@ const NAV = [
     key: "setup",
     label: "School Setup",
     icon: ClipboardList,
-    children: [{ key: "school-year", label: "School Year", icon: BookOpen, to: "/admin/students/school-year" }],
+    children: [
+      { key: "school-year", label: "School Year", icon: BookOpen, to: "/admin/students/school-year" },
+      { key: "terms", label: "Terms", icon: CalendarDays, to: "/admin/students/terms" },
+    ],
   },
 
   {
     key: "teachers",
     label: "Teachers",
     icon: GraduationCap,
-    children: [{ key: "manage", label: "Manage", icon: Users, to: "/admin/teacher/manage" }],
+    children: [
+      { key: "manage", label: "Manage", icon: Users, to: "/admin/teacher/manage" },
+      { key: "loads", label: "Loads", icon: CalendarDays, to: "/admin/teacher/schedule" },
+    ],
   },
 
   { key: "calendar", label: "Calendar", icon: CalendarDays, to: "/admin/calendar" },
@@ -175,7 +185,7 @@ function Sidebar({ collapsed, setCollapsed, mobile = false, onClose }) {
     if (p.includes("/admin/students/")) {
       if (p.includes("/students/enrollment") || p.includes("/students/schedule")) setOpen((s) => ({ ...s, students: true }));
       if (p.includes("/students/section") || p.includes("/students/subject")) setOpen((s) => ({ ...s, academics: true }));
-      if (p.includes("/students/school-year")) setOpen((s) => ({ ...s, setup: true }));
+      if (p.includes("/students/school-year") || p.includes("/students/terms")) setOpen((s) => ({ ...s, setup: true }));
     }
     if (p.includes("/admin/teacher/")) setOpen((s) => ({ ...s, teachers: true }));
   }, [loc.pathname]);
@@ -464,6 +474,7 @@ function Topbar({ title, onOpenSidebar }) {
   });
 
   const [openMenu, setOpenMenu] = useState(false);
+  const [sessionsOpen, setSessionsOpen] = useState(false);
   const menuRef = useRef(null);
 
   useEffect(() => {
@@ -599,6 +610,30 @@ function Topbar({ title, onOpenSidebar }) {
                 className="absolute right-0 mt-2 w-[220px] overflow-hidden rounded-2xl border border-black/10 bg-white shadow-xl"
                 role="menu"
               >
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpenMenu(false);
+                    nav("/mfa/setup");
+                  }}
+                  className="flex w-full items-center gap-2 px-4 py-3 text-sm font-semibold text-black/75 hover:bg-black/[0.03]"
+                  role="menuitem"
+                >
+                  <ShieldCheck className="h-4 w-4 text-black/60" />
+                  Two-step sign-in
+                </button>
+                <button
+                  type="button"
+                  onClick={() => {
+                    setOpenMenu(false);
+                    setSessionsOpen(true);
+                  }}
+                  className="flex w-full items-center gap-2 px-4 py-3 text-sm font-semibold text-black/75 hover:bg-black/[0.03]"
+                  role="menuitem"
+                >
+                  <Monitor className="h-4 w-4 text-black/60" />
+                  Devices &amp; sessions
+                </button>
                 <button
                   type="button"
                   onClick={handleLogout}
@@ -613,6 +648,17 @@ function Topbar({ title, onOpenSidebar }) {
           </AnimatePresence>
         </div>
       </div>
+
+      {sessionsOpen ? (
+        <>
+          <div className="fixed inset-0 z-40 bg-black/30 backdrop-blur-sm" onClick={() => setSessionsOpen(false)} />
+          <div className="fixed inset-0 z-50 flex items-center justify-center p-4" onClick={() => setSessionsOpen(false)}>
+            <div className="w-full max-w-2xl" onClick={(e) => e.stopPropagation()}>
+              <SessionsPanel />
+            </div>
+          </div>
+        </>
+      ) : null}
     </header>
   );
 }
@@ -629,10 +675,13 @@ function titleFromPath(path) {
 
   if (path.includes("/students/section")) return "Academics • Sections";
   if (path.includes("/students/subject")) return "Academics • Subjects";
+  if (path.includes("/students/rooms")) return "Academics • Rooms";
 
   if (path.includes("/students/school-year")) return "School Setup • School Year";
+  if (path.includes("/students/terms")) return "School Setup • Terms";
 
   if (path.includes("/teacher/manage")) return "Teachers • Manage";
+  if (path.includes("/teacher/schedule")) return "Teachers • Loads";
 
   if (path.includes("/calendar")) return "Scheduling • Calendar";
   if (path.includes("/announcement")) return "Communication • Announcements";
@@ -0,0 +1,115 @@
+import { supabase } from "./supabaseClient";
+import { onlyDigits, isEmail, isLRN } from "./validators";
+
+// Applicant self-service status (/application-status) and the registrar side of it.
+// Applicants are anonymous: they identify with application_id + LRN + birthdate and go
+// through security-definer RPCs (applicant_status_lookup / applicant_correct_fields).
+// The registrar flags fields (st_flagged_fields + st_correction_note) or rejects with a
+// reason (st_rejection_reason) straight on the enrollment row.
+
+/** Fields the registrar can ask an applicant to fix, in form order. */
+export const CORRECTABLE_FIELDS = [
+  { key: "st_fname", label: "First name" },
+  { key: "st_lname", label: "Last name" },
+  { key: "st_mi", label: "Middle initial" },
+  { key: "st_ext", label: "Extension (Jr., III)" },
+  { key: "st_gender", label: "Gender", options: ["Male", "Female"] },
+  { key: "st_bdate", label: "Birthdate", type: "date" },
+  { key: "st_bplace", label: "Birthplace" },
+  { key: "st_current_address", label: "Current address" },
+  { key: "st_email", label: "Email", type: "email" },
+  { key: "st_lrn", label: "LRN" },
+  { key: "st_previous_school", label: "Previous school" },
+  { key: "st_father_name", label: "Father's name" },
+  { key: "st_mother_name", label: "Mother's name" },
+  { key: "st_guardian_name", label: "Guardian name" },
+  { key: "st_guardian_contact", label: "Guardian contact" },
+  { key: "st_guardian_relationship", label: "Guardian relationship" },
+];
+
+const FIELD_LABELS = new Map(CORRECTABLE_FIELDS.map((f) => [f.key, f.label]));
+
+export function fieldLabel(key) {
+  return FIELD_LABELS.get(key) || key;
+}
+
+/** What the applicant should read for each status. */
+export const STATUS_COPY = {
+  Pending: "Your application is complete and waiting for the registrar's review.",
+  Incomplete: "Some required documents are missing or were not accepted. Submit them to the registrar.",
+  Approved: "Your application was approved. Wait for the registrar to finish your enrollment.",
+  Rejected: "Your application was not accepted.",
+  Enrolled: "You are enrolled. Sign in to the portal with the student number given by the registrar.",
+};
+
+function identity({ applicationId, lrn, bdate }) {
+  return {
+    p_application_id: String(applicationId || "").trim(),
+    p_lrn: onlyDigits(lrn) || null,
+    p_bdate: bdate || null,
+  };
+}
+
+/** null when nothing matches (wrong code, LRN or birthdate); repeated misses are throttled. */
+export async function lookupApplication(ident) {
+  const { data, error } = await supabase.rpc("applicant_status_lookup", identity(ident));
+  if (error) throw error;
+  return data || null;
+}
+
+/**
+ * Sends only the flagged keys; returns the refreshed lookup. If LRN or birthdate were among
+ * the corrections the caller should identify with the new value from then on.
+ */
+export async function submitCorrections(ident, changes) {
+  const { data, error } = await supabase.rpc("applicant_correct_fields", { ...identity(ident), p_changes: changes });
+  if (error) throw error;
+  if (!data) throw new Error("Application not found.");
+  return data;
+}
+
+/** Client-side checks that mirror the pre-enroll form for the fields being corrected. */
+export function validateCorrections(changes) {
+  const e = {};
+  Object.entries(changes || {}).forEach(([key, raw]) => {
+    const v = String(raw ?? "").trim();
+    if ((key === "st_fname" || key === "st_lname" || key === "st_current_address") && !v) e[key] = "Required.";
+    if (key === "st_email" && !isEmail(v)) e[key] = "Enter a valid email address.";
+    if (key === "st_lrn" && !isLRN(v)) e[key] = "LRN must be 12 digits.";
+    if (key === "st_bdate" && !v) e[key] = "Birthdate is required.";
+    if (key === "st_gender" && !["Male", "Female"].includes(v)) e[key] = "Select a gender.";
+  });
+  return e;
+}
+
+/* ===================== Registrar ===================== */
+
+export async function requestCorrections({ id, fields, note }) {
+  const { error } = await supabase
+    .from("enrollment")
+    .update({
+      st_flagged_fields: fields || [],
+      st_correction_note: String(note || "").trim() || null,
+      st_updated_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", id);
+  if (error) throw error;
+}
+
+export async function rejectApplication({ id, reason }) {
+  const text = String(reason || "").trim();
+  if (!text) throw new Error("A rejection reason is required.");
+
+  const { error } = await supabase
+    .from("enrollment")
+    .update({
+      st_application_status: "Rejected",
+      st_rejection_reason: text,
+      st_flagged_fields: [],
+      st_updated_at: new Date().toISOString(),
+      updated_at: new Date().toISOString(),
+    })
+    .eq("id", id);
+  if (error) throw error;
+}
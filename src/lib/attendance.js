@@ -0,0 +1,110 @@
+import { supabase } from "./supabaseClient";
+
+export const ATTENDANCE_STATUSES = ["Present", "Late", "Absent", "Excused"];
+
+export const ATTENDANCE_SHORT = { Present: "P", Late: "L", Absent: "A", Excused: "E" };
+
+function pad2(n) {
+  return String(n).padStart(2, "0");
+}
+
+// Local calendar date -> "YYYY-MM-DD" (attend_date column)
+export function toDateKey(d) {
+  return `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+}
+
+export function monthRangeKeys(year, monthIndex) {
+  const first = new Date(year, monthIndex, 1);
+  const last = new Date(year, monthIndex + 1, 0);
+  return { from: toDateKey(first), to: toDateKey(last), days: last.getDate() };
+}
+
+export async function fetchPeriodAttendance(scheduleId, dateKey) {
+  const { data, error } = await supabase
+    .from("attendance_records")
+    .select("attendance_id, student_id, status, remarks")
+    .eq("schedule_id", scheduleId)
+    .eq("attend_date", dateKey);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Upsert one period's attendance.
+ * slot: section_schedules row { schedule_id, sy_id, term_id, section_id, subject_id }
+ * marks: [{ student_id, status, remarks }]
+ */
+export async function savePeriodAttendance(slot, dateKey, marks, recordedBy) {
+  const now = new Date().toISOString();
+  const payload = marks.map((m) => ({
+    sy_id: slot.sy_id,
+    term_id: slot.term_id,
+    schedule_id: slot.schedule_id,
+    section_id: slot.section_id,
+    subject_id: slot.subject_id ?? null,
+    student_id: m.student_id,
+    attend_date: dateKey,
+    status: m.status,
+    remarks: m.remarks?.trim() || null,
+    recorded_by: recordedBy ?? null,
+    updated_at: now,
+  }));
+
+  if (!payload.length) return;
+
+  const { error } = await supabase
+    .from("attendance_records")
+    .upsert(payload, { onConflict: "schedule_id,student_id,attend_date" });
+
+  if (error) throw error;
+}
+
+/**
+ * Mark every student of the slot's section Excused for dateKey (class cancelled by a
+ * holiday / suspension). Overwrites marks already taken for that period.
+ */
+export async function excuseSuspendedClass(slot, dateKey, remarks, recordedBy) {
+  const { data: studs, error } = await supabase
+    .from("students")
+    .select("id")
+    .eq("sy_id", slot.sy_id)
+    .eq("section_id", slot.section_id);
+
+  if (error) throw error;
+
+  const marks = (studs || []).map((s) => ({ student_id: s.id, status: "Excused", remarks }));
+  await savePeriodAttendance(slot, dateKey, marks, recordedBy);
+  return marks.length;
+}
+
+/**
+ * Collapse a student's period marks for one day into a single daily status. Excused periods
+ * are left out: all excused -> Excused, every other period absent -> Absent, a Late mark or
+ * a present/absent mix -> Late (tardy / cutting), otherwise Present.
+ */
+export function dailyStatus(statuses) {
+  if (!statuses.length) return null;
+  const counted = statuses.filter((s) => s !== "Excused");
+  if (!counted.length) return "Excused";
+  if (counted.every((s) => s === "Absent")) return "Absent";
+  if (counted.some((s) => s === "Late")) return "Late";
+  if (counted.some((s) => s === "Absent")) return "Late";
+  return "Present";
+}
+
+// records -> Map<student_id, { Present, Late, Absent, Excused, lastAbsent }>
+export function summarizeAttendance(records) {
+  const map = new Map();
+  for (const r of records) {
+    if (!map.has(r.student_id)) {
+      map.set(r.student_id, { Present: 0, Late: 0, Absent: 0, Excused: 0, lastAbsent: null });
+    }
+    const s = map.get(r.student_id);
+    s[r.status] = (s[r.status] || 0) + 1;
+    if (r.status === "Absent" && (!s.lastAbsent || r.attend_date > s.lastAbsent)) {
+      s.lastAbsent = r.attend_date;
+    }
+  }
+  return map;
+}
@@ -0,0 +1,42 @@
+import { supabase } from "./supabaseClient";
+
+// .ics export + subscription feed, both served by the calendar-feed edge function.
+// scope "all" = class schedule (teacher/student) + school calendar, "calendar" = school calendar only.
+
+const FEED_FN = "calendar-feed";
+
+export async function getCalendarFeedToken(rotate = false) {
+  const { data, error } = await supabase.rpc("get_calendar_feed_token", { p_rotate: rotate });
+  if (error) throw error;
+  return data;
+}
+
+export function calendarFeedUrl(token, { scope = "all", term } = {}) {
+  const base = import.meta.env.VITE_SUPABASE_URL;
+  const params = new URLSearchParams({ token });
+  if (scope === "calendar") params.set("scope", "calendar");
+  if (term) params.set("term", term);
+  return `${base}/functions/v1/${FEED_FN}?${params.toString()}`;
+}
+
+// webcal:// makes phones / desktop calendars offer "Subscribe" instead of a one-time import.
+export function webcalUrl(url) {
+  return String(url).replace(/^https?:\/\//, "webcal://");
+}
+
+export async function downloadCalendarIcs({ scope = "all", term, filename }) {
+  const { data, error } = await supabase.functions.invoke(FEED_FN, { body: { scope, term } });
+  if (error) throw error;
+
+  const text = typeof data === "string" ? data : await new Response(data).text();
+  const blob = new Blob([text], { type: "text/calendar;charset=utf-8" });
+  const href = URL.createObjectURL(blob);
+
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename || (scope === "calendar" ? "school-calendar.ics" : "schedule.ics");
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(href);
+}
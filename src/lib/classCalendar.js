@@ -0,0 +1,109 @@
+import { fetchCalendarOccurrences, addDaysISO, parseISODate } from "./recurrence";
+
+// How calendar_events affect materialized class schedules (section_schedules).
+// class_effect: "Cancel" (no classes), "Shift" (classes move to makeup_date), "None".
+// Left empty, Holiday / Class Suspension events cancel classes and everything else has no effect.
+
+export const CLASS_EFFECTS = ["Cancel", "Shift", "None"];
+
+export const NO_CLASS_TYPES = ["Holiday", "Class Suspension"];
+
+const DAY_CODES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+const hhmm = (t) => (t ? String(t).slice(0, 5) : "");
+
+export function classEffect(ev) {
+  if (CLASS_EFFECTS.includes(ev?.class_effect)) return ev.class_effect;
+  return NO_CLASS_TYPES.includes(ev?.type) ? "Cancel" : "None";
+}
+
+function daysBetween(fromISO, toISO) {
+  return Math.round((parseISODate(toISO) - parseISODate(fromISO)) / 86400000);
+}
+
+/**
+ * Occurrences -> Map<"YYYY-MM-DD", entry[]> of days whose classes are cancelled or shifted.
+ * entry: { event, effect, window: { start, end } | null, makeup_date }
+ * window is set for timed (not all-day) events, so a half-day suspension only hits overlapping periods.
+ */
+export function buildNoClassDays(occurrences) {
+  const map = new Map();
+
+  for (const occ of occurrences || []) {
+    const effect = classEffect(occ);
+    if (effect === "None") continue;
+
+    const window =
+      !occ.all_day && occ.start_time && occ.end_time ? { start: hhmm(occ.start_time), end: hhmm(occ.end_time) } : null;
+
+    // A recurring series keeps its make-up offset on every occurrence.
+    const master = occ._master || occ;
+    const makeupOffset =
+      effect === "Shift" && master.makeup_date ? daysBetween(master.start_date, master.makeup_date) : null;
+
+    const last = occ.end_date || occ.start_date;
+    for (let iso = occ.start_date; iso <= last; iso = addDaysISO(iso, 1)) {
+      const entry = {
+        event: occ,
+        effect,
+        window,
+        makeup_date: makeupOffset == null ? null : addDaysISO(iso, makeupOffset),
+      };
+      if (!map.has(iso)) map.set(iso, []);
+      map.get(iso).push(entry);
+    }
+  }
+
+  return map;
+}
+
+/** The entry that suspends this schedule row on iso (null = class goes ahead). */
+export function slotSuspension(noClassDays, iso, row) {
+  for (const entry of noClassDays?.get(iso) || []) {
+    if (!entry.window) return entry;
+    if (hhmm(row.start_time) < entry.window.end && hhmm(row.end_time) > entry.window.start) return entry;
+  }
+  return null;
+}
+
+/** Schedule rows that would meet on iso but are suspended: [{ row, entry }]. */
+export function cancelledSlotsOn(noClassDays, iso, rows) {
+  if (!noClassDays?.has(iso)) return [];
+  const dow = DAY_CODES[parseISODate(iso).getDay()];
+
+  return (rows || [])
+    .filter((r) => r.day_of_week === dow)
+    .map((row) => ({ row, entry: slotSuspension(noClassDays, iso, row) }))
+    .filter((x) => x.entry);
+}
+
+/** Shifted classes held on iso as make-up: [{ row, from, entry }]. */
+export function makeupSlotsOn(noClassDays, iso, rows) {
+  const out = [];
+  for (const [from, entries] of noClassDays || []) {
+    if (!entries.some((e) => e.makeup_date === iso)) continue;
+    for (const { row, entry } of cancelledSlotsOn(noClassDays, from, rows)) {
+      if (entry.makeup_date === iso) out.push({ row, from, entry });
+    }
+  }
+  return out;
+}
+
+/**
+ * Load no-class days around [fromISO, toISO]. Looks a month wider both ways so
+ * make-up days inside the range still find their (possibly earlier) source day.
+ */
+export async function fetchNoClassDays(fromISO, toISO) {
+  const { occurrences } = await fetchCalendarOccurrences({
+    from: addDaysISO(fromISO, -31),
+    to: addDaysISO(toISO, 31),
+    select:
+      "id, title, type, start_date, end_date, all_day, start_time, end_time, recurring, repeat_pattern, repeat_until, class_effect, makeup_date",
+  });
+  return buildNoClassDays(occurrences);
+}
+
+/** Short human label for a no-class entry, e.g. "Holiday: Bonifacio Day". */
+export function noClassLabel(entry) {
+  return `${entry.event.type}: ${entry.event.title}`;
+}
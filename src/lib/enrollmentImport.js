@@ -0,0 +1,393 @@
+import readXlsxFile from "read-excel-file";
+import { supabase } from "./supabaseClient";
+import { onlyDigits, isEmail, isLRN } from "./validators";
+
+// Bulk import of enrollment applications from CSV / XLSX (Admin → Enrollment).
+// Flow: readSpreadsheet -> autoMapColumns (user can adjust) -> validateImportRows (dry run)
+//       -> insertImportRows for the rows that passed.
+
+export const IMPORT_FIELDS = [
+  { key: "application_id", label: "Application ID", aliases: ["application id", "app id", "application no"] },
+  { key: "st_lrn", label: "LRN", required: true, aliases: ["lrn", "learner reference number", "learner ref no"] },
+  { key: "st_lname", label: "Last Name", required: true, aliases: ["last name", "lastname", "surname", "family name"] },
+  { key: "st_fname", label: "First Name", required: true, aliases: ["first name", "firstname", "given name"] },
+  { key: "st_mi", label: "M.I.", aliases: ["mi", "m.i.", "middle initial", "middle name"] },
+  { key: "st_ext", label: "Ext.", aliases: ["ext", "ext.", "extension", "suffix", "name extension"] },
+  { key: "st_email", label: "Email", required: true, aliases: ["email", "email address", "e-mail"] },
+  { key: "st_gender", label: "Gender", required: true, aliases: ["gender", "sex"] },
+  { key: "st_civil_status", label: "Civil Status", aliases: ["civil status", "status civil"] },
+  { key: "st_bdate", label: "Date of Birth", required: true, aliases: ["birthdate", "birth date", "date of birth", "dob", "birthday"] },
+  { key: "st_bplace", label: "Birthplace", aliases: ["birthplace", "birth place", "place of birth"] },
+  { key: "st_current_address", label: "Address", required: true, aliases: ["address", "current address", "home address"] },
+  { key: "st_previous_school", label: "Previous School", aliases: ["previous school", "last school attended", "jhs"] },
+  { key: "st_father_name", label: "Father's Name", aliases: ["father", "father's name", "father name"] },
+  { key: "st_mother_name", label: "Mother's Name", aliases: ["mother", "mother's name", "mother name", "mother's maiden name"] },
+  { key: "st_guardian_name", label: "Guardian Name", aliases: ["guardian", "guardian name"] },
+  { key: "st_guardian_contact", label: "Guardian Contact", aliases: ["guardian contact", "contact", "contact number", "guardian phone"] },
+  { key: "st_guardian_relationship", label: "Relationship", aliases: ["relationship", "guardian relationship"] },
+  { key: "grade", label: "Grade Level", aliases: ["grade", "grade level", "year level"] },
+  { key: "track", label: "Track", aliases: ["track"] },
+  { key: "strand", label: "Strand", aliases: ["strand"] },
+];
+
+export const CIVIL_STATUSES = ["Single", "Married", "Widowed", "Separated", "Divorced"];
+
+const MAX_ROWS = 2000;
+
+const clean = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+const keyOf = (v) => clean(v).toLowerCase();
+const pad2 = (n) => String(n).padStart(2, "0");
+
+/* ---------------- Reading ---------------- */
+
+// RFC 4180-ish CSV: quoted fields, "" escapes, CRLF/LF, optional BOM.
+export function parseCsv(text) {
+  const src = String(text || "").replace(/^\uFEFF/, "");
+  const rows = [];
+  let row = [];
+  let cell = "";
+  let quoted = false;
+
+  for (let i = 0; i < src.length; i += 1) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') {
+        cell += '"';
+        i += 1;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        cell += ch;
+      }
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ",") {
+      row.push(cell);
+      cell = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && src[i + 1] === "\n") i += 1;
+      row.push(cell);
+      rows.push(row);
+      row = [];
+      cell = "";
+    } else {
+      cell += ch;
+    }
+  }
+  if (cell !== "" || row.length) {
+    row.push(cell);
+    rows.push(row);
+  }
+
+  return rows.filter((r) => r.some((c) => clean(c) !== ""));
+}
+
+/** File -> { headers: string[], rows: any[][] } (first non-empty row is the header). */
+export async function readSpreadsheet(file) {
+  const name = String(file?.name || "").toLowerCase();
+  let table;
+
+  if (name.endsWith(".xlsx")) {
+    table = (await readXlsxFile(file)).filter((r) => r.some((c) => c != null && clean(c) !== ""));
+  } else if (name.endsWith(".csv") || file?.type === "text/csv") {
+    table = parseCsv(await file.text());
+  } else {
+    throw new Error("Unsupported file. Upload a .csv or .xlsx file.");
+  }
+
+  if (table.length < 2) throw new Error("The file has no data rows (the first row must be the column headers).");
+  if (table.length - 1 > MAX_ROWS) throw new Error(`Too many rows (${table.length - 1}). Split the file into batches of ${MAX_ROWS}.`);
+
+  const headers = table[0].map((h, i) => clean(h) || `Column ${i + 1}`);
+  return { headers, rows: table.slice(1) };
+}
+
+/** Guess field -> column index from header names. */
+export function autoMapColumns(headers) {
+  const mapping = {};
+  const used = new Set();
+  const normalized = headers.map((h) => keyOf(h).replace(/[_*]/g, " ").replace(/\s+/g, " ").trim());
+
+  for (const f of IMPORT_FIELDS) {
+    const candidates = [keyOf(f.label), f.key.replace(/^st_/, "").replace(/_/g, " "), ...f.aliases];
+    const idx = normalized.findIndex((h, i) => !used.has(i) && candidates.includes(h));
+    if (idx >= 0) {
+      mapping[f.key] = idx;
+      used.add(idx);
+    }
+  }
+  return mapping;
+}
+
+/* ---------------- Normalizers ---------------- */
+
+// Accepts Date (xlsx), Excel serial numbers, YYYY-MM-DD and MM/DD/YYYY.
+export function normalizeDate(v) {
+  if (v == null || v === "") return null;
+
+  if (v instanceof Date && !Number.isNaN(v.getTime())) {
+    return `${v.getUTCFullYear()}-${pad2(v.getUTCMonth() + 1)}-${pad2(v.getUTCDate())}`;
+  }
+
+  if (typeof v === "number" && v > 20000 && v < 80000) {
+    const d = new Date(Date.UTC(1899, 11, 30) + v * 86400000);
+    return `${d.getUTCFullYear()}-${pad2(d.getUTCMonth() + 1)}-${pad2(d.getUTCDate())}`;
+  }
+
+  const s = clean(v);
+  let y;
+  let m;
+  let d;
+  let hit = s.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (hit) [, y, m, d] = hit.map(Number);
+  else if ((hit = s.match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})$/))) [, m, d, y] = hit.map(Number);
+  else return null;
+
+  const dt = new Date(Date.UTC(y, m - 1, d));
+  if (dt.getUTCMonth() !== m - 1 || dt.getUTCDate() !== d) return null;
+  return `${y}-${pad2(m)}-${pad2(d)}`;
+}
+
+function normalizeGender(v) {
+  const k = keyOf(v);
+  if (["m", "male", "lalaki"].includes(k)) return "Male";
+  if (["f", "female", "babae"].includes(k)) return "Female";
+  return null;
+}
+
+function normalizeCivilStatus(v) {
+  const k = keyOf(v);
+  if (!k) return "Single";
+  return CIVIL_STATUSES.find((s) => s.toLowerCase() === k) || null;
+}
+
+/* ---------------- Validation (dry run) ---------------- */
+
+function buildLookups({ grades, tracks, strands }) {
+  const gradeBy = new Map();
+  for (const g of grades || []) {
+    const lvl = String(g.grade_level);
+    [lvl, `grade ${lvl}`, `g${lvl}`, keyOf(g.description)].filter(Boolean).forEach((k) => gradeBy.set(keyOf(k), g));
+  }
+
+  const trackBy = new Map();
+  for (const t of tracks || []) {
+    [t.track_code, t.description].filter(Boolean).forEach((k) => trackBy.set(keyOf(k), t));
+  }
+
+  const strandBy = new Map();
+  for (const s of strands || []) {
+    [s.strand_code, s.description].filter(Boolean).forEach((k) => {
+      if (!strandBy.has(keyOf(k))) strandBy.set(keyOf(k), []);
+      strandBy.get(keyOf(k)).push(s);
+    });
+  }
+
+  return { gradeBy, trackBy, strandBy };
+}
+
+/**
+ * Validate mapped rows without writing anything.
+ * existing: enrollment rows already in the table (for duplicate detection).
+ * Returns [{ rowNumber, raw, payload, errors: string[], warnings: string[] }].
+ * rowNumber is the spreadsheet row (header = row 1).
+ */
+export function validateImportRows({ rows, mapping, lookups, existing }) {
+  const { gradeBy, trackBy, strandBy } = buildLookups(lookups || {});
+
+  const existingByLrn = new Map();
+  const existingByApp = new Map();
+  const existingByNameDob = new Map();
+  for (const r of existing || []) {
+    const lrn = onlyDigits(r.st_lrn);
+    if (lrn) existingByLrn.set(lrn, r);
+    if (r.application_id) existingByApp.set(keyOf(r.application_id), r);
+    if (r.st_bdate) existingByNameDob.set(`${keyOf(r.st_lname)}|${keyOf(r.st_fname)}|${String(r.st_bdate).slice(0, 10)}`, r);
+  }
+
+  const seenLrn = new Map();
+  const seenApp = new Map();
+
+  return (rows || []).map((raw, i) => {
+    const rowNumber = i + 2;
+    const get = (key) => (mapping[key] == null ? "" : raw[mapping[key]]);
+    const errors = [];
+    const warnings = [];
+
+    for (const f of IMPORT_FIELDS) {
+      if (f.required && mapping[f.key] == null) errors.push(`${f.label} column is not mapped.`);
+      else if (f.required && clean(get(f.key)) === "" && !(get(f.key) instanceof Date)) errors.push(`${f.label} is required.`);
+    }
+
+    // LRN: same rule as PreEnroll (12 digits, separators ignored).
+    const lrn = onlyDigits(get("st_lrn"));
+    if (lrn && !isLRN(lrn)) errors.push("LRN must be 12 digits.");
+
+    const email = clean(get("st_email")).toLowerCase();
+    if (email && !isEmail(email)) errors.push("Email is not valid.");
+
+    const gender = normalizeGender(get("st_gender"));
+    if (clean(get("st_gender")) && !gender) errors.push(`Gender "${clean(get("st_gender"))}" is not Male/Female.`);
+
+    const civil = normalizeCivilStatus(get("st_civil_status"));
+    if (!civil) errors.push(`Civil status "${clean(get("st_civil_status"))}" is not one of ${CIVIL_STATUSES.join(", ")}.`);
+    else if (mapping.st_civil_status != null && !clean(get("st_civil_status"))) warnings.push("Civil status blank — defaulted to Single.");
+
+    const bdateRaw = get("st_bdate");
+    const bdate = normalizeDate(bdateRaw);
+    if ((bdateRaw instanceof Date || clean(bdateRaw)) && !bdate) errors.push(`Date of birth "${clean(bdateRaw)}" is not a valid date (use YYYY-MM-DD or MM/DD/YYYY).`);
+
+    // Grade / track / strand lookups (strand may imply the track).
+    let grade = null;
+    if (clean(get("grade"))) {
+      grade = gradeBy.get(keyOf(get("grade")).replace(/^grade\s*/, "")) || gradeBy.get(keyOf(get("grade")));
+      if (!grade) errors.push(`Grade level "${clean(get("grade"))}" not found.`);
+    }
+
+    let track = null;
+    if (clean(get("track"))) {
+      track = trackBy.get(keyOf(get("track")));
+      if (!track) errors.push(`Track "${clean(get("track"))}" not found.`);
+    }
+
+    let strand = null;
+    if (clean(get("strand"))) {
+      const options = strandBy.get(keyOf(get("strand"))) || [];
+      strand = track ? options.find((s) => String(s.track_id) === String(track.track_id)) : options[0];
+      if (!options.length) errors.push(`Strand "${clean(get("strand"))}" not found.`);
+      else if (!strand) errors.push(`Strand "${clean(get("strand"))}" does not belong to track ${track.track_code}.`);
+      else if (!track) track = (lookups?.tracks || []).find((t) => String(t.track_id) === String(strand.track_id)) || null;
+    }
+
+    // Duplicates: against existing applications, then earlier rows of this file.
+    if (lrn && isLRN(lrn)) {
+      const hit = existingByLrn.get(lrn);
+      if (hit && !hit.is_archived) errors.push(`Duplicate: LRN already used by application ${hit.application_id || hit.id}.`);
+      else if (hit) warnings.push(`LRN matches archived application ${hit.application_id || hit.id}.`);
+
+      if (seenLrn.has(lrn)) errors.push(`Duplicate: same LRN as row ${seenLrn.get(lrn)} in this file.`);
+      else seenLrn.set(lrn, rowNumber);
+    }
+
+    const appId = clean(get("application_id"));
+    if (appId) {
+      const hit = existingByApp.get(keyOf(appId));
+      if (hit) errors.push(`Duplicate: application ID ${appId} already exists.`);
+      if (seenApp.has(keyOf(appId))) errors.push(`Duplicate: same application ID as row ${seenApp.get(keyOf(appId))}.`);
+      else seenApp.set(keyOf(appId), rowNumber);
+    }
+
+    if (bdate) {
+      const hit = existingByNameDob.get(`${keyOf(get("st_lname"))}|${keyOf(get("st_fname"))}|${bdate}`);
+      if (hit && onlyDigits(hit.st_lrn) !== lrn) {
+        warnings.push(`Possible duplicate of application ${hit.application_id || hit.id} (same name and birthdate, different LRN).`);
+      }
+    }
+
+    const payload = {
+      application_id: appId || null,
+      st_lrn: lrn,
+      st_fname: clean(get("st_fname")),
+      st_lname: clean(get("st_lname")),
+      st_mi: clean(get("st_mi")).replace(/\.$/, "").slice(0, 10),
+      st_ext: clean(get("st_ext")),
+      st_email: email,
+      st_gender: gender,
+      st_civil_status: civil,
+      st_bdate: bdate,
+      st_bplace: clean(get("st_bplace")),
+      st_current_address: clean(get("st_current_address")),
+      st_previous_school: clean(get("st_previous_school")),
+      st_father_name: clean(get("st_father_name")),
+      st_mother_name: clean(get("st_mother_name")),
+      st_guardian_name: clean(get("st_guardian_name")),
+      st_guardian_contact: onlyDigits(get("st_guardian_contact")),
+      st_guardian_relationship: clean(get("st_guardian_relationship")),
+      grade_id: grade?.grade_id ?? null,
+      track_id: track?.track_id ?? null,
+      strand_id: strand?.strand_id ?? null,
+    };
+
+    return { rowNumber, raw, payload, errors, warnings };
+  });
+}
+
+/* ---------------- Writing ---------------- */
+
+/**
+ * Next `count` application IDs in the MM-DDNN format used by the Add Student modal.
+ * Reserved by next_application_ids, so concurrent imports never hand out the same ID.
+ */
+export async function nextApplicationIds(count = 1) {
+  if (count <= 0) return [];
+  const { data, error } = await supabase.rpc("next_application_ids", { p_count: count });
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Insert validated rows (no errors) as enrollment applications. Returns inserted count. */
+export async function insertImportRows(results, { status = "Pending", chunkSize = 100 } = {}) {
+  const ok = (results || []).filter((r) => r.errors.length === 0);
+  if (!ok.length) return 0;
+
+  const ids = await nextApplicationIds(ok.filter((r) => !r.payload.application_id).length);
+  const now = new Date().toISOString();
+
+  const payload = ok.map((r) => ({
+    ...r.payload,
+    application_id: r.payload.application_id || ids.shift(),
+    st_application_status: status,
+    st_submission_date: now,
+    st_updated_at: now,
+    is_archived: false,
+  }));
+
+  let inserted = 0;
+  for (let i = 0; i < payload.length; i += chunkSize) {
+    const chunk = payload.slice(i, i + chunkSize);
+    const { error } = await supabase.from("enrollment").insert(chunk);
+    if (error) throw new Error(`Rows ${i + 1}–${i + chunk.length} failed: ${error.message} (${inserted} already imported)`);
+    inserted += chunk.length;
+  }
+  return inserted;
+}
+
+/* ---------------- Error report ---------------- */
+
+function csvCell(v) {
+  const s = v instanceof Date ? normalizeDate(v) : String(v ?? "");
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+/** CSV of the original rows + Row / Result / Errors / Warnings columns (problem rows only by default). */
+export function buildErrorReportCsv(headers, results, { includeValid = false } = {}) {
+  const lines = [["Row", "Result", "Errors", "Warnings", ...headers].map(csvCell).join(",")];
+
+  for (const r of results || []) {
+    if (!includeValid && !r.errors.length && !r.warnings.length) continue;
+    const result = r.errors.length ? "Rejected" : "OK";
+    lines.push(
+      [r.rowNumber, result, r.errors.join(" | "), r.warnings.join(" | "), ...headers.map((_, i) => r.raw[i])]
+        .map(csvCell)
+        .join(",")
+    );
+  }
+
+  return `\uFEFF${lines.join("\r\n")}\r\n`;
+}
+
+export function downloadText(filename, text, type = "text/csv;charset=utf-8") {
+  const href = URL.createObjectURL(new Blob([text], { type }));
+  const a = document.createElement("a");
+  a.href = href;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  URL.revokeObjectURL(href);
+}
+
+/** Blank template with the expected headers. */
+export function importTemplateCsv() {
+  return `\uFEFF${IMPORT_FIELDS.map((f) => csvCell(f.label)).join(",")}\r\n`;
+}
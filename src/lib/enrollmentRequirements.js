@@ -0,0 +1,205 @@
+import { supabase } from "./supabaseClient";
+
+// Enrollment requirements checklist.
+// enrollment_requirements is the configurable list (PSA birth certificate, Form 138…);
+// enrollment_documents holds one row per application × requirement. A document can be
+// Submitted (waiting for the registrar), Verified or Rejected; a Verified row without a file
+// means the registrar received the paper copy on-site.
+// The DB keeps st_application_status in sync: an open application is "Incomplete" while a
+// required document is missing or rejected.
+
+export const REQUIREMENTS_BUCKET = "enrollment-documents";
+
+export const DOCUMENT_STATUSES = ["Submitted", "Verified", "Rejected"];
+
+export const INCOMPLETE_STATUS = "Incomplete";
+
+const REQUIREMENT_COLUMNS = "requirement_id, code, label, description, is_required, is_active, sort_order";
+const DOCUMENT_COLUMNS =
+  "document_id, application_id, requirement_id, file_path, file_name, status, note, uploaded_at, verified_at";
+
+export async function fetchRequirements({ activeOnly = false } = {}) {
+  let q = supabase
+    .from("enrollment_requirements")
+    .select(REQUIREMENT_COLUMNS)
+    .order("sort_order", { ascending: true })
+    .order("label", { ascending: true });
+  if (activeOnly) q = q.eq("is_active", true);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Insert (no requirement_id) or update one checklist entry. */
+export async function saveRequirement(row) {
+  const payload = {
+    label: String(row.label || "").trim(),
+    description: String(row.description || "").trim() || null,
+    is_required: !!row.is_required,
+    is_active: !!row.is_active,
+    sort_order: Number(row.sort_order) || 0,
+    updated_at: new Date().toISOString(),
+  };
+  if (!payload.label) throw new Error("Label is required.");
+
+  if (row.requirement_id) {
+    const { error } = await supabase.from("enrollment_requirements").update(payload).eq("requirement_id", row.requirement_id);
+    if (error) throw error;
+    return;
+  }
+
+  const { error } = await supabase.from("enrollment_requirements").insert({ ...payload, code: requirementCode(payload.label) });
+  if (error) throw error;
+}
+
+export function requirementCode(label) {
+  return String(label || "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "_")
+    .replace(/^_+|_+$/g, "")
+    .slice(0, 60);
+}
+
+export async function fetchEnrollmentDocuments() {
+  const { data, error } = await supabase.from("enrollment_documents").select(DOCUMENT_COLUMNS);
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** application_id -> [document rows] */
+export function groupDocuments(docs) {
+  const m = new Map();
+  (docs || []).forEach((d) => {
+    const key = String(d.application_id);
+    if (!m.has(key)) m.set(key, []);
+    m.get(key).push(d);
+  });
+  return m;
+}
+
+/**
+ * One line per active requirement with the application's document (if any).
+ * state: missing | submitted | verified | rejected
+ */
+export function requirementChecklist(requirements, docs) {
+  const byReq = new Map((docs || []).map((d) => [d.requirement_id, d]));
+  return (requirements || [])
+    .filter((r) => r.is_active)
+    .map((r) => {
+      const doc = byReq.get(r.requirement_id) || null;
+      return { requirement: r, document: doc, state: doc ? String(doc.status).toLowerCase() : "missing" };
+    });
+}
+
+/** Required lines that still stand between the applicant and approval (anything not Verified). */
+export function blockingItems(checklist) {
+  return (checklist || []).filter((c) => c.requirement.is_required && c.state !== "verified");
+}
+
+export function checklistSummary(checklist) {
+  const required = (checklist || []).filter((c) => c.requirement.is_required);
+  return {
+    required: required.length,
+    verified: required.filter((c) => c.state === "verified").length,
+    blocking: blockingItems(checklist),
+  };
+}
+
+/* ===================== Applicant (Pre-enroll) ===================== */
+
+function documentPath(folder, code, fileName) {
+  const ext = String(fileName).split(".").pop() || "bin";
+  return `${folder}/${code}-${Date.now()}.${ext}`;
+}
+
+/** SHA-256 hex of the email, matching public.enrollment_email_key (the applicant's upload folder). */
+async function emailKey(email) {
+  const bytes = new TextEncoder().encode(String(email || "").trim().toLowerCase());
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest), (b) => b.toString(16).padStart(2, "0")).join("");
+}
+
+async function uploadFile(path, file) {
+  const { error } = await supabase.storage.from(REQUIREMENTS_BUCKET).upload(path, file, {
+    cacheControl: "3600",
+    upsert: false,
+    contentType: file.type || undefined,
+  });
+  if (error) throw error;
+}
+
+/**
+ * Uploads the picked files for a freshly submitted application and attaches them.
+ * files: { [requirement_code]: File }. Returns the application's status after the sync.
+ */
+export async function submitApplicantDocuments({ applicationId, email, files }) {
+  const documents = [];
+  const folder = `applications/${applicationId}/${await emailKey(email)}`;
+  for (const [code, file] of Object.entries(files || {})) {
+    if (!file) continue;
+    const path = documentPath(folder, code, file.name);
+    await uploadFile(path, file);
+    documents.push({ requirement_code: code, file_path: path, file_name: file.name });
+  }
+
+  const { data, error } = await supabase.rpc("attach_enrollment_documents", {
+    p_application_id: applicationId,
+    p_email: email,
+    p_documents: documents,
+  });
+  if (error) throw error;
+  return data;
+}
+
+/* ===================== Registrar ===================== */
+
+/** Registrar uploads a copy on the applicant's behalf; it still needs verifying. */
+export async function uploadDocumentForApplicant({ applicationId, requirement, file }) {
+  const path = documentPath(`applications/${applicationId}`, requirement.code, file.name);
+  await uploadFile(path, file);
+
+  const { error } = await supabase.from("enrollment_documents").upsert(
+    {
+      application_id: applicationId,
+      requirement_id: requirement.requirement_id,
+      file_path: path,
+      file_name: file.name,
+      status: "Submitted",
+      note: null,
+      uploaded_at: new Date().toISOString(),
+      verified_by: null,
+      verified_at: null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "application_id,requirement_id" }
+  );
+  if (error) throw error;
+}
+
+/** Verify or reject one requirement. Verifying with no document on file records an on-site copy. */
+export async function reviewDocument({ applicationId, requirementId, status, note }) {
+  if (!DOCUMENT_STATUSES.includes(status)) throw new Error(`Unknown document status: ${status}`);
+  const { data: auth } = await supabase.auth.getUser();
+  const reviewed = status !== "Submitted";
+
+  const { error } = await supabase.from("enrollment_documents").upsert(
+    {
+      application_id: applicationId,
+      requirement_id: requirementId,
+      status,
+      note: String(note || "").trim() || null,
+      verified_by: reviewed ? auth?.user?.id ?? null : null,
+      verified_at: reviewed ? new Date().toISOString() : null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "application_id,requirement_id" }
+  );
+  if (error) throw error;
+}
+
+export async function signedDocumentUrl(filePath) {
+  const { data, error } = await supabase.storage.from(REQUIREMENTS_BUCKET).createSignedUrl(filePath, 60);
+  if (error) throw error;
+  return data?.signedUrl || null;
+}
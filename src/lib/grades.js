@@ -0,0 +1,131 @@
+import { supabase } from "./supabaseClient";
+
+// DepEd Order No. 8, s. 2015 — SHS component weights (percent)
+export const GRADE_COMPONENTS = [
+  { key: "WW", label: "Written Work" },
+  { key: "PT", label: "Performance Tasks" },
+  { key: "QA", label: "Quarterly Assessment" },
+];
+
+export const QUARTERS = [1, 2]; // two quarters per semester (term)
+
+const WEIGHTS = {
+  core: { WW: 25, PT: 50, QA: 25 },
+  academic: { WW: 25, PT: 45, QA: 30 },
+  tvl: { WW: 20, PT: 60, QA: 20 },
+};
+
+const TVL_TRACKS = ["TVL", "SPORTS", "ARTS", "ARTS AND DESIGN"];
+
+export function gradeWeights(subjectType, trackCode) {
+  if (String(subjectType || "").trim().toLowerCase() === "core") return WEIGHTS.core;
+  const track = String(trackCode || "").trim().toUpperCase();
+  if (TVL_TRACKS.includes(track)) return WEIGHTS.tvl;
+  return WEIGHTS.academic;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+// Transmutation table (DepEd): 60 initial => 75, every 1.6 above adds 1; below 60 every 4 adds 1.
+export function transmute(initialGrade) {
+  if (initialGrade == null || Number.isNaN(initialGrade)) return null;
+  // Work in whole hundredths: (64.8 - 60) / 1.6 is 2.9999… in floating point, not 3.
+  const h = Math.round(Math.max(0, Math.min(100, initialGrade)) * 100);
+  if (h >= 10000) return 100;
+  if (h >= 6000) return 75 + Math.floor((h - 6000) / 160);
+  return 60 + Math.floor(h / 400);
+}
+
+/**
+ * Compute one student's quarterly grade from the class's grade items.
+ * items: [{ item_id, component, max_score }]
+ * scores: Map<item_id, number|null> for this student
+ * Returns null when the quarter has no items yet.
+ */
+export function computeQuarterGrade(items, scores, weights) {
+  let initial = 0;
+  let usedWeight = 0;
+
+  for (const comp of GRADE_COMPONENTS) {
+    const compItems = items.filter((i) => i.component === comp.key);
+    if (!compItems.length) continue;
+
+    let got = 0;
+    let total = 0;
+    for (const it of compItems) {
+      total += Number(it.max_score) || 0;
+      got += Number(scores.get(it.item_id)) || 0;
+    }
+    if (total <= 0) continue;
+
+    initial += (got / total) * 100 * (weights[comp.key] / 100);
+    usedWeight += weights[comp.key];
+  }
+
+  if (!usedWeight) return null;
+
+  // Scale up when a component has no items yet so partial quarters still read sensibly.
+  const initialGrade = round2((initial * 100) / usedWeight);
+  return { initial: initialGrade, quarterly: transmute(initialGrade) };
+}
+
+export function computeFinalGrade(quarterGrades) {
+  const list = quarterGrades.filter((g) => g != null);
+  if (list.length !== QUARTERS.length) return null;
+  return Math.round(list.reduce((a, b) => a + b, 0) / list.length);
+}
+
+export function gradeRemarks(finalGrade) {
+  if (finalGrade == null) return "Incomplete";
+  return finalGrade >= 75 ? "Passed" : "Failed";
+}
+
+/**
+ * Recompute and persist grade_records for every student in a class.
+ * cls: { sy_id, term_id, section_id, subject_id, teacher_id }
+ */
+export async function saveGradeRecords(cls, students, items, scoreRows, weights) {
+  const scoresByStudent = new Map();
+  for (const r of scoreRows) {
+    if (!scoresByStudent.has(r.student_id)) scoresByStudent.set(r.student_id, new Map());
+    scoresByStudent.get(r.student_id).set(r.item_id, r.score);
+  }
+
+  const payload = students.map((s) => {
+    const scores = scoresByStudent.get(s.id) || new Map();
+    const q = QUARTERS.map((n) =>
+      computeQuarterGrade(
+        items.filter((i) => Number(i.quarter) === n),
+        scores,
+        weights
+      )
+    );
+    const final = computeFinalGrade(q.map((x) => x?.quarterly ?? null));
+
+    return {
+      sy_id: cls.sy_id,
+      term_id: cls.term_id,
+      section_id: cls.section_id,
+      subject_id: cls.subject_id,
+      teacher_id: cls.teacher_id,
+      student_id: s.id,
+      q1_grade: q[0]?.quarterly ?? null,
+      q2_grade: q[1]?.quarterly ?? null,
+      final_grade: final,
+      remarks: gradeRemarks(final),
+      updated_at: new Date().toISOString(),
+    };
+  });
+
+  if (!payload.length) return [];
+
+  const { data, error } = await supabase
+    .from("grade_records")
+    .upsert(payload, { onConflict: "sy_id,term_id,section_id,subject_id,student_id" })
+    .select("*");
+
+  if (error) throw error;
+  return data ?? [];
+}
@@ -0,0 +1,133 @@
+import { supabase } from "./supabaseClient";
+
+// Parent / guardian portal.
+// Guardians sign themselves up (profiles.role = 'guardian') and request a link to a student
+// with student number + LRN + birthdate (guardian_request_link). The registrar approves or
+// revokes links from Enrollment. Schedule and announcements come from security-definer RPCs
+// (guardian_child_*); attendance and grades are read straight from their tables through the
+// attendance_guardian_read / grade_records_guardian_read policies.
+
+export const GUARDIAN_RELATIONSHIPS = ["Mother", "Father", "Guardian", "Grandparent", "Sibling", "Relative", "Other"];
+
+export const LINK_STATUSES = ["Pending", "Active", "Revoked"];
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data ?? [];
+}
+
+export function childName(child) {
+  return [child?.first_name, child?.last_name].filter(Boolean).join(" ").trim() || "Student";
+}
+
+/* ===================== Guardian ===================== */
+
+export async function signUpGuardian({ fullName, email, password }) {
+  const { data, error } = await supabase.auth.signUp({
+    email: String(email || "").trim().toLowerCase(),
+    password,
+    options: { data: { full_name: String(fullName || "").trim(), role: "guardian" } },
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** All of the signed-in guardian's links, Active first; placement fields are null unless Active. */
+export async function fetchMyChildren() {
+  const { data, error } = await supabase.rpc("guardian_children");
+  if (error) throw error;
+  return data ?? [];
+}
+
+export async function requestLink({ studentNumber, lrn, bdate, relationship }) {
+  const { data, error } = await supabase.rpc("guardian_request_link", {
+    p_student_number: String(studentNumber || "").trim(),
+    p_lrn: String(lrn || "").replace(/\D/g, ""),
+    p_bdate: bdate || null,
+    p_relationship: relationship || null,
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** { term_id, terms: [{ term_id, term_code, is_active }], rows: [...] } */
+export async function fetchChildSchedule(studentId, termId = null) {
+  const { data, error } = await supabase.rpc("guardian_child_schedule", {
+    p_student_id: studentId,
+    p_term_id: termId,
+  });
+  if (error) throw error;
+  return data ?? { term_id: null, terms: [], rows: [] };
+}
+
+export async function fetchChildAnnouncements(studentId) {
+  const { data, error } = await supabase.rpc("guardian_child_announcements", { p_student_id: studentId });
+  if (error) throw error;
+  return data ?? [];
+}
+
+export async function fetchChildAttendance(studentId, { from, to }) {
+  return rows(
+    supabase
+      .from("attendance_records")
+      .select("attendance_id, student_id, attend_date, status, remarks, subjects:subject_id ( subject_code, subject_title )")
+      .eq("student_id", studentId)
+      .gte("attend_date", from)
+      .lte("attend_date", to)
+      .order("attend_date", { ascending: true })
+  );
+}
+
+export async function fetchChildGrades(studentId) {
+  return rows(
+    supabase
+      .from("grade_records")
+      .select(
+        "record_id, sy_id, term_id, q1_grade, q2_grade, final_grade, remarks, updated_at, subjects:subject_id ( subject_code, subject_title ), terms:term_id ( term_code ), school_years:sy_id ( sy_code )"
+      )
+      .eq("student_id", studentId)
+  );
+}
+
+/* ===================== Registrar ===================== */
+
+export async function fetchGuardianLinks({ status } = {}) {
+  let q = supabase
+    .from("guardian_links")
+    .select(
+      "link_id, guardian_id, guardian_name, guardian_email, relationship, status, requested_at, reviewed_at, review_note, student_id, students:student_id ( student_number, first_name, last_name, user_id )"
+    )
+    .order("requested_at", { ascending: false });
+  if (status) q = q.eq("status", status);
+  return rows(q);
+}
+
+/** Guardian fields the applicant typed on the pre-enroll form, keyed by students.user_id. */
+export async function fetchEnrollmentGuardians(userIds) {
+  const ids = Array.from(new Set((userIds || []).filter(Boolean)));
+  if (!ids.length) return new Map();
+  const data = await rows(
+    supabase
+      .from("enrollment")
+      .select("user_id, st_guardian_name, st_guardian_contact, st_guardian_relationship")
+      .in("user_id", ids)
+  );
+  return new Map(data.map((e) => [e.user_id, e]));
+}
+
+export async function reviewGuardianLink({ linkId, status, note }) {
+  if (!LINK_STATUSES.includes(status)) throw new Error(`Unknown link status: ${status}`);
+  const { data: auth } = await supabase.auth.getUser();
+
+  const { error } = await supabase
+    .from("guardian_links")
+    .update({
+      status,
+      review_note: String(note || "").trim() || null,
+      reviewed_by: auth?.user?.id ?? null,
+      reviewed_at: new Date().toISOString(),
+    })
+    .eq("link_id", linkId);
+  if (error) throw error;
+}
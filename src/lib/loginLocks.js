@@ -0,0 +1,23 @@
+import { supabase } from "./supabaseClient";
+
+// Student-number sign-in throttling (see supabase/functions/student-login).
+// Failures are counted per student number and per IP; repeated failures slow the account down
+// and the 10th locks it for 15 minutes. Registrars see locked accounts here and can unlock them.
+
+/** True while the row is in a lockout (as opposed to only being slowed down). */
+export function isLocked(row) {
+  return !!row?.locked_until && new Date(row.locked_until) > new Date();
+}
+
+/** Locked or throttled student numbers, newest lockouts first. */
+export async function fetchLoginLocks() {
+  const { data, error } = await supabase.rpc("login_locks");
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Clears the failure count and any lockout for a student number. */
+export async function unlockLogin(studentNumber) {
+  const { error } = await supabase.rpc("login_unlock", { p_student_number: studentNumber });
+  if (error) throw error;
+}
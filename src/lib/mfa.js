@@ -0,0 +1,158 @@
+import { supabase } from "./supabaseClient";
+
+// Two-factor sign-in (TOTP) for privileged roles.
+// Factors, challenges and the session's assurance level (aal1/aal2) are Supabase Auth MFA.
+// Recovery codes are generated here, shown once, and stored as SHA-256 hashes through
+// mfa_set_recovery_codes; redeeming one (mfa_redeem_recovery_code) removes the user's factors
+// so they enroll a new authenticator. mfa_admin_reset is the lost-device path for staff.
+
+export const MFA_ROLES = ["admin", "super_admin", "dev"];
+
+export const MFA_VERIFY_PATH = "/mfa";
+export const MFA_SETUP_PATH = "/mfa/setup";
+
+const RECOVERY_CODE_COUNT = 10;
+const CODE_ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZ23456789"; // no 0/O, 1/I
+
+export function requiresMfa(role) {
+  return MFA_ROLES.includes(String(role || "").toLowerCase());
+}
+
+/** Landing page after the second factor, per privileged role. */
+export function mfaHomeForRole(role) {
+  return String(role || "").toLowerCase() === "dev" ? "/dev" : "/admin";
+}
+
+/**
+ * Where the current session stands:
+ * "ok" (aal2), "verify" (has a factor, not yet used this session) or "enroll" (no factor yet).
+ */
+export async function mfaStep() {
+  const { data, error } = await supabase.auth.mfa.getAuthenticatorAssuranceLevel();
+  if (error) throw error;
+  if (data?.currentLevel === "aal2") return "ok";
+  if (data?.nextLevel === "aal2") return "verify";
+  return "enroll";
+}
+
+/** The user's verified TOTP factor, or null. */
+export async function verifiedFactor() {
+  const { data, error } = await supabase.auth.mfa.listFactors();
+  if (error) throw error;
+  return (data?.totp ?? [])[0] ?? null;
+}
+
+export async function verifyTotp(factorId, code) {
+  const { error } = await supabase.auth.mfa.challengeAndVerify({ factorId, code: String(code || "").trim() });
+  if (error) throw error;
+}
+
+function qrSrc(qr) {
+  const s = String(qr || "");
+  return s.startsWith("data:") ? s : `data:image/svg+xml;utf-8,${encodeURIComponent(s)}`;
+}
+
+/**
+ * Starts a fresh TOTP enrollment; leftover unverified factors from an abandoned attempt are
+ * removed first. Returns { factorId, qr, secret }.
+ */
+export async function startTotpEnrollment() {
+  const { data: list, error: listErr } = await supabase.auth.mfa.listFactors();
+  if (listErr) throw listErr;
+
+  for (const f of list?.all ?? []) {
+    if (f.factor_type === "totp" && f.status !== "verified") {
+      const { error } = await supabase.auth.mfa.unenroll({ factorId: f.id });
+      if (error) throw error;
+    }
+  }
+
+  const { data, error } = await supabase.auth.mfa.enroll({
+    factorType: "totp",
+    friendlyName: `Authenticator ${new Date().toISOString().slice(0, 10)}`,
+    issuer: "Grabsum SHS Portal",
+  });
+  if (error) throw error;
+
+  return { factorId: data.id, qr: qrSrc(data.totp?.qr_code), secret: data.totp?.secret || "" };
+}
+
+/** Removes the current authenticator (session must be aal2). */
+export async function removeTotp(factorId) {
+  const { error } = await supabase.auth.mfa.unenroll({ factorId });
+  if (error) throw error;
+}
+
+/* ===================== Recovery codes ===================== */
+
+function randomCode() {
+  const bytes = crypto.getRandomValues(new Uint8Array(10));
+  const chars = Array.from(bytes, (b) => CODE_ALPHABET[b % CODE_ALPHABET.length]).join("");
+  return `${chars.slice(0, 5)}-${chars.slice(5)}`;
+}
+
+function normalizeCode(code) {
+  return String(code || "").toUpperCase().replace(/[^A-Z0-9]/g, "");
+}
+
+async function sha256(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/** Replaces the user's recovery codes and returns the new plain codes (shown once). */
+export async function generateRecoveryCodes() {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, randomCode);
+  const hashes = await Promise.all(codes.map((c) => sha256(normalizeCode(c))));
+
+  const { error } = await supabase.rpc("mfa_set_recovery_codes", { p_hashes: hashes });
+  if (error) throw error;
+  return codes;
+}
+
+export async function recoveryCodesLeft() {
+  const { count, error } = await supabase
+    .from("mfa_recovery_codes")
+    .select("id", { count: "exact", head: true })
+    .is("used_at", null);
+  if (error) throw error;
+  return count ?? 0;
+}
+
+/**
+ * Spends a recovery code. On success the user's factors are gone, so the caller should send
+ * them to enrollment. Returns false for an unknown or used code.
+ */
+export async function redeemRecoveryCode(code) {
+  const { data, error } = await supabase.rpc("mfa_redeem_recovery_code", {
+    p_code_hash: await sha256(normalizeCode(code)),
+  });
+  if (error) throw error;
+  return data === true;
+}
+
+export function recoveryCodesText(codes, email) {
+  const lines = ["Grabsum SHS Portal • two-factor recovery codes"];
+  if (email) lines.push(`Account: ${email}`);
+  lines.push(`Generated: ${new Date().toLocaleString()}`, "", "Each code works once. Keep them somewhere safe and offline.", "");
+  return [...lines, ...codes, ""].join("\n");
+}
+
+/* ===================== Staff ===================== */
+
+/** Map<user_id, { enrolled, recovery_left }> */
+export async function fetchMfaStatus(userIds) {
+  const ids = Array.from(new Set((userIds || []).filter(Boolean)));
+  if (!ids.length) return new Map();
+  const { data, error } = await supabase.rpc("mfa_factor_status", { p_user_ids: ids });
+  if (error) throw error;
+  return new Map((data ?? []).map((r) => [r.user_id, r]));
+}
+
+/** Lost device: clears the user's factors and recovery codes and signs them out everywhere. */
+export async function resetUserMfa(userId) {
+  const { error } = await supabase.rpc("mfa_admin_reset", { p_user_id: userId });
+  if (error) throw error;
+}
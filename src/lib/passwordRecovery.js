@@ -0,0 +1,63 @@
+import { supabase } from "./supabaseClient";
+
+// Self-service "Forgot password" (see supabase/functions/password-recovery).
+// Students get a one-time recovery token back; exchanging it signs them in for the
+// change-password page. Teachers are emailed a link that opens change-password?recovery=1.
+// Either way the recovery session flags must_change_password itself (markRecoverySession).
+
+export const RECOVERY_KINDS = [
+  { value: "student", label: "Student" },
+  { value: "teacher", label: "Teacher" },
+];
+
+/** Where the recovery session continues, per role. */
+export function changePasswordPath(role) {
+  return `/${String(role || "").toLowerCase()}/change-password`;
+}
+
+/**
+ * kind "student": { studentNumber, lrn, birthdate } • kind "teacher": { employeeNumber, email }
+ * Returns { token_hash, role } for students and { sent: true, role } for teachers.
+ */
+export async function requestPasswordRecovery(kind, details) {
+  const SUPABASE_URL = import.meta.env.VITE_SUPABASE_URL;
+  const SUPABASE_ANON_KEY = import.meta.env.VITE_SUPABASE_ANON_KEY;
+
+  if (!SUPABASE_URL || !SUPABASE_ANON_KEY) {
+    throw new Error("Missing VITE_SUPABASE_URL or VITE_SUPABASE_ANON_KEY in .env");
+  }
+
+  const body =
+    kind === "teacher"
+      ? { kind, employee_number: details.employeeNumber, email: details.email }
+      : { kind, student_number: details.studentNumber, lrn: details.lrn, birthdate: details.birthdate };
+
+  const res = await fetch(`${SUPABASE_URL}/functions/v1/password-recovery`, {
+    method: "POST",
+    headers: {
+      "Content-Type": "application/json",
+      apikey: SUPABASE_ANON_KEY,
+      Authorization: `Bearer ${SUPABASE_ANON_KEY}`,
+    },
+    body: JSON.stringify(body),
+  });
+
+  const data = await res.json().catch(() => ({}));
+  if (!res.ok) throw new Error(data?.error || "Password recovery failed.");
+  if (kind === "student" && !data?.token_hash) throw new Error("Password recovery failed: missing recovery token.");
+  return data;
+}
+
+/** Spends the one-time token, then keeps the account on change-password (see markRecoverySession). */
+export async function startRecoverySession(tokenHash) {
+  const { data, error } = await supabase.auth.verifyOtp({ type: "recovery", token_hash: tokenHash });
+  if (error) throw error;
+  await markRecoverySession();
+  return data?.session;
+}
+
+/** Flags must_change_password for a session signed in with a recovery token, so RequireRole keeps it on change-password. */
+export async function markRecoverySession() {
+  const { error } = await supabase.rpc("password_recovery_started");
+  if (error) throw error;
+}
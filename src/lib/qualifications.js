@@ -0,0 +1,76 @@
+import { supabase } from "./supabaseClient";
+import { subjectsForSection } from "./timetable";
+
+// Teacher ↔ subject/strand qualification matrix (teacher_qualifications).
+// A strand qualification covers every subject scoped to that strand.
+
+export async function fetchQualifications(teacherId) {
+  let q = supabase.from("teacher_qualifications").select("qualification_id, teacher_id, subject_id, strand_id");
+  if (teacherId) q = q.eq("teacher_id", teacherId);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Map<teacher_id, { subjects: Set, strands: Set }> */
+export function qualificationIndex(rows) {
+  const m = new Map();
+  for (const r of rows || []) {
+    if (!m.has(r.teacher_id)) m.set(r.teacher_id, { subjects: new Set(), strands: new Set() });
+    const q = m.get(r.teacher_id);
+    if (r.subject_id) q.subjects.add(r.subject_id);
+    if (r.strand_id) q.strands.add(r.strand_id);
+  }
+  return m;
+}
+
+/** subject: { subject_id, strand_id } */
+export function isQualified(index, teacherId, subject) {
+  const q = index.get(teacherId);
+  if (!q || !subject) return false;
+  return q.subjects.has(subject.subject_id) || (!!subject.strand_id && q.strands.has(subject.strand_id));
+}
+
+/** Replace one teacher's qualifications with the given subject and strand ids. */
+export async function saveTeacherQualifications(teacherId, { subjectIds, strandIds }) {
+  const current = await fetchQualifications(teacherId);
+  const wantSubjects = new Set(subjectIds);
+  const wantStrands = new Set(strandIds);
+
+  const stale = current
+    .filter((r) => (r.subject_id ? !wantSubjects.has(r.subject_id) : !wantStrands.has(r.strand_id)))
+    .map((r) => r.qualification_id);
+
+  const haveSubjects = new Set(current.map((r) => r.subject_id).filter(Boolean));
+  const haveStrands = new Set(current.map((r) => r.strand_id).filter(Boolean));
+  const inserts = [
+    ...[...wantSubjects].filter((id) => !haveSubjects.has(id)).map((subject_id) => ({ teacher_id: teacherId, subject_id })),
+    ...[...wantStrands].filter((id) => !haveStrands.has(id)).map((strand_id) => ({ teacher_id: teacherId, strand_id })),
+  ];
+
+  if (stale.length) {
+    const { error } = await supabase.from("teacher_qualifications").delete().in("qualification_id", stale);
+    if (error) throw error;
+  }
+  if (inserts.length) {
+    const { error } = await supabase.from("teacher_qualifications").insert(inserts);
+    if (error) throw error;
+  }
+}
+
+/**
+ * Subjects offered this school year (to at least one section, or already scheduled)
+ * that no active teacher is qualified to teach.
+ */
+export function unqualifiedSubjects({ subjects, sections, scheduledSubjectIds = [], teachers, index }) {
+  const offered = new Set(scheduledSubjectIds);
+  for (const sec of sections || []) {
+    for (const s of subjectsForSection(subjects, sec)) offered.add(s.subject_id);
+  }
+
+  const activeTeachers = (teachers || []).filter((t) => !t.is_archived && (t.status ?? "Active") === "Active");
+  return (subjects || []).filter(
+    (s) => offered.has(s.subject_id) && !activeTeachers.some((t) => isQualified(index, t.user_id, s))
+  );
+}
@@ -0,0 +1,285 @@
+import { supabase } from "./supabaseClient";
+import { saveGradeRecords } from "./grades";
+
+export const QUESTION_TYPES = [
+  { key: "mc", label: "Multiple choice" },
+  { key: "tf", label: "True / False" },
+  { key: "identification", label: "Identification" },
+  { key: "matching", label: "Matching" },
+];
+
+function uid() {
+  if (globalThis.crypto?.randomUUID) return globalThis.crypto.randomUUID();
+  return Math.random().toString(16).slice(2) + Date.now().toString(16);
+}
+
+export function emptyQuiz() {
+  return { timeLimitMinutes: 10, shuffle: false, questions: [] };
+}
+
+export function blankQuestion(type) {
+  const base = { id: uid(), type, prompt: "", points: 1 };
+  if (type === "mc") {
+    const choices = [1, 2, 3, 4].map(() => ({ id: uid(), text: "" }));
+    return { ...base, choices, answer: choices[0].id };
+  }
+  if (type === "tf") return { ...base, answer: "true" };
+  if (type === "identification") return { ...base, answer: [""] };
+  if (type === "matching") {
+    return { ...base, points: 3, pairs: [1, 2, 3].map(() => ({ id: uid(), left: "", right: "" })) };
+  }
+  return base;
+}
+
+export function quizMaxScore(questions) {
+  return (questions || []).reduce((sum, q) => sum + (Number(q.points) || 0), 0);
+}
+
+// Returns a list of human-readable problems; empty when the quiz can be saved as-is.
+export function validateQuiz(quiz) {
+  const issues = [];
+  const qs = quiz?.questions || [];
+  if (!qs.length) issues.push("Add at least one question.");
+
+  qs.forEach((q, i) => {
+    const n = `Q${i + 1}`;
+    if (!String(q.prompt || "").trim()) issues.push(`${n}: prompt is empty.`);
+    if (!(Number(q.points) > 0)) issues.push(`${n}: points must be greater than 0.`);
+    if (q.type === "mc") {
+      const filled = (q.choices || []).filter((c) => String(c.text || "").trim());
+      if (filled.length < 2) issues.push(`${n}: add at least two choices.`);
+      if (!filled.some((c) => c.id === q.answer)) issues.push(`${n}: pick the correct choice.`);
+    }
+    if (q.type === "identification" && !(q.answer || []).some((a) => String(a || "").trim())) {
+      issues.push(`${n}: add at least one accepted answer.`);
+    }
+    if (q.type === "matching") {
+      const pairs = q.pairs || [];
+      if (pairs.length < 2) issues.push(`${n}: add at least two pairs.`);
+      if (pairs.some((p) => !String(p.left || "").trim() || !String(p.right || "").trim())) {
+        issues.push(`${n}: every pair needs both sides.`);
+      }
+    }
+  });
+
+  return issues;
+}
+
+/* ---------------- Teacher: builder persistence ---------------- */
+
+export async function fetchLessonQuizzes(activityIds) {
+  if (!activityIds?.length) return new Map();
+
+  const { data, error } = await supabase
+    .from("lesson_quizzes")
+    .select("activity_id, time_limit_minutes, shuffle, questions")
+    .in("activity_id", activityIds);
+
+  if (error) throw error;
+
+  return new Map(
+    (data || []).map((r) => [
+      r.activity_id,
+      {
+        timeLimitMinutes: r.time_limit_minutes ?? null,
+        shuffle: Boolean(r.shuffle),
+        questions: Array.isArray(r.questions) ? r.questions : [],
+      },
+    ])
+  );
+}
+
+/**
+ * Replace the lesson's quiz keys with the Quiz activities currently in the builder.
+ * activities: [{ id, quiz }] (only those with type "Quiz")
+ */
+export async function saveLessonQuizzes(lessonId, activities) {
+  const rows = (activities || [])
+    .filter((a) => a.quiz)
+    .map((a) => ({
+      activity_id: a.id,
+      lesson_id: lessonId,
+      time_limit_minutes: Number(a.quiz.timeLimitMinutes) > 0 ? Number(a.quiz.timeLimitMinutes) : null,
+      shuffle: Boolean(a.quiz.shuffle),
+      questions: a.quiz.questions || [],
+      updated_at: new Date().toISOString(),
+    }));
+
+  let del = supabase.from("lesson_quizzes").delete().eq("lesson_id", lessonId);
+  if (rows.length) del = del.not("activity_id", "in", `(${rows.map((r) => r.activity_id).join(",")})`);
+  const { error: delErr } = await del;
+  if (delErr) throw delErr;
+
+  if (!rows.length) return;
+
+  const { error } = await supabase.from("lesson_quizzes").upsert(rows, { onConflict: "activity_id" });
+  if (error) throw error;
+}
+
+/* ---------------- Student: taking a quiz ---------------- */
+
+export async function fetchStudentQuiz(activityId) {
+  const { data, error } = await supabase.rpc("get_student_quiz", { p_activity_id: activityId });
+  if (error) throw error;
+  return data || null;
+}
+
+const ATTEMPT_COLUMNS =
+  "attempt_id, activity_id, lesson_id, student_id, section_id, status, started_at, submitted_at, is_late, answers, item_results, score, max_score";
+
+export async function fetchMyQuizAttempts({ studentId, activityIds }) {
+  if (!studentId || !activityIds?.length) return [];
+
+  const { data, error } = await supabase
+    .from("quiz_attempts")
+    .select(ATTEMPT_COLUMNS)
+    .eq("student_id", studentId)
+    .in("activity_id", activityIds);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+export async function startQuizAttempt(activityId) {
+  const { data, error } = await supabase.rpc("start_quiz_attempt", { p_activity_id: activityId });
+  if (error) throw error;
+  return data;
+}
+
+export async function submitQuizAttempt(attemptId, answers) {
+  const { data, error } = await supabase.rpc("submit_quiz_attempt", {
+    p_attempt_id: attemptId,
+    p_answers: answers || {},
+  });
+  if (error) throw error;
+  return data;
+}
+
+// Seconds left on an attempt, or null when the quiz is untimed.
+export function secondsRemaining(attempt, timeLimitMinutes, now = Date.now()) {
+  if (!attempt?.started_at || !(Number(timeLimitMinutes) > 0)) return null;
+  const end = new Date(attempt.started_at).getTime() + Number(timeLimitMinutes) * 60 * 1000;
+  return Math.max(0, Math.floor((end - now) / 1000));
+}
+
+/* ---------------- Teacher: results ---------------- */
+
+export async function fetchQuizAttempts(activityId) {
+  const { data, error } = await supabase
+    .from("quiz_attempts")
+    .select(`${ATTEMPT_COLUMNS}, students:student_id ( id, student_number, first_name, last_name, middle_initial )`)
+    .eq("activity_id", activityId)
+    .eq("status", "Submitted")
+    .order("submitted_at", { ascending: true });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Per-question statistics over submitted attempts.
+ * - pctCorrect: share of students with the item fully correct
+ * - discrimination: upper 27% minus lower 27% correct rate (by total score)
+ * - choices (mc/tf only): how many picked each option
+ */
+export function itemAnalysis(questions, attempts) {
+  const list = attempts || [];
+  const sorted = [...list].sort((a, b) => (Number(b.score) || 0) - (Number(a.score) || 0));
+  const groupSize = Math.max(1, Math.round(sorted.length * 0.27));
+  const upper = sorted.slice(0, groupSize);
+  const lower = sorted.slice(-groupSize);
+
+  const isCorrect = (att, qid) => Boolean((att.item_results || []).find((r) => r.id === qid)?.correct);
+  const rate = (group, qid) => (group.length ? group.filter((a) => isCorrect(a, qid)).length / group.length : 0);
+
+  return (questions || []).map((q) => {
+    const correct = list.filter((a) => isCorrect(a, q.id)).length;
+
+    let choices = null;
+    if (q.type === "mc" || q.type === "tf") {
+      const opts = q.type === "mc" ? q.choices || [] : [{ id: "true", text: "True" }, { id: "false", text: "False" }];
+      choices = opts.map((c) => ({
+        id: c.id,
+        text: c.text,
+        isAnswer: String(c.id) === String(q.answer),
+        count: list.filter((a) => String(a.answers?.[q.id] ?? "") === String(c.id)).length,
+      }));
+    }
+
+    return {
+      id: q.id,
+      type: q.type,
+      prompt: q.prompt,
+      points: Number(q.points) || 0,
+      correct,
+      pctCorrect: list.length ? Math.round((correct / list.length) * 100) : null,
+      discrimination: list.length >= 2 ? Math.round((rate(upper, q.id) - rate(lower, q.id)) * 100) / 100 : null,
+      choices,
+    };
+  });
+}
+
+/**
+ * Record quiz scores as a new grade item in a class and recompute its grade_records.
+ * cls: { sy_id, term_id, section_id, subject_id, teacher_id, subject_type, track_code }
+ * Students without an attempt get no score (counts as 0 in the quarter, same as the gradebook).
+ */
+export async function pushQuizScoresToGradebook({ cls, quarter, component, title, maxScore, attempts, weights }) {
+  const { data: item, error: itemErr } = await supabase
+    .from("grade_items")
+    .insert({
+      sy_id: cls.sy_id,
+      term_id: cls.term_id,
+      section_id: cls.section_id,
+      subject_id: cls.subject_id,
+      teacher_id: cls.teacher_id,
+      quarter,
+      component,
+      title,
+      max_score: maxScore,
+    })
+    .select("item_id")
+    .single();
+  if (itemErr) throw itemErr;
+
+  const scoreRows = (attempts || [])
+    .filter((a) => a.section_id === cls.section_id && a.score != null)
+    .map((a) => ({
+      item_id: item.item_id,
+      student_id: a.student_id,
+      score: Math.min(Number(a.score), Number(maxScore)),
+      updated_at: new Date().toISOString(),
+    }));
+
+  if (scoreRows.length) {
+    const { error } = await supabase.from("grade_scores").upsert(scoreRows, { onConflict: "item_id,student_id" });
+    if (error) throw error;
+  }
+
+  // Recompute the class's records with every item, not just this one.
+  const [studRes, itemRes] = await Promise.all([
+    supabase.from("students").select("id").eq("sy_id", cls.sy_id).eq("section_id", cls.section_id),
+    supabase
+      .from("grade_items")
+      .select("item_id, quarter, component, max_score")
+      .eq("sy_id", cls.sy_id)
+      .eq("term_id", cls.term_id)
+      .eq("section_id", cls.section_id)
+      .eq("subject_id", cls.subject_id),
+  ]);
+  if (studRes.error) throw studRes.error;
+  if (itemRes.error) throw itemRes.error;
+
+  const items = itemRes.data || [];
+  const { data: allScores, error: sErr } = await supabase
+    .from("grade_scores")
+    .select("item_id, student_id, score")
+    .in(
+      "item_id",
+      items.map((i) => i.item_id)
+    );
+  if (sErr) throw sErr;
+
+  await saveGradeRecords(cls, studRes.data || [], items, allScores || [], weights);
+  return { itemId: item.item_id, scored: scoreRows.length };
+}
@@ -0,0 +1,254 @@
+import { supabase } from "./supabaseClient";
+
+// Recurrence engine for calendar_events (repeat_pattern / repeat_until) + calendar_event_exceptions.
+// Every calendar surface renders "occurrences": one object per day-span the event actually happens on.
+
+export const REPEAT_PATTERNS = ["Daily", "Weekly", "Monthly", "Yearly"];
+
+// Fields an exception may override for a single occurrence.
+export const OVERRIDABLE_FIELDS = [
+  "title",
+  "description",
+  "start_date",
+  "end_date",
+  "all_day",
+  "start_time",
+  "end_time",
+  "location",
+];
+
+const pad2 = (n) => String(n).padStart(2, "0");
+
+export const toISODate = (d) => `${d.getFullYear()}-${pad2(d.getMonth() + 1)}-${pad2(d.getDate())}`;
+
+export function parseISODate(iso) {
+  const [y, m, d] = String(iso).slice(0, 10).split("-").map(Number);
+  return new Date(y, m - 1, d);
+}
+
+export function addDaysISO(iso, days) {
+  const d = parseISODate(iso);
+  d.setDate(d.getDate() + days);
+  return toISODate(d);
+}
+
+function daysBetween(fromISO, toISO) {
+  return Math.round((parseISODate(toISO) - parseISODate(fromISO)) / 86400000);
+}
+
+const MAX_OCCURRENCES = 1000;
+
+/**
+ * The n-th occurrence start date (n = 0 is the series start), or null when the
+ * pattern has no such day (e.g. the 31st in a 30-day month, Feb 29 in a common year).
+ */
+function nthOccurrence(startISO, pattern, n) {
+  const s = parseISODate(startISO);
+
+  if (pattern === "Daily") return addDaysISO(startISO, n);
+  if (pattern === "Weekly") return addDaysISO(startISO, n * 7);
+
+  if (pattern === "Monthly") {
+    const d = new Date(s.getFullYear(), s.getMonth() + n, s.getDate());
+    return d.getDate() === s.getDate() ? toISODate(d) : null;
+  }
+
+  if (pattern === "Yearly") {
+    const d = new Date(s.getFullYear() + n, s.getMonth(), s.getDate());
+    return d.getMonth() === s.getMonth() ? toISODate(d) : null;
+  }
+
+  return n === 0 ? startISO : null;
+}
+
+/**
+ * Original occurrence start dates of one event whose span overlaps [fromISO, toISO].
+ * Non-recurring events yield their start_date when they overlap.
+ */
+export function occurrenceDates(ev, fromISO, toISO) {
+  const span = ev.end_date ? Math.max(0, daysBetween(ev.start_date, ev.end_date)) : 0;
+  const overlaps = (startISO) => startISO <= toISO && addDaysISO(startISO, span) >= fromISO;
+
+  if (!ev.recurring || !REPEAT_PATTERNS.includes(ev.repeat_pattern)) {
+    return overlaps(ev.start_date) ? [ev.start_date] : [];
+  }
+
+  const until = ev.repeat_until && ev.repeat_until < toISO ? ev.repeat_until : toISO;
+
+  // Daily/Weekly: jump straight to the first step that can reach the window.
+  let n = 0;
+  if (ev.repeat_pattern === "Daily" || ev.repeat_pattern === "Weekly") {
+    const step = ev.repeat_pattern === "Daily" ? 1 : 7;
+    n = Math.max(0, Math.floor((daysBetween(ev.start_date, fromISO) - span) / step));
+  }
+
+  const out = [];
+  for (let i = 0; i < MAX_OCCURRENCES; i += 1, n += 1) {
+    const occ = nthOccurrence(ev.start_date, ev.repeat_pattern, n);
+    if (occ == null) continue;
+    if (occ > until) break;
+    if (overlaps(occ)) out.push(occ);
+  }
+  return out;
+}
+
+export function exceptionKey(eventId, occurrenceDate) {
+  return `${eventId}:${occurrenceDate}`;
+}
+
+/**
+ * Expand events into occurrences within [fromISO, toISO], applying exceptions.
+ * Each occurrence keeps the master row in `_master` (for editing the series) and
+ * `occurrence_date` (the original date, used to skip/override that one instance).
+ */
+export function expandEvents(events, exceptions, fromISO, toISO) {
+  const exMap = new Map((exceptions || []).map((x) => [exceptionKey(x.event_id, x.occurrence_date), x]));
+
+  // Overrides may move an occurrence a few weeks; look a little wider, then trim.
+  const wideFrom = addDaysISO(fromISO, -31);
+  const wideTo = addDaysISO(toISO, 31);
+
+  const out = [];
+
+  for (const ev of events || []) {
+    const span = ev.end_date ? Math.max(0, daysBetween(ev.start_date, ev.end_date)) : 0;
+
+    for (const occDate of occurrenceDates(ev, wideFrom, wideTo)) {
+      const ex = exMap.get(exceptionKey(ev.id, occDate));
+      if (ex?.is_skipped) continue;
+
+      const base = {
+        ...ev,
+        start_date: occDate,
+        end_date: span ? addDaysISO(occDate, span) : ev.end_date ? occDate : null,
+      };
+
+      const changes = {};
+      for (const k of OVERRIDABLE_FIELDS) {
+        if (ex?.changes && Object.prototype.hasOwnProperty.call(ex.changes, k)) changes[k] = ex.changes[k];
+      }
+
+      const occ = {
+        ...base,
+        ...changes,
+        occurrence_date: occDate,
+        occurrence_key: exceptionKey(ev.id, occDate),
+        is_exception: Boolean(ex),
+        _master: ev,
+      };
+
+      if (changes.start_date && !changes.end_date) {
+        occ.end_date = span ? addDaysISO(changes.start_date, span) : base.end_date ? changes.start_date : null;
+      }
+
+      const occEnd = occ.end_date || occ.start_date;
+      if (occ.start_date <= toISO && occEnd >= fromISO) out.push(occ);
+    }
+  }
+
+  out.sort((a, b) => {
+    if (a.start_date !== b.start_date) return a.start_date.localeCompare(b.start_date);
+    return String(a.start_time || "").localeCompare(String(b.start_time || ""));
+  });
+
+  return out;
+}
+
+export function occursOnDay(occ, isoDay) {
+  const s = occ.start_date;
+  const e = occ.end_date || occ.start_date;
+  return isoDay >= s && isoDay <= e;
+}
+
+/**
+ * Load events that can produce an occurrence in [from, to] plus their exceptions, then expand.
+ * select must include id, start_date, end_date, recurring, repeat_pattern, repeat_until.
+ * Returns { events (master rows), exceptions, occurrences }.
+ */
+export async function fetchCalendarOccurrences({ from, to, select = "*", filter }) {
+  let q = supabase
+    .from("calendar_events")
+    .select(select)
+    .lte("start_date", to)
+    .or(`end_date.gte.${from},end_date.is.null,and(recurring.eq.true,repeat_until.gte.${from}),and(recurring.eq.true,repeat_until.is.null)`)
+    .order("start_date", { ascending: true });
+
+  if (filter) q = filter(q);
+
+  const { data: events, error } = await q;
+  if (error) throw error;
+
+  const recurringIds = (events || []).filter((e) => e.recurring).map((e) => e.id);
+  let exceptions = [];
+  if (recurringIds.length) {
+    const { data, error: exErr } = await supabase
+      .from("calendar_event_exceptions")
+      .select("exception_id, event_id, occurrence_date, is_skipped, changes")
+      .in("event_id", recurringIds);
+    if (exErr) throw exErr;
+    exceptions = data || [];
+  }
+
+  return {
+    events: events || [],
+    exceptions,
+    occurrences: expandEvents(events || [], exceptions, from, to),
+  };
+}
+
+/* ---------------- Exceptions (super_admin) ---------------- */
+
+export async function skipOccurrence(eventId, occurrenceDate) {
+  const { data, error } = await supabase
+    .from("calendar_event_exceptions")
+    .upsert(
+      {
+        event_id: eventId,
+        occurrence_date: occurrenceDate,
+        is_skipped: true,
+        changes: {},
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "event_id,occurrence_date" }
+    )
+    .select("exception_id, event_id, occurrence_date, is_skipped, changes")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function saveOccurrenceOverride(eventId, occurrenceDate, changes) {
+  const clean = {};
+  for (const k of OVERRIDABLE_FIELDS) {
+    if (changes && Object.prototype.hasOwnProperty.call(changes, k)) clean[k] = changes[k];
+  }
+
+  const { data, error } = await supabase
+    .from("calendar_event_exceptions")
+    .upsert(
+      {
+        event_id: eventId,
+        occurrence_date: occurrenceDate,
+        is_skipped: false,
+        changes: clean,
+        updated_at: new Date().toISOString(),
+      },
+      { onConflict: "event_id,occurrence_date" }
+    )
+    .select("exception_id, event_id, occurrence_date, is_skipped, changes")
+    .single();
+
+  if (error) throw error;
+  return data;
+}
+
+export async function clearOccurrenceException(eventId, occurrenceDate) {
+  const { error } = await supabase
+    .from("calendar_event_exceptions")
+    .delete()
+    .eq("event_id", eventId)
+    .eq("occurrence_date", occurrenceDate);
+
+  if (error) throw error;
+}
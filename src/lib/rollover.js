@@ -0,0 +1,190 @@
+import { supabase } from "./supabaseClient";
+
+// School year rollover: carry sections, advisers, teacher loads (subject offerings) and
+// section_schedules (schedule templates) from one sy_id into another, promote Grade 11
+// students to Grade 12 and flag Grade 12 graduates.
+// planRollover() is pure and builds the preview; commitRollover() hands the chosen parts to
+// school_year_rollover_commit, which rebuilds the same plan and writes it in one transaction.
+// Anything already present in the target year is skipped, so a rerun only fills the gaps.
+
+export const ROLLOVER_PARTS = [
+  { key: "sections", label: "Sections & advisers" },
+  { key: "loads", label: "Subject offerings (teacher loads)" },
+  { key: "schedules", label: "Schedule templates" },
+  { key: "promote", label: "Promote Grade 11 → Grade 12" },
+  { key: "graduates", label: "Flag Grade 12 graduates" },
+];
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+/** Same section across years: name + grade + strand. */
+export function sectionKey(s) {
+  return `${norm(s?.section_name)}|${s?.grade_id || ""}|${s?.strand_id || ""}`;
+}
+
+const SECTION_COLS =
+  "section_id, section_name, grade_id, track_id, strand_id, adviser_id, is_archived, grade_levels:grade_id(grade_level), strands:strand_id(strand_code)";
+const LOAD_COLS = "load_id, term_id, section_id, subject_id, teacher_id";
+const SCHEDULE_COLS =
+  "schedule_id, term_id, section_id, day_of_week, period_no, start_time, end_time, subject_id, teacher_id, room, room_id, notes";
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Everything planRollover() needs for the two years. */
+export async function fetchRolloverSource({ fromSyId, toSyId }) {
+  const [
+    fromSections,
+    toSections,
+    advisers,
+    toAdvisers,
+    fromLoads,
+    toLoads,
+    fromSchedules,
+    toSchedules,
+    students,
+    enrollments,
+    grades,
+  ] = await Promise.all([
+    rows(supabase.from("sections").select(SECTION_COLS).eq("sy_id", fromSyId)),
+    rows(supabase.from("sections").select(SECTION_COLS).eq("sy_id", toSyId)),
+    rows(supabase.from("section_advisers").select("section_id, adviser_id").eq("sy_id", fromSyId)),
+    rows(supabase.from("section_advisers").select("section_id, adviser_id").eq("sy_id", toSyId)),
+    rows(supabase.from("teacher_loads").select(LOAD_COLS).eq("sy_id", fromSyId)),
+    rows(supabase.from("teacher_loads").select(LOAD_COLS).eq("sy_id", toSyId)),
+    rows(supabase.from("section_schedules").select(SCHEDULE_COLS).eq("sy_id", fromSyId)),
+    rows(supabase.from("section_schedules").select(SCHEDULE_COLS).eq("sy_id", toSyId)),
+    rows(
+      supabase
+        .from("students")
+        .select("id, student_number, first_name, last_name, grade_id, strand_id, section_id")
+        .eq("sy_id", fromSyId)
+        .eq("status", "Enrolled")
+        .order("last_name", { ascending: true })
+    ),
+    rows(supabase.from("student_school_years").select("student_id, section_id, is_graduate").eq("sy_id", fromSyId)),
+    rows(supabase.from("grade_levels").select("grade_id, grade_level")),
+  ]);
+
+  return { fromSections, toSections, advisers, toAdvisers, fromLoads, toLoads, fromSchedules, toSchedules, students, enrollments, grades };
+}
+
+/**
+ * Preview of a rollover. Returns
+ * { sections: [{ source, target, action: "create" | "exists", adviser_id, fill_adviser }],
+ *   loads: { create, skipped }, schedules: { create, skipped, roomsDropped },
+ *   promote: [student], graduates: [student], alreadyGraduated, warnings: [string] }.
+ * fill_adviser: an existing target section without an adviser that gets adviser_id.
+ */
+export function planRollover(src) {
+  const warnings = [];
+  const gradeNo = new Map((src.grades || []).map((g) => [g.grade_id, Number(g.grade_level)]));
+  const gradeByNo = new Map((src.grades || []).map((g) => [Number(g.grade_level), g.grade_id]));
+  const adviserBySection = new Map((src.advisers || []).map((a) => [a.section_id, a.adviser_id]));
+  const toAdviserBySection = new Map((src.toAdvisers || []).map((a) => [a.section_id, a.adviser_id]));
+
+  const existingByKey = new Map((src.toSections || []).map((s) => [sectionKey(s), s]));
+  const sections = (src.fromSections || [])
+    .filter((s) => !s.is_archived)
+    .map((s) => {
+      const target = existingByKey.get(sectionKey(s)) || null;
+      const adviser_id = adviserBySection.get(s.section_id) ?? s.adviser_id ?? null;
+      return {
+        source: s,
+        target,
+        action: target ? "exists" : "create",
+        adviser_id,
+        fill_adviser: !!target && !!adviser_id && !(toAdviserBySection.get(target.section_id) ?? target.adviser_id),
+      };
+    });
+  const carried = new Set(sections.map((x) => x.source.section_id));
+
+  const loadKey = (l, sectionKeyOf) => `${l.term_id}|${sectionKeyOf}|${l.subject_id}`;
+  const toSectionKey = new Map((src.toSections || []).map((s) => [s.section_id, sectionKey(s)]));
+  const fromSectionKey = new Map((src.fromSections || []).map((s) => [s.section_id, sectionKey(s)]));
+
+  const haveLoads = new Set((src.toLoads || []).map((l) => loadKey(l, toSectionKey.get(l.section_id))));
+  const loads = { create: [], skipped: 0 };
+  for (const l of src.fromLoads || []) {
+    if (!carried.has(l.section_id)) continue;
+    if (haveLoads.has(loadKey(l, fromSectionKey.get(l.section_id)))) loads.skipped += 1;
+    else loads.create.push(l);
+  }
+
+  const slotOf = (r, key) => `${r.term_id}|${key}|${r.day_of_week}|${r.period_no}`;
+  const roomSlot = (r) => `${r.room_id}|${r.term_id}|${r.day_of_week}|${r.period_no}`;
+  const haveSlots = new Set((src.toSchedules || []).map((r) => slotOf(r, toSectionKey.get(r.section_id))));
+  const bookedRooms = new Set((src.toSchedules || []).filter((r) => r.room_id).map(roomSlot));
+
+  const schedules = { create: [], skipped: 0, roomsDropped: 0 };
+  for (const r of src.fromSchedules || []) {
+    if (!carried.has(r.section_id)) continue;
+    if (haveSlots.has(slotOf(r, fromSectionKey.get(r.section_id)))) {
+      schedules.skipped += 1;
+      continue;
+    }
+    if (r.room_id && bookedRooms.has(roomSlot(r))) {
+      schedules.create.push({ ...r, room_id: null, room: null });
+      schedules.roomsDropped += 1;
+    } else {
+      if (r.room_id) bookedRooms.add(roomSlot(r));
+      schedules.create.push(r);
+    }
+  }
+  if (schedules.roomsDropped) {
+    warnings.push(`${schedules.roomsDropped} copied period(s) lose their room because it is already booked in the target year.`);
+  }
+
+  const graduatedIds = new Set((src.enrollments || []).filter((e) => e.is_graduate).map((e) => e.student_id));
+  const promote = (src.students || []).filter((s) => gradeNo.get(s.grade_id) === 11);
+  const grade12 = (src.students || []).filter((s) => gradeNo.get(s.grade_id) === 12);
+  const graduates = grade12.filter((s) => !graduatedIds.has(s.id));
+
+  const grade12Id = gradeByNo.get(12) || null;
+  if (promote.length && !grade12Id) warnings.push("No Grade 12 level exists, so Grade 11 students cannot be promoted.");
+
+  const hasUnclassified = sections.some((x) => norm(x.source.section_name) === "unclassified");
+  if (promote.length && !hasUnclassified) {
+    warnings.push('The source year has no "Unclassified" section; promoted students will have no section until assigned.');
+  }
+
+  return {
+    sections,
+    loads,
+    schedules,
+    promote: grade12Id ? promote : [],
+    graduates,
+    alreadyGraduated: grade12.length - graduates.length,
+    grade12Id,
+    warnings,
+  };
+}
+
+/**
+ * Write the rollover from fromSyId into toSyId. parts: Set of ROLLOVER_PARTS keys to apply.
+ * Returns the counts that were written (also stored in school_year_rollovers).
+ */
+export async function commitRollover({ fromSyId, toSyId, parts }) {
+  const { data, error } = await supabase.rpc("school_year_rollover_commit", {
+    p_from_sy_id: fromSyId,
+    p_to_sy_id: toSyId,
+    p_parts: [...parts],
+  });
+  if (error) throw error;
+  return data;
+}
+
+/** Latest committed rollover into a year, or null. */
+export async function fetchLastRollover(toSyId) {
+  const { data, error } = await supabase
+    .from("school_year_rollovers")
+    .select("rollover_id, from_sy_id, summary, created_at")
+    .eq("to_sy_id", toSyId)
+    .order("created_at", { ascending: false })
+    .limit(1);
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
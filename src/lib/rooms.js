@@ -0,0 +1,127 @@
+import { supabase } from "./supabaseClient";
+
+// Room registry helpers shared by the schedule editors and the Rooms page.
+// Rows keep the room code in their text `room` column too, so older readers still show it.
+
+export const ROOM_TYPES = [
+  { value: "classroom", label: "Classroom" },
+  { value: "lab", label: "Laboratory" },
+  { value: "gym", label: "Gym" },
+  { value: "other", label: "Other" },
+];
+
+export function roomTypeLabel(type) {
+  return ROOM_TYPES.find((t) => t.value === type)?.label || "—";
+}
+
+export function roomLabel(room) {
+  if (!room) return "";
+  return room.room_name ? `${room.room_code} — ${room.room_name}` : room.room_code;
+}
+
+/** Registry room for a schedule row: by room_id, else by the free-text room matching a code or name. */
+export function matchRoom(rooms, { room_id, room } = {}) {
+  if (room_id) {
+    const byId = rooms.find((r) => r.room_id === room_id);
+    if (byId) return byId;
+  }
+  const text = String(room || "").trim().toLowerCase();
+  if (!text) return null;
+  return (
+    rooms.find((r) => String(r.room_code).toLowerCase() === text) ||
+    rooms.find((r) => String(r.room_name || "").toLowerCase() === text) ||
+    null
+  );
+}
+
+/** Fields to write on a schedule row for the picked room (or none). */
+export function roomFields(room) {
+  return room ? { room_id: room.room_id, room: room.room_code } : { room_id: null, room: null };
+}
+
+/** Error text for a schedule write, spelling out a room double-booking refused by the database. */
+export function scheduleErrorMessage(err) {
+  const msg = String(err?.message || err || "");
+  if (msg.includes("room_double_booked")) return "That room is already booked in this period. Pick another room or slot.";
+  return msg;
+}
+
+export async function fetchRooms({ includeArchived = false } = {}) {
+  let q = supabase
+    .from("rooms")
+    .select("room_id, room_code, room_name, room_type, capacity, building, notes, is_archived, updated_at")
+    .order("room_code", { ascending: true });
+  if (!includeArchived) q = q.eq("is_archived", false);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * section_schedules row already holding the room in that SY + term + day + period, or null.
+ * Read fresh at save time (the page cache can be stale when two admins edit at once).
+ */
+export async function findSectionRoomBooking({ syId, termId, day, periodNo, roomId, excludeScheduleId }) {
+  if (!roomId) return null;
+
+  let q = supabase
+    .from("section_schedules")
+    .select(
+      `
+      schedule_id,
+      section_id,
+      sections:section_id(section_name, grade_levels:grade_id(grade_level), strands:strand_id(strand_code)),
+      subjects:subject_id(subject_code, subject_title)
+    `
+    )
+    .eq("sy_id", syId)
+    .eq("term_id", termId)
+    .eq("day_of_week", day)
+    .eq("period_no", periodNo)
+    .eq("room_id", roomId)
+    .limit(1);
+  if (excludeScheduleId) q = q.neq("schedule_id", excludeScheduleId);
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return data?.[0] ?? null;
+}
+
+function minutesOf(hhmm) {
+  const [h, m] = String(hhmm).split(":").map(Number);
+  return h * 60 + (m || 0);
+}
+
+/**
+ * Active class_schedules rows of other classes that overlap the given weekly slots in the same room.
+ * slots: [{ day_of_week, startTime, endTime, room_id }] (times as "HH:MM").
+ * Returns [{ slot, other }] where other carries its class code.
+ */
+export async function findClassRoomBookings({ slots, excludeClassId }) {
+  const roomIds = [...new Set(slots.map((s) => s.room_id).filter(Boolean))];
+  if (!roomIds.length) return [];
+
+  const { data, error } = await supabase
+    .from("class_schedules")
+    .select("schedule_id, class_id, day_of_week, room_id, start_at, end_at, classes:class_id(class_code)")
+    .in("room_id", roomIds)
+    .eq("is_archived", false);
+  if (error) throw error;
+
+  const clashes = [];
+  for (const slot of slots) {
+    if (!slot.room_id) continue;
+    const a = minutesOf(slot.startTime);
+    const b = minutesOf(slot.endTime);
+
+    for (const other of data ?? []) {
+      if (other.class_id === excludeClassId) continue;
+      if (other.room_id !== slot.room_id || Number(other.day_of_week) !== Number(slot.day_of_week)) continue;
+      const c = minutesOf(String(other.start_at).slice(11, 16));
+      const d = minutesOf(String(other.end_at).slice(11, 16));
+      if (a < d && c < b) clashes.push({ slot, other });
+    }
+  }
+  return clashes;
+}
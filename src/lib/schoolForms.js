@@ -0,0 +1,294 @@
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import writeXlsxFile from "write-excel-file";
+import { supabase } from "./supabaseClient";
+
+// DepEd School Form 1 (SF1, School Register) per section, as PDF or XLSX.
+// fetchSf1Learners() joins students (active SY, Enrolled) with their enrollment record for
+// LRN, birthdate, address and parents. Learners are listed males first, then females, by name,
+// like the printed form. One PDF / workbook can hold any number of sections.
+
+/** Printed in the form header. School ID / region / division are left blank when unknown. */
+export const SCHOOL = {
+  name: "Grabsum School, Inc.",
+  schoolId: "",
+  region: "",
+  division: "",
+};
+
+export const SF1_COLUMNS = [
+  { key: "no", label: "#", width: 4 },
+  { key: "lrn", label: "LRN", width: 15 },
+  { key: "name", label: "Name (Last, First, Ext, Middle)", width: 32 },
+  { key: "sex", label: "Sex", width: 5 },
+  { key: "birthdate", label: "Birth Date (mm/dd/yyyy)", width: 13 },
+  { key: "age", label: "Age", width: 5 },
+  { key: "birthplace", label: "Birthplace", width: 20 },
+  { key: "address", label: "Address", width: 36 },
+  { key: "father", label: "Father's Name", width: 24 },
+  { key: "mother", label: "Mother's Maiden Name", width: 24 },
+  { key: "guardian", label: "Guardian (Relationship)", width: 24 },
+  { key: "contact", label: "Contact No.", width: 14 },
+  { key: "remarks", label: "Remarks", width: 16 },
+];
+
+const clean = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+const pad2 = (n) => String(n).padStart(2, "0");
+
+function parseDate(v) {
+  if (!v) return null;
+  const m = String(v).match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (m) return new Date(Number(m[1]), Number(m[2]) - 1, Number(m[3]));
+  const d = new Date(v);
+  return Number.isNaN(d.getTime()) ? null : d;
+}
+
+function formatDate(d) {
+  return d ? `${pad2(d.getMonth() + 1)}/${pad2(d.getDate())}/${d.getFullYear()}` : "";
+}
+
+/** Whole years between birth and asOf (the school year's opening day on SF1). */
+export function ageOn(birth, asOf) {
+  if (!birth || !asOf) return "";
+  let age = asOf.getFullYear() - birth.getFullYear();
+  if (asOf.getMonth() < birth.getMonth() || (asOf.getMonth() === birth.getMonth() && asOf.getDate() < birth.getDate())) age -= 1;
+  return age >= 0 ? age : "";
+}
+
+function learnerName(s, enr) {
+  const last = clean(s.last_name || enr?.st_lname);
+  const first = clean(s.first_name || enr?.st_fname);
+  const ext = clean(s.extension || enr?.st_ext);
+  const mi = clean(s.middle_initial || enr?.st_mi);
+  return [`${last},`, first, ext, mi ? `${mi.replace(/\.$/, "")}.` : ""].filter(Boolean).join(" ");
+}
+
+function sexOf(s, enr) {
+  const g = clean(s.gender || enr?.st_gender).toLowerCase();
+  return g === "male" ? "M" : g === "female" ? "F" : "";
+}
+
+export function sectionTitle(section) {
+  const grade = section.grade_levels?.grade_level;
+  const track = section.tracks?.track_code;
+  const strand = section.strands?.strand_code;
+  return [grade ? `Grade ${grade}` : null, track, strand, section.section_name].filter(Boolean).join(" · ");
+}
+
+function adviserName(section) {
+  const t = section.teachers;
+  return t ? `${t.last_name || ""}, ${t.first_name || ""}`.trim() : "";
+}
+
+/**
+ * section_id -> SF1 rows for the given sections of one school year.
+ * Rows: { no, lrn, name, sex, birthdate, age, birthplace, address, father, mother, guardian, contact, remarks }.
+ */
+export async function fetchSf1Learners({ sy, sectionIds }) {
+  const out = new Map(sectionIds.map((id) => [id, []]));
+  if (!sectionIds.length) return out;
+
+  const students = [];
+  for (let i = 0; i < sectionIds.length; i += 50) {
+    const { data, error } = await supabase
+      .from("students")
+      .select(
+        `
+          id, student_number, first_name, last_name, middle_initial, extension, gender, section_id,
+          enrollment (
+            st_lrn, st_fname, st_lname, st_mi, st_ext, st_gender, st_bdate, st_bplace, st_current_address,
+            st_father_name, st_mother_name, st_guardian_name, st_guardian_relationship, st_guardian_contact, is_archived
+          )
+        `
+      )
+      .eq("sy_id", sy.sy_id)
+      .eq("status", "Enrolled")
+      .in("section_id", sectionIds.slice(i, i + 50));
+    if (error) throw error;
+    students.push(...(data ?? []));
+  }
+
+  const asOf = parseDate(sy.start_date) || new Date();
+
+  for (const s of students) {
+    const list = Array.isArray(s.enrollment) ? s.enrollment : s.enrollment ? [s.enrollment] : [];
+    const enr = list.find((e) => !e.is_archived) || list[0] || null;
+    const birth = parseDate(enr?.st_bdate);
+    const guardian = clean(enr?.st_guardian_name);
+    const relationship = clean(enr?.st_guardian_relationship);
+
+    out.get(s.section_id)?.push({
+      lrn: clean(enr?.st_lrn),
+      name: learnerName(s, enr),
+      sex: sexOf(s, enr),
+      birthdate: formatDate(birth),
+      age: ageOn(birth, asOf),
+      birthplace: clean(enr?.st_bplace),
+      address: clean(enr?.st_current_address),
+      father: clean(enr?.st_father_name),
+      mother: clean(enr?.st_mother_name),
+      guardian: guardian ? `${guardian}${relationship ? ` (${relationship})` : ""}` : "",
+      contact: clean(enr?.st_guardian_contact),
+      remarks: enr ? "" : "No enrollment record",
+    });
+  }
+
+  const sexRank = (r) => (r.sex === "M" ? 0 : r.sex === "F" ? 1 : 2);
+  for (const rows of out.values()) {
+    rows.sort((a, b) => sexRank(a) - sexRank(b) || a.name.localeCompare(b.name));
+    rows.forEach((r, i) => (r.no = i + 1));
+  }
+
+  return out;
+}
+
+function tally(rows) {
+  const male = rows.filter((r) => r.sex === "M").length;
+  const female = rows.filter((r) => r.sex === "F").length;
+  return { male, female, total: rows.length };
+}
+
+function headerLines({ sy, section }) {
+  return [
+    ["School Name", SCHOOL.name],
+    ["School ID", SCHOOL.schoolId || "________"],
+    ["Region", SCHOOL.region || "________"],
+    ["Division", SCHOOL.division || "________"],
+    ["School Year", sy?.sy_code || ""],
+    ["Grade Level", section.grade_levels?.grade_level ? String(section.grade_levels.grade_level) : "—"],
+    ["Track / Strand", [section.tracks?.track_code, section.strands?.strand_code].filter(Boolean).join(" / ") || "—"],
+    ["Section", section.section_name || "—"],
+    ["Adviser", adviserName(section) || "—"],
+  ];
+}
+
+/* ===================== PDF ===================== */
+
+/** One SF1 (landscape legal) per section, each section starting on a new page. */
+export function buildSf1Pdf({ sy, sections, learners }) {
+  const doc = new jsPDF({ unit: "pt", format: "legal", orientation: "landscape" });
+  const left = 28;
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+
+  sections.forEach((section, idx) => {
+    if (idx > 0) doc.addPage();
+    const rows = learners.get(section.section_id) ?? [];
+    const firstPage = doc.getCurrentPageInfo().pageNumber;
+
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(13);
+    doc.text("School Form 1 (SF1) School Register", pageW / 2, 36, { align: "center" });
+    doc.setFont("helvetica", "normal");
+    doc.setFontSize(8);
+    doc.text("(This replaces Form 1, Master List & STS Form 2-Family Background and Profile)", pageW / 2, 48, { align: "center" });
+
+    const lines = headerLines({ sy, section });
+    const colW = (pageW - left * 2) / 3;
+    lines.forEach(([label, value], i) => {
+      const x = left + (i % 3) * colW;
+      const y = 66 + Math.floor(i / 3) * 13;
+      doc.setFont("helvetica", "bold");
+      doc.text(`${label}:`, x, y);
+      doc.setFont("helvetica", "normal");
+      doc.text(String(value), x + 70, y);
+    });
+
+    autoTable(doc, {
+      startY: 66 + Math.ceil(lines.length / 3) * 13 + 4,
+      head: [SF1_COLUMNS.map((c) => c.label)],
+      body: rows.map((r) => SF1_COLUMNS.map((c) => String(r[c.key] ?? ""))),
+      styles: { font: "helvetica", fontSize: 7, cellPadding: 3, overflow: "linebreak", lineWidth: 0.3 },
+      headStyles: { fontStyle: "bold", fillColor: [240, 240, 240], textColor: 20 },
+      theme: "grid",
+      margin: { left, right: left, bottom: 40 },
+      didDrawPage: () => {
+        const page = doc.getCurrentPageInfo().pageNumber - firstPage + 1;
+        doc.setFontSize(7);
+        doc.setFont("helvetica", "normal");
+        doc.text(`${section.section_name || ""} · Page ${page}`, pageW - left, pageH - 18, { align: "right" });
+      },
+    });
+
+    const t = tally(rows);
+    let y = doc.lastAutoTable.finalY + 18;
+    if (y > pageH - 80) {
+      doc.addPage();
+      y = 48;
+    }
+    doc.setFontSize(8);
+    doc.setFont("helvetica", "bold");
+    doc.text(`Total: Male ${t.male} · Female ${t.female} · Combined ${t.total}`, left, y);
+
+    doc.setFont("helvetica", "normal");
+    const sigY = y + 36;
+    doc.line(left, sigY, left + 200, sigY);
+    doc.text(`Prepared by: ${adviserName(section) || "Class Adviser"}`, left, sigY + 11);
+    doc.line(pageW / 2, sigY, pageW / 2 + 200, sigY);
+    doc.text("Certified correct: School Head", pageW / 2, sigY + 11);
+  });
+
+  return doc;
+}
+
+/* ===================== XLSX ===================== */
+
+// Excel sheet names: max 31 chars, no []:*?/\ and unique within the workbook.
+function sheetNames(sections) {
+  const used = new Set();
+  return sections.map((s) => {
+    const base = clean(s.section_name || "Section").replace(/[[\]:*?/\\]/g, "-").slice(0, 28) || "Section";
+    let name = base;
+    for (let n = 2; used.has(name.toLowerCase()); n += 1) name = `${base.slice(0, 27)} ${n}`;
+    used.add(name.toLowerCase());
+    return name;
+  });
+}
+
+function sheetData({ sy, section, rows }) {
+  const width = SF1_COLUMNS.length;
+  const blank = () => Array.from({ length: width - 1 }, () => null);
+  const t = tally(rows);
+
+  return [
+    [{ value: "School Form 1 (SF1) School Register", fontWeight: "bold", fontSize: 14, span: width }, ...blank()],
+    ...headerLines({ sy, section }).map(([label, value]) => [
+      { value: label, fontWeight: "bold", span: 2 },
+      null,
+      { value: String(value), span: 3 },
+      ...Array.from({ length: width - 5 }, () => null),
+    ]),
+    Array.from({ length: width }, () => null),
+    SF1_COLUMNS.map((c) => ({ value: c.label, fontWeight: "bold", backgroundColor: "#F0F0F0", wrap: true, borderStyle: "thin" })),
+    ...rows.map((r) =>
+      SF1_COLUMNS.map((c) => {
+        const v = r[c.key];
+        return typeof v === "number" ? { type: Number, value: v, borderStyle: "thin" } : { value: String(v ?? ""), wrap: true, borderStyle: "thin" };
+      })
+    ),
+    Array.from({ length: width }, () => null),
+    [{ value: `Total: Male ${t.male} · Female ${t.female} · Combined ${t.total}`, fontWeight: "bold", span: 6 }, ...Array.from({ length: width - 1 }, () => null)],
+  ];
+}
+
+/** One sheet per section. Triggers the browser download. */
+export async function downloadSf1Xlsx({ sy, sections, learners, fileName }) {
+  const names = sheetNames(sections);
+  const columns = SF1_COLUMNS.map((c) => ({ width: c.width }));
+
+  await writeXlsxFile(
+    sections.map((section) => sheetData({ sy, section, rows: learners.get(section.section_id) ?? [] })),
+    {
+      sheets: names,
+      columns: sections.map(() => columns),
+      orientation: "landscape",
+      fileName,
+    }
+  );
+}
+
+export function sf1FileName({ sy, sections, ext }) {
+  const safeSy = sy?.sy_code ? String(sy.sy_code).replace(/\s+/g, "_") : String(sy?.sy_id || "SY");
+  const scope = sections.length === 1 ? String(sections[0].section_name || "Section").replace(/[^\w-]+/g, "_") : `${sections.length}_sections`;
+  return `SF1_${safeSy}_${scope}.${ext}`;
+}
@@ -0,0 +1,399 @@
+import { supabase } from "./supabaseClient";
+
+// Planned section auto-assignment for one school year.
+// fetchAssignmentSource() loads the year; planAssignment() is pure and deterministic (no
+// random jitter) so the preview is exactly what applyAssignmentPlan() writes. Every applied
+// run is stored with the students' previous placements so rollbackAssignmentRun() can undo it.
+//
+// Placement rules, in order:
+// - a student only goes to a non-archived section with the same grade / track / strand;
+// - keep-together groups are placed as one block, keep-apart pairs never share a section
+//   (a group holding a keep-apart pair is reported and left unplaced);
+// - per-section capacity (sections.capacity) is never exceeded;
+// - returning students lean toward a section with the same name as last year's, then toward
+//   former classmates; otherwise the emptiest section wins, nudged toward a gender balance.
+
+export const DEFAULT_CAPACITY = 40;
+
+export const CONSTRAINT_KINDS = [
+  { key: "together", label: "Keep together" },
+  { key: "apart", label: "Keep apart" },
+];
+
+const norm = (s) => String(s || "").trim().toLowerCase();
+
+export function capacityOf(section) {
+  const n = Number(section?.capacity);
+  return Number.isFinite(n) && n > 0 ? n : DEFAULT_CAPACITY;
+}
+
+/** Same bucket as the manual assign check: grade + track + strand. */
+export function placementKey({ grade_id, track_id, strand_id }) {
+  return `${grade_id || ""}__${track_id || ""}__${strand_id || ""}`;
+}
+
+function genderOf(s) {
+  const g = norm(s?.gender);
+  return g === "male" || g === "female" ? g : null;
+}
+
+function studentLabel(s) {
+  return `${s?.last_name || ""}, ${s?.first_name || ""}`.trim();
+}
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Every row of a query, a page at a time (PostgREST caps one response at 1000 rows). */
+async function allRows(makeQuery, pageSize = 1000) {
+  const out = [];
+  for (let from = 0; ; from += pageSize) {
+    const page = await rows(makeQuery().range(from, from + pageSize - 1));
+    out.push(...page);
+    if (page.length < pageSize) return out;
+  }
+}
+
+const STUDENT_COLS =
+  "id, student_number, first_name, last_name, middle_initial, extension, gender, grade_id, track_id, strand_id, section_id";
+
+/** Everything planAssignment() needs for one school year. */
+export async function fetchAssignmentSource(syId) {
+  const [sections, students, constraints, yearRows, pastRows, years] = await Promise.all([
+    rows(
+      supabase
+        .from("sections")
+        .select("section_id, section_name, grade_id, track_id, strand_id, capacity, is_archived")
+        .eq("sy_id", syId)
+    ),
+    allRows(() => supabase.from("students").select(STUDENT_COLS).eq("sy_id", syId).eq("status", "Enrolled").order("id")),
+    fetchConstraints(syId),
+    allRows(() => supabase.from("student_school_years").select("student_id, section_id").eq("sy_id", syId).order("student_id")),
+    allRows(() =>
+      supabase
+        .from("student_school_years")
+        .select("student_id, sy_id, section_id")
+        .neq("sy_id", syId)
+        .not("section_id", "is", null)
+        .order("sy_id")
+        .order("student_id")
+    ),
+    rows(supabase.from("school_years").select("sy_id, start_date")),
+  ]);
+
+  // Last year's section names, for the "same section again" preference.
+  const pastSectionIds = Array.from(new Set(pastRows.map((r) => r.section_id)));
+  const pastSections = [];
+  for (let i = 0; i < pastSectionIds.length; i += 200) {
+    pastSections.push(
+      ...(await rows(supabase.from("sections").select("section_id, section_name").in("section_id", pastSectionIds.slice(i, i + 200))))
+    );
+  }
+
+  return { syId, sections, students, constraints, yearRows, pastRows, years, pastSections };
+}
+
+/** student_id -> { section_id, section_name } of their most recent earlier year. */
+export function previousPlacements({ pastRows, years, pastSections }) {
+  const startOf = new Map((years || []).map((y) => [y.sy_id, y.start_date || ""]));
+  const nameOf = new Map((pastSections || []).map((s) => [s.section_id, s.section_name]));
+  const out = new Map();
+  for (const r of pastRows || []) {
+    const cur = out.get(r.student_id);
+    const start = startOf.get(r.sy_id) || "";
+    if (cur && cur.start >= start) continue;
+    out.set(r.student_id, { section_id: r.section_id, section_name: nameOf.get(r.section_id) || "", start });
+  }
+  return out;
+}
+
+/**
+ * Proposed placements for every enrolled student who is unassigned or in "Unclassified".
+ * Returns { placements[{student, section, reason}], skipped[{student, reason}], warnings[],
+ * load: Map(section_id -> {total, male, female, capacity}) }.
+ */
+export function planAssignment(src) {
+  const sections = src.sections || [];
+  const unclassified = sections.find((s) => norm(s.section_name) === "unclassified") || null;
+  const usable = sections.filter((s) => !s.is_archived && norm(s.section_name) !== "unclassified");
+  const sectionById = new Map(sections.map((s) => [s.section_id, s]));
+
+  const isCandidate = (st) => !st.section_id || (unclassified && st.section_id === unclassified.section_id);
+  const students = src.students || [];
+  const candidates = students.filter(isCandidate);
+  const studentById = new Map(students.map((s) => [s.id, s]));
+  const previous = previousPlacements(src);
+
+  // Current load of real sections (students already placed count against capacity).
+  const load = new Map(usable.map((s) => [s.section_id, { total: 0, male: 0, female: 0, capacity: capacityOf(s) }]));
+  // section_id -> Map(previous section_id -> count), for the "former classmates" preference.
+  const cohorts = new Map(usable.map((s) => [s.section_id, new Map()]));
+  const placedIn = new Map(); // student_id -> section_id (existing + planned)
+
+  function occupy(student, sectionId) {
+    const l = load.get(sectionId);
+    if (!l) return;
+    l.total += 1;
+    const g = genderOf(student);
+    if (g) l[g] += 1;
+    const prev = previous.get(student.id)?.section_id;
+    if (prev) {
+      const c = cohorts.get(sectionId);
+      c.set(prev, (c.get(prev) || 0) + 1);
+    }
+    placedIn.set(student.id, sectionId);
+  }
+
+  for (const st of students) {
+    if (!isCandidate(st) && load.has(st.section_id)) occupy(st, st.section_id);
+  }
+
+  const warnings = [];
+  const skipped = [];
+  const placements = [];
+
+  // Keep-together groups (union-find over candidates only).
+  const parent = new Map(candidates.map((s) => [s.id, s.id]));
+  const find = (x) => {
+    while (parent.get(x) !== x) {
+      parent.set(x, parent.get(parent.get(x)));
+      x = parent.get(x);
+    }
+    return x;
+  };
+  const anchors = new Map(); // candidate id -> section_id of an already-placed "together" partner
+  const apart = new Map(); // student id -> Set(student ids)
+
+  for (const c of src.constraints || []) {
+    const a = studentById.get(c.student_a);
+    const b = studentById.get(c.student_b);
+    if (!a || !b) continue;
+
+    if (c.kind === "apart") {
+      if (!apart.has(a.id)) apart.set(a.id, new Set());
+      if (!apart.has(b.id)) apart.set(b.id, new Set());
+      apart.get(a.id).add(b.id);
+      apart.get(b.id).add(a.id);
+      continue;
+    }
+
+    if (placementKey(a) !== placementKey(b)) {
+      warnings.push(`Keep together ignored: ${studentLabel(a)} and ${studentLabel(b)} are in different grade/track/strand.`);
+      continue;
+    }
+    const aCand = parent.has(a.id);
+    const bCand = parent.has(b.id);
+    if (aCand && bCand) parent.set(find(a.id), find(b.id));
+    else if (aCand && placedIn.has(b.id)) anchors.set(a.id, placedIn.get(b.id));
+    else if (bCand && placedIn.has(a.id)) anchors.set(b.id, placedIn.get(a.id));
+  }
+
+  const groups = new Map();
+  for (const s of candidates) {
+    const root = find(s.id);
+    if (!groups.has(root)) groups.set(root, []);
+    groups.get(root).push(s);
+  }
+
+  // A keep-apart pair inside one keep-together group cannot satisfy both rules: hold the group back.
+  for (const [root, members] of groups) {
+    const ids = new Set(members.map((s) => s.id));
+    const clash = members.find((s) => Array.from(apart.get(s.id) || []).some((other) => ids.has(other)));
+    if (!clash) continue;
+    const other = studentById.get(Array.from(apart.get(clash.id)).find((x) => ids.has(x)));
+    const why = `Keep-together group includes a keep-apart pair (${studentLabel(clash)} / ${studentLabel(other)}).`;
+    warnings.push(`${why} Fix the rules for this group of ${members.length}; it was not placed.`);
+    members.forEach((s) => skipped.push({ student: s, reason: why }));
+    groups.delete(root);
+  }
+
+  // Constrained blocks first (biggest first), then returning students, then by name.
+  const ordered = Array.from(groups.values())
+    .map((members) => members.sort((x, y) => studentLabel(x).localeCompare(studentLabel(y))))
+    .sort((x, y) => {
+      if (y.length !== x.length) return y.length - x.length;
+      const xr = x.some((s) => previous.has(s.id)) ? 0 : 1;
+      const yr = y.some((s) => previous.has(s.id)) ? 0 : 1;
+      if (xr !== yr) return xr - yr;
+      return studentLabel(x[0]).localeCompare(studentLabel(y[0]));
+    });
+
+  const pools = new Map();
+  for (const s of usable) {
+    const k = placementKey(s);
+    if (!pools.has(k)) pools.set(k, []);
+    pools.get(k).push(s);
+  }
+
+  for (const members of ordered) {
+    const lead = members[0];
+    if (!lead.grade_id || !lead.track_id) {
+      members.forEach((s) => skipped.push({ student: s, reason: "Missing grade or track." }));
+      continue;
+    }
+
+    const pool = pools.get(placementKey(lead)) || [];
+    if (!pool.length) {
+      members.forEach((s) => skipped.push({ student: s, reason: "No matching section for grade/track/strand." }));
+      continue;
+    }
+
+    const anchor = members.map((s) => anchors.get(s.id)).find(Boolean) || null;
+    const blockedBy = (sec) =>
+      members.some((s) => Array.from(apart.get(s.id) || []).some((other) => placedIn.get(other) === sec.section_id));
+
+    let best = null;
+    let bestScore = Infinity;
+    let bestReason = "";
+    let fullCount = 0;
+    let apartCount = 0;
+
+    for (const sec of pool) {
+      const l = load.get(sec.section_id);
+      if (l.total + members.length > l.capacity) {
+        fullCount += 1;
+        continue;
+      }
+      if (blockedBy(sec)) {
+        apartCount += 1;
+        continue;
+      }
+
+      let score = l.total / l.capacity;
+      let reason = "Balanced fill";
+
+      const males = members.filter((s) => genderOf(s) === "male").length;
+      const females = members.filter((s) => genderOf(s) === "female").length;
+      const before = Math.abs(l.male - l.female);
+      const after = Math.abs(l.male + males - (l.female + females));
+      score += (after - before) * 0.08;
+
+      if (members.length > 1) reason = `Kept together (${members.length})`;
+
+      if (anchor && anchor === sec.section_id) {
+        score -= 10;
+        reason = "Kept with a classmate already in this section";
+      } else {
+        const prev = members.map((s) => previous.get(s.id)).find(Boolean);
+        if (prev) {
+          if (prev.section_name && norm(prev.section_name) === norm(sec.section_name)) {
+            score -= 1;
+            reason = `Returning: same section as last year (${prev.section_name})`;
+          } else {
+            const mates = cohorts.get(sec.section_id)?.get(prev.section_id) || 0;
+            if (mates) {
+              score -= Math.min(mates, 10) * 0.05;
+              if (members.length === 1) reason = `Returning: with ${mates} former classmate${mates === 1 ? "" : "s"}`;
+            }
+          }
+        }
+      }
+
+      if (score < bestScore || (score === bestScore && best && String(sec.section_name).localeCompare(String(best.section_name)) < 0)) {
+        best = sec;
+        bestScore = score;
+        bestReason = reason;
+      }
+    }
+
+    if (!best) {
+      const why = !apartCount
+        ? "Matching sections are at capacity."
+        : fullCount
+          ? "Matching sections are full or hold a keep-apart partner."
+          : "Every matching section has a keep-apart partner.";
+      members.forEach((s) => skipped.push({ student: s, reason: members.length > 1 ? `${why} (group of ${members.length})` : why }));
+      continue;
+    }
+
+    if (anchor && anchor !== best.section_id) {
+      warnings.push(`${studentLabel(lead)} could not join their keep-together partner's section (${sectionById.get(anchor)?.section_name || "—"}).`);
+    }
+
+    for (const s of members) {
+      occupy(s, best.section_id);
+      placements.push({ student: s, section: best, reason: bestReason });
+    }
+  }
+
+  return { placements, skipped, warnings, load };
+}
+
+/* ===================== Apply / rollback ===================== */
+
+/**
+ * Writes a plan and logs it as a run, in one transaction (section_assignment_apply).
+ * Previous placements are recorded server-side. Returns the run_id.
+ */
+export async function applyAssignmentPlan({ syId, plan }) {
+  if (!plan?.placements?.length) throw new Error("Nothing to assign.");
+
+  const summary = {
+    assigned: plan.placements.length,
+    skipped: plan.skipped.length,
+    sections: Array.from(new Set(plan.placements.map((p) => p.section.section_id))).length,
+  };
+
+  const { data, error } = await supabase.rpc("section_assignment_apply", {
+    p_sy_id: syId,
+    p_summary: summary,
+    p_items: plan.placements.map((p) => ({
+      student_id: p.student.id,
+      to_section_id: p.section.section_id,
+      reason: p.reason,
+    })),
+  });
+  if (error) throw error;
+  return data;
+}
+
+export async function fetchAssignmentRuns(syId) {
+  return rows(
+    supabase
+      .from("section_assignment_runs")
+      .select("run_id, summary, created_at, rolled_back_at")
+      .eq("sy_id", syId)
+      .order("created_at", { ascending: false })
+      .limit(20)
+  );
+}
+
+/**
+ * Puts every student of a run back where they were, in one transaction
+ * (section_assignment_rollback). Students moved by hand since the run are left alone and
+ * counted in `kept`. A run can only be rolled back once.
+ */
+export async function rollbackAssignmentRun({ runId }) {
+  const { data, error } = await supabase.rpc("section_assignment_rollback", { p_run_id: runId });
+  if (error) throw error;
+  return data || { reverted: 0, kept: 0 };
+}
+
+/* ===================== Constraints ===================== */
+
+export async function fetchConstraints(syId) {
+  return rows(
+    supabase
+      .from("section_assignment_constraints")
+      .select("constraint_id, kind, student_a, student_b, note, created_at")
+      .eq("sy_id", syId)
+      .order("created_at", { ascending: true })
+  );
+}
+
+export async function addConstraint({ syId, kind, studentA, studentB, note }) {
+  if (!studentA || !studentB) throw new Error("Pick two students.");
+  if (studentA === studentB) throw new Error("Pick two different students.");
+  const { error } = await supabase
+    .from("section_assignment_constraints")
+    .insert({ sy_id: syId, kind, student_a: studentA, student_b: studentB, note: String(note || "").trim() || null });
+  if (error) throw error;
+}
+
+export async function deleteConstraint(constraintId) {
+  const { error } = await supabase.from("section_assignment_constraints").delete().eq("constraint_id", constraintId);
+  if (error) throw error;
+}
@@ -0,0 +1,70 @@
+import { supabase } from "./supabaseClient";
+
+// "Devices & sessions": the signed-in user's auth sessions, and staff sign-out of another user.
+// A removed session can no longer refresh, so its device is signed out within the hour.
+
+/** "Chrome on Windows" style label from a user-agent string. */
+export function deviceLabel(ua) {
+  const s = String(ua || "");
+  if (!s) return "Unknown device";
+
+  const browser = /Edg\//.test(s)
+    ? "Edge"
+    : /OPR\/|Opera/.test(s)
+    ? "Opera"
+    : /Chrome\//.test(s)
+    ? "Chrome"
+    : /Firefox\//.test(s)
+    ? "Firefox"
+    : /Safari\//.test(s)
+    ? "Safari"
+    : "Browser";
+
+  const os = /Android/.test(s)
+    ? "Android"
+    : /iPhone|iPad|iPod/.test(s)
+    ? "iOS"
+    : /Windows/.test(s)
+    ? "Windows"
+    : /Mac OS X|Macintosh/.test(s)
+    ? "macOS"
+    : /CrOS/.test(s)
+    ? "ChromeOS"
+    : /Linux/.test(s)
+    ? "Linux"
+    : "";
+
+  return os ? `${browser} on ${os}` : browser;
+}
+
+/** The current user's active sessions, most recently used first (is_current marks this browser). */
+export async function fetchMySessions() {
+  const { data, error } = await supabase.rpc("my_sessions");
+  if (error) throw error;
+  return data ?? [];
+}
+
+export async function revokeMySession(sessionId) {
+  const { error } = await supabase.rpc("revoke_my_session", { p_session_id: sessionId });
+  if (error) throw error;
+}
+
+/** scope "others" keeps this browser signed in; "global" signs out here too. */
+export async function signOutEverywhere(scope = "global") {
+  const { error } = await supabase.auth.signOut({ scope });
+  if (error) throw error;
+}
+
+/** Staff: another user's active sessions. */
+export async function fetchUserSessions(userId) {
+  const { data, error } = await supabase.rpc("user_sessions", { p_user_id: userId });
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** Staff: ends every session of a user; returns how many were removed. */
+export async function revokeUserSessions(userId) {
+  const { data, error } = await supabase.rpc("revoke_user_sessions", { p_user_id: userId });
+  if (error) throw error;
+  return data ?? 0;
+}
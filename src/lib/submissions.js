@@ -0,0 +1,131 @@
+import { supabase } from "./supabaseClient";
+
+export const SUBMISSION_BUCKET = "submissions";
+
+// Submitted -> (teacher) Returned -> (student) Resubmitted -> ... -> (teacher) Graded
+export const SUBMISSION_STATUSES = ["Submitted", "Returned", "Resubmitted", "Graded"];
+
+const SUBMISSION_COLUMNS =
+  "submission_id, activity_id, lesson_id, student_id, user_id, section_id, text_body, files, status, attempt, score, max_score, feedback, submitted_at, reviewed_at";
+
+export function canStudentEdit(submission) {
+  return !submission || submission.status !== "Graded";
+}
+
+export async function uploadSubmissionFile({ file, userId, activityId }) {
+  const ext = String(file.name).split(".").pop() || "bin";
+  const path = `${userId}/${activityId}/${Date.now()}-${crypto.randomUUID?.() || Math.random().toString(16).slice(2)}.${ext}`;
+
+  const { error } = await supabase.storage.from(SUBMISSION_BUCKET).upload(path, file, {
+    cacheControl: "3600",
+    upsert: false,
+    contentType: file.type || undefined,
+  });
+  if (error) throw error;
+
+  return { file_path: path, name: file.name, size: file.size, type: file.type || null };
+}
+
+export async function signedSubmissionUrl(filePath) {
+  const { data, error } = await supabase.storage.from(SUBMISSION_BUCKET).createSignedUrl(filePath, 60);
+  if (error) throw error;
+  return data?.signedUrl || null;
+}
+
+export async function fetchMySubmissions({ studentId, activityIds }) {
+  if (!studentId || !activityIds?.length) return [];
+
+  const { data, error } = await supabase
+    .from("activity_submissions")
+    .select(SUBMISSION_COLUMNS)
+    .eq("student_id", studentId)
+    .in("activity_id", activityIds);
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+/**
+ * Create or update the student's submission for one activity.
+ * A hand-in after the teacher returned the work becomes a new attempt ("Resubmitted").
+ */
+export async function submitActivity({ activity, lessonId, student, userId, text, newFiles, keptFiles, existing }) {
+  if (!canStudentEdit(existing)) throw new Error("This submission has already been graded.");
+
+  const uploaded = [];
+  for (const f of newFiles || []) {
+    uploaded.push(await uploadSubmissionFile({ file: f, userId, activityId: activity.activity_id }));
+  }
+
+  const files = [...(keptFiles || []), ...uploaded];
+  const body = String(text || "").trim();
+  if (!body && !files.length) throw new Error("Add a file or write an answer before submitting.");
+
+  if (!existing) {
+    const { data, error } = await supabase
+      .from("activity_submissions")
+      .insert({
+        activity_id: activity.activity_id,
+        lesson_id: lessonId,
+        student_id: student.id,
+        user_id: userId,
+        section_id: student.section_id ?? null,
+        text_body: body || null,
+        files,
+        status: "Submitted",
+      })
+      .select(SUBMISSION_COLUMNS)
+      .single();
+    if (error) throw error;
+    return data;
+  }
+
+  const wasReturned = existing.status === "Returned";
+  const { data, error } = await supabase
+    .from("activity_submissions")
+    .update({
+      text_body: body || null,
+      files,
+      status: wasReturned ? "Resubmitted" : existing.status,
+      attempt: wasReturned ? (existing.attempt || 1) + 1 : existing.attempt,
+      submitted_at: new Date().toISOString(),
+    })
+    .eq("submission_id", existing.submission_id)
+    .select(SUBMISSION_COLUMNS)
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+export async function fetchSubmissionsForActivity(activityId) {
+  const { data, error } = await supabase
+    .from("activity_submissions")
+    .select(`${SUBMISSION_COLUMNS}, students:student_id ( id, student_number, first_name, last_name, middle_initial )`)
+    .eq("activity_id", activityId)
+    .order("submitted_at", { ascending: false });
+
+  if (error) throw error;
+  return data ?? [];
+}
+
+// Teacher review: status is "Returned" (needs resubmission) or "Graded".
+export async function reviewSubmission({ submissionId, status, score, maxScore, feedback, reviewerId }) {
+  if (!["Returned", "Graded"].includes(status)) throw new Error(`Invalid review status: ${status}`);
+
+  const { data, error } = await supabase
+    .from("activity_submissions")
+    .update({
+      status,
+      score: score === "" || score == null ? null : Number(score),
+      max_score: maxScore === "" || maxScore == null ? null : Number(maxScore),
+      feedback: String(feedback || "").trim() || null,
+      reviewed_at: new Date().toISOString(),
+      reviewed_by: reviewerId ?? null,
+    })
+    .eq("submission_id", submissionId)
+    .select(SUBMISSION_COLUMNS)
+    .single();
+
+  if (error) throw error;
+  return data;
+}
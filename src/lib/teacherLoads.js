@@ -0,0 +1,128 @@
+import { DAYS, PERIODS } from "./timetable";
+
+// Teacher load analysis over section_schedules rows (one row = one weekly period).
+// Used by the admin Teacher Loads page; warnings are advisory, nothing here blocks a save.
+
+export const DEFAULT_MAX_WEEKLY_HOURS = 30;
+
+// Free periods in a row (between two classes on the same day) before we call it a gap.
+export const LONG_GAP_PERIODS = 3;
+
+const slot = (day, periodNo) => `${day}|${periodNo}`;
+
+function minutesOf(t) {
+  const [h, m] = String(t || "").split(":").map(Number);
+  return Number.isFinite(h) ? h * 60 + (Number.isFinite(m) ? m : 0) : null;
+}
+
+/** Contact hours of one schedule row (end - start), falling back to the standard period length. */
+export function contactHours(row) {
+  const a = minutesOf(row?.start_time);
+  const b = minutesOf(row?.end_time);
+  if (a != null && b != null && b > a) return (b - a) / 60;
+  const p = PERIODS.find((x) => x.period_no === Number(row?.period_no));
+  return p ? (minutesOf(p.end) - minutesOf(p.start)) / 60 : 1;
+}
+
+export function maxHoursOf(teacher) {
+  const n = Number(teacher?.max_weekly_hours);
+  return teacher?.max_weekly_hours != null && Number.isFinite(n) ? n : DEFAULT_MAX_WEEKLY_HOURS;
+}
+
+/**
+ * Summary for one teacher.
+ * rows: that teacher's section_schedules rows (SY + term); unavailable: their blocked periods.
+ * Returns { hours, max, periods, classes, sections, byDay, warnings: [{ type, message }] }.
+ * classes: [{ key, section_id, subject_id, rows }] — one per section + subject.
+ */
+export function summarizeTeacherLoad({ teacher, rows, unavailable = [] }) {
+  const max = maxHoursOf(teacher);
+  const hours = rows.reduce((n, r) => n + contactHours(r), 0);
+
+  const classMap = new Map();
+  const byDay = new Map(DAYS.map((d) => [d, []]));
+  const bySlot = new Map();
+
+  for (const r of rows) {
+    const subjectId = r.subject_id ?? r.subjects?.subject_id ?? null;
+    const key = `${r.section_id}|${subjectId}`;
+    if (!classMap.has(key)) classMap.set(key, { key, section_id: r.section_id, subject_id: subjectId, rows: [] });
+    classMap.get(key).rows.push(r);
+
+    if (byDay.has(r.day_of_week)) byDay.get(r.day_of_week).push(r);
+
+    const s = slot(r.day_of_week, Number(r.period_no));
+    bySlot.set(s, [...(bySlot.get(s) || []), r]);
+  }
+
+  const warnings = [];
+
+  if (hours > max) {
+    warnings.push({ type: "overload", message: `Overloaded: ${fmtHours(hours)} h of ${fmtHours(max)} h max.` });
+  }
+
+  for (const [s, list] of bySlot) {
+    if (list.length > 1) {
+      const [day, p] = s.split("|");
+      warnings.push({ type: "clash", message: `${day} period ${p}: teaching ${list.length} sections at once.` });
+    }
+  }
+
+  const blocked = new Set(unavailable.map((u) => slot(u.day_of_week, Number(u.period_no))));
+  for (const r of rows) {
+    if (blocked.has(slot(r.day_of_week, Number(r.period_no)))) {
+      warnings.push({ type: "blocked", message: `${r.day_of_week} period ${r.period_no} is marked unavailable.` });
+    }
+  }
+
+  const periodIdx = new Map(PERIODS.map((p, i) => [p.period_no, i]));
+  for (const [day, list] of byDay) {
+    const idx = [...new Set(list.map((r) => periodIdx.get(Number(r.period_no))).filter((i) => i != null))].sort((a, b) => a - b);
+    for (let i = 1; i < idx.length; i += 1) {
+      const free = idx[i] - idx[i - 1] - 1;
+      if (free >= LONG_GAP_PERIODS) {
+        warnings.push({
+          type: "gap",
+          message: `${day}: ${free} free periods between ${PERIODS[idx[i - 1]].end} and ${PERIODS[idx[i]].start}.`,
+        });
+      }
+    }
+  }
+
+  return {
+    hours,
+    max,
+    periods: rows.length,
+    classes: Array.from(classMap.values()),
+    sections: new Set(rows.map((r) => r.section_id)).size,
+    byDay,
+    warnings,
+  };
+}
+
+/**
+ * Why `teacherId` cannot take the given rows (same SY + term), or null if they can.
+ * allRows: every section_schedules row of the term; moving rows are ignored as clashes.
+ */
+export function reassignBlocker({ teacherId, moving, allRows, unavailable = [] }) {
+  const movingIds = new Set(moving.map((r) => r.schedule_id));
+  const busy = new Map();
+  for (const r of allRows) {
+    if (r.teacher_id !== teacherId || movingIds.has(r.schedule_id)) continue;
+    busy.set(slot(r.day_of_week, Number(r.period_no)), r);
+  }
+  const blocked = new Set(
+    unavailable.filter((u) => u.teacher_id === teacherId).map((u) => slot(u.day_of_week, Number(u.period_no)))
+  );
+
+  for (const r of moving) {
+    const s = slot(r.day_of_week, Number(r.period_no));
+    if (busy.has(s)) return { type: "busy", row: r, other: busy.get(s) };
+    if (blocked.has(s)) return { type: "blocked", row: r };
+  }
+  return null;
+}
+
+export function fmtHours(h) {
+  return Number.isInteger(h) ? String(h) : h.toFixed(1);
+}
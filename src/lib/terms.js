@@ -0,0 +1,119 @@
+import { supabase } from "./supabaseClient";
+
+// Terms per school year (school_year_terms): dates, the active term and closing.
+// terms stays the global list (1st Sem, 2nd Sem…); a year without a school_year_terms row
+// for a term simply has no dates yet and is open.
+// Closed terms are enforced by DB triggers (errors start with "term_closed:"); the helpers
+// here only let pages show the lock before someone tries to save.
+
+export async function fetchTerms() {
+  const { data, error } = await supabase
+    .from("terms")
+    .select("term_id, term_code, description")
+    .order("term_code", { ascending: true });
+  if (error) throw error;
+  return data ?? [];
+}
+
+export async function fetchSchoolYearTerms(syId) {
+  if (!syId) return [];
+  const { data, error } = await supabase
+    .from("school_year_terms")
+    .select("sy_term_id, sy_id, term_id, start_date, end_date, is_active, is_closed, closed_at")
+    .eq("sy_id", syId);
+  if (error) throw error;
+  return data ?? [];
+}
+
+/** terms joined with one year's school_year_terms rows, in term order. */
+export function mergeTerms(terms, syTerms) {
+  const byTerm = new Map((syTerms || []).map((r) => [r.term_id, r]));
+  return (terms || []).map((t) => {
+    const r = byTerm.get(t.term_id);
+    return {
+      ...t,
+      sy_term_id: r?.sy_term_id ?? null,
+      start_date: r?.start_date ?? null,
+      end_date: r?.end_date ?? null,
+      is_active: !!r?.is_active,
+      is_closed: !!r?.is_closed,
+      closed_at: r?.closed_at ?? null,
+    };
+  });
+}
+
+function isoDay(d) {
+  const x = d instanceof Date ? d : new Date(d);
+  return `${x.getFullYear()}-${String(x.getMonth() + 1).padStart(2, "0")}-${String(x.getDate()).padStart(2, "0")}`;
+}
+
+/** Default term for a year: the active one, else the one whose dates contain today, else the first. */
+export function defaultTerm(merged, today = new Date()) {
+  const list = merged || [];
+  const iso = isoDay(today);
+  return (
+    list.find((t) => t.is_active) ||
+    list.find((t) => t.start_date && t.end_date && t.start_date <= iso && iso <= t.end_date) ||
+    list[0] ||
+    null
+  );
+}
+
+/** Picker label: "2nd Sem (Active)", "1st Sem • Closed". */
+export function termOptionLabel(t) {
+  if (!t) return "";
+  return `${t.term_code}${t.is_active ? " (Active)" : ""}${t.is_closed ? " • Closed" : ""}`;
+}
+
+export function isTermClosed(merged, termId) {
+  return !!(merged || []).find((t) => t.term_id === termId)?.is_closed;
+}
+
+/** Merged terms for a year plus its default term — for pages that load in an effect. */
+export async function fetchTermContext(syId) {
+  const [terms, syTerms] = await Promise.all([fetchTerms(), fetchSchoolYearTerms(syId)]);
+  const merged = mergeTerms(terms, syTerms);
+  return { terms: merged, current: defaultTerm(merged) };
+}
+
+/** Create or update one term's dates for a year. */
+export async function saveSchoolYearTerm({ syId, termId, start_date, end_date }) {
+  const { error } = await supabase
+    .from("school_year_terms")
+    .upsert(
+      { sy_id: syId, term_id: termId, start_date: start_date || null, end_date: end_date || null, updated_at: new Date().toISOString() },
+      { onConflict: "sy_id,term_id" }
+    );
+  if (error) throw error;
+}
+
+/** Make termId the only active term of the year. */
+export async function setActiveTerm(syId, termId) {
+  const { error: e1 } = await supabase
+    .from("school_year_terms")
+    .update({ is_active: false, updated_at: new Date().toISOString() })
+    .eq("sy_id", syId)
+    .eq("is_active", true);
+  if (e1) throw e1;
+
+  const { error: e2 } = await supabase
+    .from("school_year_terms")
+    .upsert({ sy_id: syId, term_id: termId, is_active: true, updated_at: new Date().toISOString() }, { onConflict: "sy_id,term_id" });
+  if (e2) throw e2;
+}
+
+export async function setTermClosed(syId, termId, closed) {
+  const { data: auth } = await supabase.auth.getUser();
+  const { error } = await supabase.from("school_year_terms").upsert(
+    {
+      sy_id: syId,
+      term_id: termId,
+      is_closed: !!closed,
+      closed_at: closed ? new Date().toISOString() : null,
+      closed_by: closed ? auth?.user?.id ?? null : null,
+      updated_at: new Date().toISOString(),
+    },
+    { onConflict: "sy_id,term_id" }
+  );
+  if (error) throw error;
+}
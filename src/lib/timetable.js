@@ -0,0 +1,304 @@
+// Timetable generator for section_schedules (admin Schedule page).
+// Pure functions: the page loads sections / subjects / teacher_loads / availability and commits the result.
+//
+// A "lesson" is one subject taught to one section by one teacher for N periods a week.
+// A "cell" is one placed period: { section_id, day_of_week, period_no, subject_id, teacher_id, room, locked }.
+
+export const DEFAULT_WEEKLY_HOURS = 4;
+
+export const DAYS = ["Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+
+// Teaching periods only (breaks are excluded)
+export const PERIODS = [
+  { period_no: 1, label: "First Period", start: "07:00", end: "08:00" },
+  { period_no: 2, label: "Second Period", start: "08:00", end: "09:00" },
+  { period_no: 3, label: "Third Period", start: "09:20", end: "10:20" },
+  { period_no: 4, label: "Fourth Period", start: "10:20", end: "11:20" },
+  { period_no: 5, label: "Fifth Period", start: "12:10", end: "13:10" },
+  { period_no: 6, label: "Sixth Period", start: "13:10", end: "14:10" },
+  { period_no: 7, label: "Seventh Period", start: "14:30", end: "15:30" },
+  { period_no: 8, label: "Eighth Period", start: "15:30", end: "16:30" },
+  { period_no: 9, label: "Ninth Period", start: "16:30", end: "17:30" },
+];
+
+const slot = (day, periodNo) => `${day}|${periodNo}`;
+
+const roomKey = (r) => String(r || "").trim().toLowerCase();
+
+// Small seeded PRNG so "Re-solve" gives a different but reproducible timetable.
+function mulberry32(seed) {
+  let a = seed >>> 0;
+  return () => {
+    a = (a + 0x6d2b79f5) >>> 0;
+    let t = a;
+    t = Math.imul(t ^ (t >>> 15), t | 1);
+    t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+export function subjectWeeklyHours(subject) {
+  const wh = Number(subject?.weekly_hours);
+  if (subject?.weekly_hours != null && Number.isFinite(wh)) return Math.max(0, Math.round(wh));
+  const units = Number(subject?.units);
+  if (Number.isFinite(units) && units > 0) return Math.round(units);
+  return DEFAULT_WEEKLY_HOURS;
+}
+
+/** Subjects offered to a section: matching grade/strand, or global (null grade/strand). */
+export function subjectsForSection(subjects, section) {
+  return (subjects || []).filter((s) => {
+    if (s.is_archived) return false;
+    const gradeOk = !s.grade_id || s.grade_id === section?.grade_id;
+    const strandOk = !s.strand_id || s.strand_id === section?.strand_id;
+    return gradeOk && strandOk;
+  });
+}
+
+/**
+ * Lessons to place for the given sections.
+ * loads: teacher_loads rows; fallbackTeacher(section_id, subject_id) covers subjects without a load
+ * (e.g. the teacher already scheduled for that class). Lessons without a teacher are still placed.
+ */
+export function buildLessons({ sections, subjects, loads, fallbackTeacher }) {
+  const loadBy = new Map();
+  for (const l of loads || []) loadBy.set(`${l.section_id}|${l.subject_id}`, l.teacher_id);
+
+  const lessons = [];
+  for (const sec of sections || []) {
+    for (const subj of subjectsForSection(subjects, sec)) {
+      const hours = subjectWeeklyHours(subj);
+      if (!hours) continue;
+      const teacher_id =
+        loadBy.get(`${sec.section_id}|${subj.subject_id}`) || fallbackTeacher?.(sec.section_id, subj.subject_id) || null;
+      lessons.push({ section_id: sec.section_id, subject_id: subj.subject_id, teacher_id, hours });
+    }
+  }
+  return lessons;
+}
+
+/**
+ * Place lessons into a DAYS x PERIODS grid without teacher / room / section clashes.
+ *
+ * fixed:  cells that must stay where they are — locked draft cells (count toward their lesson)
+ *         and committed entries of sections outside this run (only block teachers / rooms).
+ * unavailable: [{ teacher_id, day_of_week, period_no }] periods a teacher cannot take.
+ * rooms:  room names to assign; homeRooms: Map<section_id, room> tried first. No rooms = room left as-is/blank.
+ *
+ * Returns { cells, unplaced: [{ section_id, subject_id, teacher_id, missing, reason }] }.
+ */
+export function solveTimetable({ days, periods, lessons, fixed = [], unavailable = [], rooms = [], homeRooms, seed = 1 }) {
+  const rand = mulberry32(seed);
+  const periodNos = periods.map((p) => Number(p.period_no));
+  const roomList = [...new Map(rooms.filter((r) => roomKey(r)).map((r) => [roomKey(r), String(r).trim()])).values()];
+
+  const sectionsInRun = new Set(lessons.map((l) => l.section_id));
+
+  const sectionBusy = new Map(); // section|day|period -> cell
+  const teacherBusy = new Set();
+  const roomBusy = new Set();
+  const blocked = new Set((unavailable || []).map((u) => `${u.teacher_id}|${slot(u.day_of_week, Number(u.period_no))}`));
+  const subjectDay = new Map(); // section|subject|day -> count
+  const teacherDay = new Map(); // teacher|day -> count
+
+  const bump = (m, k, d) => m.set(k, (m.get(k) || 0) + d);
+
+  function occupy(cell) {
+    const s = slot(cell.day_of_week, Number(cell.period_no));
+    if (sectionsInRun.has(cell.section_id)) {
+      sectionBusy.set(`${cell.section_id}|${s}`, cell);
+      bump(subjectDay, `${cell.section_id}|${cell.subject_id}|${cell.day_of_week}`, 1);
+    }
+    if (cell.teacher_id) {
+      teacherBusy.add(`${cell.teacher_id}|${s}`);
+      bump(teacherDay, `${cell.teacher_id}|${cell.day_of_week}`, 1);
+    }
+    if (roomKey(cell.room)) roomBusy.add(`${roomKey(cell.room)}|${s}`);
+  }
+
+  function release(cell) {
+    const s = slot(cell.day_of_week, Number(cell.period_no));
+    sectionBusy.delete(`${cell.section_id}|${s}`);
+    bump(subjectDay, `${cell.section_id}|${cell.subject_id}|${cell.day_of_week}`, -1);
+    if (cell.teacher_id) {
+      teacherBusy.delete(`${cell.teacher_id}|${s}`);
+      bump(teacherDay, `${cell.teacher_id}|${cell.day_of_week}`, -1);
+    }
+    if (roomKey(cell.room)) roomBusy.delete(`${roomKey(cell.room)}|${s}`);
+  }
+
+  const cells = [];
+  const lockedCount = new Map(); // section|subject -> locked periods
+
+  for (const f of fixed) {
+    occupy(f);
+    if (sectionsInRun.has(f.section_id)) {
+      cells.push({ ...f, locked: true });
+      bump(lockedCount, `${f.section_id}|${f.subject_id}`, 1);
+    }
+  }
+
+  function pickRoom(lesson, day, periodNo, preferred) {
+    const s = slot(day, periodNo);
+    const candidates = [preferred, homeRooms?.get(lesson.section_id), ...roomList].filter((r) => roomKey(r));
+    if (!roomList.length && !candidates.length) return { ok: true, room: null };
+    for (const r of candidates) {
+      if (!roomBusy.has(`${roomKey(r)}|${s}`)) return { ok: true, room: String(r).trim() };
+    }
+    return { ok: false, room: null };
+  }
+
+  function canTake(lesson, day, periodNo) {
+    const s = slot(day, periodNo);
+    if (sectionBusy.has(`${lesson.section_id}|${s}`)) return false;
+    if (lesson.teacher_id && (teacherBusy.has(`${lesson.teacher_id}|${s}`) || blocked.has(`${lesson.teacher_id}|${s}`))) {
+      return false;
+    }
+    return true;
+  }
+
+  function score(lesson, day, periodNo) {
+    const perDay = Math.ceil(lesson.hours / days.length);
+    const sameDay = subjectDay.get(`${lesson.section_id}|${lesson.subject_id}|${day}`) || 0;
+    let cost = sameDay >= perDay ? 20 * (sameDay - perDay + 1) : 0; // spread a subject across the week
+    const tDay = lesson.teacher_id ? teacherDay.get(`${lesson.teacher_id}|${day}`) || 0 : 0;
+    if (tDay >= 5) cost += 3 * (tDay - 4); // avoid stacking a teacher's day
+    cost += periodNos.indexOf(periodNo) * 0.15; // keep days compact toward the morning
+    if (day === "Sat") cost += 6; // Saturday only when needed
+    return cost + rand() * 0.5;
+  }
+
+  function place(lesson) {
+    let best = null;
+    for (const day of days) {
+      for (const p of periodNos) {
+        if (!canTake(lesson, day, p)) continue;
+        const r = pickRoom(lesson, day, p, lesson.lastRoom);
+        if (!r.ok) continue;
+        const c = score(lesson, day, p);
+        if (!best || c < best.cost) best = { day, p, room: r.room, cost: c };
+      }
+    }
+    if (!best) return null;
+
+    const cell = {
+      section_id: lesson.section_id,
+      day_of_week: best.day,
+      period_no: best.p,
+      subject_id: lesson.subject_id,
+      teacher_id: lesson.teacher_id,
+      room: best.room,
+      locked: false,
+    };
+    occupy(cell);
+    cells.push(cell);
+    lesson.lastRoom = best.room;
+    return cell;
+  }
+
+  // Move one unlocked cell of the same section out of the way, then take its slot.
+  function placeBySwap(lesson) {
+    for (const day of days) {
+      for (const p of periodNos) {
+        const s = slot(day, p);
+        const blocker = sectionBusy.get(`${lesson.section_id}|${s}`);
+        if (!blocker || blocker.locked) continue;
+        if (lesson.teacher_id && (teacherBusy.has(`${lesson.teacher_id}|${s}`) || blocked.has(`${lesson.teacher_id}|${s}`))) {
+          continue;
+        }
+
+        release(blocker);
+        const target = pickRoom(lesson, day, p, lesson.lastRoom);
+        let moved = null;
+        if (target.ok) {
+          for (const d2 of days) {
+            for (const p2 of periodNos) {
+              if (d2 === day && p2 === p) continue;
+              const asLesson = { section_id: blocker.section_id, teacher_id: blocker.teacher_id };
+              if (!canTake(asLesson, d2, p2)) continue;
+              const r2 = pickRoom(asLesson, d2, p2, blocker.room);
+              if (!r2.ok) continue;
+              moved = { day: d2, p: p2, room: r2.room };
+              break;
+            }
+            if (moved) break;
+          }
+        }
+
+        if (!moved) {
+          occupy(blocker);
+          continue;
+        }
+
+        blocker.day_of_week = moved.day;
+        blocker.period_no = moved.p;
+        blocker.room = moved.room;
+        occupy(blocker);
+
+        const cell = {
+          section_id: lesson.section_id,
+          day_of_week: day,
+          period_no: p,
+          subject_id: lesson.subject_id,
+          teacher_id: lesson.teacher_id,
+          room: target.room,
+          locked: false,
+        };
+        occupy(cell);
+        cells.push(cell);
+        return cell;
+      }
+    }
+    return null;
+  }
+
+  // Most constrained first: busy teachers and big lessons are hardest to fit late.
+  const teacherDemand = new Map();
+  for (const l of lessons) if (l.teacher_id) bump(teacherDemand, l.teacher_id, l.hours);
+  const blockedBy = new Map();
+  for (const u of unavailable || []) bump(blockedBy, u.teacher_id, 1);
+
+  const queue = lessons
+    .map((l) => ({
+      ...l,
+      remaining: Math.max(0, l.hours - (lockedCount.get(`${l.section_id}|${l.subject_id}`) || 0)),
+      weight: (teacherDemand.get(l.teacher_id) || 0) + (blockedBy.get(l.teacher_id) || 0) + l.hours + rand(),
+    }))
+    .filter((l) => l.remaining > 0)
+    .sort((a, b) => b.weight - a.weight);
+
+  // Interleave lessons one period at a time so no single subject hogs the good slots.
+  const unplaced = [];
+  let pending = queue;
+  while (pending.length) {
+    const next = [];
+    for (const l of pending) {
+      const cell = place(l) || placeBySwap(l);
+      if (!cell) {
+        unplaced.push(l);
+        continue;
+      }
+      l.remaining -= 1;
+      if (l.remaining > 0) next.push(l);
+    }
+    pending = next;
+  }
+
+  const freeInSection = (sectionId) =>
+    days.reduce((n, d) => n + periodNos.filter((p) => !sectionBusy.has(`${sectionId}|${slot(d, p)}`)).length, 0);
+
+  return {
+    cells,
+    unplaced: unplaced.map((l) => ({
+      section_id: l.section_id,
+      subject_id: l.subject_id,
+      teacher_id: l.teacher_id,
+      missing: l.remaining,
+      reason: !freeInSection(l.section_id)
+        ? "Section has no free periods left."
+        : l.teacher_id
+        ? "Teacher is busy or unavailable in every free period of this section."
+        : "No room is free in the remaining periods.",
+    })),
+  };
+}
@@ -0,0 +1,354 @@
+import jsPDF from "jspdf";
+import autoTable from "jspdf-autotable";
+import { supabase } from "./supabaseClient";
+import { gradeRemarks } from "./grades";
+import { SCHOOL } from "./schoolForms";
+
+// Student permanent record (Form 137) from Admin → Enrollment → Student Details.
+// fetchTranscript() walks every school year in student_school_years (plus the student's current
+// year), the subjects scheduled for their section that year (section_schedules) and their
+// grade_records. issueTranscript() registers a document ID in issued_documents so the printed
+// copy can be checked on the public /verify-document page.
+
+export const VERIFY_PATH = "/verify-document";
+
+async function rows(query) {
+  const { data, error } = await query;
+  if (error) throw error;
+  return data ?? [];
+}
+
+const clean = (v) => String(v ?? "").replace(/\s+/g, " ").trim();
+
+function average(list) {
+  const nums = list.filter((n) => n != null);
+  if (!nums.length) return null;
+  return Math.round((nums.reduce((a, b) => a + b, 0) / nums.length) * 100) / 100;
+}
+
+/** Everything printed on the Form 137 for one student, oldest school year first. */
+export async function fetchTranscript(student) {
+  const [yearRows, enrollments, grades] = await Promise.all([
+    rows(supabase.from("student_school_years").select("sy_id, section_id, grade_id, is_graduate").eq("student_id", student.id)),
+    student.user_id
+      ? rows(
+          supabase
+            .from("enrollment")
+            .select("st_lrn, st_bdate, st_bplace, st_gender, st_current_address, st_previous_school, st_father_name, st_mother_name, st_guardian_name, is_archived")
+            .eq("user_id", student.user_id)
+        )
+      : Promise.resolve([]),
+    rows(
+      supabase
+        .from("grade_records")
+        .select("sy_id, term_id, section_id, subject_id, q1_grade, q2_grade, final_grade, remarks")
+        .eq("student_id", student.id)
+    ),
+  ]);
+
+  // The current year may not have a student_school_years row yet.
+  const years = [...yearRows];
+  if (student.sy_id && !years.some((y) => y.sy_id === student.sy_id)) {
+    years.push({ sy_id: student.sy_id, section_id: student.section_id, grade_id: student.grade_id, is_graduate: false });
+  }
+
+  const syIds = Array.from(new Set([...years.map((y) => y.sy_id), ...grades.map((g) => g.sy_id)]));
+  const sectionIds = Array.from(new Set(years.map((y) => y.section_id).filter(Boolean)));
+
+  const [schoolYears, sections, schedules, terms, gradeLevels] = await Promise.all([
+    syIds.length ? rows(supabase.from("school_years").select("sy_id, sy_code, start_date").in("sy_id", syIds)) : [],
+    sectionIds.length
+      ? rows(
+          supabase
+            .from("sections")
+            .select("section_id, section_name, grade_levels ( grade_level ), tracks ( track_code ), strands ( strand_code )")
+            .in("section_id", sectionIds)
+        )
+      : [],
+    sectionIds.length ? rows(supabase.from("section_schedules").select("sy_id, term_id, section_id, subject_id").in("section_id", sectionIds)) : [],
+    rows(supabase.from("terms").select("term_id, term_code, description").order("term_code", { ascending: true })),
+    rows(supabase.from("grade_levels").select("grade_id, grade_level")),
+  ]);
+
+  const subjectIds = Array.from(new Set([...schedules.map((s) => s.subject_id), ...grades.map((g) => g.subject_id)].filter(Boolean)));
+  const subjects = subjectIds.length
+    ? await rows(supabase.from("subjects").select("subject_id, subject_code, subject_title, subject_type, units").in("subject_id", subjectIds))
+    : [];
+
+  const syById = new Map(schoolYears.map((y) => [y.sy_id, y]));
+  const sectionById = new Map(sections.map((s) => [s.section_id, s]));
+  const subjectById = new Map(subjects.map((s) => [s.subject_id, s]));
+  const gradeLevelById = new Map(gradeLevels.map((g) => [g.grade_id, g.grade_level]));
+  const yearBySy = new Map(years.map((y) => [y.sy_id, y]));
+
+  const out = syIds
+    .map((syId) => {
+      const y = yearBySy.get(syId) || { sy_id: syId, section_id: null, grade_id: null, is_graduate: false };
+      const sec = sectionById.get(y.section_id) || null;
+
+      // Scheduled subjects of the section, plus any subject the student was graded in that year.
+      const lines = new Map();
+      const add = (termId, subjectId) => {
+        const k = `${termId}__${subjectId}`;
+        if (!lines.has(k)) lines.set(k, { term_id: termId, subject_id: subjectId, record: null });
+        return lines.get(k);
+      };
+      schedules.filter((s) => s.sy_id === syId && s.section_id === y.section_id && s.subject_id).forEach((s) => add(s.term_id, s.subject_id));
+      grades.filter((g) => g.sy_id === syId).forEach((g) => (add(g.term_id, g.subject_id).record = g));
+
+      const termsOut = terms
+        .map((t) => {
+          const subjectLines = Array.from(lines.values())
+            .filter((l) => l.term_id === t.term_id)
+            .map((l) => {
+              const s = subjectById.get(l.subject_id) || {};
+              const final = l.record?.final_grade ?? null;
+              return {
+                subject_code: s.subject_code || "",
+                subject_title: s.subject_title || "—",
+                subject_type: s.subject_type || "",
+                units: s.units ?? null,
+                q1: l.record?.q1_grade ?? null,
+                q2: l.record?.q2_grade ?? null,
+                final,
+                remarks: l.record?.remarks || (l.record ? gradeRemarks(final) : ""),
+              };
+            })
+            .sort((a, b) => String(a.subject_type).localeCompare(String(b.subject_type)) || a.subject_title.localeCompare(b.subject_title));
+          return { term: t, subjects: subjectLines, average: average(subjectLines.map((x) => x.final)) };
+        })
+        .filter((t) => t.subjects.length);
+
+      const gradeLevel = sec?.grade_levels?.grade_level ?? gradeLevelById.get(y.grade_id) ?? null;
+      return {
+        sy: syById.get(syId) || { sy_id: syId, sy_code: "—" },
+        grade_level: gradeLevel,
+        section_name: sec?.section_name || "",
+        track_code: sec?.tracks?.track_code || "",
+        strand_code: sec?.strands?.strand_code || "",
+        is_graduate: !!y.is_graduate,
+        terms: termsOut,
+        average: average(termsOut.flatMap((t) => t.subjects.map((x) => x.final))),
+      };
+    })
+    .sort((a, b) => String(a.sy.start_date || a.sy.sy_code).localeCompare(String(b.sy.start_date || b.sy.sy_code)));
+
+  const enr = enrollments.find((e) => !e.is_archived) || enrollments[0] || null;
+
+  return {
+    student: {
+      id: student.id,
+      student_number: student.student_number || "",
+      name: [`${clean(student.last_name)},`, clean(student.first_name), clean(student.extension), clean(student.middle_initial)].filter(Boolean).join(" "),
+      lrn: clean(enr?.st_lrn),
+      sex: clean(student.gender || enr?.st_gender),
+      birthdate: enr?.st_bdate || "",
+      birthplace: clean(enr?.st_bplace),
+      address: clean(enr?.st_current_address),
+      previous_school: clean(enr?.st_previous_school),
+      parents: [clean(enr?.st_father_name), clean(enr?.st_mother_name)].filter(Boolean).join(" / ") || clean(enr?.st_guardian_name),
+    },
+    years: out,
+  };
+}
+
+/* ===================== Issue / verify ===================== */
+
+// One line per graded subject; hashed so a verifier can tell the registered copy apart from an edited one.
+function contentLines(transcript) {
+  return transcript.years.flatMap((y) =>
+    y.terms.flatMap((t) => t.subjects.map((s) => [y.sy.sy_code, t.term.term_code, s.subject_code || s.subject_title, s.final ?? ""].join("|")))
+  );
+}
+
+async function sha256(text) {
+  const buf = await crypto.subtle.digest("SHA-256", new TextEncoder().encode(text));
+  return Array.from(new Uint8Array(buf))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/** Registers the transcript and returns { document_id, issued_at, content_hash }. */
+export async function issueTranscript(transcript) {
+  const content_hash = await sha256(contentLines(transcript).join("\n"));
+  const summary = {
+    lrn: transcript.student.lrn || null,
+    years: transcript.years.map((y) => ({
+      sy_code: y.sy.sy_code,
+      grade_level: y.grade_level,
+      section_name: y.section_name,
+      average: y.average,
+    })),
+  };
+
+  const { data, error } = await supabase
+    .from("issued_documents")
+    .insert({
+      kind: "form137",
+      student_id: transcript.student.id,
+      student_name: transcript.student.name,
+      student_number: transcript.student.student_number || null,
+      summary,
+      content_hash,
+    })
+    .select("document_id, issued_at, content_hash")
+    .single();
+  if (error) throw error;
+  return data;
+}
+
+/** Public lookup; null when the ID is unknown. */
+export async function verifyDocument(documentId) {
+  const { data, error } = await supabase.rpc("verify_issued_document", { p_document_id: clean(documentId) });
+  if (error) throw error;
+  return data || null;
+}
+
+export function verifyUrl(documentId) {
+  const origin = typeof window !== "undefined" ? window.location.origin : "";
+  return `${origin}${VERIFY_PATH}?id=${encodeURIComponent(documentId)}`;
+}
+
+/* ===================== PDF ===================== */
+
+function formatDate(v) {
+  if (!v) return "—";
+  const d = new Date(v);
+  if (Number.isNaN(d.getTime())) return String(v);
+  return d.toLocaleDateString(undefined, { year: "numeric", month: "long", day: "numeric" });
+}
+
+const fmt = (n) => (n == null ? "" : String(n));
+
+export function buildTranscriptPdf({ transcript, document, registrar }) {
+  const doc = new jsPDF({ unit: "pt", format: "a4" });
+  const left = 40;
+  const pageW = doc.internal.pageSize.getWidth();
+  const pageH = doc.internal.pageSize.getHeight();
+  const st = transcript.student;
+  const url = verifyUrl(document.document_id);
+
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(14);
+  doc.text(SCHOOL.name.toUpperCase(), pageW / 2, 44, { align: "center" });
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(9);
+  const sub = [SCHOOL.schoolId ? `School ID ${SCHOOL.schoolId}` : null, SCHOOL.division, SCHOOL.region].filter(Boolean).join(" · ");
+  if (sub) doc.text(sub, pageW / 2, 57, { align: "center" });
+  doc.setFont("helvetica", "bold");
+  doc.setFontSize(12);
+  doc.text("LEARNER'S PERMANENT ACADEMIC RECORD (FORM 137)", pageW / 2, 76, { align: "center" });
+
+  doc.setFontSize(8);
+  doc.setFont("helvetica", "normal");
+  doc.text(`Document ID: ${document.document_id}`, pageW - left, 92, { align: "right" });
+
+  autoTable(doc, {
+    startY: 100,
+    body: [
+      ["Name", st.name || "—", "LRN", st.lrn || "—"],
+      ["Student No.", st.student_number || "—", "Sex", st.sex || "—"],
+      ["Date of Birth", formatDate(st.birthdate), "Place of Birth", st.birthplace || "—"],
+      ["Address", st.address || "—", "Parent/Guardian", st.parents || "—"],
+      ["Previous School", st.previous_school || "—", "", ""],
+    ],
+    theme: "plain",
+    styles: { font: "helvetica", fontSize: 8, cellPadding: 2 },
+    columnStyles: { 0: { fontStyle: "bold", cellWidth: 80 }, 2: { fontStyle: "bold", cellWidth: 85 } },
+    margin: { left, right: left },
+  });
+
+  let y = doc.lastAutoTable.finalY + 10;
+
+  if (!transcript.years.length) {
+    doc.setFontSize(9);
+    doc.text("No school year records found.", left, y + 10);
+    y += 20;
+  }
+
+  for (const yr of transcript.years) {
+    const heading = [
+      `School Year ${yr.sy.sy_code}`,
+      yr.grade_level ? `Grade ${yr.grade_level}` : null,
+      [yr.track_code, yr.strand_code].filter(Boolean).join(" / ") || null,
+      yr.section_name ? `Section ${yr.section_name}` : null,
+      yr.is_graduate ? "Graduated" : null,
+    ]
+      .filter(Boolean)
+      .join("  ·  ");
+
+    if (y > pageH - 120) {
+      doc.addPage();
+      y = 48;
+    }
+    doc.setFont("helvetica", "bold");
+    doc.setFontSize(9);
+    doc.text(heading, left, y + 8);
+    y += 12;
+
+    for (const t of yr.terms) {
+      autoTable(doc, {
+        startY: y,
+        head: [[`${t.term.description || t.term.term_code}`, "Subject", "Q1", "Q2", "Final", "Remarks"]],
+        body: [
+          ...t.subjects.map((s) => [s.subject_code || "", s.subject_title, fmt(s.q1), fmt(s.q2), fmt(s.final), s.remarks || ""]),
+          [{ content: "General Average for the Semester", colSpan: 4, styles: { fontStyle: "bold", halign: "right" } }, fmt(t.average), ""],
+        ],
+        theme: "grid",
+        styles: { font: "helvetica", fontSize: 7.5, cellPadding: 3, lineWidth: 0.3 },
+        headStyles: { fontStyle: "bold", fillColor: [240, 240, 240], textColor: 20 },
+        columnStyles: { 0: { cellWidth: 80 }, 2: { cellWidth: 32, halign: "center" }, 3: { cellWidth: 32, halign: "center" }, 4: { cellWidth: 38, halign: "center" }, 5: { cellWidth: 60 } },
+        margin: { left, right: left, bottom: 60 },
+      });
+      y = doc.lastAutoTable.finalY + 8;
+    }
+
+    if (!yr.terms.length) {
+      doc.setFont("helvetica", "normal");
+      doc.setFontSize(8);
+      doc.text("No subjects or grades on record for this school year.", left, y + 6);
+      y += 14;
+    }
+    y += 6;
+  }
+
+  // Certification + registrar signature block
+  if (y > pageH - 150) {
+    doc.addPage();
+    y = 48;
+  }
+  doc.setFont("helvetica", "normal");
+  doc.setFontSize(8.5);
+  doc.text(
+    doc.splitTextToSize(
+      `I certify that this is a true record of ${st.name || "the learner"} as shown in the files of this school, issued on ${formatDate(document.issued_at)}.`,
+      pageW - left * 2
+    ),
+    left,
+    y + 14
+  );
+
+  const sigY = y + 70;
+  doc.line(pageW - left - 200, sigY, pageW - left, sigY);
+  doc.setFont("helvetica", "bold");
+  doc.text(registrar || "", pageW - left - 100, sigY - 4, { align: "center" });
+  doc.setFont("helvetica", "normal");
+  doc.text("School Registrar", pageW - left - 100, sigY + 11, { align: "center" });
+  doc.text("Not valid without the school seal.", left, sigY + 11);
+
+  const pages = doc.getNumberOfPages();
+  for (let p = 1; p <= pages; p += 1) {
+    doc.setPage(p);
+    doc.setFontSize(7);
+    doc.setFont("helvetica", "normal");
+    doc.text(`Document ID ${document.document_id} · Verify at ${url}`, left, pageH - 22);
+    doc.text(`SHA-256 ${String(document.content_hash || "").slice(0, 16)}… · Page ${p} of ${pages}`, pageW - left, pageH - 22, { align: "right" });
+  }
+
+  return doc;
+}
+
+export function transcriptFileName(transcript, document) {
+  const who = (transcript.student.student_number || transcript.student.name || "student").replace(/[^\w-]+/g, "_");
+  return `Form137_${who}_${document.document_id}.pdf`;
+}
@@ -0,0 +1,14 @@
+// Field rules shared by PreEnroll (public form) and the admin enrollment import.
+
+export function onlyDigits(v) {
+  return String(v || "").replace(/[^0-9]/g, "");
+}
+
+export function isEmail(v) {
+  return /^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(String(v || "").trim());
+}
+
+// DepEd Learner Reference Number: 12 digits (dashes/spaces ignored).
+export function isLRN(v) {
+  return onlyDigits(v).length === 12;
+}
@@ -0,0 +1,117 @@
+// supabase/functions/admin-reset-user-password/index.ts
+// Staff reset of another account's password (dev Admin Management).
+//
+//   POST { user_id } with Authorization: Bearer <jwt>   -> { ok, user_id, tempPassword }
+//
+// The caller must be admin, super_admin or dev and their session must have passed the TOTP
+// step (public.is_staff_aal2, checked with the caller's own JWT), so a stolen password alone
+// cannot reset anyone. Admins cannot reset super_admin or dev accounts. The target gets a
+// temporary password and is flagged must_change_password.
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/** ---------------- CORS ---------------- */
+function buildCorsHeaders(req: Request): Record<string, string> {
+  const origin = req.headers.get("origin") ?? "*";
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
+  };
+}
+
+function json(req: Request, data: unknown, status = 200): Response {
+  const cors = buildCorsHeaders(req);
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+/** ---------------- Helpers ---------------- */
+// No look-alike characters (0/O, 1/l/I).
+const ALPHABET = "ABCDEFGHJKLMNPQRSTUVWXYZabcdefghijkmnpqrstuvwxyz23456789";
+
+function tempPassword(length = 12): string {
+  const bytes = crypto.getRandomValues(new Uint8Array(length));
+  return Array.from(bytes, (b) => ALPHABET[b % ALPHABET.length]).join("");
+}
+
+/** ---------------- Handler ---------------- */
+serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { status: 200, headers: buildCorsHeaders(req) });
+  if (req.method !== "POST") return json(req, { ok: false, error: "Method not allowed" }, 405);
+
+  try {
+    const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+    const supabaseAnonKey = Deno.env.get("SUPABASE_ANON_KEY")!;
+    const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+
+    const authHeader = req.headers.get("Authorization");
+    if (!authHeader?.startsWith("Bearer ")) return json(req, { ok: false, error: "Missing authorization header" }, 401);
+
+    const caller = createClient(supabaseUrl, supabaseAnonKey, {
+      global: { headers: { Authorization: authHeader } },
+    });
+    const { data: who, error: whoErr } = await caller.auth.getUser();
+    if (whoErr || !who?.user) return json(req, { ok: false, error: "Not authenticated" }, 401);
+
+    const { data: aal2, error: aalErr } = await caller.rpc("is_staff_aal2");
+    if (aalErr) return json(req, { ok: false, error: aalErr.message }, 500);
+    if (aal2 !== true) {
+      return json(req, { ok: false, error: "Verify your own authenticator code first." }, 403);
+    }
+
+    const body = await req.json().catch(() => ({}));
+    const userId = String(body?.user_id ?? "").trim();
+    if (!userId) return json(req, { ok: false, error: "user_id is required." }, 400);
+    if (userId === who.user.id) {
+      return json(req, { ok: false, error: "Use Change Password for your own account." }, 400);
+    }
+
+    const admin = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } });
+
+    const { data: profiles, error: profErr } = await admin
+      .from("profiles")
+      .select("user_id, role")
+      .in("user_id", [who.user.id, userId]);
+    if (profErr) return json(req, { ok: false, error: profErr.message }, 500);
+
+    const roleOf = (id: string) =>
+      String(profiles?.find((p: { user_id: string }) => p.user_id === id)?.role ?? "").toLowerCase();
+    const callerRole = roleOf(who.user.id);
+    const targetRole = roleOf(userId);
+
+    if (!["admin", "super_admin", "dev"].includes(callerRole)) {
+      return json(req, { ok: false, error: "Not allowed." }, 403);
+    }
+    if (!targetRole) return json(req, { ok: false, error: "Account not found." }, 404);
+    if (callerRole === "admin" && ["super_admin", "dev"].includes(targetRole)) {
+      return json(req, { ok: false, error: "Only a super admin or dev can reset this account." }, 403);
+    }
+
+    const password = tempPassword();
+    const { error: updErr } = await admin.auth.admin.updateUserById(userId, { password });
+    if (updErr) return json(req, { ok: false, error: updErr.message }, 500);
+
+    const { error: flagErr } = await admin
+      .from("profiles")
+      .update({ must_change_password: true })
+      .eq("user_id", userId);
+    if (flagErr) return json(req, { ok: false, error: flagErr.message }, 500);
+
+    await admin.from("activity_logs").insert({
+      actor_user_id: who.user.id,
+      action: "password_reset",
+      entity_type: "auth_user",
+      message: "Reset another account's password",
+      metadata: { user_id: userId, role: targetRole, result: "success" },
+    });
+
+    return json(req, { ok: true, user_id: userId, tempPassword: password }, 200);
+  } catch (e) {
+    return json(req, { ok: false, error: (e as Error)?.message || String(e) }, 500);
+  }
+});
@@ -0,0 +1,650 @@
+// supabase/functions/calendar-feed/index.ts
+// iCalendar (.ics) for a user's class schedule + the school calendar.
+//
+//   GET  ?token=<calendar_feed_tokens.token>[&scope=calendar][&term=2nd Sem]  -> subscription feed (no JWT)
+//   POST { scope?, term? } with Authorization: Bearer <jwt>                  -> one-off download
+//
+// Weekly classes are one VEVENT per section_schedules row with an RRULE over the active school year.
+// Holidays / suspensions (calendar_events.class_effect, see lib/classCalendar.js) become EXDATEs,
+// and shifted classes become single make-up VEVENTs.
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/** ---------------- CORS ---------------- */
+function buildCorsHeaders(req: Request): Record<string, string> {
+  const origin = req.headers.get("origin") ?? "*";
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "GET, POST, OPTIONS",
+    "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
+  };
+}
+
+function json(req: Request, data: unknown, status = 200): Response {
+  const cors = buildCorsHeaders(req);
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+/** ---------------- Types ---------------- */
+type Scope = "all" | "calendar";
+
+type ScheduleRow = {
+  schedule_id: string;
+  day_of_week: string;
+  start_time: string;
+  end_time: string;
+  room: string | null;
+  subjects: { subject_code: string | null; subject_title: string | null } | null;
+  sections: { section_name: string | null } | null;
+  teachers: { first_name: string | null; last_name: string | null } | null;
+};
+
+type CalendarEvent = {
+  id: string;
+  title: string;
+  description: string | null;
+  type: string;
+  start_date: string;
+  end_date: string | null;
+  all_day: boolean | null;
+  start_time: string | null;
+  end_time: string | null;
+  location: string | null;
+  recurring: boolean | null;
+  repeat_pattern: string | null;
+  repeat_until: string | null;
+  class_effect: string | null;
+  makeup_date: string | null;
+  audiences: string[] | null;
+  updated_at: string | null;
+};
+
+type EventException = {
+  event_id: string;
+  occurrence_date: string;
+  is_skipped: boolean;
+  changes: Record<string, unknown> | null;
+};
+
+type TermWindow = {
+  term_id: string;
+  term_code: string;
+  start_date: string | null;
+  end_date: string | null;
+};
+
+type NoClassEntry = {
+  window: { start: string; end: string } | null;
+  makeup_date: string | null;
+};
+
+/** ---------------- Constants ---------------- */
+const TZID = "Asia/Manila"; // UTC+8 all year (no DST)
+const UID_DOMAIN = "grabsum-portal";
+const DEFAULT_TERM = "1st Sem"; // only when the year has no active term (see school_year_terms)
+
+const DAY_CODES = ["Sun", "Mon", "Tue", "Wed", "Thu", "Fri", "Sat"];
+const BYDAY: Record<string, string> = { Sun: "SU", Mon: "MO", Tue: "TU", Wed: "WE", Thu: "TH", Fri: "FR", Sat: "SA" };
+const FREQ: Record<string, string> = { Daily: "DAILY", Weekly: "WEEKLY", Monthly: "MONTHLY", Yearly: "YEARLY" };
+
+const NO_CLASS_TYPES = ["Holiday", "Class Suspension"];
+// calendar_events.audiences values each role sees (same rule as the dashboards); staff see every event
+const ROLE_AUDIENCES: Record<string, string[]> = {
+  teacher: ["All", "Teachers", "All Teachers"],
+  student: ["All", "Students", "All Students"],
+};
+// Staff see every school event, whatever its audience.
+const STAFF_ROLES = ["admin", "super_admin", "dev"];
+const OVERRIDABLE_FIELDS = ["title", "description", "start_date", "end_date", "all_day", "start_time", "end_time", "location"];
+
+/** ---------------- Date helpers (ISO "YYYY-MM-DD", timezone-free) ---------------- */
+function isoToUtc(iso: string): Date {
+  const [y, m, d] = iso.slice(0, 10).split("-").map(Number);
+  return new Date(Date.UTC(y, m - 1, d));
+}
+
+function utcToIso(d: Date): string {
+  return d.toISOString().slice(0, 10);
+}
+
+function addDaysISO(iso: string, days: number): string {
+  const d = isoToUtc(iso);
+  d.setUTCDate(d.getUTCDate() + days);
+  return utcToIso(d);
+}
+
+function daysBetween(fromISO: string, toISO: string): number {
+  return Math.round((isoToUtc(toISO).getTime() - isoToUtc(fromISO).getTime()) / 86400000);
+}
+
+function weekdayCode(iso: string): string {
+  return DAY_CODES[isoToUtc(iso).getUTCDay()];
+}
+
+const hhmm = (t: string | null | undefined) => (t ? String(t).slice(0, 5) : "");
+
+/** ---------------- Recurrence (mirrors src/lib/recurrence.js) ---------------- */
+function nthOccurrence(startISO: string, pattern: string, n: number): string | null {
+  const s = isoToUtc(startISO);
+  if (pattern === "Daily") return addDaysISO(startISO, n);
+  if (pattern === "Weekly") return addDaysISO(startISO, n * 7);
+  if (pattern === "Monthly") {
+    const d = new Date(Date.UTC(s.getUTCFullYear(), s.getUTCMonth() + n, s.getUTCDate()));
+    return d.getUTCDate() === s.getUTCDate() ? utcToIso(d) : null;
+  }
+  if (pattern === "Yearly") {
+    const d = new Date(Date.UTC(s.getUTCFullYear() + n, s.getUTCMonth(), s.getUTCDate()));
+    return d.getUTCMonth() === s.getUTCMonth() ? utcToIso(d) : null;
+  }
+  return n === 0 ? startISO : null;
+}
+
+function occurrenceDates(ev: CalendarEvent, toISO: string): string[] {
+  if (!ev.recurring || !ev.repeat_pattern || !FREQ[ev.repeat_pattern]) return [ev.start_date];
+
+  const until = ev.repeat_until && ev.repeat_until < toISO ? ev.repeat_until : toISO;
+  const out: string[] = [];
+  for (let n = 0; n < 1000; n += 1) {
+    const occ = nthOccurrence(ev.start_date, ev.repeat_pattern, n);
+    if (occ == null) continue;
+    if (occ > until) break;
+    out.push(occ);
+  }
+  return out;
+}
+
+function classEffect(ev: CalendarEvent): string {
+  if (ev.class_effect === "Cancel" || ev.class_effect === "Shift" || ev.class_effect === "None") return ev.class_effect;
+  return NO_CLASS_TYPES.includes(ev.type) ? "Cancel" : "None";
+}
+
+/** Events addressed to the role; unknown roles get none. */
+function visibleToRole(ev: CalendarEvent, role: string): boolean {
+  if (STAFF_ROLES.includes(role)) return true;
+  const allowed = ROLE_AUDIENCES[role];
+  if (!allowed) return false;
+  const audiences = ev.audiences?.length ? ev.audiences : ["All"];
+  return audiences.some((a) => allowed.includes(a));
+}
+
+/** Days whose classes are cancelled or shifted (mirrors buildNoClassDays in src/lib/classCalendar.js). */
+function buildNoClassDays(events: CalendarEvent[], exceptions: EventException[], toISO: string) {
+  const exMap = new Map(exceptions.map((x) => [`${x.event_id}:${x.occurrence_date}`, x]));
+  const map = new Map<string, NoClassEntry[]>();
+
+  for (const ev of events) {
+    const effect = classEffect(ev);
+    if (effect === "None") continue;
+
+    const span = ev.end_date ? Math.max(0, daysBetween(ev.start_date, ev.end_date)) : 0;
+    const makeupOffset = effect === "Shift" && ev.makeup_date ? daysBetween(ev.start_date, ev.makeup_date) : null;
+
+    for (const occDate of occurrenceDates(ev, toISO)) {
+      const ex = exMap.get(`${ev.id}:${occDate}`);
+      if (ex?.is_skipped) continue;
+
+      const occ = { ...ev, ...pickOverrides(ex), start_date: occDate } as CalendarEvent;
+      if (ex?.changes?.start_date) occ.start_date = String(ex.changes.start_date);
+      const last = ex?.changes?.end_date ? String(ex.changes.end_date) : addDaysISO(occ.start_date, span);
+
+      const window = !occ.all_day && occ.start_time && occ.end_time
+        ? { start: hhmm(occ.start_time), end: hhmm(occ.end_time) }
+        : null;
+
+      for (let iso = occ.start_date; iso <= last; iso = addDaysISO(iso, 1)) {
+        const entry = { window, makeup_date: makeupOffset == null ? null : addDaysISO(iso, makeupOffset) };
+        if (!map.has(iso)) map.set(iso, []);
+        map.get(iso)!.push(entry);
+      }
+    }
+  }
+
+  return map;
+}
+
+function pickOverrides(ex: EventException | undefined): Record<string, unknown> {
+  const out: Record<string, unknown> = {};
+  for (const k of OVERRIDABLE_FIELDS) {
+    if (ex?.changes && Object.prototype.hasOwnProperty.call(ex.changes, k)) out[k] = ex.changes[k];
+  }
+  return out;
+}
+
+function slotSuspension(noClassDays: Map<string, NoClassEntry[]>, iso: string, row: ScheduleRow) {
+  for (const entry of noClassDays.get(iso) ?? []) {
+    if (!entry.window) return entry;
+    if (hhmm(row.start_time) < entry.window.end && hhmm(row.end_time) > entry.window.start) return entry;
+  }
+  return null;
+}
+
+/** ---------------- iCalendar writer ---------------- */
+function esc(s: unknown): string {
+  return String(s ?? "")
+    .replace(/\\/g, "\\\\")
+    .replace(/;/g, "\\;")
+    .replace(/,/g, "\\,")
+    .replace(/\r?\n/g, "\\n");
+}
+
+// RFC 5545: lines longer than 75 octets are folded with CRLF + space.
+function fold(line: string): string {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+
+  const parts: string[] = [];
+  let cur = "";
+  let curLen = 0;
+  for (const ch of line) {
+    const len = new TextEncoder().encode(ch).length;
+    if (curLen + len > (parts.length ? 74 : 75)) {
+      parts.push(cur);
+      cur = "";
+      curLen = 0;
+    }
+    cur += ch;
+    curLen += len;
+  }
+  parts.push(cur);
+  return parts.join("\r\n ");
+}
+
+const icsDate = (iso: string) => iso.slice(0, 10).replace(/-/g, "");
+const icsLocal = (iso: string, time: string) => `${icsDate(iso)}T${hhmm(time).replace(":", "")}00`;
+// End of that day in Manila, as UTC (RRULE UNTIL must be UTC when DTSTART has a TZID).
+const icsUntilUtc = (iso: string) => `${icsDate(iso)}T155959Z`;
+const icsStamp = (d: Date) => d.toISOString().replace(/[-:]/g, "").replace(/\.\d{3}/, "");
+
+function vevent(lines: string[]): string[] {
+  return ["BEGIN:VEVENT", ...lines, "END:VEVENT"];
+}
+
+function timezoneBlock(): string[] {
+  return [
+    "BEGIN:VTIMEZONE",
+    `TZID:${TZID}`,
+    "BEGIN:STANDARD",
+    "DTSTART:19700101T000000",
+    "TZOFFSETFROM:+0800",
+    "TZOFFSETTO:+0800",
+    "TZNAME:PST",
+    "END:STANDARD",
+    "END:VTIMEZONE",
+  ];
+}
+
+function firstOnOrAfter(fromISO: string, dow: string): string {
+  let iso = fromISO;
+  for (let i = 0; i < 7 && weekdayCode(iso) !== dow; i += 1) iso = addDaysISO(iso, 1);
+  return iso;
+}
+
+function scheduleEvents(
+  rows: ScheduleRow[],
+  role: string,
+  fromISO: string,
+  toISO: string,
+  noClassDays: Map<string, NoClassEntry[]>,
+  stamp: string,
+): string[] {
+  const out: string[] = [];
+
+  const summaryOf = (r: ScheduleRow) => {
+    const code = r.subjects?.subject_code ?? "Class";
+    return role === "teacher"
+      ? `${code} • ${r.sections?.section_name ?? "Section"}`
+      : `${code} • ${r.subjects?.subject_title ?? ""}`.replace(/ • $/, "");
+  };
+  const descriptionOf = (r: ScheduleRow) => {
+    const lines = [r.subjects?.subject_title ?? ""];
+    if (role !== "teacher" && r.teachers) lines.push(`Teacher: ${`${r.teachers.first_name ?? ""} ${r.teachers.last_name ?? ""}`.trim()}`);
+    return lines.filter(Boolean).join("\n");
+  };
+
+  for (const r of rows) {
+    if (!BYDAY[r.day_of_week] || !r.start_time || !r.end_time) continue;
+
+    const first = firstOnOrAfter(fromISO, r.day_of_week);
+    if (first > toISO) continue;
+
+    const exdates: string[] = [];
+    for (let iso = first; iso <= toISO; iso = addDaysISO(iso, 7)) {
+      if (slotSuspension(noClassDays, iso, r)) exdates.push(icsLocal(iso, r.start_time));
+    }
+
+    const lines = [
+      `UID:${r.schedule_id}@${UID_DOMAIN}`,
+      `DTSTAMP:${stamp}`,
+      `DTSTART;TZID=${TZID}:${icsLocal(first, r.start_time)}`,
+      `DTEND;TZID=${TZID}:${icsLocal(first, r.end_time)}`,
+      `RRULE:FREQ=WEEKLY;BYDAY=${BYDAY[r.day_of_week]};UNTIL=${icsUntilUtc(toISO)}`,
+      `SUMMARY:${esc(summaryOf(r))}`,
+      `DESCRIPTION:${esc(descriptionOf(r))}`,
+    ];
+    if (r.room) lines.push(`LOCATION:${esc(r.room)}`);
+    if (exdates.length) lines.push(`EXDATE;TZID=${TZID}:${exdates.join(",")}`);
+    out.push(...vevent(lines));
+  }
+
+  // Make-up classes for shifted days.
+  for (const [from, entries] of noClassDays) {
+    for (const entry of entries) {
+      if (!entry.makeup_date || entry.makeup_date < fromISO || entry.makeup_date > toISO) continue;
+      for (const r of rows) {
+        if (r.day_of_week !== weekdayCode(from) || slotSuspension(noClassDays, from, r) !== entry) continue;
+        out.push(...vevent([
+          `UID:${r.schedule_id}-makeup-${icsDate(entry.makeup_date)}@${UID_DOMAIN}`,
+          `DTSTAMP:${stamp}`,
+          `DTSTART;TZID=${TZID}:${icsLocal(entry.makeup_date, r.start_time)}`,
+          `DTEND;TZID=${TZID}:${icsLocal(entry.makeup_date, r.end_time)}`,
+          `SUMMARY:${esc(`${summaryOf(r)} (make-up)`)}`,
+          `DESCRIPTION:${esc(`Make-up for ${from}\n${descriptionOf(r)}`)}`,
+          ...(r.room ? [`LOCATION:${esc(r.room)}`] : []),
+        ]));
+      }
+    }
+  }
+
+  return out;
+}
+
+function eventTimes(ev: Pick<CalendarEvent, "start_date" | "end_date" | "all_day" | "start_time" | "end_time">): string[] {
+  const timed = !ev.all_day && ev.start_time;
+  if (!timed) {
+    return [
+      `DTSTART;VALUE=DATE:${icsDate(ev.start_date)}`,
+      `DTEND;VALUE=DATE:${icsDate(addDaysISO(ev.end_date || ev.start_date, 1))}`,
+    ];
+  }
+  return [
+    `DTSTART;TZID=${TZID}:${icsLocal(ev.start_date, ev.start_time!)}`,
+    `DTEND;TZID=${TZID}:${icsLocal(ev.end_date || ev.start_date, ev.end_time || ev.start_time!)}`,
+  ];
+}
+
+// RECURRENCE-ID / EXDATE must use the same value type as the series DTSTART.
+function originalStart(ev: CalendarEvent, occDate: string): string {
+  return !ev.all_day && ev.start_time ? `;TZID=${TZID}:${icsLocal(occDate, ev.start_time)}` : `;VALUE=DATE:${icsDate(occDate)}`;
+}
+
+function calendarEvents(events: CalendarEvent[], exceptions: EventException[], stamp: string): string[] {
+  const out: string[] = [];
+
+  for (const ev of events) {
+    const uid = `${ev.id}@${UID_DOMAIN}`;
+    const lines = [
+      `UID:${uid}`,
+      `DTSTAMP:${stamp}`,
+      ...eventTimes(ev),
+      `SUMMARY:${esc(ev.title)}`,
+      `CATEGORIES:${esc(ev.type)}`,
+    ];
+    if (ev.description) lines.push(`DESCRIPTION:${esc(ev.description)}`);
+    if (ev.location) lines.push(`LOCATION:${esc(ev.location)}`);
+
+    const recurs = ev.recurring && ev.repeat_pattern && FREQ[ev.repeat_pattern];
+    const ownExceptions = recurs ? exceptions.filter((x) => x.event_id === ev.id) : [];
+
+    if (recurs) {
+      const until = ev.repeat_until
+        ? !ev.all_day && ev.start_time ? icsUntilUtc(ev.repeat_until) : icsDate(ev.repeat_until)
+        : "";
+      lines.push(`RRULE:FREQ=${FREQ[ev.repeat_pattern!]}${until ? `;UNTIL=${until}` : ""}`);
+
+      const skipped = ownExceptions.filter((x) => x.is_skipped);
+      for (const x of skipped) lines.push(`EXDATE${originalStart(ev, x.occurrence_date)}`);
+    }
+    out.push(...vevent(lines));
+
+    // Edited single occurrences override the series instance via RECURRENCE-ID.
+    for (const x of ownExceptions.filter((e) => !e.is_skipped)) {
+      const span = ev.end_date ? Math.max(0, daysBetween(ev.start_date, ev.end_date)) : 0;
+      const base = { ...ev, start_date: x.occurrence_date, end_date: span ? addDaysISO(x.occurrence_date, span) : null };
+      const occ = { ...base, ...pickOverrides(x) } as CalendarEvent;
+
+      const occLines = [
+        `UID:${uid}`,
+        `DTSTAMP:${stamp}`,
+        `RECURRENCE-ID${originalStart(ev, x.occurrence_date)}`,
+        ...eventTimes(occ),
+        `SUMMARY:${esc(occ.title)}`,
+        `CATEGORIES:${esc(ev.type)}`,
+      ];
+      if (occ.description) occLines.push(`DESCRIPTION:${esc(occ.description)}`);
+      if (occ.location) occLines.push(`LOCATION:${esc(occ.location)}`);
+      out.push(...vevent(occLines));
+    }
+  }
+
+  return out;
+}
+
+/** ---------------- Data ---------------- */
+/** Requested term, else the year's active term, else DEFAULT_TERM — with its dates in that year. */
+async function resolveTerm(admin: SupabaseClient, syId: string, termCode: string): Promise<TermWindow | null> {
+  const [{ data: terms, error: tErr }, { data: syTerms, error: stErr }] = await Promise.all([
+    admin.from("terms").select("term_id, term_code"),
+    admin.from("school_year_terms").select("term_id, start_date, end_date, is_active").eq("sy_id", syId),
+  ]);
+  if (tErr) throw tErr;
+  if (stErr) throw stErr;
+
+  const active = (syTerms ?? []).find((r) => r.is_active);
+  const term =
+    (termCode && (terms ?? []).find((t) => t.term_code === termCode)) ||
+    (active && (terms ?? []).find((t) => t.term_id === active.term_id)) ||
+    (terms ?? []).find((t) => t.term_code === DEFAULT_TERM);
+  if (!term) return null;
+
+  const dates = (syTerms ?? []).find((r) => r.term_id === term.term_id);
+  return {
+    term_id: term.term_id,
+    term_code: term.term_code,
+    start_date: dates?.start_date ?? null,
+    end_date: dates?.end_date ?? null,
+  };
+}
+
+async function loadScheduleRows(admin: SupabaseClient, userId: string, role: string, syId: string, termId: string) {
+  let q = admin
+    .from("section_schedules")
+    .select(`
+      schedule_id, day_of_week, start_time, end_time, room,
+      subjects:subject_id ( subject_code, subject_title ),
+      sections:section_id ( section_name ),
+      teachers:teacher_id ( first_name, last_name )
+    `)
+    .eq("sy_id", syId)
+    .eq("term_id", termId);
+
+  if (role === "teacher") {
+    q = q.eq("teacher_id", userId);
+  } else if (role === "student") {
+    const { data: stu, error: stuErr } = await admin
+      .from("students")
+      .select("section_id")
+      .eq("user_id", userId)
+      .limit(1)
+      .maybeSingle();
+    if (stuErr) throw stuErr;
+    if (!stu?.section_id) return [];
+    q = q.eq("section_id", stu.section_id);
+  } else {
+    return [];
+  }
+
+  const { data, error } = await q;
+  if (error) throw error;
+  return (data ?? []) as unknown as ScheduleRow[];
+}
+
+async function loadCalendar(admin: SupabaseClient, fromISO: string, toISO: string) {
+  const { data: events, error } = await admin
+    .from("calendar_events")
+    .select(
+      "id, title, description, type, start_date, end_date, all_day, start_time, end_time, location, recurring, repeat_pattern, repeat_until, class_effect, makeup_date, audiences, updated_at",
+    )
+    .eq("is_deleted", false)
+    .lte("start_date", toISO)
+    .or(`end_date.gte.${fromISO},and(end_date.is.null,start_date.gte.${fromISO}),and(recurring.eq.true,repeat_until.gte.${fromISO}),and(recurring.eq.true,repeat_until.is.null)`)
+    .order("start_date", { ascending: true });
+  if (error) throw error;
+
+  const list = (events ?? []) as CalendarEvent[];
+  const recurringIds = list.filter((e) => e.recurring).map((e) => e.id);
+
+  let exceptions: EventException[] = [];
+  if (recurringIds.length) {
+    const { data, error: exErr } = await admin
+      .from("calendar_event_exceptions")
+      .select("event_id, occurrence_date, is_skipped, changes")
+      .in("event_id", recurringIds);
+    if (exErr) throw exErr;
+    exceptions = (data ?? []) as EventException[];
+  }
+
+  return { events: list, exceptions };
+}
+
+async function buildFeed(
+  admin: SupabaseClient,
+  userId: string,
+  role: string,
+  scope: Scope,
+  termCode: string,
+): Promise<string> {
+  const { data: sy, error: syErr } = await admin
+    .from("school_years")
+    .select("sy_id, sy_code, start_date, end_date")
+    .eq("status", "Active")
+    .order("start_date", { ascending: false })
+    .limit(1)
+    .maybeSingle();
+  if (syErr) throw syErr;
+
+  const today = utcToIso(new Date());
+  const fromISO = sy?.start_date ?? today;
+  const toISO = sy?.end_date ?? addDaysISO(fromISO, 365);
+
+  const { events, exceptions } = await loadCalendar(admin, fromISO, toISO);
+
+  // Class meetings only repeat inside the term's dates when they are set.
+  const term = scope === "calendar" || !sy?.sy_id ? null : await resolveTerm(admin, sy.sy_id, termCode);
+  const rows = term && sy?.sy_id ? await loadScheduleRows(admin, userId, role, sy.sy_id, term.term_id) : [];
+  const classFrom = term?.start_date && term.start_date > fromISO ? term.start_date : fromISO;
+  const classTo = term?.end_date && term.end_date < toISO ? term.end_date : toISO;
+
+  const stamp = icsStamp(new Date());
+  // Holidays / suspensions cancel classes whoever the announcement was addressed to.
+  const noClassDays = buildNoClassDays(events, exceptions, toISO);
+
+  const name = rows.length || scope !== "calendar"
+    ? `Grabsum SHS Portal • ${role === "teacher" ? "Teaching" : "Class"} Schedule`
+    : "Grabsum SHS Portal • School Calendar";
+
+  const lines = [
+    "BEGIN:VCALENDAR",
+    "VERSION:2.0",
+    "PRODID:-//Grabsum SHS Portal//Schedules//EN",
+    "CALSCALE:GREGORIAN",
+    "METHOD:PUBLISH",
+    `X-WR-CALNAME:${esc(name)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    "REFRESH-INTERVAL;VALUE=DURATION:PT6H",
+    "X-PUBLISHED-TTL:PT6H",
+    ...timezoneBlock(),
+    ...scheduleEvents(rows, role, classFrom, classTo, noClassDays, stamp),
+    ...calendarEvents(
+      events.filter((e) => visibleToRole(e, role)),
+      exceptions,
+      stamp,
+    ),
+    "END:VCALENDAR",
+  ];
+
+  return lines.map(fold).join("\r\n") + "\r\n";
+}
+
+/** ---------------- Handler ---------------- */
+serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { status: 200, headers: buildCorsHeaders(req) });
+  if (req.method !== "GET" && req.method !== "POST") return json(req, { error: "Method not allowed" }, 405);
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL") ?? "";
+  const supabaseAnonKey = Deno.env.get("SUPABASE_ANON_KEY") ?? "";
+  const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY") ?? "";
+  if (!supabaseUrl || !serviceKey) return json(req, { error: "Missing Supabase env" }, 500);
+
+  const admin = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } });
+
+  try {
+    const url = new URL(req.url);
+    let userId = "";
+    let scope: Scope = url.searchParams.get("scope") === "calendar" ? "calendar" : "all";
+    let termCode = url.searchParams.get("term") || ""; // empty = the year's active term
+
+    if (req.method === "GET") {
+      // Subscription feed: token in the URL.
+      const token = url.searchParams.get("token") ?? "";
+      if (!/^[0-9a-f]{48}$/.test(token)) return new Response("Invalid feed token", { status: 401 });
+
+      const { data: row, error } = await admin
+        .from("calendar_feed_tokens")
+        .select("user_id")
+        .eq("token", token)
+        .maybeSingle();
+      if (error) throw error;
+      if (!row?.user_id) return new Response("Unknown feed token", { status: 404 });
+
+      userId = row.user_id;
+      await admin.from("calendar_feed_tokens").update({ last_used_at: new Date().toISOString() }).eq("user_id", userId);
+    } else {
+      // Download from the portal: caller JWT.
+      const authHeader = req.headers.get("Authorization");
+      if (!authHeader?.startsWith("Bearer ")) return json(req, { error: "Missing authorization header" }, 401);
+
+      const caller = createClient(supabaseUrl, supabaseAnonKey, {
+        global: { headers: { Authorization: authHeader } },
+      });
+      const { data, error } = await caller.auth.getUser();
+      if (error || !data?.user) return json(req, { error: "Not authenticated" }, 401);
+      userId = data.user.id;
+
+      const body = await req.json().catch(() => ({}));
+      if (body?.scope === "calendar") scope = "calendar";
+      if (body?.term) termCode = String(body.term);
+    }
+
+    // Archived or deactivated accounts lose their feed along with their sign-in.
+    const { data: profile, error: profErr } = await admin
+      .from("profiles")
+      .select("role, is_active, is_archived")
+      .eq("user_id", userId)
+      .maybeSingle();
+    if (profErr) throw profErr;
+    if (!profile || !profile.is_active || profile.is_archived) {
+      return req.method === "GET"
+        ? new Response("Account is inactive", { status: 403 })
+        : json(req, { error: "Account is inactive" }, 403);
+    }
+
+    const ics = await buildFeed(admin, userId, String(profile.role ?? ""), scope, termCode);
+
+    return new Response(ics, {
+      status: 200,
+      headers: {
+        ...buildCorsHeaders(req),
+        "Content-Type": "text/calendar; charset=utf-8",
+        "Content-Disposition": `attachment; filename="${scope === "calendar" ? "school-calendar" : "schedule"}.ics"`,
+        "Cache-Control": "private, max-age=300",
+      },
+    });
+  } catch (e) {
+    return json(req, { error: (e as Error)?.message || String(e) }, 500);
+  }
+});
@@ -0,0 +1,208 @@
+// supabase/functions/password-recovery/index.ts
+// Self-service "Forgot password" for students and teachers.
+//
+//   POST { kind: "student", student_number, lrn, birthdate }   -> { token_hash, role }
+//   POST { kind: "teacher", employee_number, email }            -> { sent: true, role }
+//
+// The identity details are checked against the enrollment / teacher records.
+// - Students get a one-time recovery token; the client exchanges it with
+//   auth.verifyOtp({ type: "recovery" }) and lands on its change-password page.
+// - Teacher number + email is too easy to know about someone else, so teachers are emailed a
+//   recovery link at the registered address instead. The reply is the same whether or not the
+//   details matched.
+// must_change_password is set by the recovery session itself (password_recovery_started), not
+// here. Attempts go through password_recovery_attempt / _record, a counter separate from
+// student sign-in.
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/** ---------------- CORS ---------------- */
+function buildCorsHeaders(req: Request): Record<string, string> {
+  const origin = req.headers.get("origin") ?? "*";
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
+  };
+}
+
+function json(req: Request, data: unknown, status = 200): Response {
+  const cors = buildCorsHeaders(req);
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...cors, "Content-Type": "application/json" },
+  });
+}
+
+/** ---------------- Types ---------------- */
+type Gate = { allowed: boolean; reason?: "number" | "ip"; retry_after_seconds?: number; attempt_id?: number };
+
+type Profile = {
+  user_id: string;
+  email: string | null;
+  role: string | null;
+  is_active: boolean | null;
+  is_archived: boolean | null;
+};
+
+const NO_MATCH = "The details you entered do not match our records.";
+const TEACHER_SENT = { sent: true, role: "teacher" };
+
+/** ---------------- Helpers ---------------- */
+function clientIp(req: Request): string | null {
+  // The platform appends the real client address last; earlier hops are whatever the client sent.
+  const fwd = req.headers.get("x-forwarded-for");
+  if (fwd) return fwd.split(",").pop()?.trim() || null;
+  return req.headers.get("cf-connecting-ip") || req.headers.get("x-real-ip") || null;
+}
+
+async function findStudentUser(
+  admin: SupabaseClient,
+  studentNumber: string,
+  lrn: string,
+  birthdate: string,
+): Promise<string | null> {
+  const { data: student } = await admin
+    .from("students")
+    .select("user_id")
+    .eq("student_number", studentNumber)
+    .maybeSingle();
+  if (!student?.user_id) return null;
+
+  const { data: rows } = await admin
+    .from("enrollment")
+    .select("st_lrn, st_bdate")
+    .eq("user_id", student.user_id);
+
+  const match = (rows ?? []).some(
+    (r: { st_lrn: string | null; st_bdate: string | null }) =>
+      String(r.st_lrn ?? "").trim() === lrn && String(r.st_bdate ?? "").slice(0, 10) === birthdate,
+  );
+  return match ? student.user_id : null;
+}
+
+async function findTeacherUser(admin: SupabaseClient, employeeNumber: string, email: string): Promise<string | null> {
+  const { data: teacher } = await admin
+    .from("teachers")
+    .select("user_id, email")
+    .eq("employee_number", employeeNumber)
+    .maybeSingle();
+  if (!teacher?.user_id) return null;
+  return String(teacher.email ?? "").trim().toLowerCase() === email ? teacher.user_id : null;
+}
+
+/** ---------------- Handler ---------------- */
+serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { status: 200, headers: buildCorsHeaders(req) });
+  if (req.method !== "POST") return json(req, { error: "Method not allowed" }, 405);
+
+  const body = await req.json().catch(() => ({}));
+  const kind = String(body?.kind ?? "");
+  const number = String((kind === "teacher" ? body?.employee_number : body?.student_number) ?? "")
+    .trim()
+    .toUpperCase();
+
+  if (!["student", "teacher"].includes(kind) || !number) {
+    return json(req, { error: "Choose student or teacher and enter your number." }, 400);
+  }
+
+  const lrn = String(body?.lrn ?? "").trim();
+  const birthdate = String(body?.birthdate ?? "").trim();
+  const email = String(body?.email ?? "").trim().toLowerCase();
+  if (kind === "student" && (!lrn || !/^\d{4}-\d{2}-\d{2}$/.test(birthdate))) {
+    return json(req, { error: "LRN and birthdate are required." }, 400);
+  }
+  if (kind === "teacher" && !email) {
+    return json(req, { error: "Registered email is required." }, 400);
+  }
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+  const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+  const admin = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } });
+
+  const ip = clientIp(req);
+
+  const { data: gate, error: gateErr } = await admin.rpc("password_recovery_attempt", {
+    p_kind: kind,
+    p_number: number,
+    p_ip: ip,
+  });
+  if (gateErr) return json(req, { error: gateErr.message }, 500);
+  const g = gate as Gate;
+  if (!g?.allowed) {
+    const secs = Math.max(1, g?.retry_after_seconds ?? 1);
+    return json(
+      req,
+      { error: `Too many attempts. Try again in ${Math.ceil(secs / 60)} minute(s).`, retry_after_seconds: secs },
+      429,
+    );
+  }
+
+  const settle = async (result: "success" | "failed" | "error") => {
+    const { error } = await admin.rpc("password_recovery_record", { p_attempt_id: g.attempt_id, p_result: result });
+    if (error) console.error("password_recovery_record error:", error.message);
+  };
+
+  const userId =
+    kind === "student"
+      ? await findStudentUser(admin, number, lrn, birthdate)
+      : await findTeacherUser(admin, number, email);
+
+  const { data: profile } = userId
+    ? await admin
+        .from("profiles")
+        .select("user_id, email, role, is_active, is_archived")
+        .eq("user_id", userId)
+        .maybeSingle<Profile>()
+    : { data: null };
+
+  if (!profile?.email || String(profile.role ?? "").toLowerCase() !== kind) {
+    await settle("failed");
+    return kind === "teacher" ? json(req, TEACHER_SENT, 200) : json(req, { error: NO_MATCH }, 404);
+  }
+
+  if (profile.is_archived === true || profile.is_active === false) {
+    await settle("success");
+    return kind === "teacher"
+      ? json(req, TEACHER_SENT, 200)
+      : json(req, { error: "This account is not active. Please contact the registrar." }, 403);
+  }
+
+  let reply: Record<string, unknown>;
+  if (kind === "teacher") {
+    // Sent to the address on the auth account; the link signs in and opens change-password.
+    const origin = req.headers.get("origin");
+    const { error: mailErr } = await admin.auth.resetPasswordForEmail(profile.email, {
+      redirectTo: origin ? `${origin}/teacher/change-password?recovery=1` : undefined,
+    });
+    if (mailErr) {
+      await settle("error");
+      return json(req, { error: mailErr.message || "Could not send the recovery email." }, 500);
+    }
+    reply = TEACHER_SENT;
+  } else {
+    const { data: link, error: linkErr } = await admin.auth.admin.generateLink({
+      type: "recovery",
+      email: profile.email,
+    });
+    if (linkErr || !link?.properties?.hashed_token) {
+      await settle("error");
+      return json(req, { error: linkErr?.message || "Could not start password recovery." }, 500);
+    }
+    reply = { token_hash: link.properties.hashed_token, role: kind };
+  }
+
+  await settle("success");
+
+  await admin.from("activity_logs").insert({
+    actor_user_id: profile.user_id,
+    action: "password_recovery",
+    entity_type: "password_recovery",
+    message: `Self-service password recovery (${kind} ${number})`,
+    metadata: { user_id: profile.user_id, kind, number, ip, result: "success" },
+  });
+
+  return json(req, reply, 200);
+});
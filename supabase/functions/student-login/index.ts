@@ -0,0 +1,142 @@
+// supabase/functions/student-login/index.ts
+// Throttled student-number sign-in.
+//
+//   POST { student_number, password } -> { session, user }
+//
+// Each attempt is checked and reserved with login_throttle_attempt (per student number and per
+// client IP), then the student's auth email is resolved with the service role and the password
+// is checked here with signInWithPassword; the outcome is settled with login_throttle_record.
+// Signing in here (rather than forwarding to super-api's login_student) means there is no
+// unthrottled path from a student number to a password check.
+// Blocked attempts get 429 { error, reason, retry_after_seconds, locked_until? }.
+import { serve } from "https://deno.land/std@0.224.0/http/server.ts";
+import { createClient, type SupabaseClient } from "https://esm.sh/@supabase/supabase-js@2";
+
+/** ---------------- CORS ---------------- */
+function buildCorsHeaders(req: Request): Record<string, string> {
+  const origin = req.headers.get("origin") ?? "*";
+  return {
+    "Access-Control-Allow-Origin": origin,
+    "Access-Control-Allow-Headers": "authorization, x-client-info, apikey, content-type",
+    "Access-Control-Allow-Methods": "POST, OPTIONS",
+    "Access-Control-Max-Age": "86400",
+    "Vary": "Origin",
+  };
+}
+
+function json(req: Request, data: unknown, status = 200, extra: Record<string, string> = {}): Response {
+  const cors = buildCorsHeaders(req);
+  return new Response(JSON.stringify(data), {
+    status,
+    headers: { ...cors, ...extra, "Content-Type": "application/json" },
+  });
+}
+
+/** ---------------- Types ---------------- */
+type Gate = {
+  allowed: boolean;
+  reason?: "delay" | "locked" | "ip";
+  retry_after_seconds?: number;
+  locked_until?: string;
+  attempt_id?: number;
+};
+
+/** ---------------- Helpers ---------------- */
+function clientIp(req: Request): string | null {
+  // The platform appends the real client address last; earlier hops are whatever the client sent.
+  const fwd = req.headers.get("x-forwarded-for");
+  if (fwd) return fwd.split(",").pop()?.trim() || null;
+  return req.headers.get("cf-connecting-ip") || req.headers.get("x-real-ip") || null;
+}
+
+const BAD_LOGIN = "Invalid student number or password.";
+
+/** The auth email behind a student number, or null. */
+async function studentEmail(admin: SupabaseClient, studentNumber: string): Promise<string | null> {
+  const { data: student } = await admin
+    .from("students")
+    .select("user_id")
+    .eq("student_number", studentNumber)
+    .maybeSingle();
+  if (!student?.user_id) return null;
+
+  const { data, error } = await admin.auth.admin.getUserById(student.user_id);
+  if (error) return null;
+  return data?.user?.email ?? null;
+}
+
+function blockedMessage(gate: Gate): string {
+  const secs = Math.max(1, gate.retry_after_seconds ?? 1);
+  if (gate.reason === "locked") {
+    return "Too many failed sign-ins. This account is temporarily locked. Try again later or ask the registrar to unlock it.";
+  }
+  if (gate.reason === "ip") {
+    return `Too many failed sign-ins from this network. Try again in ${Math.ceil(secs / 60)} minute(s).`;
+  }
+  return `Too many failed sign-ins. Wait ${secs} second(s) before trying again.`;
+}
+
+/** ---------------- Handler ---------------- */
+serve(async (req: Request) => {
+  if (req.method === "OPTIONS") return new Response("ok", { status: 200, headers: buildCorsHeaders(req) });
+  if (req.method !== "POST") return json(req, { error: "Method not allowed" }, 405);
+
+  const body = await req.json().catch(() => ({}));
+  const studentNumber = String(body?.student_number ?? "").trim().toUpperCase();
+  const password = String(body?.password ?? "");
+  if (!studentNumber || !password) return json(req, { error: "Student number and password are required." }, 400);
+
+  const supabaseUrl = Deno.env.get("SUPABASE_URL")!;
+  const supabaseAnon = Deno.env.get("SUPABASE_ANON_KEY")!;
+  const serviceKey = Deno.env.get("SUPABASE_SERVICE_ROLE_KEY")!;
+  const admin = createClient(supabaseUrl, serviceKey, { auth: { persistSession: false } });
+
+  const ip = clientIp(req);
+
+  const { data: gate, error: gateErr } = await admin.rpc("login_throttle_attempt", {
+    p_student_number: studentNumber,
+    p_ip: ip,
+  });
+  if (gateErr) return json(req, { error: gateErr.message }, 500);
+
+  if (!(gate as Gate)?.allowed) {
+    const g = gate as Gate;
+    return json(
+      req,
+      { error: blockedMessage(g), reason: g.reason, retry_after_seconds: g.retry_after_seconds, locked_until: g.locked_until },
+      429,
+      { "Retry-After": String(g.retry_after_seconds ?? 1) },
+    );
+  }
+
+  const settle = async (result: "success" | "failed" | "error") => {
+    const { error } = await admin.rpc("login_throttle_record", {
+      p_attempt_id: (gate as Gate).attempt_id,
+      p_result: result,
+    });
+    if (error) console.error("login_throttle_record error:", error.message);
+  };
+
+  const email = await studentEmail(admin, studentNumber);
+  if (!email) {
+    await settle("failed");
+    return json(req, { error: BAD_LOGIN }, 401);
+  }
+
+  const auth = createClient(supabaseUrl, supabaseAnon, { auth: { persistSession: false, autoRefreshToken: false } });
+  const { data, error } = await auth.auth.signInWithPassword({ email, password });
+
+  if (error || !data?.session?.access_token) {
+    // Auth outages (5xx) are not the caller's fault and do not count as attempts.
+    const status = (error as { status?: number } | null)?.status ?? 400;
+    if (status >= 500) {
+      await settle("error");
+      return json(req, { error: "Sign-in service unavailable. Please try again." }, 502);
+    }
+    await settle("failed");
+    return json(req, { error: BAD_LOGIN }, 401);
+  }
+
+  await settle("success");
+  return json(req, { session: data.session, user: data.user }, 200);
+});
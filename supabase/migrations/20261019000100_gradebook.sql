@@ -0,0 +1,112 @@
+-- Gradebook: per-class grade items, raw scores and computed quarterly/final grades.
+-- A "class" is the section_schedules group (sy_id, term_id, section_id, subject_id).
+
+create table if not exists public.grade_items (
+  item_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id),
+  term_id uuid not null references public.terms (term_id),
+  section_id uuid not null references public.sections (section_id),
+  subject_id uuid not null references public.subjects (subject_id),
+  teacher_id uuid not null references auth.users (id),
+  quarter smallint not null check (quarter in (1, 2)),
+  component text not null check (component in ('WW', 'PT', 'QA')),
+  title text not null,
+  max_score numeric not null check (max_score > 0),
+  created_at timestamptz not null default now()
+);
+
+create index if not exists grade_items_class_idx
+  on public.grade_items (sy_id, term_id, section_id, subject_id);
+
+create table if not exists public.grade_scores (
+  item_id uuid not null references public.grade_items (item_id) on delete cascade,
+  student_id uuid not null references public.students (id) on delete cascade,
+  score numeric check (score >= 0),
+  updated_at timestamptz not null default now(),
+  primary key (item_id, student_id)
+);
+
+create table if not exists public.grade_records (
+  record_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id),
+  term_id uuid not null references public.terms (term_id),
+  section_id uuid not null references public.sections (section_id),
+  subject_id uuid not null references public.subjects (subject_id),
+  teacher_id uuid references auth.users (id),
+  student_id uuid not null references public.students (id) on delete cascade,
+  q1_grade smallint,
+  q2_grade smallint,
+  final_grade smallint,
+  remarks text,
+  updated_at timestamptz not null default now(),
+  unique (sy_id, term_id, section_id, subject_id, student_id)
+);
+
+alter table public.grade_items enable row level security;
+alter table public.grade_scores enable row level security;
+alter table public.grade_records enable row level security;
+
+-- True when the caller is scheduled (section_schedules) to teach the class. Rows stay with the
+-- class, not with whoever stamped them, so a reassigned class (teacher loads) moves with its grades.
+create or replace function public.teaches_class(p_sy_id uuid, p_term_id uuid, p_section_id uuid, p_subject_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.section_schedules ss
+    where ss.sy_id = p_sy_id
+      and ss.term_id = p_term_id
+      and ss.section_id = p_section_id
+      and ss.subject_id = p_subject_id
+      and ss.teacher_id = auth.uid()
+  );
+$$;
+
+-- Teachers manage the classes they are scheduled for; admins can read everything.
+create policy grade_items_teacher_all on public.grade_items
+  for all using (
+    public.teaches_class(sy_id, term_id, section_id, subject_id)
+  ) with check (
+    public.teaches_class(sy_id, term_id, section_id, subject_id)
+  );
+
+create policy grade_items_admin_read on public.grade_items
+  for select using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy grade_scores_teacher_all on public.grade_scores
+  for all using (
+    exists (
+      select 1 from public.grade_items i
+      where i.item_id = grade_scores.item_id
+        and public.teaches_class(i.sy_id, i.term_id, i.section_id, i.subject_id)
+    )
+  ) with check (
+    exists (
+      select 1 from public.grade_items i
+      where i.item_id = grade_scores.item_id
+        and public.teaches_class(i.sy_id, i.term_id, i.section_id, i.subject_id)
+    )
+  );
+
+-- Any current class teacher may overwrite a record; what they write is stamped with their own id.
+create policy grade_records_teacher_all on public.grade_records
+  for all using (
+    public.teaches_class(sy_id, term_id, section_id, subject_id)
+  ) with check (
+    teacher_id = auth.uid() and public.teaches_class(sy_id, term_id, section_id, subject_id)
+  );
+
+create policy grade_records_student_read on public.grade_records
+  for select using (
+    exists (select 1 from public.students s where s.id = grade_records.student_id and s.user_id = auth.uid())
+  );
+
+create policy grade_records_admin_read on public.grade_records
+  for select using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
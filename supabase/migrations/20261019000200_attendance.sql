@@ -0,0 +1,134 @@
+-- Per-period attendance keyed to a section_schedules slot and a calendar date.
+-- Schedule edits delete and re-insert section_schedules rows, so a record keeps its own copy of
+-- the slot (day_of_week, period_no, subject_id). Deleting the slot only unlinks the record
+-- (schedule_id -> null); a slot inserted again for the same section / term / day / period /
+-- subject picks its history back up.
+
+create table if not exists public.attendance_records (
+  attendance_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id),
+  term_id uuid not null references public.terms (term_id),
+  schedule_id uuid references public.section_schedules (schedule_id) on delete set null,
+  section_id uuid not null references public.sections (section_id),
+  subject_id uuid references public.subjects (subject_id),
+  day_of_week text,
+  period_no smallint,
+  student_id uuid not null references public.students (id) on delete cascade,
+  attend_date date not null,
+  status text not null check (status in ('Present', 'Late', 'Absent', 'Excused')),
+  remarks text,
+  recorded_by uuid references auth.users (id),
+  updated_at timestamptz not null default now(),
+  unique (schedule_id, student_id, attend_date)
+);
+
+create index if not exists attendance_records_section_date_idx
+  on public.attendance_records (section_id, attend_date);
+
+alter table public.attendance_records enable row level security;
+
+-- Copies the slot onto the record; the client only sends schedule_id.
+create or replace function public.attendance_records_slot()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if new.schedule_id is not null then
+    select ss.day_of_week, ss.period_no, ss.subject_id
+    into new.day_of_week, new.period_no, new.subject_id
+    from public.section_schedules ss
+    where ss.schedule_id = new.schedule_id;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists attendance_records_slot on public.attendance_records;
+create trigger attendance_records_slot
+  before insert or update of schedule_id on public.attendance_records
+  for each row execute function public.attendance_records_slot();
+
+-- Re-links records left behind when the same slot was deleted and inserted again.
+create or replace function public.section_schedules_relink_attendance()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.attendance_records a
+  set schedule_id = new.schedule_id
+  where a.schedule_id is null
+    and a.sy_id = new.sy_id
+    and a.term_id = new.term_id
+    and a.section_id = new.section_id
+    and a.day_of_week = new.day_of_week
+    and a.period_no = new.period_no
+    and a.subject_id is not distinct from new.subject_id;
+  return null;
+end;
+$$;
+
+drop trigger if exists section_schedules_relink_attendance on public.section_schedules;
+create trigger section_schedules_relink_attendance
+  after insert on public.section_schedules
+  for each row execute function public.section_schedules_relink_attendance();
+
+-- Subject teacher of the slot can read/write, only for students of the slot's section.
+-- Unlinked history stays readable by whoever teaches that class now.
+create policy attendance_teacher_all on public.attendance_records
+  for all using (
+    exists (
+      select 1 from public.section_schedules ss
+      where ss.schedule_id = attendance_records.schedule_id and ss.teacher_id = auth.uid()
+    )
+    or (
+      attendance_records.schedule_id is null
+      and public.teaches_class(attendance_records.sy_id, attendance_records.term_id,
+                               attendance_records.section_id, attendance_records.subject_id)
+    )
+  ) with check (
+    exists (
+      select 1 from public.section_schedules ss
+      where ss.schedule_id = attendance_records.schedule_id
+        and ss.teacher_id = auth.uid()
+        and ss.section_id = attendance_records.section_id
+        and ss.sy_id = attendance_records.sy_id
+        and ss.term_id = attendance_records.term_id
+        and (
+          exists (
+            select 1 from public.students st
+            where st.id = attendance_records.student_id and st.section_id = ss.section_id
+          )
+          or exists (
+            select 1 from public.student_school_years y
+            where y.student_id = attendance_records.student_id
+              and y.sy_id = ss.sy_id
+              and y.section_id = ss.section_id
+          )
+        )
+    )
+  );
+
+-- Section adviser (section_advisers) can read the whole section.
+create policy attendance_adviser_read on public.attendance_records
+  for select using (
+    exists (
+      select 1 from public.section_advisers sa
+      where sa.section_id = attendance_records.section_id
+        and sa.sy_id = attendance_records.sy_id
+        and sa.adviser_id = auth.uid()
+    )
+  );
+
+create policy attendance_student_read on public.attendance_records
+  for select using (
+    exists (select 1 from public.students s where s.id = attendance_records.student_id and s.user_id = auth.uid())
+  );
+
+create policy attendance_admin_read on public.attendance_records
+  for select using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
@@ -0,0 +1,108 @@
+-- Student hand-ins for attachable lesson_activities.
+-- activity_id is a soft reference: the lesson builder replaces lesson_activities rows
+-- (same ids) on every save, so a hard FK would block or cascade-delete submissions.
+
+create table if not exists public.activity_submissions (
+  submission_id uuid primary key default gen_random_uuid(),
+  activity_id uuid not null,
+  lesson_id uuid not null references public.lessons (lesson_id) on delete cascade,
+  student_id uuid not null references public.students (id) on delete cascade,
+  user_id uuid not null references auth.users (id),
+  section_id uuid references public.sections (section_id),
+  text_body text,
+  files jsonb not null default '[]'::jsonb, -- [{ file_path, name, size, type }]
+  status text not null default 'Submitted'
+    check (status in ('Submitted', 'Returned', 'Resubmitted', 'Graded')),
+  attempt integer not null default 1,
+  score numeric,
+  max_score numeric,
+  feedback text,
+  submitted_at timestamptz not null default now(),
+  reviewed_at timestamptz,
+  reviewed_by uuid references auth.users (id),
+  unique (activity_id, student_id)
+);
+
+create index if not exists activity_submissions_lesson_idx on public.activity_submissions (lesson_id);
+
+alter table public.activity_submissions enable row level security;
+
+create policy submissions_student_read on public.activity_submissions
+  for select using (user_id = auth.uid());
+
+-- student_id must be the caller's own students row.
+create policy submissions_student_insert on public.activity_submissions
+  for insert with check (
+    user_id = auth.uid()
+    and status = 'Submitted'
+    and exists (select 1 from public.students s where s.id = activity_submissions.student_id and s.user_id = auth.uid())
+  );
+
+create policy submissions_student_update on public.activity_submissions
+  for update using (user_id = auth.uid() and status <> 'Graded')
+  with check (
+    user_id = auth.uid()
+    and status in ('Submitted', 'Resubmitted')
+    and exists (select 1 from public.students s where s.id = activity_submissions.student_id and s.user_id = auth.uid())
+  );
+
+-- Lesson owner reviews.
+create policy submissions_teacher_read on public.activity_submissions
+  for select using (
+    exists (select 1 from public.lessons l where l.lesson_id = activity_submissions.lesson_id and l.owner_teacher_id = auth.uid())
+  );
+
+create policy submissions_teacher_update on public.activity_submissions
+  for update using (
+    exists (select 1 from public.lessons l where l.lesson_id = activity_submissions.lesson_id and l.owner_teacher_id = auth.uid())
+  );
+
+-- Students may not grade themselves: review columns start empty on a hand-in and are kept
+-- when the submitter updates.
+create or replace function public.activity_submissions_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op = 'INSERT' then
+    new.score := null;
+    new.max_score := null;
+    new.feedback := null;
+    new.reviewed_at := null;
+    new.reviewed_by := null;
+  elsif new.user_id = auth.uid() then
+    new.score := old.score;
+    new.max_score := old.max_score;
+    new.feedback := old.feedback;
+    new.reviewed_at := old.reviewed_at;
+    new.reviewed_by := old.reviewed_by;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists activity_submissions_guard on public.activity_submissions;
+create trigger activity_submissions_guard
+  before insert or update on public.activity_submissions
+  for each row execute function public.activity_submissions_guard();
+
+-- Storage: private bucket, files live under <user_id>/<activity_id>/...
+insert into storage.buckets (id, name, public)
+values ('submissions', 'submissions', false)
+on conflict (id) do nothing;
+
+create policy submissions_files_owner on storage.objects
+  for all using (bucket_id = 'submissions' and (storage.foldername(name))[1] = auth.uid()::text)
+  with check (bucket_id = 'submissions' and (storage.foldername(name))[1] = auth.uid()::text);
+
+create policy submissions_files_teacher_read on storage.objects
+  for select using (
+    bucket_id = 'submissions'
+    and exists (
+      select 1
+      from public.activity_submissions s
+      join public.lessons l on l.lesson_id = s.lesson_id
+      where l.owner_teacher_id = auth.uid()
+        and s.files @> jsonb_build_array(jsonb_build_object('file_path', storage.objects.name))
+    )
+  );
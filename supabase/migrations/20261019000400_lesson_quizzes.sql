@@ -0,0 +1,245 @@
+-- Auto-graded quizzes for lesson_activities of type "Quiz".
+-- The answer key lives in lesson_quizzes (lesson owner only). Students never read it:
+-- they load questions through get_student_quiz() and are scored by submit_quiz_attempt().
+-- activity_id is a soft reference for the same reason as activity_submissions.
+
+create table if not exists public.lesson_quizzes (
+  activity_id uuid primary key,
+  lesson_id uuid not null references public.lessons (lesson_id) on delete cascade,
+  time_limit_minutes integer check (time_limit_minutes is null or time_limit_minutes > 0),
+  shuffle boolean not null default false,
+  -- [{ id, type: mc|tf|identification|matching, prompt, points, choices, answer, pairs }]
+  questions jsonb not null default '[]'::jsonb,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists lesson_quizzes_lesson_idx on public.lesson_quizzes (lesson_id);
+
+create table if not exists public.quiz_attempts (
+  attempt_id uuid primary key default gen_random_uuid(),
+  activity_id uuid not null,
+  lesson_id uuid not null references public.lessons (lesson_id) on delete cascade,
+  student_id uuid not null references public.students (id) on delete cascade,
+  user_id uuid not null references auth.users (id),
+  section_id uuid references public.sections (section_id),
+  status text not null default 'In Progress' check (status in ('In Progress', 'Submitted')),
+  started_at timestamptz not null default now(),
+  submitted_at timestamptz,
+  is_late boolean not null default false,
+  answers jsonb not null default '{}'::jsonb, -- { [question_id]: choice_id | 'true' | text | { [pair_id]: text } }
+  item_results jsonb not null default '[]'::jsonb, -- [{ id, correct, earned, points }]
+  score numeric,
+  max_score numeric,
+  unique (activity_id, student_id)
+);
+
+create index if not exists quiz_attempts_activity_idx on public.quiz_attempts (activity_id);
+
+alter table public.lesson_quizzes enable row level security;
+alter table public.quiz_attempts enable row level security;
+
+create policy lesson_quizzes_owner_all on public.lesson_quizzes
+  for all using (
+    exists (select 1 from public.lessons l where l.lesson_id = lesson_quizzes.lesson_id and l.owner_teacher_id = auth.uid())
+  ) with check (
+    exists (select 1 from public.lessons l where l.lesson_id = lesson_quizzes.lesson_id and l.owner_teacher_id = auth.uid())
+  );
+
+-- Attempts are written only by the security definer functions below.
+create policy quiz_attempts_student_read on public.quiz_attempts
+  for select using (user_id = auth.uid());
+
+create policy quiz_attempts_teacher_read on public.quiz_attempts
+  for select using (
+    exists (select 1 from public.lessons l where l.lesson_id = quiz_attempts.lesson_id and l.owner_teacher_id = auth.uid())
+  );
+
+-- The caller's section must have the lesson assigned (lesson_assignments) and the lesson must be Published.
+create or replace function public.student_quiz_open(p_lesson_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.lessons l
+    join public.lesson_assignments la on la.lesson_id = l.lesson_id
+    join public.students s on s.section_id = la.section_id and s.sy_id = la.sy_id
+    where l.lesson_id = p_lesson_id
+      and l.status = 'Published'
+      and s.user_id = auth.uid()
+  );
+$$;
+
+-- Questions without the answer key. Matching options are returned as a shuffled list of right-hand texts.
+create or replace function public.get_student_quiz(p_activity_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_quiz public.lesson_quizzes;
+  v_questions jsonb;
+begin
+  select * into v_quiz from public.lesson_quizzes where activity_id = p_activity_id;
+  if not found then
+    return null;
+  end if;
+
+  if not public.student_quiz_open(v_quiz.lesson_id) then
+    raise exception 'Quiz is not available.';
+  end if;
+
+  select coalesce(jsonb_agg(
+    case q->>'type'
+      when 'mc' then jsonb_build_object('id', q->>'id', 'type', 'mc', 'prompt', q->>'prompt', 'points', q->'points', 'choices', q->'choices')
+      when 'matching' then jsonb_build_object(
+        'id', q->>'id', 'type', 'matching', 'prompt', q->>'prompt', 'points', q->'points',
+        'pairs', (select coalesce(jsonb_agg(jsonb_build_object('id', p->>'id', 'left', p->>'left')), '[]'::jsonb)
+                  from jsonb_array_elements(q->'pairs') p),
+        'options', (select coalesce(jsonb_agg(p->>'right' order by md5((p->>'right') || p_activity_id::text)), '[]'::jsonb)
+                    from jsonb_array_elements(q->'pairs') p)
+      )
+      else jsonb_build_object('id', q->>'id', 'type', q->>'type', 'prompt', q->>'prompt', 'points', q->'points')
+    end
+    order by case when v_quiz.shuffle then md5((q->>'id') || auth.uid()::text) else lpad(ord::text, 6, '0') end
+  ), '[]'::jsonb)
+  into v_questions
+  from jsonb_array_elements(v_quiz.questions) with ordinality as t(q, ord);
+
+  return jsonb_build_object(
+    'activity_id', v_quiz.activity_id,
+    'lesson_id', v_quiz.lesson_id,
+    'time_limit_minutes', v_quiz.time_limit_minutes,
+    'questions', v_questions
+  );
+end;
+$$;
+
+create or replace function public.start_quiz_attempt(p_activity_id uuid)
+returns public.quiz_attempts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_quiz public.lesson_quizzes;
+  v_student public.students;
+  v_attempt public.quiz_attempts;
+begin
+  select * into v_quiz from public.lesson_quizzes where activity_id = p_activity_id;
+  if not found then
+    raise exception 'Quiz not found.';
+  end if;
+  if not public.student_quiz_open(v_quiz.lesson_id) then
+    raise exception 'Quiz is not available.';
+  end if;
+
+  select * into v_student from public.students where user_id = auth.uid() limit 1;
+  if not found then
+    raise exception 'Student record not found for this account.';
+  end if;
+
+  select * into v_attempt from public.quiz_attempts
+  where activity_id = p_activity_id and student_id = v_student.id;
+  if found then
+    return v_attempt;
+  end if;
+
+  insert into public.quiz_attempts (activity_id, lesson_id, student_id, user_id, section_id)
+  values (p_activity_id, v_quiz.lesson_id, v_student.id, auth.uid(), v_student.section_id)
+  returning * into v_attempt;
+
+  return v_attempt;
+end;
+$$;
+
+-- Scores the attempt against the key. Late hand-ins (past the limit plus one minute of grace) are scored but flagged.
+create or replace function public.submit_quiz_attempt(p_attempt_id uuid, p_answers jsonb)
+returns public.quiz_attempts
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_attempt public.quiz_attempts;
+  v_quiz public.lesson_quizzes;
+  q jsonb;
+  v_given jsonb;
+  v_points numeric;
+  v_earned numeric;
+  v_ok boolean;
+  v_pairs integer;
+  v_matched integer;
+  v_results jsonb := '[]'::jsonb;
+  v_score numeric := 0;
+  v_max numeric := 0;
+begin
+  select * into v_attempt from public.quiz_attempts where attempt_id = p_attempt_id and user_id = auth.uid() for update;
+  if not found then
+    raise exception 'Attempt not found.';
+  end if;
+  if v_attempt.status = 'Submitted' then
+    return v_attempt;
+  end if;
+
+  select * into v_quiz from public.lesson_quizzes where activity_id = v_attempt.activity_id;
+  if not found then
+    raise exception 'Quiz not found.';
+  end if;
+
+  for q in select value from jsonb_array_elements(v_quiz.questions) loop
+    v_given := coalesce(p_answers, '{}'::jsonb) -> (q->>'id');
+    v_points := coalesce((q->>'points')::numeric, 1);
+    v_ok := false;
+    v_earned := 0;
+
+    if q->>'type' in ('mc', 'tf') then
+      v_ok := v_given is not null and lower(v_given #>> '{}') = lower(q->>'answer');
+      v_earned := case when v_ok then v_points else 0 end;
+    elsif q->>'type' = 'identification' then
+      v_ok := v_given is not null and exists (
+        select 1 from jsonb_array_elements_text(q->'answer') a
+        where lower(btrim(a)) = lower(btrim(v_given #>> '{}'))
+      );
+      v_earned := case when v_ok then v_points else 0 end;
+    elsif q->>'type' = 'matching' then
+      v_pairs := jsonb_array_length(coalesce(q->'pairs', '[]'::jsonb));
+      select count(*) into v_matched
+      from jsonb_array_elements(coalesce(q->'pairs', '[]'::jsonb)) p
+      where lower(btrim(coalesce(v_given->>(p->>'id'), ''))) = lower(btrim(p->>'right'));
+      v_ok := v_pairs > 0 and v_matched = v_pairs;
+      v_earned := case when v_pairs > 0 then round(v_points * v_matched / v_pairs, 2) else 0 end;
+    end if;
+
+    v_results := v_results || jsonb_build_array(
+      jsonb_build_object('id', q->>'id', 'correct', v_ok, 'earned', v_earned, 'points', v_points)
+    );
+    v_score := v_score + v_earned;
+    v_max := v_max + v_points;
+  end loop;
+
+  update public.quiz_attempts
+  set status = 'Submitted',
+      submitted_at = now(),
+      answers = coalesce(p_answers, '{}'::jsonb),
+      item_results = v_results,
+      score = v_score,
+      max_score = v_max,
+      is_late = v_quiz.time_limit_minutes is not null
+        and now() > v_attempt.started_at + make_interval(mins => v_quiz.time_limit_minutes + 1)
+  where attempt_id = p_attempt_id
+  returning * into v_attempt;
+
+  return v_attempt;
+end;
+$$;
+
+grant execute on function public.student_quiz_open(uuid) to authenticated;
+grant execute on function public.get_student_quiz(uuid) to authenticated;
+grant execute on function public.start_quiz_attempt(uuid) to authenticated;
+grant execute on function public.submit_quiz_attempt(uuid, jsonb) to authenticated;
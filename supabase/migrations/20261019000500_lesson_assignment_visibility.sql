@@ -0,0 +1,39 @@
+-- Students see lessons through lesson_assignments (per section), not every Published lesson.
+-- due_date is optional; scheduled_date (existing) is the unlock date.
+
+alter table public.lesson_assignments
+  add column if not exists due_date date;
+
+create index if not exists lesson_assignments_section_idx
+  on public.lesson_assignments (sy_id, section_id);
+
+create policy lesson_assignments_student_read on public.lesson_assignments
+  for select using (
+    exists (
+      select 1 from public.students s
+      where s.user_id = auth.uid()
+        and s.section_id = lesson_assignments.section_id
+        and s.sy_id = lesson_assignments.sy_id
+    )
+  );
+
+-- Quizzes follow the same unlock date on the server: an assignment counts once its
+-- scheduled_date (school time, Asia/Manila) has come, or right away when it has none.
+create or replace function public.student_quiz_open(p_lesson_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1
+    from public.lessons l
+    join public.lesson_assignments la on la.lesson_id = l.lesson_id
+    join public.students s on s.section_id = la.section_id and s.sy_id = la.sy_id
+    where l.lesson_id = p_lesson_id
+      and l.status = 'Published'
+      and s.user_id = auth.uid()
+      and (la.scheduled_date is null or la.scheduled_date <= (now() at time zone 'Asia/Manila')::date)
+  );
+$$;
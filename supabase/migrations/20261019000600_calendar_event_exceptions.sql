@@ -0,0 +1,29 @@
+-- Per-occurrence exceptions for recurring calendar_events.
+-- occurrence_date is the ORIGINAL date the series would have produced.
+-- is_skipped = true hides that occurrence; otherwise "changes" overrides fields for that one occurrence
+-- (title, description, start_date, end_date, all_day, start_time, end_time, location).
+
+create table if not exists public.calendar_event_exceptions (
+  exception_id uuid primary key default gen_random_uuid(),
+  event_id uuid not null references public.calendar_events (id) on delete cascade,
+  occurrence_date date not null,
+  is_skipped boolean not null default false,
+  changes jsonb not null default '{}'::jsonb,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (event_id, occurrence_date)
+);
+
+alter table public.calendar_event_exceptions enable row level security;
+
+-- Same audience as the calendar itself: everyone signed in can read.
+create policy calendar_event_exceptions_read on public.calendar_event_exceptions
+  for select using (auth.uid() is not null);
+
+create policy calendar_event_exceptions_super_admin_all on public.calendar_event_exceptions
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role = 'super_admin')
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role = 'super_admin')
+  );
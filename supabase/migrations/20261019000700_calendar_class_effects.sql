@@ -0,0 +1,12 @@
+-- Let calendar events suspend or move classes.
+-- class_effect: 'Cancel' (no classes), 'Shift' (classes held on makeup_date instead), 'None'.
+-- null follows the event type: Holiday / Class Suspension cancel classes, other types do not.
+-- Times on a non all-day event limit the effect to the periods that overlap them.
+
+alter table public.calendar_events
+  add column if not exists class_effect text check (class_effect in ('Cancel', 'Shift', 'None')),
+  add column if not exists makeup_date date;
+
+alter table public.calendar_events
+  add constraint calendar_events_makeup_date_chk
+  check (class_effect is distinct from 'Shift' or makeup_date is not null);
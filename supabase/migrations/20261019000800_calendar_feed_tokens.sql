@@ -0,0 +1,48 @@
+-- Per-user secret for the iCalendar subscription feed (edge function calendar-feed).
+-- Calendar apps cannot send a JWT, so the feed URL carries this token instead.
+-- Rotating the token invalidates every previously shared URL.
+
+create table if not exists public.calendar_feed_tokens (
+  user_id uuid primary key references auth.users (id) on delete cascade,
+  token text not null unique default encode(gen_random_bytes(24), 'hex'),
+  created_at timestamptz not null default now(),
+  last_used_at timestamptz
+);
+
+alter table public.calendar_feed_tokens enable row level security;
+
+create policy calendar_feed_tokens_own_read on public.calendar_feed_tokens
+  for select using (user_id = auth.uid());
+
+-- Returns the caller's token, creating it on first use; p_rotate = true issues a new one.
+create or replace function public.get_calendar_feed_token(p_rotate boolean default false)
+returns text
+language plpgsql
+security definer
+set search_path = public, extensions
+as $$
+declare
+  v_token text;
+begin
+  if auth.uid() is null then
+    raise exception 'Not authenticated.';
+  end if;
+
+  insert into public.calendar_feed_tokens (user_id)
+  values (auth.uid())
+  on conflict (user_id) do nothing;
+
+  if p_rotate then
+    update public.calendar_feed_tokens
+    set token = encode(gen_random_bytes(24), 'hex'),
+        created_at = now(),
+        last_used_at = null
+    where user_id = auth.uid();
+  end if;
+
+  select token into v_token from public.calendar_feed_tokens where user_id = auth.uid();
+  return v_token;
+end;
+$$;
+
+grant execute on function public.get_calendar_feed_token(boolean) to authenticated;
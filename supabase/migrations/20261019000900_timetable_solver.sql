@@ -0,0 +1,140 @@
+-- Inputs for the timetable generator on the admin Schedule page.
+-- weekly_hours: teaching periods per week for a subject (null = use units, then the generator default).
+-- teacher_loads: who teaches a subject to a section in a term (the generator never picks teachers itself).
+-- teacher_unavailable_periods: day/period slots a teacher cannot be scheduled in.
+
+alter table public.subjects
+  add column if not exists weekly_hours smallint check (weekly_hours between 0 and 40);
+
+create table if not exists public.teacher_loads (
+  load_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id),
+  term_id uuid not null references public.terms (term_id),
+  section_id uuid not null references public.sections (section_id) on delete cascade,
+  subject_id uuid not null references public.subjects (subject_id) on delete cascade,
+  teacher_id uuid not null references auth.users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (sy_id, term_id, section_id, subject_id)
+);
+
+create index if not exists teacher_loads_teacher_idx on public.teacher_loads (teacher_id, sy_id, term_id);
+
+create table if not exists public.teacher_unavailable_periods (
+  teacher_id uuid not null references auth.users (id) on delete cascade,
+  day_of_week text not null check (day_of_week in ('Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat')),
+  period_no smallint not null check (period_no between 1 and 12),
+  note text,
+  created_at timestamptz not null default now(),
+  primary key (teacher_id, day_of_week, period_no)
+);
+
+alter table public.teacher_loads enable row level security;
+alter table public.teacher_unavailable_periods enable row level security;
+
+-- Admins manage both; teachers can see their own loads and blocked periods.
+create policy teacher_loads_admin_all on public.teacher_loads
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy teacher_loads_teacher_read on public.teacher_loads
+  for select using (teacher_id = auth.uid());
+
+create policy teacher_unavailable_admin_all on public.teacher_unavailable_periods
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy teacher_unavailable_teacher_read on public.teacher_unavailable_periods
+  for select using (teacher_id = auth.uid());
+
+-- Commits a generated draft for p_section_ids in one transaction. Entries are diffed by slot
+-- (section, day, period) so unchanged ones keep their schedule_id; slots missing from the
+-- draft are deleted. p_cells: [{ section_id, day_of_week, period_no, start_time, end_time,
+-- subject_id, teacher_id, room, room_id }]. Returns { inserted, updated, removed }.
+create or replace function public.section_schedules_commit_draft(
+  p_sy_id uuid,
+  p_term_id uuid,
+  p_section_ids uuid[],
+  p_cells jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_inserted integer;
+  v_updated integer;
+  v_removed integer;
+begin
+  if not exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role = 'super_admin')
+     or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Not allowed.';
+  end if;
+  if coalesce(cardinality(p_section_ids), 0) = 0 then
+    raise exception 'No sections to commit.';
+  end if;
+
+  perform pg_advisory_xact_lock(hashtext('section_schedules:' || p_sy_id::text || ':' || p_term_id::text));
+
+  create temp table draft_cells on commit drop as
+  select distinct on (x.section_id, x.day_of_week, x.period_no) x.*
+  from jsonb_to_recordset(coalesce(p_cells, '[]'::jsonb)) as x(
+    section_id uuid, day_of_week text, period_no smallint, start_time time, end_time time,
+    subject_id uuid, teacher_id uuid, room text, room_id uuid
+  )
+  where x.section_id = any(p_section_ids);
+
+  -- Free rooms that are moving before any section claims them.
+  update public.section_schedules s
+  set room_id = null
+  where s.sy_id = p_sy_id and s.term_id = p_term_id and s.section_id = any(p_section_ids)
+    and s.room_id is not null
+    and not exists (
+      select 1 from draft_cells c
+      where c.section_id = s.section_id and c.day_of_week = s.day_of_week and c.period_no = s.period_no
+        and c.room_id = s.room_id
+    );
+
+  delete from public.section_schedules s
+  where s.sy_id = p_sy_id and s.term_id = p_term_id and s.section_id = any(p_section_ids)
+    and not exists (
+      select 1 from draft_cells c
+      where c.section_id = s.section_id and c.day_of_week = s.day_of_week and c.period_no = s.period_no
+    );
+  get diagnostics v_removed = row_count;
+
+  update public.section_schedules s
+  set subject_id = c.subject_id, teacher_id = c.teacher_id, room = c.room, room_id = c.room_id
+  from draft_cells c
+  where s.sy_id = p_sy_id and s.term_id = p_term_id
+    and c.section_id = s.section_id and c.day_of_week = s.day_of_week and c.period_no = s.period_no
+    and (s.subject_id is distinct from c.subject_id
+      or s.teacher_id is distinct from c.teacher_id
+      or s.room is distinct from c.room
+      or s.room_id is distinct from c.room_id);
+  get diagnostics v_updated = row_count;
+
+  insert into public.section_schedules
+    (sy_id, term_id, section_id, day_of_week, period_no, start_time, end_time, subject_id, teacher_id, room, room_id, notes)
+  select p_sy_id, p_term_id, c.section_id, c.day_of_week, c.period_no, c.start_time, c.end_time,
+         c.subject_id, c.teacher_id, c.room, c.room_id, null
+  from draft_cells c
+  where not exists (
+    select 1 from public.section_schedules s
+    where s.sy_id = p_sy_id and s.term_id = p_term_id
+      and s.section_id = c.section_id and s.day_of_week = c.day_of_week and s.period_no = c.period_no
+  );
+  get diagnostics v_inserted = row_count;
+
+  return jsonb_build_object('inserted', v_inserted, 'updated', v_updated, 'removed', v_removed);
+end;
+$$;
+
+grant execute on function public.section_schedules_commit_draft(uuid, uuid, uuid[], jsonb) to authenticated;
@@ -0,0 +1,5 @@
+-- Weekly contact-hour cap per teacher for the admin Teacher Loads page.
+-- null = use the page default (see src/lib/teacherLoads.js DEFAULT_MAX_WEEKLY_HOURS).
+
+alter table public.teachers
+  add column if not exists max_weekly_hours smallint check (max_weekly_hours between 0 and 60);
@@ -0,0 +1,119 @@
+-- Room and facility registry.
+-- rooms: every bookable room with its type and seating capacity.
+-- section_schedules / class_schedules / classes get a room_id next to the old free-text room column
+-- (room keeps the room code so existing student/teacher pages read it unchanged).
+-- Constraints refuse a second booking of the same room in the same period (section_schedules,
+-- partial unique index) or in an overlapping time range (class_schedules, exclusion constraint),
+-- so two admins saving at once cannot both get the room. Both are named *_room_double_booked.
+
+create table if not exists public.rooms (
+  room_id uuid primary key default gen_random_uuid(),
+  room_code text not null,
+  room_name text,
+  room_type text not null default 'classroom' check (room_type in ('classroom', 'lab', 'gym', 'other')),
+  capacity integer check (capacity >= 0),
+  building text,
+  notes text,
+  is_archived boolean not null default false,
+  archived_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create unique index if not exists rooms_room_code_key on public.rooms (lower(room_code));
+
+alter table public.section_schedules
+  add column if not exists room_id uuid references public.rooms (room_id) on delete set null;
+alter table public.class_schedules
+  add column if not exists room_id uuid references public.rooms (room_id) on delete set null;
+alter table public.classes
+  add column if not exists room_id uuid references public.rooms (room_id) on delete set null;
+
+
+-- Seed the registry from the rooms already typed into schedules, then link the rows.
+insert into public.rooms (room_code)
+select distinct on (lower(trim(x.room))) trim(x.room)
+from (
+  select room from public.section_schedules
+  union all
+  select room from public.class_schedules
+  union all
+  select room from public.classes
+) x
+where nullif(trim(x.room), '') is not null
+order by lower(trim(x.room)), trim(x.room)
+on conflict do nothing;
+
+update public.section_schedules s set room_id = r.room_id
+from public.rooms r
+where s.room_id is null and lower(trim(s.room)) = lower(r.room_code);
+
+update public.class_schedules s set room_id = r.room_id
+from public.rooms r
+where s.room_id is null and lower(trim(s.room)) = lower(r.room_code);
+
+update public.classes c set room_id = r.room_id
+from public.rooms r
+where c.room_id is null and lower(trim(c.room)) = lower(r.room_code);
+
+-- Rooms typed twice into the same slot before the registry existed stay linked on one row only.
+update public.section_schedules s set room_id = null
+where s.room_id is not null
+  and exists (
+    select 1 from public.section_schedules o
+    where o.room_id = s.room_id and o.sy_id = s.sy_id and o.term_id = s.term_id
+      and o.day_of_week = s.day_of_week and o.period_no = s.period_no
+      and o.schedule_id < s.schedule_id
+  );
+
+update public.class_schedules s set room_id = null
+where s.room_id is not null and not coalesce(s.is_archived, false)
+  and exists (
+    select 1 from public.class_schedules o
+    where o.room_id = s.room_id and o.day_of_week = s.day_of_week
+      and not coalesce(o.is_archived, false)
+      and o.start_at < s.end_at and s.start_at < o.end_at
+      and o.schedule_id < s.schedule_id
+  );
+
+create unique index if not exists section_schedules_room_double_booked
+  on public.section_schedules (room_id, sy_id, term_id, day_of_week, period_no)
+  where room_id is not null;
+
+create extension if not exists btree_gist;
+
+-- The range type follows start_at (timestamp or timestamptz).
+do $$
+declare
+  v_range text;
+begin
+  if exists (select 1 from pg_constraint where conname = 'class_schedules_room_double_booked') then
+    return;
+  end if;
+
+  select case when a.atttypid = 'timestamptz'::regtype then 'tstzrange' else 'tsrange' end
+  into v_range
+  from pg_attribute a
+  where a.attrelid = 'public.class_schedules'::regclass and a.attname = 'start_at';
+
+  execute format(
+    'alter table public.class_schedules add constraint class_schedules_room_double_booked '
+    'exclude using gist (room_id with =, day_of_week with =, %s(start_at, end_at) with &&) '
+    'where (room_id is not null and not coalesce(is_archived, false))',
+    v_range
+  );
+end;
+$$;
+
+alter table public.rooms enable row level security;
+
+-- Everyone signed in can see rooms (schedules show them); only admins manage the registry.
+create policy rooms_read on public.rooms
+  for select using (auth.uid() is not null);
+
+create policy rooms_admin_all on public.rooms
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
@@ -0,0 +1,30 @@
+-- Which subjects a teacher may teach.
+-- One row per qualification: either a single subject, or a whole strand (every subject scoped to that strand).
+-- Managed from the admin Teachers page; the schedule editors warn when an unqualified teacher is picked.
+
+create table if not exists public.teacher_qualifications (
+  qualification_id uuid primary key default gen_random_uuid(),
+  teacher_id uuid not null references auth.users (id) on delete cascade,
+  subject_id uuid references public.subjects (subject_id) on delete cascade,
+  strand_id uuid references public.strands (strand_id) on delete cascade,
+  created_at timestamptz not null default now(),
+  check (num_nonnulls(subject_id, strand_id) = 1)
+);
+
+create unique index if not exists teacher_qualifications_subject_key
+  on public.teacher_qualifications (teacher_id, subject_id) where subject_id is not null;
+create unique index if not exists teacher_qualifications_strand_key
+  on public.teacher_qualifications (teacher_id, strand_id) where strand_id is not null;
+
+alter table public.teacher_qualifications enable row level security;
+
+-- Admins manage the matrix; teachers can see their own qualifications.
+create policy teacher_qualifications_admin_all on public.teacher_qualifications
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy teacher_qualifications_teacher_read on public.teacher_qualifications
+  for select using (teacher_id = auth.uid());
@@ -0,0 +1,218 @@
+-- School year rollover (School Years page wizard).
+-- student_school_years now records the grade a student is in for that year and whether
+-- they finished Grade 12 in it; promoted students get a row before they have a section.
+-- school_year_rollovers logs each committed rollover with what it copied;
+-- school_year_rollover_commit writes the whole rollover in one transaction.
+
+alter table public.student_school_years
+  add column if not exists grade_id uuid references public.grade_levels (grade_id),
+  add column if not exists is_graduate boolean not null default false;
+
+alter table public.student_school_years
+  alter column section_id drop not null;
+
+create table if not exists public.school_year_rollovers (
+  rollover_id uuid primary key default gen_random_uuid(),
+  from_sy_id uuid not null references public.school_years (sy_id),
+  to_sy_id uuid not null references public.school_years (sy_id),
+  summary jsonb not null default '{}'::jsonb,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  check (from_sy_id <> to_sy_id)
+);
+
+create index if not exists school_year_rollovers_to_idx on public.school_year_rollovers (to_sy_id, created_at desc);
+
+alter table public.school_year_rollovers enable row level security;
+
+create policy school_year_rollovers_admin_all on public.school_year_rollovers
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+-- Commits a rollover in one transaction, so a failure part-way writes nothing and a rerun
+-- starts from the same source year. The plan is rebuilt here the same way planRollover()
+-- builds the preview: sections match on name + grade + strand, and anything already in the
+-- target year is skipped. Target sections that already exist get the source adviser when
+-- they have none. p_parts: ROLLOVER_PARTS keys. Returns the summary that is logged.
+create or replace function public.school_year_rollover_commit(p_from_sy_id uuid, p_to_sy_id uuid, p_parts text[])
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row record;
+  v_section_id uuid;
+  v_grade12 uuid;
+  v_uc uuid;
+  v_ids uuid[];
+  v_count integer;
+  v_summary jsonb := jsonb_build_object('sections', 0, 'advisers', 0, 'loads', 0, 'schedules', 0, 'promoted', 0, 'graduates', 0);
+begin
+  if not exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+     or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Not allowed.';
+  end if;
+  if p_from_sy_id is null or p_to_sy_id is null or p_from_sy_id = p_to_sy_id then
+    raise exception 'Pick a different source school year.';
+  end if;
+
+  -- One rollover into a year at a time.
+  perform pg_advisory_xact_lock(hashtext('school_year_rollover:' || p_to_sy_id::text));
+
+  create temp table rollover_sections (
+    from_section_id uuid primary key,
+    to_section_id uuid,
+    section_name text,
+    grade_id uuid,
+    track_id uuid,
+    strand_id uuid,
+    adviser_id uuid
+  ) on commit drop;
+
+  insert into rollover_sections
+  select s.section_id, t.section_id, s.section_name, s.grade_id, s.track_id, s.strand_id,
+         coalesce(sa.adviser_id, s.adviser_id)
+  from public.sections s
+  left join public.section_advisers sa on sa.sy_id = p_from_sy_id and sa.section_id = s.section_id
+  left join lateral (
+    select t.section_id
+    from public.sections t
+    where t.sy_id = p_to_sy_id
+      and lower(trim(t.section_name)) = lower(trim(s.section_name))
+      and t.grade_id is not distinct from s.grade_id
+      and t.strand_id is not distinct from s.strand_id
+    limit 1
+  ) t on true
+  where s.sy_id = p_from_sy_id and not coalesce(s.is_archived, false);
+
+  if 'sections' = any(p_parts) then
+    for v_row in select * from rollover_sections where to_section_id is null loop
+      insert into public.sections (sy_id, section_name, grade_id, track_id, strand_id, adviser_id, is_archived)
+      values (p_to_sy_id, v_row.section_name, v_row.grade_id, v_row.track_id, v_row.strand_id, v_row.adviser_id, false)
+      returning section_id into v_section_id;
+
+      update rollover_sections set to_section_id = v_section_id where from_section_id = v_row.from_section_id;
+      v_summary := jsonb_set(v_summary, '{sections}', to_jsonb((v_summary ->> 'sections')::int + 1));
+    end loop;
+
+    update public.sections t
+    set adviser_id = m.adviser_id
+    from rollover_sections m
+    where t.section_id = m.to_section_id and t.adviser_id is null and m.adviser_id is not null;
+
+    insert into public.section_advisers (sy_id, section_id, adviser_id)
+    select p_to_sy_id, m.to_section_id, t.adviser_id
+    from rollover_sections m
+    join public.sections t on t.section_id = m.to_section_id
+    where t.adviser_id is not null
+    on conflict (sy_id, section_id) do nothing;
+    get diagnostics v_count = row_count;
+    v_summary := jsonb_set(v_summary, '{advisers}', to_jsonb(v_count));
+  end if;
+
+  if 'loads' = any(p_parts) then
+    insert into public.teacher_loads (sy_id, term_id, section_id, subject_id, teacher_id)
+    select p_to_sy_id, l.term_id, m.to_section_id, l.subject_id, l.teacher_id
+    from public.teacher_loads l
+    join rollover_sections m on m.from_section_id = l.section_id and m.to_section_id is not null
+    where l.sy_id = p_from_sy_id
+      and not exists (
+        select 1 from public.teacher_loads x
+        where x.sy_id = p_to_sy_id and x.term_id = l.term_id
+          and x.section_id = m.to_section_id and x.subject_id = l.subject_id
+      );
+    get diagnostics v_count = row_count;
+    v_summary := jsonb_set(v_summary, '{loads}', to_jsonb(v_count));
+  end if;
+
+  -- A copied period keeps its room unless the room is already booked in the target year.
+  if 'schedules' = any(p_parts) then
+    insert into public.section_schedules
+      (sy_id, term_id, section_id, day_of_week, period_no, start_time, end_time, subject_id, teacher_id, room, room_id, notes)
+    select p_to_sy_id, r.term_id, m.to_section_id, r.day_of_week, r.period_no, r.start_time, r.end_time,
+           r.subject_id, r.teacher_id,
+           case when b.booked then null else r.room end,
+           case when b.booked then null else r.room_id end,
+           r.notes
+    from public.section_schedules r
+    join rollover_sections m on m.from_section_id = r.section_id and m.to_section_id is not null
+    cross join lateral (
+      select r.room_id is not null and exists (
+        select 1 from public.section_schedules x
+        where x.room_id = r.room_id and x.sy_id = p_to_sy_id and x.term_id = r.term_id
+          and x.day_of_week = r.day_of_week and x.period_no = r.period_no
+      ) as booked
+    ) b
+    where r.sy_id = p_from_sy_id
+      and not exists (
+        select 1 from public.section_schedules x
+        where x.sy_id = p_to_sy_id and x.term_id = r.term_id and x.section_id = m.to_section_id
+          and x.day_of_week = r.day_of_week and x.period_no = r.period_no
+      );
+    get diagnostics v_count = row_count;
+    v_summary := jsonb_set(v_summary, '{schedules}', to_jsonb(v_count));
+  end if;
+
+  if 'promote' = any(p_parts) then
+    select grade_id into v_grade12 from public.grade_levels where trim(grade_level::text) = '12' limit 1;
+
+    select coalesce(array_agg(st.id), '{}') into v_ids
+    from public.students st
+    join public.grade_levels g on g.grade_id = st.grade_id
+    where st.sy_id = p_from_sy_id and st.status = 'Enrolled' and trim(g.grade_level::text) = '11';
+
+    if v_grade12 is not null and cardinality(v_ids) > 0 then
+      select to_section_id into v_uc from rollover_sections where lower(trim(section_name)) = 'unclassified' limit 1;
+
+      perform 1 from public.students where id = any(v_ids) for update;
+
+      -- Keep the Grade 11 year on record before the students row moves on.
+      insert into public.student_school_years (sy_id, student_id, section_id, grade_id)
+      select p_from_sy_id, st.id, st.section_id, st.grade_id
+      from public.students st
+      where st.id = any(v_ids)
+      on conflict (sy_id, student_id) do update
+        set section_id = excluded.section_id, grade_id = excluded.grade_id;
+
+      update public.students
+      set sy_id = p_to_sy_id, grade_id = v_grade12, section_id = v_uc
+      where id = any(v_ids) and sy_id = p_from_sy_id;
+
+      insert into public.student_school_years (sy_id, student_id, section_id, grade_id)
+      select p_to_sy_id, x.id, v_uc, v_grade12
+      from unnest(v_ids) as x(id)
+      on conflict (sy_id, student_id) do update
+        set section_id = excluded.section_id, grade_id = excluded.grade_id;
+
+      v_summary := jsonb_set(v_summary, '{promoted}', to_jsonb(cardinality(v_ids)));
+    end if;
+  end if;
+
+  if 'graduates' = any(p_parts) then
+    insert into public.student_school_years (sy_id, student_id, section_id, grade_id, is_graduate)
+    select p_from_sy_id, st.id, st.section_id, st.grade_id, true
+    from public.students st
+    join public.grade_levels g on g.grade_id = st.grade_id
+    where st.sy_id = p_from_sy_id and st.status = 'Enrolled' and trim(g.grade_level::text) = '12'
+      and not exists (
+        select 1 from public.student_school_years y
+        where y.sy_id = p_from_sy_id and y.student_id = st.id and y.is_graduate
+      )
+    on conflict (sy_id, student_id) do update
+      set section_id = excluded.section_id, grade_id = excluded.grade_id, is_graduate = true;
+    get diagnostics v_count = row_count;
+    v_summary := jsonb_set(v_summary, '{graduates}', to_jsonb(v_count));
+  end if;
+
+  insert into public.school_year_rollovers (from_sy_id, to_sy_id, summary)
+  values (p_from_sy_id, p_to_sy_id, v_summary);
+
+  return v_summary;
+end;
+$$;
+
+grant execute on function public.school_year_rollover_commit(uuid, uuid, text[]) to authenticated;
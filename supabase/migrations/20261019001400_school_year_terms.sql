@@ -0,0 +1,125 @@
+-- Term lifecycle per school year (School Year • Terms page).
+-- school_year_terms: the dates of each term inside a school year, which one is active
+-- (the default term in schedule views and the calendar feed) and whether it is closed.
+-- A closed term is frozen: its section schedules, teacher loads and grades refuse writes
+-- until the term is reopened.
+
+create table if not exists public.school_year_terms (
+  sy_term_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id) on delete cascade,
+  term_id uuid not null references public.terms (term_id),
+  start_date date,
+  end_date date,
+  is_active boolean not null default false,
+  is_closed boolean not null default false,
+  closed_at timestamptz,
+  closed_by uuid references auth.users (id),
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (sy_id, term_id),
+  check (end_date is null or start_date is null or end_date >= start_date)
+);
+
+-- At most one active term per school year.
+create unique index if not exists school_year_terms_active_key
+  on public.school_year_terms (sy_id) where is_active;
+
+-- Every existing year gets a row per term; the first term is active so today's defaults stay the same.
+insert into public.school_year_terms (sy_id, term_id, is_active)
+select y.sy_id, t.term_id, t.term_code = (select min(term_code) from public.terms)
+from public.school_years y
+cross join public.terms t
+on conflict (sy_id, term_id) do nothing;
+
+create or replace function public.term_is_closed(p_sy_id uuid, p_term_id uuid)
+returns boolean
+language sql
+stable
+as $$
+  select exists (
+    select 1 from public.school_year_terms
+    where sy_id = p_sy_id and term_id = p_term_id and is_closed
+  );
+$$;
+
+-- Shared guard for tables keyed by (sy_id, term_id).
+create or replace function public.term_lock_guard()
+returns trigger
+language plpgsql
+as $$
+begin
+  if tg_op <> 'INSERT' and public.term_is_closed(old.sy_id, old.term_id) then
+    raise exception 'term_closed: This term is closed; % can no longer be changed.', tg_table_name
+      using errcode = '55000';
+  end if;
+  if tg_op <> 'DELETE' and public.term_is_closed(new.sy_id, new.term_id) then
+    raise exception 'term_closed: This term is closed; % can no longer be changed.', tg_table_name
+      using errcode = '55000';
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists section_schedules_term_lock on public.section_schedules;
+create trigger section_schedules_term_lock
+  before insert or update or delete on public.section_schedules
+  for each row execute function public.term_lock_guard();
+
+drop trigger if exists teacher_loads_term_lock on public.teacher_loads;
+create trigger teacher_loads_term_lock
+  before insert or update or delete on public.teacher_loads
+  for each row execute function public.term_lock_guard();
+
+drop trigger if exists grade_items_term_lock on public.grade_items;
+create trigger grade_items_term_lock
+  before insert or update or delete on public.grade_items
+  for each row execute function public.term_lock_guard();
+
+drop trigger if exists grade_records_term_lock on public.grade_records;
+create trigger grade_records_term_lock
+  before insert or update or delete on public.grade_records
+  for each row execute function public.term_lock_guard();
+
+-- grade_scores carries no term of its own; look it up through the item.
+create or replace function public.grade_scores_term_lock()
+returns trigger
+language plpgsql
+as $$
+begin
+  if exists (
+    select 1 from public.grade_items i
+    where i.item_id = coalesce(new.item_id, old.item_id)
+      and public.term_is_closed(i.sy_id, i.term_id)
+  ) then
+    raise exception 'term_closed: This term is closed; grade_scores can no longer be changed.'
+      using errcode = '55000';
+  end if;
+
+  if tg_op = 'DELETE' then
+    return old;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists grade_scores_term_lock on public.grade_scores;
+create trigger grade_scores_term_lock
+  before insert or update or delete on public.grade_scores
+  for each row execute function public.grade_scores_term_lock();
+
+alter table public.school_year_terms enable row level security;
+
+-- Everyone signed in reads term dates (schedule pages pick their default term from here).
+create policy school_year_terms_read on public.school_year_terms
+  for select using (auth.uid() is not null);
+
+create policy school_year_terms_admin_all on public.school_year_terms
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
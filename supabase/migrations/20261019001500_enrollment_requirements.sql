@@ -0,0 +1,303 @@
+-- Enrollment requirements checklist (Pre-enroll uploads + registrar verification).
+-- enrollment_requirements: the configurable list of documents an applicant owes.
+-- enrollment_documents: one row per application × requirement with the uploaded file (or none
+-- when the registrar received it on-site) and its verification state.
+-- An open application (Pending / Incomplete) is "Incomplete" while a required document is
+-- missing or rejected, and back to "Pending" once every required one is in.
+
+create table if not exists public.enrollment_requirements (
+  requirement_id uuid primary key default gen_random_uuid(),
+  code text not null unique,
+  label text not null,
+  description text,
+  is_required boolean not null default true,
+  is_active boolean not null default true,
+  sort_order int not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+insert into public.enrollment_requirements (code, label, description, sort_order)
+values
+  ('psa_birth_certificate', 'PSA Birth Certificate', 'Clear scan or photo of the PSA-issued birth certificate.', 10),
+  ('form_138', 'Form 138 / Report Card (SF9)', 'Latest report card from the previous school.', 20),
+  ('good_moral', 'Good Moral Certificate', 'Signed by the previous school''s principal or guidance office.', 30),
+  ('photo', '2x2 ID Picture', 'Recent photo with white background.', 40)
+on conflict (code) do nothing;
+
+create table if not exists public.enrollment_documents (
+  document_id uuid primary key default gen_random_uuid(),
+  application_id text not null references public.enrollment (application_id) on update cascade on delete cascade,
+  requirement_id uuid not null references public.enrollment_requirements (requirement_id) on delete cascade,
+  file_path text,
+  file_name text,
+  status text not null default 'Submitted' check (status in ('Submitted', 'Verified', 'Rejected')),
+  note text,
+  uploaded_at timestamptz,
+  verified_by uuid references auth.users (id),
+  verified_at timestamptz,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  unique (application_id, requirement_id)
+);
+
+create index if not exists enrollment_documents_requirement_idx
+  on public.enrollment_documents (requirement_id, status);
+
+-- 'Incomplete' while a required, active requirement has no document or a rejected one.
+create or replace function public.enrollment_requirement_status(p_application_id text)
+returns text
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select case
+    when exists (
+      select 1
+      from public.enrollment_requirements r
+      where r.is_active and r.is_required
+        and not exists (
+          select 1 from public.enrollment_documents d
+          where d.application_id = p_application_id
+            and d.requirement_id = r.requirement_id
+            and d.status in ('Submitted', 'Verified')
+        )
+    ) then 'Incomplete'
+    else 'Pending'
+  end;
+$$;
+
+-- Only open applications move between Pending and Incomplete; Approved/Rejected stay put.
+create or replace function public.enrollment_requirements_sync(p_application_id text)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_status text := public.enrollment_requirement_status(p_application_id);
+begin
+  update public.enrollment
+  set st_application_status = v_status,
+      st_updated_at = now()
+  where application_id = p_application_id
+    and st_application_status in ('Pending', 'Incomplete')
+    and st_application_status is distinct from v_status;
+  return v_status;
+end;
+$$;
+
+create or replace function public.enrollment_documents_sync()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.enrollment_requirements_sync(coalesce(new.application_id, old.application_id));
+  return null;
+end;
+$$;
+
+drop trigger if exists enrollment_documents_sync on public.enrollment_documents;
+create trigger enrollment_documents_sync
+  after insert or update or delete on public.enrollment_documents
+  for each row execute function public.enrollment_documents_sync();
+
+-- Changing the checklist re-evaluates every open application.
+create or replace function public.enrollment_requirements_resync()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.enrollment e
+  set st_application_status = public.enrollment_requirement_status(e.application_id),
+      st_updated_at = now()
+  where e.st_application_status in ('Pending', 'Incomplete')
+    and e.st_application_status is distinct from public.enrollment_requirement_status(e.application_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists enrollment_requirements_resync on public.enrollment_requirements;
+create trigger enrollment_requirements_resync
+  after insert or update or delete on public.enrollment_requirements
+  for each statement execute function public.enrollment_requirements_resync();
+
+-- New applications (Pre-enroll, the registrar's form, the bulk import) start out checked against
+-- the list, so one created without its papers is Incomplete from the first minute.
+create or replace function public.enrollment_requirements_on_insert()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  perform public.enrollment_requirements_sync(new.application_id);
+  return null;
+end;
+$$;
+
+drop trigger if exists enrollment_requirements_on_insert on public.enrollment;
+create trigger enrollment_requirements_on_insert
+  after insert on public.enrollment
+  for each row execute function public.enrollment_requirements_on_insert();
+
+-- Applications already open before the checklist existed handed their papers in on-site, so
+-- they start with every current requirement Verified instead of dropping to Incomplete.
+insert into public.enrollment_documents (application_id, requirement_id, status, note, verified_at)
+select e.application_id, r.requirement_id, 'Verified', 'Received before the online checklist', now()
+from public.enrollment e
+cross join public.enrollment_requirements r
+where e.st_application_status = 'Pending'
+  and e.application_id is not null
+  and r.is_active
+on conflict (application_id, requirement_id) do nothing;
+
+-- Pre-enroll is anonymous: uploads are only accepted for an application that is still open.
+create or replace function public.enrollment_accepts_documents(p_application_id text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.enrollment
+    where application_id = p_application_id
+      and st_application_status in ('Pending', 'Incomplete')
+      and not coalesce(is_archived, false)
+  );
+$$;
+
+-- Applicant uploads go under applications/<application_id>/<email key>/, where the key is the
+-- SHA-256 hex of the trimmed, lower-cased email. The storage policy cannot see the email the
+-- applicant typed, so the key in the path is how an upload proves it, as attach_enrollment_documents does.
+create or replace function public.enrollment_email_key(p_email text)
+returns text
+language sql
+immutable
+set search_path = public
+as $$
+  select encode(sha256(convert_to(lower(trim(coalesce(p_email, ''))), 'UTF8')), 'hex');
+$$;
+
+create or replace function public.enrollment_upload_allowed(p_application_id text, p_key text)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.enrollment
+    where application_id = p_application_id
+      and public.enrollment_email_key(st_email) = p_key
+  ) and public.enrollment_accepts_documents(p_application_id);
+$$;
+
+-- Called by PreEnroll after the files are in storage. The email must match the application.
+-- p_documents: [{ "requirement_code": "...", "file_path": "applications/<application_id>/<email key>/...", "file_name": "..." }]
+create or replace function public.attach_enrollment_documents(
+  p_application_id text,
+  p_email text,
+  p_documents jsonb
+)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_doc jsonb;
+  v_requirement_id uuid;
+begin
+  if not exists (
+    select 1 from public.enrollment
+    where application_id = p_application_id
+      and lower(st_email) = lower(trim(p_email))
+  ) or not public.enrollment_accepts_documents(p_application_id) then
+    raise exception 'Application not found or no longer accepting documents.';
+  end if;
+
+  for v_doc in select * from jsonb_array_elements(coalesce(p_documents, '[]'::jsonb))
+  loop
+    if coalesce(v_doc ->> 'file_path', '') not like
+       'applications/' || p_application_id || '/' || public.enrollment_email_key(p_email) || '/%' then
+      raise exception 'Invalid document path.';
+    end if;
+
+    select requirement_id into v_requirement_id
+    from public.enrollment_requirements
+    where code = v_doc ->> 'requirement_code' and is_active;
+
+    if v_requirement_id is null then
+      continue;
+    end if;
+
+    insert into public.enrollment_documents (application_id, requirement_id, file_path, file_name, status, uploaded_at)
+    values (p_application_id, v_requirement_id, v_doc ->> 'file_path', v_doc ->> 'file_name', 'Submitted', now())
+    on conflict (application_id, requirement_id) do update
+      set file_path = excluded.file_path,
+          file_name = excluded.file_name,
+          status = 'Submitted',
+          note = null,
+          uploaded_at = now(),
+          verified_by = null,
+          verified_at = null,
+          updated_at = now()
+    where public.enrollment_documents.status <> 'Verified';
+  end loop;
+
+  return public.enrollment_requirements_sync(p_application_id);
+end;
+$$;
+
+grant execute on function public.attach_enrollment_documents(text, text, jsonb) to anon, authenticated;
+grant execute on function public.enrollment_upload_allowed(text, text) to anon, authenticated;
+
+alter table public.enrollment_requirements enable row level security;
+alter table public.enrollment_documents enable row level security;
+
+-- The pre-enroll form lists the checklist before anyone signs in.
+create policy enrollment_requirements_read on public.enrollment_requirements
+  for select using (true);
+
+create policy enrollment_requirements_admin_all on public.enrollment_requirements
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy enrollment_documents_admin_all on public.enrollment_documents
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+-- Storage: private bucket, files live under applications/<application_id>/... (applicant uploads
+-- one level deeper, under their email key).
+insert into storage.buckets (id, name, public)
+values ('enrollment-documents', 'enrollment-documents', false)
+on conflict (id) do nothing;
+
+create policy enrollment_documents_files_upload on storage.objects
+  for insert with check (
+    bucket_id = 'enrollment-documents'
+    and (storage.foldername(name))[1] = 'applications'
+    and public.enrollment_upload_allowed((storage.foldername(name))[2], (storage.foldername(name))[3])
+  );
+
+create policy enrollment_documents_files_admin on storage.objects
+  for all using (
+    bucket_id = 'enrollment-documents'
+    and exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    bucket_id = 'enrollment-documents'
+    and exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
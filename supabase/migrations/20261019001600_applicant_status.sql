@@ -0,0 +1,238 @@
+-- Applicant self-service status (public /application-status page).
+-- The registrar can reject an application with a reason, or flag fields for the applicant to
+-- fix (st_flagged_fields + st_correction_note). Applicants look their application up by
+-- application_id plus LRN and birthdate and correct the flagged fields in place, so no second
+-- application is created. Application IDs are sequential, so failed matches are throttled per
+-- client IP and per application_id.
+
+alter table public.enrollment
+  add column if not exists st_rejection_reason text,
+  add column if not exists st_flagged_fields text[] not null default '{}',
+  add column if not exists st_correction_note text,
+  add column if not exists st_corrected_at timestamptz;
+
+-- Failed applicant lookups, for the throttle in applicant_match. No policies: only the
+-- security-definer functions below read or write it.
+create table if not exists public.applicant_lookup_failures (
+  id bigint generated always as identity primary key,
+  application_id text,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists applicant_lookup_failures_ip_idx on public.applicant_lookup_failures (ip, created_at desc);
+create index if not exists applicant_lookup_failures_app_idx on public.applicant_lookup_failures (application_id, created_at desc);
+
+alter table public.applicant_lookup_failures enable row level security;
+
+-- application_id + LRN + birthdate; returns the matching application_id or null.
+-- 20 failures from one IP, or 5 against one application_id, in 15 minutes block further
+-- attempts until the window passes. Callers must not raise after a miss, or the recorded
+-- failure is rolled back with them.
+create or replace function public.applicant_match(p_application_id text, p_lrn text, p_bdate date)
+returns text
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_app text := trim(coalesce(p_application_id, ''));
+  v_ip text;
+  v_id text;
+begin
+  -- The platform proxy appends the real client address as the last x-forwarded-for hop;
+  -- earlier entries are whatever the client sent.
+  v_ip := nullif(trim(regexp_replace(
+    coalesce(current_setting('request.headers', true)::json ->> 'x-forwarded-for', ''),
+    '^.*,', ''
+  )), '');
+
+  if (
+    v_ip is not null
+    and (select count(*) from public.applicant_lookup_failures
+         where ip = v_ip and created_at > now() - interval '15 minutes') >= 20
+  ) or (
+    (select count(*) from public.applicant_lookup_failures
+     where application_id = v_app and created_at > now() - interval '15 minutes') >= 5
+  ) then
+    raise exception 'Too many attempts. Please wait 15 minutes and try again.';
+  end if;
+
+  select e.application_id into v_id
+  from public.enrollment e
+  where e.application_id = v_app
+    and not coalesce(e.is_archived, false)
+    and nullif(trim(p_lrn), '') is not null
+    and e.st_lrn = trim(p_lrn)
+    and p_bdate is not null
+    and e.st_bdate::date = p_bdate
+  limit 1;
+
+  if v_id is null then
+    insert into public.applicant_lookup_failures (application_id, ip) values (v_app, v_ip);
+  end if;
+
+  return v_id;
+end;
+$$;
+
+create or replace function public.applicant_status_lookup(p_application_id text, p_lrn text, p_bdate date)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id text := public.applicant_match(p_application_id, p_lrn, p_bdate);
+  v_result jsonb;
+begin
+  if v_id is null then
+    return null;
+  end if;
+
+  select jsonb_build_object(
+    'application_id', e.application_id,
+    'st_fname', e.st_fname,
+    'st_lname', e.st_lname,
+    'status', case when e.user_id is not null then 'Enrolled' else e.st_application_status end,
+    'submitted_at', e.st_submission_date,
+    'updated_at', e.st_updated_at,
+    'scheduled_date', e.st_scheduled_date,
+    'scheduled_time', e.st_scheduled_time,
+    'grade_level', g.grade_level,
+    'track_code', t.track_code,
+    'strand_code', s.strand_code,
+    'rejection_reason', case when e.st_application_status = 'Rejected' then e.st_rejection_reason end,
+    'flagged_fields', to_jsonb(e.st_flagged_fields),
+    'correction_note', e.st_correction_note,
+    'corrected_at', e.st_corrected_at,
+    -- current values, so the page can prefill the fields it asks the applicant to fix
+    'values', jsonb_build_object(
+      'st_fname', e.st_fname,
+      'st_lname', e.st_lname,
+      'st_mi', e.st_mi,
+      'st_ext', e.st_ext,
+      'st_gender', e.st_gender,
+      'st_bdate', e.st_bdate,
+      'st_bplace', e.st_bplace,
+      'st_current_address', e.st_current_address,
+      'st_email', e.st_email,
+      'st_lrn', e.st_lrn,
+      'st_previous_school', e.st_previous_school,
+      'st_father_name', e.st_father_name,
+      'st_mother_name', e.st_mother_name,
+      'st_guardian_name', e.st_guardian_name,
+      'st_guardian_contact', e.st_guardian_contact,
+      'st_guardian_relationship', e.st_guardian_relationship
+    ),
+    'requirements', coalesce((
+      select jsonb_agg(
+        jsonb_build_object(
+          'code', r.code,
+          'label', r.label,
+          'is_required', r.is_required,
+          'status', coalesce(d.status, 'Missing'),
+          'note', d.note
+        )
+        order by r.sort_order, r.label
+      )
+      from public.enrollment_requirements r
+      left join public.enrollment_documents d
+        on d.requirement_id = r.requirement_id and d.application_id = e.application_id
+      where r.is_active
+    ), '[]'::jsonb)
+  )
+  into v_result
+  from public.enrollment e
+  left join public.grade_levels g on g.grade_id = e.grade_id
+  left join public.tracks t on t.track_id = e.track_id
+  left join public.strands s on s.strand_id = e.strand_id
+  where e.application_id = v_id;
+
+  return v_result;
+end;
+$$;
+
+-- Applies only the keys the registrar flagged; everything else in p_changes is ignored.
+create or replace function public.applicant_correct_fields(
+  p_application_id text,
+  p_lrn text,
+  p_bdate date,
+  p_changes jsonb
+)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id text := public.applicant_match(p_application_id, p_lrn, p_bdate);
+  v_flagged text[];
+  v_status text;
+  v_c jsonb := coalesce(p_changes, '{}'::jsonb);
+  v_lrn text;
+  v_bdate date;
+begin
+  -- null rather than an exception, so the failed match stays recorded
+  if v_id is null then
+    return null;
+  end if;
+
+  select st_flagged_fields, st_application_status into v_flagged, v_status
+  from public.enrollment where application_id = v_id;
+
+  if v_status not in ('Pending', 'Incomplete') then
+    raise exception 'This application can no longer be edited.';
+  end if;
+  if coalesce(array_length(v_flagged, 1), 0) = 0 then
+    raise exception 'Nothing on this application needs correcting.';
+  end if;
+
+  -- The LRN and birth date identify the applicant, so they only change when flagged.
+  if 'st_lrn' = any(v_flagged) and v_c ? 'st_lrn' then
+    v_lrn := nullif(trim(v_c ->> 'st_lrn'), '');
+  end if;
+  if 'st_bdate' = any(v_flagged) and v_c ? 'st_bdate' then
+    if coalesce(v_c ->> 'st_bdate', '') !~ '^\d{4}-\d{2}-\d{2}$' then
+      raise exception 'Enter the birth date as YYYY-MM-DD.';
+    end if;
+    begin
+      v_bdate := (v_c ->> 'st_bdate')::date;
+    exception when others then
+      raise exception 'Enter a valid birth date.';
+    end;
+  end if;
+
+  update public.enrollment e set
+    st_fname = case when 'st_fname' = any(v_flagged) and v_c ? 'st_fname' then coalesce(nullif(trim(v_c ->> 'st_fname'), ''), e.st_fname) else e.st_fname end,
+    st_lname = case when 'st_lname' = any(v_flagged) and v_c ? 'st_lname' then coalesce(nullif(trim(v_c ->> 'st_lname'), ''), e.st_lname) else e.st_lname end,
+    st_mi = case when 'st_mi' = any(v_flagged) and v_c ? 'st_mi' then trim(v_c ->> 'st_mi') else e.st_mi end,
+    st_ext = case when 'st_ext' = any(v_flagged) and v_c ? 'st_ext' then trim(v_c ->> 'st_ext') else e.st_ext end,
+    st_gender = case when 'st_gender' = any(v_flagged) and v_c ? 'st_gender' then v_c ->> 'st_gender' else e.st_gender end,
+    st_bdate = coalesce(v_bdate, e.st_bdate),
+    st_bplace = case when 'st_bplace' = any(v_flagged) and v_c ? 'st_bplace' then trim(v_c ->> 'st_bplace') else e.st_bplace end,
+    st_current_address = case when 'st_current_address' = any(v_flagged) and v_c ? 'st_current_address' then trim(v_c ->> 'st_current_address') else e.st_current_address end,
+    st_email = case when 'st_email' = any(v_flagged) and v_c ? 'st_email' then lower(trim(v_c ->> 'st_email')) else e.st_email end,
+    st_lrn = coalesce(v_lrn, e.st_lrn),
+    st_previous_school = case when 'st_previous_school' = any(v_flagged) and v_c ? 'st_previous_school' then trim(v_c ->> 'st_previous_school') else e.st_previous_school end,
+    st_father_name = case when 'st_father_name' = any(v_flagged) and v_c ? 'st_father_name' then trim(v_c ->> 'st_father_name') else e.st_father_name end,
+    st_mother_name = case when 'st_mother_name' = any(v_flagged) and v_c ? 'st_mother_name' then trim(v_c ->> 'st_mother_name') else e.st_mother_name end,
+    st_guardian_name = case when 'st_guardian_name' = any(v_flagged) and v_c ? 'st_guardian_name' then trim(v_c ->> 'st_guardian_name') else e.st_guardian_name end,
+    st_guardian_contact = case when 'st_guardian_contact' = any(v_flagged) and v_c ? 'st_guardian_contact' then trim(v_c ->> 'st_guardian_contact') else e.st_guardian_contact end,
+    st_guardian_relationship = case when 'st_guardian_relationship' = any(v_flagged) and v_c ? 'st_guardian_relationship' then trim(v_c ->> 'st_guardian_relationship') else e.st_guardian_relationship end,
+    st_flagged_fields = array(select f from unnest(v_flagged) f where not v_c ? f),
+    st_corrected_at = now(),
+    st_updated_at = now()
+  where e.application_id = v_id;
+
+  return public.applicant_status_lookup(
+    p_application_id,
+    coalesce(v_lrn, p_lrn),
+    coalesce(v_bdate, p_bdate)
+  );
+end;
+$$;
+
+grant execute on function public.applicant_status_lookup(text, text, date) to anon, authenticated;
+grant execute on function public.applicant_correct_fields(text, text, date, jsonb) to anon, authenticated;
+revoke execute on function public.applicant_match(text, text, date) from public, anon, authenticated;
@@ -0,0 +1,240 @@
+-- Planned section auto-assignment (Sections page).
+-- sections.capacity replaces the hard-coded 40 per section.
+-- section_assignment_constraints: keep-together / keep-apart pairs of students for one year.
+-- section_assignment_runs + items record every applied run with each student's previous
+-- placement, so a run can be rolled back.
+
+alter table public.sections
+  add column if not exists capacity int not null default 40;
+
+alter table public.sections
+  drop constraint if exists sections_capacity_check;
+alter table public.sections
+  add constraint sections_capacity_check check (capacity > 0);
+
+create table if not exists public.section_assignment_constraints (
+  constraint_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id) on delete cascade,
+  kind text not null check (kind in ('together', 'apart')),
+  student_a uuid not null references public.students (id) on delete cascade,
+  student_b uuid not null references public.students (id) on delete cascade,
+  note text,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  check (student_a <> student_b)
+);
+
+-- One rule per pair and kind, whichever order the pair was entered in.
+create unique index if not exists section_assignment_constraints_pair_key
+  on public.section_assignment_constraints (sy_id, kind, least(student_a, student_b), greatest(student_a, student_b));
+
+create table if not exists public.section_assignment_runs (
+  run_id uuid primary key default gen_random_uuid(),
+  sy_id uuid not null references public.school_years (sy_id) on delete cascade,
+  summary jsonb not null default '{}'::jsonb,
+  created_by uuid references auth.users (id) default auth.uid(),
+  created_at timestamptz not null default now(),
+  rolled_back_at timestamptz,
+  rolled_back_by uuid references auth.users (id)
+);
+
+create index if not exists section_assignment_runs_sy_idx on public.section_assignment_runs (sy_id, created_at desc);
+
+-- from_section_id: students.section_id before the run.
+-- had_year_row / from_year_section_id: the student_school_years row before the run.
+create table if not exists public.section_assignment_run_items (
+  run_id uuid not null references public.section_assignment_runs (run_id) on delete cascade,
+  student_id uuid not null references public.students (id) on delete cascade,
+  from_section_id uuid references public.sections (section_id) on delete set null,
+  to_section_id uuid not null references public.sections (section_id) on delete cascade,
+  had_year_row boolean not null default false,
+  from_year_section_id uuid references public.sections (section_id) on delete set null,
+  reason text,
+  primary key (run_id, student_id)
+);
+
+alter table public.section_assignment_constraints enable row level security;
+alter table public.section_assignment_runs enable row level security;
+alter table public.section_assignment_run_items enable row level security;
+
+create policy section_assignment_constraints_admin_all on public.section_assignment_constraints
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy section_assignment_runs_admin_all on public.section_assignment_runs
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create policy section_assignment_run_items_admin_all on public.section_assignment_run_items
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+-- Applying and rolling back a run each happen in one transaction, so a failure part-way
+-- leaves every student where they were.
+
+-- p_items: [{ student_id, to_section_id, reason }]. Previous placements are read here, under
+-- row locks, rather than trusted from the client. Returns the run_id.
+create or replace function public.section_assignment_apply(p_sy_id uuid, p_summary jsonb, p_items jsonb)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run_id uuid;
+  v_count integer;
+  v_full text;
+begin
+  if not exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+     or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Not allowed.';
+  end if;
+  if coalesce(jsonb_array_length(p_items), 0) = 0 then
+    raise exception 'Nothing to assign.';
+  end if;
+
+  if exists (
+    select 1 from jsonb_to_recordset(p_items) as x(to_section_id uuid)
+    left join public.sections s on s.section_id = x.to_section_id and s.sy_id = p_sy_id and not coalesce(s.is_archived, false)
+    where s.section_id is null
+  ) then
+    raise exception 'A target section is missing, archived or belongs to another school year.';
+  end if;
+
+  perform 1 from public.students st
+  where st.sy_id = p_sy_id
+    and st.id in (select x.student_id from jsonb_to_recordset(p_items) as x(student_id uuid))
+  for update;
+  get diagnostics v_count = row_count;
+  if v_count <> (select count(distinct x.student_id) from jsonb_to_recordset(p_items) as x(student_id uuid)) then
+    raise exception 'Some students are no longer enrolled in this school year. Refresh and try again.';
+  end if;
+
+  -- Capacity is checked again here: sections may have filled up since the preview.
+  perform 1 from public.sections
+  where section_id in (select x.to_section_id from jsonb_to_recordset(p_items) as x(to_section_id uuid))
+  for update;
+
+  select s.section_name into v_full
+  from public.sections s
+  join (
+    select x.to_section_id, count(distinct x.student_id) as incoming
+    from jsonb_to_recordset(p_items) as x(student_id uuid, to_section_id uuid)
+    group by x.to_section_id
+  ) i on i.to_section_id = s.section_id
+  where i.incoming + (
+    select count(*) from public.students st
+    where st.sy_id = p_sy_id and st.status = 'Enrolled' and st.section_id = s.section_id
+      and st.id not in (select x.student_id from jsonb_to_recordset(p_items) as x(student_id uuid))
+  ) > s.capacity
+  order by s.section_name
+  limit 1;
+  if v_full is not null then
+    raise exception 'Section % would go over capacity. Refresh and try again.', v_full;
+  end if;
+
+  insert into public.section_assignment_runs (sy_id, summary)
+  values (p_sy_id, coalesce(p_summary, '{}'::jsonb))
+  returning run_id into v_run_id;
+
+  insert into public.section_assignment_run_items
+    (run_id, student_id, from_section_id, to_section_id, had_year_row, from_year_section_id, reason)
+  select distinct on (x.student_id)
+    v_run_id, x.student_id, st.section_id, x.to_section_id, y.student_id is not null, y.section_id, x.reason
+  from jsonb_to_recordset(p_items) as x(student_id uuid, to_section_id uuid, reason text)
+  join public.students st on st.id = x.student_id
+  left join public.student_school_years y on y.sy_id = p_sy_id and y.student_id = x.student_id
+  order by x.student_id;
+
+  update public.students st
+  set section_id = i.to_section_id
+  from public.section_assignment_run_items i
+  where i.run_id = v_run_id and st.id = i.student_id and st.sy_id = p_sy_id;
+
+  insert into public.student_school_years (sy_id, student_id, section_id, grade_id)
+  select p_sy_id, i.student_id, i.to_section_id, st.grade_id
+  from public.section_assignment_run_items i
+  join public.students st on st.id = i.student_id
+  where i.run_id = v_run_id
+  on conflict (sy_id, student_id) do update
+    set section_id = excluded.section_id,
+        grade_id = coalesce(excluded.grade_id, public.student_school_years.grade_id);
+
+  return v_run_id;
+end;
+$$;
+
+-- Puts every student of a run back where they were. Students moved by hand since the run are
+-- left alone and counted in `kept`. Returns { reverted, kept }.
+create or replace function public.section_assignment_rollback(p_run_id uuid)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_run public.section_assignment_runs%rowtype;
+  v_ids uuid[];
+  v_total integer;
+begin
+  if not exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+     or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Not allowed.';
+  end if;
+
+  select * into v_run from public.section_assignment_runs where run_id = p_run_id for update;
+  if not found then
+    raise exception 'Assignment run not found.';
+  end if;
+  if v_run.rolled_back_at is not null then
+    raise exception 'This run was already rolled back.';
+  end if;
+
+  select count(*) into v_total from public.section_assignment_run_items where run_id = p_run_id;
+
+  perform 1 from public.students
+  where id in (select student_id from public.section_assignment_run_items where run_id = p_run_id)
+  for update;
+
+  -- Only students still in the section this run put them in; the rest were moved since.
+  select coalesce(array_agg(i.student_id), '{}') into v_ids
+  from public.section_assignment_run_items i
+  join public.students st on st.id = i.student_id and st.sy_id = v_run.sy_id
+  where i.run_id = p_run_id
+    and st.section_id is not distinct from i.to_section_id;
+
+  update public.students st
+  set section_id = i.from_section_id
+  from public.section_assignment_run_items i
+  where i.run_id = p_run_id and i.student_id = any(v_ids) and st.id = i.student_id and st.sy_id = v_run.sy_id;
+
+  update public.student_school_years y
+  set section_id = i.from_year_section_id
+  from public.section_assignment_run_items i
+  where i.run_id = p_run_id and i.student_id = any(v_ids) and i.had_year_row
+    and y.sy_id = v_run.sy_id and y.student_id = i.student_id;
+
+  delete from public.student_school_years y
+  using public.section_assignment_run_items i
+  where i.run_id = p_run_id and i.student_id = any(v_ids) and not i.had_year_row
+    and y.sy_id = v_run.sy_id and y.student_id = i.student_id;
+
+  update public.section_assignment_runs
+  set rolled_back_at = now(), rolled_back_by = auth.uid()
+  where run_id = p_run_id;
+
+  return jsonb_build_object('reverted', cardinality(v_ids), 'kept', v_total - cardinality(v_ids));
+end;
+$$;
+
+grant execute on function public.section_assignment_apply(uuid, jsonb, jsonb) to authenticated;
+grant execute on function public.section_assignment_rollback(uuid) to authenticated;
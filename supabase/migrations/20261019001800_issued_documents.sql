@@ -0,0 +1,56 @@
+-- Issued student records (Form 137 / permanent record transcripts).
+-- Every generated transcript gets a random document_id printed on the PDF, with a snapshot of
+-- what was printed (summary) and a SHA-256 of the grade lines (content_hash). Anyone holding
+-- the paper can look the ID up on the public /verify-document page; the registrar can revoke it.
+
+create table if not exists public.issued_documents (
+  document_id text primary key
+    default 'F137-' || upper(substr(replace(gen_random_uuid()::text, '-', ''), 1, 12)),
+  kind text not null default 'form137' check (kind in ('form137')),
+  student_id uuid references public.students (id) on delete set null,
+  student_name text not null,
+  student_number text,
+  summary jsonb not null default '{}'::jsonb,
+  content_hash text not null,
+  issued_by uuid references auth.users (id) default auth.uid(),
+  issued_at timestamptz not null default now(),
+  revoked_at timestamptz,
+  revoked_by uuid references auth.users (id),
+  revoke_reason text
+);
+
+create index if not exists issued_documents_student_idx on public.issued_documents (student_id, issued_at desc);
+
+alter table public.issued_documents enable row level security;
+
+create policy issued_documents_admin_all on public.issued_documents
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+-- Public lookup by document ID; returns null when the ID is unknown.
+create or replace function public.verify_issued_document(p_document_id text)
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select jsonb_build_object(
+    'document_id', d.document_id,
+    'kind', d.kind,
+    'student_name', d.student_name,
+    'student_number', d.student_number,
+    'summary', d.summary,
+    'content_hash', d.content_hash,
+    'issued_at', d.issued_at,
+    'revoked_at', d.revoked_at,
+    'revoke_reason', d.revoke_reason
+  )
+  from public.issued_documents d
+  where d.document_id = upper(trim(p_document_id));
+$$;
+
+grant execute on function public.verify_issued_document(text) to anon, authenticated;
@@ -0,0 +1,298 @@
+-- Parent / guardian portal.
+-- Guardians create their own account from /guardian-signup (profiles.role = 'guardian') and
+-- ask to be linked to a student with the student number plus the LRN and birthdate on the
+-- enrollment form. The registrar approves or revokes each link; only Active links grant
+-- read-only access to the child's schedule, announcements, attendance and grades.
+
+create table if not exists public.guardian_links (
+  link_id uuid primary key default gen_random_uuid(),
+  guardian_id uuid not null references auth.users (id) on delete cascade,
+  student_id uuid not null references public.students (id) on delete cascade,
+  relationship text,
+  guardian_name text,
+  guardian_email text,
+  status text not null default 'Pending' check (status in ('Pending', 'Active', 'Revoked')),
+  requested_at timestamptz not null default now(),
+  reviewed_by uuid references auth.users (id),
+  reviewed_at timestamptz,
+  review_note text
+);
+
+create unique index if not exists guardian_links_pair_key on public.guardian_links (guardian_id, student_id);
+create index if not exists guardian_links_student_idx on public.guardian_links (student_id, status);
+
+alter table public.guardian_links enable row level security;
+
+-- Guardians see their own requests; rows are only created through guardian_request_link().
+create policy guardian_links_own_read on public.guardian_links
+  for select using (guardian_id = auth.uid());
+
+create policy guardian_links_admin_all on public.guardian_links
+  for all using (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  ) with check (
+    exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+  );
+
+create or replace function public.is_guardian_of(p_student_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.guardian_links gl
+    where gl.guardian_id = auth.uid() and gl.student_id = p_student_id and gl.status = 'Active'
+  );
+$$;
+
+-- Self sign-up only ever creates guardian profiles; every other role is still provisioned by staff.
+create or replace function public.guardian_signup_profile()
+returns trigger
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  if coalesce(new.raw_user_meta_data ->> 'role', '') = 'guardian' then
+    insert into public.profiles (user_id, email, full_name, role, is_active, is_archived, must_change_password)
+    values (
+      new.id,
+      lower(new.email),
+      nullif(trim(new.raw_user_meta_data ->> 'full_name'), ''),
+      'guardian',
+      true,
+      false,
+      false
+    )
+    on conflict (user_id) do nothing;
+  end if;
+  return new;
+end;
+$$;
+
+drop trigger if exists guardian_signup_profile on auth.users;
+create trigger guardian_signup_profile
+  after insert on auth.users
+  for each row execute function public.guardian_signup_profile();
+
+-- Returns the link_id. Re-requesting an existing Pending/Active link is a no-op; a Revoked
+-- link stays revoked until the registrar reopens it.
+create or replace function public.guardian_request_link(
+  p_student_number text,
+  p_lrn text,
+  p_bdate date,
+  p_relationship text
+)
+returns uuid
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_profile public.profiles;
+  v_student_id uuid;
+  v_link public.guardian_links;
+begin
+  select * into v_profile from public.profiles where user_id = auth.uid();
+  if v_profile.role is distinct from 'guardian' then
+    raise exception 'Only guardian accounts can link students.';
+  end if;
+
+  select s.id into v_student_id
+  from public.students s
+  join public.enrollment e on e.user_id = s.user_id
+  where s.student_number = trim(p_student_number)
+    and e.st_lrn = trim(p_lrn)
+    and e.st_bdate::date = p_bdate
+  limit 1;
+
+  if v_student_id is null then
+    raise exception 'No student matches that student number, LRN and birthdate.';
+  end if;
+
+  select * into v_link from public.guardian_links
+  where guardian_id = auth.uid() and student_id = v_student_id;
+
+  if found then
+    if v_link.status = 'Revoked' then
+      raise exception 'This link was revoked by the registrar. Please contact the school.';
+    end if;
+    return v_link.link_id;
+  end if;
+
+  insert into public.guardian_links (guardian_id, student_id, relationship, guardian_name, guardian_email)
+  values (auth.uid(), v_student_id, nullif(trim(p_relationship), ''), v_profile.full_name, v_profile.email)
+  returning link_id into v_link.link_id;
+
+  return v_link.link_id;
+end;
+$$;
+
+-- The guardian's links; placement details are only filled in for Active links.
+create or replace function public.guardian_children()
+returns jsonb
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(jsonb_agg(jsonb_build_object(
+    'link_id', gl.link_id,
+    'status', gl.status,
+    'relationship', gl.relationship,
+    'requested_at', gl.requested_at,
+    'review_note', gl.review_note,
+    'student_id', gl.student_id,
+    'student_number', s.student_number,
+    'first_name', s.first_name,
+    'last_name', s.last_name,
+    'sy_id', case when gl.status = 'Active' then s.sy_id end,
+    'sy_code', case when gl.status = 'Active' then sy.sy_code end,
+    'section_id', case when gl.status = 'Active' then s.section_id end,
+    'section_name', case when gl.status = 'Active' then sec.section_name end,
+    'grade_level', case when gl.status = 'Active' then g.grade_level end,
+    'strand_code', case when gl.status = 'Active' then st.strand_code end
+  ) order by gl.status = 'Active' desc, s.last_name, s.first_name), '[]'::jsonb)
+  from public.guardian_links gl
+  join public.students s on s.id = gl.student_id
+  left join public.school_years sy on sy.sy_id = s.sy_id
+  left join public.sections sec on sec.section_id = s.section_id
+  left join public.grade_levels g on g.grade_id = s.grade_id
+  left join public.strands st on st.strand_id = s.strand_id
+  where gl.guardian_id = auth.uid();
+$$;
+
+-- Weekly class schedule of the child's section; defaults to the year's active term.
+create or replace function public.guardian_child_schedule(p_student_id uuid, p_term_id uuid default null)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_student public.students;
+  v_term_id uuid := p_term_id;
+begin
+  if not public.is_guardian_of(p_student_id) then
+    raise exception 'You are not linked to this student.';
+  end if;
+
+  select * into v_student from public.students where id = p_student_id;
+
+  if v_term_id is null then
+    select syt.term_id into v_term_id
+    from public.school_year_terms syt
+    join public.terms t on t.term_id = syt.term_id
+    where syt.sy_id = v_student.sy_id
+    order by syt.is_active desc, t.term_code
+    limit 1;
+  end if;
+
+  return jsonb_build_object(
+    'term_id', v_term_id,
+    'terms', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'term_id', t.term_id, 'term_code', t.term_code, 'is_active', syt.is_active
+      ) order by t.term_code), '[]'::jsonb)
+      from public.school_year_terms syt
+      join public.terms t on t.term_id = syt.term_id
+      where syt.sy_id = v_student.sy_id
+    ),
+    'rows', (
+      select coalesce(jsonb_agg(jsonb_build_object(
+        'schedule_id', ss.schedule_id,
+        'day_of_week', ss.day_of_week,
+        'period_no', ss.period_no,
+        'start_time', ss.start_time,
+        'end_time', ss.end_time,
+        'room', ss.room,
+        'subject_code', sub.subject_code,
+        'subject_title', sub.subject_title,
+        'teacher_name', nullif(trim(concat_ws(' ', te.first_name, te.last_name)), '')
+      ) order by ss.day_of_week, ss.period_no), '[]'::jsonb)
+      from public.section_schedules ss
+      left join public.subjects sub on sub.subject_id = ss.subject_id
+      left join public.teachers te on te.user_id = ss.teacher_id
+      where ss.sy_id = v_student.sy_id
+        and ss.section_id = v_student.section_id
+        and ss.term_id = v_term_id
+    )
+  );
+end;
+$$;
+
+-- Same audience rules as the student Announcements page: All Students, the child's section,
+-- and "My Students" posts from the child's adviser or subject teachers.
+create or replace function public.guardian_child_announcements(p_student_id uuid)
+returns jsonb
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_student public.students;
+begin
+  if not public.is_guardian_of(p_student_id) then
+    raise exception 'You are not linked to this student.';
+  end if;
+
+  select * into v_student from public.students where id = p_student_id;
+
+  return (
+    select coalesce(jsonb_agg(jsonb_build_object(
+      'id', a.id,
+      'title', a.title,
+      'content', a.content,
+      'priority', a.priority,
+      'target_audience', a.target_audience,
+      'posted_at', a.posted_at,
+      'poster_name', case
+        when a.posted_by_teacher_id is not null
+          then coalesce(nullif(trim(concat_ws(' ', te.first_name, te.last_name)), ''), 'Teacher')
+        else 'School Admin'
+      end
+    ) order by a.posted_at desc), '[]'::jsonb)
+    from public.announcements a
+    left join public.teachers te on te.user_id = a.posted_by_teacher_id
+    where a.status = 'Published'
+      and not coalesce(a.is_archived, false)
+      and a.sy_id = v_student.sy_id
+      and (
+        a.target_audience = 'All Students'
+        or (a.target_audience = 'Section Students' and a.section_id = v_student.section_id)
+        or (
+          a.target_audience = 'My Students'
+          and coalesce(a.posted_by_role, 'teacher') = 'teacher'
+          and a.posted_by_teacher_id is not null
+          and (
+            exists (
+              select 1 from public.section_advisers sa
+              where sa.sy_id = v_student.sy_id and sa.section_id = v_student.section_id
+                and sa.adviser_id = a.posted_by_teacher_id
+            )
+            or exists (
+              select 1 from public.section_schedules ss
+              where ss.sy_id = v_student.sy_id and ss.section_id = v_student.section_id
+                and ss.teacher_id = a.posted_by_teacher_id
+            )
+          )
+        )
+      )
+  );
+end;
+$$;
+
+grant execute on function public.guardian_request_link(text, text, date, text) to authenticated;
+grant execute on function public.guardian_children() to authenticated;
+grant execute on function public.guardian_child_schedule(uuid, uuid) to authenticated;
+grant execute on function public.guardian_child_announcements(uuid) to authenticated;
+
+create policy attendance_guardian_read on public.attendance_records
+  for select using (public.is_guardian_of(attendance_records.student_id));
+
+create policy grade_records_guardian_read on public.grade_records
+  for select using (public.is_guardian_of(grade_records.student_id));
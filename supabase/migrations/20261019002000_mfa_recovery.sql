@@ -0,0 +1,239 @@
+-- Two-factor sign-in for admin, super_admin and dev accounts.
+-- TOTP factors live in Supabase Auth (auth.mfa_factors); this migration adds one-time recovery
+-- codes (stored as SHA-256 hashes) and the reset paths for a lost authenticator: redeeming a
+-- recovery code, or a privileged account resetting another user's factors.
+-- The second factor is enforced in the database too, not only by RequireRole: a restrictive
+-- policy on every staff-managed table refuses admin / super_admin / dev sessions that have not
+-- reached aal2, so a stolen password alone cannot read or write through PostgREST.
+
+create table if not exists public.mfa_recovery_codes (
+  id uuid primary key default gen_random_uuid(),
+  user_id uuid not null references auth.users (id) on delete cascade,
+  code_hash text not null,
+  used_at timestamptz,
+  created_at timestamptz not null default now()
+);
+
+create unique index if not exists mfa_recovery_codes_user_hash_key on public.mfa_recovery_codes (user_id, code_hash);
+
+alter table public.mfa_recovery_codes enable row level security;
+
+-- Owners may count what is left; codes are only written through the functions below.
+create policy mfa_recovery_codes_own_read on public.mfa_recovery_codes
+  for select using (user_id = auth.uid());
+
+create or replace function public.mfa_is_privileged(p_user_id uuid)
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select exists (
+    select 1 from public.profiles p
+    where p.user_id = p_user_id and p.role in ('admin', 'super_admin', 'dev')
+  );
+$$;
+
+-- Privileged caller whose session passed the TOTP step (lock, session and MFA RPCs).
+create or replace function public.is_staff_aal2()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(auth.jwt() ->> 'aal', '') = 'aal2' and public.mfa_is_privileged(auth.uid());
+$$;
+
+-- False only for a privileged account whose session has not passed the TOTP step. Students,
+-- teachers, guardians and anon are unaffected.
+create or replace function public.staff_mfa_ok()
+returns boolean
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select coalesce(auth.jwt() ->> 'aal', '') = 'aal2' or not public.mfa_is_privileged(auth.uid());
+$$;
+
+-- Replaces the caller's recovery codes. Needs a session that already passed the TOTP step.
+create or replace function public.mfa_set_recovery_codes(p_hashes text[])
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Verify your authenticator code first.';
+  end if;
+  if coalesce(array_length(p_hashes, 1), 0) = 0 then
+    raise exception 'No recovery codes given.';
+  end if;
+
+  delete from public.mfa_recovery_codes where user_id = auth.uid();
+
+  insert into public.mfa_recovery_codes (user_id, code_hash)
+  select auth.uid(), h from unnest(p_hashes) as t(h)
+  on conflict do nothing;
+  get diagnostics v_count = row_count;
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'mfa_recovery_codes_generated', 'auth_user', 'Generated new MFA recovery codes',
+          jsonb_build_object('user_id', auth.uid(), 'count', v_count));
+
+  return v_count;
+end;
+$$;
+
+-- Spends one unused recovery code and removes the caller's factors so a new authenticator can
+-- be enrolled. Returns false when the code is unknown or already used.
+create or replace function public.mfa_redeem_recovery_code(p_code_hash text)
+returns boolean
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id uuid;
+begin
+  update public.mfa_recovery_codes
+  set used_at = now()
+  where id = (
+    select id from public.mfa_recovery_codes
+    where user_id = auth.uid() and code_hash = p_code_hash and used_at is null
+    limit 1
+  )
+  returning id into v_id;
+
+  if v_id is null then
+    insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+    values (auth.uid(), 'mfa_recovery_code_rejected', 'auth_user', 'Invalid MFA recovery code',
+            jsonb_build_object('user_id', auth.uid()));
+    return false;
+  end if;
+
+  delete from auth.mfa_factors where user_id = auth.uid();
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'mfa_recovery_code_used', 'auth_user', 'Signed in with an MFA recovery code; authenticator removed',
+          jsonb_build_object('user_id', auth.uid()));
+
+  return true;
+end;
+$$;
+
+-- Lost device: a privileged account (itself past MFA) clears another user's factors and
+-- recovery codes and signs them out everywhere; they enroll again at their next sign-in.
+-- Admins cannot reset super_admin or dev accounts.
+create or replace function public.mfa_admin_reset(p_user_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_caller text;
+  v_target text;
+begin
+  select role into v_caller from public.profiles where user_id = auth.uid();
+  select role into v_target from public.profiles where user_id = p_user_id;
+
+  if v_caller is null or v_caller not in ('admin', 'super_admin', 'dev') then
+    raise exception 'Not allowed.';
+  end if;
+  if coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Verify your own authenticator code first.';
+  end if;
+  if p_user_id = auth.uid() then
+    raise exception 'Use a recovery code to reset your own authenticator.';
+  end if;
+  if v_caller = 'admin' and v_target in ('super_admin', 'dev') then
+    raise exception 'Only a super admin or dev can reset this account.';
+  end if;
+
+  delete from auth.mfa_factors where user_id = p_user_id;
+  delete from public.mfa_recovery_codes where user_id = p_user_id;
+  delete from auth.sessions where user_id = p_user_id;
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'mfa_reset', 'auth_user', 'Reset two-factor authentication for a lost device',
+          jsonb_build_object('user_id', p_user_id, 'role', v_target));
+end;
+$$;
+
+-- Per-user MFA state for the management screens.
+create or replace function public.mfa_factor_status(p_user_ids uuid[])
+returns table (user_id uuid, enrolled boolean, recovery_left integer)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_staff_aal2() then
+    raise exception 'Not allowed.';
+  end if;
+
+  return query
+  select
+    u.id,
+    exists (select 1 from auth.mfa_factors f where f.user_id = u.id and f.status = 'verified'),
+    (select count(*)::integer from public.mfa_recovery_codes c where c.user_id = u.id and c.used_at is null)
+  from unnest(p_user_ids) as u(id);
+end;
+$$;
+
+grant execute on function public.mfa_set_recovery_codes(text[]) to authenticated;
+grant execute on function public.mfa_redeem_recovery_code(text) to authenticated;
+grant execute on function public.mfa_admin_reset(uuid) to authenticated;
+grant execute on function public.mfa_factor_status(uuid[]) to authenticated;
+grant execute on function public.is_staff_aal2() to authenticated;
+
+-- Restrictive, so it narrows every existing permissive policy instead of widening any.
+do $$
+declare
+  t text;
+begin
+  foreach t in array array[
+    -- base tables managed from the admin screens
+    'students', 'teachers', 'admins', 'enrollment', 'sections', 'section_advisers',
+    'section_schedules', 'class_schedules', 'classes', 'subjects', 'school_years', 'terms',
+    'grade_levels', 'tracks', 'strands', 'student_school_years', 'announcements',
+    'calendar_events', 'activity_logs',
+    -- tables added in this series
+    'grade_items', 'grade_scores', 'grade_records', 'attendance_records',
+    'calendar_event_exceptions', 'teacher_loads', 'teacher_unavailable_periods', 'rooms',
+    'teacher_qualifications', 'school_year_rollovers', 'school_year_terms',
+    'enrollment_requirements', 'enrollment_documents', 'section_assignment_constraints',
+    'section_assignment_runs', 'section_assignment_run_items', 'issued_documents', 'guardian_links'
+  ]
+  loop
+    if to_regclass('public.' || t) is not null then
+      execute format('drop policy if exists %I on public.%I', t || '_staff_aal2', t);
+      execute format(
+        'create policy %I on public.%I as restrictive for all to authenticated '
+        'using ((select public.staff_mfa_ok())) with check ((select public.staff_mfa_ok()))',
+        t || '_staff_aal2', t
+      );
+    end if;
+  end loop;
+end;
+$$;
+
+-- Own profile stays readable at aal1: RequireRole needs the role to send staff to the TOTP step.
+drop policy if exists profiles_staff_aal2 on public.profiles;
+create policy profiles_staff_aal2 on public.profiles
+  as restrictive for all to authenticated
+  using (user_id = auth.uid() or (select public.staff_mfa_ok()))
+  with check ((select public.staff_mfa_ok()));
+
+drop policy if exists storage_objects_staff_aal2 on storage.objects;
+create policy storage_objects_staff_aal2 on storage.objects
+  as restrictive for all to authenticated
+  using ((select public.staff_mfa_ok()))
+  with check ((select public.staff_mfa_ok()));
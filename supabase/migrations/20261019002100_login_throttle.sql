@@ -0,0 +1,224 @@
+-- Throttling and lockout for student-number sign-in.
+-- The student-login edge function calls login_throttle_attempt before checking the password
+-- itself and settles the attempt with login_throttle_record. The check and the
+-- reservation happen in one locked statement: an allowed attempt counts as a failure until it is
+-- reported as a success, so parallel requests cannot all slip past the limits. Failures are
+-- tracked per student number and per client IP:
+--   * from the 3rd failure in a 15-minute window each attempt waits 2^(n-3) seconds (max 30)
+--   * the 10th failure locks the student number for 15 minutes (until a registrar unlocks it)
+--   * 30 failures from one IP in 15 minutes block that IP for 15 minutes
+-- Failed attempts, lockouts and unlocks are written to activity_logs.
+
+create table if not exists public.login_account_locks (
+  student_number text primary key,
+  failed_count integer not null default 0,
+  last_failed_at timestamptz,
+  locked_until timestamptz,
+  last_ip text,
+  updated_at timestamptz not null default now()
+);
+
+create table if not exists public.login_failures (
+  id bigint generated always as identity primary key,
+  student_number text not null,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists login_failures_ip_idx on public.login_failures (ip, created_at desc);
+
+alter table public.login_account_locks enable row level security;
+alter table public.login_failures enable row level security;
+
+create policy login_account_locks_admin_read on public.login_account_locks
+  for select using (public.is_staff_aal2());
+
+-- { allowed, reason: null | 'delay' | 'locked' | 'ip', retry_after_seconds, locked_until, attempt_id }
+-- Concurrent attempts for one student number (and one IP) wait on an advisory lock, so each
+-- sees the failures reserved before it.
+create or replace function public.login_throttle_attempt(p_student_number text, p_ip text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sn text := upper(trim(coalesce(p_student_number, '')));
+  v_ip text := nullif(trim(p_ip), '');
+  v_lock public.login_account_locks;
+  v_ip_failures integer;
+  v_ip_last timestamptz;
+  v_wait integer;
+  v_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('student_login:' || v_sn));
+  if v_ip is not null then
+    perform pg_advisory_xact_lock(hashtext('student_login_ip:' || v_ip));
+  end if;
+
+  select * into v_lock from public.login_account_locks where student_number = v_sn;
+
+  if v_lock.locked_until > now() then
+    return jsonb_build_object(
+      'allowed', false,
+      'reason', 'locked',
+      'retry_after_seconds', ceil(extract(epoch from v_lock.locked_until - now()))::integer,
+      'locked_until', v_lock.locked_until
+    );
+  end if;
+
+  if v_ip is not null then
+    select count(*), max(created_at) into v_ip_failures, v_ip_last
+    from public.login_failures
+    where ip = v_ip and created_at > now() - interval '15 minutes';
+
+    if v_ip_failures >= 30 then
+      return jsonb_build_object(
+        'allowed', false,
+        'reason', 'ip',
+        'retry_after_seconds', ceil(extract(epoch from v_ip_last + interval '15 minutes' - now()))::integer
+      );
+    end if;
+  end if;
+
+  if v_lock.failed_count >= 3 and v_lock.last_failed_at > now() - interval '15 minutes' then
+    v_wait := ceil(
+      least(30, power(2, v_lock.failed_count - 3)) - extract(epoch from now() - v_lock.last_failed_at)
+    )::integer;
+    if v_wait > 0 then
+      return jsonb_build_object('allowed', false, 'reason', 'delay', 'retry_after_seconds', v_wait);
+    end if;
+  end if;
+
+  -- Reserve the attempt as a failure; login_throttle_record releases it on success.
+  insert into public.login_failures (student_number, ip) values (v_sn, v_ip)
+  returning id into v_id;
+
+  insert into public.login_account_locks as l (student_number, failed_count, last_failed_at, last_ip, updated_at)
+  values (v_sn, 1, now(), v_ip, now())
+  on conflict (student_number) do update
+  set failed_count = case
+        when l.last_failed_at is null or l.last_failed_at < now() - interval '15 minutes' then 1
+        else l.failed_count + 1
+      end,
+      last_failed_at = now(),
+      last_ip = excluded.last_ip,
+      updated_at = now();
+
+  return jsonb_build_object('allowed', true, 'attempt_id', v_id);
+end;
+$$;
+
+-- Settles one reserved attempt. p_result: 'success' clears the student number's failures;
+-- 'error' (auth service failed, not the caller's fault) releases the reservation; 'failed' keeps
+-- it, logs it and locks the number at the 10th failure.
+create or replace function public.login_throttle_record(p_attempt_id bigint, p_result text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_attempt public.login_failures;
+  v_lock public.login_account_locks;
+begin
+  select * into v_attempt from public.login_failures where id = p_attempt_id;
+  if not found then
+    return;
+  end if;
+
+  if p_result = 'success' then
+    delete from public.login_failures where id = p_attempt_id;
+    delete from public.login_account_locks where student_number = v_attempt.student_number;
+    return;
+  end if;
+
+  if p_result = 'error' then
+    delete from public.login_failures where id = p_attempt_id;
+    update public.login_account_locks
+    set failed_count = greatest(failed_count - 1, 0), updated_at = now()
+    where student_number = v_attempt.student_number;
+    return;
+  end if;
+
+  delete from public.login_failures where created_at < now() - interval '1 day';
+
+  select * into v_lock from public.login_account_locks where student_number = v_attempt.student_number;
+
+  insert into public.activity_logs (action, entity_type, message, metadata)
+  values ('login_failed', 'student_login', 'Failed student sign-in for ' || v_attempt.student_number,
+          jsonb_build_object('student_number', v_attempt.student_number, 'ip', v_attempt.ip,
+                             'failed_count', v_lock.failed_count, 'result', 'failed'));
+
+  if v_lock.failed_count >= 10 and (v_lock.locked_until is null or v_lock.locked_until <= now()) then
+    update public.login_account_locks
+    set locked_until = now() + interval '15 minutes'
+    where student_number = v_attempt.student_number;
+
+    insert into public.activity_logs (action, entity_type, message, metadata)
+    values ('login_locked', 'student_login',
+            'Locked student sign-in for ' || v_attempt.student_number || ' after repeated failures',
+            jsonb_build_object('student_number', v_attempt.student_number, 'ip', v_attempt.ip,
+                               'failed_count', v_lock.failed_count, 'result', 'warning'));
+  end if;
+end;
+$$;
+
+-- Accounts with a running lockout or repeated recent failures, for the registrar.
+create or replace function public.login_locks()
+returns table (
+  student_number text,
+  first_name text,
+  last_name text,
+  failed_count integer,
+  last_failed_at timestamptz,
+  locked_until timestamptz,
+  last_ip text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  if not public.is_staff_aal2() then
+    raise exception 'Not allowed.';
+  end if;
+
+  return query
+  select l.student_number, s.first_name, s.last_name, l.failed_count, l.last_failed_at, l.locked_until, l.last_ip
+  from public.login_account_locks l
+  left join public.students s on upper(s.student_number) = l.student_number
+  where l.locked_until > now()
+     or (l.failed_count >= 3 and l.last_failed_at > now() - interval '15 minutes')
+  order by l.locked_until desc nulls last, l.last_failed_at desc;
+end;
+$$;
+
+create or replace function public.login_unlock(p_student_number text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_sn text := upper(trim(coalesce(p_student_number, '')));
+begin
+  if not public.is_staff_aal2() then
+    raise exception 'Not allowed.';
+  end if;
+
+  delete from public.login_account_locks where student_number = v_sn;
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'login_unlocked', 'student_login', 'Unlocked student sign-in for ' || v_sn,
+          jsonb_build_object('student_number', v_sn, 'result', 'success'));
+end;
+$$;
+
+revoke execute on function public.login_throttle_attempt(text, text) from public, anon, authenticated;
+revoke execute on function public.login_throttle_record(bigint, text) from public, anon, authenticated;
+grant execute on function public.login_throttle_attempt(text, text) to service_role;
+grant execute on function public.login_throttle_record(bigint, text) to service_role;
+grant execute on function public.login_locks() to authenticated;
+grant execute on function public.login_unlock(text) to authenticated;
@@ -0,0 +1,137 @@
+-- Active session management ("Devices & sessions").
+-- Users list their own auth.sessions and end one of them; admins list and end every session of a
+-- student, teacher or admin (e.g. left signed in on a computer-lab machine). Deleting a session
+-- also removes its refresh tokens, so that device is signed out once its access token expires
+-- (at most one hour). "Sign out everywhere" uses auth.signOut({ scope: "global" }) on the client.
+
+create or replace function public.my_sessions()
+returns table (
+  session_id uuid,
+  created_at timestamptz,
+  last_seen_at timestamptz,
+  user_agent text,
+  ip text,
+  aal text,
+  is_current boolean
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select
+    s.id,
+    s.created_at,
+    coalesce(s.refreshed_at::timestamptz, s.updated_at, s.created_at),
+    s.user_agent,
+    host(s.ip),
+    s.aal::text,
+    s.id::text = coalesce(auth.jwt() ->> 'session_id', '')
+  from auth.sessions s
+  where s.user_id = auth.uid()
+    and (s.not_after is null or s.not_after > now())
+  order by 3 desc;
+$$;
+
+create or replace function public.revoke_my_session(p_session_id uuid)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  delete from auth.sessions where id = p_session_id and user_id = auth.uid();
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'session_revoked', 'auth_user', 'Signed out one of their own sessions',
+          jsonb_build_object('user_id', auth.uid(), 'session_id', p_session_id, 'result', 'success'));
+end;
+$$;
+
+-- Staff (past their own TOTP step) may manage another user's sessions; admins cannot touch
+-- super_admin or dev accounts.
+create or replace function public.session_admin_guard(p_user_id uuid)
+returns void
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+declare
+  v_caller text;
+  v_target text;
+begin
+  select role into v_caller from public.profiles where user_id = auth.uid();
+  select role into v_target from public.profiles where user_id = p_user_id;
+
+  if v_caller is null or v_caller not in ('admin', 'super_admin', 'dev') then
+    raise exception 'Not allowed.';
+  end if;
+  if not public.is_staff_aal2() then
+    raise exception 'Verify your own authenticator code first.';
+  end if;
+  if v_caller = 'admin' and v_target in ('super_admin', 'dev') then
+    raise exception 'Only a super admin or dev can manage this account''s sessions.';
+  end if;
+end;
+$$;
+
+create or replace function public.user_sessions(p_user_id uuid)
+returns table (
+  session_id uuid,
+  created_at timestamptz,
+  last_seen_at timestamptz,
+  user_agent text,
+  ip text,
+  aal text
+)
+language plpgsql
+stable
+security definer
+set search_path = public
+as $$
+begin
+  perform public.session_admin_guard(p_user_id);
+
+  return query
+  select
+    s.id,
+    s.created_at,
+    coalesce(s.refreshed_at::timestamptz, s.updated_at, s.created_at),
+    s.user_agent,
+    host(s.ip),
+    s.aal::text
+  from auth.sessions s
+  where s.user_id = p_user_id
+    and (s.not_after is null or s.not_after > now())
+  order by 3 desc;
+end;
+$$;
+
+-- Ends every session of p_user_id; returns how many were removed.
+create or replace function public.revoke_user_sessions(p_user_id uuid)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  perform public.session_admin_guard(p_user_id);
+
+  delete from auth.sessions where user_id = p_user_id;
+  get diagnostics v_count = row_count;
+
+  insert into public.activity_logs (actor_user_id, action, entity_type, message, metadata)
+  values (auth.uid(), 'session_revoked_all', 'auth_user', 'Signed a user out of all devices',
+          jsonb_build_object('user_id', p_user_id, 'count', v_count, 'result', 'success'));
+
+  return v_count;
+end;
+$$;
+
+grant execute on function public.my_sessions() to authenticated;
+grant execute on function public.revoke_my_session(uuid) to authenticated;
+grant execute on function public.user_sessions(uuid) to authenticated;
+grant execute on function public.revoke_user_sessions(uuid) to authenticated;
@@ -0,0 +1,131 @@
+-- Self-service password recovery (password-recovery edge function).
+-- Recovery has its own failure counter, separate from student sign-in, so a wrong LRN or
+-- teacher email never locks the real sign-in and never shows up in the registrar's lock panel.
+--   * 5 failures for one student / teacher number in 15 minutes block that number
+--   * 20 failures from one IP in 15 minutes block that IP
+-- password_recovery_attempt checks and reserves the attempt in one locked statement, so
+-- parallel requests cannot all slip past the limit; password_recovery_record settles it.
+-- must_change_password is only set once the recovery token has been spent
+-- (password_recovery_started, called from the recovery session).
+
+create table if not exists public.password_recovery_failures (
+  id bigint generated always as identity primary key,
+  kind text not null check (kind in ('student', 'teacher')),
+  number text not null,
+  ip text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists password_recovery_failures_number_idx on public.password_recovery_failures (number, created_at desc);
+create index if not exists password_recovery_failures_ip_idx on public.password_recovery_failures (ip, created_at desc);
+
+alter table public.password_recovery_failures enable row level security;
+
+-- { allowed, reason: null | 'number' | 'ip', retry_after_seconds, attempt_id }
+-- An allowed attempt is stored as a failure until password_recovery_record says otherwise.
+create or replace function public.password_recovery_attempt(p_kind text, p_number text, p_ip text)
+returns jsonb
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_num text := upper(trim(coalesce(p_number, '')));
+  v_ip text := nullif(trim(p_ip), '');
+  v_count integer;
+  v_oldest timestamptz;
+  v_id bigint;
+begin
+  perform pg_advisory_xact_lock(hashtext('password_recovery:' || v_num));
+  if v_ip is not null then
+    perform pg_advisory_xact_lock(hashtext('password_recovery_ip:' || v_ip));
+  end if;
+
+  select count(*), min(created_at) into v_count, v_oldest
+  from public.password_recovery_failures
+  where number = v_num and created_at > now() - interval '15 minutes';
+
+  if v_count >= 5 then
+    return jsonb_build_object(
+      'allowed', false,
+      'reason', 'number',
+      'retry_after_seconds', ceil(extract(epoch from v_oldest + interval '15 minutes' - now()))::integer
+    );
+  end if;
+
+  if v_ip is not null then
+    select count(*), min(created_at) into v_count, v_oldest
+    from public.password_recovery_failures
+    where ip = v_ip and created_at > now() - interval '15 minutes';
+
+    if v_count >= 20 then
+      return jsonb_build_object(
+        'allowed', false,
+        'reason', 'ip',
+        'retry_after_seconds', ceil(extract(epoch from v_oldest + interval '15 minutes' - now()))::integer
+      );
+    end if;
+  end if;
+
+  insert into public.password_recovery_failures (kind, number, ip)
+  values (p_kind, v_num, v_ip)
+  returning id into v_id;
+
+  return jsonb_build_object('allowed', true, 'attempt_id', v_id);
+end;
+$$;
+
+-- p_result: 'success' | 'failed' | 'error'. Only 'failed' keeps the reserved row and is logged;
+-- server errors are not the caller's fault.
+create or replace function public.password_recovery_record(p_attempt_id bigint, p_result text)
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_row public.password_recovery_failures;
+begin
+  if p_result <> 'failed' then
+    delete from public.password_recovery_failures where id = p_attempt_id;
+    return;
+  end if;
+
+  select * into v_row from public.password_recovery_failures where id = p_attempt_id;
+  if not found then
+    return;
+  end if;
+
+  delete from public.password_recovery_failures where created_at < now() - interval '1 day';
+
+  insert into public.activity_logs (action, entity_type, message, metadata)
+  values ('password_recovery_failed', 'password_recovery',
+          'Failed password recovery for ' || v_row.kind || ' ' || v_row.number,
+          jsonb_build_object('kind', v_row.kind, 'number', v_row.number, 'ip', v_row.ip, 'result', 'failed'));
+end;
+$$;
+
+-- Called from a session signed in with a recovery token (verifyOtp or the emailed link), so the
+-- account has to pick a new password before going anywhere else.
+create or replace function public.password_recovery_started()
+returns void
+language plpgsql
+security definer
+set search_path = public
+as $$
+begin
+  update public.profiles
+  set must_change_password = true
+  where user_id = auth.uid()
+    and exists (
+      select 1 from jsonb_array_elements(coalesce(auth.jwt() -> 'amr', '[]'::jsonb)) a
+      where a ->> 'method' in ('recovery', 'otp')
+    );
+end;
+$$;
+
+revoke execute on function public.password_recovery_attempt(text, text, text) from public, anon, authenticated;
+revoke execute on function public.password_recovery_record(bigint, text) from public, anon, authenticated;
+grant execute on function public.password_recovery_attempt(text, text, text) to service_role;
+grant execute on function public.password_recovery_record(bigint, text) to service_role;
+grant execute on function public.password_recovery_started() to authenticated;
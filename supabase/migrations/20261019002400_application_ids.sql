@@ -0,0 +1,55 @@
+-- Application IDs (MM-DDNN) for the registrar's Add Student form and the bulk import.
+-- next_application_ids reserves numbers from a per-day counter under a row lock, so two
+-- registrars importing at once never get the same IDs. Each call also catches up with IDs
+-- written by other paths (Pre-enroll) since the last reservation.
+
+create table if not exists public.application_id_counters (
+  id_date date primary key,
+  last_no integer not null default 0
+);
+
+alter table public.application_id_counters enable row level security;
+
+-- p_count IDs for today (school time, Asia/Manila). NN grows past 99 instead of wrapping.
+create or replace function public.next_application_ids(p_count integer default 1)
+returns text[]
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_today date := (now() at time zone 'Asia/Manila')::date;
+  v_prefix text := to_char((now() at time zone 'Asia/Manila')::date, 'MM-DD');
+  v_last integer;
+begin
+  if not exists (select 1 from public.profiles p where p.user_id = auth.uid() and p.role in ('admin', 'super_admin'))
+     or coalesce(auth.jwt() ->> 'aal', '') <> 'aal2' then
+    raise exception 'Not allowed.';
+  end if;
+  if p_count is null or p_count < 1 or p_count > 10000 then
+    raise exception 'Invalid number of application IDs.';
+  end if;
+
+  insert into public.application_id_counters (id_date) values (v_today)
+  on conflict (id_date) do nothing;
+
+  update public.application_id_counters c
+  set last_no = greatest(
+    c.last_no,
+    coalesce((
+      select max(nullif(regexp_replace(substr(e.application_id, length(v_prefix) + 1), '\D', '', 'g'), '')::integer)
+      from public.enrollment e
+      where e.application_id like v_prefix || '%'
+    ), 0)
+  ) + p_count
+  where c.id_date = v_today
+  returning c.last_no into v_last;
+
+  return array(
+    select v_prefix || lpad(n::text, greatest(2, length(n::text)), '0')
+    from generate_series(v_last - p_count + 1, v_last) as n
+  );
+end;
+$$;
+
+grant execute on function public.next_application_ids(integer) to authenticated;